@@ -4,6 +4,7 @@ import cors from "cors";
 import cookieParser from "cookie-parser";
 import routes from "./routes/index.routes.js";
 import documentationRoutes from "./routes/documentation.routes.js";
+import { startCartHoldSweeper } from "./services/cart.service.js";
 import {
   errorMiddleware,
   notFoundMiddleware,
@@ -82,6 +83,7 @@ const PORT = process.env.PORT || 3000;
 
 if (process.env.NODE_ENV !== "test") {
   app.listen(PORT, () => console.log(`Server running on port ${PORT}`));
+  startCartHoldSweeper();
 }
 
 export default app;
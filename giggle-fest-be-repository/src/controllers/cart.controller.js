@@ -48,7 +48,7 @@ export const removeFromCart = async (req, res) => {
 
 export const checkout = async (req, res) => {
   try {
-    const checkoutData = await cartService.checkout(req.user.id);
+    const checkoutData = await cartService.checkout(req.user.id, req.body);
     return successResponse(
       res,
       checkoutData,
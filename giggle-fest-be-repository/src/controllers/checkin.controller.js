@@ -0,0 +1,44 @@
+import * as checkinService from "../services/checkin.service.js";
+import { successResponse, errorResponse } from "../utils/response.js";
+
+export const checkInTicket = async (req, res) => {
+  try {
+    const ticket = await checkinService.checkInTicket(req.body, req.user);
+    return successResponse(res, ticket, "Ticket checked in successfully");
+  } catch (error) {
+    let status = 400;
+    if (error.message === "Ticket not found") {
+      status = 404;
+    } else if (error.message === "You do not manage this event") {
+      status = 403;
+    } else if (
+      [
+        "Ticket already checked in",
+        "Ticket is no longer valid",
+        "Ticket has a refund pending",
+        "Ticket is for another event",
+      ].includes(error.message)
+    ) {
+      status = 409;
+    }
+    return errorResponse(res, error.message, status);
+  }
+};
+
+export const getCheckInStats = async (req, res) => {
+  try {
+    const stats = await checkinService.getCheckInStats(
+      Number(req.params.eventId),
+      req.user
+    );
+    return successResponse(res, stats);
+  } catch (error) {
+    let status = 400;
+    if (error.message === "Event not found") {
+      status = 404;
+    } else if (error.message === "You do not manage this event") {
+      status = 403;
+    }
+    return errorResponse(res, error.message, status);
+  }
+};
@@ -1,16 +1,47 @@
 import * as eventService from "../services/event.service.js";
+import * as eventImportService from "../services/eventImport.service.js";
 import { successResponse, errorResponse } from "../utils/response.js";
 
+// ownership failures are forbidden, everything else keeps the default status
+const OWNERSHIP_ERRORS = [
+  "You do not manage this event",
+  "You do not manage this organization",
+  "You are not a member of any organization",
+];
+
+// a status change the event's current status does not allow is a conflict
+const isStatusConflict = (error) => error.message.startsWith("Cannot ");
+
+const handleWriteError = (res, error) => {
+  if (OWNERSHIP_ERRORS.includes(error.message)) {
+    return errorResponse(res, error.message, 403);
+  }
+  if (isStatusConflict(error)) {
+    return errorResponse(res, error.message, 409);
+  }
+  return errorResponse(res, error.message);
+};
+
+const handleStatusError = (res, error) => {
+  if (error.message === "Event not found") {
+    return errorResponse(res, error.message, 404);
+  }
+  if (OWNERSHIP_ERRORS.includes(error.message) || isStatusConflict(error)) {
+    return handleWriteError(res, error);
+  }
+  return errorResponse(res, error.message, 400);
+};
+
 export const createEvent = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
-      return errorResponse(res, "Unauthorized", 403);
-    }
-
-    const event = await eventService.createEventService(req.body, req.file);
+    const event = await eventService.createEventService(
+      req.body,
+      req.file,
+      req.user
+    );
     return successResponse(res, event, "Event created successfully", 201);
   } catch (error) {
-    return errorResponse(res, error.message);
+    return handleWriteError(res, error);
   }
 };
 
@@ -37,30 +68,87 @@ export const getEventById = async (req, res) => {
 
 export const updateEvent = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
-      return errorResponse(res, "Unauthorized", 403);
-    }
-
     const event = await eventService.updateEventService(
       req.params.id,
       req.body,
-      req.file
+      req.file,
+      req.user
     );
     return successResponse(res, event, "Event updated successfully");
   } catch (error) {
-    return errorResponse(res, error.message);
+    return handleWriteError(res, error);
   }
 };
 
 export const deleteEvent = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
-      return errorResponse(res, "Unauthorized", 403);
-    }
-
-    await eventService.deleteEventService(req.params.id);
+    await eventService.deleteEventService(req.params.id, req.user);
     return successResponse(res, null, "Event deleted successfully");
   } catch (error) {
-    return errorResponse(res, error.message);
+    return handleWriteError(res, error);
+  }
+};
+
+export const changeEventStatus = async (req, res) => {
+  try {
+    const event = await eventService.changeEventStatusService(
+      req.params.id,
+      req.body,
+      req.user
+    );
+    return successResponse(res, event, "Event status updated successfully");
+  } catch (error) {
+    return handleStatusError(res, error);
+  }
+};
+
+export const cancelEvent = async (req, res) => {
+  try {
+    const result = await eventService.cancelEventService(
+      req.params.id,
+      req.body,
+      req.user
+    );
+    return successResponse(res, result, "Event cancelled successfully");
+  } catch (error) {
+    return handleStatusError(res, error);
+  }
+};
+
+export const rescheduleEvent = async (req, res) => {
+  try {
+    const event = await eventService.rescheduleEventService(
+      req.params.id,
+      req.body,
+      req.user
+    );
+    return successResponse(res, event, "Event rescheduled successfully");
+  } catch (error) {
+    return handleStatusError(res, error);
+  }
+};
+
+export const importEvents = async (req, res) => {
+  try {
+    const report = await eventImportService.importEvents(
+      { file: req.file, body: req.body },
+      req.user,
+      { dryRun: req.query.dryRun }
+    );
+
+    if (report.dryRun) {
+      return successResponse(res, report, "Import checked, nothing was saved");
+    }
+    if (!report.valid) {
+      return errorResponse(
+        res,
+        "Import has invalid rows, nothing was saved",
+        422,
+        report.errors
+      );
+    }
+    return successResponse(res, report, "Events imported successfully", 201);
+  } catch (error) {
+    return errorResponse(res, error.message, 400);
   }
 };
@@ -0,0 +1,65 @@
+import * as exportService from "../services/export.service.js";
+import { streamExport } from "../utils/export.js";
+import { errorResponse } from "../utils/response.js";
+
+const getExportErrorStatus = (error) => {
+  if (error.message.includes("not found")) return 404;
+  if (error.message.startsWith("You do not manage")) return 403;
+  return 400;
+};
+
+// once the download has started the status line is gone, so a failure can
+// only cut the stream short
+const handleExportError = (res, error) => {
+  if (res.headersSent) {
+    console.error("Export failed mid-stream:", error);
+    return res.destroy(error);
+  }
+
+  return errorResponse(res, error.message, getExportErrorStatus(error));
+};
+
+export const exportPayments = async (req, res) => {
+  try {
+    const { format, ...filters } = req.query;
+    const report = exportService.getPaymentsExport(filters);
+    await streamExport(res, { format, ...report });
+  } catch (error) {
+    return handleExportError(res, error);
+  }
+};
+
+export const exportAttendees = async (req, res) => {
+  try {
+    const { format, ...filters } = req.query;
+    const report = await exportService.getAttendeesExport(
+      req.params.id,
+      filters
+    );
+    await streamExport(res, { format, ...report });
+  } catch (error) {
+    return handleExportError(res, error);
+  }
+};
+
+export const exportReviews = async (req, res) => {
+  try {
+    const { format, ...filters } = req.query;
+    const report = exportService.getReviewsExport(filters);
+    await streamExport(res, { format, ...report });
+  } catch (error) {
+    return handleExportError(res, error);
+  }
+};
+
+export const exportCampaignCodes = async (req, res) => {
+  try {
+    const report = await exportService.getCampaignCodesExport(
+      req.params.id,
+      req.user
+    );
+    await streamExport(res, { format: req.query.format, ...report });
+  } catch (error) {
+    return handleExportError(res, error);
+  }
+};
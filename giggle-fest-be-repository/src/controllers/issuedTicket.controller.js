@@ -0,0 +1,31 @@
+import * as issuedTicketService from "../services/issuedTicket.service.js";
+import { successResponse, errorResponse } from "../utils/response.js";
+
+export const getMyTickets = async (req, res) => {
+  try {
+    const tickets = await issuedTicketService.getUserTickets(
+      req.user.id,
+      req.query
+    );
+    return successResponse(res, tickets);
+  } catch (error) {
+    return errorResponse(res, error.message, 400);
+  }
+};
+
+export const getMyTicketQr = async (req, res) => {
+  try {
+    const qr = await issuedTicketService.getUserTicketQr(
+      Number(req.params.id),
+      req.user.id,
+      req.query.format
+    );
+    res.set("Content-Type", qr.contentType);
+    return res.send(qr.body);
+  } catch (error) {
+    if (error.message === "Ticket not found") {
+      return errorResponse(res, error.message, 404);
+    }
+    return errorResponse(res, error.message, 400);
+  }
+};
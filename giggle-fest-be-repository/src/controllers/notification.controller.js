@@ -3,9 +3,6 @@ import { successResponse, errorResponse } from "../utils/response.js";
 
 export const createNotification = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
-      return errorResponse(res, "Unauthorized", 403);
-    }
     const notification = await notificationService.createNotification(req.body);
     return successResponse(
       res,
@@ -65,9 +62,6 @@ export const markAllAsRead = async (req, res) => {
 
 export const deleteNotification = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
-      return errorResponse(res, "Unauthorized", 403);
-    }
     await notificationService.deleteNotification(Number(req.params.id));
     return successResponse(res, null, "Notification deleted successfully");
   } catch (error) {
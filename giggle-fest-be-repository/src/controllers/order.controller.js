@@ -0,0 +1,23 @@
+import * as orderService from "../services/order.service.js";
+import { successResponse, errorResponse } from "../utils/response.js";
+
+export const getUserOrders = async (req, res) => {
+  try {
+    const orders = await orderService.getUserOrders(req.user.id, req.query);
+    return successResponse(res, orders);
+  } catch (error) {
+    return errorResponse(res, error.message, 400);
+  }
+};
+
+export const getOrderById = async (req, res) => {
+  try {
+    const order = await orderService.getOrderById(
+      Number(req.params.id),
+      req.user.id
+    );
+    return successResponse(res, order);
+  } catch (error) {
+    return errorResponse(res, error.message, 404);
+  }
+};
@@ -0,0 +1,105 @@
+import * as organizationService from "../services/organization.service.js";
+import * as reportService from "../services/report.service.js";
+import { successResponse, errorResponse } from "../utils/response.js";
+
+const getStatus = (error) => {
+  if (error.message.includes("not found")) return 404;
+  if (
+    error.message.startsWith("You do not manage") ||
+    error.message === "You are not a member of any organization"
+  ) {
+    return 403;
+  }
+  if (error.message.includes("already a member")) return 409;
+  return 400;
+};
+
+export const createOrganization = async (req, res) => {
+  try {
+    const organization = await organizationService.createOrganization(
+      req.user,
+      req.body
+    );
+    return successResponse(
+      res,
+      organization,
+      "Organization created successfully",
+      201
+    );
+  } catch (error) {
+    return errorResponse(res, error.message, getStatus(error));
+  }
+};
+
+export const getMyOrganizations = async (req, res) => {
+  try {
+    const organizations = await organizationService.getMyOrganizations(
+      req.user
+    );
+    return successResponse(res, organizations);
+  } catch (error) {
+    return errorResponse(res, error.message, getStatus(error));
+  }
+};
+
+export const addOrganizationMember = async (req, res) => {
+  try {
+    const member = await organizationService.addOrganizationMember(
+      req.user,
+      req.params.id,
+      req.body
+    );
+    return successResponse(res, member, "Member added successfully", 201);
+  } catch (error) {
+    return errorResponse(res, error.message, getStatus(error));
+  }
+};
+
+export const removeOrganizationMember = async (req, res) => {
+  try {
+    await organizationService.removeOrganizationMember(
+      req.user,
+      req.params.id,
+      req.params.userId
+    );
+    return successResponse(res, null, "Member removed successfully");
+  } catch (error) {
+    return errorResponse(res, error.message, getStatus(error));
+  }
+};
+
+export const getOrganizerEvents = async (req, res) => {
+  try {
+    const result = await organizationService.getOrganizerEvents(
+      req.user,
+      req.query
+    );
+    return successResponse(res, result);
+  } catch (error) {
+    return errorResponse(res, error.message, getStatus(error));
+  }
+};
+
+export const getEventSales = async (req, res) => {
+  try {
+    const sales = await organizationService.getEventSales(
+      req.user,
+      req.params.id
+    );
+    return successResponse(res, sales);
+  } catch (error) {
+    return errorResponse(res, error.message, getStatus(error));
+  }
+};
+
+export const getSalesDashboard = async (req, res) => {
+  try {
+    const dashboard = await reportService.getSalesDashboard(
+      req.user,
+      req.query
+    );
+    return successResponse(res, dashboard);
+  } catch (error) {
+    return errorResponse(res, error.message, getStatus(error));
+  }
+};
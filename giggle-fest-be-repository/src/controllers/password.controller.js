@@ -1,5 +1,10 @@
 import * as passwordService from "../services/password.service.js";
 import { successResponse, errorResponse } from "../utils/response.js";
+import { getClientContext } from "../utils/clientContext.js";
+
+const getThrottleStatus = (error) => {
+  return error.message.startsWith("Too many failed attempts") ? 429 : 400;
+};
 
 export const initPasswordReset = async (req, res) => {
   try {
@@ -28,19 +33,24 @@ export const generateOTP = async (req, res) => {
 export const verifyOTP = async (req, res) => {
   try {
     const { token, otp } = req.body;
-    await passwordService.verifyOTP(token, otp);
+    await passwordService.verifyOTP(token, otp, getClientContext(req));
     return successResponse(res, null, "OTP verified successfully");
   } catch (error) {
-    return errorResponse(res, error.message, 400);
+    return errorResponse(res, error.message, getThrottleStatus(error));
   }
 };
 
 export const resetPassword = async (req, res) => {
   try {
     const { token, otp, password } = req.body;
-    await passwordService.resetPassword(token, otp, password);
+    await passwordService.resetPassword(
+      token,
+      otp,
+      password,
+      getClientContext(req)
+    );
     return successResponse(res, null, "Password has been reset successfully");
   } catch (error) {
-    return errorResponse(res, error.message, 400);
+    return errorResponse(res, error.message, getThrottleStatus(error));
   }
 };
@@ -20,10 +20,6 @@ export const initializePayment = async (req, res) => {
 
 export const getAllPayments = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
-      return errorResponse(res, "Unauthorized", 403);
-    }
-
     const payments = await paymentService.getAllPayments(req.query);
     return successResponse(res, payments);
   } catch (error) {
@@ -33,10 +29,6 @@ export const getAllPayments = async (req, res) => {
 
 export const getPaymentById = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
-      return errorResponse(res, "Unauthorized", 403);
-    }
-
     const payment = await paymentService.getPaymentById(
       Number(req.params.id),
       req.user.id
@@ -58,3 +50,22 @@ export const getUserPaymentHistory = async (req, res) => {
     return errorResponse(res, error.message, 400);
   }
 };
+
+export const handlePaymentNotification = async (req, res) => {
+  try {
+    const payment = await paymentService.handlePaymentNotification(req.body);
+    return successResponse(
+      res,
+      { orderId: payment.orderId, status: payment.status },
+      "Notification processed successfully"
+    );
+  } catch (error) {
+    let status = 400;
+    if (error.message === "Invalid signature key") {
+      status = 403;
+    } else if (error.message === "Payment not found") {
+      status = 404;
+    }
+    return errorResponse(res, error.message, status);
+  }
+};
@@ -1,12 +1,28 @@
 import * as promoService from "../services/promo.service.js";
 import { successResponse, errorResponse } from "../utils/response.js";
 
+const OWNERSHIP_ERRORS = [
+  "You do not manage this promo code",
+  "You do not manage this promo campaign",
+  "You do not manage this organization",
+  "You are not a member of any organization",
+];
+
+const CONFLICT_ERRORS = [
+  "Cannot delete a promo code that has been used, end its validity instead",
+];
+
+const getPromoErrorStatus = (error) => {
+  if (OWNERSHIP_ERRORS.includes(error.message)) return 403;
+  return CONFLICT_ERRORS.includes(error.message) ? 409 : 400;
+};
+
 export const createPromoCode = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
-      return errorResponse(res, "Unauthorized", 403);
-    }
-    const promoCode = await promoService.createPromoCode(req.body);
+    const promoCode = await promoService.createPromoCode(
+      req.body,
+      req.user
+    );
     return successResponse(
       res,
       promoCode,
@@ -14,19 +30,19 @@ export const createPromoCode = async (req, res) => {
       201
     );
   } catch (error) {
-    return errorResponse(res, error.message, 400);
+    return errorResponse(res, error.message, getPromoErrorStatus(error));
   }
 };
 
 export const getAllPromoCodes = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
-      return errorResponse(res, "Unauthorized", 403);
-    }
-    const promoCodes = await promoService.getAllPromoCodes(req.query);
+    const promoCodes = await promoService.getAllPromoCodes(
+      req.query,
+      req.user
+    );
     return successResponse(res, promoCodes);
   } catch (error) {
-    return errorResponse(res, error.message, 400);
+    return errorResponse(res, error.message, getPromoErrorStatus(error));
   }
 };
 
@@ -43,19 +59,46 @@ export const updatePromoCode = async (req, res) => {
   try {
     const promoCode = await promoService.updatePromoCode(
       Number(req.params.id),
-      req.body
+      req.body,
+      req.user
     );
     return successResponse(res, promoCode, "Promo code updated successfully");
   } catch (error) {
-    return errorResponse(res, error.message, 400);
+    return errorResponse(res, error.message, getPromoErrorStatus(error));
   }
 };
 
 export const deletePromoCode = async (req, res) => {
   try {
-    await promoService.deletePromoCode(Number(req.params.id));
+    await promoService.deletePromoCode(Number(req.params.id), req.user);
     return successResponse(res, null, "Promo code deleted successfully");
   } catch (error) {
-    return errorResponse(res, error.message, 400);
+    return errorResponse(res, error.message, getPromoErrorStatus(error));
+  }
+};
+
+export const createPromoCampaign = async (req, res) => {
+  try {
+    const campaign = await promoService.createPromoCampaign(req.body, req.user);
+    return successResponse(
+      res,
+      campaign,
+      "Promo campaign created successfully",
+      201
+    );
+  } catch (error) {
+    return errorResponse(res, error.message, getPromoErrorStatus(error));
+  }
+};
+
+export const getPromoCampaign = async (req, res) => {
+  try {
+    const campaign = await promoService.getPromoCampaign(
+      req.params.id,
+      req.user
+    );
+    return successResponse(res, campaign);
+  } catch (error) {
+    return errorResponse(res, error.message, getPromoErrorStatus(error));
   }
 };
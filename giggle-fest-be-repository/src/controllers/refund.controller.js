@@ -0,0 +1,68 @@
+import * as refundService from "../services/refund.service.js";
+import { successResponse, errorResponse } from "../utils/response.js";
+
+const CONFLICT_ERRORS = [
+  "A refund is already pending for this payment",
+  "Refund request is not pending",
+  "Some tickets on this refund have already been used",
+];
+
+const getStatus = (error) => {
+  if (error.message.includes("not found")) return 404;
+  if (CONFLICT_ERRORS.includes(error.message)) return 409;
+  if (error.message.startsWith("Midtrans refund failed")) return 502;
+  return 400;
+};
+
+export const requestRefund = async (req, res) => {
+  try {
+    const refund = await refundService.requestRefund(req.user.id, req.body);
+    return successResponse(res, refund, "Refund requested successfully", 201);
+  } catch (error) {
+    return errorResponse(res, error.message, getStatus(error));
+  }
+};
+
+export const getMyRefunds = async (req, res) => {
+  try {
+    const refunds = await refundService.getMyRefunds(req.user.id, req.query);
+    return successResponse(res, refunds);
+  } catch (error) {
+    return errorResponse(res, error.message, 400);
+  }
+};
+
+export const getAllRefunds = async (req, res) => {
+  try {
+    const refunds = await refundService.getAllRefunds(req.query);
+    return successResponse(res, refunds);
+  } catch (error) {
+    return errorResponse(res, error.message, 400);
+  }
+};
+
+export const approveRefund = async (req, res) => {
+  try {
+    const refund = await refundService.approveRefund(
+      req.user.id,
+      req.params.id,
+      req.body
+    );
+    return successResponse(res, refund, "Refund approved successfully");
+  } catch (error) {
+    return errorResponse(res, error.message, getStatus(error));
+  }
+};
+
+export const rejectRefund = async (req, res) => {
+  try {
+    const refund = await refundService.rejectRefund(
+      req.user.id,
+      req.params.id,
+      req.body
+    );
+    return successResponse(res, refund, "Refund rejected successfully");
+  } catch (error) {
+    return errorResponse(res, error.message, getStatus(error));
+  }
+};
@@ -0,0 +1,66 @@
+import * as sessionService from "../services/session.service.js";
+import { successResponse, errorResponse } from "../utils/response.js";
+import { setAuthCookies, clearAuthCookies } from "../utils/authCookies.js";
+
+export const refreshToken = async (req, res) => {
+  try {
+    const token = req.body?.refreshToken || req.cookies?.refreshToken;
+    const result = await sessionService.refreshSession(token);
+
+    setAuthCookies(res, result);
+    return successResponse(res, result, "Token refreshed successfully");
+  } catch (error) {
+    clearAuthCookies(res);
+    return errorResponse(res, error.message, 401);
+  }
+};
+
+export const logout = async (req, res) => {
+  try {
+    await sessionService.revokeSession(req.user.sid, req.user.id);
+
+    clearAuthCookies(res);
+    return successResponse(res, null, "Logged out successfully");
+  } catch (error) {
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+export const logoutAll = async (req, res) => {
+  try {
+    const result = await sessionService.revokeAllSessions(req.user.id);
+
+    clearAuthCookies(res);
+    return successResponse(res, result, "Logged out of all sessions");
+  } catch (error) {
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+export const getMySessions = async (req, res) => {
+  try {
+    const sessions = await sessionService.getUserSessions(
+      req.user.id,
+      req.user.sid
+    );
+    return successResponse(res, sessions, "Sessions retrieved successfully");
+  } catch (error) {
+    return errorResponse(res, error.message, 500);
+  }
+};
+
+export const revokeMySession = async (req, res) => {
+  try {
+    const sessionId = req.params.id;
+    await sessionService.revokeUserSession(sessionId, req.user.id);
+
+    if (sessionId === req.user.sid) {
+      clearAuthCookies(res);
+    }
+
+    return successResponse(res, null, "Session revoked successfully");
+  } catch (error) {
+    const status = error.message === "Session not found" ? 404 : 500;
+    return errorResponse(res, error.message, status);
+  }
+};
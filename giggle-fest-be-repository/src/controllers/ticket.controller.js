@@ -10,11 +10,17 @@ import {
 import { successResponse, errorResponse } from "../utils/response.js";
 import { uploadImage } from "../libs/imagekit.js";
 
+// only members of the event's organization or an admin may change its
+// ticket types
+const handleWriteError = (res, error) => {
+  if (error.message === "You do not manage this event") {
+    return errorResponse(res, error.message, 403);
+  }
+  return errorResponse(res, error.message);
+};
+
 export const createTicket = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
-      return errorResponse(res, "Unauthorized", 403);
-    }
     const imageUrl = req.file ? await uploadImage(req.file) : null;
 
     const ticketData = {
@@ -24,14 +30,18 @@ export const createTicket = async (req, res) => {
       eventId: Number(req.body.eventId),
       categoryId: Number(req.body.categoryId),
       artist: req.body.artist,
+      salesStart: req.body.salesStart,
+      salesEnd: req.body.salesEnd,
       imageUrl,
       userId: req.user.id,
+      priceTiers: req.body.priceTiers,
+      bundleItems: req.body.bundleItems,
     };
 
-    const ticket = await createTicketService(ticketData);
+    const ticket = await createTicketService(ticketData, req.user);
     return successResponse(res, ticket, "Ticket created successfully", 201);
   } catch (error) {
-    return errorResponse(res, error.message);
+    return handleWriteError(res, error);
   }
 };
 
@@ -68,9 +78,6 @@ export const getTicketById = async (req, res) => {
 
 export const updateTicket = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
-      return errorResponse(res, "Unauthorized", 403);
-    }
     const imageUrl = req.file ? await uploadImage(req.file) : undefined;
 
     const updateData = {
@@ -78,28 +85,33 @@ export const updateTicket = async (req, res) => {
       ...(req.body.price && { price: Number(req.body.price) }),
       ...(req.body.quantity && { quantity: Number(req.body.quantity) }),
       ...(req.body.artist && { artist: req.body.artist }),
+      // null clears that end of the sales window
+      ...(req.body.salesStart !== undefined && {
+        salesStart: req.body.salesStart,
+      }),
+      ...(req.body.salesEnd !== undefined && { salesEnd: req.body.salesEnd }),
       ...(imageUrl && { imageUrl }),
+      ...(req.body.priceTiers && { priceTiers: req.body.priceTiers }),
+      ...(req.body.bundleItems && { bundleItems: req.body.bundleItems }),
     };
 
     const ticket = await updateTicketService(
       parseInt(req.params.id),
-      updateData
+      updateData,
+      req.user
     );
     return successResponse(res, ticket, "Ticket updated successfully");
   } catch (error) {
-    return errorResponse(res, error.message);
+    return handleWriteError(res, error);
   }
 };
 
 export const deleteTicket = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
-      return errorResponse(res, "Unauthorized", 403);
-    }
-    await deleteTicketService(parseInt(req.params.id));
+    await deleteTicketService(parseInt(req.params.id), req.user);
     return successResponse(res, null, "Ticket deleted successfully");
   } catch (error) {
-    return errorResponse(res, error.message);
+    return handleWriteError(res, error);
   }
 };
 
@@ -0,0 +1,68 @@
+import * as twoFactorService from "../services/twoFactor.service.js";
+import { successResponse, errorResponse } from "../utils/response.js";
+import { setAuthCookies } from "../utils/authCookies.js";
+import { getClientContext } from "../utils/clientContext.js";
+
+const getStatus = (error) => {
+  if (error.message === "User not found") return 404;
+  if (error.message.includes("already enabled")) return 409;
+  if (error.message.includes("required for your role")) return 403;
+  return 400;
+};
+
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const result = await twoFactorService.setupTwoFactor(req.user.id);
+    return successResponse(
+      res,
+      result,
+      "Scan the QR code with your authenticator app, then confirm a code"
+    );
+  } catch (error) {
+    return errorResponse(res, error.message, getStatus(error));
+  }
+};
+
+export const confirmTwoFactor = async (req, res) => {
+  try {
+    const result = await twoFactorService.confirmTwoFactor(
+      req.user.id,
+      req.body.code
+    );
+    return successResponse(
+      res,
+      result,
+      "Two-factor authentication enabled. Store these recovery codes safely."
+    );
+  } catch (error) {
+    return errorResponse(res, error.message, getStatus(error));
+  }
+};
+
+export const disableTwoFactor = async (req, res) => {
+  try {
+    await twoFactorService.disableTwoFactor(req.user.id, req.body.code);
+    return successResponse(res, null, "Two-factor authentication disabled");
+  } catch (error) {
+    return errorResponse(res, error.message, getStatus(error));
+  }
+};
+
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+    const result = await twoFactorService.verifyTwoFactorLogin(
+      challengeToken,
+      code,
+      getClientContext(req)
+    );
+
+    setAuthCookies(res, result);
+    return successResponse(res, result, "Login successful");
+  } catch (error) {
+    const status = error.message.startsWith("Too many failed attempts")
+      ? 429
+      : 401;
+    return errorResponse(res, error.message, status);
+  }
+};
@@ -1,9 +1,12 @@
 import * as userService from "../services/user.service.js";
 import { successResponse, errorResponse } from "../utils/response.js";
+import { setAuthCookies } from "../utils/authCookies.js";
+import { getClientContext } from "../utils/clientContext.js";
 
 export const registerUser = async (req, res) => {
   try {
-    const result = await userService.register(req.body);
+    const result = await userService.register(req.body, getClientContext(req));
+    setAuthCookies(res, result);
     return successResponse(res, result, "User registered successfully", 201);
   } catch (error) {
     return errorResponse(res, error.message, 400);
@@ -27,21 +30,29 @@ export const resendVerificationEmail = async (req, res) => {
 export const loginUser = async (req, res) => {
   try {
     const { email, password } = req.body;
-    const result = await userService.login(email, password);
+    const result = await userService.login(
+      email,
+      password,
+      getClientContext(req)
+    );
+
+    if (result.twoFactorRequired) {
+      return successResponse(
+        res,
+        result,
+        "Two-factor authentication code required"
+      );
+    }
 
-    // res.cookie("token", result.token, {
-    //   httpOnly: true,
-    //   secure: process.env.NODE_ENV === "production",
-    //   sameSite: process.env.NODE_ENV === "production" ? "none" : "lax",
-    //   maxAge: 24 * 60 * 60 * 1000,
-    //   path: "/",
-    // });
+    setAuthCookies(res, result);
 
     return successResponse(res, result, "Login successful");
   } catch (error) {
     let status = 401;
     if (error.message.includes("verify your email")) {
       status = 403;
+    } else if (error.message.startsWith("Too many failed attempts")) {
+      status = 429;
     }
     return errorResponse(res, error.message, status);
   }
@@ -82,10 +93,6 @@ export const updateUserDetails = async (req, res) => {
 
 export const deleteUserDetails = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
-      return errorResponse(res, "Unauthorized", 403);
-    }
-
     await userService.deleteUserById(parseInt(req.params.id));
     return successResponse(res, null, "User deleted successfully");
   } catch (error) {
@@ -93,12 +100,45 @@ export const deleteUserDetails = async (req, res) => {
   }
 };
 
-export const getAllUserDetails = async (req, res) => {
+export const changeUserRole = async (req, res) => {
   try {
-    if (req.user.role !== "admin") {
-      return errorResponse(res, "Unauthorized", 403);
-    }
+    const user = await userService.changeUserRole(
+      parseInt(req.params.id),
+      req.body.role,
+      req.user.id,
+      req.body.reason
+    );
+    return successResponse(res, user, "User role updated successfully");
+  } catch (error) {
+    const status = error.message === "User not found" ? 404 : 400;
+    return errorResponse(res, error.message, status);
+  }
+};
 
+export const getUserRoleChanges = async (req, res) => {
+  try {
+    const changes = await userService.getUserRoleChanges(
+      parseInt(req.params.id)
+    );
+    return successResponse(res, changes, "Role changes retrieved successfully");
+  } catch (error) {
+    const status = error.message === "User not found" ? 404 : 400;
+    return errorResponse(res, error.message, status);
+  }
+};
+
+export const unlockUser = async (req, res) => {
+  try {
+    const result = await userService.unlockUser(parseInt(req.params.id));
+    return successResponse(res, result, "User unlocked successfully");
+  } catch (error) {
+    const status = error.message === "User not found" ? 404 : 400;
+    return errorResponse(res, error.message, status);
+  }
+};
+
+export const getAllUserDetails = async (req, res) => {
+  try {
     const { page, limit, search } = req.query;
 
     const result = await userService.getAllUsers({
@@ -0,0 +1,58 @@
+import * as venueService from "../services/venue.service.js";
+import { successResponse, errorResponse } from "../utils/response.js";
+
+const getStatus = (error) => {
+  if (error.message.includes("not found")) return 404;
+  if (error.message === "You do not manage this event") return 403;
+  if (error.message.startsWith("Cannot ")) return 409;
+  return 400;
+};
+
+export const createVenue = async (req, res) => {
+  try {
+    const venue = await venueService.createVenue(req.body);
+    return successResponse(res, venue, "Venue created successfully", 201);
+  } catch (error) {
+    return errorResponse(res, error.message, getStatus(error));
+  }
+};
+
+export const getAllVenues = async (req, res) => {
+  try {
+    const venues = await venueService.getAllVenues(req.query);
+    return successResponse(res, venues);
+  } catch (error) {
+    return errorResponse(res, error.message, 400);
+  }
+};
+
+export const getVenueById = async (req, res) => {
+  try {
+    const venue = await venueService.getVenueById(req.params.id);
+    return successResponse(res, venue);
+  } catch (error) {
+    return errorResponse(res, error.message, getStatus(error));
+  }
+};
+
+export const getEventSeats = async (req, res) => {
+  try {
+    const seats = await venueService.getSeatAvailability(req.params.id);
+    return successResponse(res, seats);
+  } catch (error) {
+    return errorResponse(res, error.message, getStatus(error));
+  }
+};
+
+export const configureEventSeating = async (req, res) => {
+  try {
+    const seats = await venueService.configureEventSeating(
+      req.user,
+      req.params.id,
+      req.body
+    );
+    return successResponse(res, seats, "Event seating saved successfully");
+  } catch (error) {
+    return errorResponse(res, error.message, getStatus(error));
+  }
+};
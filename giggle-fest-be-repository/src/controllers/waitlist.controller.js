@@ -0,0 +1,41 @@
+import * as waitlistService from "../services/waitlist.service.js";
+import { successResponse, errorResponse } from "../utils/response.js";
+
+const getStatus = (error) => {
+  if (error.message.includes("not found")) return 404;
+  if (error.message.startsWith("Cannot ")) return 409;
+  if (error.message === "You are already on the waitlist for this ticket") {
+    return 409;
+  }
+  return 400;
+};
+
+export const joinWaitlist = async (req, res) => {
+  try {
+    const entry = await waitlistService.joinWaitlist(req.user.id, req.body);
+    return successResponse(res, entry, "Joined the waitlist successfully", 201);
+  } catch (error) {
+    return errorResponse(res, error.message, getStatus(error));
+  }
+};
+
+export const getMyWaitlist = async (req, res) => {
+  try {
+    const entries = await waitlistService.getMyWaitlist(req.user.id);
+    return successResponse(res, entries);
+  } catch (error) {
+    return errorResponse(res, error.message, 400);
+  }
+};
+
+export const leaveWaitlist = async (req, res) => {
+  try {
+    const entry = await waitlistService.leaveWaitlist(
+      req.user.id,
+      req.params.id
+    );
+    return successResponse(res, entry, "Left the waitlist successfully");
+  } catch (error) {
+    return errorResponse(res, error.message, getStatus(error));
+  }
+};
@@ -11,3 +11,20 @@ export const core = new midtransClient.CoreApi({
   serverKey: process.env.MIDTRANS_SERVER_KEY,
   clientKey: process.env.MIDTRANS_CLIENT_KEY,
 });
+
+// MIDTRANS_MOCK_REFUNDS=true answers refunds locally, since sandbox
+// transactions paid through the simulator cannot always be refunded
+export const refundTransaction = async (orderId, params) => {
+  if (process.env.MIDTRANS_MOCK_REFUNDS === "true") {
+    return {
+      status_code: "200",
+      status_message: "Success, refund request is approved",
+      order_id: orderId,
+      transaction_status: "refund",
+      refund_key: params.refund_key,
+      refund_amount: params.amount,
+    };
+  }
+
+  return core.transaction.refund(orderId, params);
+};
@@ -1,7 +1,9 @@
 import { errorResponse } from "../utils/response.js";
 import { verifyToken } from "../utils/token.js";
+import { isSessionActive } from "../services/session.service.js";
 
-export const authMiddleware = (req, res, next) => {
+export const authMiddleware = async (req, res, next) => {
+  let decoded;
   try {
     let token = req.headers.authorization?.split(" ")[1];
 
@@ -13,10 +15,21 @@ export const authMiddleware = (req, res, next) => {
       return errorResponse(res, "No token provided", 401);
     }
 
-    const decoded = verifyToken(token);
-    req.user = decoded;
-    next();
+    decoded = verifyToken(token);
   } catch (error) {
     return errorResponse(res, "Invalid token", 401);
   }
+
+  try {
+    // access tokens outlive a logout, so check the session they belong to
+    const active = await isSessionActive(decoded.sid, decoded.id);
+    if (!active) {
+      return errorResponse(res, "Session has been revoked", 401);
+    }
+  } catch (error) {
+    return errorResponse(res, error.message, 500);
+  }
+
+  req.user = decoded;
+  next();
 };
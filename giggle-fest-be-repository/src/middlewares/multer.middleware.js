@@ -15,3 +15,20 @@ export const upload = multer({
     fileSize: 5 * 1024 * 1024,
   },
 });
+
+export const csvUpload = multer({
+  storage: storage,
+  fileFilter: (req, file, cb) => {
+    if (
+      ["text/csv", "application/vnd.ms-excel"].includes(file.mimetype) ||
+      file.originalname.toLowerCase().endsWith(".csv")
+    ) {
+      cb(null, true);
+    } else {
+      cb(new Error("Only CSV files are allowed"));
+    }
+  },
+  limits: {
+    fileSize: 2 * 1024 * 1024,
+  },
+});
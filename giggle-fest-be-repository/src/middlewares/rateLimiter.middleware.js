@@ -14,3 +14,27 @@ export const emailVerificationLimiter = rateLimit({
     return req.body.email || req.ip;
   },
 });
+
+// coarse per-IP ceilings in front of the persistent lockout in
+// throttle.service, so floods are cut off before they reach the database
+export const loginLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 20,
+  message: {
+    status: "error",
+    message: "Too many login attempts. Please try again later.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+export const otpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000,
+  max: 10,
+  message: {
+    status: "error",
+    message: "Too many OTP attempts. Please try again later.",
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
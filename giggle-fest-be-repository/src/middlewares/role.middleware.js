@@ -0,0 +1,49 @@
+import { errorResponse } from "../utils/response.js";
+import {
+  PERMISSIONS,
+  hasPermission,
+  requiresTwoFactor,
+} from "../utils/permissions.js";
+
+const missingTwoFactor = (user) => requiresTwoFactor(user.role) && !user.mfa;
+
+// both run after authMiddleware, which sets req.user from the token
+export const requireRole = (...roles) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return errorResponse(res, "No token provided", 401);
+    }
+
+    if (!roles.includes(req.user.role)) {
+      return errorResponse(res, "Unauthorized", 403);
+    }
+
+    if (missingTwoFactor(req.user)) {
+      return errorResponse(res, "Two-factor authentication required", 403);
+    }
+
+    next();
+  };
+};
+
+export const requirePermission = (permission) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return errorResponse(res, "No token provided", 401);
+    }
+
+    if (!hasPermission(req.user.role, permission)) {
+      return errorResponse(res, "Unauthorized", 403);
+    }
+
+    // own-account routes stay open so the user can enroll in the first place
+    if (
+      permission !== PERMISSIONS.ACCOUNT_MANAGE &&
+      missingTwoFactor(req.user)
+    ) {
+      return errorResponse(res, "Two-factor authentication required", 403);
+    }
+
+    next();
+  };
+};
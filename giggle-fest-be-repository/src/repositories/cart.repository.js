@@ -1,18 +1,37 @@
 import { PrismaClient } from "@prisma/client";
+import { reserveTicketStock, releaseTicketStock } from "./ticket.repository.js";
+import {
+  holdSeats,
+  extendCartSeats,
+  releaseCartSeats,
+} from "./seat.repository.js";
+import {
+  offerWaitlistStock,
+  closeOffers,
+  findWaitedTicketIds,
+} from "./waitlist.repository.js";
+import { WAITLIST_STATUSES } from "../utils/waitlist.js";
 
 const prisma = new PrismaClient();
 
+// seats only show up on items of seated tickets
+const cartInclude = {
+  ticket: {
+    include: {
+      event: true,
+      category: true,
+    },
+  },
+  seats: {
+    include: { seat: true },
+    orderBy: { id: "asc" },
+  },
+};
+
 export const findCartByUser = async (userId) => {
   return prisma.cart.findMany({
     where: { userId },
-    include: {
-      ticket: {
-        include: {
-          event: true,
-          category: true,
-        },
-      },
-    },
+    include: cartInclude,
     orderBy: {
       createdAt: "desc",
     },
@@ -25,77 +44,269 @@ export const findCartItemById = async (id, userId) => {
       id,
       userId,
     },
-    include: {
-      ticket: {
-        include: {
-          event: true,
-          category: true,
-        },
-      },
-    },
+    include: cartInclude,
   });
 };
 
-export const findCartItemByTicket = async (userId, ticketId) => {
-  return prisma.cart.findFirst({
+// Clearing heldUntil first makes sure a hold is only ever released once, even
+// when a sweep and the owner release it at the same time
+const releaseHold = async (tx, cartItem, heldUntil) => {
+  const cleared = await tx.cart.updateMany({
+    where: { id: cartItem.id, heldUntil },
+    data: { heldUntil: null },
+  });
+  if (cleared.count === 0) {
+    return false;
+  }
+
+  await releaseTicketStock(tx, cartItem.ticketId, cartItem.quantity);
+  await releaseCartSeats(tx, cartItem.id);
+  await closeOffers(tx, cartItem.id, WAITLIST_STATUSES.EXPIRED);
+  return true;
+};
+
+const findExpiredHolds = async (client, { ticketId, now }) => {
+  return client.cart.findMany({
     where: {
-      userId,
-      ticketId,
-    },
-    include: {
-      ticket: {
-        include: {
-          event: true,
-          category: true,
-        },
-      },
+      ...(ticketId && { ticketId }),
+      heldUntil: { lte: now },
     },
+    select: { id: true, ticketId: true, quantity: true },
   });
 };
 
-export const createCartItem = async (data) => {
-  return prisma.cart.create({
-    data,
-    include: {
-      ticket: {
-        include: {
-          event: true,
-          category: true,
-        },
-      },
-    },
+// Gives the stock and seats of holds that ran out back to their tickets.
+// Runs inside the caller's transaction so holding or buying a ticket can
+// first free up what expired holds still take from it, and offer it to the
+// ticket's waitlist before anyone else gets it.
+export const releaseExpiredHolds = async (
+  tx,
+  { ticketId, now = new Date() } = {}
+) => {
+  const expired = await findExpiredHolds(tx, { ticketId, now });
+
+  let released = 0;
+  for (const cartItem of expired) {
+    if (await releaseHold(tx, cartItem, { lte: now })) {
+      released += 1;
+    }
+  }
+  return released;
+};
+
+// Every hold is released in a transaction of its own, together with the
+// offer of its stock to the ticket's waitlist, so a large backlog never runs
+// into the transaction timeout or locks many tickets at once. Also offers
+// whatever stock waitlisted tickets have free, which covers stock released
+// outside of a purchase.
+export const sweepExpiredHolds = async (now = new Date()) => {
+  const expired = await findExpiredHolds(prisma, { now });
+
+  let released = 0;
+  for (const cartItem of expired) {
+    const freed = await prisma.$transaction(async (tx) => {
+      if (!(await releaseHold(tx, cartItem, { lte: now }))) {
+        return false;
+      }
+      await offerWaitlistStock(tx, cartItem.ticketId, now);
+      return true;
+    });
+    if (freed) {
+      released += 1;
+    }
+  }
+
+  for (const ticketId of await findWaitedTicketIds(prisma)) {
+    await prisma.$transaction((tx) => offerWaitlistStock(tx, ticketId, now));
+  }
+  return released;
+};
+
+// Hands a running hold over to an order: the stock stays taken, now for the
+// order's payment. Returns false when the hold has already run out.
+export const claimCartHold = async (tx, cartId, now = new Date()) => {
+  const claimed = await tx.cart.updateMany({
+    where: { id: cartId, heldUntil: { gt: now } },
+    data: { heldUntil: null },
   });
+  if (claimed.count === 0) {
+    return false;
+  }
+
+  await closeOffers(tx, cartId, WAITLIST_STATUSES.CLAIMED);
+  return true;
 };
 
-export const updateCartItem = async (id, userId, data) => {
-  return prisma.cart.update({
-    where: {
-      id,
-      userId,
-    },
-    data,
-    include: {
-      ticket: {
-        include: {
-          event: true,
-          category: true,
+// a restarted hold never ends before the one it replaces, so topping up a
+// waitlist offer keeps the rest of the offer's window
+const laterHold = (current, heldUntil) => {
+  return current?.heldUntil > heldUntil ? current.heldUntil : heldUntil;
+};
+
+// Takes the stock for the user's item for the ticket and restarts the item's
+// hold. An item whose hold was released starts over with the new quantity.
+// Stock the waitlist is owed goes to it first.
+export const holdCartItem = async ({
+  userId,
+  ticketId,
+  quantity,
+  heldUntil,
+}) => {
+  return prisma.$transaction(async (tx) => {
+    await releaseExpiredHolds(tx, { ticketId });
+    await offerWaitlistStock(tx, ticketId);
+
+    const reserved = await reserveTicketStock(tx, ticketId, quantity);
+    if (!reserved) {
+      throw new Error("Not enough tickets available");
+    }
+
+    const existing = await tx.cart.findFirst({ where: { userId, ticketId } });
+    if (existing) {
+      return tx.cart.update({
+        where: { id: existing.id },
+        data: {
+          quantity: existing.heldUntil ? { increment: quantity } : quantity,
+          heldUntil: laterHold(existing, heldUntil),
         },
-      },
-    },
+        include: cartInclude,
+      });
+    }
+
+    return tx.cart.create({
+      data: { userId, ticketId, quantity, heldUntil },
+      include: cartInclude,
+    });
+  });
+};
+
+// Moves the difference between the held and the new quantity to or from the
+// ticket's stock and restarts the item's hold. Stock given back goes to the
+// waitlist first.
+export const updateHeldQuantity = async (
+  id,
+  userId,
+  { ticketId, quantity, heldUntil }
+) => {
+  return prisma.$transaction(async (tx) => {
+    await releaseExpiredHolds(tx, { ticketId });
+    await offerWaitlistStock(tx, ticketId);
+
+    // the item can be removed or checked out after the service looked it up
+    const current = await tx.cart.findFirst({ where: { id, userId } });
+    if (!current) {
+      throw new Error("Cart item not found");
+    }
+
+    const held = current.heldUntil ? current.quantity : 0;
+    if (quantity > held) {
+      const reserved = await reserveTicketStock(tx, ticketId, quantity - held);
+      if (!reserved) {
+        throw new Error("Not enough tickets available");
+      }
+    } else if (quantity < held) {
+      await releaseTicketStock(tx, ticketId, held - quantity);
+    }
+
+    const cartItem = await tx.cart.update({
+      where: { id },
+      data: { quantity, heldUntil: laterHold(current, heldUntil) },
+      include: cartInclude,
+    });
+    if (quantity < held) {
+      await offerWaitlistStock(tx, ticketId);
+    }
+    return cartItem;
   });
 };
 
+// Holds the seats and adds them to the user's item for the ticket in one
+// transaction, so a seat someone else took first leaves nothing behind. The
+// seats the item already holds move onto the restarted hold.
+export const addSeatsToCart = async ({
+  userId,
+  ticketId,
+  eventSeatIds,
+  heldUntil,
+}) => {
+  return prisma.$transaction(async (tx) => {
+    await releaseExpiredHolds(tx, { ticketId });
+
+    const reserved = await reserveTicketStock(
+      tx,
+      ticketId,
+      eventSeatIds.length
+    );
+    if (!reserved) {
+      throw new Error("Some of the selected seats are no longer available");
+    }
+
+    // a released item lost its seats, so it starts over with the new ones
+    const existing = await tx.cart.findFirst({ where: { userId, ticketId } });
+    const cartItem = existing
+      ? await tx.cart.update({
+          where: { id: existing.id },
+          data: {
+            quantity: existing.heldUntil
+              ? { increment: eventSeatIds.length }
+              : eventSeatIds.length,
+            heldUntil,
+          },
+        })
+      : await tx.cart.create({
+          data: {
+            userId,
+            ticketId,
+            quantity: eventSeatIds.length,
+            heldUntil,
+          },
+        });
+    if (existing?.heldUntil) {
+      await extendCartSeats(tx, existing.id, heldUntil);
+    }
+
+    const held = await holdSeats(tx, {
+      eventSeatIds,
+      ticketId,
+      cartId: cartItem.id,
+      heldUntil,
+    });
+    if (!held) {
+      throw new Error("Some of the selected seats are no longer available");
+    }
+
+    return tx.cart.findUnique({
+      where: { id: cartItem.id },
+      include: cartInclude,
+    });
+  });
+};
+
+// stock and seats held by the item go back on sale with it, to the
+// waitlist first
 export const deleteCartItem = async (id, userId) => {
-  return prisma.cart.delete({
-    where: {
-      id,
-      userId,
-    },
+  return prisma.$transaction(async (tx) => {
+    const cartItem = await tx.cart.findFirst({ where: { id, userId } });
+    if (cartItem) {
+      await releaseHold(tx, cartItem, { not: null });
+    }
+
+    const deleted = await tx.cart.delete({
+      where: {
+        id,
+        userId,
+      },
+    });
+    if (cartItem) {
+      await offerWaitlistStock(tx, cartItem.ticketId);
+    }
+    return deleted;
   });
 };
 
+// items still holding stock were added after the checkout started
 export const clearUserCart = async (userId) => {
   return prisma.cart.deleteMany({
-    where: { userId },
+    where: { userId, heldUntil: null },
   });
 };
@@ -50,6 +50,13 @@ export const findCategoryById = async (id) => {
   });
 };
 
+export const findCategoriesByIds = async (ids) => {
+  return prisma.category.findMany({
+    where: { id: { in: ids } },
+    select: { id: true },
+  });
+};
+
 export const updateCategory = async (id, data) => {
   return await prisma.category.update({
     where: { id },
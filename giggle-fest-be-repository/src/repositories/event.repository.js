@@ -6,6 +6,30 @@ export const createEvent = async (data) => {
   return prisma.event.create({ data });
 };
 
+// all events of an import are written in one transaction so a failure
+// halfway leaves nothing behind
+export const createEventsWithTickets = async (events) => {
+  return prisma.$transaction(async (tx) => {
+    const created = [];
+    for (const { tickets, ...event } of events) {
+      created.push(
+        await tx.event.create({
+          data: {
+            ...event,
+            tickets: {
+              create: tickets,
+            },
+          },
+          include: {
+            tickets: true,
+          },
+        })
+      );
+    }
+    return created;
+  });
+};
+
 export const findAllEvents = async (skip, take, where) => {
   return prisma.event.findMany({
     skip,
@@ -37,8 +61,55 @@ export const updateEvent = async (id, data) => {
   });
 };
 
+// Moves an event out of one of the expected statuses, returning null when a
+// concurrent request changed it first
+export const updateEventStatus = async (id, fromStatuses, data) => {
+  const updated = await prisma.event.updateMany({
+    where: {
+      id: parseInt(id),
+      status: { in: fromStatuses },
+    },
+    data,
+  });
+
+  if (updated.count === 0) {
+    return null;
+  }
+
+  return findEventById(id);
+};
+
+// payments and order items keep their tickets, and with them the event, so
+// an event that ever sold anything can only be cancelled
+export const hasEventSales = async (id) => {
+  const eventId = parseInt(id);
+  const [payments, orderItems] = await Promise.all([
+    prisma.payment.count({ where: { ticket: { eventId } } }),
+    prisma.orderItem.count({ where: { ticket: { eventId } } }),
+  ]);
+
+  return payments + orderItems > 0;
+};
+
+// a bundle component cannot be deleted while its bundle still lists it
+export const hasBundledTickets = async (id) => {
+  const bundled = await prisma.bundleItem.count({
+    where: { ticket: { eventId: parseInt(id) } },
+  });
+
+  return bundled > 0;
+};
+
+// ticket types go with the event, along with the carts and reviews that
+// point at them
 export const deleteEvent = async (id) => {
-  return prisma.event.delete({
-    where: { id: parseInt(id) },
+  const eventId = parseInt(id);
+  return prisma.$transaction(async (tx) => {
+    await tx.cart.deleteMany({ where: { ticket: { eventId } } });
+    await tx.review.deleteMany({ where: { ticket: { eventId } } });
+    await tx.ticket.deleteMany({ where: { eventId } });
+    return tx.event.delete({
+      where: { id: eventId },
+    });
   });
 };
@@ -0,0 +1,168 @@
+import { PrismaClient } from "@prisma/client";
+
+const prisma = new PrismaClient();
+
+const issuedTicketInclude = {
+  ticket: {
+    include: {
+      event: true,
+      category: true,
+    },
+  },
+  eventSeat: {
+    include: { seat: true },
+  },
+  bundle: {
+    select: { id: true, name: true },
+  },
+};
+
+// (paymentId, sequence) is unique, so issuing the same payment twice only
+// inserts the units that are still missing
+export const createIssuedTickets = async (data) => {
+  return prisma.issuedTicket.createMany({
+    data,
+    skipDuplicates: true,
+  });
+};
+
+export const findIssuedTicketsByPayment = async (paymentId) => {
+  return prisma.issuedTicket.findMany({
+    where: { paymentId },
+    include: issuedTicketInclude,
+    orderBy: {
+      sequence: "asc",
+    },
+  });
+};
+
+export const findIssuedTicketsByUser = async (
+  userId,
+  { page = 1, limit = 10, status }
+) => {
+  const skip = (page - 1) * Number(limit);
+  const where = { userId, ...(status && { status }) };
+
+  const [total, tickets] = await Promise.all([
+    prisma.issuedTicket.count({ where }),
+    prisma.issuedTicket.findMany({
+      where,
+      skip,
+      take: Number(limit),
+      include: issuedTicketInclude,
+      orderBy: {
+        createdAt: "desc",
+      },
+    }),
+  ]);
+
+  return {
+    tickets,
+    meta: {
+      page: Number(page),
+      limit: Number(limit),
+      total,
+      totalPages: Math.ceil(total / Number(limit)),
+    },
+  };
+};
+
+export const findAttendeeExportBatch = async (
+  eventId,
+  { status },
+  { afterId = 0, take }
+) => {
+  return prisma.issuedTicket.findMany({
+    where: {
+      eventId,
+      ...(status && { status }),
+      id: { gt: afterId },
+    },
+    take,
+    include: {
+      ticket: true,
+      user: {
+        select: {
+          id: true,
+          name: true,
+          email: true,
+        },
+      },
+      payment: {
+        select: {
+          orderId: true,
+        },
+      },
+    },
+    orderBy: {
+      id: "asc",
+    },
+  });
+};
+
+export const findIssuedTicketById = async (id, userId = null) => {
+  const where = userId ? { id, userId } : { id };
+  return prisma.issuedTicket.findFirst({
+    where,
+    include: issuedTicketInclude,
+  });
+};
+
+export const findIssuedTicketByCode = async (code) => {
+  return prisma.issuedTicket.findUnique({
+    where: { code },
+    include: {
+      ...issuedTicketInclude,
+      user: {
+        select: {
+          id: true,
+          name: true,
+          email: true,
+        },
+      },
+    },
+  });
+};
+
+// only a still-valid ticket can be used, so two gates scanning the same code
+// at once cannot both let it in
+export const checkInIssuedTicket = async (id, checkedInById) => {
+  return prisma.issuedTicket.updateMany({
+    where: { id, status: "valid" },
+    data: {
+      status: "used",
+      checkedInAt: new Date(),
+      checkedInById,
+    },
+  });
+};
+
+// everyone still holding a ticket that can be used for the event
+export const findEventHolderIds = async (eventId) => {
+  const holders = await prisma.issuedTicket.findMany({
+    where: { eventId, status: "valid" },
+    distinct: ["userId"],
+    select: { userId: true },
+  });
+  return holders.map((holder) => holder.userId);
+};
+
+export const countIssuedTicketsByEvent = async (eventId) => {
+  const [byTicket, lastCheckIn] = await Promise.all([
+    prisma.issuedTicket.groupBy({
+      by: ["ticketId", "status"],
+      where: { eventId },
+      _count: { _all: true },
+    }),
+    prisma.issuedTicket.findFirst({
+      where: { eventId, status: "used" },
+      select: { checkedInAt: true },
+      orderBy: { checkedInAt: "desc" },
+    }),
+  ]);
+
+  return {
+    byTicket,
+    lastCheckInAt: lastCheckIn?.checkedInAt || null,
+  };
+};
@@ -0,0 +1,64 @@
+import { PrismaClient } from "@prisma/client";
+
+const prisma = new PrismaClient();
+
+export const findThrottles = async (scope, keys) => {
+  return prisma.loginThrottle.findMany({
+    where: {
+      scope,
+      key: { in: keys },
+    },
+  });
+};
+
+// Counts a failure in the database so concurrent attempts each see the
+// other's failure. Failures from before windowStart no longer count.
+export const addThrottleFailure = async (scope, key, now, windowStart) => {
+  await prisma.loginThrottle.updateMany({
+    where: { scope, key, lastFailureAt: { lt: windowStart } },
+    data: { failures: 0 },
+  });
+
+  return prisma.loginThrottle.upsert({
+    where: {
+      scope_key: { scope, key },
+    },
+    update: {
+      failures: { increment: 1 },
+      lastFailureAt: now,
+    },
+    create: {
+      scope,
+      key,
+      failures: 1,
+      lastFailureAt: now,
+    },
+  });
+};
+
+// only matches while the failures are still over the limit, so when several
+// attempts reach it at once the key is locked once, not escalated each time
+export const lockThrottle = async (id, maxFailures, lockedUntil) => {
+  const locked = await prisma.loginThrottle.updateMany({
+    where: { id, failures: { gte: maxFailures } },
+    data: {
+      failures: 0,
+      lockCount: { increment: 1 },
+      lockedUntil,
+    },
+  });
+
+  return locked.count > 0;
+};
+
+export const deleteThrottle = async (scope, key) => {
+  return prisma.loginThrottle.deleteMany({
+    where: { scope, key },
+  });
+};
+
+export const deleteThrottlesByKey = async (key) => {
+  return prisma.loginThrottle.deleteMany({
+    where: { key },
+  });
+};
@@ -23,6 +23,12 @@ export const createNotification = async (data) => {
   });
 };
 
+export const createNotifications = async (userIds, message) => {
+  return prisma.notification.createMany({
+    data: userIds.map((userId) => ({ userId, message })),
+  });
+};
+
 export const findNotificationsByUser = async (
   userId,
   { page = 1, limit = 10 }
@@ -0,0 +1,163 @@
+import { PrismaClient } from "@prisma/client";
+import { reserveTicketStock } from "./ticket.repository.js";
+import { sellCartSeats } from "./seat.repository.js";
+import { claimCartHold } from "./cart.repository.js";
+import { redeemPromoCode } from "./promo.repository.js";
+
+const prisma = new PrismaClient();
+
+export const createOrderWithReservation = async (data) => {
+  return prisma.$transaction(async (tx) => {
+    // items from the cart already took their stock when they were added
+    for (const item of data.items) {
+      if (item.cartId) {
+        if (!(await claimCartHold(tx, item.cartId))) {
+          throw new Error(
+            `Your hold on ${item.name} has expired, please add it to your cart again`
+          );
+        }
+        continue;
+      }
+
+      const reserved = await reserveTicketStock(
+        tx,
+        item.ticketId,
+        item.quantity
+      );
+      if (!reserved) {
+        throw new Error(`Not enough tickets available for ${item.name}`);
+      }
+    }
+
+    const order = await tx.order.create({
+      data: {
+        status: "pending",
+        originalAmount: data.originalAmount,
+        discount: data.discount,
+        amount: data.amount,
+        user: {
+          connect: { id: data.userId },
+        },
+        ...(data.promoCodeId && {
+          promoCode: {
+            connect: { id: data.promoCodeId },
+          },
+        }),
+        items: {
+          create: data.items.map((item) => ({
+            ticketId: item.ticketId,
+            quantity: item.quantity,
+            price: item.price,
+            subtotal: item.subtotal,
+            discount: item.discount,
+          })),
+        },
+        payments: {
+          create: {
+            orderId: data.orderId,
+            userId: data.userId,
+            quantity: data.items.reduce((sum, item) => sum + item.quantity, 0),
+            amount: data.amount,
+            originalAmount: data.originalAmount,
+            discount: data.discount,
+            status: "pending",
+          },
+        },
+      },
+      include: {
+        items: {
+          include: {
+            ticket: {
+              include: {
+                event: true,
+                category: true,
+              },
+            },
+          },
+        },
+        payments: true,
+      },
+    });
+
+    // the held seats of seated items are sold to this payment
+    for (const item of data.items.filter((item) => item.seated)) {
+      const sold = await sellCartSeats(tx, item.cartId, order.payments[0].id);
+      if (sold !== item.quantity) {
+        throw new Error(
+          `Your seats for ${item.name} are no longer held, please choose them again`
+        );
+      }
+    }
+
+    if (data.promoCodeId) {
+      await redeemPromoCode(tx, {
+        promoCodeId: data.promoCodeId,
+        userId: data.userId,
+        paymentId: order.payments[0].id,
+        discount: data.discount,
+      });
+    }
+
+    return order;
+  });
+};
+
+export const findOrdersByUser = async (userId, { page = 1, limit = 10 }) => {
+  const skip = (page - 1) * Number(limit);
+
+  const [total, orders] = await Promise.all([
+    prisma.order.count({ where: { userId } }),
+    prisma.order.findMany({
+      where: { userId },
+      skip,
+      take: Number(limit),
+      include: {
+        items: {
+          include: {
+            ticket: {
+              include: {
+                event: true,
+                category: true,
+              },
+            },
+          },
+        },
+        payments: true,
+      },
+      orderBy: {
+        createdAt: "desc",
+      },
+    }),
+  ]);
+
+  return {
+    orders,
+    meta: {
+      page: Number(page),
+      limit: Number(limit),
+      total,
+      totalPages: Math.ceil(total / Number(limit)),
+    },
+  };
+};
+
+export const findOrderById = async (id, userId = null) => {
+  const where = userId ? { id, userId } : { id };
+  return prisma.order.findFirst({
+    where,
+    include: {
+      items: {
+        include: {
+          ticket: {
+            include: {
+              event: true,
+              category: true,
+            },
+          },
+        },
+      },
+      payments: true,
+      promoCode: true,
+    },
+  });
+};
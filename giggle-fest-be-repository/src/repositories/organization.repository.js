@@ -0,0 +1,101 @@
+import { PrismaClient } from "@prisma/client";
+
+const prisma = new PrismaClient();
+
+const memberInclude = {
+  members: {
+    include: {
+      user: {
+        select: {
+          id: true,
+          name: true,
+          email: true,
+          role: true,
+        },
+      },
+    },
+    orderBy: {
+      createdAt: "asc",
+    },
+  },
+};
+
+export const createOrganization = async ({ name, ownerId, ownerRole }) => {
+  return prisma.organization.create({
+    data: {
+      name,
+      members: {
+        create: {
+          userId: ownerId,
+          role: ownerRole,
+        },
+      },
+    },
+    include: memberInclude,
+  });
+};
+
+export const findOrganizationById = async (id) => {
+  return prisma.organization.findUnique({
+    where: { id },
+    include: memberInclude,
+  });
+};
+
+export const findOrganizationsByUser = async (userId) => {
+  return prisma.organization.findMany({
+    where: {
+      members: {
+        some: { userId },
+      },
+    },
+    include: memberInclude,
+    orderBy: {
+      createdAt: "asc",
+    },
+  });
+};
+
+export const findMembership = async (organizationId, userId) => {
+  return prisma.organizationMember.findUnique({
+    where: {
+      organizationId_userId: { organizationId, userId },
+    },
+  });
+};
+
+export const findMembershipsByUser = async (userId) => {
+  return prisma.organizationMember.findMany({
+    where: { userId },
+  });
+};
+
+export const addMember = async (organizationId, userId, role) => {
+  return prisma.organizationMember.create({
+    data: { organizationId, userId, role },
+    include: {
+      user: {
+        select: {
+          id: true,
+          name: true,
+          email: true,
+          role: true,
+        },
+      },
+    },
+  });
+};
+
+export const removeMember = async (organizationId, userId) => {
+  return prisma.organizationMember.delete({
+    where: {
+      organizationId_userId: { organizationId, userId },
+    },
+  });
+};
+
+export const countMembersByRole = async (organizationId, role) => {
+  return prisma.organizationMember.count({
+    where: { organizationId, role },
+  });
+};
@@ -1,9 +1,24 @@
 import { PrismaClient } from "@prisma/client";
+import {
+  reserveTicketStock,
+  releaseTicketStock,
+} from "./ticket.repository.js";
+import { sellSeats, releasePaymentSeats } from "./seat.repository.js";
+import { releaseExpiredHolds } from "./cart.repository.js";
+import { offerWaitlistStock } from "./waitlist.repository.js";
+import { redeemPromoCode, releasePromoRedemption } from "./promo.repository.js";
+import {
+  getPaymentLineItems,
+  OPEN_PAYMENT_STATUSES,
+  SOLD_PAYMENT_STATUSES,
+  getRefundedLines,
+} from "../utils/lineItems.js";
 const prisma = new PrismaClient();
 
 export const createPayment = async (data) => {
   return prisma.payment.create({
     data: {
+      quantity: data.quantity,
       amount: data.amount,
       originalAmount: data.originalAmount,
       discount: data.discount,
@@ -38,13 +53,20 @@ export const createPayment = async (data) => {
   });
 };
 
+// filters shared by the payment list and the payment export
+const buildPaymentWhere = ({ userId = null, status } = {}) => ({
+  ...(userId && { userId }),
+  ...(status && { status }),
+});
+
 export const findAllPayments = async ({
   page = 1,
   limit = 10,
   userId = null,
+  status,
 }) => {
   const skip = (page - 1) * Number(limit);
-  const where = userId ? { userId } : {};
+  const where = buildPaymentWhere({ userId, status });
 
   const [total, payments] = await Promise.all([
     prisma.payment.count({ where }),
@@ -84,6 +106,65 @@ export const findAllPayments = async ({
   };
 };
 
+export const findPaymentExportBatch = async (
+  filters,
+  { afterId = 0, take }
+) => {
+  return prisma.payment.findMany({
+    where: {
+      ...buildPaymentWhere(filters),
+      id: { gt: afterId },
+    },
+    take,
+    include: {
+      user: {
+        select: {
+          id: true,
+          name: true,
+          email: true,
+        },
+      },
+      ticket: {
+        include: {
+          event: true,
+        },
+      },
+      order: {
+        include: {
+          items: {
+            include: {
+              ticket: {
+                include: {
+                  event: true,
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+    orderBy: {
+      id: "asc",
+    },
+  });
+};
+
+// payments that bought at least one ticket of the event, directly or
+// through an order
+export const findPaymentIdsByEvent = async (eventId, statuses) => {
+  return prisma.payment.findMany({
+    where: {
+      status: { in: statuses },
+      OR: [
+        { ticket: { eventId } },
+        { order: { items: { some: { ticket: { eventId } } } } },
+      ],
+    },
+    select: { id: true },
+    orderBy: { id: "asc" },
+  });
+};
+
 export const findPaymentById = async (id, userId = null) => {
   const where = userId ? { id, userId } : { id };
   return prisma.payment.findFirst({
@@ -127,6 +208,47 @@ export const findPaymentByOrderId = async (orderId) => {
   });
 };
 
+// a bundle brings its components along, as tickets are issued for those
+const lineTicketInclude = {
+  include: {
+    event: true,
+    bundleItems: {
+      include: {
+        ticket: { include: { event: true } },
+      },
+    },
+  },
+};
+
+export const findPaymentWithItems = async (id) => {
+  return prisma.payment.findUnique({
+    where: { id },
+    include: {
+      user: {
+        select: {
+          id: true,
+          name: true,
+          email: true,
+        },
+      },
+      ticket: lineTicketInclude,
+      order: {
+        include: {
+          items: {
+            include: {
+              ticket: lineTicketInclude,
+            },
+          },
+        },
+      },
+      seats: {
+        include: { seat: true },
+        orderBy: { id: "asc" },
+      },
+    },
+  });
+};
+
 export const updatePaymentStatus = async (orderId, status) => {
   return prisma.payment.update({
     where: { orderId },
@@ -148,3 +270,239 @@ export const updatePaymentStatus = async (orderId, status) => {
     },
   });
 };
+
+export const createPaymentWithReservation = async (data) => {
+  return prisma.$transaction(async (tx) => {
+    // stock still taken by carts whose hold ran out is for sale again, once
+    // the people waiting for it have been offered their share
+    await releaseExpiredHolds(tx, { ticketId: data.ticketId });
+    await offerWaitlistStock(tx, data.ticketId);
+
+    const reserved = await reserveTicketStock(
+      tx,
+      data.ticketId,
+      data.quantity
+    );
+
+    if (!reserved) {
+      throw new Error("Not enough tickets available");
+    }
+
+    const payment = await tx.payment.create({
+      data: {
+        quantity: data.quantity,
+        amount: data.amount,
+        originalAmount: data.originalAmount,
+        discount: data.discount,
+        status: data.status,
+        orderId: data.orderId,
+        user: {
+          connect: {
+            id: data.userId,
+          },
+        },
+        ticket: {
+          connect: {
+            id: data.ticketId,
+          },
+        },
+      },
+      include: {
+        user: {
+          select: {
+            id: true,
+            name: true,
+            email: true,
+          },
+        },
+        ticket: {
+          include: {
+            event: true,
+            category: true,
+          },
+        },
+      },
+    });
+
+    if (data.seatIds) {
+      const sold = await sellSeats(tx, {
+        eventSeatIds: data.seatIds,
+        ticketId: data.ticketId,
+        paymentId: payment.id,
+      });
+      if (!sold) {
+        throw new Error("Some of the selected seats are no longer available");
+      }
+    }
+
+    if (data.promoCodeId) {
+      await redeemPromoCode(tx, {
+        promoCodeId: data.promoCodeId,
+        userId: data.userId,
+        paymentId: payment.id,
+        discount: data.discount,
+      });
+    }
+
+    return payment;
+  });
+};
+
+export const settlePayment = async (orderId, status) => {
+  return prisma.$transaction(async (tx) => {
+    const settled = await tx.payment.updateMany({
+      where: {
+        orderId,
+        status: { in: OPEN_PAYMENT_STATUSES },
+      },
+      data: { status },
+    });
+
+    // another request already settled this payment and its reservation
+    if (settled.count === 0) {
+      return null;
+    }
+
+    const payment = await tx.payment.findUnique({
+      where: { orderId },
+      include: {
+        order: {
+          include: { items: true },
+        },
+      },
+    });
+
+    if (payment.order) {
+      await tx.order.update({
+        where: { id: payment.order.id },
+        data: { status: status === "success" ? "paid" : "failed" },
+      });
+    }
+
+    if (status === "failed") {
+      const lineItems = getPaymentLineItems(payment);
+      for (const item of lineItems) {
+        await releaseTicketStock(tx, item.ticketId, item.quantity);
+      }
+      await releasePaymentSeats(tx, payment.id);
+      await releasePromoRedemption(tx, payment.id);
+
+      for (const ticketId of new Set(lineItems.map((item) => item.ticketId))) {
+        await offerWaitlistStock(tx, ticketId);
+      }
+    }
+
+    return tx.payment.findUnique({
+      where: { orderId },
+      include: {
+        user: {
+          select: {
+            id: true,
+            name: true,
+            email: true,
+          },
+        },
+        ticket: {
+          include: {
+            event: true,
+            category: true,
+          },
+        },
+      },
+    });
+  });
+};
+
+// Units sold and revenue per ticket type of one event. Single-ticket payments
+// carry the ticket directly, cart checkouts count through their paid orders.
+// Completed refunds follow as rows taking their units and amount back off.
+export const aggregateEventSales = async (eventId) => {
+  const [payments, orderItems, refundedPayments] = await Promise.all([
+    prisma.payment.groupBy({
+      by: ["ticketId"],
+      where: {
+        status: { in: SOLD_PAYMENT_STATUSES },
+        ticket: { eventId },
+      },
+      _sum: {
+        quantity: true,
+        originalAmount: true,
+        discount: true,
+      },
+    }),
+    prisma.orderItem.groupBy({
+      by: ["ticketId"],
+      where: {
+        order: { status: { in: ["paid", "refunded"] } },
+        ticket: { eventId },
+      },
+      _sum: {
+        quantity: true,
+        subtotal: true,
+        discount: true,
+      },
+    }),
+    prisma.payment.findMany({
+      where: {
+        refunds: { some: { status: "refunded" } },
+        OR: [
+          { ticket: { eventId } },
+          { order: { items: { some: { ticket: { eventId } } } } },
+        ],
+      },
+      select: {
+        ticketId: true,
+        quantity: true,
+        originalAmount: true,
+        discount: true,
+        order: {
+          select: {
+            items: {
+              select: {
+                ticketId: true,
+                quantity: true,
+                subtotal: true,
+                discount: true,
+              },
+            },
+          },
+        },
+        refunds: {
+          where: { status: "refunded" },
+          select: { amount: true, issuedTicketIds: true },
+        },
+        issuedTickets: {
+          select: { id: true, ticketId: true, bundleId: true },
+        },
+      },
+    }),
+  ]);
+
+  return [
+    ...payments.map((row) => ({
+      ticketId: row.ticketId,
+      quantity: row._sum.quantity || 0,
+      gross: row._sum.originalAmount || 0,
+      discount: row._sum.discount || 0,
+      refunded: 0,
+    })),
+    ...orderItems.map((row) => ({
+      ticketId: row.ticketId,
+      quantity: row._sum.quantity || 0,
+      gross: row._sum.subtotal || 0,
+      discount: row._sum.discount || 0,
+      refunded: 0,
+    })),
+    ...refundedPayments.flatMap((payment) =>
+      [...getRefundedLines(payment)]
+        .filter(([, refunded]) => refunded.quantity > 0)
+        .map(([ticketId, refunded]) => ({
+          ticketId,
+          quantity: -refunded.quantity,
+          gross: 0,
+          discount: 0,
+          refunded: refunded.amount,
+        }))
+    ),
+  ];
+};
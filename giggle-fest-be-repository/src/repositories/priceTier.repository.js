@@ -0,0 +1,33 @@
+import { PrismaClient } from "@prisma/client";
+
+const prisma = new PrismaClient();
+
+// tiers come back in the order they were given, which decides which one
+// wins when several match
+export const findTiersByTicketIds = async (ticketIds) => {
+  return prisma.priceTier.findMany({
+    where: { ticketId: { in: ticketIds } },
+    orderBy: { id: "asc" },
+  });
+};
+
+export const replaceTicketTiers = async (ticketId, tiers) => {
+  return prisma.$transaction(async (tx) => {
+    await tx.priceTier.deleteMany({ where: { ticketId } });
+    await tx.priceTier.createMany({
+      data: tiers.map((tier) => ({
+        ticketId,
+        name: tier.name,
+        price: tier.price,
+        startsAt: tier.startsAt ? new Date(tier.startsAt) : null,
+        endsAt: tier.endsAt ? new Date(tier.endsAt) : null,
+        maxSold: tier.maxSold ?? null,
+      })),
+    });
+
+    return tx.priceTier.findMany({
+      where: { ticketId },
+      orderBy: { id: "asc" },
+    });
+  });
+};
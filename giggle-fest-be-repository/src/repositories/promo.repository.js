@@ -6,19 +6,37 @@ export const createPromoCode = async (data) => {
   return prisma.promoCode.create({
     data: {
       code: data.code.toUpperCase(),
+      discountType: data.discountType,
       discount: data.discount,
+      maxDiscount: data.maxDiscount,
+      minOrderAmount: data.minOrderAmount,
+      usageLimit: data.usageLimit,
+      perUserLimit: data.perUserLimit,
+      eventIds: data.eventIds,
+      ticketIds: data.ticketIds,
+      categoryIds: data.categoryIds,
       validFrom: new Date(data.validFrom),
       validTo: new Date(data.validTo),
+      ...(data.organizationId && { organizationId: data.organizationId }),
     },
   });
 };
 
-export const findAllPromoCodes = async ({ page = 1, limit = 10 }) => {
+// organizationIds limits the listing to those organizations' promos
+export const findAllPromoCodes = async ({
+  page = 1,
+  limit = 10,
+  organizationIds = null,
+}) => {
   const skip = (page - 1) * Number(limit);
+  const where = organizationIds
+    ? { organizationId: { in: organizationIds } }
+    : {};
 
   const [total, promoCodes] = await Promise.all([
-    prisma.promoCode.count(),
+    prisma.promoCode.count({ where }),
     prisma.promoCode.findMany({
+      where,
       skip,
       take: Number(limit),
       orderBy: {
@@ -66,8 +84,168 @@ export const updatePromoCode = async (id, data) => {
   });
 };
 
+// redemptions and orders keep the code they used, so a used code cannot go
+export const isPromoCodeUsed = async (id) => {
+  const [redemptions, orders] = await Promise.all([
+    prisma.redemption.count({ where: { promoCodeId: id } }),
+    prisma.order.count({ where: { promoCodeId: id } }),
+  ]);
+
+  return redemptions + orders > 0;
+};
+
 export const deletePromoCode = async (id) => {
   return prisma.promoCode.delete({
     where: { id },
   });
 };
+
+export const countUserRedemptions = async (promoCodeId, userId) => {
+  return prisma.redemption.count({
+    where: { promoCodeId, userId },
+  });
+};
+
+// Counts the use on the promo before checking its limits. The update keeps
+// the promo row locked until the caller's transaction ends, so concurrent
+// purchases with the same code take turns and each one sees the redemptions
+// committed before it.
+export const redeemPromoCode = async (
+  tx,
+  { promoCodeId, userId, paymentId, discount }
+) => {
+  const promo = await tx.promoCode.update({
+    where: { id: promoCodeId },
+    data: { usedCount: { increment: 1 } },
+  });
+  if (promo.usageLimit && promo.usedCount > promo.usageLimit) {
+    throw new Error("Promo code has reached its usage limit");
+  }
+
+  if (promo.perUserLimit) {
+    const used = await tx.redemption.count({
+      where: { promoCodeId, userId },
+    });
+    if (used >= promo.perUserLimit) {
+      throw new Error("You have already used this promo code");
+    }
+  }
+
+  return tx.redemption.create({
+    data: { promoCodeId, userId, paymentId, discount },
+  });
+};
+
+// a failed payment gives its use of the promo back
+export const releasePromoRedemption = async (tx, paymentId) => {
+  const redemption = await tx.redemption.findUnique({
+    where: { paymentId },
+  });
+  if (!redemption) {
+    return null;
+  }
+
+  await tx.redemption.delete({ where: { id: redemption.id } });
+  return tx.promoCode.update({
+    where: { id: redemption.promoCodeId },
+    data: { usedCount: { decrement: 1 } },
+  });
+};
+
+const CAMPAIGN_CODE_BATCH = 1000;
+
+// the largest campaigns write thousands of codes, well past Prisma's default
+// of five seconds for an interactive transaction
+const CAMPAIGN_TRANSACTION_TIMEOUT = 60000;
+
+const insertCampaign = async (tx, campaign, rules, generateCode) => {
+  const created = await tx.promoCampaign.create({ data: campaign });
+
+  let remaining = campaign.codeCount;
+  while (remaining > 0) {
+    const codes = Array.from(
+      { length: Math.min(remaining, CAMPAIGN_CODE_BATCH) },
+      () => generateCode()
+    );
+    const { count } = await tx.promoCode.createMany({
+      data: codes.map((code) => ({
+        ...rules,
+        code,
+        campaignId: created.id,
+      })),
+      skipDuplicates: true,
+    });
+    if (count === 0) {
+      throw new Error("Could not generate unique promo codes");
+    }
+    remaining -= count;
+  }
+
+  return created;
+};
+
+// Creates the campaign together with all of its codes. Codes that clash with
+// one that already exists are skipped and made up for in the next batch.
+export const createPromoCampaign = async (campaign, rules, generateCode) => {
+  return prisma.$transaction(
+    (tx) => insertCampaign(tx, campaign, rules, generateCode),
+    { timeout: CAMPAIGN_TRANSACTION_TIMEOUT }
+  );
+};
+
+export const findPromoCampaignById = async (id) => {
+  return prisma.promoCampaign.findUnique({
+    where: { id },
+  });
+};
+
+export const getCampaignUsage = async (campaignId) => {
+  const [redeemedCodes, redemptions] = await Promise.all([
+    prisma.promoCode.count({
+      where: { campaignId, usedCount: { gt: 0 } },
+    }),
+    prisma.redemption.aggregate({
+      where: { promoCode: { campaignId } },
+      _sum: { discount: true },
+    }),
+  ]);
+
+  return {
+    redeemedCodes,
+    totalDiscount: redemptions._sum.discount ?? 0,
+  };
+};
+
+export const findCampaignCodeExportBatch = async (
+  campaignId,
+  { afterId = 0, take }
+) => {
+  return prisma.promoCode.findMany({
+    where: {
+      campaignId,
+      id: { gt: afterId },
+    },
+    take,
+    include: {
+      redemptions: {
+        include: {
+          user: {
+            select: {
+              id: true,
+              name: true,
+              email: true,
+            },
+          },
+          payment: {
+            select: {
+              orderId: true,
+            },
+          },
+        },
+      },
+    },
+    orderBy: {
+      id: "asc",
+    },
+  });
+};
@@ -0,0 +1,227 @@
+import { PrismaClient } from "@prisma/client";
+import { releaseTicketStock } from "./ticket.repository.js";
+import { releaseSeats } from "./seat.repository.js";
+import { offerWaitlistStock } from "./waitlist.repository.js";
+
+const prisma = new PrismaClient();
+
+const refundInclude = {
+  payment: {
+    select: {
+      id: true,
+      orderId: true,
+      amount: true,
+      status: true,
+      orderRecordId: true,
+    },
+  },
+  user: {
+    select: {
+      id: true,
+      name: true,
+      email: true,
+    },
+  },
+};
+
+// the payment is flagged in the same transaction, and only from a state that
+// can be refunded, so two requests for one payment cannot both get through
+export const createRefundRequest = async (data, refundableStatuses) => {
+  return prisma.$transaction(async (tx) => {
+    const flagged = await tx.payment.updateMany({
+      where: {
+        id: data.paymentId,
+        status: { in: refundableStatuses },
+      },
+      data: { status: "refund_requested" },
+    });
+
+    if (flagged.count === 0) {
+      throw new Error("A refund is already pending for this payment");
+    }
+
+    return tx.refund.create({
+      data: {
+        paymentId: data.paymentId,
+        userId: data.userId,
+        issuedTicketIds: data.issuedTicketIds,
+        amount: data.amount,
+        reason: data.reason,
+        refundKey: data.refundKey,
+      },
+      include: refundInclude,
+    });
+  });
+};
+
+export const findRefundById = async (id) => {
+  return prisma.refund.findUnique({
+    where: { id },
+    include: refundInclude,
+  });
+};
+
+export const findRefunds = async ({
+  page = 1,
+  limit = 10,
+  status,
+  userId = null,
+}) => {
+  const skip = (page - 1) * Number(limit);
+  const where = {
+    ...(userId && { userId }),
+    ...(status && { status }),
+  };
+
+  const [total, refunds] = await Promise.all([
+    prisma.refund.count({ where }),
+    prisma.refund.findMany({
+      where,
+      skip,
+      take: Number(limit),
+      include: refundInclude,
+      orderBy: {
+        createdAt: "desc",
+      },
+    }),
+  ]);
+
+  return {
+    refunds,
+    meta: {
+      page: Number(page),
+      limit: Number(limit),
+      total,
+      totalPages: Math.ceil(total / Number(limit)),
+    },
+  };
+};
+
+export const sumRefundedAmount = async (paymentId) => {
+  const result = await prisma.refund.aggregate({
+    where: { paymentId, status: "refunded" },
+    _sum: { amount: true },
+  });
+  return result._sum.amount || 0;
+};
+
+// whether the ticket is on a refund that is still being decided
+export const hasOpenRefund = async (issuedTicketId) => {
+  const count = await prisma.refund.count({
+    where: {
+      status: { in: ["requested", "processing"] },
+      issuedTicketIds: { has: issuedTicketId },
+    },
+  });
+  return count > 0;
+};
+
+// Moves a refund out of one status, returning false when another request
+// already moved it
+export const transitionRefund = async (id, fromStatus, data) => {
+  const updated = await prisma.refund.updateMany({
+    where: { id, status: fromStatus },
+    data,
+  });
+  return updated.count > 0;
+};
+
+export const rejectRefund = async (refund, review, paymentStatus) => {
+  return prisma.$transaction(async (tx) => {
+    const rejected = await tx.refund.updateMany({
+      where: { id: refund.id, status: "requested" },
+      data: {
+        status: "rejected",
+        ...review,
+      },
+    });
+
+    if (rejected.count === 0) {
+      throw new Error("Refund request is not pending");
+    }
+
+    await tx.payment.update({
+      where: { id: refund.paymentId },
+      data: { status: paymentStatus },
+    });
+
+    return tx.refund.findUnique({
+      where: { id: refund.id },
+      include: refundInclude,
+    });
+  });
+};
+
+// Runs after Midtrans has returned the money: the refunded tickets can no
+// longer be used and go back on sale
+export const completeRefund = async (refund, review, paymentStatus) => {
+  return prisma.$transaction(async (tx) => {
+    const voided = await tx.issuedTicket.findMany({
+      where: {
+        id: { in: refund.issuedTicketIds },
+        status: "valid",
+      },
+      select: { id: true, ticketId: true, bundleId: true, eventSeatId: true },
+    });
+
+    await tx.issuedTicket.updateMany({
+      where: { id: { in: voided.map((ticket) => ticket.id) } },
+      data: { status: "void" },
+    });
+
+    const released = new Map();
+    const bundled = new Map();
+    for (const { ticketId, bundleId } of voided) {
+      const counts = bundleId ? bundled : released;
+      const key = bundleId ?? ticketId;
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+
+    // bundles are only refunded whole, so their tickets go back as bundles:
+    // the bundle's own stock returns along with that of its components
+    const waitlisted = new Set(released.keys());
+    for (const [bundleId, count] of bundled) {
+      const components = await tx.bundleItem.findMany({ where: { bundleId } });
+      const perBundle = components.reduce(
+        (sum, item) => sum + item.quantity,
+        0
+      );
+      released.set(bundleId, Math.floor(count / perBundle));
+      components.forEach((item) => waitlisted.add(item.ticketId));
+    }
+
+    for (const [ticketId, quantity] of released) {
+      await releaseTicketStock(tx, ticketId, quantity);
+    }
+
+    const seatIds = voided.map((ticket) => ticket.eventSeatId).filter(Boolean);
+    if (seatIds.length > 0) {
+      await releaseSeats(tx, seatIds);
+    }
+
+    for (const ticketId of waitlisted) {
+      await offerWaitlistStock(tx, ticketId);
+    }
+
+    await tx.payment.update({
+      where: { id: refund.paymentId },
+      data: { status: paymentStatus },
+    });
+
+    if (paymentStatus === "refunded" && refund.payment.orderRecordId) {
+      await tx.order.update({
+        where: { id: refund.payment.orderRecordId },
+        data: { status: "refunded" },
+      });
+    }
+
+    return tx.refund.update({
+      where: { id: refund.id },
+      data: {
+        status: "refunded",
+        ...review,
+      },
+      include: refundInclude,
+    });
+  });
+};
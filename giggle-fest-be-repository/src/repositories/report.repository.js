@@ -0,0 +1,137 @@
+import { PrismaClient, Prisma } from "@prisma/client";
+
+const prisma = new PrismaClient();
+
+export const findReportTickets = async (eventWhere) => {
+  return prisma.ticket.findMany({
+    where: {
+      event: eventWhere,
+    },
+    select: {
+      id: true,
+      name: true,
+      price: true,
+      quantity: true,
+      event: {
+        select: {
+          id: true,
+          name: true,
+          date: true,
+          organizationId: true,
+        },
+      },
+    },
+    orderBy: [{ eventId: "asc" }, { id: "asc" }],
+  });
+};
+
+// Every payment in the date range that covers one of the tickets, as one
+// line per ticket type: cart orders carry their own per-item subtotal and
+// discount, single purchases use the payment totals. Lines for ticket types
+// outside ticketIds are kept so refunds can be spread over the whole payment.
+const saleLines = ({ ticketIds, from = null, to = null }) => Prisma.sql`
+  payments AS (
+    SELECT p.*
+    FROM "Payment" p
+    WHERE (${from}::timestamp IS NULL OR p."paymentDate" >= ${from})
+      AND (${to}::timestamp IS NULL OR p."paymentDate" <= ${to})
+      AND (
+        p."ticketId" = ANY(${ticketIds}::int[])
+        OR EXISTS (
+          SELECT 1 FROM "OrderItem" oi
+          WHERE oi."orderId" = p."orderRecordId"
+            AND oi."ticketId" = ANY(${ticketIds}::int[])
+        )
+      )
+  ),
+  lines AS (
+    SELECT p.id AS "paymentId", p.status, p."paymentDate", p."ticketId",
+      p.quantity, p."originalAmount" AS gross, p.discount
+    FROM payments p
+    WHERE p."orderRecordId" IS NULL
+    UNION ALL
+    SELECT p.id, p.status, p."paymentDate", oi."ticketId",
+      oi.quantity, oi.subtotal, oi.discount
+    FROM payments p
+    JOIN "OrderItem" oi ON oi."orderId" = p."orderRecordId"
+  )
+`;
+
+// Sales per ticket type, day and payment status. A completed refund is
+// spread over the payment's ticket types by what its tickets cost (tickets
+// issued for a bundle count towards the bundle) and comes off sold and
+// revenue on the day of the payment, as getRefundedLines does.
+export const aggregateReportSales = async (range) => {
+  return prisma.$queryRaw`
+    WITH ${saleLines(range)},
+    issued AS (
+      SELECT it."paymentId", COALESCE(it."bundleId", it."ticketId") AS "ticketId",
+        COUNT(*) AS count
+      FROM "IssuedTicket" it
+      WHERE it."paymentId" IN (SELECT id FROM payments)
+      GROUP BY 1, 2
+    ),
+    refund_counts AS (
+      SELECT r.id AS "refundId",
+        COALESCE(it."bundleId", it."ticketId") AS "ticketId", COUNT(*) AS count
+      FROM "Refund" r
+      JOIN "IssuedTicket" it
+        ON it."paymentId" = r."paymentId" AND it.id = ANY(r."issuedTicketIds")
+      WHERE r.status = 'refunded' AND r."paymentId" IN (SELECT id FROM payments)
+      GROUP BY 1, 2
+    ),
+    shares AS (
+      SELECT r.id AS "refundId", r.amount, l."paymentId", l."ticketId",
+        l.quantity, l.gross - l.discount AS net,
+        COALESCE(rc.count, 0)::float8 / COALESCE(i.count, l.quantity) AS share
+      FROM "Refund" r
+      JOIN lines l ON l."paymentId" = r."paymentId"
+      LEFT JOIN refund_counts rc
+        ON rc."refundId" = r.id AND rc."ticketId" = l."ticketId"
+      LEFT JOIN issued i
+        ON i."paymentId" = l."paymentId" AND i."ticketId" = l."ticketId"
+      WHERE r.status = 'refunded'
+    ),
+    refunded AS (
+      SELECT "paymentId", "ticketId", SUM(quantity * share) AS quantity,
+        SUM(CASE WHEN value > 0 THEN amount * net * share / value ELSE 0 END)
+          AS amount
+      FROM (
+        SELECT s.*, SUM(s.net * s.share) OVER (PARTITION BY s."refundId") AS value
+        FROM shares s
+      ) valued
+      GROUP BY 1, 2
+    )
+    SELECT l."ticketId", to_char(l."paymentDate", 'YYYY-MM-DD') AS day,
+      l.status,
+      SUM(l.quantity - COALESCE(r.quantity, 0))::float8 AS quantity,
+      SUM(l.gross)::float8 AS gross,
+      SUM(l.discount)::float8 AS discount,
+      SUM(COALESCE(r.amount, 0))::float8 AS refunded
+    FROM lines l
+    LEFT JOIN refunded r
+      ON r."paymentId" = l."paymentId" AND r."ticketId" = l."ticketId"
+    WHERE l."ticketId" = ANY(${range.ticketIds}::int[])
+    GROUP BY 1, 2, 3
+    ORDER BY 2
+  `;
+};
+
+// Payments per status, for each ticket type, for each event (eventId set,
+// ticketId null) and overall (both null). A cart order touching several
+// ticket types still counts once for its event and overall.
+export const countReportPayments = async (range) => {
+  return prisma.$queryRaw`
+    WITH ${saleLines(range)}
+    SELECT t."eventId", l."ticketId", l.status,
+      COUNT(DISTINCT l."paymentId")::int AS payments
+    FROM lines l
+    JOIN "Ticket" t ON t.id = l."ticketId"
+    WHERE l."ticketId" = ANY(${range.ticketIds}::int[])
+    GROUP BY GROUPING SETS (
+      (l.status, t."eventId", l."ticketId"),
+      (l.status, t."eventId"),
+      (l.status)
+    )
+  `;
+};
@@ -187,6 +187,39 @@ export const findReviewsByUser = async (userId, { page = 1, limit = 10 }) => {
   };
 };
 
+export const findReviewExportBatch = async (
+  { ticketId, userId },
+  { afterId = 0, take }
+) => {
+  return prisma.review.findMany({
+    where: {
+      ...(ticketId && { ticketId }),
+      ...(userId && { userId }),
+      id: { gt: afterId },
+    },
+    take,
+    include: {
+      user: {
+        select: {
+          id: true,
+          name: true,
+          email: true,
+        },
+      },
+      ticket: {
+        select: {
+          id: true,
+          name: true,
+          event: true,
+        },
+      },
+    },
+    orderBy: {
+      id: "asc",
+    },
+  });
+};
+
 export const updateReview = async (id, userId, data) => {
   return prisma.review.update({
     where: {
@@ -0,0 +1,173 @@
+import { PrismaClient } from "@prisma/client";
+import { SEAT_STATUSES, freeSeatWhere } from "../utils/seating.js";
+import { WAITLIST_STATUSES } from "../utils/waitlist.js";
+
+const prisma = new PrismaClient();
+
+const releasedSeat = {
+  status: SEAT_STATUSES.AVAILABLE,
+  heldUntil: null,
+  cartId: null,
+  paymentId: null,
+};
+
+// Lays the event's ticket types out over the venue's seats, replacing any
+// earlier layout. Cart items holding seats of the old layout are dropped,
+// and so are those on a ticket type being seated along with its waitlist, as
+// they took stock without a seat. Each seated ticket type's stock then
+// becomes its number of seats.
+export const replaceEventSeating = async (
+  eventId,
+  { venueId, seatMap, assignments }
+) => {
+  const ticketIds = assignments.map(({ ticketId }) => ticketId);
+
+  return prisma.$transaction(async (tx) => {
+    await tx.waitlistEntry.updateMany({
+      where: {
+        ticketId: { in: ticketIds },
+        status: { in: [WAITLIST_STATUSES.WAITING, WAITLIST_STATUSES.OFFERED] },
+      },
+      data: { status: WAITLIST_STATUSES.EXPIRED },
+    });
+    await tx.cart.deleteMany({
+      where: {
+        OR: [{ seats: { some: { eventId } } }, { ticketId: { in: ticketIds } }],
+      },
+    });
+    await tx.eventSeat.deleteMany({ where: { eventId } });
+
+    await tx.eventSeat.createMany({
+      data: assignments.flatMap(({ ticketId, seatIds }) =>
+        seatIds.map((seatId) => ({ eventId, seatId, ticketId }))
+      ),
+    });
+
+    for (const { ticketId, seatIds } of assignments) {
+      await tx.ticket.update({
+        where: { id: ticketId },
+        data: { quantity: seatIds.length },
+      });
+    }
+
+    return tx.event.update({
+      where: { id: eventId },
+      data: { venueId, seatMap },
+      include: { venue: true },
+    });
+  });
+};
+
+export const findEventSeats = async (eventId) => {
+  return prisma.eventSeat.findMany({
+    where: { eventId },
+    include: { seat: true },
+    orderBy: [
+      { seat: { section: "asc" } },
+      { seat: { row: "asc" } },
+      { seat: { number: "asc" } },
+    ],
+  });
+};
+
+export const countTicketSeats = async (ticketId) => {
+  return prisma.eventSeat.count({ where: { ticketId } });
+};
+
+// The seat helpers below run inside the caller's transaction. Each update
+// only matches seats still in the expected state, so when two buyers race
+// for a seat the second update skips it and the caller sees a short count.
+
+export const holdSeats = async (
+  tx,
+  { eventSeatIds, ticketId, cartId, heldUntil, now = new Date() }
+) => {
+  const held = await tx.eventSeat.updateMany({
+    where: {
+      id: { in: eventSeatIds },
+      ticketId,
+      ...freeSeatWhere(now),
+    },
+    data: {
+      status: SEAT_STATUSES.HELD,
+      heldUntil,
+      cartId,
+    },
+  });
+
+  return held.count === eventSeatIds.length;
+};
+
+// keeps the seats a cart item already holds on the item's restarted hold
+export const extendCartSeats = async (tx, cartId, heldUntil) => {
+  return tx.eventSeat.updateMany({
+    where: { cartId, status: SEAT_STATUSES.HELD },
+    data: { heldUntil },
+  });
+};
+
+// returns how many of the cart item's seats were still held and are now sold
+export const sellCartSeats = async (
+  tx,
+  cartId,
+  paymentId,
+  now = new Date()
+) => {
+  const sold = await tx.eventSeat.updateMany({
+    where: {
+      cartId,
+      status: SEAT_STATUSES.HELD,
+      heldUntil: { gt: now },
+    },
+    data: {
+      status: SEAT_STATUSES.SOLD,
+      heldUntil: null,
+      cartId: null,
+      paymentId,
+    },
+  });
+
+  return sold.count;
+};
+
+export const sellSeats = async (
+  tx,
+  { eventSeatIds, ticketId, paymentId, now = new Date() }
+) => {
+  const sold = await tx.eventSeat.updateMany({
+    where: {
+      id: { in: eventSeatIds },
+      ticketId,
+      ...freeSeatWhere(now),
+    },
+    data: {
+      status: SEAT_STATUSES.SOLD,
+      heldUntil: null,
+      cartId: null,
+      paymentId,
+    },
+  });
+
+  return sold.count === eventSeatIds.length;
+};
+
+export const releaseCartSeats = async (tx, cartId) => {
+  return tx.eventSeat.updateMany({
+    where: { cartId, status: SEAT_STATUSES.HELD },
+    data: releasedSeat,
+  });
+};
+
+export const releasePaymentSeats = async (tx, paymentId) => {
+  return tx.eventSeat.updateMany({
+    where: { paymentId },
+    data: releasedSeat,
+  });
+};
+
+export const releaseSeats = async (tx, eventSeatIds) => {
+  return tx.eventSeat.updateMany({
+    where: { id: { in: eventSeatIds } },
+    data: releasedSeat,
+  });
+};
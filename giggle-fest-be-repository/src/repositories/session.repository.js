@@ -0,0 +1,127 @@
+import { PrismaClient } from "@prisma/client";
+
+const prisma = new PrismaClient();
+
+export const createSession = async ({
+  userId,
+  userAgent,
+  ipAddress,
+  mfa = false,
+  refreshTokenHash,
+  refreshTokenExpiresAt,
+}) => {
+  return prisma.session.create({
+    data: {
+      userAgent,
+      ipAddress,
+      mfa,
+      user: {
+        connect: { id: userId },
+      },
+      refreshTokens: {
+        create: {
+          tokenHash: refreshTokenHash,
+          expiresAt: refreshTokenExpiresAt,
+        },
+      },
+    },
+  });
+};
+
+export const findSessionById = async (id) => {
+  return prisma.session.findUnique({
+    where: { id },
+  });
+};
+
+export const findActiveSessionsByUser = async (userId) => {
+  return prisma.session.findMany({
+    where: { userId, revokedAt: null },
+    select: {
+      id: true,
+      userAgent: true,
+      ipAddress: true,
+      createdAt: true,
+      lastSeenAt: true,
+    },
+    orderBy: {
+      lastSeenAt: "desc",
+    },
+  });
+};
+
+export const touchSession = async (id) => {
+  return prisma.session.update({
+    where: { id },
+    data: { lastSeenAt: new Date() },
+  });
+};
+
+export const findRefreshTokenByHash = async (tokenHash) => {
+  return prisma.refreshToken.findUnique({
+    where: { tokenHash },
+    include: {
+      session: {
+        include: {
+          user: {
+            select: {
+              id: true,
+              email: true,
+              role: true,
+            },
+          },
+        },
+      },
+    },
+  });
+};
+
+// marks the presented token as used and issues its successor in one step;
+// returns null when another request already rotated it
+export const rotateRefreshToken = async (
+  id,
+  { sessionId, tokenHash, expiresAt }
+) => {
+  return prisma.$transaction(async (tx) => {
+    const used = await tx.refreshToken.updateMany({
+      where: { id, usedAt: null },
+      data: { usedAt: new Date() },
+    });
+
+    if (used.count === 0) {
+      return null;
+    }
+
+    await tx.session.update({
+      where: { id: sessionId },
+      data: { lastSeenAt: new Date() },
+    });
+
+    return tx.refreshToken.create({
+      data: {
+        tokenHash,
+        expiresAt,
+        session: {
+          connect: { id: sessionId },
+        },
+      },
+    });
+  });
+};
+
+export const revokeSession = async (id, userId = null) => {
+  const where = userId
+    ? { id, userId, revokedAt: null }
+    : { id, revokedAt: null };
+  return prisma.session.updateMany({
+    where,
+    data: { revokedAt: new Date() },
+  });
+};
+
+export const revokeUserSessions = async (userId) => {
+  return prisma.session.updateMany({
+    where: { userId, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+};
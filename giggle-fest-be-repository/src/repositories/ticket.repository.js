@@ -1,14 +1,29 @@
 import { PrismaClient } from "@prisma/client";
+import {
+  OPEN_PAYMENT_STATUSES,
+  SOLD_PAYMENT_STATUSES,
+} from "../utils/lineItems.js";
 
 const prisma = new PrismaClient();
 
-export const createTicket = async (data) => {
-  return await prisma.ticket.create({
-    data,
+// bundles list what they are made of and how much of each is left
+const ticketInclude = {
+  event: true,
+  category: true,
+  bundleItems: {
     include: {
-      event: true,
-      category: true,
+      ticket: { select: { id: true, name: true, quantity: true } },
+    },
+  },
+};
+
+export const createTicket = async ({ bundleItems, ...data }) => {
+  return await prisma.ticket.create({
+    data: {
+      ...data,
+      ...(bundleItems && { bundleItems: { create: bundleItems } }),
     },
+    include: ticketInclude,
   });
 };
 
@@ -63,10 +78,7 @@ export const findAllTickets = async ({
       orderBy: {
         createdAt: "desc",
       },
-      include: {
-        event: true,
-        category: true,
-      },
+      include: ticketInclude,
     }),
   ]);
 
@@ -86,21 +98,21 @@ export const findAllTickets = async ({
 export const findTicketById = async (id) => {
   return await prisma.ticket.findUnique({
     where: { id },
-    include: {
-      event: true,
-      category: true,
-    },
+    include: ticketInclude,
   });
 };
 
-export const updateTicket = async (id, data) => {
+// bundleItems, when given, replace what the ticket bundled before
+export const updateTicket = async (id, { bundleItems, ...data }) => {
   return await prisma.ticket.update({
     where: { id },
-    data,
-    include: {
-      event: true,
-      category: true,
+    data: {
+      ...data,
+      ...(bundleItems && {
+        bundleItems: { deleteMany: {}, create: bundleItems },
+      }),
     },
+    include: ticketInclude,
   });
 };
 
@@ -113,10 +125,7 @@ export const deleteTicket = async (id) => {
 export const findTicketsByCategory = async (categoryId) => {
   return await prisma.ticket.findMany({
     where: { categoryId },
-    include: {
-      event: true,
-      category: true,
-    },
+    include: ticketInclude,
     orderBy: {
       createdAt: "desc",
     },
@@ -126,12 +135,155 @@ export const findTicketsByCategory = async (categoryId) => {
 export const findTicketsByEvent = async (eventId) => {
   return await prisma.ticket.findMany({
     where: { eventId },
-    include: {
-      event: true,
-      category: true,
-    },
+    include: ticketInclude,
     orderBy: {
       createdAt: "desc",
     },
   });
 };
+
+// what bundling and seating are checked against: the tickets' event, and
+// whether they are bundles, in a bundle or seated already
+export const findBundleInfo = async (ids) => {
+  return prisma.ticket.findMany({
+    where: { id: { in: ids } },
+    select: {
+      id: true,
+      name: true,
+      eventId: true,
+      _count: { select: { bundleItems: true, bundledIn: true, seats: true } },
+    },
+  });
+};
+
+export const countBundlesContaining = async (ticketId) => {
+  return prisma.bundleItem.count({ where: { ticketId } });
+};
+
+const takeStock = async (tx, ticketId, quantity) => {
+  const taken = await tx.ticket.updateMany({
+    where: {
+      id: ticketId,
+      quantity: { gte: quantity },
+    },
+    data: {
+      quantity: { decrement: quantity },
+      sold: { increment: quantity },
+    },
+  });
+
+  return taken.count > 0;
+};
+
+const returnStock = async (tx, ticketId, quantity) => {
+  return tx.ticket.update({
+    where: { id: ticketId },
+    data: {
+      quantity: { increment: quantity },
+      sold: { decrement: quantity },
+    },
+  });
+};
+
+// Stock helpers run inside the caller's transaction. The conditional
+// decrement only matches while enough stock is left, so concurrent buyers
+// can never push the quantity below zero. sold moves the other way for the
+// price tiers. A bundle takes its own stock and that of every component,
+// all or nothing, so a caller that carries on after a failed reservation
+// is left with nothing taken.
+export const reserveTicketStock = async (tx, ticketId, quantity) => {
+  if (!(await takeStock(tx, ticketId, quantity))) {
+    return false;
+  }
+
+  const components = await tx.bundleItem.findMany({
+    where: { bundleId: ticketId },
+  });
+  for (const [index, item] of components.entries()) {
+    if (!(await takeStock(tx, item.ticketId, item.quantity * quantity))) {
+      for (const taken of components.slice(0, index)) {
+        await returnStock(tx, taken.ticketId, taken.quantity * quantity);
+      }
+      await returnStock(tx, ticketId, quantity);
+      return false;
+    }
+  }
+
+  return true;
+};
+
+export const releaseTicketStock = async (tx, ticketId, quantity) => {
+  const components = await tx.bundleItem.findMany({
+    where: { bundleId: ticketId },
+  });
+  for (const item of components) {
+    await returnStock(tx, item.ticketId, item.quantity * quantity);
+  }
+
+  return returnStock(tx, ticketId, quantity);
+};
+
+// Recounts sold for every ticket type from what still has stock taken: cart
+// holds, open and sold payments (bundles also count towards their
+// components), less the tickets completed refunds gave back. A bundle gets
+// one unit back for each whole set of its components refunded. Safe to run
+// again, it overwrites sold rather than adding to it.
+export const backfillTicketSold = async () => {
+  const statuses = [...OPEN_PAYMENT_STATUSES, ...SOLD_PAYMENT_STATUSES];
+
+  return prisma.$executeRaw`
+    WITH lines AS (
+      SELECT p."ticketId", p.quantity
+      FROM "Payment" p
+      WHERE p."orderRecordId" IS NULL
+        AND p."ticketId" IS NOT NULL
+        AND p.status = ANY(${statuses})
+      UNION ALL
+      SELECT oi."ticketId", oi.quantity
+      FROM "OrderItem" oi
+      JOIN "Payment" p ON p."orderRecordId" = oi."orderId"
+      WHERE p.status = ANY(${statuses})
+      UNION ALL
+      SELECT c."ticketId", c.quantity
+      FROM "Cart" c
+      WHERE c."heldUntil" IS NOT NULL
+    ),
+    refunded AS (
+      SELECT it."paymentId", it."ticketId", it."bundleId"
+      FROM "IssuedTicket" it
+      WHERE it.status = 'void'
+        AND it.id IN (
+          SELECT unnest(r."issuedTicketIds")
+          FROM "Refund" r
+          WHERE r.status = 'refunded'
+        )
+    ),
+    taken AS (
+      SELECT l."ticketId", l.quantity
+      FROM lines l
+      UNION ALL
+      SELECT bi."ticketId", bi.quantity * l.quantity
+      FROM lines l
+      JOIN "BundleItem" bi ON bi."bundleId" = l."ticketId"
+      UNION ALL
+      SELECT r."ticketId", -1
+      FROM refunded r
+      UNION ALL
+      SELECT r."bundleId", -(COUNT(*) / (
+        SELECT SUM(bi.quantity) FROM "BundleItem" bi
+        WHERE bi."bundleId" = r."bundleId"
+      ))
+      FROM refunded r
+      WHERE r."bundleId" IS NOT NULL
+      GROUP BY r."paymentId", r."bundleId"
+    )
+    UPDATE "Ticket" t
+    SET sold = GREATEST(
+      COALESCE(
+        (SELECT SUM(taken.quantity) FROM taken WHERE taken."ticketId" = t.id),
+        0
+      ),
+      0
+    )
+  `;
+};
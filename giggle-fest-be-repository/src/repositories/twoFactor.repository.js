@@ -0,0 +1,79 @@
+import { PrismaClient } from "@prisma/client";
+
+const prisma = new PrismaClient();
+
+export const findTwoFactorUser = async (id) => {
+  return prisma.user.findUnique({
+    where: { id },
+    select: {
+      id: true,
+      email: true,
+      name: true,
+      role: true,
+      totpSecret: true,
+      totpEnabledAt: true,
+      totpLastStep: true,
+    },
+  });
+};
+
+// the secret is stored before it is confirmed; totpEnabledAt is only set
+// once the user proves their authenticator produces matching codes
+export const saveTotpSecret = async (userId, totpSecret) => {
+  return prisma.user.update({
+    where: { id: userId },
+    data: { totpSecret, totpEnabledAt: null, totpLastStep: null },
+  });
+};
+
+// Claims the time step of an accepted code. Returns false when the same or a
+// later step was claimed first, so two requests cannot both use one code.
+export const useTotpStep = async (userId, step) => {
+  const { count } = await prisma.user.updateMany({
+    where: {
+      id: userId,
+      OR: [{ totpLastStep: null }, { totpLastStep: { lt: step } }],
+    },
+    data: { totpLastStep: step },
+  });
+  return count > 0;
+};
+
+export const enableTwoFactor = async (userId, codeHashes) => {
+  return prisma.$transaction(async (tx) => {
+    await tx.recoveryCode.deleteMany({
+      where: { userId },
+    });
+
+    await tx.recoveryCode.createMany({
+      data: codeHashes.map((codeHash) => ({ userId, codeHash })),
+    });
+
+    return tx.user.update({
+      where: { id: userId },
+      data: { totpEnabledAt: new Date() },
+    });
+  });
+};
+
+export const disableTwoFactor = async (userId) => {
+  return prisma.$transaction(async (tx) => {
+    await tx.recoveryCode.deleteMany({
+      where: { userId },
+    });
+
+    return tx.user.update({
+      where: { id: userId },
+      data: { totpSecret: null, totpEnabledAt: null, totpLastStep: null },
+    });
+  });
+};
+
+// returns false when the code is unknown or was already used
+export const useRecoveryCode = async (userId, codeHash) => {
+  const { count } = await prisma.recoveryCode.updateMany({
+    where: { userId, codeHash, usedAt: null },
+    data: { usedAt: new Date() },
+  });
+  return count > 0;
+};
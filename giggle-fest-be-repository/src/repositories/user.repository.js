@@ -17,6 +17,7 @@ export const findUserByEmail = (email) =>
       phoneNumber: true,
       role: true,
       isVerified: true,
+      totpEnabledAt: true,
       createdAt: true,
       updatedAt: true,
       authId: true,
@@ -69,10 +70,63 @@ export const deleteUser = async (id) => {
       where: { userId: user.id },
     });
 
+    await tx.issuedTicket.deleteMany({
+      where: { userId: user.id },
+    });
+
+    await tx.refreshToken.deleteMany({
+      where: { session: { userId: user.id } },
+    });
+
+    await tx.recoveryCode.deleteMany({
+      where: { userId: user.id },
+    });
+
+    await tx.session.deleteMany({
+      where: { userId: user.id },
+    });
+
+    await tx.organizationMember.deleteMany({
+      where: { userId: user.id },
+    });
+
+    await tx.roleChangeAudit.deleteMany({
+      where: { userId: user.id },
+    });
+
+    await tx.roleChangeAudit.updateMany({
+      where: { changedById: user.id },
+      data: { changedById: null },
+    });
+
+    // keep check-ins scanned by this user, just without the scanner
+    await tx.issuedTicket.updateMany({
+      where: { checkedInById: user.id },
+      data: { checkedInById: null },
+    });
+
+    // keep refunds this user reviewed, just without the reviewer
+    await tx.refund.updateMany({
+      where: { reviewedById: user.id },
+      data: { reviewedById: null },
+    });
+
+    await tx.refund.deleteMany({
+      where: { payment: { userId: user.id } },
+    });
+
     await tx.payment.deleteMany({
       where: { userId: user.id },
     });
 
+    await tx.orderItem.deleteMany({
+      where: { order: { userId: user.id } },
+    });
+
+    await tx.order.deleteMany({
+      where: { userId: user.id },
+    });
+
     await tx.user.delete({
       where: { id: user.id },
     });
@@ -139,3 +193,78 @@ export const findUserByResetToken = (resetToken) =>
   prisma.user.findFirst({
     where: { resetToken },
   });
+
+export const countUsersByRole = (role) =>
+  prisma.user.count({
+    where: { role },
+  });
+
+// any key works as long as every admin role change takes the same one
+const ADMIN_ROLE_LOCK = 7007;
+
+// Concurrent role changes queue on the lock before counting admins, so two
+// demotions cannot both see the other admin and leave none, and two
+// bootstraps cannot both see no admin.
+const countAdminsLocked = async (tx) => {
+  await tx.$executeRaw`SELECT pg_advisory_xact_lock(${ADMIN_ROLE_LOCK})`;
+  return tx.user.count({ where: { role: "admin" } });
+};
+
+// the role and its audit entry are written together so every change is traceable
+export const updateUserRole = (
+  id,
+  { fromRole, toRole, changedById = null, reason = null, source = "api" }
+) =>
+  prisma.$transaction(async (tx) => {
+    if (fromRole === "admin" || source === "bootstrap") {
+      const adminCount = await countAdminsLocked(tx);
+      if (source === "bootstrap" && adminCount > 0) {
+        throw new Error("An admin already exists");
+      }
+      if (fromRole === "admin" && adminCount <= 1) {
+        throw new Error("Cannot demote the last admin");
+      }
+    }
+
+    const user = await tx.user.update({
+      where: { id },
+      data: { role: toRole },
+      select: {
+        id: true,
+        email: true,
+        name: true,
+        role: true,
+        updatedAt: true,
+      },
+    });
+
+    await tx.roleChangeAudit.create({
+      data: {
+        userId: id,
+        changedById,
+        fromRole,
+        toRole,
+        reason,
+        source,
+      },
+    });
+
+    return user;
+  });
+
+export const findRoleChangesByUser = (userId) =>
+  prisma.roleChangeAudit.findMany({
+    where: { userId },
+    include: {
+      changedBy: {
+        select: {
+          id: true,
+          name: true,
+          email: true,
+        },
+      },
+    },
+    orderBy: {
+      createdAt: "desc",
+    },
+  });
@@ -0,0 +1,66 @@
+import { PrismaClient } from "@prisma/client";
+
+const prisma = new PrismaClient();
+
+const seatOrder = [{ section: "asc" }, { row: "asc" }, { number: "asc" }];
+
+export const createVenue = async ({ seats, ...data }) => {
+  return prisma.venue.create({
+    data: {
+      ...data,
+      seats: {
+        create: seats,
+      },
+    },
+    include: {
+      seats: {
+        orderBy: seatOrder,
+      },
+    },
+  });
+};
+
+export const findAllVenues = async ({ page = 1, limit = 10, search }) => {
+  const skip = (page - 1) * Number(limit);
+  const where = search
+    ? { name: { contains: search, mode: "insensitive" } }
+    : {};
+
+  const [total, venues] = await Promise.all([
+    prisma.venue.count({ where }),
+    prisma.venue.findMany({
+      where,
+      skip,
+      take: Number(limit),
+      include: {
+        _count: {
+          select: { seats: true },
+        },
+      },
+      orderBy: {
+        name: "asc",
+      },
+    }),
+  ]);
+
+  return {
+    venues,
+    meta: {
+      page: Number(page),
+      limit: Number(limit),
+      total,
+      totalPages: Math.ceil(total / Number(limit)),
+    },
+  };
+};
+
+export const findVenueById = async (id) => {
+  return prisma.venue.findUnique({
+    where: { id },
+    include: {
+      seats: {
+        orderBy: seatOrder,
+      },
+    },
+  });
+};
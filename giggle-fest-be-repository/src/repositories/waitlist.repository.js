@@ -0,0 +1,187 @@
+import { PrismaClient } from "@prisma/client";
+import { reserveTicketStock, releaseTicketStock } from "./ticket.repository.js";
+import { isTicketOnSale } from "../utils/eventStatus.js";
+import {
+  WAITLIST_STATUSES,
+  getWaitlistOfferExpiry,
+  formatWaitlistOffer,
+} from "../utils/waitlist.js";
+
+const prisma = new PrismaClient();
+
+const entryInclude = {
+  ticket: {
+    include: { event: true },
+  },
+};
+
+const openStatuses = [WAITLIST_STATUSES.WAITING, WAITLIST_STATUSES.OFFERED];
+
+export const findOpenEntry = async (userId, ticketId) => {
+  return prisma.waitlistEntry.findFirst({
+    where: { userId, ticketId, status: { in: openStatuses } },
+  });
+};
+
+export const createEntry = async (data) => {
+  return prisma.waitlistEntry.create({
+    data,
+    include: entryInclude,
+  });
+};
+
+export const findEntryById = async (id, userId) => {
+  return prisma.waitlistEntry.findFirst({
+    where: { id, userId },
+    include: entryInclude,
+  });
+};
+
+export const findEntriesByUser = async (userId) => {
+  return prisma.waitlistEntry.findMany({
+    where: { userId, status: { in: openStatuses } },
+    include: entryInclude,
+    orderBy: { createdAt: "desc" },
+  });
+};
+
+// the number of people still waiting in front of the entry
+export const countWaitingAhead = async (entry) => {
+  return prisma.waitlistEntry.count({
+    where: {
+      ticketId: entry.ticketId,
+      status: WAITLIST_STATUSES.WAITING,
+      id: { lt: entry.id },
+    },
+  });
+};
+
+// only a waiting entry can be left; an offer is given up through the cart
+export const leaveEntry = async (id) => {
+  const left = await prisma.waitlistEntry.updateMany({
+    where: { id, status: WAITLIST_STATUSES.WAITING },
+    data: { status: WAITLIST_STATUSES.LEFT },
+  });
+
+  return left.count > 0;
+};
+
+// Puts the offered stock on the user's item for the ticket. An item that
+// still takes stock keeps it and adds the offer on top, so the stock it holds
+// is always its quantity.
+const holdOffer = async (tx, entry, quantity, heldUntil) => {
+  const existing = await tx.cart.findFirst({
+    where: { userId: entry.userId, ticketId: entry.ticketId },
+  });
+  if (existing) {
+    return tx.cart.update({
+      where: { id: existing.id },
+      data: {
+        quantity: existing.heldUntil ? { increment: quantity } : quantity,
+        heldUntil,
+      },
+    });
+  }
+
+  return tx.cart.create({
+    data: {
+      userId: entry.userId,
+      ticketId: entry.ticketId,
+      quantity,
+      heldUntil,
+    },
+  });
+};
+
+// Offers the ticket's free stock to the people waiting for it, first come
+// first served, before anyone else can buy it. Each offer is held on the
+// user's cart item until it expires and the user is notified. Runs inside the
+// caller's transaction, after the stock has been given back to the ticket.
+export const offerWaitlistStock = async (tx, ticketId, now = new Date()) => {
+  const waiting = await tx.waitlistEntry.findMany({
+    where: { ticketId, status: WAITLIST_STATUSES.WAITING },
+    orderBy: { id: "asc" },
+  });
+  if (waiting.length === 0) {
+    return [];
+  }
+
+  const ticket = await tx.ticket.findUnique({
+    where: { id: ticketId },
+    include: { event: true },
+  });
+  if (!isTicketOnSale(ticket, now)) {
+    return [];
+  }
+
+  const offerExpiresAt = getWaitlistOfferExpiry(now);
+  const offered = [];
+  let stock = ticket.quantity;
+
+  for (const entry of waiting) {
+    if (stock <= 0) {
+      break;
+    }
+
+    // the head of the line gets what is left when it wants more than that
+    const quantity = Math.min(entry.quantity, stock);
+    if (!(await reserveTicketStock(tx, ticketId, quantity))) {
+      break;
+    }
+
+    // someone else already made this entry an offer
+    const claimed = await tx.waitlistEntry.updateMany({
+      where: { id: entry.id, status: WAITLIST_STATUSES.WAITING },
+      data: {
+        status: WAITLIST_STATUSES.OFFERED,
+        offeredQuantity: quantity,
+        offerExpiresAt,
+      },
+    });
+    if (claimed.count === 0) {
+      await releaseTicketStock(tx, ticketId, quantity);
+      continue;
+    }
+    stock -= quantity;
+
+    const cartItem = await holdOffer(tx, entry, quantity, offerExpiresAt);
+    offered.push(
+      await tx.waitlistEntry.update({
+        where: { id: entry.id },
+        data: { cartId: cartItem.id },
+      })
+    );
+    await tx.notification.create({
+      data: {
+        userId: entry.userId,
+        message: formatWaitlistOffer(ticket, quantity, offerExpiresAt),
+      },
+    });
+  }
+
+  return offered;
+};
+
+// Closes the offers held on a cart item, as claimed when it is checked out
+// or as expired when its hold is released
+export const closeOffers = async (tx, cartId, status) => {
+  return tx.waitlistEntry.updateMany({
+    where: { cartId, status: WAITLIST_STATUSES.OFFERED },
+    data: { status },
+  });
+};
+
+export const findWaitedTicketIds = async (tx) => {
+  const entries = await tx.waitlistEntry.findMany({
+    where: { status: WAITLIST_STATUSES.WAITING },
+    select: { ticketId: true },
+    distinct: ["ticketId"],
+  });
+
+  return entries.map((entry) => entry.ticketId);
+};
+
+// offers stock added to the ticket outside of a purchase, like a restock
+export const offerReleasedStock = async (ticketId) => {
+  return prisma.$transaction((tx) => offerWaitlistStock(tx, ticketId));
+};
@@ -13,24 +13,80 @@ import {
   forgotPasswordSchema,
   generateOTPSchema,
   loginSchema,
+  refreshTokenSchema,
   registerSchema,
   resendVerificationSchema,
   resetPasswordSchema,
   verifyOTPSchema,
 } from "../validators/user.validator.js";
-import { emailVerificationLimiter } from "../middlewares/rateLimiter.middleware.js";
+import {
+  emailVerificationLimiter,
+  loginLimiter,
+  otpLimiter,
+} from "../middlewares/rateLimiter.middleware.js";
 import {
   generateOTP,
   initPasswordReset,
   resetPassword,
   verifyOTP,
 } from "../controllers/password.controller.js";
+import {
+  refreshToken,
+  logout,
+  logoutAll,
+} from "../controllers/session.controller.js";
+import {
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  verifyTwoFactorLogin,
+} from "../controllers/twoFactor.controller.js";
+import {
+  twoFactorCodeSchema,
+  twoFactorVerifySchema,
+} from "../validators/twoFactor.validator.js";
+import { authMiddleware } from "../middlewares/auth.middleware.js";
 
 const router = Router();
 
 router.post("/register", validateRequest(registerSchema), registerUser);
-router.post("/login", validateRequest(loginSchema), loginUser);
+router.post(
+  "/login",
+  loginLimiter,
+  validateRequest(loginSchema),
+  loginUser
+);
 router.get("/verify/:token", verifyEmail);
+
+// session routes
+router.post(
+  "/refresh",
+  validateZodRequest({ body: refreshTokenSchema }),
+  refreshToken
+);
+router.post("/logout", authMiddleware, logout);
+router.post("/logout-all", authMiddleware, logoutAll);
+
+// two-factor routes
+router.post(
+  "/2fa/verify",
+  otpLimiter,
+  validateZodRequest({ body: twoFactorVerifySchema }),
+  verifyTwoFactorLogin
+);
+router.post("/2fa/setup", authMiddleware, setupTwoFactor);
+router.post(
+  "/2fa/confirm",
+  authMiddleware,
+  validateZodRequest({ body: twoFactorCodeSchema }),
+  confirmTwoFactor
+);
+router.post(
+  "/2fa/disable",
+  authMiddleware,
+  validateZodRequest({ body: twoFactorCodeSchema }),
+  disableTwoFactor
+);
 router.post(
   "/resend-verification",
   emailVerificationLimiter,
@@ -51,11 +107,13 @@ router.post(
 );
 router.post(
   "/verify-otp",
+  otpLimiter,
   validateZodRequest({ body: verifyOTPSchema }),
   verifyOTP
 );
 router.post(
   "/reset-password",
+  otpLimiter,
   validateZodRequest({ body: resetPasswordSchema }),
   resetPassword
 );
@@ -7,15 +7,19 @@ import {
   checkout,
 } from "../controllers/cart.controller.js";
 import { authMiddleware } from "../middlewares/auth.middleware.js";
+import { requirePermission } from "../middlewares/role.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
 import { validateZodRequest } from "../middlewares/validation.middleware.js";
 import {
   addToCartSchema,
   updateCartSchema,
+  checkoutSchema,
 } from "../validators/cart.validator.js";
 
 const router = Router();
 
 router.use(authMiddleware);
+router.use(requirePermission(PERMISSIONS.TICKETS_PURCHASE));
 
 router.get("/", getCartByUser);
 
@@ -29,6 +33,10 @@ router.patch(
 
 router.delete("/:id", removeFromCart);
 
-router.post("/checkout", checkout);
+router.post(
+  "/checkout",
+  validateZodRequest({ body: checkoutSchema }),
+  checkout
+);
 
 export default router;
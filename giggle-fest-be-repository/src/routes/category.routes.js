@@ -7,6 +7,8 @@ import {
   deleteCategory,
 } from "../controllers/category.controller.js";
 import { authMiddleware } from "../middlewares/auth.middleware.js";
+import { requirePermission } from "../middlewares/role.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
 import { validateZodRequest } from "../middlewares/validation.middleware.js";
 import {
   createCategorySchema,
@@ -28,16 +30,22 @@ router.use(authMiddleware);
 
 router.post(
   "/",
+  requirePermission(PERMISSIONS.CATEGORIES_MANAGE),
   validateZodRequest({ body: createCategorySchema }),
   createCategory
 );
 
 router.patch(
   "/:id",
+  requirePermission(PERMISSIONS.CATEGORIES_MANAGE),
   validateZodRequest({ body: updateCategorySchema }),
   updateCategory
 );
 
-router.delete("/:id", deleteCategory);
+router.delete(
+  "/:id",
+  requirePermission(PERMISSIONS.CATEGORIES_MANAGE),
+  deleteCategory
+);
 
 export default router;
@@ -0,0 +1,29 @@
+import { Router } from "express";
+import {
+  checkInTicket,
+  getCheckInStats,
+} from "../controllers/checkin.controller.js";
+import { authMiddleware } from "../middlewares/auth.middleware.js";
+import { requirePermission } from "../middlewares/role.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
+import { validateZodRequest } from "../middlewares/validation.middleware.js";
+import { checkInSchema } from "../validators/checkin.validator.js";
+
+const router = Router();
+
+router.use(authMiddleware);
+
+router.post(
+  "/",
+  requirePermission(PERMISSIONS.CHECKIN_SCAN),
+  validateZodRequest({ body: checkInSchema }),
+  checkInTicket
+);
+
+router.get(
+  "/events/:eventId/stats",
+  requirePermission(PERMISSIONS.CHECKIN_STATS),
+  getCheckInStats
+);
+
+export default router;
@@ -5,15 +5,38 @@ import {
   getEventById,
   updateEvent,
   deleteEvent,
+  changeEventStatus,
+  cancelEvent,
+  rescheduleEvent,
+  importEvents,
 } from "../controllers/event.controller.js";
+import { exportAttendees } from "../controllers/export.controller.js";
+import {
+  getEventSeats,
+  configureEventSeating,
+} from "../controllers/venue.controller.js";
 import { authMiddleware } from "../middlewares/auth.middleware.js";
-import { upload } from "../middlewares/multer.middleware.js";
+import { requirePermission } from "../middlewares/role.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
+import { upload, csvUpload } from "../middlewares/multer.middleware.js";
 import { validateZodRequest } from "../middlewares/validation.middleware.js";
 import {
   createEventSchema,
   updateEventSchema,
   getEventsQuerySchema,
+  importEventsQuerySchema,
+  eventStatusSchema,
+  cancelEventSchema,
+  rescheduleEventSchema,
 } from "../validators/event.validator.js";
+import {
+  exportAttendeesParamsSchema,
+  exportAttendeesQuerySchema,
+} from "../validators/export.validator.js";
+import {
+  eventSeatsParamsSchema,
+  eventSeatingSchema,
+} from "../validators/venue.validator.js";
 
 const router = Router();
 
@@ -25,22 +48,84 @@ router.get(
 
 router.get("/:id", getEventById);
 
+router.get(
+  "/:id/seats",
+  validateZodRequest({ params: eventSeatsParamsSchema }),
+  getEventSeats
+);
+
 router.use(authMiddleware);
 
 router.post(
   "/",
+  requirePermission(PERMISSIONS.EVENTS_MANAGE),
   upload.single("image"),
   validateZodRequest({ body: createEventSchema }),
   createEvent
 );
 
+// admins only: imported events may belong to any organization
+router.post(
+  "/import",
+  requirePermission(PERMISSIONS.ORGANIZATIONS_MANAGE),
+  csvUpload.single("file"),
+  validateZodRequest({ query: importEventsQuerySchema }),
+  importEvents
+);
+
 router.patch(
   "/:id",
+  requirePermission(PERMISSIONS.EVENTS_MANAGE),
   upload.single("image"),
   validateZodRequest({ body: updateEventSchema }),
   updateEvent
 );
 
-router.delete("/:id", deleteEvent);
+router.delete(
+  "/:id",
+  requirePermission(PERMISSIONS.EVENTS_MANAGE),
+  deleteEvent
+);
+
+router.patch(
+  "/:id/status",
+  requirePermission(PERMISSIONS.EVENTS_MANAGE),
+  validateZodRequest({ body: eventStatusSchema }),
+  changeEventStatus
+);
+
+router.post(
+  "/:id/cancel",
+  requirePermission(PERMISSIONS.EVENTS_MANAGE),
+  validateZodRequest({ body: cancelEventSchema }),
+  cancelEvent
+);
+
+router.post(
+  "/:id/reschedule",
+  requirePermission(PERMISSIONS.EVENTS_MANAGE),
+  validateZodRequest({ body: rescheduleEventSchema }),
+  rescheduleEvent
+);
+
+router.put(
+  "/:id/seating",
+  requirePermission(PERMISSIONS.EVENTS_MANAGE),
+  validateZodRequest({
+    params: eventSeatsParamsSchema,
+    body: eventSeatingSchema,
+  }),
+  configureEventSeating
+);
+
+router.get(
+  "/:id/attendees/export",
+  requirePermission(PERMISSIONS.REPORTS_EXPORT),
+  validateZodRequest({
+    params: exportAttendeesParamsSchema,
+    query: exportAttendeesQuerySchema,
+  }),
+  exportAttendees
+);
 
 export default router;
@@ -9,6 +9,12 @@ import cartRoutes from "./cart.routes.js";
 import paymentRoutes from "./payment.routes.js";
 import promoRoutes from "./promo.routes.js";
 import notificationRoutes from "./notification.routes.js";
+import orderRoutes from "./order.routes.js";
+import checkinRoutes from "./checkin.routes.js";
+import organizerRoutes from "./organizer.routes.js";
+import refundRoutes from "./refund.routes.js";
+import venueRoutes from "./venue.routes.js";
+import waitlistRoutes from "./waitlist.routes.js";
 
 const router = Router();
 
@@ -27,5 +33,11 @@ router.use("/cart", cartRoutes);
 router.use("/payments", paymentRoutes);
 router.use("/promos", promoRoutes);
 router.use("/notifications", notificationRoutes);
+router.use("/orders", orderRoutes);
+router.use("/checkin", checkinRoutes);
+router.use("/organizer", organizerRoutes);
+router.use("/refunds", refundRoutes);
+router.use("/venues", venueRoutes);
+router.use("/waitlist", waitlistRoutes);
 
 export default router;
@@ -8,6 +8,8 @@ import {
   deleteNotification,
 } from "../controllers/notification.controller.js";
 import { authMiddleware } from "../middlewares/auth.middleware.js";
+import { requirePermission } from "../middlewares/role.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
 import { validateZodRequest } from "../middlewares/validation.middleware.js";
 import {
   createNotificationSchema,
@@ -20,19 +22,37 @@ router.use(authMiddleware);
 
 router.post(
   "/",
+  requirePermission(PERMISSIONS.NOTIFICATIONS_MANAGE),
   validateZodRequest({ body: createNotificationSchema }),
   createNotification
 );
 
 router.get(
   "/",
+  requirePermission(PERMISSIONS.ACCOUNT_MANAGE),
   validateZodRequest({ query: getNotificationsQuerySchema }),
   getUserNotifications
 );
 
-router.patch("/:id/read", markAsRead);
-router.patch("/:id/unread", markAsUnread);
-router.patch("/mark-all-read", markAllAsRead);
-router.delete("/:id", deleteNotification);
+router.patch(
+  "/:id/read",
+  requirePermission(PERMISSIONS.ACCOUNT_MANAGE),
+  markAsRead
+);
+router.patch(
+  "/:id/unread",
+  requirePermission(PERMISSIONS.ACCOUNT_MANAGE),
+  markAsUnread
+);
+router.patch(
+  "/mark-all-read",
+  requirePermission(PERMISSIONS.ACCOUNT_MANAGE),
+  markAllAsRead
+);
+router.delete(
+  "/:id",
+  requirePermission(PERMISSIONS.NOTIFICATIONS_MANAGE),
+  deleteNotification
+);
 
 export default router;
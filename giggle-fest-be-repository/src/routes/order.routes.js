@@ -0,0 +1,25 @@
+import { Router } from "express";
+import {
+  getUserOrders,
+  getOrderById,
+} from "../controllers/order.controller.js";
+import { authMiddleware } from "../middlewares/auth.middleware.js";
+import { requirePermission } from "../middlewares/role.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
+import { validateZodRequest } from "../middlewares/validation.middleware.js";
+import { getOrdersQuerySchema } from "../validators/order.validator.js";
+
+const router = Router();
+
+router.use(authMiddleware);
+router.use(requirePermission(PERMISSIONS.ACCOUNT_MANAGE));
+
+router.get(
+  "/",
+  validateZodRequest({ query: getOrdersQuerySchema }),
+  getUserOrders
+);
+
+router.get("/:id", getOrderById);
+
+export default router;
@@ -0,0 +1,80 @@
+import { Router } from "express";
+import {
+  createOrganization,
+  getMyOrganizations,
+  addOrganizationMember,
+  removeOrganizationMember,
+  getOrganizerEvents,
+  getEventSales,
+  getSalesDashboard,
+} from "../controllers/organizer.controller.js";
+import { authMiddleware } from "../middlewares/auth.middleware.js";
+import { requirePermission } from "../middlewares/role.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
+import { validateZodRequest } from "../middlewares/validation.middleware.js";
+import {
+  createOrganizationSchema,
+  addMemberSchema,
+  getOrganizerEventsQuerySchema,
+  organizationParamsSchema,
+  memberParamsSchema,
+  eventParamsSchema,
+  salesDashboardQuerySchema,
+} from "../validators/organizer.validator.js";
+
+const router = Router();
+
+router.use(authMiddleware);
+
+router.get(
+  "/organizations",
+  requirePermission(PERMISSIONS.EVENTS_MANAGE),
+  getMyOrganizations
+);
+
+router.post(
+  "/organizations",
+  requirePermission(PERMISSIONS.EVENTS_MANAGE),
+  validateZodRequest({ body: createOrganizationSchema }),
+  createOrganization
+);
+
+router.post(
+  "/organizations/:id/members",
+  requirePermission(PERMISSIONS.EVENTS_MANAGE),
+  validateZodRequest({
+    params: organizationParamsSchema,
+    body: addMemberSchema,
+  }),
+  addOrganizationMember
+);
+
+router.delete(
+  "/organizations/:id/members/:userId",
+  requirePermission(PERMISSIONS.EVENTS_MANAGE),
+  validateZodRequest({ params: memberParamsSchema }),
+  removeOrganizationMember
+);
+
+router.get(
+  "/events",
+  requirePermission(PERMISSIONS.EVENTS_MANAGE),
+  validateZodRequest({ query: getOrganizerEventsQuerySchema }),
+  getOrganizerEvents
+);
+
+router.get(
+  "/events/:id/sales",
+  requirePermission(PERMISSIONS.EVENTS_MANAGE),
+  validateZodRequest({ params: eventParamsSchema }),
+  getEventSales
+);
+
+router.get(
+  "/dashboard",
+  requirePermission(PERMISSIONS.EVENTS_MANAGE),
+  validateZodRequest({ query: salesDashboardQuerySchema }),
+  getSalesDashboard
+);
+
+export default router;
@@ -4,31 +4,61 @@ import {
   getAllPayments,
   getPaymentById,
   getUserPaymentHistory,
+  handlePaymentNotification,
 } from "../controllers/payment.controller.js";
+import { exportPayments } from "../controllers/export.controller.js";
 import { authMiddleware } from "../middlewares/auth.middleware.js";
+import { requirePermission } from "../middlewares/role.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
 import { validateZodRequest } from "../middlewares/validation.middleware.js";
 import {
   initializePaymentSchema,
   getPaymentsQuerySchema,
+  paymentNotificationSchema,
 } from "../validators/payment.validator.js";
+import { exportPaymentsQuerySchema } from "../validators/export.validator.js";
 
 const router = Router();
 
+// Midtrans HTTP notification, authenticated by its signature key instead of a JWT
+router.post(
+  "/notification",
+  validateZodRequest({ body: paymentNotificationSchema }),
+  handlePaymentNotification
+);
+
 router.use(authMiddleware);
 
 router.post(
   "/initialize",
+  requirePermission(PERMISSIONS.TICKETS_PURCHASE),
   validateZodRequest({ body: initializePaymentSchema }),
   initializePayment
 );
 
 router.get(
   "/",
+  requirePermission(PERMISSIONS.PAYMENTS_VIEW_ALL),
   validateZodRequest({ query: getPaymentsQuerySchema }),
   getAllPayments
 );
 
-router.get("/history", getUserPaymentHistory);
-router.get("/:id", getPaymentById);
+router.get(
+  "/export",
+  requirePermission(PERMISSIONS.REPORTS_EXPORT),
+  validateZodRequest({ query: exportPaymentsQuerySchema }),
+  exportPayments
+);
+
+router.get(
+  "/history",
+  requirePermission(PERMISSIONS.ACCOUNT_MANAGE),
+  getUserPaymentHistory
+);
+router.get(
+  "/:id",
+  requirePermission(PERMISSIONS.PAYMENTS_VIEW_ALL),
+  getPaymentById
+);
 
 export default router;
@@ -5,14 +5,22 @@ import {
   validatePromoCode,
   updatePromoCode,
   deletePromoCode,
+  createPromoCampaign,
+  getPromoCampaign,
 } from "../controllers/promo.controller.js";
+import { exportCampaignCodes } from "../controllers/export.controller.js";
 import { authMiddleware } from "../middlewares/auth.middleware.js";
+import { requirePermission } from "../middlewares/role.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
 import { validateZodRequest } from "../middlewares/validation.middleware.js";
 import {
   createPromoSchema,
   updatePromoSchema,
   getPromoQuerySchema,
+  createCampaignSchema,
+  campaignParamsSchema,
 } from "../validators/promo.validator.js";
+import { exportCampaignCodesQuerySchema } from "../validators/export.validator.js";
 
 const router = Router();
 
@@ -22,22 +30,53 @@ router.use(authMiddleware);
 
 router.post(
   "/",
+  requirePermission(PERMISSIONS.PROMOS_MANAGE),
   validateZodRequest({ body: createPromoSchema }),
   createPromoCode
 );
 
 router.get(
   "/",
+  requirePermission(PERMISSIONS.PROMOS_MANAGE),
   validateZodRequest({ query: getPromoQuerySchema }),
   getAllPromoCodes
 );
 
+router.post(
+  "/campaigns",
+  requirePermission(PERMISSIONS.PROMOS_MANAGE),
+  validateZodRequest({ body: createCampaignSchema }),
+  createPromoCampaign
+);
+
+router.get(
+  "/campaigns/:id",
+  requirePermission(PERMISSIONS.PROMOS_MANAGE),
+  validateZodRequest({ params: campaignParamsSchema }),
+  getPromoCampaign
+);
+
+router.get(
+  "/campaigns/:id/codes/export",
+  requirePermission(PERMISSIONS.PROMOS_MANAGE),
+  validateZodRequest({
+    params: campaignParamsSchema,
+    query: exportCampaignCodesQuerySchema,
+  }),
+  exportCampaignCodes
+);
+
 router.patch(
   "/:id",
+  requirePermission(PERMISSIONS.PROMOS_MANAGE),
   validateZodRequest({ body: updatePromoSchema }),
   updatePromoCode
 );
 
-router.delete("/:id", deletePromoCode);
+router.delete(
+  "/:id",
+  requirePermission(PERMISSIONS.PROMOS_MANAGE),
+  deletePromoCode
+);
 
 export default router;
@@ -0,0 +1,59 @@
+import { Router } from "express";
+import {
+  requestRefund,
+  getMyRefunds,
+  getAllRefunds,
+  approveRefund,
+  rejectRefund,
+} from "../controllers/refund.controller.js";
+import { authMiddleware } from "../middlewares/auth.middleware.js";
+import { requirePermission } from "../middlewares/role.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
+import { validateZodRequest } from "../middlewares/validation.middleware.js";
+import {
+  requestRefundSchema,
+  reviewRefundSchema,
+  refundParamsSchema,
+  getRefundsQuerySchema,
+} from "../validators/refund.validator.js";
+
+const router = Router();
+
+router.use(authMiddleware);
+
+router.post(
+  "/",
+  requirePermission(PERMISSIONS.ACCOUNT_MANAGE),
+  validateZodRequest({ body: requestRefundSchema }),
+  requestRefund
+);
+
+router.get(
+  "/me",
+  requirePermission(PERMISSIONS.ACCOUNT_MANAGE),
+  validateZodRequest({ query: getRefundsQuerySchema }),
+  getMyRefunds
+);
+
+router.get(
+  "/",
+  requirePermission(PERMISSIONS.REFUNDS_MANAGE),
+  validateZodRequest({ query: getRefundsQuerySchema }),
+  getAllRefunds
+);
+
+router.post(
+  "/:id/approve",
+  requirePermission(PERMISSIONS.REFUNDS_MANAGE),
+  validateZodRequest({ params: refundParamsSchema, body: reviewRefundSchema }),
+  approveRefund
+);
+
+router.post(
+  "/:id/reject",
+  requirePermission(PERMISSIONS.REFUNDS_MANAGE),
+  validateZodRequest({ params: refundParamsSchema, body: reviewRefundSchema }),
+  rejectRefund
+);
+
+export default router;
@@ -8,13 +8,17 @@ import {
   updateReview,
   deleteReview,
 } from "../controllers/review.controller.js";
+import { exportReviews } from "../controllers/export.controller.js";
 import { authMiddleware } from "../middlewares/auth.middleware.js";
+import { requirePermission } from "../middlewares/role.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
 import { validateZodRequest } from "../middlewares/validation.middleware.js";
 import {
   createReviewSchema,
   updateReviewSchema,
   getReviewsQuerySchema,
 } from "../validators/review.validator.js";
+import { exportReviewsQuerySchema } from "../validators/export.validator.js";
 
 const router = Router();
 
@@ -24,6 +28,14 @@ router.get(
   getAllReviews
 );
 
+router.get(
+  "/export",
+  authMiddleware,
+  requirePermission(PERMISSIONS.REPORTS_EXPORT),
+  validateZodRequest({ query: exportReviewsQuerySchema }),
+  exportReviews
+);
+
 router.get("/ticket/:ticketId", getReviewsByTicket);
 router.get("/user/:userId", getReviewsByUser);
 router.get("/:id", getReviewById);
@@ -32,16 +44,22 @@ router.use(authMiddleware);
 
 router.post(
   "/",
+  requirePermission(PERMISSIONS.REVIEWS_WRITE),
   validateZodRequest({ body: createReviewSchema }),
   createReview
 );
 
 router.patch(
   "/:id",
+  requirePermission(PERMISSIONS.REVIEWS_WRITE),
   validateZodRequest({ body: updateReviewSchema }),
   updateReview
 );
 
-router.delete("/:id", deleteReview);
+router.delete(
+  "/:id",
+  requirePermission(PERMISSIONS.REVIEWS_WRITE),
+  deleteReview
+);
 
 export default router;
@@ -9,6 +9,8 @@ import {
   getTicketsByEvent,
 } from "../controllers/ticket.controller.js";
 import { authMiddleware } from "../middlewares/auth.middleware.js";
+import { requirePermission } from "../middlewares/role.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
 import { upload } from "../middlewares/multer.middleware.js";
 import { validateZodRequest } from "../middlewares/validation.middleware.js";
 import {
@@ -33,6 +35,7 @@ router.use(authMiddleware);
 
 router.post(
   "/",
+  requirePermission(PERMISSIONS.TICKETS_MANAGE),
   upload.single("image"),
   validateZodRequest({ body: createTicketSchema }),
   createTicket
@@ -40,11 +43,16 @@ router.post(
 
 router.patch(
   "/:id",
+  requirePermission(PERMISSIONS.TICKETS_MANAGE),
   upload.single("image"),
   validateZodRequest({ body: updateTicketSchema }),
   updateTicket
 );
 
-router.delete("/:id", deleteTicket);
+router.delete(
+  "/:id",
+  requirePermission(PERMISSIONS.TICKETS_MANAGE),
+  deleteTicket
+);
 
 export default router;
@@ -4,12 +4,31 @@ import {
   deleteUserDetails,
   getAllUserDetails,
   getUserDetails,
+  changeUserRole,
+  getUserRoleChanges,
+  unlockUser,
 } from "../controllers/user.controller.js";
+import {
+  getMyTickets,
+  getMyTicketQr,
+} from "../controllers/issuedTicket.controller.js";
+import {
+  getMySessions,
+  revokeMySession,
+} from "../controllers/session.controller.js";
 import { authMiddleware } from "../middlewares/auth.middleware.js";
+import { requirePermission } from "../middlewares/role.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
 import { validateRequest } from "../middlewares/validation.middleware.js";
 import { validateZodRequest } from "../middlewares/validation.middleware.js";
 import { updateUserSchema } from "../validators/user.validator.js";
 import { getUsersQuerySchema } from "../validators/user.validator.js";
+import { changeRoleSchema } from "../validators/user.validator.js";
+import { sessionParamsSchema } from "../validators/user.validator.js";
+import {
+  getIssuedTicketsQuerySchema,
+  getIssuedTicketQrQuerySchema,
+} from "../validators/issuedTicket.validator.js";
 
 const router = Router();
 
@@ -17,18 +36,74 @@ router.use(authMiddleware);
 
 router.get(
   "/",
+  requirePermission(PERMISSIONS.USERS_MANAGE),
   validateZodRequest({ query: getUsersQuerySchema }),
   getAllUserDetails
 );
 
-router.get("/:id", getUserDetails);
+router.get(
+  "/me/tickets",
+  requirePermission(PERMISSIONS.ACCOUNT_MANAGE),
+  validateZodRequest({ query: getIssuedTicketsQuerySchema }),
+  getMyTickets
+);
+
+router.get(
+  "/me/tickets/:id/qr",
+  requirePermission(PERMISSIONS.ACCOUNT_MANAGE),
+  validateZodRequest({ query: getIssuedTicketQrQuerySchema }),
+  getMyTicketQr
+);
+
+router.get(
+  "/me/sessions",
+  requirePermission(PERMISSIONS.ACCOUNT_MANAGE),
+  getMySessions
+);
+
+router.delete(
+  "/me/sessions/:id",
+  requirePermission(PERMISSIONS.ACCOUNT_MANAGE),
+  validateZodRequest({ params: sessionParamsSchema }),
+  revokeMySession
+);
+
+router.get(
+  "/:id",
+  requirePermission(PERMISSIONS.ACCOUNT_MANAGE),
+  getUserDetails
+);
 
 router.patch(
   "/:id",
+  requirePermission(PERMISSIONS.ACCOUNT_MANAGE),
   validateZodRequest({ body: updateUserSchema }),
   updateUserDetails
 );
 
-router.delete("/:id", deleteUserDetails);
+router.patch(
+  "/:id/role",
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  validateZodRequest({ body: changeRoleSchema }),
+  changeUserRole
+);
+
+router.get(
+  "/:id/role-changes",
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  getUserRoleChanges
+);
+
+router.post(
+  "/:id/unlock",
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  unlockUser
+);
+
+router.delete(
+  "/:id",
+  requirePermission(PERMISSIONS.USERS_MANAGE),
+  deleteUserDetails
+);
 
 export default router;
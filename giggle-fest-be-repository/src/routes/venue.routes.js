@@ -0,0 +1,40 @@
+import { Router } from "express";
+import {
+  createVenue,
+  getAllVenues,
+  getVenueById,
+} from "../controllers/venue.controller.js";
+import { authMiddleware } from "../middlewares/auth.middleware.js";
+import { requirePermission } from "../middlewares/role.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
+import { validateZodRequest } from "../middlewares/validation.middleware.js";
+import {
+  createVenueSchema,
+  venueParamsSchema,
+  getVenuesQuerySchema,
+} from "../validators/venue.validator.js";
+
+const router = Router();
+
+router.get(
+  "/",
+  validateZodRequest({ query: getVenuesQuerySchema }),
+  getAllVenues
+);
+
+router.get(
+  "/:id",
+  validateZodRequest({ params: venueParamsSchema }),
+  getVenueById
+);
+
+router.use(authMiddleware);
+
+router.post(
+  "/",
+  requirePermission(PERMISSIONS.EVENTS_MANAGE),
+  validateZodRequest({ body: createVenueSchema }),
+  createVenue
+);
+
+export default router;
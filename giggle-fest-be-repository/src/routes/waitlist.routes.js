@@ -0,0 +1,35 @@
+import { Router } from "express";
+import {
+  joinWaitlist,
+  getMyWaitlist,
+  leaveWaitlist,
+} from "../controllers/waitlist.controller.js";
+import { authMiddleware } from "../middlewares/auth.middleware.js";
+import { requirePermission } from "../middlewares/role.middleware.js";
+import { PERMISSIONS } from "../utils/permissions.js";
+import { validateZodRequest } from "../middlewares/validation.middleware.js";
+import {
+  joinWaitlistSchema,
+  waitlistParamsSchema,
+} from "../validators/waitlist.validator.js";
+
+const router = Router();
+
+router.use(authMiddleware);
+router.use(requirePermission(PERMISSIONS.TICKETS_PURCHASE));
+
+router.post(
+  "/",
+  validateZodRequest({ body: joinWaitlistSchema }),
+  joinWaitlist
+);
+
+router.get("/me", getMyWaitlist);
+
+router.delete(
+  "/:id",
+  validateZodRequest({ params: waitlistParamsSchema }),
+  leaveWaitlist
+);
+
+export default router;
@@ -0,0 +1,23 @@
+// Fills in Ticket.sold for ticket types that were on sale before it was
+// tracked, from the holds, payments and refunds already recorded. Run once
+// after deploying; running it again recounts from scratch.
+//
+// Usage:
+//   node src/scripts/backfill-ticket-sold.js
+import dotenv from "dotenv";
+import { backfillTicketSold } from "../repositories/ticket.repository.js";
+
+dotenv.config();
+
+const main = async () => {
+  const updated = await backfillTicketSold();
+
+  console.log(`Recounted sold for ${updated} ticket types`);
+};
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,48 @@
+// Creates the first admin account, or promotes an existing user to admin.
+// Refuses to run once any admin exists; further admins are promoted through
+// PATCH /api/v1/users/:id/role.
+//
+// Usage:
+//   node src/scripts/bootstrap-admin.js --email admin@example.com
+//     [--password secret123] [--name "Site Admin"] [--phone 0812...] [--age 30]
+//
+// Each option falls back to ADMIN_EMAIL, ADMIN_PASSWORD, ADMIN_NAME,
+// ADMIN_PHONE and ADMIN_AGE from the environment.
+import dotenv from "dotenv";
+import { bootstrapAdmin } from "../services/user.service.js";
+
+dotenv.config();
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i].startsWith("--")) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i += 1;
+    }
+  }
+  return args;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  const { user, created } = await bootstrapAdmin({
+    email: args.email || process.env.ADMIN_EMAIL,
+    password: args.password || process.env.ADMIN_PASSWORD,
+    name: args.name || process.env.ADMIN_NAME,
+    phoneNumber: args.phone || process.env.ADMIN_PHONE,
+    age: args.age || process.env.ADMIN_AGE,
+  });
+
+  console.log(
+    `${created ? "Created" : "Promoted"} admin ${user.email} (id ${user.id})`
+  );
+};
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,62 @@
+// Generates a signed Midtrans notification payload so the webhook can be
+// exercised locally without the sandbox.
+//
+// Usage:
+//   node src/scripts/midtrans-notification.js --order ORDER-XXXX --amount 200000
+//     [--status settlement] [--fraud accept] [--send http://localhost:3000]
+import dotenv from "dotenv";
+import { buildNotificationPayload } from "../utils/midtrans.signature.js";
+
+dotenv.config();
+
+const parseArgs = (argv) => {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 1) {
+    if (argv[i].startsWith("--")) {
+      args[argv[i].slice(2)] = argv[i + 1];
+      i += 1;
+    }
+  }
+  return args;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.order || !args.amount) {
+    console.error(
+      "Usage: node src/scripts/midtrans-notification.js --order <orderId> --amount <grossAmount> [--status settlement] [--fraud accept] [--send <baseUrl>]"
+    );
+    process.exit(1);
+  }
+
+  if (!process.env.MIDTRANS_SERVER_KEY) {
+    console.error("MIDTRANS_SERVER_KEY is not set");
+    process.exit(1);
+  }
+
+  const payload = buildNotificationPayload({
+    orderId: args.order,
+    grossAmount: args.amount,
+    transactionStatus: args.status,
+    fraudStatus: args.fraud,
+  });
+
+  if (!args.send) {
+    console.log(JSON.stringify(payload, null, 2));
+    return;
+  }
+
+  const response = await fetch(`${args.send}/api/v1/payments/notification`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(payload),
+  });
+
+  console.log(response.status, await response.text());
+};
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -1,49 +1,105 @@
 import * as cartRepository from "../repositories/cart.repository.js";
 import * as ticketRepository from "../repositories/ticket.repository.js";
+import * as userRepository from "../repositories/user.repository.js";
+import * as orderRepository from "../repositories/order.repository.js";
+import * as paymentRepository from "../repositories/payment.repository.js";
+import {
+  validatePromoCode,
+  isPromoApplicable,
+  calculatePromoDiscount,
+} from "./promo.service.js";
+import { generateOrderId, buildCustomerDetails } from "./payment.service.js";
+import { checkSeatSelection } from "./venue.service.js";
+import { priceCartItems } from "./pricing.service.js";
+import { snap } from "../libs/midtrans.config.js";
+import { assertTicketOnSale } from "../utils/eventStatus.js";
+import { SEAT_STATUSES } from "../utils/seating.js";
+import {
+  getCartHoldExpiry,
+  getHoldStatus,
+  isHoldActive,
+} from "../utils/cartHold.js";
 
-export const addToCart = async (userId, { ticketId, quantity }) => {
+// how often the stock of expired cart holds is returned to the tickets and
+// free stock is offered to their waitlists
+export const CART_HOLD_SWEEP_INTERVAL_MS = 60 * 1000;
+
+const withHold = (cartItem, now = new Date()) => ({
+  ...cartItem,
+  hold: getHoldStatus(cartItem, now),
+});
+
+// spreads an order-level discount over the eligible line items
+// proportionally, the last eligible line absorbing the rounding remainder
+const allocateDiscount = (items, discount, isEligible) => {
+  const eligible = items.filter(isEligible);
+  const total = eligible.reduce((sum, item) => sum + item.subtotal, 0);
+  let remaining = discount;
+
+  return items.map((item) => {
+    if (!eligible.includes(item)) {
+      return { ...item, discount: 0 };
+    }
+
+    const share =
+      item === eligible[eligible.length - 1]
+        ? remaining
+        : Math.round((discount * item.subtotal) / total);
+    remaining -= share;
+    return { ...item, discount: share };
+  });
+};
+
+export const addToCart = async (userId, { ticketId, quantity, seatIds }) => {
   const ticket = await ticketRepository.findTicketById(ticketId);
   if (!ticket) {
     throw new Error("Ticket not found");
   }
 
-  if (ticket.quantity < quantity) {
-    throw new Error("Not enough tickets available");
-  }
+  assertTicketOnSale(ticket);
 
-  const existingCartItem = await cartRepository.findCartItemByTicket(
-    userId,
-    ticketId
-  );
-  if (existingCartItem) {
-    const newQuantity = existingCartItem.quantity + quantity;
-    if (ticket.quantity < newQuantity) {
-      throw new Error("Not enough tickets available");
-    }
+  const heldUntil = getCartHoldExpiry();
+  const cartItem = (await checkSeatSelection(ticketId, seatIds))
+    ? await cartRepository.addSeatsToCart({
+        userId,
+        ticketId,
+        eventSeatIds: seatIds,
+        heldUntil,
+      })
+    : await cartRepository.holdCartItem({
+        userId,
+        ticketId,
+        quantity,
+        heldUntil,
+      });
 
-    return cartRepository.updateCartItem(existingCartItem.id, userId, {
-      quantity: newQuantity,
-    });
-  }
-
-  return cartRepository.createCartItem({
-    userId,
-    ticketId,
-    quantity,
-  });
+  const [priced] = await priceCartItems([cartItem]);
+  return withHold(priced);
 };
 
 export const getCartByUser = async (userId) => {
-  const cartItems = await cartRepository.findCartByUser(userId);
+  const now = new Date();
+  const cartItems = await priceCartItems(
+    await cartRepository.findCartByUser(userId),
+    now
+  );
 
+  // items are charged at the tier price of the ticket, not its base price
   const total = cartItems.reduce((sum, item) => {
-    return sum + item.ticket.price * item.quantity;
+    return sum + item.price * item.quantity;
   }, 0);
 
+  // the cart has to be checked out before its first running hold ends
+  const running = cartItems.filter((item) => isHoldActive(item, now));
+  const holdExpiresAt = running.length
+    ? new Date(Math.min(...running.map((item) => item.heldUntil)))
+    : null;
+
   return {
-    items: cartItems,
+    items: cartItems.map((item) => withHold(item, now)),
     total,
     totalItems: cartItems.length,
+    holdExpiresAt,
   };
 };
 
@@ -53,12 +109,20 @@ export const updateCartQuantity = async (userId, cartId, quantity) => {
     throw new Error("Cart item not found");
   }
 
-  const ticket = await ticketRepository.findTicketById(cartItem.ticketId);
-  if (ticket.quantity < quantity) {
-    throw new Error("Not enough tickets available");
+  if (cartItem.seats.length > 0) {
+    throw new Error(
+      "Add or remove seats to change the quantity of a seated ticket"
+    );
   }
 
-  return cartRepository.updateCartItem(cartId, userId, { quantity });
+  const updated = await cartRepository.updateHeldQuantity(cartId, userId, {
+    ticketId: cartItem.ticketId,
+    quantity,
+    heldUntil: getCartHoldExpiry(),
+  });
+
+  const [priced] = await priceCartItems([updated]);
+  return withHold(priced);
 };
 
 export const removeFromCart = async (userId, cartId) => {
@@ -70,30 +134,142 @@ export const removeFromCart = async (userId, cartId) => {
   return cartRepository.deleteCartItem(cartId, userId);
 };
 
-export const checkout = async (userId) => {
+export const checkout = async (userId, { promoCode } = {}) => {
   const cart = await getCartByUser(userId);
   if (cart.items.length === 0) {
     throw new Error("Cart is empty");
   }
 
+  const now = new Date();
+  const seatedItems = new Set();
   for (const item of cart.items) {
     const ticket = await ticketRepository.findTicketById(item.ticketId);
-    if (ticket.quantity < item.quantity) {
-      throw new Error(`Not enough tickets available for ${ticket.name}`);
+    assertTicketOnSale(ticket);
+
+    // stock or seats of a hold that ran out may already belong to someone else
+    if (item.seats.length > 0) {
+      const held = item.seats.filter(
+        (seat) => seat.status === SEAT_STATUSES.HELD && seat.heldUntil > now
+      );
+      if (held.length !== item.quantity) {
+        throw new Error(
+          `Your seats for ${ticket.name} are no longer held, please choose them again`
+        );
+      }
+      seatedItems.add(item.id);
+    } else if (!isHoldActive(item, now)) {
+      throw new Error(
+        `Your hold on ${ticket.name} has expired, please add it to your cart again`
+      );
     }
   }
 
-  const checkoutData = {
-    userId,
-    items: cart.items.map((item) => ({
+  const user = await userRepository.findUserById(userId);
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  const lineItems = cart.items.map((item) => {
+    const price = Math.round(item.price);
+    return {
       ticketId: item.ticketId,
+      eventId: item.ticket.eventId,
+      categoryId: item.ticket.categoryId,
+      name: item.ticket.name,
+      category: item.ticket.category?.name,
+      organizationId: item.ticket.event?.organizationId ?? null,
       quantity: item.quantity,
-      price: item.ticket.price,
-      subtotal: item.ticket.price * item.quantity,
-    })),
-    total: cart.total,
-    status: "pending",
+      price,
+      subtotal: price * item.quantity,
+      cartId: item.id,
+      ...(seatedItems.has(item.id) && { seated: true }),
+    };
+  });
+
+  const originalAmount = lineItems.reduce(
+    (sum, item) => sum + item.subtotal,
+    0
+  );
+  let discount = 0;
+  let promo = null;
+  const isEligible = (item) => !promo || isPromoApplicable(promo, item);
+
+  if (promoCode) {
+    promo = await validatePromoCode(promoCode, userId);
+    discount = calculatePromoDiscount(promo, lineItems);
+  }
+
+  const amount = originalAmount - discount;
+  const orderId = generateOrderId();
+
+  const order = await orderRepository.createOrderWithReservation({
+    userId,
+    orderId,
+    originalAmount,
+    discount,
+    amount,
+    promoCodeId: promo?.id,
+    items: allocateDiscount(lineItems, discount, isEligible),
+  });
+
+  const itemDetails = lineItems.map((item) => ({
+    id: item.ticketId.toString(),
+    price: item.price,
+    quantity: item.quantity,
+    name: item.name,
+    category: item.category,
+  }));
+
+  if (discount > 0) {
+    itemDetails.push({
+      id: "DISCOUNT",
+      price: -discount,
+      quantity: 1,
+      name: `Promo: ${promoCode}`,
+      category: "Discount",
+    });
+  }
+
+  let transactionToken;
+  try {
+    transactionToken = await snap.createTransaction({
+      transaction_details: {
+        order_id: orderId,
+        gross_amount: amount,
+      },
+      customer_details: buildCustomerDetails(user),
+      item_details: itemDetails,
+    });
+  } catch (error) {
+    await paymentRepository.settlePayment(orderId, "failed");
+    throw error;
+  }
+
+  await cartRepository.clearUserCart(userId);
+
+  return {
+    order,
+    payment: order.payments[0],
+    transactionToken: transactionToken.token,
+    redirectUrl: transactionToken.redirect_url,
   };
+};
+
+export const releaseExpiredHolds = async () => {
+  return cartRepository.sweepExpiredHolds();
+};
 
-  return checkoutData;
+// Holding or buying a ticket also releases its expired holds first, so a
+// sweep that does not run, e.g. on a serverless deploy, only leaves the
+// stock shown in listings low for a while.
+export const startCartHoldSweeper = (
+  intervalMs = CART_HOLD_SWEEP_INTERVAL_MS
+) => {
+  const timer = setInterval(() => {
+    releaseExpiredHolds().catch((error) =>
+      console.error("Failed to release expired cart holds:", error)
+    );
+  }, intervalMs);
+  timer.unref();
+  return timer;
 };
@@ -0,0 +1,95 @@
+import * as issuedTicketRepository from "../repositories/issuedTicket.repository.js";
+import * as eventRepository from "../repositories/event.repository.js";
+import * as refundRepository from "../repositories/refund.repository.js";
+import { verifyTicketCode } from "../utils/ticketCode.js";
+import { hasPermission, PERMISSIONS } from "../utils/permissions.js";
+import { assertEventAccess } from "./organization.service.js";
+
+// staff work the doors of every event, organizers only those of the events
+// their organizations run
+const assertCheckInAccess = async (user, eventId) => {
+  if (hasPermission(user.role, PERMISSIONS.EVENTS_MANAGE)) {
+    return assertEventAccess(user, eventId);
+  }
+  return null;
+};
+
+export const checkInTicket = async ({ code, eventId }, user) => {
+  // forged or mistyped codes are rejected before touching the database
+  const decoded = verifyTicketCode(code);
+  if (!decoded) {
+    throw new Error("Invalid ticket code");
+  }
+
+  if (decoded.eventId !== eventId) {
+    throw new Error("Ticket is for another event");
+  }
+
+  const ticket = await issuedTicketRepository.findIssuedTicketByCode(code);
+  if (!ticket) {
+    throw new Error("Ticket not found");
+  }
+
+  await assertCheckInAccess(user, ticket.eventId);
+
+  if (ticket.status === "void") {
+    throw new Error("Ticket is no longer valid");
+  }
+
+  if (ticket.status === "used") {
+    throw new Error("Ticket already checked in");
+  }
+
+  // the money may be on its way back, so the ticket cannot be used as well
+  if (await refundRepository.hasOpenRefund(ticket.id)) {
+    throw new Error("Ticket has a refund pending");
+  }
+
+  const { count } = await issuedTicketRepository.checkInIssuedTicket(
+    ticket.id,
+    user.id
+  );
+  if (count === 0) {
+    throw new Error("Ticket already checked in");
+  }
+
+  return issuedTicketRepository.findIssuedTicketByCode(code);
+};
+
+export const getCheckInStats = async (eventId, user) => {
+  const event =
+    (await assertCheckInAccess(user, eventId)) ??
+    (await eventRepository.findEventById(eventId));
+  if (!event) {
+    throw new Error("Event not found");
+  }
+
+  const { byTicket, lastCheckInAt } =
+    await issuedTicketRepository.countIssuedTicketsByEvent(event.id);
+
+  const tickets = event.tickets.map((ticket) => {
+    const counts = byTicket.filter((row) => row.ticketId === ticket.id);
+    const countOf = (status) =>
+      counts.find((row) => row.status === status)?._count._all || 0;
+
+    return {
+      ticketId: ticket.id,
+      name: ticket.name,
+      issued: countOf("valid") + countOf("used"),
+      checkedIn: countOf("used"),
+    };
+  });
+
+  const issued = tickets.reduce((sum, ticket) => sum + ticket.issued, 0);
+  const checkedIn = tickets.reduce((sum, ticket) => sum + ticket.checkedIn, 0);
+
+  return {
+    eventId: event.id,
+    eventName: event.name,
+    issued,
+    checkedIn,
+    remaining: issued - checkedIn,
+    lastCheckInAt,
+    tickets,
+  };
+};
@@ -1,7 +1,26 @@
 import * as eventRepository from "../repositories/event.repository.js";
+import * as issuedTicketRepository from "../repositories/issuedTicket.repository.js";
+import * as notificationRepository from "../repositories/notification.repository.js";
 import { uploadImage } from "../libs/imagekit.js";
+import {
+  assertEventAccess,
+  assertOrganizationAccess,
+  resolveOrganizationId,
+} from "./organization.service.js";
+import { refundCancelledEvent } from "./refund.service.js";
+import {
+  EVENT_STATUSES,
+  canTransitionEvent,
+  isEventPublic,
+  publicEventWhere,
+} from "../utils/eventStatus.js";
+
+export const createEventService = async (data, file, user) => {
+  data.organizationId = await resolveOrganizationId(
+    user,
+    data.organizationId
+  );
 
-export const createEventService = async (data, file) => {
   if (file) {
     const imageUrl = await uploadImage(file);
     data.imageUrl = imageUrl;
@@ -24,7 +43,7 @@ export const getAllEventsService = async (query) => {
   const skip = (validPage - 1) * validLimit;
   const take = validLimit;
 
-  const where = {};
+  const where = publicEventWhere();
 
   if (search) {
     where.OR = [
@@ -64,11 +83,28 @@ export const getAllEventsService = async (query) => {
   };
 };
 
+// unpublished events are only reachable through the organizer endpoints
 export const getEventByIdService = async (id) => {
-  return eventRepository.findEventById(id);
+  const event = await eventRepository.findEventById(id);
+  return event && isEventPublic(event) ? event : null;
 };
 
-export const updateEventService = async (id, data, file) => {
+export const updateEventService = async (id, data, file, user) => {
+  const event = await assertEventAccess(user, id);
+
+  // ticket holders have to hear about a new date, which only rescheduling
+  // takes care of
+  if (data.date && event.status !== EVENT_STATUSES.DRAFT) {
+    throw new Error(
+      "Cannot change the date of a published event, reschedule it instead"
+    );
+  }
+
+  // moving an event requires access to the receiving organization as well
+  if (data.organizationId) {
+    await assertOrganizationAccess(user, data.organizationId);
+  }
+
   if (file) {
     const imageUrl = await uploadImage(file);
     data.imageUrl = imageUrl;
@@ -77,6 +113,145 @@ export const updateEventService = async (id, data, file) => {
   return eventRepository.updateEvent(id, data);
 };
 
-export const deleteEventService = async (id) => {
+export const deleteEventService = async (id, user) => {
+  await assertEventAccess(user, id);
+
+  if (await eventRepository.hasEventSales(id)) {
+    throw new Error("Cannot delete an event with sales, cancel it instead");
+  }
+  if (await eventRepository.hasBundledTickets(id)) {
+    throw new Error(
+      "Cannot delete an event with bundled tickets, delete its bundles first"
+    );
+  }
+
   return eventRepository.deleteEvent(id);
 };
+
+// the status change has already been saved, so a failed notification is
+// only logged
+const notifyHolders = async (eventId, message) => {
+  try {
+    const userIds = await issuedTicketRepository.findEventHolderIds(eventId);
+    if (userIds.length > 0) {
+      await notificationRepository.createNotifications(userIds, message);
+    }
+  } catch (error) {
+    console.error(
+      `Failed to notify ticket holders of event ${eventId}:`,
+      error
+    );
+  }
+};
+
+const withReason = (message, reason) => {
+  return reason ? `${message}: ${reason}` : message;
+};
+
+// moves the event on only if nobody else changed its status in the meantime
+const transitionEvent = async (event, data) => {
+  const updated = await eventRepository.updateEventStatus(
+    event.id,
+    [event.status],
+    data
+  );
+  if (!updated) {
+    throw new Error("Cannot update an event whose status just changed");
+  }
+  return updated;
+};
+
+const assertTransition = (event, status) => {
+  if (!canTransitionEvent(event.status, status)) {
+    throw new Error(`Cannot move a ${event.status} event to ${status}`);
+  }
+};
+
+// publishing, postponing and completing; cancelling and rescheduling have
+// their own services because they also move money and dates
+export const changeEventStatusService = async (
+  id,
+  { status, reason },
+  user
+) => {
+  const event = await assertEventAccess(user, id);
+  assertTransition(event, status);
+
+  if (status === EVENT_STATUSES.COMPLETED && event.date > new Date()) {
+    throw new Error("Cannot complete an event that has not taken place yet");
+  }
+
+  const updated = await transitionEvent(event, {
+    status,
+    statusReason: reason ?? null,
+  });
+
+  if (status === EVENT_STATUSES.POSTPONED) {
+    await notifyHolders(
+      event.id,
+      `${withReason(`${event.name} has been postponed`, reason)}. ` +
+        "Your tickets stay valid for the new date, or you can request a refund."
+    );
+  }
+
+  return updated;
+};
+
+// Cancels the event and refunds every paid ticket for it. Holders are told
+// before the refunds run, which void their tickets.
+export const cancelEventService = async (id, { reason } = {}, user) => {
+  const event = await assertEventAccess(user, id);
+  assertTransition(event, EVENT_STATUSES.CANCELLED);
+
+  const cancelled = await transitionEvent(event, {
+    status: EVENT_STATUSES.CANCELLED,
+    statusReason: reason ?? null,
+  });
+
+  await notifyHolders(
+    event.id,
+    `${withReason(`${event.name} has been cancelled`, reason)}. ` +
+      "Your tickets will be refunded automatically."
+  );
+
+  const refunds = await refundCancelledEvent(event, user.id);
+
+  return { event: cancelled, refunds };
+};
+
+// a postponed event goes back on sale once it has a new date
+const RESCHEDULABLE_STATUSES = [
+  EVENT_STATUSES.PUBLISHED,
+  EVENT_STATUSES.POSTPONED,
+];
+
+export const rescheduleEventService = async (
+  id,
+  { date, reason } = {},
+  user
+) => {
+  const event = await assertEventAccess(user, id);
+  if (!RESCHEDULABLE_STATUSES.includes(event.status)) {
+    throw new Error(`Cannot reschedule a ${event.status} event`);
+  }
+  if (date <= new Date()) {
+    throw new Error("New date must be in the future");
+  }
+
+  const rescheduled = await transitionEvent(event, {
+    status: EVENT_STATUSES.PUBLISHED,
+    date,
+    previousDate: event.date,
+    statusReason: reason ?? null,
+  });
+
+  const from = event.date.toUTCString();
+  const moved = `${event.name} has moved from ${from} to ${date.toUTCString()}`;
+  await notifyHolders(
+    event.id,
+    `${withReason(moved, reason)}. Your tickets are valid for the new date. ` +
+      "If you can no longer attend, you can request a refund."
+  );
+
+  return rescheduled;
+};
@@ -0,0 +1,236 @@
+import * as eventRepository from "../repositories/event.repository.js";
+import * as categoryRepository from "../repositories/category.repository.js";
+import { resolveOrganizationId } from "./organization.service.js";
+import { importEventSchema } from "../validators/event.validator.js";
+import { importTicketSchema } from "../validators/ticket.validator.js";
+import { parseCsv } from "../utils/csv.js";
+
+export const MAX_IMPORT_ROWS = 1000;
+
+// CSV column -> schema field. A CSV has one line per ticket type; lines that
+// repeat an event's name, date and location add tickets to the same event.
+const CSV_EVENT_COLUMNS = {
+  eventName: "name",
+  description: "description",
+  date: "date",
+  location: "location",
+  organizationId: "organizationId",
+  status: "status",
+  publishAt: "publishAt",
+};
+
+const CSV_TICKET_COLUMNS = {
+  ticketName: "name",
+  price: "price",
+  quantity: "quantity",
+  categoryId: "categoryId",
+  artist: "artist",
+  salesStart: "salesStart",
+  salesEnd: "salesEnd",
+};
+
+// empty cells are left out so optional fields stay optional
+const pickColumns = (values, columns) => {
+  return Object.fromEntries(
+    Object.entries(columns)
+      .filter(([column]) => values[column])
+      .map(([column, field]) => [field, values[column]])
+  );
+};
+
+const fromCsv = (buffer) => {
+  const events = new Map();
+
+  for (const { line, values } of parseCsv(buffer.toString("utf8"))) {
+    const data = pickColumns(values, CSV_EVENT_COLUMNS);
+    const key = JSON.stringify([data.name, data.date, data.location]);
+    const event = events.get(key) || {
+      row: `line ${line}`,
+      data,
+      tickets: [],
+    };
+
+    const ticket = pickColumns(values, CSV_TICKET_COLUMNS);
+    if (Object.keys(ticket).length > 0) {
+      event.tickets.push({ row: `line ${line}`, data: ticket });
+    }
+    events.set(key, event);
+  }
+
+  return [...events.values()];
+};
+
+const fromJson = (events) => {
+  return events.map((event, i) => {
+    const { tickets = [], ...data } = event ?? {};
+    if (!Array.isArray(tickets)) {
+      throw new Error(`events[${i}].tickets must be an array`);
+    }
+
+    return {
+      row: `events[${i}]`,
+      data,
+      tickets: tickets.map((ticket, j) => ({
+        row: `events[${i}].tickets[${j}]`,
+        data: ticket,
+      })),
+    };
+  });
+};
+
+const readImport = ({ file, body }) => {
+  if (file) {
+    return fromCsv(file.buffer);
+  }
+  if (Array.isArray(body?.events)) {
+    return fromJson(body.events);
+  }
+  throw new Error("Upload a CSV file or send an events array");
+};
+
+const toRowErrors = (row, error) => {
+  return error.issues.map((issue) => ({
+    row,
+    field: issue.path.join("."),
+    message: issue.message,
+  }));
+};
+
+// Each organization is only looked up once, however many events use it
+const createOrganizationResolver = (user) => {
+  const resolved = new Map();
+  return (organizationId) => {
+    const key = organizationId ?? null;
+    if (!resolved.has(key)) {
+      resolved.set(
+        key,
+        resolveOrganizationId(user, organizationId).then(
+          (id) => ({ id }),
+          (error) => ({ error })
+        )
+      );
+    }
+    return resolved.get(key);
+  };
+};
+
+const checkCategories = async (events) => {
+  const ids = [
+    ...new Set(
+      events.flatMap((event) =>
+        event.tickets.map((ticket) => ticket.data.categoryId)
+      )
+    ),
+  ];
+  if (ids.length === 0) {
+    return [];
+  }
+
+  const found = new Set(
+    (await categoryRepository.findCategoriesByIds(ids)).map(({ id }) => id)
+  );
+
+  return events.flatMap((event) =>
+    event.tickets
+      .filter((ticket) => !found.has(ticket.data.categoryId))
+      .map((ticket) => ({
+        row: ticket.row,
+        field: "categoryId",
+        message: "Category not found",
+      }))
+  );
+};
+
+// Validates every event and ticket row. Rows that fail the schema are
+// reported and left out of the reference checks.
+const validateImport = async (entries, user) => {
+  const errors = [];
+  const events = [];
+  const resolveOrganization = createOrganizationResolver(user);
+
+  for (const entry of entries) {
+    const event = importEventSchema.safeParse(entry.data);
+    if (!event.success) {
+      errors.push(...toRowErrors(entry.row, event.error));
+    }
+
+    const tickets = [];
+    const names = new Set();
+    for (const ticketEntry of entry.tickets) {
+      const ticket = importTicketSchema.safeParse(ticketEntry.data);
+      if (!ticket.success) {
+        errors.push(...toRowErrors(ticketEntry.row, ticket.error));
+        continue;
+      }
+
+      if (names.has(ticket.data.name)) {
+        errors.push({
+          row: ticketEntry.row,
+          field: "name",
+          message: "Duplicate ticket name for this event",
+        });
+        continue;
+      }
+      names.add(ticket.data.name);
+      tickets.push({ row: ticketEntry.row, data: ticket.data });
+    }
+
+    if (!event.success) continue;
+
+    const organization = await resolveOrganization(event.data.organizationId);
+    if (organization.error) {
+      errors.push({
+        row: entry.row,
+        field: "organizationId",
+        message: organization.error.message,
+      });
+      continue;
+    }
+
+    events.push({
+      row: entry.row,
+      data: { ...event.data, organizationId: organization.id },
+      tickets,
+    });
+  }
+
+  errors.push(...(await checkCategories(events)));
+
+  return { events, errors };
+};
+
+export const importEvents = async (input, user, { dryRun = false } = {}) => {
+  const entries = readImport(input);
+  const tickets = entries.reduce((sum, entry) => sum + entry.tickets.length, 0);
+
+  const rows = entries.length + tickets;
+  if (rows === 0) {
+    throw new Error("Nothing to import");
+  }
+  if (rows > MAX_IMPORT_ROWS) {
+    throw new Error(`Import is limited to ${MAX_IMPORT_ROWS} rows`);
+  }
+
+  const { events, errors } = await validateImport(entries, user);
+
+  const report = {
+    dryRun,
+    valid: errors.length === 0,
+    events: entries.length,
+    tickets,
+    errors,
+  };
+
+  if (dryRun || !report.valid) {
+    return report;
+  }
+
+  const created = await eventRepository.createEventsWithTickets(
+    events.map(({ data, tickets }) => ({
+      ...data,
+      tickets: tickets.map((ticket) => ({ ...ticket.data, userId: user.id })),
+    }))
+  );
+
+  return { ...report, created };
+};
@@ -0,0 +1,181 @@
+import * as paymentRepository from "../repositories/payment.repository.js";
+import * as issuedTicketRepository from "../repositories/issuedTicket.repository.js";
+import * as reviewRepository from "../repositories/review.repository.js";
+import * as eventRepository from "../repositories/event.repository.js";
+import * as promoRepository from "../repositories/promo.repository.js";
+import { getPromoCampaign } from "./promo.service.js";
+import { readInBatches } from "../utils/export.js";
+import { getPaymentLineItems } from "../utils/lineItems.js";
+
+const PAYMENT_COLUMNS = [
+  { header: "Payment ID", key: "id" },
+  { header: "Order ID", key: "orderId" },
+  { header: "Status", key: "status" },
+  { header: "Payment Date", key: "paymentDate" },
+  { header: "Customer Name", key: "userName" },
+  { header: "Customer Email", key: "userEmail" },
+  { header: "Events", key: "events" },
+  { header: "Tickets", key: "tickets" },
+  { header: "Quantity", key: "quantity" },
+  { header: "Original Amount", key: "originalAmount" },
+  { header: "Discount", key: "discount" },
+  { header: "Amount", key: "amount" },
+];
+
+const ATTENDEE_COLUMNS = [
+  { header: "Ticket Code", key: "code" },
+  { header: "Status", key: "status" },
+  { header: "Ticket Type", key: "ticket" },
+  { header: "Attendee Name", key: "userName" },
+  { header: "Attendee Email", key: "userEmail" },
+  { header: "Order ID", key: "orderId" },
+  { header: "Issued At", key: "issuedAt" },
+  { header: "Checked In At", key: "checkedInAt" },
+];
+
+const REVIEW_COLUMNS = [
+  { header: "Review ID", key: "id" },
+  { header: "Rating", key: "rating" },
+  { header: "Comment", key: "comment" },
+  { header: "Reviewer Name", key: "userName" },
+  { header: "Reviewer Email", key: "userEmail" },
+  { header: "Event", key: "event" },
+  { header: "Ticket", key: "ticket" },
+  { header: "Created At", key: "createdAt" },
+];
+
+const CAMPAIGN_CODE_COLUMNS = [
+  { header: "Code", key: "code" },
+  { header: "Status", key: "status" },
+  { header: "Redeemed At", key: "redeemedAt" },
+  { header: "Customer Name", key: "userName" },
+  { header: "Customer Email", key: "userEmail" },
+  { header: "Order ID", key: "orderId" },
+  { header: "Discount", key: "discount" },
+  { header: "Valid To", key: "validTo" },
+];
+
+async function* mapRows(rows, toRow) {
+  for await (const row of rows) {
+    yield toRow(row);
+  }
+}
+
+const toPaymentRow = (payment) => {
+  const items = getPaymentLineItems(payment);
+  const events = new Set(items.map((item) => item.ticket?.event?.name));
+
+  return {
+    id: payment.id,
+    orderId: payment.orderId,
+    status: payment.status,
+    paymentDate: payment.paymentDate,
+    userName: payment.user?.name,
+    userEmail: payment.user?.email,
+    events: [...events].filter(Boolean).join("; "),
+    tickets: items
+      .map((item) => `${item.ticket?.name} x${item.quantity}`)
+      .join("; "),
+    quantity: payment.quantity,
+    originalAmount: payment.originalAmount,
+    discount: payment.discount,
+    amount: payment.amount,
+  };
+};
+
+const toAttendeeRow = (issuedTicket) => ({
+  code: issuedTicket.code,
+  status: issuedTicket.status,
+  ticket: issuedTicket.ticket?.name,
+  userName: issuedTicket.user?.name,
+  userEmail: issuedTicket.user?.email,
+  orderId: issuedTicket.payment?.orderId,
+  issuedAt: issuedTicket.createdAt,
+  checkedInAt: issuedTicket.checkedInAt,
+});
+
+const toReviewRow = (review) => ({
+  id: review.id,
+  rating: review.rating,
+  comment: review.comment,
+  userName: review.user?.name,
+  userEmail: review.user?.email,
+  event: review.ticket?.event?.name,
+  ticket: review.ticket?.name,
+  createdAt: review.createdAt,
+});
+
+// campaign codes are single-use, so a code has at most one redemption
+const toCampaignCodeRow = (promoCode) => {
+  const [redemption] = promoCode.redemptions ?? [];
+
+  return {
+    code: promoCode.code,
+    status: redemption ? "redeemed" : "unused",
+    redeemedAt: redemption?.createdAt,
+    userName: redemption?.user?.name,
+    userEmail: redemption?.user?.email,
+    orderId: redemption?.payment?.orderId,
+    discount: redemption?.discount,
+    validTo: promoCode.validTo,
+  };
+};
+
+export const getPaymentsExport = ({ status } = {}) => {
+  const payments = readInBatches((batch) =>
+    paymentRepository.findPaymentExportBatch({ status }, batch)
+  );
+
+  return {
+    filename: "payments",
+    sheetName: "Payments",
+    columns: PAYMENT_COLUMNS,
+    rows: mapRows(payments, toPaymentRow),
+  };
+};
+
+export const getAttendeesExport = async (eventId, { status } = {}) => {
+  const event = await eventRepository.findEventById(eventId);
+  if (!event) {
+    throw new Error("Event not found");
+  }
+
+  const attendees = readInBatches((batch) =>
+    issuedTicketRepository.findAttendeeExportBatch(event.id, { status }, batch)
+  );
+
+  return {
+    filename: `event-${event.id}-attendees`,
+    sheetName: "Attendees",
+    columns: ATTENDEE_COLUMNS,
+    rows: mapRows(attendees, toAttendeeRow),
+  };
+};
+
+export const getReviewsExport = ({ ticketId, userId } = {}) => {
+  const reviews = readInBatches((batch) =>
+    reviewRepository.findReviewExportBatch({ ticketId, userId }, batch)
+  );
+
+  return {
+    filename: "reviews",
+    sheetName: "Reviews",
+    columns: REVIEW_COLUMNS,
+    rows: mapRows(reviews, toReviewRow),
+  };
+};
+
+export const getCampaignCodesExport = async (campaignId, user) => {
+  const campaign = await getPromoCampaign(campaignId, user);
+
+  const codes = readInBatches((batch) =>
+    promoRepository.findCampaignCodeExportBatch(campaign.id, batch)
+  );
+
+  return {
+    filename: `campaign-${campaign.id}-codes`,
+    sheetName: "Codes",
+    columns: CAMPAIGN_CODE_COLUMNS,
+    rows: mapRows(codes, toCampaignCodeRow),
+  };
+};
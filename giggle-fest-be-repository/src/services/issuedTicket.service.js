@@ -0,0 +1,137 @@
+import * as issuedTicketRepository from "../repositories/issuedTicket.repository.js";
+import * as paymentRepository from "../repositories/payment.repository.js";
+import { generateTicketCode } from "../utils/ticketCode.js";
+import { getPaymentLineItems, expandBundleLines } from "../utils/lineItems.js";
+import { formatSeat } from "../utils/seating.js";
+import {
+  renderQrPng,
+  renderQrSvg,
+  renderQrDataUrl,
+} from "../utils/qrcode.js";
+import { sendTicketConfirmationEmail } from "../utils/email.service.js";
+
+const QR_FORMATS = ["png", "svg"];
+
+const sendConfirmation = async (payment, tickets) => {
+  try {
+    const attachments = await Promise.all(
+      tickets.map(async (ticket) => ({
+        code: ticket.code,
+        ticketName: ticket.ticket.name,
+        eventName: ticket.ticket.event.name,
+        eventDate: ticket.ticket.event.date,
+        location: ticket.ticket.event.location,
+        ...(ticket.eventSeat && { seat: formatSeat(ticket.eventSeat.seat) }),
+        qrPng: await renderQrPng(ticket.code),
+      }))
+    );
+
+    await sendTicketConfirmationEmail(payment.user.email, {
+      name: payment.user.name,
+      orderId: payment.orderId,
+      tickets: attachments,
+    });
+  } catch (error) {
+    // the tickets are issued either way and stay available in the app
+    console.error(
+      `Failed to send ticket confirmation for order ${payment.orderId}:`,
+      error
+    );
+  }
+};
+
+export const issueTicketsForPayment = async (paymentId) => {
+  const payment = await paymentRepository.findPaymentWithItems(paymentId);
+  if (!payment) {
+    throw new Error("Payment not found");
+  }
+
+  if (payment.status !== "success") {
+    throw new Error("Payment is not successful");
+  }
+
+  // each unit of a seated ticket type gets one of the seats sold with it
+  const seats = [...payment.seats];
+  const takeSeat = (ticketId) => {
+    const index = seats.findIndex((seat) => seat.ticketId === ticketId);
+    return index === -1 ? null : seats.splice(index, 1)[0];
+  };
+
+  let sequence = 0;
+  const lines = expandBundleLines(getPaymentLineItems(payment));
+  const data = lines.flatMap((item) =>
+    Array.from({ length: item.quantity }, () => {
+      sequence += 1;
+      const seat = takeSeat(item.ticketId);
+      return {
+        code: generateTicketCode(item.ticket.eventId),
+        sequence,
+        status: "valid",
+        userId: payment.userId,
+        ticketId: item.ticketId,
+        eventId: item.ticket.eventId,
+        paymentId: payment.id,
+        ...(item.bundleId && { bundleId: item.bundleId }),
+        ...(seat && { eventSeatId: seat.id }),
+      };
+    })
+  );
+
+  const { count } = await issuedTicketRepository.createIssuedTickets(data);
+  const tickets = await issuedTicketRepository.findIssuedTicketsByPayment(
+    payment.id
+  );
+
+  // only the call that actually issued the tickets sends the email
+  if (count > 0) {
+    await sendConfirmation(payment, tickets);
+  }
+
+  return tickets;
+};
+
+export const getUserTickets = async (userId, { format = "png", ...query }) => {
+  if (!QR_FORMATS.includes(format)) {
+    throw new Error("Invalid QR format");
+  }
+
+  const result = await issuedTicketRepository.findIssuedTicketsByUser(
+    userId,
+    query
+  );
+
+  const tickets = await Promise.all(
+    result.tickets.map(async (ticket) => ({
+      ...ticket,
+      qrCode:
+        format === "svg"
+          ? await renderQrSvg(ticket.code)
+          : await renderQrDataUrl(ticket.code),
+    }))
+  );
+
+  return { tickets, meta: result.meta };
+};
+
+export const getUserTicketQr = async (id, userId, format = "png") => {
+  if (!QR_FORMATS.includes(format)) {
+    throw new Error("Invalid QR format");
+  }
+
+  const ticket = await issuedTicketRepository.findIssuedTicketById(id, userId);
+  if (!ticket) {
+    throw new Error("Ticket not found");
+  }
+
+  if (format === "svg") {
+    return {
+      contentType: "image/svg+xml",
+      body: await renderQrSvg(ticket.code),
+    };
+  }
+
+  return {
+    contentType: "image/png",
+    body: await renderQrPng(ticket.code),
+  };
+};
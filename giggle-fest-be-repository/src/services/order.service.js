@@ -0,0 +1,13 @@
+import * as orderRepository from "../repositories/order.repository.js";
+
+export const getUserOrders = async (userId, query) => {
+  return orderRepository.findOrdersByUser(userId, query);
+};
+
+export const getOrderById = async (id, userId) => {
+  const order = await orderRepository.findOrderById(id, userId);
+  if (!order) {
+    throw new Error("Order not found");
+  }
+  return order;
+};
@@ -0,0 +1,274 @@
+import * as organizationRepository from "../repositories/organization.repository.js";
+import * as eventRepository from "../repositories/event.repository.js";
+import * as userRepository from "../repositories/user.repository.js";
+import * as paymentRepository from "../repositories/payment.repository.js";
+import { hasPermission, PERMISSIONS } from "../utils/permissions.js";
+
+export const ORGANIZATION_ROLES = Object.freeze({
+  OWNER: "owner",
+  MEMBER: "member",
+});
+
+// admins look after every organization, everyone else only after the
+// organizations they are a member of
+const managesAllOrganizations = (user) => {
+  return hasPermission(user?.role, PERMISSIONS.ORGANIZATIONS_MANAGE);
+};
+
+export const canManageOrganization = async (user, organizationId) => {
+  if (managesAllOrganizations(user)) {
+    return true;
+  }
+
+  if (!organizationId) {
+    return false;
+  }
+
+  const membership = await organizationRepository.findMembership(
+    organizationId,
+    user.id
+  );
+  return Boolean(membership);
+};
+
+// null means no restriction
+export const getManagedOrganizationIds = async (user) => {
+  if (managesAllOrganizations(user)) {
+    return null;
+  }
+
+  const memberships = await organizationRepository.findMembershipsByUser(
+    user.id
+  );
+  return memberships.map((membership) => membership.organizationId);
+};
+
+export const assertOrganizationAccess = async (
+  user,
+  organizationId,
+  { ownerOnly = false } = {}
+) => {
+  const organization = await organizationRepository.findOrganizationById(
+    organizationId
+  );
+  if (!organization) {
+    throw new Error("Organization not found");
+  }
+
+  if (managesAllOrganizations(user)) {
+    return organization;
+  }
+
+  const membership = organization.members.find(
+    (member) => member.userId === user.id
+  );
+  if (
+    !membership ||
+    (ownerOnly && membership.role !== ORGANIZATION_ROLES.OWNER)
+  ) {
+    throw new Error("You do not manage this organization");
+  }
+
+  return organization;
+};
+
+export const assertEventAccess = async (user, eventId) => {
+  const event = await eventRepository.findEventById(eventId);
+  if (!event) {
+    throw new Error("Event not found");
+  }
+
+  if (!(await canManageOrganization(user, event.organizationId))) {
+    throw new Error("You do not manage this event");
+  }
+
+  return event;
+};
+
+// Picks the organization that owns a new event or promo. Organizers who
+// belong to a single organization may leave it out; admins may create
+// unowned inventory.
+export const resolveOrganizationId = async (user, organizationId) => {
+  if (organizationId) {
+    await assertOrganizationAccess(user, organizationId);
+    return organizationId;
+  }
+
+  if (managesAllOrganizations(user)) {
+    return null;
+  }
+
+  const memberships = await organizationRepository.findMembershipsByUser(
+    user.id
+  );
+  if (memberships.length === 0) {
+    throw new Error("You are not a member of any organization");
+  }
+  if (memberships.length > 1) {
+    throw new Error("organizationId is required");
+  }
+
+  return memberships[0].organizationId;
+};
+
+export const createOrganization = async (user, { name }) => {
+  return organizationRepository.createOrganization({
+    name,
+    ownerId: user.id,
+    ownerRole: ORGANIZATION_ROLES.OWNER,
+  });
+};
+
+export const getMyOrganizations = async (user) => {
+  return organizationRepository.findOrganizationsByUser(user.id);
+};
+
+export const addOrganizationMember = async (
+  user,
+  organizationId,
+  { email, role = ORGANIZATION_ROLES.MEMBER }
+) => {
+  await assertOrganizationAccess(user, organizationId, { ownerOnly: true });
+
+  const member = await userRepository.findUserByEmail(email);
+  if (!member) {
+    throw new Error("User not found");
+  }
+
+  if (!hasPermission(member.role, PERMISSIONS.EVENTS_MANAGE)) {
+    throw new Error("User must have the organizer role");
+  }
+
+  const existing = await organizationRepository.findMembership(
+    organizationId,
+    member.id
+  );
+  if (existing) {
+    throw new Error("User is already a member of this organization");
+  }
+
+  return organizationRepository.addMember(organizationId, member.id, role);
+};
+
+export const removeOrganizationMember = async (
+  user,
+  organizationId,
+  memberId
+) => {
+  await assertOrganizationAccess(user, organizationId, { ownerOnly: true });
+
+  const membership = await organizationRepository.findMembership(
+    organizationId,
+    memberId
+  );
+  if (!membership) {
+    throw new Error("Member not found");
+  }
+
+  if (membership.role === ORGANIZATION_ROLES.OWNER) {
+    const owners = await organizationRepository.countMembersByRole(
+      organizationId,
+      ORGANIZATION_ROLES.OWNER
+    );
+    if (owners <= 1) {
+      throw new Error("An organization must keep at least one owner");
+    }
+  }
+
+  return organizationRepository.removeMember(organizationId, memberId);
+};
+
+export const getOrganizerEvents = async (
+  user,
+  { page = 1, limit = 10, organizationId } = {}
+) => {
+  const parsedPage = parseInt(page);
+  const parsedLimit = parseInt(limit);
+  const validPage = isNaN(parsedPage) || parsedPage < 1 ? 1 : parsedPage;
+  const validLimit = isNaN(parsedLimit) || parsedLimit < 1 ? 10 : parsedLimit;
+
+  let where = {};
+  if (organizationId) {
+    await assertOrganizationAccess(user, organizationId);
+    where = { organizationId };
+  } else {
+    const organizationIds = await getManagedOrganizationIds(user);
+    if (organizationIds) {
+      where = { organizationId: { in: organizationIds } };
+    }
+  }
+
+  const [events, total] = await Promise.all([
+    eventRepository.findAllEvents(
+      (validPage - 1) * validLimit,
+      validLimit,
+      where
+    ),
+    eventRepository.countEvents(where),
+  ]);
+
+  return {
+    events,
+    meta: {
+      page: validPage,
+      limit: validLimit,
+      total,
+      totalPages: Math.ceil(total / validLimit),
+    },
+  };
+};
+
+export const getEventSales = async (user, eventId) => {
+  const event = await assertEventAccess(user, eventId);
+  const sales = await paymentRepository.aggregateEventSales(event.id);
+
+  const tickets = event.tickets.map((ticket) => {
+    const rows = sales.filter((row) => row.ticketId === ticket.id);
+    const sold = rows.reduce((sum, row) => sum + row.quantity, 0);
+    const grossRevenue = rows.reduce((sum, row) => sum + row.gross, 0);
+    const discount = rows.reduce((sum, row) => sum + row.discount, 0);
+    const refunded = rows.reduce((sum, row) => sum + row.refunded, 0);
+
+    return {
+      ticketId: ticket.id,
+      name: ticket.name,
+      price: ticket.price,
+      sold,
+      remaining: ticket.quantity,
+      grossRevenue,
+      discount,
+      refunded,
+      netRevenue: grossRevenue - discount - refunded,
+    };
+  });
+
+  const totals = tickets.reduce(
+    (sum, ticket) => ({
+      sold: sum.sold + ticket.sold,
+      remaining: sum.remaining + ticket.remaining,
+      grossRevenue: sum.grossRevenue + ticket.grossRevenue,
+      discount: sum.discount + ticket.discount,
+      refunded: sum.refunded + ticket.refunded,
+      netRevenue: sum.netRevenue + ticket.netRevenue,
+    }),
+    {
+      sold: 0,
+      remaining: 0,
+      grossRevenue: 0,
+      discount: 0,
+      refunded: 0,
+      netRevenue: 0,
+    }
+  );
+
+  return {
+    event: {
+      id: event.id,
+      name: event.name,
+      date: event.date,
+      organizationId: event.organizationId,
+    },
+    tickets,
+    totals,
+  };
+};
@@ -2,6 +2,10 @@ import jwt from "jsonwebtoken";
 import bcrypt from "bcrypt";
 import * as userRepository from "../repositories/user.repository.js";
 import { sendResetOTPEmail } from "../utils/email.service.js";
+import { revokeAllSessions } from "./session.service.js";
+import * as throttleService from "./throttle.service.js";
+
+const { OTP } = throttleService.THROTTLE_SCOPES;
 
 export const initPasswordReset = async (email) => {
   const user = await userRepository.findUserByEmail(email);
@@ -52,7 +56,7 @@ export const generateAndSendOTP = async (token) => {
   }
 };
 
-export const verifyOTP = async (token, otp) => {
+export const verifyOTP = async (token, otp, { ipAddress } = {}) => {
   try {
     const user = await userRepository.findUserByResetToken(token);
 
@@ -60,6 +64,9 @@ export const verifyOTP = async (token, otp) => {
       throw new Error("Invalid reset token");
     }
 
+    const attempt = { email: user.email, ipAddress };
+    await throttleService.assertNotLocked(OTP, attempt);
+
     if (!user.resetOTP || !user.resetOTPExpires) {
       throw new Error("OTP not generated");
     }
@@ -70,6 +77,7 @@ export const verifyOTP = async (token, otp) => {
 
     const isValidOTP = await bcrypt.compare(otp, user.resetOTP);
     if (!isValidOTP) {
+      await throttleService.recordFailure(OTP, attempt, { notify: true });
       throw new Error("Invalid OTP");
     }
 
@@ -85,7 +93,12 @@ export const verifyOTP = async (token, otp) => {
   }
 };
 
-export const resetPassword = async (token, otp, newPassword) => {
+export const resetPassword = async (
+  token,
+  otp,
+  newPassword,
+  { ipAddress } = {}
+) => {
   try {
     const user = await userRepository.findUserByResetToken(token);
 
@@ -93,6 +106,9 @@ export const resetPassword = async (token, otp, newPassword) => {
       throw new Error("Invalid reset token");
     }
 
+    const attempt = { email: user.email, ipAddress };
+    await throttleService.assertNotLocked(OTP, attempt);
+
     if (!user.resetOTP || !user.resetOTPExpires) {
       throw new Error("OTP not generated");
     }
@@ -103,6 +119,7 @@ export const resetPassword = async (token, otp, newPassword) => {
 
     const isValidOTP = await bcrypt.compare(otp, user.resetOTP);
     if (!isValidOTP) {
+      await throttleService.recordFailure(OTP, attempt, { notify: true });
       throw new Error("Invalid OTP");
     }
 
@@ -114,6 +131,10 @@ export const resetPassword = async (token, otp, newPassword) => {
       resetOTP: null,
       resetOTPExpires: null,
     });
+
+    // a reset usually means the old password leaked, so sign out everywhere
+    await revokeAllSessions(user.id);
+    await throttleService.unlockAccount(user.email);
   } catch (error) {
     if (error.name === "JsonWebTokenError") {
       throw new Error("Invalid token");
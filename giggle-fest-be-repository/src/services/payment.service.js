@@ -2,16 +2,40 @@ import { randomBytes } from "crypto";
 import * as paymentRepository from "../repositories/payment.repository.js";
 import * as ticketRepository from "../repositories/ticket.repository.js";
 import * as userRepository from "../repositories/user.repository.js";
-import * as promoRepository from "../repositories/promo.repository.js";
 import { snap, core } from "../libs/midtrans.config.js";
+import { verifySignatureKey } from "../utils/midtrans.signature.js";
+import { issueTicketsForPayment } from "./issuedTicket.service.js";
+import { refundCancelledEventTickets } from "./refund.service.js";
+import { validatePromoCode, calculatePromoDiscount } from "./promo.service.js";
+import { checkSeatSelection } from "./venue.service.js";
+import { getTicketPrice } from "./pricing.service.js";
+import { assertTicketOnSale } from "../utils/eventStatus.js";
+
+const FINAL_PAYMENT_STATUSES = ["success", "failed"];
+
+// refunds only start from a successful payment, so Midtrans status updates
+// must leave these alone as well
+const SETTLED_PAYMENT_STATUSES = [
+  ...FINAL_PAYMENT_STATUSES,
+  "refund_requested",
+  "partially_refunded",
+  "refunded",
+];
 
 export const generateOrderId = () => {
   return `ORDER-${randomBytes(5).toString("hex").toUpperCase()}`;
 };
 
+export const buildCustomerDetails = (user) => ({
+  first_name: user.name.split(" ")[0],
+  last_name: user.name.split(" ").slice(1).join(" ") || "",
+  email: user.email,
+  phone: user.phoneNumber,
+});
+
 export const initializePayment = async (
   userId,
-  { ticketId, quantity, promoCode }
+  { ticketId, quantity, promoCode, seatIds }
 ) => {
   const [ticket, user] = await Promise.all([
     ticketRepository.findTicketById(ticketId),
@@ -22,6 +46,8 @@ export const initializePayment = async (
     throw new Error("Ticket not found");
   }
 
+  assertTicketOnSale(ticket);
+
   if (!user) {
     throw new Error("User not found");
   }
@@ -30,17 +56,25 @@ export const initializePayment = async (
     throw new Error("Not enough tickets available");
   }
 
-  const originalAmount = ticket.price * quantity;
+  const seated = await checkSeatSelection(ticketId, seatIds);
+
+  const unitPrice = await getTicketPrice(ticket, quantity);
+  const originalAmount = unitPrice * quantity;
   let amount = originalAmount;
   let discount = 0;
   let promo = null;
 
   if (promoCode) {
-    promo = await promoRepository.findPromoCodeByCode(promoCode);
-    if (!promo) {
-      throw new Error("Invalid promo code");
-    }
-    discount = Math.round((originalAmount * promo.discount) / 100);
+    promo = await validatePromoCode(promoCode, userId);
+    discount = calculatePromoDiscount(promo, [
+      {
+        ticketId,
+        eventId: ticket.eventId,
+        categoryId: ticket.categoryId,
+        organizationId: ticket.event?.organizationId ?? null,
+        subtotal: originalAmount,
+      },
+    ]);
     amount = originalAmount - discount;
   }
 
@@ -51,18 +85,13 @@ export const initializePayment = async (
     gross_amount: Math.round(amount),
   };
 
-  const customerDetails = {
-    first_name: user.name.split(" ")[0],
-    last_name: user.name.split(" ").slice(1).join(" ") || "",
-    email: user.email,
-    phone: user.phoneNumber,
-  };
+  const customerDetails = buildCustomerDetails(user);
 
   const itemDetails = [];
 
   itemDetails.push({
     id: ticketId.toString(),
-    price: Math.round(ticket.price),
+    price: Math.round(unitPrice),
     quantity: quantity,
     name: ticket.name,
     category: ticket.category.name,
@@ -78,22 +107,31 @@ export const initializePayment = async (
     });
   }
 
-  const transactionToken = await snap.createTransaction({
-    transaction_details: transactionDetails,
-    customer_details: customerDetails,
-    item_details: itemDetails,
-  });
-
-  const payment = await paymentRepository.createPayment({
+  const payment = await paymentRepository.createPaymentWithReservation({
     ticketId,
     userId,
+    quantity,
     amount: Math.round(amount),
     originalAmount: Math.round(originalAmount),
     discount: Math.round(discount),
     status: "pending",
     orderId,
+    ...(promo && { promoCodeId: promo.id }),
+    ...(seated && { seatIds }),
   });
 
+  let transactionToken;
+  try {
+    transactionToken = await snap.createTransaction({
+      transaction_details: transactionDetails,
+      customer_details: customerDetails,
+      item_details: itemDetails,
+    });
+  } catch (error) {
+    await paymentRepository.settlePayment(orderId, "failed");
+    throw error;
+  }
+
   return {
     payment,
     transactionToken: transactionToken.token,
@@ -101,6 +139,65 @@ export const initializePayment = async (
   };
 };
 
+// issuing is idempotent, so a failure here is logged and retried on the
+// next notification instead of failing the payment itself
+const issueTickets = async (payment) => {
+  try {
+    await issueTicketsForPayment(payment.id);
+  } catch (error) {
+    console.error(
+      `Failed to issue tickets for order ${payment.orderId}:`,
+      error
+    );
+    return;
+  }
+
+  // the event may have been cancelled while the payment was still open. A
+  // refund that fails stays requested for an admin to approve.
+  try {
+    await refundCancelledEventTickets(payment.id);
+  } catch (error) {
+    console.error(
+      `Failed to refund cancelled event tickets for order ${payment.orderId}:`,
+      error
+    );
+  }
+};
+
+// success and failed settle the stock reservation exactly once; other
+// statuses only move the payment between open states
+const applyPaymentStatus = async (orderId, status) => {
+  if (!FINAL_PAYMENT_STATUSES.includes(status)) {
+    return paymentRepository.updatePaymentStatus(orderId, status);
+  }
+
+  const settledPayment = await paymentRepository.settlePayment(
+    orderId,
+    status
+  );
+  if (!settledPayment) {
+    return paymentRepository.findPaymentByOrderId(orderId);
+  }
+
+  if (status === "success") {
+    await issueTickets(settledPayment);
+  }
+  return settledPayment;
+};
+
+export const resolvePaymentStatus = (transactionStatus, fraudStatus) => {
+  if (transactionStatus === "capture") {
+    return fraudStatus === "challenge" ? "challenge" : "success";
+  }
+  if (transactionStatus === "settlement") {
+    return "success";
+  }
+  if (["cancel", "deny", "expire", "failure"].includes(transactionStatus)) {
+    return "failed";
+  }
+  return "pending";
+};
+
 export const checkAndUpdatePaymentStatus = async (orderId) => {
   try {
     const payment = await paymentRepository.findPaymentByOrderId(orderId);
@@ -108,35 +205,18 @@ export const checkAndUpdatePaymentStatus = async (orderId) => {
       throw new Error("Payment not found");
     }
 
-    if (payment.status === "success" || payment.status === "failed") {
+    if (SETTLED_PAYMENT_STATUSES.includes(payment.status)) {
       return payment;
     }
 
     try {
       const transactionStatus = await core.transaction.status(orderId);
-      let paymentStatus;
-
-      if (transactionStatus.transaction_status === "capture") {
-        paymentStatus =
-          transactionStatus.fraud_status === "challenge"
-            ? "challenge"
-            : "success";
-      } else if (transactionStatus.transaction_status === "settlement") {
-        paymentStatus = "success";
-      } else if (
-        ["cancel", "deny", "expire"].includes(
-          transactionStatus.transaction_status
-        )
-      ) {
-        paymentStatus = "failed";
-      } else {
-        paymentStatus = "pending";
-      }
-
-      const updatedPayment = await paymentRepository.updatePaymentStatus(
-        orderId,
-        paymentStatus
+      const paymentStatus = resolvePaymentStatus(
+        transactionStatus.transaction_status,
+        transactionStatus.fraud_status
       );
+
+      const updatedPayment = await applyPaymentStatus(orderId, paymentStatus);
       return updatedPayment;
     } catch (error) {
       const paymentDate = new Date(payment.paymentDate);
@@ -144,7 +224,7 @@ export const checkAndUpdatePaymentStatus = async (orderId) => {
       const hoursDiff = (now - paymentDate) / (1000 * 60 * 60);
 
       if (hoursDiff > 24) {
-        return await paymentRepository.updatePaymentStatus(orderId, "failed");
+        return await applyPaymentStatus(orderId, "failed");
       }
       return payment;
     }
@@ -154,6 +234,42 @@ export const checkAndUpdatePaymentStatus = async (orderId) => {
   }
 };
 
+export const handlePaymentNotification = async (notification) => {
+  if (!verifySignatureKey(notification)) {
+    throw new Error("Invalid signature key");
+  }
+
+  const payment = await paymentRepository.findPaymentByOrderId(
+    notification.order_id
+  );
+  if (!payment) {
+    throw new Error("Payment not found");
+  }
+
+  if (Math.round(Number(notification.gross_amount)) !== payment.amount) {
+    throw new Error("Gross amount does not match payment amount");
+  }
+
+  const paymentStatus = resolvePaymentStatus(
+    notification.transaction_status,
+    notification.fraud_status
+  );
+
+  // Midtrans retries notifications, so repeated or late deliveries must not
+  // move a payment that is already settled or unchanged
+  if (
+    SETTLED_PAYMENT_STATUSES.includes(payment.status) ||
+    payment.status === paymentStatus
+  ) {
+    if (payment.status === "success") {
+      await issueTickets(payment);
+    }
+    return payment;
+  }
+
+  return applyPaymentStatus(notification.order_id, paymentStatus);
+};
+
 export const getAllPayments = async (query) => {
   const payments = await paymentRepository.findAllPayments(query);
 
@@ -0,0 +1,62 @@
+import * as priceTierRepository from "../repositories/priceTier.repository.js";
+import { getEffectivePrice } from "../utils/pricing.js";
+import { isHoldActive } from "../utils/cartHold.js";
+
+const findTiersByTicket = async (ticketIds) => {
+  const tiers = await priceTierRepository.findTiersByTicketIds([
+    ...new Set(ticketIds),
+  ]);
+
+  const byTicket = new Map();
+  for (const tier of tiers) {
+    byTicket.set(tier.ticketId, [...(byTicket.get(tier.ticketId) ?? []), tier]);
+  }
+  return byTicket;
+};
+
+// Listings keep price as the base price and add what a single ticket costs
+// right now, with the tier it comes from and the full tier schedule
+export const withTicketPricing = async (tickets, now = new Date()) => {
+  if (tickets.length === 0) {
+    return tickets;
+  }
+
+  const tiers = await findTiersByTicket(tickets.map((ticket) => ticket.id));
+  return tickets.map((ticket) => {
+    const priceTiers = tiers.get(ticket.id) ?? [];
+    const { price, tier } = getEffectivePrice(ticket, priceTiers, { now });
+    return {
+      ...ticket,
+      effectivePrice: price,
+      priceTier: tier?.name ?? null,
+      priceTiers,
+    };
+  });
+};
+
+// the unit price for buying quantity more of a ticket
+export const getTicketPrice = async (ticket, quantity, now = new Date()) => {
+  const tiers = await findTiersByTicket([ticket.id]);
+  return getEffectivePrice(ticket, tiers.get(ticket.id) ?? [], {
+    quantity,
+    now,
+  }).price;
+};
+
+// Prices each cart item for its whole quantity. An item's running hold is
+// already counted as sold, so it is left out again.
+export const priceCartItems = async (cartItems, now = new Date()) => {
+  if (cartItems.length === 0) {
+    return cartItems;
+  }
+
+  const tiers = await findTiersByTicket(cartItems.map((item) => item.ticketId));
+  return cartItems.map((item) => ({
+    ...item,
+    price: getEffectivePrice(item.ticket, tiers.get(item.ticketId) ?? [], {
+      quantity: item.quantity,
+      held: isHoldActive(item, now) ? item.quantity : 0,
+      now,
+    }).price,
+  }));
+};
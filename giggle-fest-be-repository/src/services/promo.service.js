@@ -1,7 +1,82 @@
 import * as promoRepository from "../repositories/promo.repository.js";
 import * as notificationRepository from "../repositories/notification.repository.js";
+import {
+  canManageOrganization,
+  getManagedOrganizationIds,
+  resolveOrganizationId,
+} from "./organization.service.js";
+import {
+  isValidPercentage,
+  isValidCap,
+  isValidPeriod,
+  percentageIssue,
+  capIssue,
+  periodIssue,
+} from "../validators/promo.validator.js";
+import {
+  PROMO_DISCOUNT_TYPES,
+  formatPromoDiscount,
+  generateCampaignCode,
+} from "../utils/promo.js";
+
+const inScope = (ids, id) => !ids?.length || ids.includes(id);
+
+// Organization promos only discount tickets for that organization's events,
+// and a promo scoped to events, ticket types or categories only the line
+// items that match every one of those scopes
+export const isPromoApplicable = (promo, item) => {
+  return (
+    (!promo.organizationId || promo.organizationId === item.organizationId) &&
+    inScope(promo.eventIds, item.eventId) &&
+    inScope(promo.ticketIds, item.ticketId) &&
+    inScope(promo.categoryIds, item.categoryId)
+  );
+};
+
+// The discount on the line items the promo covers: a percentage of their
+// subtotal up to maxDiscount, or a fixed amount that never exceeds it
+export const calculatePromoDiscount = (promo, lineItems) => {
+  const eligible = lineItems.filter((item) => isPromoApplicable(promo, item));
+  if (eligible.length === 0) {
+    throw new Error("Promo code is not valid for these tickets");
+  }
+
+  const subtotal = eligible.reduce((sum, item) => sum + item.subtotal, 0);
+  if (promo.minOrderAmount && subtotal < promo.minOrderAmount) {
+    throw new Error(
+      `Spend at least ${promo.minOrderAmount} on eligible tickets to use this promo code`
+    );
+  }
+
+  if (promo.discountType === PROMO_DISCOUNT_TYPES.FIXED) {
+    return Math.min(Math.round(promo.discount), subtotal);
+  }
+
+  const discount = Math.round((subtotal * promo.discount) / 100);
+  return promo.maxDiscount
+    ? Math.min(discount, Math.round(promo.maxDiscount))
+    : discount;
+};
+
+const findManagedPromoCode = async (id, user) => {
+  const promoCode = await promoRepository.findPromoCodeById(id);
+  if (!promoCode) {
+    throw new Error("Promo code not found");
+  }
+
+  if (!(await canManageOrganization(user, promoCode.organizationId))) {
+    throw new Error("You do not manage this promo code");
+  }
+
+  return promoCode;
+};
+
+export const createPromoCode = async (promoData, user) => {
+  promoData.organizationId = await resolveOrganizationId(
+    user,
+    promoData.organizationId
+  );
 
-export const createPromoCode = async (promoData) => {
   const existingPromo = await promoRepository.findPromoCodeByCode(
     promoData.code
   );
@@ -12,20 +87,23 @@ export const createPromoCode = async (promoData) => {
   const promo = await promoRepository.createPromoCode(promoData);
 
   await notificationRepository.createNotification({
-    message: `New promo code ${promo.code} is available! Get ${
-      promo.discount
-    }% discount. Valid until ${promo.validTo.toLocaleDateString()}`,
+    message: `New promo code ${promo.code} is available! Get ${formatPromoDiscount(
+      promo
+    )}. Valid until ${promo.validTo.toLocaleDateString()}`,
     userId: "all",
   });
 
   return promo;
 };
 
-export const getAllPromoCodes = async (query) => {
-  return promoRepository.findAllPromoCodes(query);
+export const getAllPromoCodes = async (query, user) => {
+  const organizationIds = await getManagedOrganizationIds(user);
+  return promoRepository.findAllPromoCodes({ ...query, organizationIds });
 };
 
-export const validatePromoCode = async (code) => {
+// The limits are checked again when the purchase redeems the code, this only
+// turns buyers away early. Without a user the per-user limit is left out.
+export const validatePromoCode = async (code, userId) => {
   const promoCode = await promoRepository.findPromoCodeByCode(code);
   if (!promoCode) {
     throw new Error("Invalid promo code");
@@ -36,19 +114,61 @@ export const validatePromoCode = async (code) => {
     throw new Error("Promo code has expired or not yet valid");
   }
 
+  if (promoCode.usageLimit && promoCode.usedCount >= promoCode.usageLimit) {
+    throw new Error("Promo code has reached its usage limit");
+  }
+
+  if (userId && promoCode.perUserLimit) {
+    const used = await promoRepository.countUserRedemptions(
+      promoCode.id,
+      userId
+    );
+    if (used >= promoCode.perUserLimit) {
+      throw new Error("You have already used this promo code");
+    }
+  }
+
   return promoCode;
 };
 
-export const updatePromoCode = async (id, promoData) => {
+export const updatePromoCode = async (id, promoData, user) => {
+  const promoCode = await findManagedPromoCode(id, user);
+
+  if (
+    promoCode.campaignId &&
+    (promoData.usageLimit !== undefined || promoData.perUserLimit !== undefined)
+  ) {
+    throw new Error("Campaign codes are single-use");
+  }
+
+  // a new type, amount or period has to make sense with what the promo
+  // already has
+  const merged = { ...promoCode, ...promoData };
+  if (!isValidPercentage(merged)) {
+    throw new Error(percentageIssue.message);
+  }
+  if (!isValidCap(merged)) {
+    throw new Error(capIssue.message);
+  }
+  if (!isValidPeriod(merged)) {
+    throw new Error(periodIssue.message);
+  }
+
   const updatedPromo = await promoRepository.updatePromoCode(id, promoData);
 
-  if (promoData.code || promoData.discount || promoData.validTo) {
+  if (
+    promoData.code ||
+    promoData.discountType ||
+    promoData.discount ||
+    promoData.maxDiscount !== undefined ||
+    promoData.validTo
+  ) {
     await notificationRepository.createNotification({
       message: `Promo code ${
         updatedPromo.code
-      } has been updated! Now offering ${
-        updatedPromo.discount
-      }% discount. Valid until ${updatedPromo.validTo.toLocaleDateString()}`,
+      } has been updated! Now offering ${formatPromoDiscount(
+        updatedPromo
+      )}. Valid until ${updatedPromo.validTo.toLocaleDateString()}`,
       userId: "all",
     });
   }
@@ -56,16 +176,72 @@ export const updatePromoCode = async (id, promoData) => {
   return updatedPromo;
 };
 
-export const deletePromoCode = async (id) => {
-  const promoCode = await promoRepository.findPromoCodeById(id);
-  if (!promoCode) {
-    throw new Error("Promo code not found");
+export const deletePromoCode = async (id, user) => {
+  const promoCode = await findManagedPromoCode(id, user);
+
+  if (await promoRepository.isPromoCodeUsed(id)) {
+    throw new Error(
+      "Cannot delete a promo code that has been used, end its validity instead"
+    );
   }
 
+  const deleted = await promoRepository.deletePromoCode(id);
+
   await notificationRepository.createNotification({
     message: `Promo code ${promoCode.code} is no longer available`,
     userId: "all",
   });
 
-  return promoRepository.deletePromoCode(id);
+  return deleted;
+};
+
+// Every code of a campaign can be used once and carries the campaign's
+// rules. Campaign codes are handed out privately, so nobody is notified.
+export const createPromoCampaign = async (campaignData, user) => {
+  const {
+    name,
+    prefix,
+    count,
+    organizationId: requestedOrganizationId,
+    validFrom,
+    validTo,
+    ...rules
+  } = campaignData;
+  const organizationId = await resolveOrganizationId(
+    user,
+    requestedOrganizationId
+  );
+
+  const campaign = await promoRepository.createPromoCampaign(
+    {
+      name,
+      prefix: prefix ? prefix.toUpperCase() : null,
+      codeCount: count,
+      organizationId,
+    },
+    {
+      ...rules,
+      validFrom: new Date(validFrom),
+      validTo: new Date(validTo),
+      organizationId,
+      usageLimit: 1,
+    },
+    () => generateCampaignCode(prefix)
+  );
+
+  return { ...campaign, redeemedCodes: 0, totalDiscount: 0 };
+};
+
+export const getPromoCampaign = async (id, user) => {
+  const campaign = await promoRepository.findPromoCampaignById(id);
+  if (!campaign) {
+    throw new Error("Promo campaign not found");
+  }
+
+  if (!(await canManageOrganization(user, campaign.organizationId))) {
+    throw new Error("You do not manage this promo campaign");
+  }
+
+  const usage = await promoRepository.getCampaignUsage(campaign.id);
+  return { ...campaign, ...usage };
 };
@@ -0,0 +1,333 @@
+import { randomBytes } from "crypto";
+import * as refundRepository from "../repositories/refund.repository.js";
+import * as paymentRepository from "../repositories/payment.repository.js";
+import * as issuedTicketRepository from "../repositories/issuedTicket.repository.js";
+import * as notificationRepository from "../repositories/notification.repository.js";
+import { refundTransaction } from "../libs/midtrans.config.js";
+import { getPaymentLineItems } from "../utils/lineItems.js";
+import { EVENT_STATUSES } from "../utils/eventStatus.js";
+
+// payments that still have money that could be returned
+export const REFUNDABLE_PAYMENT_STATUSES = ["success", "partially_refunded"];
+
+export const generateRefundKey = (orderId) => {
+  return `${orderId}-REFUND-${randomBytes(4).toString("hex").toUpperCase()}`;
+};
+
+// the refund itself already went through, so a failed notification is only
+// logged
+const notify = async (userId, message) => {
+  try {
+    await notificationRepository.createNotification({ userId, message });
+  } catch (error) {
+    console.error(`Failed to notify user ${userId}:`, error);
+  }
+};
+
+// what one issued ticket of each ticket type actually cost after its share
+// of the discount. A bundle's price is spread evenly over the tickets issued
+// for it, which are looked up by their bundle.
+const getUnitPrices = (payment) => {
+  const lines = payment.order
+    ? payment.order.items.map((item) => ({
+        ticketId: item.ticketId,
+        quantity: item.quantity,
+        ticket: item.ticket,
+        net: item.subtotal - item.discount,
+      }))
+    : [
+        {
+          ticketId: payment.ticketId,
+          quantity: payment.quantity,
+          ticket: payment.ticket,
+          net: payment.originalAmount - payment.discount,
+        },
+      ];
+
+  return new Map(
+    lines.map((line) => {
+      const issued = (line.ticket?.bundleItems ?? []).reduce(
+        (sum, item) => sum + item.quantity * line.quantity,
+        0
+      );
+      return [line.ticketId, line.net / (issued || line.quantity)];
+    })
+  );
+};
+
+// A bundle goes back whole: the tickets asked for must cover every component
+// of as many bundles as they are from
+const assertWholeBundles = (payment, tickets) => {
+  for (const { ticketId, ticket } of getPaymentLineItems(payment)) {
+    const items = ticket?.bundleItems ?? [];
+    const bundled = tickets.filter((issued) => issued.bundleId === ticketId);
+    if (items.length === 0 || bundled.length === 0) continue;
+
+    const bundles =
+      bundled.length / items.reduce((sum, item) => sum + item.quantity, 0);
+    const whole =
+      Number.isInteger(bundles) &&
+      items.every((item) => {
+        const issued = bundled.filter((t) => t.ticketId === item.ticketId);
+        return issued.length === item.quantity * bundles;
+      });
+    if (!whole) {
+      throw new Error("A bundle can only be refunded as a whole");
+    }
+  }
+};
+
+const getPaymentStatusAfterRefunds = (payment, refundedAmount) => {
+  if (refundedAmount >= payment.amount) return "refunded";
+  return refundedAmount > 0 ? "partially_refunded" : "success";
+};
+
+const openRefund = async (payment, tickets, validTickets, reason) => {
+  assertWholeBundles(payment, tickets);
+
+  // refunding everything that is left returns the exact remainder, so
+  // rounding never leaves a few rupiah behind
+  let amount;
+  if (tickets.length === validTickets.length) {
+    amount =
+      payment.amount - (await refundRepository.sumRefundedAmount(payment.id));
+  } else {
+    const unitPrices = getUnitPrices(payment);
+    amount = Math.round(
+      tickets.reduce(
+        (sum, ticket) =>
+          sum + unitPrices.get(ticket.bundleId ?? ticket.ticketId),
+        0
+      )
+    );
+  }
+
+  return refundRepository.createRefundRequest(
+    {
+      paymentId: payment.id,
+      userId: payment.userId,
+      issuedTicketIds: tickets.map((ticket) => ticket.id),
+      amount,
+      reason,
+      refundKey: generateRefundKey(payment.orderId),
+    },
+    REFUNDABLE_PAYMENT_STATUSES
+  );
+};
+
+export const requestRefund = async (
+  userId,
+  { paymentId, issuedTicketIds, reason }
+) => {
+  const payment = await paymentRepository.findPaymentWithItems(paymentId);
+  if (!payment || payment.userId !== userId) {
+    throw new Error("Payment not found");
+  }
+
+  if (payment.status === "refund_requested") {
+    throw new Error("A refund is already pending for this payment");
+  }
+  if (!REFUNDABLE_PAYMENT_STATUSES.includes(payment.status)) {
+    throw new Error("Only successful payments can be refunded");
+  }
+
+  const validTickets = (
+    await issuedTicketRepository.findIssuedTicketsByPayment(payment.id)
+  ).filter((ticket) => ticket.status === "valid");
+
+  let tickets = validTickets;
+  if (issuedTicketIds?.length) {
+    tickets = validTickets.filter((ticket) =>
+      issuedTicketIds.includes(ticket.id)
+    );
+    if (tickets.length !== new Set(issuedTicketIds).size) {
+      throw new Error("Only unused tickets from this payment can be refunded");
+    }
+  }
+
+  if (tickets.length === 0) {
+    throw new Error("There are no refundable tickets on this payment");
+  }
+
+  const refund = await openRefund(payment, tickets, validTickets, reason);
+
+  await notify(
+    userId,
+    `Your refund request for order ${payment.orderId} has been received and is waiting for review`
+  );
+
+  return refund;
+};
+
+export const getMyRefunds = async (userId, query) => {
+  return refundRepository.findRefunds({ ...query, userId });
+};
+
+export const getAllRefunds = async (query) => {
+  return refundRepository.findRefunds(query);
+};
+
+const findPendingRefund = async (id) => {
+  const refund = await refundRepository.findRefundById(id);
+  if (!refund) {
+    throw new Error("Refund not found");
+  }
+  if (refund.status !== "requested") {
+    throw new Error("Refund request is not pending");
+  }
+  return refund;
+};
+
+export const approveRefund = async (reviewerId, id, { note } = {}) => {
+  const refund = await findPendingRefund(id);
+
+  // claim the request first so a second approval cannot refund twice
+  const claimed = await refundRepository.transitionRefund(
+    refund.id,
+    "requested",
+    { status: "processing" }
+  );
+  if (!claimed) {
+    throw new Error("Refund request is not pending");
+  }
+
+  // check-in refuses tickets on an open refund, but one scanned before the
+  // request was made must not be paid back
+  const valid = (
+    await issuedTicketRepository.findIssuedTicketsByPayment(refund.paymentId)
+  ).filter(
+    (ticket) =>
+      refund.issuedTicketIds.includes(ticket.id) && ticket.status === "valid"
+  );
+  if (valid.length !== refund.issuedTicketIds.length) {
+    await refundRepository.transitionRefund(refund.id, "processing", {
+      status: "requested",
+    });
+    throw new Error("Some tickets on this refund have already been used");
+  }
+
+  try {
+    await refundTransaction(refund.payment.orderId, {
+      refund_key: refund.refundKey,
+      amount: refund.amount,
+      reason: refund.reason || "Refund requested by customer",
+    });
+  } catch (error) {
+    await refundRepository.transitionRefund(refund.id, "processing", {
+      status: "requested",
+    });
+    throw new Error(`Midtrans refund failed: ${error.message}`);
+  }
+
+  const refundedAmount =
+    (await refundRepository.sumRefundedAmount(refund.paymentId)) +
+    refund.amount;
+
+  const completed = await refundRepository.completeRefund(
+    refund,
+    { reviewedById: reviewerId, reviewNote: note, reviewedAt: new Date() },
+    getPaymentStatusAfterRefunds(refund.payment, refundedAmount)
+  );
+
+  await notify(
+    refund.userId,
+    `Your refund of ${refund.amount} for order ${refund.payment.orderId} has been approved. The affected tickets are no longer valid.`
+  );
+
+  return completed;
+};
+
+export const rejectRefund = async (reviewerId, id, { note } = {}) => {
+  const refund = await findPendingRefund(id);
+
+  const refundedAmount = await refundRepository.sumRefundedAmount(
+    refund.paymentId
+  );
+
+  const rejected = await refundRepository.rejectRefund(
+    refund,
+    { reviewedById: reviewerId, reviewNote: note, reviewedAt: new Date() },
+    getPaymentStatusAfterRefunds(refund.payment, refundedAmount)
+  );
+
+  await notify(
+    refund.userId,
+    `Your refund request for order ${refund.payment.orderId} was rejected${
+      note ? `: ${note}` : ""
+    }`
+  );
+
+  return rejected;
+};
+
+// Refunds the payment's valid tickets for the event straight away, returning
+// null when it has none left
+const refundEventTickets = async (payment, event, reviewerId) => {
+  const validTickets = (
+    await issuedTicketRepository.findIssuedTicketsByPayment(payment.id)
+  ).filter((ticket) => ticket.status === "valid");
+  const tickets = validTickets.filter((ticket) => ticket.eventId === event.id);
+  if (tickets.length === 0) return null;
+
+  const refund = await openRefund(
+    payment,
+    tickets,
+    validTickets,
+    `Event cancelled: ${event.name}`
+  );
+  await approveRefund(reviewerId, refund.id, { note: "Event cancelled" });
+
+  return refund;
+};
+
+// Refunds the event's tickets on every paid payment straight away. One
+// payment failing does not stop the others: its request stays open for an
+// admin to approve again, and payments that already had a request waiting
+// are left to the normal review.
+export const refundCancelledEvent = async (event, reviewerId) => {
+  const payments = await paymentRepository.findPaymentIdsByEvent(event.id, [
+    ...REFUNDABLE_PAYMENT_STATUSES,
+    "refund_requested",
+  ]);
+
+  const summary = { refunded: 0, amount: 0, pending: [], failed: [] };
+
+  for (const { id } of payments) {
+    const payment = await paymentRepository.findPaymentWithItems(id);
+    if (payment.status === "refund_requested") {
+      summary.pending.push(payment.orderId);
+      continue;
+    }
+
+    try {
+      const refund = await refundEventTickets(payment, event, reviewerId);
+      if (!refund) continue;
+
+      summary.refunded++;
+      summary.amount += refund.amount;
+    } catch (error) {
+      summary.failed.push({ orderId: payment.orderId, error: error.message });
+    }
+  }
+
+  return summary;
+};
+
+// A payment still open when its event was cancelled can settle afterwards,
+// so its tickets for cancelled events are refunded as soon as they are
+// issued, without a reviewer
+export const refundCancelledEventTickets = async (paymentId) => {
+  const payment = await paymentRepository.findPaymentWithItems(paymentId);
+  if (!REFUNDABLE_PAYMENT_STATUSES.includes(payment.status)) return;
+
+  const events = new Map(
+    getPaymentLineItems(payment)
+      .map((line) => line.ticket.event)
+      .filter((event) => event.status === EVENT_STATUSES.CANCELLED)
+      .map((event) => [event.id, event])
+  );
+
+  for (const event of events.values()) {
+    await refundEventTickets(payment, event, null);
+  }
+};
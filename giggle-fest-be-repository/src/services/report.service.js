@@ -0,0 +1,218 @@
+import * as reportRepository from "../repositories/report.repository.js";
+import {
+  assertEventAccess,
+  assertOrganizationAccess,
+  getManagedOrganizationIds,
+} from "./organization.service.js";
+import { SOLD_PAYMENT_STATUSES } from "../utils/lineItems.js";
+
+const PAYMENT_STATUSES = [
+  "pending",
+  "success",
+  "challenge",
+  "failed",
+  "refund_requested",
+  "partially_refunded",
+  "refunded",
+];
+
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+// a bare date in "to" covers the whole day
+const parseRange = ({ from, to }) => {
+  const start = from ? new Date(from) : null;
+  const end = to
+    ? new Date(DATE_ONLY.test(to) ? `${to}T23:59:59.999Z` : to)
+    : null;
+
+  if (start && end && start > end) {
+    throw new Error("from must be before to");
+  }
+
+  return { from: start, to: end };
+};
+
+const resolveEventScope = async (user, { eventId, organizationId }) => {
+  const where = {};
+
+  if (eventId) {
+    await assertEventAccess(user, eventId);
+    where.id = eventId;
+  }
+
+  if (organizationId) {
+    await assertOrganizationAccess(user, organizationId);
+    where.organizationId = organizationId;
+  } else if (!eventId) {
+    const organizationIds = await getManagedOrganizationIds(user);
+    if (organizationIds) {
+      where.organizationId = { in: organizationIds };
+    }
+  }
+
+  return where;
+};
+
+// lines: sales per ticket type, day and status, already net of refunds
+// (see aggregateReportSales)
+const isSold = (line) => SOLD_PAYMENT_STATUSES.includes(line.status);
+
+const summarize = (lines) => {
+  const sold = lines.filter(isSold);
+  const grossRevenue = sold.reduce((sum, line) => sum + line.gross, 0);
+  const discount = sold.reduce((sum, line) => sum + line.discount, 0);
+  const refunded = sold.reduce((sum, line) => sum + line.refunded, 0);
+
+  return {
+    sold: sold.reduce((sum, line) => sum + line.quantity, 0),
+    grossRevenue,
+    discount,
+    refunded,
+    netRevenue: grossRevenue - discount - refunded,
+  };
+};
+
+// counts: payments per status, a cart order counted once however many of
+// the ticket types it touches
+const getConversion = (counts) => {
+  const conversion = Object.fromEntries(
+    PAYMENT_STATUSES.map((status) => [status, 0])
+  );
+
+  let total = 0;
+  for (const { status, payments } of counts) {
+    total += payments;
+    if (status in conversion) {
+      conversion[status] += payments;
+    }
+  }
+
+  const converted = SOLD_PAYMENT_STATUSES.reduce(
+    (sum, status) => sum + conversion[status],
+    0
+  );
+  return {
+    ...conversion,
+    total,
+    rate: total ? Number((converted / total).toFixed(4)) : 0,
+  };
+};
+
+const getDailySeries = (lines) => {
+  const days = new Map();
+
+  for (const line of lines) {
+    if (!isSold(line)) continue;
+
+    const day = days.get(line.day) || {
+      date: line.day,
+      sold: 0,
+      grossRevenue: 0,
+      discount: 0,
+      refunded: 0,
+    };
+    day.sold += line.quantity;
+    day.grossRevenue += line.gross;
+    day.discount += line.discount;
+    day.refunded += line.refunded;
+    days.set(line.day, day);
+  }
+
+  return [...days.values()]
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map((day) => ({
+      ...day,
+      netRevenue: day.grossRevenue - day.discount - day.refunded,
+    }));
+};
+
+const groupBy = (items, keyOf) => {
+  const groups = new Map();
+  for (const item of items) {
+    const key = keyOf(item);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(item);
+  }
+  return groups;
+};
+
+const buildReport = (lines, remaining, counts) => {
+  const totals = summarize(lines);
+  return {
+    ...totals,
+    remaining,
+    sellThrough:
+      totals.sold + remaining
+        ? Number((totals.sold / (totals.sold + remaining)).toFixed(4))
+        : 0,
+    conversion: getConversion(counts),
+    daily: getDailySeries(lines),
+  };
+};
+
+export const getSalesDashboard = async (user, query = {}) => {
+  const range = parseRange(query);
+  const eventWhere = await resolveEventScope(user, query);
+
+  const tickets = await reportRepository.findReportTickets(eventWhere);
+  const ticketIds = tickets.map((ticket) => ticket.id);
+
+  const [sales, paymentCounts] = ticketIds.length
+    ? await Promise.all([
+        reportRepository.aggregateReportSales({ ticketIds, ...range }),
+        reportRepository.countReportPayments({ ticketIds, ...range }),
+      ])
+    : [[], []];
+
+  const linesByTicket = groupBy(sales, (line) => line.ticketId);
+  const countsByScope = groupBy(paymentCounts, ({ eventId, ticketId }) =>
+    ticketId ? `ticket:${ticketId}` : eventId ? `event:${eventId}` : "all"
+  );
+  const countsFor = (scope) => countsByScope.get(scope) || [];
+
+  const events = new Map();
+  for (const ticket of tickets) {
+    const ticketLines = linesByTicket.get(ticket.id) || [];
+    const event = events.get(ticket.event.id) || {
+      ...ticket.event,
+      lines: [],
+      remaining: 0,
+      tickets: [],
+    };
+
+    event.lines.push(...ticketLines);
+    event.remaining += ticket.quantity;
+    event.tickets.push({
+      ticketId: ticket.id,
+      name: ticket.name,
+      price: ticket.price,
+      ...buildReport(
+        ticketLines,
+        ticket.quantity,
+        countsFor(`ticket:${ticket.id}`)
+      ),
+    });
+    events.set(ticket.event.id, event);
+  }
+
+  return {
+    range: {
+      from: range.from,
+      to: range.to,
+    },
+    summary: buildReport(
+      sales,
+      tickets.reduce((sum, ticket) => sum + ticket.quantity, 0),
+      countsFor("all")
+    ),
+    events: [...events.values()].map(
+      ({ lines: eventLines, remaining, tickets: eventTickets, ...event }) => ({
+        event,
+        ...buildReport(eventLines, remaining, countsFor(`event:${event.id}`)),
+        tickets: eventTickets,
+      })
+    ),
+  };
+};
@@ -0,0 +1,127 @@
+import * as sessionRepository from "../repositories/session.repository.js";
+import {
+  generateToken,
+  generateRefreshToken,
+  hashToken,
+  getRefreshTokenExpiry,
+} from "../utils/token.js";
+
+export const createSession = async (
+  user,
+  { userAgent, ipAddress } = {},
+  { mfa = false } = {}
+) => {
+  const refreshToken = generateRefreshToken();
+  const refreshTokenExpiresAt = getRefreshTokenExpiry();
+
+  const session = await sessionRepository.createSession({
+    userId: user.id,
+    userAgent,
+    ipAddress,
+    mfa,
+    refreshTokenHash: hashToken(refreshToken),
+    refreshTokenExpiresAt,
+  });
+
+  return {
+    token: generateToken(user, session.id, { mfa }),
+    refreshToken,
+    refreshTokenExpiresAt,
+  };
+};
+
+export const refreshSession = async (refreshToken) => {
+  if (!refreshToken) {
+    throw new Error("Refresh token is required");
+  }
+
+  const stored = await sessionRepository.findRefreshTokenByHash(
+    hashToken(refreshToken)
+  );
+  if (!stored) {
+    throw new Error("Invalid refresh token");
+  }
+
+  const { session } = stored;
+  if (session.revokedAt) {
+    throw new Error("Session has been revoked");
+  }
+
+  // a token that was already rotated is being replayed, so whoever holds the
+  // family can no longer be trusted
+  if (stored.usedAt) {
+    await sessionRepository.revokeSession(session.id);
+    throw new Error("Refresh token reuse detected");
+  }
+
+  if (stored.expiresAt < new Date()) {
+    throw new Error("Refresh token has expired");
+  }
+
+  const nextRefreshToken = generateRefreshToken();
+  const refreshTokenExpiresAt = getRefreshTokenExpiry();
+
+  const rotated = await sessionRepository.rotateRefreshToken(stored.id, {
+    sessionId: session.id,
+    tokenHash: hashToken(nextRefreshToken),
+    expiresAt: refreshTokenExpiresAt,
+  });
+
+  // lost the race against another request presenting the same token
+  if (!rotated) {
+    await sessionRepository.revokeSession(session.id);
+    throw new Error("Refresh token reuse detected");
+  }
+
+  return {
+    token: generateToken(session.user, session.id, { mfa: session.mfa }),
+    refreshToken: nextRefreshToken,
+    refreshTokenExpiresAt,
+  };
+};
+
+// lastSeenAt only needs minute precision, so skip the write on most requests
+const LAST_SEEN_THROTTLE_MS = 5 * 60 * 1000;
+
+export const isSessionActive = async (sessionId, userId) => {
+  if (!sessionId) {
+    return false;
+  }
+
+  const session = await sessionRepository.findSessionById(sessionId);
+  if (!session || session.userId !== userId || session.revokedAt) {
+    return false;
+  }
+
+  if (Date.now() - new Date(session.lastSeenAt) > LAST_SEEN_THROTTLE_MS) {
+    await sessionRepository.touchSession(session.id);
+  }
+
+  return true;
+};
+
+export const getUserSessions = async (userId, currentSessionId) => {
+  const sessions = await sessionRepository.findActiveSessionsByUser(userId);
+
+  return sessions.map((session) => ({
+    ...session,
+    current: session.id === currentSessionId,
+  }));
+};
+
+export const revokeSession = async (sessionId, userId) => {
+  const { count } = await sessionRepository.revokeSession(sessionId, userId);
+  return { revoked: count };
+};
+
+export const revokeUserSession = async (sessionId, userId) => {
+  const { count } = await sessionRepository.revokeSession(sessionId, userId);
+  if (count === 0) {
+    throw new Error("Session not found");
+  }
+};
+
+export const revokeAllSessions = async (userId) => {
+  const { count } = await sessionRepository.revokeUserSessions(userId);
+  return { revoked: count };
+};
@@ -0,0 +1,120 @@
+import * as throttleRepository from "../repositories/loginThrottle.repository.js";
+import { sendAccountLockedEmail } from "../utils/email.service.js";
+
+export const THROTTLE_SCOPES = {
+  LOGIN: "login",
+  OTP: "otp",
+  TWO_FACTOR: "2fa",
+};
+
+const MINUTE_IN_MS = 60 * 1000;
+const MAX_FAILURES = Number(process.env.LOCKOUT_MAX_ATTEMPTS) || 5;
+const BASE_LOCK_MINUTES = Number(process.env.LOCKOUT_BASE_MINUTES) || 15;
+const MAX_LOCK_MINUTES = 24 * 60;
+// failures older than this no longer count towards the next lock
+const FAILURE_WINDOW_MS = 60 * MINUTE_IN_MS;
+
+export const emailKey = (email) => `email:${String(email).toLowerCase()}`;
+const ipKey = (ipAddress) => `ip:${ipAddress}`;
+
+const keysFor = ({ email, ipAddress }) => {
+  const keys = [];
+  if (email) keys.push(emailKey(email));
+  if (ipAddress) keys.push(ipKey(ipAddress));
+  return keys;
+};
+
+// each lock on the same key lasts twice as long as the previous one
+const lockDurationMinutes = (lockCount) => {
+  return Math.min(BASE_LOCK_MINUTES * 2 ** lockCount, MAX_LOCK_MINUTES);
+};
+
+export const assertNotLocked = async (scope, attempt) => {
+  const throttles = await throttleRepository.findThrottles(
+    scope,
+    keysFor(attempt)
+  );
+
+  const now = Date.now();
+  const lockedUntil = throttles
+    .map((throttle) => throttle.lockedUntil)
+    .filter((date) => date && new Date(date).getTime() > now)
+    .sort((a, b) => new Date(b) - new Date(a))[0];
+
+  if (lockedUntil) {
+    const minutes = Math.ceil((new Date(lockedUntil) - now) / MINUTE_IN_MS);
+    throw new Error(
+      `Too many failed attempts. Try again in ${minutes} minute(s).`
+    );
+  }
+};
+
+// notify is set by callers that know the email belongs to a real account,
+// so lockout emails never go to addresses an attacker made up
+export const recordFailure = async (
+  scope,
+  attempt,
+  { notify = false } = {}
+) => {
+  const keys = keysFor(attempt);
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - FAILURE_WINDOW_MS);
+  let accountLocked = false;
+  let accountLockedUntil = null;
+
+  for (const key of keys) {
+    const throttle = await throttleRepository.addThrottleFailure(
+      scope,
+      key,
+      now,
+      windowStart
+    );
+
+    if (throttle.failures < MAX_FAILURES) {
+      continue;
+    }
+
+    const lockedUntil = new Date(
+      now.getTime() + lockDurationMinutes(throttle.lockCount) * MINUTE_IN_MS
+    );
+    // a concurrent attempt may have taken the lock already; the key is
+    // locked either way, but only the one that locked it sends the email
+    const tookLock = await throttleRepository.lockThrottle(
+      throttle.id,
+      MAX_FAILURES,
+      lockedUntil
+    );
+
+    if (key === emailKey(attempt.email)) {
+      accountLocked = true;
+      if (tookLock) {
+        accountLockedUntil = lockedUntil;
+      }
+    }
+  }
+
+  if (accountLockedUntil && notify) {
+    try {
+      await sendAccountLockedEmail(attempt.email, accountLockedUntil);
+    } catch (error) {
+      console.error("Failed to send account locked email:", error.message);
+    }
+  }
+
+  return { locked: accountLocked };
+};
+
+// a success only clears the account counter; the IP keeps its history so one
+// valid login cannot reset an attacker's budget for other accounts
+export const recordSuccess = async (scope, { email }) => {
+  if (email) {
+    await throttleRepository.deleteThrottle(scope, emailKey(email));
+  }
+};
+
+export const unlockAccount = async (email) => {
+  const { count } = await throttleRepository.deleteThrottlesByKey(
+    emailKey(email)
+  );
+  return { cleared: count };
+};
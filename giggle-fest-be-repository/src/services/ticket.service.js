@@ -7,27 +7,88 @@ import {
   deleteTicket,
   findTicketsByCategory,
   findTicketsByEvent,
+  findBundleInfo,
+  countBundlesContaining,
 } from "../repositories/ticket.repository.js";
+import { countTicketSeats } from "../repositories/seat.repository.js";
+import { assertEventAccess } from "./organization.service.js";
+import { offerReleasedStock } from "./waitlist.service.js";
+import { withTicketPricing } from "./pricing.service.js";
+import { replaceTicketTiers } from "../repositories/priceTier.repository.js";
+import { hasValidSalesWindow } from "../validators/ticket.validator.js";
 
 const prisma = new PrismaClient();
 
-export const createTicketService = async (data) => {
-  const event = await prisma.event.findUnique({
-    where: { id: data.eventId },
-  });
-  if (!event) throw new Error("Event not found");
+const withPricing = async (ticket) => {
+  const [priced] = await withTicketPricing([ticket]);
+  return priced;
+};
+
+// A bundle packs general admission tickets of its own event. What it packs
+// is fixed once it has sold, as the tickets issued and refunded for earlier
+// purchases follow it.
+const checkBundleItems = async (eventId, bundleItems, ticket = null) => {
+  if (ticket) {
+    const bundled = ticket.bundleItems.length > 0 || bundleItems.length > 0;
+    if (bundled && ticket.sold > 0) {
+      throw new Error(
+        "Cannot change the contents of a bundle once it has sold"
+      );
+    }
+  }
+  if (bundleItems.length === 0) return;
+
+  if (ticket && (await countBundlesContaining(ticket.id)) > 0) {
+    throw new Error("A ticket that is part of a bundle cannot be a bundle");
+  }
+  if (ticket && (await countTicketSeats(ticket.id)) > 0) {
+    throw new Error("A seated ticket cannot be a bundle");
+  }
+
+  const components = await findBundleInfo(
+    bundleItems.map((item) => item.ticketId)
+  );
+  for (const { ticketId } of bundleItems) {
+    const component = components.find((item) => item.id === ticketId);
+    if (!component || component.eventId !== eventId) {
+      throw new Error(`Ticket ${ticketId} does not belong to this event`);
+    }
+    if (component.id === ticket?.id) {
+      throw new Error("A bundle cannot contain itself");
+    }
+    if (component._count.bundleItems > 0) {
+      throw new Error("A bundle cannot contain another bundle");
+    }
+    if (component._count.seats > 0) {
+      throw new Error(
+        `${component.name} has reserved seats and cannot be bundled`
+      );
+    }
+  }
+};
+
+export const createTicketService = async ({ priceTiers, ...data }, user) => {
+  await assertEventAccess(user, data.eventId);
 
   const category = await prisma.category.findUnique({
     where: { id: data.categoryId },
   });
   if (!category) throw new Error("Category not found");
 
-  const user = await prisma.user.findUnique({
+  const creator = await prisma.user.findUnique({
     where: { id: data.userId },
   });
-  if (!user) throw new Error("User not found");
+  if (!creator) throw new Error("User not found");
 
-  return await createTicket(data);
+  if (data.bundleItems) {
+    await checkBundleItems(data.eventId, data.bundleItems);
+  }
+
+  const ticket = await createTicket(data);
+  if (priceTiers?.length) {
+    await replaceTicketTiers(ticket.id, priceTiers);
+  }
+  return withPricing(ticket);
 };
 
 export const getAllTicketsService = async (params) => {
@@ -45,24 +106,60 @@ export const getAllTicketsService = async (params) => {
     if (!category) throw new Error("Category not found");
   }
 
-  return await findAllTickets(params);
+  const result = await findAllTickets(params);
+  return { ...result, tickets: await withTicketPricing(result.tickets) };
 };
 
 export const getTicketByIdService = async (id) => {
   const ticket = await findTicketById(id);
   if (!ticket) throw new Error("Ticket not found");
-  return ticket;
+  return withPricing(ticket);
 };
 
-export const updateTicketService = async (id, data) => {
+export const updateTicketService = async (
+  id,
+  { priceTiers, ...data },
+  user
+) => {
   const ticket = await findTicketById(id);
   if (!ticket) throw new Error("Ticket not found");
-  return await updateTicket(id, data);
+  await assertEventAccess(user, ticket.eventId);
+
+  // moving one end of the window must not put it past the other one
+  if (!hasValidSalesWindow({ ...ticket, ...data })) {
+    throw new Error("Sales must start before they end");
+  }
+
+  if (data.quantity !== undefined && (await countTicketSeats(id)) > 0) {
+    throw new Error("The quantity of a seated ticket is set by its seats");
+  }
+
+  if (data.bundleItems) {
+    await checkBundleItems(ticket.eventId, data.bundleItems, ticket);
+  }
+
+  let updated = await updateTicket(id, data);
+  if (priceTiers) {
+    await replaceTicketTiers(id, priceTiers);
+  }
+
+  // added stock is offered to the waitlist, which takes it off the ticket
+  if (data.quantity > ticket.quantity) {
+    const offered = await offerReleasedStock(id);
+    if (offered.length > 0) {
+      updated = await findTicketById(id);
+    }
+  }
+  return withPricing(updated);
 };
 
-export const deleteTicketService = async (id) => {
+export const deleteTicketService = async (id, user) => {
   const ticket = await findTicketById(id);
   if (!ticket) throw new Error("Ticket not found");
+  await assertEventAccess(user, ticket.eventId);
+  if ((await countBundlesContaining(id)) > 0) {
+    throw new Error("Ticket is part of a bundle");
+  }
   return await deleteTicket(id);
 };
 
@@ -72,7 +169,7 @@ export const getTicketsByCategoryService = async (categoryId) => {
   });
   if (!category) throw new Error("Category not found");
 
-  return await findTicketsByCategory(categoryId);
+  return withTicketPricing(await findTicketsByCategory(categoryId));
 };
 
 export const getTicketsByEventService = async (eventId) => {
@@ -81,5 +178,5 @@ export const getTicketsByEventService = async (eventId) => {
   });
   if (!event) throw new Error("Event not found");
 
-  return await findTicketsByEvent(eventId);
+  return withTicketPricing(await findTicketsByEvent(eventId));
 };
@@ -0,0 +1,150 @@
+import { randomBytes } from "crypto";
+import * as twoFactorRepository from "../repositories/twoFactor.repository.js";
+import * as throttleService from "./throttle.service.js";
+import { createSession } from "./session.service.js";
+import {
+  generateTotpSecret,
+  findTotpStep,
+  buildOtpauthUri,
+} from "../utils/totp.js";
+import { renderQrDataUrl } from "../utils/qrcode.js";
+import { hashToken, verifyChallengeToken } from "../utils/token.js";
+import { requiresTwoFactor } from "../utils/permissions.js";
+
+const RECOVERY_CODE_COUNT = 10;
+const ISSUER = process.env.TOTP_ISSUER || "GiggleFest";
+
+const generateRecoveryCode = () => {
+  const hex = randomBytes(5).toString("hex");
+  return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+};
+
+const normalizeRecoveryCode = (code) => {
+  return String(code).trim().toLowerCase();
+};
+
+const getUser = async (userId) => {
+  const user = await twoFactorRepository.findTwoFactorUser(userId);
+  if (!user) {
+    throw new Error("User not found");
+  }
+  return user;
+};
+
+// an authenticator code is only good once, a replayed one is refused
+const useTotpCode = async (user, code) => {
+  const step = findTotpStep(user.totpSecret, code, {
+    lastStep: user.totpLastStep ?? null,
+  });
+  return step !== null && twoFactorRepository.useTotpStep(user.id, step);
+};
+
+// accepts either a current authenticator code or an unused recovery code
+const checkSecondFactor = async (user, code) => {
+  if (await useTotpCode(user, code)) {
+    return true;
+  }
+
+  return twoFactorRepository.useRecoveryCode(
+    user.id,
+    hashToken(normalizeRecoveryCode(code))
+  );
+};
+
+export const setupTwoFactor = async (userId) => {
+  const user = await getUser(userId);
+  if (user.totpEnabledAt) {
+    throw new Error("Two-factor authentication is already enabled");
+  }
+
+  const secret = generateTotpSecret();
+  await twoFactorRepository.saveTotpSecret(user.id, secret);
+
+  const otpauthUri = buildOtpauthUri({
+    secret,
+    accountName: user.email,
+    issuer: ISSUER,
+  });
+
+  return {
+    secret,
+    otpauthUri,
+    qrCode: await renderQrDataUrl(otpauthUri),
+  };
+};
+
+export const confirmTwoFactor = async (userId, code) => {
+  const user = await getUser(userId);
+  if (user.totpEnabledAt) {
+    throw new Error("Two-factor authentication is already enabled");
+  }
+  if (!user.totpSecret) {
+    throw new Error("Two-factor setup has not been started");
+  }
+  if (!(await useTotpCode(user, code))) {
+    throw new Error("Invalid authentication code");
+  }
+
+  const recoveryCodes = Array.from(
+    { length: RECOVERY_CODE_COUNT },
+    generateRecoveryCode
+  );
+  await twoFactorRepository.enableTwoFactor(
+    user.id,
+    recoveryCodes.map((item) => hashToken(item))
+  );
+
+  // shown once; only the hashes are kept
+  return { recoveryCodes };
+};
+
+export const disableTwoFactor = async (userId, code) => {
+  const user = await getUser(userId);
+  if (!user.totpEnabledAt) {
+    throw new Error("Two-factor authentication is not enabled");
+  }
+  if (requiresTwoFactor(user.role)) {
+    throw new Error("Two-factor authentication is required for your role");
+  }
+  if (!(await checkSecondFactor(user, code))) {
+    throw new Error("Invalid authentication code");
+  }
+
+  await twoFactorRepository.disableTwoFactor(user.id);
+};
+
+// second login step: trades the challenge token from login plus a code for
+// a session flagged as two-factor verified
+export const verifyTwoFactorLogin = async (
+  challengeToken,
+  code,
+  context = {}
+) => {
+  let challenge;
+  try {
+    challenge = verifyChallengeToken(challengeToken);
+  } catch (error) {
+    throw new Error("Invalid or expired challenge token");
+  }
+
+  const user = await getUser(challenge.id);
+  if (!user.totpEnabledAt) {
+    throw new Error("Two-factor authentication is not enabled");
+  }
+
+  const { TWO_FACTOR } = throttleService.THROTTLE_SCOPES;
+  const attempt = { email: user.email, ipAddress: context.ipAddress };
+  await throttleService.assertNotLocked(TWO_FACTOR, attempt);
+
+  if (!(await checkSecondFactor(user, code))) {
+    await throttleService.recordFailure(TWO_FACTOR, attempt, { notify: true });
+    throw new Error("Invalid authentication code");
+  }
+
+  await throttleService.recordSuccess(TWO_FACTOR, attempt);
+
+  const { totpSecret, totpEnabledAt, totpLastStep, ...profile } = user;
+  const tokens = await createSession(user, context, { mfa: true });
+
+  return { user: profile, ...tokens };
+};
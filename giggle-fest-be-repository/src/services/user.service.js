@@ -1,10 +1,13 @@
 import bcrypt from "bcrypt";
 import crypto from "crypto";
 import * as userRepository from "../repositories/user.repository.js";
-import { generateToken } from "../utils/token.js";
+import { createSession, revokeAllSessions } from "./session.service.js";
+import { generateChallengeToken } from "../utils/token.js";
+import * as throttleService from "./throttle.service.js";
 import { sendVerificationEmail } from "../utils/email.service.js";
+import { ROLES } from "../utils/permissions.js";
 
-export const register = async (userData) => {
+export const register = async (userData, context = {}) => {
   const existingUser = await userRepository.findUserByEmail(userData.email);
   if (existingUser) {
     throw new Error("Email already exists");
@@ -19,9 +22,15 @@ export const register = async (userData) => {
     phoneNumber: userData.phoneNumber,
   });
 
+  // self-registration always creates a plain user; roles are granted by an
+  // admin through changeUserRole
   const user = await userRepository.createUser({
-    ...userData,
+    email: userData.email,
+    name: userData.name,
+    age: userData.age,
+    phoneNumber: userData.phoneNumber,
     password: hashedPassword,
+    role: ROLES.USER,
     authId: auth.id,
     verificationToken,
     isVerified: false,
@@ -30,9 +39,9 @@ export const register = async (userData) => {
   await sendVerificationEmail(userData.email, verificationToken);
 
   const { password, ...userWithoutPassword } = user;
-  const token = generateToken(user);
+  const tokens = await createSession(user, context);
 
-  return { user: userWithoutPassword, token };
+  return { user: userWithoutPassword, ...tokens };
 };
 
 export const verifyEmail = async (verificationToken) => {
@@ -72,27 +81,43 @@ export const resendVerification = async (email) => {
   return { message: "Verification email sent successfully" };
 };
 
-export const login = async (email, password) => {
+export const login = async (email, password, context = {}) => {
+  const { LOGIN } = throttleService.THROTTLE_SCOPES;
+  const attempt = { email, ipAddress: context.ipAddress };
+  await throttleService.assertNotLocked(LOGIN, attempt);
+
   const user = await userRepository.findUserByEmail(email);
   if (!user) {
+    await throttleService.recordFailure(LOGIN, attempt);
     throw new Error("Invalid email or password");
   }
 
   const isValidPassword = await bcrypt.compare(password, user.password);
   if (!isValidPassword) {
+    await throttleService.recordFailure(LOGIN, attempt, { notify: true });
     throw new Error("Invalid email or password");
   }
 
+  await throttleService.recordSuccess(LOGIN, attempt);
+
   if (!user.isVerified) {
     throw new Error(
       "Please verify your email before logging in. Check your email for verification link."
     );
   }
 
+  // the session is only created once the second factor is verified
+  if (user.totpEnabledAt) {
+    return {
+      twoFactorRequired: true,
+      challengeToken: generateChallengeToken(user),
+    };
+  }
+
   const { password: userPassword, ...userWithoutPassword } = user;
-  const token = generateToken(user);
+  const tokens = await createSession(user, context);
 
-  return { user: userWithoutPassword, token };
+  return { user: userWithoutPassword, ...tokens };
 };
 
 export const updateUserById = async (id, data) => {
@@ -137,3 +162,109 @@ export const getUserById = async (id) => {
   }
   return user;
 };
+
+export const changeUserRole = async (id, role, actorId, reason) => {
+  if (!Object.values(ROLES).includes(role)) {
+    throw new Error("Invalid role");
+  }
+
+  if (id === actorId) {
+    throw new Error("You cannot change your own role");
+  }
+
+  const user = await userRepository.findUserById(id);
+  if (!user) {
+    throw new Error("User not found");
+  }
+
+  if (user.role === role) {
+    throw new Error(`User already has the ${role} role`);
+  }
+
+  // refuses to demote the last admin
+  const updated = await userRepository.updateUserRole(id, {
+    fromRole: user.role,
+    toRole: role,
+    changedById: actorId,
+    reason,
+  });
+
+  // access tokens carry the role, so sign the user out everywhere rather
+  // than let the old role last until they expire
+  await revokeAllSessions(id);
+
+  return updated;
+};
+
+export const getUserRoleChanges = async (id) => {
+  const user = await userRepository.findUserById(id);
+  if (!user) {
+    throw new Error("User not found");
+  }
+  return userRepository.findRoleChangesByUser(id);
+};
+
+export const unlockUser = async (id) => {
+  const user = await userRepository.findUserById(id);
+  if (!user) {
+    throw new Error("User not found");
+  }
+  return throttleService.unlockAccount(user.email);
+};
+
+// Creates or promotes the first admin. Refuses to run once any admin exists,
+// so it cannot be used to take over an installation later.
+export const bootstrapAdmin = async ({
+  email,
+  password,
+  name,
+  phoneNumber,
+  age,
+}) => {
+  if (!email) {
+    throw new Error("Admin email is required");
+  }
+
+  const adminCount = await userRepository.countUsersByRole(ROLES.ADMIN);
+  if (adminCount > 0) {
+    throw new Error("An admin already exists");
+  }
+
+  let user = await userRepository.findUserByEmail(email);
+  const created = !user;
+
+  if (!user) {
+    if (!password || password.length < 6 || !name || !phoneNumber) {
+      throw new Error(
+        "Name, phone number and a password of at least 6 characters are required to create the admin"
+      );
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+    const auth = await userRepository.createAuth({
+      email,
+      password: hashedPassword,
+      phoneNumber,
+    });
+
+    user = await userRepository.createUser({
+      email,
+      name,
+      age: Number(age) || 0,
+      phoneNumber,
+      password: hashedPassword,
+      role: ROLES.USER,
+      authId: auth.id,
+      isVerified: true,
+    });
+  }
+
+  const admin = await userRepository.updateUserRole(user.id, {
+    fromRole: user.role,
+    toRole: ROLES.ADMIN,
+    reason: "Initial admin bootstrap",
+    source: "bootstrap",
+  });
+
+  return { user: admin, created };
+};
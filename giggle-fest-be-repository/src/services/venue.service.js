@@ -0,0 +1,189 @@
+import * as venueRepository from "../repositories/venue.repository.js";
+import * as seatRepository from "../repositories/seat.repository.js";
+import * as eventRepository from "../repositories/event.repository.js";
+import * as ticketRepository from "../repositories/ticket.repository.js";
+import { assertEventAccess } from "./organization.service.js";
+import { withTicketPricing } from "./pricing.service.js";
+import { isEventPublic } from "../utils/eventStatus.js";
+import { SEAT_STATUSES, getSeatStatus, formatSeat } from "../utils/seating.js";
+
+// rows are numbered from seat 1 up to their seat count
+const layoutSeats = (sections) => {
+  return sections.flatMap((section) =>
+    section.rows.flatMap((row) =>
+      Array.from({ length: row.seats }, (_, i) => ({
+        section: section.name,
+        row: row.name,
+        number: i + 1,
+      }))
+    )
+  );
+};
+
+export const createVenue = async ({ name, address, sections }) => {
+  return venueRepository.createVenue({
+    name,
+    address,
+    seats: layoutSeats(sections),
+  });
+};
+
+export const getAllVenues = async (query) => {
+  return venueRepository.findAllVenues(query);
+};
+
+export const getVenueById = async (id) => {
+  const venue = await venueRepository.findVenueById(id);
+  if (!venue) {
+    throw new Error("Venue not found");
+  }
+  return venue;
+};
+
+// Seated ticket types are only sold as named seats, general admission ones
+// never are. Returns whether the ticket is seated.
+export const checkSeatSelection = async (ticketId, seatIds) => {
+  const seated = (await seatRepository.countTicketSeats(ticketId)) > 0;
+  if (seated && !seatIds) {
+    throw new Error("Choose seats for this ticket");
+  }
+  if (!seated && seatIds) {
+    throw new Error("This ticket does not have reserved seating");
+  }
+  return seated;
+};
+
+const toSeatAvailability = async (event, eventSeats, now = new Date()) => {
+  const seats = eventSeats.map((eventSeat) => ({
+    id: eventSeat.id,
+    section: eventSeat.seat.section,
+    row: eventSeat.seat.row,
+    number: eventSeat.seat.number,
+    ticketId: eventSeat.ticketId,
+    status: getSeatStatus(eventSeat, now),
+  }));
+
+  // seat buyers pay the ticket's current tier price like everyone else
+  const seatedTickets = await withTicketPricing(
+    event.tickets.filter((ticket) =>
+      seats.some((seat) => seat.ticketId === ticket.id)
+    ),
+    now
+  );
+  const tickets = seatedTickets.map((ticket) => {
+    const own = seats.filter((seat) => seat.ticketId === ticket.id);
+    const count = (status) =>
+      own.filter((seat) => seat.status === status).length;
+
+    return {
+      ticketId: ticket.id,
+      name: ticket.name,
+      price: ticket.effectivePrice,
+      available: count(SEAT_STATUSES.AVAILABLE),
+      held: count(SEAT_STATUSES.HELD),
+      sold: count(SEAT_STATUSES.SOLD),
+    };
+  });
+
+  return {
+    eventId: event.id,
+    venueId: event.venueId,
+    seatMap: event.seatMap,
+    tickets,
+    seats,
+  };
+};
+
+// Resolves each section, or the listed rows of it, to venue seats. A ticket
+// type may span several entries but a seat can only belong to one of them.
+const resolveAssignments = (event, venue, assignments) => {
+  const ticketIds = new Set(event.tickets.map((ticket) => ticket.id));
+  const claimed = new Set();
+  const seatIdsByTicket = new Map();
+
+  for (const { ticketId, section, rows } of assignments) {
+    if (!ticketIds.has(ticketId)) {
+      throw new Error(`Ticket ${ticketId} does not belong to this event`);
+    }
+
+    const seats = venue.seats.filter(
+      (seat) => seat.section === section && (!rows || rows.includes(seat.row))
+    );
+    if (seats.length === 0) {
+      throw new Error(`Venue has no seats in ${section}`);
+    }
+
+    for (const seat of seats) {
+      if (claimed.has(seat.id)) {
+        throw new Error(
+          `${formatSeat(seat)} is assigned to more than one ticket type`
+        );
+      }
+      claimed.add(seat.id);
+    }
+
+    seatIdsByTicket.set(ticketId, [
+      ...(seatIdsByTicket.get(ticketId) || []),
+      ...seats.map((seat) => seat.id),
+    ]);
+  }
+
+  return [...seatIdsByTicket].map(([ticketId, seatIds]) => ({
+    ticketId,
+    seatIds,
+  }));
+};
+
+// Seats an event at a venue. Sold seats cannot be moved, so the layout is
+// fixed once the first ticket has been sold.
+export const configureEventSeating = async (
+  user,
+  eventId,
+  { venueId, seatMap, assignments }
+) => {
+  const event = await assertEventAccess(user, eventId);
+
+  if (await eventRepository.hasEventSales(event.id)) {
+    throw new Error("Cannot change the seating of an event with sales");
+  }
+
+  const venue = await getVenueById(venueId);
+  const resolved = resolveAssignments(event, venue, assignments);
+
+  // bundles only take general admission stock
+  const tickets = await ticketRepository.findBundleInfo(
+    resolved.map((assignment) => assignment.ticketId)
+  );
+  const bundled = tickets.find(
+    (ticket) => ticket._count.bundleItems > 0 || ticket._count.bundledIn > 0
+  );
+  if (bundled) {
+    throw new Error(`${bundled.name} is sold in a bundle and cannot be seated`);
+  }
+
+  const seated = await seatRepository.replaceEventSeating(event.id, {
+    venueId,
+    seatMap,
+    assignments: resolved,
+  });
+
+  return toSeatAvailability(
+    { ...seated, tickets: event.tickets },
+    await seatRepository.findEventSeats(event.id)
+  );
+};
+
+export const getSeatAvailability = async (eventId) => {
+  const event = await eventRepository.findEventById(eventId);
+  if (!event || !isEventPublic(event)) {
+    throw new Error("Event not found");
+  }
+  if (!event.venueId) {
+    throw new Error("This event does not have reserved seating");
+  }
+
+  return toSeatAvailability(
+    event,
+    await seatRepository.findEventSeats(event.id)
+  );
+};
@@ -0,0 +1,69 @@
+import * as waitlistRepository from "../repositories/waitlist.repository.js";
+import * as ticketRepository from "../repositories/ticket.repository.js";
+import * as seatRepository from "../repositories/seat.repository.js";
+import { assertTicketOnSale } from "../utils/eventStatus.js";
+import { WAITLIST_STATUSES } from "../utils/waitlist.js";
+
+// waiting entries get their place in line, counting from 1
+const withPosition = async (entry) => ({
+  ...entry,
+  position:
+    entry.status === WAITLIST_STATUSES.WAITING
+      ? (await waitlistRepository.countWaitingAhead(entry)) + 1
+      : null,
+});
+
+export const joinWaitlist = async (userId, { ticketId, quantity }) => {
+  const ticket = await ticketRepository.findTicketById(ticketId);
+  if (!ticket) {
+    throw new Error("Ticket not found");
+  }
+
+  assertTicketOnSale(ticket);
+
+  // seats come back one by one and are picked from the seat map instead
+  if ((await seatRepository.countTicketSeats(ticketId)) > 0) {
+    throw new Error("Waitlists are only open for general admission tickets");
+  }
+  // stock freed on a component would never reach a bundle's waitlist
+  if (ticket.bundleItems?.length) {
+    throw new Error("Waitlists are not open for bundles");
+  }
+  if (ticket.quantity >= quantity) {
+    throw new Error("Tickets are still available, add them to your cart");
+  }
+  if (await waitlistRepository.findOpenEntry(userId, ticketId)) {
+    throw new Error("You are already on the waitlist for this ticket");
+  }
+
+  const entry = await waitlistRepository.createEntry({
+    userId,
+    ticketId,
+    quantity,
+  });
+  return withPosition(entry);
+};
+
+export const getMyWaitlist = async (userId) => {
+  const entries = await waitlistRepository.findEntriesByUser(userId);
+  return Promise.all(entries.map(withPosition));
+};
+
+export const leaveWaitlist = async (userId, id) => {
+  const entry = await waitlistRepository.findEntryById(id, userId);
+  if (!entry) {
+    throw new Error("Waitlist entry not found");
+  }
+
+  if (!(await waitlistRepository.leaveEntry(id))) {
+    throw new Error(
+      "Cannot leave the waitlist once tickets have been offered, remove them from your cart instead"
+    );
+  }
+  return { ...entry, status: WAITLIST_STATUSES.LEFT };
+};
+
+// stock added by hand goes to the people waiting for it before the public
+export const offerReleasedStock = async (ticketId) => {
+  return waitlistRepository.offerReleasedStock(ticketId);
+};
@@ -419,7 +419,7 @@ describe("Cart Controller", () => {
 
       await checkout(mockReq, mockRes);
 
-      expect(cartService.checkout).toHaveBeenCalledWith(1);
+      expect(cartService.checkout).toHaveBeenCalledWith(1, mockReq.body);
       expect(successResponse).toHaveBeenCalledWith(
         mockRes,
         mockCheckoutData,
@@ -452,7 +452,18 @@ describe("Cart Controller", () => {
 
       await checkout(mockReq, mockRes);
 
-      expect(cartService.checkout).toHaveBeenCalledWith(55);
+      expect(cartService.checkout).toHaveBeenCalledWith(55, {});
+    });
+
+    test("should pass promo code from request body", async () => {
+      mockReq.body = { promoCode: "FEST10" };
+      cartService.checkout.mockResolvedValue({ order: { id: 1 } });
+
+      await checkout(mockReq, mockRes);
+
+      expect(cartService.checkout).toHaveBeenCalledWith(1, {
+        promoCode: "FEST10",
+      });
     });
 
     test("should handle insufficient quantity error", async () => {
@@ -496,7 +507,7 @@ describe("Cart Controller", () => {
 
       await checkout(mockReq, mockRes);
 
-      expect(cartService.checkout).toHaveBeenCalledWith(1);
+      expect(cartService.checkout).toHaveBeenCalledWith(1, mockReq.body);
       expect(successResponse).toHaveBeenCalled();
     });
   });
@@ -100,34 +100,6 @@ describe("Category Controller", () => {
       expect(mockErrorResponse).toHaveBeenCalledWith(mockRes, "Database error");
     });
 
-    it("should return 403 when user is not admin", async () => {
-      mockReq.user.role = "user";
-      mockReq.body = { name: "Music" };
-
-      await createCategory(mockReq, mockRes);
-
-      expect(mockCategoryService.createCategoryService).not.toHaveBeenCalled();
-      expect(mockErrorResponse).toHaveBeenCalledWith(
-        mockRes,
-        "Unauthorized",
-        403
-      );
-    });
-
-    it("should check authorization before calling service", async () => {
-      mockReq.user.role = "organizer";
-      mockReq.body = { name: "Music" };
-
-      await createCategory(mockReq, mockRes);
-
-      expect(mockCategoryService.createCategoryService).not.toHaveBeenCalled();
-      expect(mockErrorResponse).toHaveBeenCalledWith(
-        mockRes,
-        "Unauthorized",
-        403
-      );
-    });
-
     it("should return 201 status code on success", async () => {
       const mockCategory = createMockCategory();
       mockCategoryService.createCategoryService.mockResolvedValue(mockCategory);
@@ -369,21 +341,6 @@ describe("Category Controller", () => {
       expect(mockErrorResponse).toHaveBeenCalledWith(mockRes, "Database error");
     });
 
-    it("should return 403 when user is not admin", async () => {
-      mockReq.user.role = "user";
-      mockReq.params = { id: "1" };
-      mockReq.body = { name: "Updated Music" };
-
-      await updateCategory(mockReq, mockRes);
-
-      expect(mockCategoryService.updateCategoryService).not.toHaveBeenCalled();
-      expect(mockErrorResponse).toHaveBeenCalledWith(
-        mockRes,
-        "Unauthorized",
-        403
-      );
-    });
-
     it("should convert params.id to number", async () => {
       const mockCategory = createMockCategory();
       mockCategoryService.updateCategoryService.mockResolvedValue(mockCategory);
@@ -398,21 +355,6 @@ describe("Category Controller", () => {
       );
     });
 
-    it("should check authorization before calling service", async () => {
-      mockReq.user.role = "organizer";
-      mockReq.params = { id: "1" };
-      mockReq.body = { name: "Updated" };
-
-      await updateCategory(mockReq, mockRes);
-
-      expect(mockCategoryService.updateCategoryService).not.toHaveBeenCalled();
-      expect(mockErrorResponse).toHaveBeenCalledWith(
-        mockRes,
-        "Unauthorized",
-        403
-      );
-    });
-
     it("should handle category not found error", async () => {
       mockCategoryService.updateCategoryService.mockRejectedValue(
         new Error("Category not found")
@@ -472,20 +414,6 @@ describe("Category Controller", () => {
       );
     });
 
-    it("should return 403 when user is not admin", async () => {
-      mockReq.user.role = "user";
-      mockReq.params = { id: "1" };
-
-      await deleteCategory(mockReq, mockRes);
-
-      expect(mockCategoryService.deleteCategoryService).not.toHaveBeenCalled();
-      expect(mockErrorResponse).toHaveBeenCalledWith(
-        mockRes,
-        "Unauthorized",
-        403
-      );
-    });
-
     it("should convert params.id to number", async () => {
       mockCategoryService.deleteCategoryService.mockResolvedValue();
       mockReq.params = { id: "5" };
@@ -508,20 +436,6 @@ describe("Category Controller", () => {
       );
     });
 
-    it("should check authorization before calling service", async () => {
-      mockReq.user.role = "organizer";
-      mockReq.params = { id: "1" };
-
-      await deleteCategory(mockReq, mockRes);
-
-      expect(mockCategoryService.deleteCategoryService).not.toHaveBeenCalled();
-      expect(mockErrorResponse).toHaveBeenCalledWith(
-        mockRes,
-        "Unauthorized",
-        403
-      );
-    });
-
     it("should handle category with associated events error", async () => {
       mockCategoryService.deleteCategoryService.mockRejectedValue(
         new Error("Cannot delete category with associated events")
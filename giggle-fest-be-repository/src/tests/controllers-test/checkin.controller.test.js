@@ -0,0 +1,182 @@
+import { jest, describe, it, expect, beforeEach } from "@jest/globals";
+
+// Mock the check-in service
+const mockCheckinService = {
+  checkInTicket: jest.fn(),
+  getCheckInStats: jest.fn(),
+};
+
+jest.unstable_mockModule(
+  "../../services/checkin.service.js",
+  () => mockCheckinService
+);
+
+// Mock response utilities
+const mockSuccessResponse = jest.fn();
+const mockErrorResponse = jest.fn();
+
+jest.unstable_mockModule("../../utils/response.js", () => ({
+  successResponse: mockSuccessResponse,
+  errorResponse: mockErrorResponse,
+}));
+
+const { checkInTicket, getCheckInStats } = await import(
+  "../../controllers/checkin.controller.js"
+);
+
+describe("Check-in Controller", () => {
+  let mockReq;
+  let mockRes;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockReq = {
+      user: { id: 7, role: "staff" },
+      body: {},
+      params: {},
+      query: {},
+    };
+
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+  });
+
+  describe("checkInTicket", () => {
+    it("should check in the scanned ticket as the current staff", async () => {
+      const mockTicket = { id: 1, status: "used" };
+      mockCheckinService.checkInTicket.mockResolvedValue(mockTicket);
+      mockReq.body = { code: "10.abc.sig", eventId: 10 };
+
+      await checkInTicket(mockReq, mockRes);
+
+      expect(mockCheckinService.checkInTicket).toHaveBeenCalledWith(
+        { code: "10.abc.sig", eventId: 10 },
+        { id: 7, role: "staff" }
+      );
+      expect(mockSuccessResponse).toHaveBeenCalledWith(
+        mockRes,
+        mockTicket,
+        "Ticket checked in successfully"
+      );
+    });
+
+    it("should return 409 for a ticket with a refund pending", async () => {
+      mockCheckinService.checkInTicket.mockRejectedValue(
+        new Error("Ticket has a refund pending")
+      );
+
+      await checkInTicket(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "Ticket has a refund pending",
+        409
+      );
+    });
+
+    it("should return 409 for an already used ticket", async () => {
+      mockCheckinService.checkInTicket.mockRejectedValue(
+        new Error("Ticket already checked in")
+      );
+
+      await checkInTicket(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "Ticket already checked in",
+        409
+      );
+    });
+
+    it("should return 404 for an unknown ticket", async () => {
+      mockCheckinService.checkInTicket.mockRejectedValue(
+        new Error("Ticket not found")
+      );
+
+      await checkInTicket(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "Ticket not found",
+        404
+      );
+    });
+
+    it("should return 403 for another organization's event", async () => {
+      mockCheckinService.checkInTicket.mockRejectedValue(
+        new Error("You do not manage this event")
+      );
+
+      await checkInTicket(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "You do not manage this event",
+        403
+      );
+    });
+
+    it("should return 400 for an invalid code", async () => {
+      mockCheckinService.checkInTicket.mockRejectedValue(
+        new Error("Invalid ticket code")
+      );
+
+      await checkInTicket(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "Invalid ticket code",
+        400
+      );
+    });
+  });
+
+  describe("getCheckInStats", () => {
+    it("should return stats for the event", async () => {
+      const mockStats = { eventId: 10, issued: 5, checkedIn: 2 };
+      mockCheckinService.getCheckInStats.mockResolvedValue(mockStats);
+      mockReq.params = { eventId: "10" };
+
+      await getCheckInStats(mockReq, mockRes);
+
+      expect(mockCheckinService.getCheckInStats).toHaveBeenCalledWith(10, {
+        id: 7,
+        role: "staff",
+      });
+      expect(mockSuccessResponse).toHaveBeenCalledWith(mockRes, mockStats);
+    });
+
+    it("should return 404 when the event does not exist", async () => {
+      mockCheckinService.getCheckInStats.mockRejectedValue(
+        new Error("Event not found")
+      );
+      mockReq.params = { eventId: "99" };
+
+      await getCheckInStats(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "Event not found",
+        404
+      );
+    });
+
+    it("should return 403 for another organization's event", async () => {
+      mockCheckinService.getCheckInStats.mockRejectedValue(
+        new Error("You do not manage this event")
+      );
+      mockReq.params = { eventId: "10" };
+
+      await getCheckInStats(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "You do not manage this event",
+        403
+      );
+    });
+  });
+});
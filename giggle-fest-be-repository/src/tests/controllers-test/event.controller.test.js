@@ -7,6 +7,9 @@ const mockEventService = {
   getEventByIdService: jest.fn(),
   updateEventService: jest.fn(),
   deleteEventService: jest.fn(),
+  changeEventStatusService: jest.fn(),
+  cancelEventService: jest.fn(),
+  rescheduleEventService: jest.fn(),
 };
 
 jest.unstable_mockModule(
@@ -14,6 +17,15 @@ jest.unstable_mockModule(
   () => mockEventService
 );
 
+const mockEventImportService = {
+  importEvents: jest.fn(),
+};
+
+jest.unstable_mockModule(
+  "../../services/eventImport.service.js",
+  () => mockEventImportService
+);
+
 // Mock response utilities
 const mockSuccessResponse = jest.fn();
 const mockErrorResponse = jest.fn();
@@ -23,8 +35,17 @@ jest.unstable_mockModule("../../utils/response.js", () => ({
   errorResponse: mockErrorResponse,
 }));
 
-const { createEvent, getAllEvents, getEventById, updateEvent, deleteEvent } =
-  await import("../../controllers/event.controller.js");
+const {
+  createEvent,
+  getAllEvents,
+  getEventById,
+  updateEvent,
+  deleteEvent,
+  changeEventStatus,
+  cancelEvent,
+  rescheduleEvent,
+  importEvents,
+} = await import("../../controllers/event.controller.js");
 
 describe("Event Controller", () => {
   let mockReq;
@@ -105,7 +126,8 @@ describe("Event Controller", () => {
 
       expect(mockEventService.createEventService).toHaveBeenCalledWith(
         mockReq.body,
-        mockFile
+        mockFile,
+        mockReq.user
       );
       expect(mockSuccessResponse).toHaveBeenCalledWith(
         mockRes,
@@ -126,34 +148,6 @@ describe("Event Controller", () => {
       expect(mockErrorResponse).toHaveBeenCalledWith(mockRes, "Database error");
     });
 
-    it("should return 403 when user is not admin", async () => {
-      mockReq.user.role = "user";
-      mockReq.body = { name: "Tech Conference 2024" };
-
-      await createEvent(mockReq, mockRes);
-
-      expect(mockEventService.createEventService).not.toHaveBeenCalled();
-      expect(mockErrorResponse).toHaveBeenCalledWith(
-        mockRes,
-        "Unauthorized",
-        403
-      );
-    });
-
-    it("should check authorization before calling service", async () => {
-      mockReq.user.role = "organizer";
-      mockReq.body = { name: "Tech Conference 2024" };
-
-      await createEvent(mockReq, mockRes);
-
-      expect(mockEventService.createEventService).not.toHaveBeenCalled();
-      expect(mockErrorResponse).toHaveBeenCalledWith(
-        mockRes,
-        "Unauthorized",
-        403
-      );
-    });
-
     it("should return 201 status code on success", async () => {
       const mockEvent = createMockEvent();
       mockEventService.createEventService.mockResolvedValue(mockEvent);
@@ -180,7 +174,8 @@ describe("Event Controller", () => {
 
       expect(mockEventService.createEventService).toHaveBeenCalledWith(
         mockReq.body,
-        mockFile
+        mockFile,
+        mockReq.user
       );
     });
 
@@ -194,7 +189,8 @@ describe("Event Controller", () => {
 
       expect(mockEventService.createEventService).toHaveBeenCalledWith(
         mockReq.body,
-        null
+        null,
+        mockReq.user
       );
     });
 
@@ -365,7 +361,8 @@ describe("Event Controller", () => {
       expect(mockEventService.updateEventService).toHaveBeenCalledWith(
         "1",
         mockReq.body,
-        mockFile
+        mockFile,
+        mockReq.user
       );
       expect(mockSuccessResponse).toHaveBeenCalledWith(
         mockRes,
@@ -389,17 +386,19 @@ describe("Event Controller", () => {
       );
     });
 
-    it("should return 403 when user is not admin", async () => {
-      mockReq.user.role = "user";
+    it("should return 403 when the event belongs to another organization", async () => {
+      mockReq.user = { id: 7, role: "organizer" };
+      mockEventService.updateEventService.mockRejectedValue(
+        new Error("You do not manage this event")
+      );
       mockReq.params = { id: "1" };
       mockReq.body = { name: "Updated Tech Conference" };
 
       await updateEvent(mockReq, mockRes);
 
-      expect(mockEventService.updateEventService).not.toHaveBeenCalled();
       expect(mockErrorResponse).toHaveBeenCalledWith(
         mockRes,
-        "Unauthorized",
+        "You do not manage this event",
         403
       );
     });
@@ -415,7 +414,8 @@ describe("Event Controller", () => {
       expect(mockEventService.updateEventService).toHaveBeenCalledWith(
         "5",
         expect.any(Object),
-        null
+        null,
+        mockReq.user
       );
     });
 
@@ -432,7 +432,8 @@ describe("Event Controller", () => {
       expect(mockEventService.updateEventService).toHaveBeenCalledWith(
         "1",
         mockReq.body,
-        mockFile
+        mockFile,
+        mockReq.user
       );
     });
 
@@ -448,22 +449,8 @@ describe("Event Controller", () => {
       expect(mockEventService.updateEventService).toHaveBeenCalledWith(
         "1",
         mockReq.body,
-        null
-      );
-    });
-
-    it("should check authorization before calling service", async () => {
-      mockReq.user.role = "organizer";
-      mockReq.params = { id: "1" };
-      mockReq.body = { name: "Updated" };
-
-      await updateEvent(mockReq, mockRes);
-
-      expect(mockEventService.updateEventService).not.toHaveBeenCalled();
-      expect(mockErrorResponse).toHaveBeenCalledWith(
-        mockRes,
-        "Unauthorized",
-        403
+        null,
+        mockReq.user
       );
     });
 
@@ -486,7 +473,8 @@ describe("Event Controller", () => {
           description: "New Description",
           location: "New Location",
         },
-        null
+        null,
+        mockReq.user
       );
     });
   });
@@ -498,7 +486,10 @@ describe("Event Controller", () => {
 
       await deleteEvent(mockReq, mockRes);
 
-      expect(mockEventService.deleteEventService).toHaveBeenCalledWith("1");
+      expect(mockEventService.deleteEventService).toHaveBeenCalledWith(
+        "1",
+        mockReq.user
+      );
       expect(mockSuccessResponse).toHaveBeenCalledWith(
         mockRes,
         null,
@@ -520,27 +511,32 @@ describe("Event Controller", () => {
       );
     });
 
-    it("should return 403 when user is not admin", async () => {
-      mockReq.user.role = "user";
-      mockReq.params = { id: "1" };
+    it("should pass params.id as string to service", async () => {
+      mockEventService.deleteEventService.mockResolvedValue();
+      mockReq.params = { id: "5" };
 
       await deleteEvent(mockReq, mockRes);
 
-      expect(mockEventService.deleteEventService).not.toHaveBeenCalled();
-      expect(mockErrorResponse).toHaveBeenCalledWith(
-        mockRes,
-        "Unauthorized",
-        403
+      expect(mockEventService.deleteEventService).toHaveBeenCalledWith(
+        "5",
+        mockReq.user
       );
     });
 
-    it("should pass params.id as string to service", async () => {
-      mockEventService.deleteEventService.mockResolvedValue();
-      mockReq.params = { id: "5" };
+    it("should return 403 when deleting another organization's event", async () => {
+      mockReq.user = { id: 7, role: "organizer" };
+      mockEventService.deleteEventService.mockRejectedValue(
+        new Error("You do not manage this event")
+      );
+      mockReq.params = { id: "1" };
 
       await deleteEvent(mockReq, mockRes);
 
-      expect(mockEventService.deleteEventService).toHaveBeenCalledWith("5");
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "You do not manage this event",
+        403
+      );
     });
 
     it("should return null data on success", async () => {
@@ -556,31 +552,214 @@ describe("Event Controller", () => {
       );
     });
 
-    it("should check authorization before calling service", async () => {
-      mockReq.user.role = "organizer";
+    it("should return 409 for an event with sales", async () => {
+      mockEventService.deleteEventService.mockRejectedValue(
+        new Error("Cannot delete an event with sales, cancel it instead")
+      );
       mockReq.params = { id: "1" };
 
       await deleteEvent(mockReq, mockRes);
 
-      expect(mockEventService.deleteEventService).not.toHaveBeenCalled();
       expect(mockErrorResponse).toHaveBeenCalledWith(
         mockRes,
-        "Unauthorized",
-        403
+        "Cannot delete an event with sales, cancel it instead",
+        409
       );
     });
+  });
 
-    it("should handle event with associated tickets error", async () => {
-      mockEventService.deleteEventService.mockRejectedValue(
-        new Error("Cannot delete event with associated tickets")
+  describe("changeEventStatus", () => {
+    it("should change the status as the current user", async () => {
+      const mockEvent = { id: 1, status: "postponed" };
+      mockEventService.changeEventStatusService.mockResolvedValueOnce(
+        mockEvent
       );
       mockReq.params = { id: "1" };
+      mockReq.body = { status: "postponed" };
 
-      await deleteEvent(mockReq, mockRes);
+      await changeEventStatus(mockReq, mockRes);
+
+      expect(mockEventService.changeEventStatusService).toHaveBeenCalledWith(
+        "1",
+        { status: "postponed" },
+        mockReq.user
+      );
+      expect(mockSuccessResponse).toHaveBeenCalledWith(
+        mockRes,
+        mockEvent,
+        "Event status updated successfully"
+      );
+    });
+
+    it.each([
+      ["Event not found", 404],
+      ["You do not manage this event", 403],
+      ["Cannot move a cancelled event to published", 409],
+      ["Cannot complete an event that has not taken place yet", 409],
+      ["Database error", 400],
+    ])("should map %s to %i", async (message, status) => {
+      mockEventService.changeEventStatusService.mockRejectedValueOnce(
+        new Error(message)
+      );
+
+      await changeEventStatus(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(mockRes, message, status);
+    });
+  });
+
+  describe("cancelEvent", () => {
+    it("should return the cancelled event with its refund summary", async () => {
+      const result = {
+        event: { id: 1, status: "cancelled" },
+        refunds: { refunded: 2, amount: 300000, pending: [], failed: [] },
+      };
+      mockEventService.cancelEventService.mockResolvedValueOnce(result);
+      mockReq.params = { id: "1" };
+      mockReq.body = { reason: "Venue closed" };
+
+      await cancelEvent(mockReq, mockRes);
+
+      expect(mockEventService.cancelEventService).toHaveBeenCalledWith(
+        "1",
+        { reason: "Venue closed" },
+        mockReq.user
+      );
+      expect(mockSuccessResponse).toHaveBeenCalledWith(
+        mockRes,
+        result,
+        "Event cancelled successfully"
+      );
+    });
+
+    it("should return 409 for an event that cannot be cancelled", async () => {
+      mockEventService.cancelEventService.mockRejectedValueOnce(
+        new Error("Cannot move a completed event to cancelled")
+      );
+
+      await cancelEvent(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "Cannot move a completed event to cancelled",
+        409
+      );
+    });
+  });
+
+  describe("rescheduleEvent", () => {
+    it("should reschedule the event", async () => {
+      const date = new Date("2026-12-08T19:00:00.000Z");
+      const mockEvent = { id: 1, date };
+      mockEventService.rescheduleEventService.mockResolvedValueOnce(mockEvent);
+      mockReq.params = { id: "1" };
+      mockReq.body = { date };
+
+      await rescheduleEvent(mockReq, mockRes);
+
+      expect(mockEventService.rescheduleEventService).toHaveBeenCalledWith(
+        "1",
+        { date },
+        mockReq.user
+      );
+      expect(mockSuccessResponse).toHaveBeenCalledWith(
+        mockRes,
+        mockEvent,
+        "Event rescheduled successfully"
+      );
+    });
+
+    it("should return 400 for a date in the past", async () => {
+      mockEventService.rescheduleEventService.mockRejectedValueOnce(
+        new Error("New date must be in the future")
+      );
+
+      await rescheduleEvent(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "New date must be in the future",
+        400
+      );
+    });
+  });
+
+  describe("importEvents", () => {
+    const report = {
+      dryRun: false,
+      valid: true,
+      events: 1,
+      tickets: 2,
+      errors: [],
+    };
+
+    it("should pass the upload, the body and dryRun to the service", async () => {
+      mockReq.file = { buffer: Buffer.from("eventName\n") };
+      mockReq.query = { dryRun: true };
+      mockEventImportService.importEvents.mockResolvedValueOnce({
+        ...report,
+        dryRun: true,
+      });
+
+      await importEvents(mockReq, mockRes);
+
+      expect(mockEventImportService.importEvents).toHaveBeenCalledWith(
+        { file: mockReq.file, body: mockReq.body },
+        mockReq.user,
+        { dryRun: true }
+      );
+      expect(mockSuccessResponse).toHaveBeenCalledWith(
+        mockRes,
+        { ...report, dryRun: true },
+        "Import checked, nothing was saved"
+      );
+    });
+
+    it("should return 201 after importing", async () => {
+      const created = { ...report, created: [{ id: 1 }] };
+      mockEventImportService.importEvents.mockResolvedValueOnce(created);
+
+      await importEvents(mockReq, mockRes);
+
+      expect(mockSuccessResponse).toHaveBeenCalledWith(
+        mockRes,
+        created,
+        "Events imported successfully",
+        201
+      );
+    });
+
+    it("should return 422 with the row errors when rows are invalid", async () => {
+      const errors = [
+        { row: "line 2", field: "date", message: "Invalid date" },
+      ];
+      mockEventImportService.importEvents.mockResolvedValueOnce({
+        ...report,
+        valid: false,
+        errors,
+      });
+
+      await importEvents(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "Import has invalid rows, nothing was saved",
+        422,
+        errors
+      );
+    });
+
+    it("should return 400 when the input cannot be read", async () => {
+      mockEventImportService.importEvents.mockRejectedValueOnce(
+        new Error("Upload a CSV file or send an events array")
+      );
+
+      await importEvents(mockReq, mockRes);
 
       expect(mockErrorResponse).toHaveBeenCalledWith(
         mockRes,
-        "Cannot delete event with associated tickets"
+        "Upload a CSV file or send an events array",
+        400
       );
     });
   });
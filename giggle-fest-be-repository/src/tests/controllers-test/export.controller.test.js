@@ -0,0 +1,186 @@
+import { jest, describe, it, expect, beforeEach } from "@jest/globals";
+
+// Mock the export service
+const mockExportService = {
+  getPaymentsExport: jest.fn(),
+  getAttendeesExport: jest.fn(),
+  getReviewsExport: jest.fn(),
+  getCampaignCodesExport: jest.fn(),
+};
+
+jest.unstable_mockModule(
+  "../../services/export.service.js",
+  () => mockExportService
+);
+
+// Mock the stream writer
+const mockStreamExport = jest.fn();
+
+jest.unstable_mockModule("../../utils/export.js", () => ({
+  streamExport: mockStreamExport,
+}));
+
+// Mock response utilities
+const mockErrorResponse = jest.fn();
+
+jest.unstable_mockModule("../../utils/response.js", () => ({
+  successResponse: jest.fn(),
+  errorResponse: mockErrorResponse,
+}));
+
+const { exportPayments, exportAttendees, exportReviews, exportCampaignCodes } =
+  await import("../../controllers/export.controller.js");
+
+describe("Export Controller", () => {
+  let mockReq;
+  let mockRes;
+
+  const report = {
+    filename: "payments",
+    sheetName: "Payments",
+    columns: [],
+    rows: [],
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockReq = {
+      user: { id: 1, role: "admin" },
+      params: {},
+      query: { format: "xlsx" },
+    };
+
+    mockRes = {
+      headersSent: false,
+      destroy: jest.fn(),
+    };
+  });
+
+  describe("exportPayments", () => {
+    it("should stream the payments in the requested format", async () => {
+      mockReq.query = { format: "xlsx", status: "success" };
+      mockExportService.getPaymentsExport.mockReturnValueOnce(report);
+
+      await exportPayments(mockReq, mockRes);
+
+      expect(mockExportService.getPaymentsExport).toHaveBeenCalledWith({
+        status: "success",
+      });
+      expect(mockStreamExport).toHaveBeenCalledWith(mockRes, {
+        format: "xlsx",
+        ...report,
+      });
+    });
+
+    it("should cut the stream when a started download fails", async () => {
+      const error = new Error("Connection lost");
+      mockExportService.getPaymentsExport.mockReturnValueOnce(report);
+      mockStreamExport.mockImplementationOnce(async (res) => {
+        res.headersSent = true;
+        throw error;
+      });
+      jest.spyOn(console, "error").mockImplementationOnce(() => {});
+
+      await exportPayments(mockReq, mockRes);
+
+      expect(mockRes.destroy).toHaveBeenCalledWith(error);
+      expect(mockErrorResponse).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("exportAttendees", () => {
+    it("should export the event's attendees", async () => {
+      mockReq.params = { id: 4 };
+      mockReq.query = { format: "csv", status: "used" };
+      mockExportService.getAttendeesExport.mockResolvedValueOnce(report);
+
+      await exportAttendees(mockReq, mockRes);
+
+      expect(mockExportService.getAttendeesExport).toHaveBeenCalledWith(4, {
+        status: "used",
+      });
+      expect(mockStreamExport).toHaveBeenCalledWith(mockRes, {
+        format: "csv",
+        ...report,
+      });
+    });
+
+    it("should return 404 when the event does not exist", async () => {
+      mockReq.params = { id: 99 };
+      mockExportService.getAttendeesExport.mockRejectedValueOnce(
+        new Error("Event not found")
+      );
+
+      await exportAttendees(mockReq, mockRes);
+
+      expect(mockStreamExport).not.toHaveBeenCalled();
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "Event not found",
+        404
+      );
+    });
+  });
+
+  describe("exportReviews", () => {
+    it("should pass the review filters", async () => {
+      mockReq.query = { format: "csv", ticketId: 2 };
+      mockExportService.getReviewsExport.mockReturnValueOnce(report);
+
+      await exportReviews(mockReq, mockRes);
+
+      expect(mockExportService.getReviewsExport).toHaveBeenCalledWith({
+        ticketId: 2,
+      });
+      expect(mockStreamExport).toHaveBeenCalled();
+    });
+
+    it("should return 400 when the export cannot start", async () => {
+      mockExportService.getReviewsExport.mockImplementationOnce(() => {
+        throw new Error("Database unavailable");
+      });
+
+      await exportReviews(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "Database unavailable",
+        400
+      );
+    });
+  });
+
+  describe("exportCampaignCodes", () => {
+    it("should export the campaign's codes for the user", async () => {
+      mockReq.params = { id: 4 };
+      mockReq.query = { format: "csv" };
+      mockExportService.getCampaignCodesExport.mockResolvedValueOnce(report);
+
+      await exportCampaignCodes(mockReq, mockRes);
+
+      expect(mockExportService.getCampaignCodesExport).toHaveBeenCalledWith(
+        4,
+        mockReq.user
+      );
+      expect(mockStreamExport).toHaveBeenCalledWith(mockRes, {
+        format: "csv",
+        ...report,
+      });
+    });
+
+    it.each([
+      ["Promo campaign not found", 404],
+      ["You do not manage this promo campaign", 403],
+    ])("should map %s to %i", async (message, status) => {
+      mockExportService.getCampaignCodesExport.mockRejectedValueOnce(
+        new Error(message)
+      );
+
+      await exportCampaignCodes(mockReq, mockRes);
+
+      expect(mockStreamExport).not.toHaveBeenCalled();
+      expect(mockErrorResponse).toHaveBeenCalledWith(mockRes, message, status);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+import { jest, describe, it, expect, beforeEach } from "@jest/globals";
+
+// Mock the issued ticket service
+const mockIssuedTicketService = {
+  getUserTickets: jest.fn(),
+  getUserTicketQr: jest.fn(),
+};
+
+jest.unstable_mockModule(
+  "../../services/issuedTicket.service.js",
+  () => mockIssuedTicketService
+);
+
+// Mock response utilities
+const mockSuccessResponse = jest.fn();
+const mockErrorResponse = jest.fn();
+
+jest.unstable_mockModule("../../utils/response.js", () => ({
+  successResponse: mockSuccessResponse,
+  errorResponse: mockErrorResponse,
+}));
+
+const { getMyTickets, getMyTicketQr } = await import(
+  "../../controllers/issuedTicket.controller.js"
+);
+
+describe("Issued Ticket Controller", () => {
+  let mockReq;
+  let mockRes;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockReq = {
+      user: { id: 1, role: "user" },
+      body: {},
+      params: {},
+      query: {},
+    };
+
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+      set: jest.fn().mockReturnThis(),
+      send: jest.fn().mockReturnThis(),
+    };
+  });
+
+  describe("getMyTickets", () => {
+    it("should return tickets of the authenticated user", async () => {
+      const mockTickets = { tickets: [], meta: { page: 1, total: 0 } };
+      mockIssuedTicketService.getUserTickets.mockResolvedValue(mockTickets);
+      mockReq.query = { format: "svg" };
+
+      await getMyTickets(mockReq, mockRes);
+
+      expect(mockIssuedTicketService.getUserTickets).toHaveBeenCalledWith(1, {
+        format: "svg",
+      });
+      expect(mockSuccessResponse).toHaveBeenCalledWith(mockRes, mockTickets);
+    });
+
+    it("should return 400 when the service fails", async () => {
+      mockIssuedTicketService.getUserTickets.mockRejectedValue(
+        new Error("Invalid QR format")
+      );
+
+      await getMyTickets(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "Invalid QR format",
+        400
+      );
+    });
+  });
+
+  describe("getMyTicketQr", () => {
+    it("should send the QR image with its content type", async () => {
+      const body = Buffer.from("png");
+      mockIssuedTicketService.getUserTicketQr.mockResolvedValue({
+        contentType: "image/png",
+        body,
+      });
+      mockReq.params = { id: "3" };
+
+      await getMyTicketQr(mockReq, mockRes);
+
+      expect(mockIssuedTicketService.getUserTicketQr).toHaveBeenCalledWith(
+        3,
+        1,
+        undefined
+      );
+      expect(mockRes.set).toHaveBeenCalledWith("Content-Type", "image/png");
+      expect(mockRes.send).toHaveBeenCalledWith(body);
+    });
+
+    it("should return 404 when the ticket is not found", async () => {
+      mockIssuedTicketService.getUserTicketQr.mockRejectedValue(
+        new Error("Ticket not found")
+      );
+      mockReq.params = { id: "3" };
+
+      await getMyTicketQr(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "Ticket not found",
+        404
+      );
+    });
+  });
+});
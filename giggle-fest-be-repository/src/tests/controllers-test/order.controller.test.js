@@ -0,0 +1,103 @@
+import { jest, describe, it, expect, beforeEach } from "@jest/globals";
+
+// Mock the order service
+const mockOrderService = {
+  getUserOrders: jest.fn(),
+  getOrderById: jest.fn(),
+};
+
+jest.unstable_mockModule(
+  "../../services/order.service.js",
+  () => mockOrderService
+);
+
+// Mock response utilities
+const mockSuccessResponse = jest.fn();
+const mockErrorResponse = jest.fn();
+
+jest.unstable_mockModule("../../utils/response.js", () => ({
+  successResponse: mockSuccessResponse,
+  errorResponse: mockErrorResponse,
+}));
+
+const { getUserOrders, getOrderById } = await import(
+  "../../controllers/order.controller.js"
+);
+
+describe("Order Controller", () => {
+  let mockReq;
+  let mockRes;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockReq = {
+      user: { id: 1, role: "user" },
+      body: {},
+      params: {},
+      query: {},
+    };
+
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+  });
+
+  describe("getUserOrders", () => {
+    it("should return orders of the authenticated user", async () => {
+      const mockOrders = { orders: [], meta: { page: 1, total: 0 } };
+      mockOrderService.getUserOrders.mockResolvedValue(mockOrders);
+      mockReq.query = { page: "1" };
+
+      await getUserOrders(mockReq, mockRes);
+
+      expect(mockOrderService.getUserOrders).toHaveBeenCalledWith(1, {
+        page: "1",
+      });
+      expect(mockSuccessResponse).toHaveBeenCalledWith(mockRes, mockOrders);
+    });
+
+    it("should return 400 when listing fails", async () => {
+      mockOrderService.getUserOrders.mockRejectedValue(
+        new Error("Database error")
+      );
+
+      await getUserOrders(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "Database error",
+        400
+      );
+    });
+  });
+
+  describe("getOrderById", () => {
+    it("should return the order scoped to the user", async () => {
+      const mockOrder = { id: 3, userId: 1 };
+      mockOrderService.getOrderById.mockResolvedValue(mockOrder);
+      mockReq.params.id = "3";
+
+      await getOrderById(mockReq, mockRes);
+
+      expect(mockOrderService.getOrderById).toHaveBeenCalledWith(3, 1);
+      expect(mockSuccessResponse).toHaveBeenCalledWith(mockRes, mockOrder);
+    });
+
+    it("should return 404 when order is not found", async () => {
+      mockOrderService.getOrderById.mockRejectedValue(
+        new Error("Order not found")
+      );
+      mockReq.params.id = "99";
+
+      await getOrderById(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "Order not found",
+        404
+      );
+    });
+  });
+});
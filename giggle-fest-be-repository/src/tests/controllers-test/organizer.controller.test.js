@@ -0,0 +1,320 @@
+import { jest, describe, it, expect, beforeEach } from "@jest/globals";
+
+// Mock the organization service
+const mockOrganizationService = {
+  createOrganization: jest.fn(),
+  getMyOrganizations: jest.fn(),
+  addOrganizationMember: jest.fn(),
+  removeOrganizationMember: jest.fn(),
+  getOrganizerEvents: jest.fn(),
+  getEventSales: jest.fn(),
+};
+
+jest.unstable_mockModule(
+  "../../services/organization.service.js",
+  () => mockOrganizationService
+);
+
+const mockReportService = {
+  getSalesDashboard: jest.fn(),
+};
+
+jest.unstable_mockModule(
+  "../../services/report.service.js",
+  () => mockReportService
+);
+
+// Mock response utilities
+const mockSuccessResponse = jest.fn();
+const mockErrorResponse = jest.fn();
+
+jest.unstable_mockModule("../../utils/response.js", () => ({
+  successResponse: mockSuccessResponse,
+  errorResponse: mockErrorResponse,
+}));
+
+const {
+  createOrganization,
+  getMyOrganizations,
+  addOrganizationMember,
+  removeOrganizationMember,
+  getOrganizerEvents,
+  getEventSales,
+  getSalesDashboard,
+} = await import("../../controllers/organizer.controller.js");
+
+describe("Organizer Controller", () => {
+  let mockReq;
+  let mockRes;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockReq = {
+      user: { id: 7, role: "organizer" },
+      body: {},
+      params: {},
+      query: {},
+    };
+
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+  });
+
+  describe("createOrganization", () => {
+    it("should create an organization owned by the current user", async () => {
+      const organization = { id: 3, name: "Giggle Productions" };
+      mockOrganizationService.createOrganization.mockResolvedValue(
+        organization
+      );
+      mockReq.body = { name: "Giggle Productions" };
+
+      await createOrganization(mockReq, mockRes);
+
+      expect(mockOrganizationService.createOrganization).toHaveBeenCalledWith(
+        mockReq.user,
+        { name: "Giggle Productions" }
+      );
+      expect(mockSuccessResponse).toHaveBeenCalledWith(
+        mockRes,
+        organization,
+        "Organization created successfully",
+        201
+      );
+    });
+  });
+
+  describe("getMyOrganizations", () => {
+    it("should return the user's organizations", async () => {
+      mockOrganizationService.getMyOrganizations.mockResolvedValue([]);
+
+      await getMyOrganizations(mockReq, mockRes);
+
+      expect(mockOrganizationService.getMyOrganizations).toHaveBeenCalledWith(
+        mockReq.user
+      );
+      expect(mockSuccessResponse).toHaveBeenCalledWith(mockRes, []);
+    });
+  });
+
+  describe("addOrganizationMember", () => {
+    beforeEach(() => {
+      mockReq.params = { id: 3 };
+      mockReq.body = { email: "partner@example.com" };
+    });
+
+    it("should add the member", async () => {
+      const member = { userId: 12, role: "member" };
+      mockOrganizationService.addOrganizationMember.mockResolvedValue(member);
+
+      await addOrganizationMember(mockReq, mockRes);
+
+      expect(
+        mockOrganizationService.addOrganizationMember
+      ).toHaveBeenCalledWith(mockReq.user, 3, { email: "partner@example.com" });
+      expect(mockSuccessResponse).toHaveBeenCalledWith(
+        mockRes,
+        member,
+        "Member added successfully",
+        201
+      );
+    });
+
+    it("should return 403 for non-owners", async () => {
+      mockOrganizationService.addOrganizationMember.mockRejectedValue(
+        new Error("You do not manage this organization")
+      );
+
+      await addOrganizationMember(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "You do not manage this organization",
+        403
+      );
+    });
+
+    it("should return 404 when the user does not exist", async () => {
+      mockOrganizationService.addOrganizationMember.mockRejectedValue(
+        new Error("User not found")
+      );
+
+      await addOrganizationMember(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "User not found",
+        404
+      );
+    });
+
+    it("should return 409 for existing members", async () => {
+      mockOrganizationService.addOrganizationMember.mockRejectedValue(
+        new Error("User is already a member of this organization")
+      );
+
+      await addOrganizationMember(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "User is already a member of this organization",
+        409
+      );
+    });
+  });
+
+  describe("removeOrganizationMember", () => {
+    it("should remove the member", async () => {
+      mockReq.params = { id: 3, userId: 8 };
+      mockOrganizationService.removeOrganizationMember.mockResolvedValue({});
+
+      await removeOrganizationMember(mockReq, mockRes);
+
+      expect(
+        mockOrganizationService.removeOrganizationMember
+      ).toHaveBeenCalledWith(mockReq.user, 3, 8);
+      expect(mockSuccessResponse).toHaveBeenCalledWith(
+        mockRes,
+        null,
+        "Member removed successfully"
+      );
+    });
+
+    it("should return 400 when removing the last owner", async () => {
+      mockReq.params = { id: 3, userId: 7 };
+      mockOrganizationService.removeOrganizationMember.mockRejectedValue(
+        new Error("An organization must keep at least one owner")
+      );
+
+      await removeOrganizationMember(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "An organization must keep at least one owner",
+        400
+      );
+    });
+  });
+
+  describe("getOrganizerEvents", () => {
+    it("should list the organizer's events", async () => {
+      const result = { events: [], meta: { page: 1 } };
+      mockReq.query = { page: "1" };
+      mockOrganizationService.getOrganizerEvents.mockResolvedValue(result);
+
+      await getOrganizerEvents(mockReq, mockRes);
+
+      expect(mockOrganizationService.getOrganizerEvents).toHaveBeenCalledWith(
+        mockReq.user,
+        { page: "1" }
+      );
+      expect(mockSuccessResponse).toHaveBeenCalledWith(mockRes, result);
+    });
+
+    it("should return 403 for organizations the user is not in", async () => {
+      mockOrganizationService.getOrganizerEvents.mockRejectedValue(
+        new Error("You do not manage this organization")
+      );
+
+      await getOrganizerEvents(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "You do not manage this organization",
+        403
+      );
+    });
+  });
+
+  describe("getEventSales", () => {
+    it("should return the event's sales", async () => {
+      const sales = { tickets: [], totals: { sold: 0 } };
+      mockReq.params = { id: 1 };
+      mockOrganizationService.getEventSales.mockResolvedValue(sales);
+
+      await getEventSales(mockReq, mockRes);
+
+      expect(mockOrganizationService.getEventSales).toHaveBeenCalledWith(
+        mockReq.user,
+        1
+      );
+      expect(mockSuccessResponse).toHaveBeenCalledWith(mockRes, sales);
+    });
+
+    it("should return 403 for another organization's event", async () => {
+      mockReq.params = { id: 1 };
+      mockOrganizationService.getEventSales.mockRejectedValue(
+        new Error("You do not manage this event")
+      );
+
+      await getEventSales(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "You do not manage this event",
+        403
+      );
+    });
+
+    it("should return 404 when the event does not exist", async () => {
+      mockReq.params = { id: 99 };
+      mockOrganizationService.getEventSales.mockRejectedValue(
+        new Error("Event not found")
+      );
+
+      await getEventSales(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "Event not found",
+        404
+      );
+    });
+  });
+
+  describe("getSalesDashboard", () => {
+    it("should pass the filters to the report service", async () => {
+      const dashboard = { summary: { sold: 3 }, events: [] };
+      mockReq.query = { from: "2025-01-01", eventId: 1 };
+      mockReportService.getSalesDashboard.mockResolvedValueOnce(dashboard);
+
+      await getSalesDashboard(mockReq, mockRes);
+
+      expect(mockReportService.getSalesDashboard).toHaveBeenCalledWith(
+        mockReq.user,
+        mockReq.query
+      );
+      expect(mockSuccessResponse).toHaveBeenCalledWith(mockRes, dashboard);
+    });
+
+    it("should return 400 for an inverted date range", async () => {
+      mockReportService.getSalesDashboard.mockRejectedValueOnce(
+        new Error("from must be before to")
+      );
+
+      await getSalesDashboard(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "from must be before to",
+        400
+      );
+    });
+
+    it("should return 403 for another organization", async () => {
+      mockReportService.getSalesDashboard.mockRejectedValueOnce(
+        new Error("You do not manage this organization")
+      );
+
+      await getSalesDashboard(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "You do not manage this organization",
+        403
+      );
+    });
+  });
+});
@@ -34,6 +34,8 @@ describe("Password Controller", () => {
 
     mockReq = {
       body: {},
+      headers: {},
+      ip: "10.0.0.1",
     };
 
     mockRes = {
@@ -254,7 +256,8 @@ describe("Password Controller", () => {
 
       expect(mockPasswordService.verifyOTP).toHaveBeenCalledWith(
         "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9",
-        "123456"
+        "123456",
+        { userAgent: null, ipAddress: "10.0.0.1" }
       );
       expect(mockSuccessResponse).toHaveBeenCalledWith(
         mockRes,
@@ -290,7 +293,23 @@ describe("Password Controller", () => {
 
       expect(mockPasswordService.verifyOTP).toHaveBeenCalledWith(
         "test-token-123",
-        "654321"
+        "654321",
+        expect.any(Object)
+      );
+    });
+
+    it("should return 429 while the account is locked", async () => {
+      mockPasswordService.verifyOTP.mockRejectedValue(
+        new Error("Too many failed attempts. Try again in 15 minute(s).")
+      );
+      mockReq.body = { token: "test-token-123", otp: "654321" };
+
+      await verifyOTP(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "Too many failed attempts. Try again in 15 minute(s).",
+        429
       );
     });
 
@@ -388,7 +407,8 @@ describe("Password Controller", () => {
       expect(mockPasswordService.resetPassword).toHaveBeenCalledWith(
         "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9",
         "123456",
-        "newSecurePassword123!"
+        "newSecurePassword123!",
+        { userAgent: null, ipAddress: "10.0.0.1" }
       );
       expect(mockSuccessResponse).toHaveBeenCalledWith(
         mockRes,
@@ -429,7 +449,27 @@ describe("Password Controller", () => {
       expect(mockPasswordService.resetPassword).toHaveBeenCalledWith(
         "test-token-123",
         "654321",
-        "myNewPassword456!"
+        "myNewPassword456!",
+        expect.any(Object)
+      );
+    });
+
+    it("should return 429 while the account is locked", async () => {
+      mockPasswordService.resetPassword.mockRejectedValue(
+        new Error("Too many failed attempts. Try again in 30 minute(s).")
+      );
+      mockReq.body = {
+        token: "test-token-123",
+        otp: "654321",
+        password: "myNewPassword456!",
+      };
+
+      await resetPassword(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "Too many failed attempts. Try again in 30 minute(s).",
+        429
       );
     });
 
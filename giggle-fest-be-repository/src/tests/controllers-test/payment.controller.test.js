@@ -6,6 +6,7 @@ const mockPaymentService = {
   getAllPayments: jest.fn(),
   getPaymentById: jest.fn(),
   getUserPaymentHistory: jest.fn(),
+  handlePaymentNotification: jest.fn(),
 };
 
 jest.unstable_mockModule(
@@ -27,6 +28,7 @@ const {
   getAllPayments,
   getPaymentById,
   getUserPaymentHistory,
+  handlePaymentNotification,
 } = await import("../../controllers/payment.controller.js");
 
 describe("Payment Controller", () => {
@@ -242,32 +244,6 @@ describe("Payment Controller", () => {
       );
     });
 
-    it("should return 403 when user is not admin", async () => {
-      mockReq.user.role = "user";
-
-      await getAllPayments(mockReq, mockRes);
-
-      expect(mockPaymentService.getAllPayments).not.toHaveBeenCalled();
-      expect(mockErrorResponse).toHaveBeenCalledWith(
-        mockRes,
-        "Unauthorized",
-        403
-      );
-    });
-
-    it("should check authorization before calling service", async () => {
-      mockReq.user.role = "organizer";
-
-      await getAllPayments(mockReq, mockRes);
-
-      expect(mockPaymentService.getAllPayments).not.toHaveBeenCalled();
-      expect(mockErrorResponse).toHaveBeenCalledWith(
-        mockRes,
-        "Unauthorized",
-        403
-      );
-    });
-
     it("should pass query parameters to service", async () => {
       const mockPayments = createMockPaginatedPayments();
       mockPaymentService.getAllPayments.mockResolvedValue(mockPayments);
@@ -334,20 +310,6 @@ describe("Payment Controller", () => {
       );
     });
 
-    it("should return 403 when user is not admin", async () => {
-      mockReq.user.role = "user";
-      mockReq.params = { id: "1" };
-
-      await getPaymentById(mockReq, mockRes);
-
-      expect(mockPaymentService.getPaymentById).not.toHaveBeenCalled();
-      expect(mockErrorResponse).toHaveBeenCalledWith(
-        mockRes,
-        "Unauthorized",
-        403
-      );
-    });
-
     it("should convert params.id to number", async () => {
       const mockPayment = createMockPayment();
       mockPaymentService.getPaymentById.mockResolvedValue(mockPayment);
@@ -372,20 +334,6 @@ describe("Payment Controller", () => {
       expect(mockPaymentService.getPaymentById).toHaveBeenCalledWith(1, 3);
     });
 
-    it("should check authorization before calling service", async () => {
-      mockReq.user.role = "organizer";
-      mockReq.params = { id: "1" };
-
-      await getPaymentById(mockReq, mockRes);
-
-      expect(mockPaymentService.getPaymentById).not.toHaveBeenCalled();
-      expect(mockErrorResponse).toHaveBeenCalledWith(
-        mockRes,
-        "Unauthorized",
-        403
-      );
-    });
-
     it("should return 404 status on error", async () => {
       mockPaymentService.getPaymentById.mockRejectedValue(
         new Error("Payment not found")
@@ -528,4 +476,77 @@ describe("Payment Controller", () => {
       expect(mockSuccessResponse).toHaveBeenCalledWith(mockRes, mockPayments);
     });
   });
+
+  describe("handlePaymentNotification", () => {
+    const notification = {
+      order_id: "ORDER-123-456",
+      status_code: "200",
+      gross_amount: "150000.00",
+      signature_key: "signature",
+      transaction_status: "settlement",
+    };
+
+    it("should acknowledge a processed notification", async () => {
+      mockPaymentService.handlePaymentNotification.mockResolvedValue(
+        createMockPayment({ status: "success" })
+      );
+      mockReq = { body: notification };
+
+      await handlePaymentNotification(mockReq, mockRes);
+
+      expect(mockPaymentService.handlePaymentNotification).toHaveBeenCalledWith(
+        notification
+      );
+      expect(mockSuccessResponse).toHaveBeenCalledWith(
+        mockRes,
+        { orderId: "ORDER-123-456", status: "success" },
+        "Notification processed successfully"
+      );
+    });
+
+    it("should return 403 for an invalid signature", async () => {
+      mockPaymentService.handlePaymentNotification.mockRejectedValue(
+        new Error("Invalid signature key")
+      );
+      mockReq = { body: notification };
+
+      await handlePaymentNotification(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "Invalid signature key",
+        403
+      );
+    });
+
+    it("should return 404 for an unknown order", async () => {
+      mockPaymentService.handlePaymentNotification.mockRejectedValue(
+        new Error("Payment not found")
+      );
+      mockReq = { body: notification };
+
+      await handlePaymentNotification(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "Payment not found",
+        404
+      );
+    });
+
+    it("should return 400 for other errors", async () => {
+      mockPaymentService.handlePaymentNotification.mockRejectedValue(
+        new Error("Gross amount does not match payment amount")
+      );
+      mockReq = { body: notification };
+
+      await handlePaymentNotification(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "Gross amount does not match payment amount",
+        400
+      );
+    });
+  });
 });
@@ -7,6 +7,8 @@ const mockPromoService = {
   validatePromoCode: jest.fn(),
   updatePromoCode: jest.fn(),
   deletePromoCode: jest.fn(),
+  createPromoCampaign: jest.fn(),
+  getPromoCampaign: jest.fn(),
 };
 
 jest.unstable_mockModule(
@@ -29,6 +31,8 @@ const {
   validatePromoCode,
   updatePromoCode,
   deletePromoCode,
+  createPromoCampaign,
+  getPromoCampaign,
 } = await import("../../controllers/promo.controller.js");
 
 describe("Promo Controller", () => {
@@ -90,12 +94,15 @@ describe("Promo Controller", () => {
 
       await createPromoCode(mockReq, mockRes);
 
-      expect(mockPromoService.createPromoCode).toHaveBeenCalledWith({
-        code: "EARLY2024",
-        discount: 20,
-        validFrom: "2024-01-01",
-        validTo: "2024-12-31",
-      });
+      expect(mockPromoService.createPromoCode).toHaveBeenCalledWith(
+        {
+          code: "EARLY2024",
+          discount: 20,
+          validFrom: "2024-01-01",
+          validTo: "2024-12-31",
+        },
+        mockReq.user
+      );
       expect(mockSuccessResponse).toHaveBeenCalledWith(
         mockRes,
         mockPromoCode,
@@ -119,34 +126,6 @@ describe("Promo Controller", () => {
       );
     });
 
-    it("should return 403 when user is not admin", async () => {
-      mockReq.user.role = "user";
-      mockReq.body = { code: "EARLY2024", discount: 20 };
-
-      await createPromoCode(mockReq, mockRes);
-
-      expect(mockPromoService.createPromoCode).not.toHaveBeenCalled();
-      expect(mockErrorResponse).toHaveBeenCalledWith(
-        mockRes,
-        "Unauthorized",
-        403
-      );
-    });
-
-    it("should check authorization before calling service", async () => {
-      mockReq.user.role = "organizer";
-      mockReq.body = { code: "EARLY2024", discount: 20 };
-
-      await createPromoCode(mockReq, mockRes);
-
-      expect(mockPromoService.createPromoCode).not.toHaveBeenCalled();
-      expect(mockErrorResponse).toHaveBeenCalledWith(
-        mockRes,
-        "Unauthorized",
-        403
-      );
-    });
-
     it("should return 201 status code on success", async () => {
       const mockPromoCode = createMockPromoCode();
       mockPromoService.createPromoCode.mockResolvedValue(mockPromoCode);
@@ -190,13 +169,16 @@ describe("Promo Controller", () => {
 
       await createPromoCode(mockReq, mockRes);
 
-      expect(mockPromoService.createPromoCode).toHaveBeenCalledWith({
-        code: "WINTER2024",
-        discount: 15,
-        validFrom: "2024-12-01",
-        validTo: "2024-12-31",
-        isActive: true,
-      });
+      expect(mockPromoService.createPromoCode).toHaveBeenCalledWith(
+        {
+          code: "WINTER2024",
+          discount: 15,
+          validFrom: "2024-12-01",
+          validTo: "2024-12-31",
+          isActive: true,
+        },
+        mockReq.user
+      );
     });
   });
 
@@ -208,7 +190,8 @@ describe("Promo Controller", () => {
       await getAllPromoCodes(mockReq, mockRes);
 
       expect(mockPromoService.getAllPromoCodes).toHaveBeenCalledWith(
-        mockReq.query
+        mockReq.query,
+        mockReq.user
       );
       expect(mockSuccessResponse).toHaveBeenCalledWith(mockRes, mockPromoCodes);
     });
@@ -227,32 +210,6 @@ describe("Promo Controller", () => {
       );
     });
 
-    it("should return 403 when user is not admin", async () => {
-      mockReq.user.role = "user";
-
-      await getAllPromoCodes(mockReq, mockRes);
-
-      expect(mockPromoService.getAllPromoCodes).not.toHaveBeenCalled();
-      expect(mockErrorResponse).toHaveBeenCalledWith(
-        mockRes,
-        "Unauthorized",
-        403
-      );
-    });
-
-    it("should check authorization before calling service", async () => {
-      mockReq.user.role = "organizer";
-
-      await getAllPromoCodes(mockReq, mockRes);
-
-      expect(mockPromoService.getAllPromoCodes).not.toHaveBeenCalled();
-      expect(mockErrorResponse).toHaveBeenCalledWith(
-        mockRes,
-        "Unauthorized",
-        403
-      );
-    });
-
     it("should pass query parameters to service", async () => {
       const mockPromoCodes = createMockPaginatedPromoCodes();
       mockPromoService.getAllPromoCodes.mockResolvedValue(mockPromoCodes);
@@ -260,11 +217,14 @@ describe("Promo Controller", () => {
 
       await getAllPromoCodes(mockReq, mockRes);
 
-      expect(mockPromoService.getAllPromoCodes).toHaveBeenCalledWith({
-        page: "1",
-        limit: "10",
-        isActive: "true",
-      });
+      expect(mockPromoService.getAllPromoCodes).toHaveBeenCalledWith(
+        {
+          page: "1",
+          limit: "10",
+          isActive: "true",
+        },
+        mockReq.user
+      );
     });
 
     it("should handle empty query parameters", async () => {
@@ -274,7 +234,10 @@ describe("Promo Controller", () => {
 
       await getAllPromoCodes(mockReq, mockRes);
 
-      expect(mockPromoService.getAllPromoCodes).toHaveBeenCalledWith({});
+      expect(mockPromoService.getAllPromoCodes).toHaveBeenCalledWith(
+        {},
+        mockReq.user
+      );
     });
 
     it("should return 400 status on error", async () => {
@@ -401,9 +364,12 @@ describe("Promo Controller", () => {
 
       await updatePromoCode(mockReq, mockRes);
 
-      expect(mockPromoService.updatePromoCode).toHaveBeenCalledWith(1, {
-        discount: 25,
-      });
+      expect(mockPromoService.updatePromoCode).toHaveBeenCalledWith(
+        1, {
+          discount: 25,
+        },
+        mockReq.user
+      );
       expect(mockSuccessResponse).toHaveBeenCalledWith(
         mockRes,
         mockPromoCode,
@@ -437,7 +403,8 @@ describe("Promo Controller", () => {
 
       expect(mockPromoService.updatePromoCode).toHaveBeenCalledWith(
         5,
-        expect.any(Object)
+        expect.any(Object),
+        mockReq.user
       );
     });
 
@@ -453,11 +420,14 @@ describe("Promo Controller", () => {
 
       await updatePromoCode(mockReq, mockRes);
 
-      expect(mockPromoService.updatePromoCode).toHaveBeenCalledWith(1, {
-        discount: 35,
-        validTo: "2024-12-31",
-        isActive: false,
-      });
+      expect(mockPromoService.updatePromoCode).toHaveBeenCalledWith(
+        1, {
+          discount: 35,
+          validTo: "2024-12-31",
+          isActive: false,
+        },
+        mockReq.user
+      );
     });
 
     it("should not require admin role", async () => {
@@ -517,7 +487,10 @@ describe("Promo Controller", () => {
 
       await deletePromoCode(mockReq, mockRes);
 
-      expect(mockPromoService.deletePromoCode).toHaveBeenCalledWith(1);
+      expect(mockPromoService.deletePromoCode).toHaveBeenCalledWith(
+        1,
+        mockReq.user
+      );
       expect(mockSuccessResponse).toHaveBeenCalledWith(
         mockRes,
         null,
@@ -540,13 +513,48 @@ describe("Promo Controller", () => {
       );
     });
 
+    it("should return 403 when the promo belongs to another organization", async () => {
+      mockPromoService.deletePromoCode.mockRejectedValue(
+        new Error("You do not manage this promo code")
+      );
+      mockReq.params = { id: "3" };
+
+      await deletePromoCode(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "You do not manage this promo code",
+        403
+      );
+    });
+
+    it("should return 409 for a promo code that has been used", async () => {
+      mockPromoService.deletePromoCode.mockRejectedValueOnce(
+        new Error(
+          "Cannot delete a promo code that has been used, end its validity instead"
+        )
+      );
+      mockReq.params = { id: "3" };
+
+      await deletePromoCode(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "Cannot delete a promo code that has been used, end its validity instead",
+        409
+      );
+    });
+
     it("should convert params.id to number", async () => {
       mockPromoService.deletePromoCode.mockResolvedValue();
       mockReq.params = { id: "7" };
 
       await deletePromoCode(mockReq, mockRes);
 
-      expect(mockPromoService.deletePromoCode).toHaveBeenCalledWith(7);
+      expect(mockPromoService.deletePromoCode).toHaveBeenCalledWith(
+        7,
+        mockReq.user
+      );
     });
 
     it("should return null data on success", async () => {
@@ -607,4 +615,69 @@ describe("Promo Controller", () => {
       );
     });
   });
+
+  describe("createPromoCampaign", () => {
+    it("should generate the campaign for the user", async () => {
+      const mockCampaign = { id: 4, name: "Partner launch", codeCount: 5000 };
+      mockPromoService.createPromoCampaign.mockResolvedValueOnce(mockCampaign);
+      mockReq.body = { name: "Partner launch", count: 5000, discount: 10 };
+
+      await createPromoCampaign(mockReq, mockRes);
+
+      expect(mockPromoService.createPromoCampaign).toHaveBeenCalledWith(
+        mockReq.body,
+        mockReq.user
+      );
+      expect(mockSuccessResponse).toHaveBeenCalledWith(
+        mockRes,
+        mockCampaign,
+        "Promo campaign created successfully",
+        201
+      );
+    });
+
+    it.each([
+      ["You do not manage this organization", 403],
+      ["Could not generate unique promo codes", 400],
+    ])("should map %s to %i", async (message, status) => {
+      mockPromoService.createPromoCampaign.mockRejectedValueOnce(
+        new Error(message)
+      );
+
+      await createPromoCampaign(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(mockRes, message, status);
+    });
+  });
+
+  describe("getPromoCampaign", () => {
+    it("should return the campaign with its usage", async () => {
+      const mockCampaign = { id: 4, redeemedCodes: 120, totalDiscount: 1.8e6 };
+      mockPromoService.getPromoCampaign.mockResolvedValueOnce(mockCampaign);
+      mockReq.params = { id: 4 };
+
+      await getPromoCampaign(mockReq, mockRes);
+
+      expect(mockPromoService.getPromoCampaign).toHaveBeenCalledWith(
+        4,
+        mockReq.user
+      );
+      expect(mockSuccessResponse).toHaveBeenCalledWith(mockRes, mockCampaign);
+    });
+
+    it("should return 403 for another organization's campaign", async () => {
+      mockPromoService.getPromoCampaign.mockRejectedValueOnce(
+        new Error("You do not manage this promo campaign")
+      );
+      mockReq.params = { id: 4 };
+
+      await getPromoCampaign(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "You do not manage this promo campaign",
+        403
+      );
+    });
+  });
 });
@@ -0,0 +1,194 @@
+import { jest, describe, it, expect, beforeEach } from "@jest/globals";
+
+// Mock the refund service
+const mockRefundService = {
+  requestRefund: jest.fn(),
+  getMyRefunds: jest.fn(),
+  getAllRefunds: jest.fn(),
+  approveRefund: jest.fn(),
+  rejectRefund: jest.fn(),
+};
+
+jest.unstable_mockModule(
+  "../../services/refund.service.js",
+  () => mockRefundService
+);
+
+// Mock response utilities
+const mockSuccessResponse = jest.fn();
+const mockErrorResponse = jest.fn();
+
+jest.unstable_mockModule("../../utils/response.js", () => ({
+  successResponse: mockSuccessResponse,
+  errorResponse: mockErrorResponse,
+}));
+
+const {
+  requestRefund,
+  getMyRefunds,
+  getAllRefunds,
+  approveRefund,
+  rejectRefund,
+} = await import("../../controllers/refund.controller.js");
+
+describe("Refund Controller", () => {
+  let mockReq;
+  let mockRes;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockReq = {
+      user: { id: 1, role: "user" },
+      body: {},
+      params: {},
+      query: {},
+    };
+
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+  });
+
+  describe("requestRefund", () => {
+    it("should create a refund request for the user", async () => {
+      const mockRefund = { id: 9, status: "requested" };
+      mockRefundService.requestRefund.mockResolvedValueOnce(mockRefund);
+      mockReq.body = { paymentId: 5 };
+
+      await requestRefund(mockReq, mockRes);
+
+      expect(mockRefundService.requestRefund).toHaveBeenCalledWith(1, {
+        paymentId: 5,
+      });
+      expect(mockSuccessResponse).toHaveBeenCalledWith(
+        mockRes,
+        mockRefund,
+        "Refund requested successfully",
+        201
+      );
+    });
+
+    it.each([
+      ["Payment not found", 404],
+      ["A refund is already pending for this payment", 409],
+      ["Only successful payments can be refunded", 400],
+    ])("should map %s to %i", async (message, status) => {
+      mockRefundService.requestRefund.mockRejectedValueOnce(new Error(message));
+
+      await requestRefund(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(mockRes, message, status);
+    });
+  });
+
+  describe("getMyRefunds", () => {
+    it("should list the user's refunds", async () => {
+      const mockRefunds = { refunds: [], meta: { page: 1, total: 0 } };
+      mockRefundService.getMyRefunds.mockResolvedValueOnce(mockRefunds);
+      mockReq.query = { page: "1" };
+
+      await getMyRefunds(mockReq, mockRes);
+
+      expect(mockRefundService.getMyRefunds).toHaveBeenCalledWith(1, {
+        page: "1",
+      });
+      expect(mockSuccessResponse).toHaveBeenCalledWith(mockRes, mockRefunds);
+    });
+
+    it("should return 400 when listing fails", async () => {
+      mockRefundService.getMyRefunds.mockRejectedValueOnce(
+        new Error("Database error")
+      );
+
+      await getMyRefunds(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "Database error",
+        400
+      );
+    });
+  });
+
+  describe("getAllRefunds", () => {
+    it("should list every refund", async () => {
+      const mockRefunds = { refunds: [], meta: { page: 1, total: 0 } };
+      mockRefundService.getAllRefunds.mockResolvedValueOnce(mockRefunds);
+      mockReq.query = { status: "requested" };
+
+      await getAllRefunds(mockReq, mockRes);
+
+      expect(mockRefundService.getAllRefunds).toHaveBeenCalledWith({
+        status: "requested",
+      });
+      expect(mockSuccessResponse).toHaveBeenCalledWith(mockRes, mockRefunds);
+    });
+  });
+
+  describe("approveRefund", () => {
+    it("should approve the refund as the reviewer", async () => {
+      const mockRefund = { id: 9, status: "refunded" };
+      mockRefundService.approveRefund.mockResolvedValueOnce(mockRefund);
+      mockReq.user = { id: 2, role: "admin" };
+      mockReq.params.id = 9;
+      mockReq.body = { note: "OK" };
+
+      await approveRefund(mockReq, mockRes);
+
+      expect(mockRefundService.approveRefund).toHaveBeenCalledWith(2, 9, {
+        note: "OK",
+      });
+      expect(mockSuccessResponse).toHaveBeenCalledWith(
+        mockRes,
+        mockRefund,
+        "Refund approved successfully"
+      );
+    });
+
+    it.each([
+      ["Refund not found", 404],
+      ["Refund request is not pending", 409],
+      ["Midtrans refund failed: Transaction cannot be refunded", 502],
+    ])("should map %s to %i", async (message, status) => {
+      mockRefundService.approveRefund.mockRejectedValueOnce(new Error(message));
+
+      await approveRefund(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(mockRes, message, status);
+    });
+  });
+
+  describe("rejectRefund", () => {
+    it("should reject the refund as the reviewer", async () => {
+      const mockRefund = { id: 9, status: "rejected" };
+      mockRefundService.rejectRefund.mockResolvedValueOnce(mockRefund);
+      mockReq.user = { id: 2, role: "admin" };
+      mockReq.params.id = 9;
+
+      await rejectRefund(mockReq, mockRes);
+
+      expect(mockRefundService.rejectRefund).toHaveBeenCalledWith(2, 9, {});
+      expect(mockSuccessResponse).toHaveBeenCalledWith(
+        mockRes,
+        mockRefund,
+        "Refund rejected successfully"
+      );
+    });
+
+    it("should return 409 when the refund was already reviewed", async () => {
+      mockRefundService.rejectRefund.mockRejectedValueOnce(
+        new Error("Refund request is not pending")
+      );
+
+      await rejectRefund(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "Refund request is not pending",
+        409
+      );
+    });
+  });
+});
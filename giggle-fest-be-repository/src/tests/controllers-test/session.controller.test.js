@@ -0,0 +1,246 @@
+import { jest, describe, it, expect, beforeEach } from "@jest/globals";
+
+// Mock the session service
+const mockSessionService = {
+  refreshSession: jest.fn(),
+  revokeSession: jest.fn(),
+  revokeAllSessions: jest.fn(),
+  getUserSessions: jest.fn(),
+  revokeUserSession: jest.fn(),
+};
+
+jest.unstable_mockModule(
+  "../../services/session.service.js",
+  () => mockSessionService
+);
+
+// Mock response utilities
+const mockSuccessResponse = jest.fn();
+const mockErrorResponse = jest.fn();
+
+jest.unstable_mockModule("../../utils/response.js", () => ({
+  successResponse: mockSuccessResponse,
+  errorResponse: mockErrorResponse,
+}));
+
+const { refreshToken, logout, logoutAll, getMySessions, revokeMySession } =
+  await import(
+  "../../controllers/session.controller.js"
+);
+
+describe("Session Controller", () => {
+  let mockReq;
+  let mockRes;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockReq = {
+      user: { id: 1, role: "user", sid: 9 },
+      body: {},
+      params: {},
+      query: {},
+      cookies: {},
+    };
+
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+      cookie: jest.fn().mockReturnThis(),
+      clearCookie: jest.fn().mockReturnThis(),
+    };
+  });
+
+  describe("refreshToken", () => {
+    const mockResult = {
+      token: "access-token",
+      refreshToken: "next-refresh",
+      refreshTokenExpiresAt: new Date("2026-12-01"),
+    };
+
+    it("should refresh with the token from the body", async () => {
+      mockSessionService.refreshSession.mockResolvedValue(mockResult);
+      mockReq.body = { refreshToken: "old-refresh" };
+
+      await refreshToken(mockReq, mockRes);
+
+      expect(mockSessionService.refreshSession).toHaveBeenCalledWith(
+        "old-refresh"
+      );
+      expect(mockRes.cookie).toHaveBeenCalledWith(
+        "refreshToken",
+        "next-refresh",
+        expect.objectContaining({ path: "/api/v1/auth" })
+      );
+      expect(mockSuccessResponse).toHaveBeenCalledWith(
+        mockRes,
+        mockResult,
+        "Token refreshed successfully"
+      );
+    });
+
+    it("should fall back to the refresh token cookie", async () => {
+      mockSessionService.refreshSession.mockResolvedValue(mockResult);
+      mockReq.cookies = { refreshToken: "cookie-refresh" };
+
+      await refreshToken(mockReq, mockRes);
+
+      expect(mockSessionService.refreshSession).toHaveBeenCalledWith(
+        "cookie-refresh"
+      );
+    });
+
+    it("should return 401 and clear cookies when refresh fails", async () => {
+      mockSessionService.refreshSession.mockRejectedValue(
+        new Error("Refresh token reuse detected")
+      );
+      mockReq.body = { refreshToken: "old-refresh" };
+
+      await refreshToken(mockReq, mockRes);
+
+      expect(mockRes.clearCookie).toHaveBeenCalledWith(
+        "refreshToken",
+        expect.objectContaining({ path: "/api/v1/auth" })
+      );
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "Refresh token reuse detected",
+        401
+      );
+    });
+  });
+
+  describe("logout", () => {
+    it("should revoke the current session and clear cookies", async () => {
+      mockSessionService.revokeSession.mockResolvedValue({ revoked: 1 });
+
+      await logout(mockReq, mockRes);
+
+      expect(mockSessionService.revokeSession).toHaveBeenCalledWith(9, 1);
+      expect(mockRes.clearCookie).toHaveBeenCalledWith(
+        "token",
+        expect.objectContaining({ path: "/" })
+      );
+      expect(mockSuccessResponse).toHaveBeenCalledWith(
+        mockRes,
+        null,
+        "Logged out successfully"
+      );
+    });
+
+    it("should return 500 when revocation fails", async () => {
+      mockSessionService.revokeSession.mockRejectedValue(
+        new Error("Database error")
+      );
+
+      await logout(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "Database error",
+        500
+      );
+    });
+  });
+
+  describe("logoutAll", () => {
+    it("should revoke every session of the user", async () => {
+      mockSessionService.revokeAllSessions.mockResolvedValue({ revoked: 3 });
+
+      await logoutAll(mockReq, mockRes);
+
+      expect(mockSessionService.revokeAllSessions).toHaveBeenCalledWith(1);
+      expect(mockRes.clearCookie).toHaveBeenCalledTimes(2);
+      expect(mockSuccessResponse).toHaveBeenCalledWith(
+        mockRes,
+        { revoked: 3 },
+        "Logged out of all sessions"
+      );
+    });
+
+    it("should return 500 when revocation fails", async () => {
+      mockSessionService.revokeAllSessions.mockRejectedValue(
+        new Error("Database error")
+      );
+
+      await logoutAll(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "Database error",
+        500
+      );
+    });
+  });
+
+  describe("getMySessions", () => {
+    it("should list the user's sessions marking the current one", async () => {
+      const sessions = [{ id: 9, current: true }];
+      mockSessionService.getUserSessions.mockResolvedValue(sessions);
+
+      await getMySessions(mockReq, mockRes);
+
+      expect(mockSessionService.getUserSessions).toHaveBeenCalledWith(1, 9);
+      expect(mockSuccessResponse).toHaveBeenCalledWith(
+        mockRes,
+        sessions,
+        "Sessions retrieved successfully"
+      );
+    });
+
+    it("should return 500 when listing fails", async () => {
+      mockSessionService.getUserSessions.mockRejectedValue(
+        new Error("Database error")
+      );
+
+      await getMySessions(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "Database error",
+        500
+      );
+    });
+  });
+
+  describe("revokeMySession", () => {
+    it("should revoke another device without touching cookies", async () => {
+      mockSessionService.revokeUserSession.mockResolvedValue();
+      mockReq.params = { id: 12 };
+
+      await revokeMySession(mockReq, mockRes);
+
+      expect(mockSessionService.revokeUserSession).toHaveBeenCalledWith(12, 1);
+      expect(mockRes.clearCookie).not.toHaveBeenCalled();
+      expect(mockSuccessResponse).toHaveBeenCalledWith(
+        mockRes,
+        null,
+        "Session revoked successfully"
+      );
+    });
+
+    it("should clear cookies when revoking the current session", async () => {
+      mockSessionService.revokeUserSession.mockResolvedValue();
+      mockReq.params = { id: 9 };
+
+      await revokeMySession(mockReq, mockRes);
+
+      expect(mockRes.clearCookie).toHaveBeenCalledTimes(2);
+    });
+
+    it("should return 404 when the session is not found", async () => {
+      mockSessionService.revokeUserSession.mockRejectedValue(
+        new Error("Session not found")
+      );
+      mockReq.params = { id: 99 };
+
+      await revokeMySession(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "Session not found",
+        404
+      );
+    });
+  });
+});
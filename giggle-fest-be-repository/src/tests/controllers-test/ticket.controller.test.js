@@ -121,16 +121,19 @@ describe("Ticket Controller", () => {
       await createTicket(mockReq, mockRes);
 
       expect(mockUploadImage).toHaveBeenCalledWith(mockFile);
-      expect(mockTicketService.createTicketService).toHaveBeenCalledWith({
-        name: "VIP Ticket",
-        price: 500000,
-        quantity: 100,
-        eventId: 1,
-        categoryId: 1,
-        artist: "John Doe",
-        imageUrl: "https://example.com/uploaded.jpg",
-        userId: 1,
-      });
+      expect(mockTicketService.createTicketService).toHaveBeenCalledWith(
+        {
+          name: "VIP Ticket",
+          price: 500000,
+          quantity: 100,
+          eventId: 1,
+          categoryId: 1,
+          artist: "John Doe",
+          imageUrl: "https://example.com/uploaded.jpg",
+          userId: 1,
+        },
+        mockReq.user
+      );
       expect(mockSuccessResponse).toHaveBeenCalledWith(
         mockRes,
         mockTicket,
@@ -139,51 +142,91 @@ describe("Ticket Controller", () => {
       );
     });
 
-    it("should handle error when creating ticket fails", async () => {
-      mockTicketService.createTicketService.mockRejectedValue(
-        new Error("Event not found")
+    it("should pass the price tiers on to the service", async () => {
+      const priceTiers = [{ name: "First 100", price: 80000, maxSold: 100 }];
+      mockTicketService.createTicketService.mockResolvedValueOnce(
+        createMockTicket()
       );
       mockReq.body = {
         name: "VIP Ticket",
-        price: "500000",
-        quantity: "100",
-        eventId: "999",
-        categoryId: "1",
+        price: 100000,
+        quantity: 500,
+        eventId: 1,
+        categoryId: 1,
+        priceTiers,
       };
 
       await createTicket(mockReq, mockRes);
 
-      expect(mockErrorResponse).toHaveBeenCalledWith(
-        mockRes,
-        "Event not found"
+      expect(mockTicketService.createTicketService).toHaveBeenCalledWith(
+        expect.objectContaining({ priceTiers }),
+        mockReq.user
       );
     });
 
-    it("should return 403 when user is not admin", async () => {
-      mockReq.user.role = "user";
-      mockReq.body = { name: "VIP Ticket" };
+    it("should pass the bundle items on to the service", async () => {
+      const bundleItems = [{ ticketId: 2, quantity: 4 }];
+      mockTicketService.createTicketService.mockResolvedValueOnce(
+        createMockTicket()
+      );
+      mockReq.body = {
+        name: "Friends Pass",
+        price: 1200000,
+        quantity: 50,
+        eventId: 1,
+        categoryId: 1,
+        bundleItems,
+      };
 
       await createTicket(mockReq, mockRes);
 
-      expect(mockTicketService.createTicketService).not.toHaveBeenCalled();
-      expect(mockErrorResponse).toHaveBeenCalledWith(
-        mockRes,
-        "Unauthorized",
-        403
+      expect(mockTicketService.createTicketService).toHaveBeenCalledWith(
+        expect.objectContaining({ bundleItems }),
+        mockReq.user
       );
     });
 
-    it("should check authorization before calling service", async () => {
-      mockReq.user.role = "organizer";
-      mockReq.body = { name: "VIP Ticket" };
+    it("should pass the sales window on to the service", async () => {
+      const salesStart = new Date("2026-03-01T00:00:00.000Z");
+      const salesEnd = new Date("2026-04-01T00:00:00.000Z");
+      mockTicketService.createTicketService.mockResolvedValueOnce(
+        createMockTicket()
+      );
+      mockReq.body = {
+        name: "Early Bird",
+        price: 100000,
+        quantity: 500,
+        eventId: 1,
+        categoryId: 1,
+        salesStart,
+        salesEnd,
+      };
+
+      await createTicket(mockReq, mockRes);
+
+      expect(mockTicketService.createTicketService).toHaveBeenCalledWith(
+        expect.objectContaining({ salesStart, salesEnd }),
+        mockReq.user
+      );
+    });
+
+    it("should handle error when creating ticket fails", async () => {
+      mockTicketService.createTicketService.mockRejectedValue(
+        new Error("Event not found")
+      );
+      mockReq.body = {
+        name: "VIP Ticket",
+        price: "500000",
+        quantity: "100",
+        eventId: "999",
+        categoryId: "1",
+      };
 
       await createTicket(mockReq, mockRes);
 
-      expect(mockTicketService.createTicketService).not.toHaveBeenCalled();
       expect(mockErrorResponse).toHaveBeenCalledWith(
         mockRes,
-        "Unauthorized",
-        403
+        "Event not found"
       );
     });
 
@@ -228,7 +271,8 @@ describe("Ticket Controller", () => {
       expect(mockTicketService.createTicketService).toHaveBeenCalledWith(
         expect.objectContaining({
           imageUrl: "https://example.com/uploaded.jpg",
-        })
+        }),
+        mockReq.user
       );
     });
 
@@ -250,7 +294,8 @@ describe("Ticket Controller", () => {
       expect(mockTicketService.createTicketService).toHaveBeenCalledWith(
         expect.objectContaining({
           imageUrl: null,
-        })
+        }),
+        mockReq.user
       );
     });
 
@@ -273,7 +318,8 @@ describe("Ticket Controller", () => {
           quantity: 100,
           eventId: 1,
           categoryId: 1,
-        })
+        }),
+        mockReq.user
       );
     });
 
@@ -294,7 +340,8 @@ describe("Ticket Controller", () => {
       expect(mockTicketService.createTicketService).toHaveBeenCalledWith(
         expect.objectContaining({
           userId: 5,
-        })
+        }),
+        mockReq.user
       );
     });
   });
@@ -544,13 +591,16 @@ describe("Ticket Controller", () => {
       await updateTicket(mockReq, mockRes);
 
       expect(mockUploadImage).toHaveBeenCalledWith(mockFile);
-      expect(mockTicketService.updateTicketService).toHaveBeenCalledWith(1, {
-        name: "Updated VIP Ticket",
-        price: 600000,
-        quantity: 150,
-        artist: "Jane Doe",
-        imageUrl: "https://example.com/new-image.jpg",
-      });
+      expect(mockTicketService.updateTicketService).toHaveBeenCalledWith(
+        1, {
+          name: "Updated VIP Ticket",
+          price: 600000,
+          quantity: 150,
+          artist: "Jane Doe",
+          imageUrl: "https://example.com/new-image.jpg",
+        },
+        mockReq.user
+      );
       expect(mockSuccessResponse).toHaveBeenCalledWith(
         mockRes,
         mockTicket,
@@ -558,47 +608,84 @@ describe("Ticket Controller", () => {
       );
     });
 
-    it("should handle error when updating ticket fails", async () => {
-      mockTicketService.updateTicketService.mockRejectedValue(
-        new Error("Ticket not found")
+    it("should pass the price tiers on to the service", async () => {
+      mockTicketService.updateTicketService.mockResolvedValueOnce(
+        createMockTicket()
       );
-      mockReq.params = { id: "999" };
-      mockReq.body = { name: "Updated" };
+      mockReq.params = { id: "1" };
+      mockReq.body = { priceTiers: [] };
 
       await updateTicket(mockReq, mockRes);
 
-      expect(mockErrorResponse).toHaveBeenCalledWith(
-        mockRes,
-        "Ticket not found"
+      expect(mockTicketService.updateTicketService).toHaveBeenCalledWith(
+        1,
+        { priceTiers: [] },
+        mockReq.user
       );
     });
 
-    it("should return 403 when user is not admin", async () => {
-      mockReq.user.role = "user";
+    it("should pass the bundle items on to the service", async () => {
+      const bundleItems = [{ ticketId: 2, quantity: 4 }];
+      mockTicketService.updateTicketService.mockResolvedValueOnce(
+        createMockTicket()
+      );
+      mockReq.params = { id: "1" };
+      mockReq.body = { bundleItems };
+
+      await updateTicket(mockReq, mockRes);
+
+      expect(mockTicketService.updateTicketService).toHaveBeenCalledWith(
+        1,
+        { bundleItems },
+        mockReq.user
+      );
+    });
+
+    it("should pass a new sales window on to the service", async () => {
+      const salesEnd = new Date("2026-04-01T00:00:00.000Z");
+      mockTicketService.updateTicketService.mockResolvedValueOnce(
+        createMockTicket()
+      );
       mockReq.params = { id: "1" };
+      mockReq.body = { salesStart: null, salesEnd };
+
+      await updateTicket(mockReq, mockRes);
+
+      // null clears the start of the window instead of being dropped
+      expect(mockTicketService.updateTicketService).toHaveBeenCalledWith(
+        1,
+        { salesStart: null, salesEnd },
+        mockReq.user
+      );
+    });
+
+    it("should handle error when updating ticket fails", async () => {
+      mockTicketService.updateTicketService.mockRejectedValue(
+        new Error("Ticket not found")
+      );
+      mockReq.params = { id: "999" };
       mockReq.body = { name: "Updated" };
 
       await updateTicket(mockReq, mockRes);
 
-      expect(mockTicketService.updateTicketService).not.toHaveBeenCalled();
       expect(mockErrorResponse).toHaveBeenCalledWith(
         mockRes,
-        "Unauthorized",
-        403
+        "Ticket not found"
       );
     });
 
-    it("should check authorization before calling service", async () => {
-      mockReq.user.role = "organizer";
+    it("should return 403 when the ticket's event belongs to another organization", async () => {
+      mockTicketService.updateTicketService.mockRejectedValue(
+        new Error("You do not manage this event")
+      );
       mockReq.params = { id: "1" };
       mockReq.body = { name: "Updated" };
 
       await updateTicket(mockReq, mockRes);
 
-      expect(mockTicketService.updateTicketService).not.toHaveBeenCalled();
       expect(mockErrorResponse).toHaveBeenCalledWith(
         mockRes,
-        "Unauthorized",
+        "You do not manage this event",
         403
       );
     });
@@ -613,7 +700,8 @@ describe("Ticket Controller", () => {
 
       expect(mockTicketService.updateTicketService).toHaveBeenCalledWith(
         7,
-        expect.any(Object)
+        expect.any(Object),
+        mockReq.user
       );
     });
 
@@ -633,7 +721,8 @@ describe("Ticket Controller", () => {
         1,
         expect.objectContaining({
           imageUrl: "https://example.com/new-image.jpg",
-        })
+        }),
+        mockReq.user
       );
     });
 
@@ -647,9 +736,12 @@ describe("Ticket Controller", () => {
       await updateTicket(mockReq, mockRes);
 
       expect(mockUploadImage).not.toHaveBeenCalled();
-      expect(mockTicketService.updateTicketService).toHaveBeenCalledWith(1, {
-        name: "Updated",
-      });
+      expect(mockTicketService.updateTicketService).toHaveBeenCalledWith(
+        1, {
+          name: "Updated",
+        },
+        mockReq.user
+      );
     });
 
     it("should only include fields that are provided in body", async () => {
@@ -660,10 +752,13 @@ describe("Ticket Controller", () => {
 
       await updateTicket(mockReq, mockRes);
 
-      expect(mockTicketService.updateTicketService).toHaveBeenCalledWith(1, {
-        name: "Updated",
-        price: 600000,
-      });
+      expect(mockTicketService.updateTicketService).toHaveBeenCalledWith(
+        1, {
+          name: "Updated",
+          price: 600000,
+        },
+        mockReq.user
+      );
     });
 
     it("should convert price to Number when provided", async () => {
@@ -674,9 +769,12 @@ describe("Ticket Controller", () => {
 
       await updateTicket(mockReq, mockRes);
 
-      expect(mockTicketService.updateTicketService).toHaveBeenCalledWith(1, {
-        price: 750000,
-      });
+      expect(mockTicketService.updateTicketService).toHaveBeenCalledWith(
+        1, {
+          price: 750000,
+        },
+        mockReq.user
+      );
     });
 
     it("should convert quantity to Number when provided", async () => {
@@ -687,9 +785,12 @@ describe("Ticket Controller", () => {
 
       await updateTicket(mockReq, mockRes);
 
-      expect(mockTicketService.updateTicketService).toHaveBeenCalledWith(1, {
-        quantity: 200,
-      });
+      expect(mockTicketService.updateTicketService).toHaveBeenCalledWith(
+        1, {
+          quantity: 200,
+        },
+        mockReq.user
+      );
     });
 
     it("should include artist when provided", async () => {
@@ -700,9 +801,12 @@ describe("Ticket Controller", () => {
 
       await updateTicket(mockReq, mockRes);
 
-      expect(mockTicketService.updateTicketService).toHaveBeenCalledWith(1, {
-        artist: "New Artist",
-      });
+      expect(mockTicketService.updateTicketService).toHaveBeenCalledWith(
+        1, {
+          artist: "New Artist",
+        },
+        mockReq.user
+      );
     });
   });
 
@@ -713,7 +817,10 @@ describe("Ticket Controller", () => {
 
       await deleteTicket(mockReq, mockRes);
 
-      expect(mockTicketService.deleteTicketService).toHaveBeenCalledWith(1);
+      expect(mockTicketService.deleteTicketService).toHaveBeenCalledWith(
+        1,
+        mockReq.user
+      );
       expect(mockSuccessResponse).toHaveBeenCalledWith(
         mockRes,
         null,
@@ -735,27 +842,16 @@ describe("Ticket Controller", () => {
       );
     });
 
-    it("should return 403 when user is not admin", async () => {
-      mockReq.user.role = "user";
-      mockReq.params = { id: "1" };
-
-      await deleteTicket(mockReq, mockRes);
-
-      expect(mockTicketService.deleteTicketService).not.toHaveBeenCalled();
-      expect(mockErrorResponse).toHaveBeenCalledWith(
-        mockRes,
-        "Unauthorized",
-        403
-      );
-    });
-
     it("should convert params.id to number using parseInt", async () => {
       mockTicketService.deleteTicketService.mockResolvedValue();
       mockReq.params = { id: "9" };
 
       await deleteTicket(mockReq, mockRes);
 
-      expect(mockTicketService.deleteTicketService).toHaveBeenCalledWith(9);
+      expect(mockTicketService.deleteTicketService).toHaveBeenCalledWith(
+        9,
+        mockReq.user
+      );
     });
 
     it("should return null data on success", async () => {
@@ -771,19 +867,6 @@ describe("Ticket Controller", () => {
       );
     });
 
-    it("should check authorization before calling service", async () => {
-      mockReq.user.role = "organizer";
-      mockReq.params = { id: "1" };
-
-      await deleteTicket(mockReq, mockRes);
-
-      expect(mockTicketService.deleteTicketService).not.toHaveBeenCalled();
-      expect(mockErrorResponse).toHaveBeenCalledWith(
-        mockRes,
-        "Unauthorized",
-        403
-      );
-    });
   });
 
   describe("getTicketsByCategory", () => {
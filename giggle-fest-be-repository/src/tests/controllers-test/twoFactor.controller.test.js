@@ -0,0 +1,212 @@
+import { jest, describe, it, expect, beforeEach } from "@jest/globals";
+
+// Mock the two-factor service
+const mockTwoFactorService = {
+  setupTwoFactor: jest.fn(),
+  confirmTwoFactor: jest.fn(),
+  disableTwoFactor: jest.fn(),
+  verifyTwoFactorLogin: jest.fn(),
+};
+
+jest.unstable_mockModule(
+  "../../services/twoFactor.service.js",
+  () => mockTwoFactorService
+);
+
+// Mock response utilities
+const mockSuccessResponse = jest.fn();
+const mockErrorResponse = jest.fn();
+
+jest.unstable_mockModule("../../utils/response.js", () => ({
+  successResponse: mockSuccessResponse,
+  errorResponse: mockErrorResponse,
+}));
+
+const {
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  verifyTwoFactorLogin,
+} = await import("../../controllers/twoFactor.controller.js");
+
+describe("Two-Factor Controller", () => {
+  let mockReq;
+  let mockRes;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockReq = {
+      user: { id: 1, role: "admin", sid: 9 },
+      body: {},
+      params: {},
+      query: {},
+      headers: { "user-agent": "jest" },
+      ip: "127.0.0.1",
+    };
+
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+      cookie: jest.fn().mockReturnThis(),
+    };
+  });
+
+  describe("setupTwoFactor", () => {
+    it("should return the secret and QR code for the current user", async () => {
+      const setup = { secret: "SECRET", otpauthUri: "otpauth://", qrCode: "" };
+      mockTwoFactorService.setupTwoFactor.mockResolvedValue(setup);
+
+      await setupTwoFactor(mockReq, mockRes);
+
+      expect(mockTwoFactorService.setupTwoFactor).toHaveBeenCalledWith(1);
+      expect(mockSuccessResponse).toHaveBeenCalledWith(
+        mockRes,
+        setup,
+        "Scan the QR code with your authenticator app, then confirm a code"
+      );
+    });
+
+    it("should return 409 when 2FA is already enabled", async () => {
+      mockTwoFactorService.setupTwoFactor.mockRejectedValue(
+        new Error("Two-factor authentication is already enabled")
+      );
+
+      await setupTwoFactor(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "Two-factor authentication is already enabled",
+        409
+      );
+    });
+  });
+
+  describe("confirmTwoFactor", () => {
+    it("should return the recovery codes", async () => {
+      mockTwoFactorService.confirmTwoFactor.mockResolvedValue({
+        recoveryCodes: ["abcde-12345"],
+      });
+      mockReq.body = { code: "123456" };
+
+      await confirmTwoFactor(mockReq, mockRes);
+
+      expect(mockTwoFactorService.confirmTwoFactor).toHaveBeenCalledWith(
+        1,
+        "123456"
+      );
+      expect(mockSuccessResponse).toHaveBeenCalledWith(
+        mockRes,
+        { recoveryCodes: ["abcde-12345"] },
+        "Two-factor authentication enabled. Store these recovery codes safely."
+      );
+    });
+
+    it("should return 400 for a wrong code", async () => {
+      mockTwoFactorService.confirmTwoFactor.mockRejectedValue(
+        new Error("Invalid authentication code")
+      );
+      mockReq.body = { code: "000000" };
+
+      await confirmTwoFactor(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "Invalid authentication code",
+        400
+      );
+    });
+  });
+
+  describe("disableTwoFactor", () => {
+    it("should disable 2FA", async () => {
+      mockTwoFactorService.disableTwoFactor.mockResolvedValue();
+      mockReq.body = { code: "123456" };
+
+      await disableTwoFactor(mockReq, mockRes);
+
+      expect(mockTwoFactorService.disableTwoFactor).toHaveBeenCalledWith(
+        1,
+        "123456"
+      );
+      expect(mockSuccessResponse).toHaveBeenCalledWith(
+        mockRes,
+        null,
+        "Two-factor authentication disabled"
+      );
+    });
+
+    it("should return 403 when the role must keep 2FA", async () => {
+      mockTwoFactorService.disableTwoFactor.mockRejectedValue(
+        new Error("Two-factor authentication is required for your role")
+      );
+
+      await disableTwoFactor(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "Two-factor authentication is required for your role",
+        403
+      );
+    });
+  });
+
+  describe("verifyTwoFactorLogin", () => {
+    it("should complete the login and set the auth cookies", async () => {
+      const result = {
+        user: { id: 1 },
+        token: "access-token",
+        refreshToken: "refresh-token",
+      };
+      mockTwoFactorService.verifyTwoFactorLogin.mockResolvedValue(result);
+      mockReq.body = { challengeToken: "challenge", code: "123456" };
+
+      await verifyTwoFactorLogin(mockReq, mockRes);
+
+      expect(mockTwoFactorService.verifyTwoFactorLogin).toHaveBeenCalledWith(
+        "challenge",
+        "123456",
+        { userAgent: "jest", ipAddress: "127.0.0.1" }
+      );
+      expect(mockRes.cookie).toHaveBeenCalledWith(
+        "token",
+        "access-token",
+        expect.objectContaining({ httpOnly: true })
+      );
+      expect(mockSuccessResponse).toHaveBeenCalledWith(
+        mockRes,
+        result,
+        "Login successful"
+      );
+    });
+
+    it("should return 401 for a wrong code", async () => {
+      mockTwoFactorService.verifyTwoFactorLogin.mockRejectedValue(
+        new Error("Invalid authentication code")
+      );
+
+      await verifyTwoFactorLogin(mockReq, mockRes);
+
+      expect(mockRes.cookie).not.toHaveBeenCalled();
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "Invalid authentication code",
+        401
+      );
+    });
+
+    it("should return 429 while locked out", async () => {
+      mockTwoFactorService.verifyTwoFactorLogin.mockRejectedValue(
+        new Error("Too many failed attempts. Try again in 15 minute(s).")
+      );
+
+      await verifyTwoFactorLogin(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "Too many failed attempts. Try again in 15 minute(s).",
+        429
+      );
+    });
+  });
+});
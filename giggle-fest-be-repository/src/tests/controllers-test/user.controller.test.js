@@ -10,6 +10,9 @@ const mockUserService = {
   getAllUsers: jest.fn(),
   getUserById: jest.fn(),
   verifyEmail: jest.fn(),
+  changeUserRole: jest.fn(),
+  getUserRoleChanges: jest.fn(),
+  unlockUser: jest.fn(),
 };
 
 jest.unstable_mockModule(
@@ -35,6 +38,9 @@ const {
   getAllUserDetails,
   getUserDetails,
   verifyEmail,
+  changeUserRole,
+  getUserRoleChanges,
+  unlockUser,
 } = await import("../../controllers/user.controller.js");
 
 describe("User Controller", () => {
@@ -49,12 +55,16 @@ describe("User Controller", () => {
       body: {},
       params: {},
       query: {},
+      headers: { "user-agent": "jest" },
+      ip: "127.0.0.1",
     };
 
     mockRes = {
       status: jest.fn().mockReturnThis(),
       json: jest.fn().mockReturnThis(),
       send: jest.fn().mockReturnThis(),
+      cookie: jest.fn().mockReturnThis(),
+      clearCookie: jest.fn().mockReturnThis(),
     };
   });
 
@@ -110,11 +120,14 @@ describe("User Controller", () => {
 
       await registerUser(mockReq, mockRes);
 
-      expect(mockUserService.register).toHaveBeenCalledWith({
-        name: "John Doe",
-        email: "john@example.com",
-        password: "password123",
-      });
+      expect(mockUserService.register).toHaveBeenCalledWith(
+        {
+          name: "John Doe",
+          email: "john@example.com",
+          password: "password123",
+        },
+        { userAgent: "jest", ipAddress: "127.0.0.1" }
+      );
       expect(mockSuccessResponse).toHaveBeenCalledWith(
         mockRes,
         mockResult,
@@ -248,7 +261,8 @@ describe("User Controller", () => {
 
       expect(mockUserService.login).toHaveBeenCalledWith(
         "john@example.com",
-        "password123"
+        "password123",
+        { userAgent: "jest", ipAddress: "127.0.0.1" }
       );
       expect(mockSuccessResponse).toHaveBeenCalledWith(
         mockRes,
@@ -285,6 +299,21 @@ describe("User Controller", () => {
       );
     });
 
+    it("should return 429 while the account is locked", async () => {
+      mockUserService.login.mockRejectedValue(
+        new Error("Too many failed attempts. Try again in 15 minute(s).")
+      );
+      mockReq.body = { email: "john@example.com", password: "password123" };
+
+      await loginUser(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "Too many failed attempts. Try again in 15 minute(s).",
+        429
+      );
+    });
+
     it("should extract email and password from request body", async () => {
       mockUserService.login.mockResolvedValue({ token: "token" });
       mockReq.body = { email: "test@example.com", password: "testpass" };
@@ -293,10 +322,66 @@ describe("User Controller", () => {
 
       expect(mockUserService.login).toHaveBeenCalledWith(
         "test@example.com",
-        "testpass"
+        "testpass",
+        expect.any(Object)
+      );
+    });
+
+    it("should set the access and refresh token cookies", async () => {
+      const refreshTokenExpiresAt = new Date("2026-01-01");
+      mockUserService.login.mockResolvedValue({
+        user: createMockUser(),
+        token: "jwt-token",
+        refreshToken: "refresh-token",
+        refreshTokenExpiresAt,
+      });
+      mockReq.body = { email: "john@example.com", password: "password123" };
+
+      await loginUser(mockReq, mockRes);
+
+      expect(mockRes.cookie).toHaveBeenCalledWith(
+        "token",
+        "jwt-token",
+        expect.objectContaining({ httpOnly: true, path: "/" })
+      );
+      expect(mockRes.cookie).toHaveBeenCalledWith(
+        "refreshToken",
+        "refresh-token",
+        expect.objectContaining({
+          httpOnly: true,
+          path: "/api/v1/auth",
+          expires: refreshTokenExpiresAt,
+        })
       );
     });
 
+    it("should return the 2FA challenge without setting cookies", async () => {
+      const challenge = {
+        twoFactorRequired: true,
+        challengeToken: "challenge-token",
+      };
+      mockUserService.login.mockResolvedValue(challenge);
+      mockReq.body = { email: "admin@example.com", password: "password123" };
+
+      await loginUser(mockReq, mockRes);
+
+      expect(mockRes.cookie).not.toHaveBeenCalled();
+      expect(mockSuccessResponse).toHaveBeenCalledWith(
+        mockRes,
+        challenge,
+        "Two-factor authentication code required"
+      );
+    });
+
+    it("should not set cookies when login fails", async () => {
+      mockUserService.login.mockRejectedValue(new Error("Invalid credentials"));
+      mockReq.body = { email: "john@example.com", password: "wrong" };
+
+      await loginUser(mockReq, mockRes);
+
+      expect(mockRes.cookie).not.toHaveBeenCalled();
+    });
+
     it("should return 401 for general login errors", async () => {
       mockUserService.login.mockRejectedValue(new Error("User not found"));
       mockReq.body = { email: "john@example.com", password: "password123" };
@@ -386,21 +471,6 @@ describe("User Controller", () => {
       );
     });
 
-    it("should check authorization before calling service", async () => {
-      mockReq.params = { id: "5" };
-      mockReq.user.id = 1;
-      mockReq.body = { name: "Updated" };
-
-      await updateUserDetails(mockReq, mockRes);
-
-      expect(mockUserService.updateUserById).not.toHaveBeenCalled();
-      expect(mockErrorResponse).toHaveBeenCalledWith(
-        mockRes,
-        "Unauthorized - Can only update own profile",
-        403
-      );
-    });
-
     it("should convert params.id to number using parseInt", async () => {
       const mockUpdatedUser = createMockUserWithPassword();
       mockUserService.updateUserById.mockResolvedValue(mockUpdatedUser);
@@ -488,63 +558,154 @@ describe("User Controller", () => {
     });
   });
 
-  describe("deleteUserDetails", () => {
-    it("should delete user successfully when user is admin", async () => {
-      mockUserService.deleteUserById.mockResolvedValue();
-      mockReq.user.role = "admin";
-      mockReq.params = { id: "1" };
+  describe("changeUserRole", () => {
+    it("should change the role as the current admin", async () => {
+      const updatedUser = { id: 2, role: "staff" };
+      mockUserService.changeUserRole.mockResolvedValue(updatedUser);
+      mockReq.user = { id: 1, role: "admin" };
+      mockReq.params = { id: "2" };
+      mockReq.body = { role: "staff", reason: "Gate crew" };
 
-      await deleteUserDetails(mockReq, mockRes);
+      await changeUserRole(mockReq, mockRes);
 
-      expect(mockUserService.deleteUserById).toHaveBeenCalledWith(1);
+      expect(mockUserService.changeUserRole).toHaveBeenCalledWith(
+        2,
+        "staff",
+        1,
+        "Gate crew"
+      );
       expect(mockSuccessResponse).toHaveBeenCalledWith(
         mockRes,
-        null,
-        "User deleted successfully"
+        updatedUser,
+        "User role updated successfully"
       );
     });
 
-    it("should handle error when delete fails", async () => {
-      mockUserService.deleteUserById.mockRejectedValue(
+    it("should return 404 when the user does not exist", async () => {
+      mockUserService.changeUserRole.mockRejectedValue(
         new Error("User not found")
       );
-      mockReq.user.role = "admin";
-      mockReq.params = { id: "999" };
+      mockReq.user = { id: 1, role: "admin" };
+      mockReq.params = { id: "99" };
+      mockReq.body = { role: "staff" };
 
-      await deleteUserDetails(mockReq, mockRes);
+      await changeUserRole(mockReq, mockRes);
 
       expect(mockErrorResponse).toHaveBeenCalledWith(
         mockRes,
         "User not found",
+        404
+      );
+    });
+
+    it("should return 400 when the change is not allowed", async () => {
+      mockUserService.changeUserRole.mockRejectedValue(
+        new Error("Cannot demote the last admin")
+      );
+      mockReq.user = { id: 1, role: "admin" };
+      mockReq.params = { id: "2" };
+      mockReq.body = { role: "user" };
+
+      await changeUserRole(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "Cannot demote the last admin",
         400
       );
     });
+  });
 
-    it("should return 403 when user is not admin", async () => {
-      mockReq.user.role = "user";
-      mockReq.params = { id: "1" };
+  describe("getUserRoleChanges", () => {
+    it("should return the role change history", async () => {
+      const changes = [{ id: 1, fromRole: "user", toRole: "staff" }];
+      mockUserService.getUserRoleChanges.mockResolvedValue(changes);
+      mockReq.params = { id: "2" };
 
-      await deleteUserDetails(mockReq, mockRes);
+      await getUserRoleChanges(mockReq, mockRes);
+
+      expect(mockUserService.getUserRoleChanges).toHaveBeenCalledWith(2);
+      expect(mockSuccessResponse).toHaveBeenCalledWith(
+        mockRes,
+        changes,
+        "Role changes retrieved successfully"
+      );
+    });
+
+    it("should return 404 when the user does not exist", async () => {
+      mockUserService.getUserRoleChanges.mockRejectedValue(
+        new Error("User not found")
+      );
+      mockReq.params = { id: "99" };
+
+      await getUserRoleChanges(mockReq, mockRes);
 
-      expect(mockUserService.deleteUserById).not.toHaveBeenCalled();
       expect(mockErrorResponse).toHaveBeenCalledWith(
         mockRes,
-        "Unauthorized",
-        403
+        "User not found",
+        404
       );
     });
+  });
 
-    it("should check authorization before calling service", async () => {
-      mockReq.user.role = "organizer";
+  describe("unlockUser", () => {
+    it("should clear the lockout for the user", async () => {
+      mockUserService.unlockUser.mockResolvedValue({ cleared: 2 });
+      mockReq.params = { id: "2" };
+
+      await unlockUser(mockReq, mockRes);
+
+      expect(mockUserService.unlockUser).toHaveBeenCalledWith(2);
+      expect(mockSuccessResponse).toHaveBeenCalledWith(
+        mockRes,
+        { cleared: 2 },
+        "User unlocked successfully"
+      );
+    });
+
+    it("should return 404 when the user does not exist", async () => {
+      mockUserService.unlockUser.mockRejectedValue(new Error("User not found"));
+      mockReq.params = { id: "99" };
+
+      await unlockUser(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "User not found",
+        404
+      );
+    });
+  });
+
+  describe("deleteUserDetails", () => {
+    it("should delete user successfully when user is admin", async () => {
+      mockUserService.deleteUserById.mockResolvedValue();
+      mockReq.user.role = "admin";
       mockReq.params = { id: "1" };
 
       await deleteUserDetails(mockReq, mockRes);
 
-      expect(mockUserService.deleteUserById).not.toHaveBeenCalled();
+      expect(mockUserService.deleteUserById).toHaveBeenCalledWith(1);
+      expect(mockSuccessResponse).toHaveBeenCalledWith(
+        mockRes,
+        null,
+        "User deleted successfully"
+      );
+    });
+
+    it("should handle error when delete fails", async () => {
+      mockUserService.deleteUserById.mockRejectedValue(
+        new Error("User not found")
+      );
+      mockReq.user.role = "admin";
+      mockReq.params = { id: "999" };
+
+      await deleteUserDetails(mockReq, mockRes);
+
       expect(mockErrorResponse).toHaveBeenCalledWith(
         mockRes,
-        "Unauthorized",
-        403
+        "User not found",
+        400
       );
     });
 
@@ -613,20 +774,6 @@ describe("User Controller", () => {
       );
     });
 
-    it("should return 403 when user is not admin", async () => {
-      mockReq.user.role = "user";
-      mockReq.query = {};
-
-      await getAllUserDetails(mockReq, mockRes);
-
-      expect(mockUserService.getAllUsers).not.toHaveBeenCalled();
-      expect(mockErrorResponse).toHaveBeenCalledWith(
-        mockRes,
-        "Unauthorized",
-        403
-      );
-    });
-
     it("should use default values when query params are missing", async () => {
       const mockResult = createMockPaginatedUsers();
       mockUserService.getAllUsers.mockResolvedValue(mockResult);
@@ -683,19 +830,6 @@ describe("User Controller", () => {
       );
     });
 
-    it("should check authorization before calling service", async () => {
-      mockReq.user.role = "organizer";
-      mockReq.query = {};
-
-      await getAllUserDetails(mockReq, mockRes);
-
-      expect(mockUserService.getAllUsers).not.toHaveBeenCalled();
-      expect(mockErrorResponse).toHaveBeenCalledWith(
-        mockRes,
-        "Unauthorized",
-        403
-      );
-    });
   });
 
   describe("getUserDetails", () => {
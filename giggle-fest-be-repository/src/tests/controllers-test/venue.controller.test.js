@@ -0,0 +1,167 @@
+import { jest, describe, it, expect, beforeEach } from "@jest/globals";
+
+// Mock the venue service
+const mockVenueService = {
+  createVenue: jest.fn(),
+  getAllVenues: jest.fn(),
+  getVenueById: jest.fn(),
+  getSeatAvailability: jest.fn(),
+  configureEventSeating: jest.fn(),
+};
+
+jest.unstable_mockModule(
+  "../../services/venue.service.js",
+  () => mockVenueService
+);
+
+// Mock response utilities
+const mockSuccessResponse = jest.fn();
+const mockErrorResponse = jest.fn();
+
+jest.unstable_mockModule("../../utils/response.js", () => ({
+  successResponse: mockSuccessResponse,
+  errorResponse: mockErrorResponse,
+}));
+
+const {
+  createVenue,
+  getAllVenues,
+  getVenueById,
+  getEventSeats,
+  configureEventSeating,
+} = await import("../../controllers/venue.controller.js");
+
+describe("Venue Controller", () => {
+  let mockReq;
+  let mockRes;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockReq = {
+      user: { id: 3, role: "organizer" },
+      body: {},
+      params: {},
+      query: {},
+    };
+
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+  });
+
+  describe("createVenue", () => {
+    it("should create a venue", async () => {
+      const mockVenue = { id: 2, name: "City Hall" };
+      mockVenueService.createVenue.mockResolvedValueOnce(mockVenue);
+      mockReq.body = { name: "City Hall", sections: [] };
+
+      await createVenue(mockReq, mockRes);
+
+      expect(mockVenueService.createVenue).toHaveBeenCalledWith(mockReq.body);
+      expect(mockSuccessResponse).toHaveBeenCalledWith(
+        mockRes,
+        mockVenue,
+        "Venue created successfully",
+        201
+      );
+    });
+  });
+
+  describe("getAllVenues", () => {
+    it("should list venues", async () => {
+      const mockVenues = { venues: [], meta: { page: 1, total: 0 } };
+      mockVenueService.getAllVenues.mockResolvedValueOnce(mockVenues);
+      mockReq.query = { search: "hall" };
+
+      await getAllVenues(mockReq, mockRes);
+
+      expect(mockVenueService.getAllVenues).toHaveBeenCalledWith({
+        search: "hall",
+      });
+      expect(mockSuccessResponse).toHaveBeenCalledWith(mockRes, mockVenues);
+    });
+  });
+
+  describe("getVenueById", () => {
+    it("should return 404 for an unknown venue", async () => {
+      mockVenueService.getVenueById.mockRejectedValueOnce(
+        new Error("Venue not found")
+      );
+      mockReq.params = { id: 9 };
+
+      await getVenueById(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "Venue not found",
+        404
+      );
+    });
+  });
+
+  describe("getEventSeats", () => {
+    it("should return the event's seat availability", async () => {
+      const mockSeats = { eventId: 4, tickets: [], seats: [] };
+      mockVenueService.getSeatAvailability.mockResolvedValueOnce(mockSeats);
+      mockReq.params = { id: 4 };
+
+      await getEventSeats(mockReq, mockRes);
+
+      expect(mockVenueService.getSeatAvailability).toHaveBeenCalledWith(4);
+      expect(mockSuccessResponse).toHaveBeenCalledWith(mockRes, mockSeats);
+    });
+
+    it("should return 400 for events without reserved seating", async () => {
+      mockVenueService.getSeatAvailability.mockRejectedValueOnce(
+        new Error("This event does not have reserved seating")
+      );
+
+      await getEventSeats(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(
+        mockRes,
+        "This event does not have reserved seating",
+        400
+      );
+    });
+  });
+
+  describe("configureEventSeating", () => {
+    it("should save the event's seating", async () => {
+      const mockSeats = { eventId: 4, tickets: [], seats: [] };
+      mockVenueService.configureEventSeating.mockResolvedValueOnce(mockSeats);
+      mockReq.params = { id: 4 };
+      mockReq.body = { venueId: 2, assignments: [] };
+
+      await configureEventSeating(mockReq, mockRes);
+
+      expect(mockVenueService.configureEventSeating).toHaveBeenCalledWith(
+        mockReq.user,
+        4,
+        mockReq.body
+      );
+      expect(mockSuccessResponse).toHaveBeenCalledWith(
+        mockRes,
+        mockSeats,
+        "Event seating saved successfully"
+      );
+    });
+
+    it.each([
+      ["Event not found", 404],
+      ["You do not manage this event", 403],
+      ["Cannot change the seating of an event with sales", 409],
+      ["Venue has no seats in Gallery", 400],
+    ])("should map %s to %i", async (message, status) => {
+      mockVenueService.configureEventSeating.mockRejectedValueOnce(
+        new Error(message)
+      );
+
+      await configureEventSeating(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(mockRes, message, status);
+    });
+  });
+});
@@ -0,0 +1,127 @@
+import { jest, describe, it, expect, beforeEach } from "@jest/globals";
+
+// Mock the waitlist service
+const mockWaitlistService = {
+  joinWaitlist: jest.fn(),
+  getMyWaitlist: jest.fn(),
+  leaveWaitlist: jest.fn(),
+  offerReleasedStock: jest.fn(),
+};
+
+jest.unstable_mockModule(
+  "../../services/waitlist.service.js",
+  () => mockWaitlistService
+);
+
+// Mock response utilities
+const mockSuccessResponse = jest.fn();
+const mockErrorResponse = jest.fn();
+
+jest.unstable_mockModule("../../utils/response.js", () => ({
+  successResponse: mockSuccessResponse,
+  errorResponse: mockErrorResponse,
+}));
+
+const { joinWaitlist, getMyWaitlist, leaveWaitlist } =
+  await import("../../controllers/waitlist.controller.js");
+
+describe("Waitlist Controller", () => {
+  let mockReq;
+  let mockRes;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockReq = {
+      user: { id: 1, role: "user" },
+      body: {},
+      params: {},
+      query: {},
+    };
+
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+  });
+
+  describe("joinWaitlist", () => {
+    it("should add the user to the waitlist", async () => {
+      const mockEntry = { id: 9, status: "waiting", position: 2 };
+      mockWaitlistService.joinWaitlist.mockResolvedValueOnce(mockEntry);
+      mockReq.body = { ticketId: 5, quantity: 2 };
+
+      await joinWaitlist(mockReq, mockRes);
+
+      expect(mockWaitlistService.joinWaitlist).toHaveBeenCalledWith(
+        1,
+        mockReq.body
+      );
+      expect(mockSuccessResponse).toHaveBeenCalledWith(
+        mockRes,
+        mockEntry,
+        "Joined the waitlist successfully",
+        201
+      );
+    });
+
+    it.each([
+      ["Ticket not found", 404],
+      ["You are already on the waitlist for this ticket", 409],
+      ["Tickets are still available, add them to your cart", 400],
+    ])("should map %s to %i", async (message, status) => {
+      mockWaitlistService.joinWaitlist.mockRejectedValueOnce(
+        new Error(message)
+      );
+
+      await joinWaitlist(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(mockRes, message, status);
+    });
+  });
+
+  describe("getMyWaitlist", () => {
+    it("should list the user's waitlist entries", async () => {
+      const mockEntries = [{ id: 9, position: 2 }];
+      mockWaitlistService.getMyWaitlist.mockResolvedValueOnce(mockEntries);
+
+      await getMyWaitlist(mockReq, mockRes);
+
+      expect(mockWaitlistService.getMyWaitlist).toHaveBeenCalledWith(1);
+      expect(mockSuccessResponse).toHaveBeenCalledWith(mockRes, mockEntries);
+    });
+  });
+
+  describe("leaveWaitlist", () => {
+    it("should take the user off the waitlist", async () => {
+      const mockEntry = { id: 9, status: "left" };
+      mockWaitlistService.leaveWaitlist.mockResolvedValueOnce(mockEntry);
+      mockReq.params = { id: 9 };
+
+      await leaveWaitlist(mockReq, mockRes);
+
+      expect(mockWaitlistService.leaveWaitlist).toHaveBeenCalledWith(1, 9);
+      expect(mockSuccessResponse).toHaveBeenCalledWith(
+        mockRes,
+        mockEntry,
+        "Left the waitlist successfully"
+      );
+    });
+
+    it.each([
+      ["Waitlist entry not found", 404],
+      [
+        "Cannot leave the waitlist once tickets have been offered, remove them from your cart instead",
+        409,
+      ],
+    ])("should map %s to %i", async (message, status) => {
+      mockWaitlistService.leaveWaitlist.mockRejectedValueOnce(
+        new Error(message)
+      );
+
+      await leaveWaitlist(mockReq, mockRes);
+
+      expect(mockErrorResponse).toHaveBeenCalledWith(mockRes, message, status);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+import { describe, it, expect, jest, beforeEach } from "@jest/globals";
+
+const mockVerifyToken = jest.fn();
+const mockIsSessionActive = jest.fn();
+
+jest.unstable_mockModule("../../utils/token.js", () => ({
+  verifyToken: mockVerifyToken,
+}));
+
+jest.unstable_mockModule("../../services/session.service.js", () => ({
+  isSessionActive: mockIsSessionActive,
+}));
+
+const { authMiddleware } = await import(
+  "../../middlewares/auth.middleware.js"
+);
+
+describe("Auth Middleware", () => {
+  let mockReq;
+  let mockRes;
+  let mockNext;
+
+  const decoded = { id: 1, email: "john@example.com", role: "user", sid: 9 };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockReq = {
+      headers: { authorization: "Bearer access-token" },
+      cookies: {},
+    };
+
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+
+    mockNext = jest.fn();
+  });
+
+  it("should attach the user when the session is active", async () => {
+    mockVerifyToken.mockReturnValue(decoded);
+    mockIsSessionActive.mockResolvedValue(true);
+
+    await authMiddleware(mockReq, mockRes, mockNext);
+
+    expect(mockVerifyToken).toHaveBeenCalledWith("access-token");
+    expect(mockIsSessionActive).toHaveBeenCalledWith(9, 1);
+    expect(mockReq.user).toEqual(decoded);
+    expect(mockNext).toHaveBeenCalled();
+  });
+
+  it("should read the token from the cookie", async () => {
+    mockReq.headers = {};
+    mockReq.cookies = { token: "cookie-token" };
+    mockVerifyToken.mockReturnValue(decoded);
+    mockIsSessionActive.mockResolvedValue(true);
+
+    await authMiddleware(mockReq, mockRes, mockNext);
+
+    expect(mockVerifyToken).toHaveBeenCalledWith("cookie-token");
+    expect(mockNext).toHaveBeenCalled();
+  });
+
+  it("should return 401 without a token", async () => {
+    mockReq.headers = {};
+
+    await authMiddleware(mockReq, mockRes, mockNext);
+
+    expect(mockRes.status).toHaveBeenCalledWith(401);
+    expect(mockRes.json).toHaveBeenCalledWith({
+      status: "error",
+      message: "No token provided",
+    });
+    expect(mockNext).not.toHaveBeenCalled();
+  });
+
+  it("should return 401 for an invalid token", async () => {
+    mockVerifyToken.mockImplementation(() => {
+      throw new Error("jwt malformed");
+    });
+
+    await authMiddleware(mockReq, mockRes, mockNext);
+
+    expect(mockRes.status).toHaveBeenCalledWith(401);
+    expect(mockRes.json).toHaveBeenCalledWith({
+      status: "error",
+      message: "Invalid token",
+    });
+    expect(mockIsSessionActive).not.toHaveBeenCalled();
+  });
+
+  it("should return 401 when the session was revoked", async () => {
+    mockVerifyToken.mockReturnValue(decoded);
+    mockIsSessionActive.mockResolvedValue(false);
+
+    await authMiddleware(mockReq, mockRes, mockNext);
+
+    expect(mockRes.status).toHaveBeenCalledWith(401);
+    expect(mockRes.json).toHaveBeenCalledWith({
+      status: "error",
+      message: "Session has been revoked",
+    });
+    expect(mockReq.user).toBeUndefined();
+    expect(mockNext).not.toHaveBeenCalled();
+  });
+
+  it("should return 500 when the session lookup fails", async () => {
+    mockVerifyToken.mockReturnValue(decoded);
+    mockIsSessionActive.mockRejectedValue(new Error("Database error"));
+
+    await authMiddleware(mockReq, mockRes, mockNext);
+
+    expect(mockRes.status).toHaveBeenCalledWith(500);
+    expect(mockNext).not.toHaveBeenCalled();
+  });
+});
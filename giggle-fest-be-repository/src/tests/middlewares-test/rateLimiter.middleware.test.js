@@ -1,8 +1,15 @@
 import { describe, it, expect, jest, beforeEach } from "@jest/globals";
 import rateLimit from "express-rate-limit";
 
+import express from "express";
+import request from "supertest";
+
 // Import to get the configuration
-import { emailVerificationLimiter } from "../../middlewares/rateLimiter.middleware.js";
+import {
+  emailVerificationLimiter,
+  loginLimiter,
+  otpLimiter,
+} from "../../middlewares/rateLimiter.middleware.js";
 
 // Create a test instance to inspect configuration
 const testConfig = {
@@ -532,4 +539,47 @@ describe("Rate Limiter Middleware", () => {
       expect(testConfig.max).not.toBe(NaN);
     });
   });
+
+  describe("loginLimiter and otpLimiter", () => {
+    const buildApp = (limiter) => {
+      const app = express();
+      app.post("/", limiter, (req, res) => res.status(200).json({ ok: true }));
+      return app;
+    };
+
+    const sendMany = async (app, count) => {
+      const statuses = [];
+      for (let i = 0; i < count; i += 1) {
+        statuses.push((await request(app).post("/")).status);
+      }
+      return statuses;
+    };
+
+    it("should allow 20 login attempts per IP before answering 429", async () => {
+      const app = buildApp(loginLimiter);
+
+      const statuses = await sendMany(app, 21);
+
+      expect(statuses.slice(0, 20).every((status) => status === 200)).toBe(
+        true
+      );
+      expect(statuses[20]).toBe(429);
+    });
+
+    it("should allow 10 OTP attempts per IP before answering 429", async () => {
+      const app = buildApp(otpLimiter);
+
+      const statuses = await sendMany(app, 11);
+      const res = await request(app).post("/");
+
+      expect(statuses.slice(0, 10).every((status) => status === 200)).toBe(
+        true
+      );
+      expect(statuses[10]).toBe(429);
+      expect(res.body).toEqual({
+        status: "error",
+        message: "Too many OTP attempts. Please try again later.",
+      });
+    });
+  });
 });
@@ -0,0 +1,156 @@
+import {
+  describe,
+  it,
+  expect,
+  jest,
+  beforeEach,
+  afterEach,
+} from "@jest/globals";
+import {
+  requireRole,
+  requirePermission,
+} from "../../middlewares/role.middleware.js";
+import { PERMISSIONS } from "../../utils/permissions.js";
+
+describe("Role Middleware", () => {
+  let mockReq;
+  let mockRes;
+  let mockNext;
+
+  beforeEach(() => {
+    mockReq = {
+      user: { id: 1, role: "user" },
+    };
+
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+    };
+
+    mockNext = jest.fn();
+
+    jest.clearAllMocks();
+  });
+
+  describe("requireRole", () => {
+    it("should call next when the role is allowed", () => {
+      mockReq.user.role = "staff";
+
+      requireRole("admin", "staff")(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+      expect(mockRes.status).not.toHaveBeenCalled();
+    });
+
+    it("should return 403 when the role is not allowed", () => {
+      requireRole("admin")(mockReq, mockRes, mockNext);
+
+      expect(mockNext).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        status: "error",
+        message: "Unauthorized",
+      });
+    });
+
+    it("should return 401 when the request is not authenticated", () => {
+      mockReq.user = undefined;
+
+      requireRole("admin")(mockReq, mockRes, mockNext);
+
+      expect(mockNext).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+    });
+  });
+
+  describe("requirePermission", () => {
+    it("should call next when the role has the permission", () => {
+      mockReq.user.role = "organizer";
+
+      requirePermission(PERMISSIONS.EVENTS_MANAGE)(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+    });
+
+    it("should return 403 when the role lacks the permission", () => {
+      requirePermission(PERMISSIONS.EVENTS_MANAGE)(mockReq, mockRes, mockNext);
+
+      expect(mockNext).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+    });
+
+    it("should return 403 for an unknown role", () => {
+      mockReq.user.role = "superuser";
+
+      requirePermission(PERMISSIONS.ACCOUNT_MANAGE)(mockReq, mockRes, mockNext);
+
+      expect(mockNext).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+    });
+
+    it("should return 401 when the request is not authenticated", () => {
+      mockReq.user = undefined;
+
+      requirePermission(PERMISSIONS.ACCOUNT_MANAGE)(mockReq, mockRes, mockNext);
+
+      expect(mockNext).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+    });
+  });
+
+  describe("required two-factor authentication", () => {
+    beforeEach(() => {
+      process.env.REQUIRE_2FA_ROLES = "admin, organizer";
+    });
+
+    afterEach(() => {
+      delete process.env.REQUIRE_2FA_ROLES;
+    });
+
+    it("should block a listed role whose session skipped 2FA", () => {
+      mockReq.user = { id: 1, role: "admin", mfa: false };
+
+      requirePermission(PERMISSIONS.USERS_MANAGE)(mockReq, mockRes, mockNext);
+
+      expect(mockNext).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        status: "error",
+        message: "Two-factor authentication required",
+      });
+    });
+
+    it("should allow a listed role once the session passed 2FA", () => {
+      mockReq.user = { id: 1, role: "organizer", mfa: true };
+
+      requirePermission(PERMISSIONS.EVENTS_MANAGE)(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+    });
+
+    it("should keep own-account routes open so the user can enroll", () => {
+      mockReq.user = { id: 1, role: "admin", mfa: false };
+
+      requirePermission(PERMISSIONS.ACCOUNT_MANAGE)(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+    });
+
+    it("should not affect roles that are not listed", () => {
+      mockReq.user = { id: 1, role: "staff", mfa: false };
+
+      requirePermission(PERMISSIONS.CHECKIN_SCAN)(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+    });
+
+    it("should apply to requireRole as well", () => {
+      mockReq.user = { id: 1, role: "admin" };
+
+      requireRole("admin")(mockReq, mockRes, mockNext);
+
+      expect(mockNext).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(403);
+    });
+  });
+});
@@ -9,14 +9,48 @@ import { jest } from "@jest/globals";
 const mockCart = {
   findMany: jest.fn(),
   findFirst: jest.fn(),
+  findUnique: jest.fn(),
   create: jest.fn(),
   update: jest.fn(),
+  updateMany: jest.fn(),
   delete: jest.fn(),
   deleteMany: jest.fn(),
 };
 
+const mockTicket = {
+  findUnique: jest.fn(),
+  update: jest.fn(),
+  updateMany: jest.fn(),
+};
+
+const mockEventSeat = {
+  updateMany: jest.fn(),
+};
+
+// nobody is waiting for a ticket unless a test says so
+const mockWaitlistEntry = {
+  findMany: jest.fn(() => Promise.resolve([])),
+  updateMany: jest.fn(() => Promise.resolve({ count: 0 })),
+  update: jest.fn(),
+};
+
+const mockNotification = {
+  create: jest.fn(),
+};
+
+// tickets are not bundles unless a test says so
+const mockBundleItem = {
+  findMany: jest.fn(() => Promise.resolve([])),
+};
+
 const mockPrisma = {
+  bundleItem: mockBundleItem,
   cart: mockCart,
+  ticket: mockTicket,
+  eventSeat: mockEventSeat,
+  waitlistEntry: mockWaitlistEntry,
+  notification: mockNotification,
+  $transaction: jest.fn((fn) => fn(mockPrisma)),
 };
 
 // ---------------------------
@@ -32,11 +66,14 @@ jest.unstable_mockModule("@prisma/client", () => ({
 const {
   findCartByUser,
   findCartItemById,
-  findCartItemByTicket,
-  createCartItem,
-  updateCartItem,
+  releaseExpiredHolds,
+  sweepExpiredHolds,
+  claimCartHold,
+  holdCartItem,
+  updateHeldQuantity,
   deleteCartItem,
   clearUserCart,
+  addSeatsToCart,
 } = await import("../../repositories/cart.repository.js");
 
 // ---------------------------
@@ -45,8 +82,29 @@ const {
 describe("Cart Repository", () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    mockPrisma.$transaction.mockImplementation((fn) => fn(mockPrisma));
   });
 
+  const cartInclude = {
+    ticket: {
+      include: {
+        event: true,
+        category: true,
+      },
+    },
+    seats: {
+      include: { seat: true },
+      orderBy: { id: "asc" },
+    },
+  };
+
+  const releasedSeat = {
+    status: "available",
+    heldUntil: null,
+    cartId: null,
+    paymentId: null,
+  };
+
   // Helper function to create mock cart item
   const createMockCartItem = (overrides = {}) => ({
     id: 1,
@@ -93,14 +151,7 @@ describe("Cart Repository", () => {
       expect(mockCart.findMany).toHaveBeenCalledTimes(1);
       expect(mockCart.findMany).toHaveBeenCalledWith({
         where: { userId },
-        include: {
-          ticket: {
-            include: {
-              event: true,
-              category: true,
-            },
-          },
-        },
+        include: cartInclude,
         orderBy: {
           createdAt: "desc",
         },
@@ -138,14 +189,7 @@ describe("Cart Repository", () => {
           id,
           userId,
         },
-        include: {
-          ticket: {
-            include: {
-              event: true,
-              category: true,
-            },
-          },
-        },
+        include: cartInclude,
       });
       expect(result).toEqual(mockCartItem);
     });
@@ -175,157 +219,366 @@ describe("Cart Repository", () => {
     });
   });
 
-  describe("findCartItemByTicket", () => {
-    test("should return cart item when user has ticket in cart", async () => {
-      const userId = 1;
-      const ticketId = 5;
-      const mockCartItem = createMockCartItem({ userId, ticketId });
+  describe("releaseExpiredHolds", () => {
+    const now = new Date("2026-01-01T00:00:00.000Z");
+
+    test("should return the stock and seats of holds that ran out", async () => {
+      mockCart.findMany.mockResolvedValueOnce([
+        { id: 4, ticketId: 5, quantity: 2 },
+        { id: 6, ticketId: 5, quantity: 1 },
+      ]);
+      mockCart.updateMany
+        .mockResolvedValueOnce({ count: 1 })
+        .mockResolvedValueOnce({ count: 1 });
+
+      const released = await releaseExpiredHolds(mockPrisma, {
+        ticketId: 5,
+        now,
+      });
 
-      mockCart.findFirst.mockResolvedValue(mockCartItem);
+      expect(released).toBe(2);
+      expect(mockCart.findMany).toHaveBeenCalledWith({
+        where: { ticketId: 5, heldUntil: { lte: now } },
+        select: { id: true, ticketId: true, quantity: true },
+      });
+      expect(mockCart.updateMany).toHaveBeenCalledWith({
+        where: { id: 4, heldUntil: { lte: now } },
+        data: { heldUntil: null },
+      });
+      expect(mockTicket.update).toHaveBeenCalledWith({
+        where: { id: 5 },
+        data: { quantity: { increment: 2 }, sold: { decrement: 2 } },
+      });
+      expect(mockTicket.update).toHaveBeenCalledWith({
+        where: { id: 5 },
+        data: { quantity: { increment: 1 }, sold: { decrement: 1 } },
+      });
+      expect(mockEventSeat.updateMany).toHaveBeenCalledWith({
+        where: { cartId: 4, status: "held" },
+        data: releasedSeat,
+      });
+      expect(mockWaitlistEntry.updateMany).toHaveBeenCalledWith({
+        where: { cartId: 4, status: "offered" },
+        data: { status: "expired" },
+      });
+    });
 
-      const result = await findCartItemByTicket(userId, ticketId);
+    test("should skip a hold that was released in the meantime", async () => {
+      mockCart.findMany.mockResolvedValueOnce([
+        { id: 4, ticketId: 5, quantity: 2 },
+      ]);
+      mockCart.updateMany.mockResolvedValueOnce({ count: 0 });
 
-      expect(mockCart.findFirst).toHaveBeenCalledTimes(1);
-      expect(mockCart.findFirst).toHaveBeenCalledWith({
-        where: {
-          userId,
-          ticketId,
-        },
-        include: {
-          ticket: {
-            include: {
-              event: true,
-              category: true,
-            },
-          },
-        },
+      const released = await releaseExpiredHolds(mockPrisma, { now });
+
+      expect(released).toBe(0);
+      expect(mockCart.findMany).toHaveBeenCalledWith({
+        where: { heldUntil: { lte: now } },
+        select: { id: true, ticketId: true, quantity: true },
       });
-      expect(result).toEqual(mockCartItem);
+      expect(mockTicket.update).not.toHaveBeenCalled();
+      expect(mockEventSeat.updateMany).not.toHaveBeenCalled();
     });
+  });
 
-    test("should return null when ticket not in user cart", async () => {
-      const userId = 1;
-      const ticketId = 999;
+  describe("sweepExpiredHolds", () => {
+    test("should release each expired hold in a transaction of its own", async () => {
+      const now = new Date("2026-01-01T00:00:00.000Z");
+      mockCart.findMany.mockResolvedValueOnce([
+        { id: 4, ticketId: 5, quantity: 2 },
+        { id: 6, ticketId: 7, quantity: 1 },
+      ]);
+      mockCart.updateMany
+        .mockResolvedValueOnce({ count: 1 })
+        .mockResolvedValueOnce({ count: 1 });
 
-      mockCart.findFirst.mockResolvedValue(null);
+      const released = await sweepExpiredHolds(now);
+
+      expect(mockCart.findMany).toHaveBeenCalledWith({
+        where: { heldUntil: { lte: now } },
+        select: { id: true, ticketId: true, quantity: true },
+      });
+      expect(mockPrisma.$transaction).toHaveBeenCalledTimes(2);
+      expect(mockTicket.update).toHaveBeenCalledWith({
+        where: { id: 5 },
+        data: { quantity: { increment: 2 }, sold: { decrement: 2 } },
+      });
+      expect(mockTicket.update).toHaveBeenCalledWith({
+        where: { id: 7 },
+        data: { quantity: { increment: 1 }, sold: { decrement: 1 } },
+      });
+      // the released stock goes to the ticket's waitlist before anyone else
+      expect(mockWaitlistEntry.findMany).toHaveBeenCalledWith({
+        where: { ticketId: 5, status: "waiting" },
+        orderBy: { id: "asc" },
+      });
+      expect(released).toBe(2);
+    });
 
-      const result = await findCartItemByTicket(userId, ticketId);
+    test("should not count a hold released in the meantime", async () => {
+      mockCart.findMany.mockResolvedValueOnce([
+        { id: 4, ticketId: 5, quantity: 2 },
+      ]);
+      mockCart.updateMany.mockResolvedValueOnce({ count: 0 });
 
-      expect(mockCart.findFirst).toHaveBeenCalledTimes(1);
-      expect(result).toBeNull();
+      const released = await sweepExpiredHolds();
+
+      expect(mockTicket.update).not.toHaveBeenCalled();
+      expect(released).toBe(0);
+    });
+
+    test("should offer free stock to every ticket with a waitlist", async () => {
+      const now = new Date("2026-01-01T00:00:00.000Z");
+      mockCart.findMany.mockResolvedValueOnce([]);
+      mockWaitlistEntry.findMany
+        .mockResolvedValueOnce([{ ticketId: 5 }, { ticketId: 8 }])
+        .mockResolvedValueOnce([])
+        .mockResolvedValueOnce([]);
+
+      await sweepExpiredHolds(now);
+
+      expect(mockPrisma.$transaction).toHaveBeenCalledTimes(2);
+      expect(mockWaitlistEntry.findMany).toHaveBeenCalledWith({
+        where: { status: "waiting" },
+        select: { ticketId: true },
+        distinct: ["ticketId"],
+      });
+      expect(mockWaitlistEntry.findMany).toHaveBeenCalledWith({
+        where: { ticketId: 5, status: "waiting" },
+        orderBy: { id: "asc" },
+      });
+      expect(mockWaitlistEntry.findMany).toHaveBeenCalledWith({
+        where: { ticketId: 8, status: "waiting" },
+        orderBy: { id: "asc" },
+      });
     });
   });
 
-  describe("createCartItem", () => {
-    test("should create a new cart item successfully", async () => {
-      const cartData = {
-        userId: 1,
-        ticketId: 3,
-        quantity: 2,
-      };
+  describe("claimCartHold", () => {
+    test("should hand a running hold over to the order", async () => {
+      const now = new Date("2026-01-01T00:00:00.000Z");
+      mockCart.updateMany.mockResolvedValueOnce({ count: 1 });
+
+      expect(await claimCartHold(mockPrisma, 4, now)).toBe(true);
+      expect(mockCart.updateMany).toHaveBeenCalledWith({
+        where: { id: 4, heldUntil: { gt: now } },
+        data: { heldUntil: null },
+      });
+      expect(mockWaitlistEntry.updateMany).toHaveBeenCalledWith({
+        where: { cartId: 4, status: "offered" },
+        data: { status: "claimed" },
+      });
+    });
 
-      const expectedCartItem = createMockCartItem(cartData);
+    test("should refuse a hold that ran out", async () => {
+      mockCart.updateMany.mockResolvedValueOnce({ count: 0 });
+
+      expect(await claimCartHold(mockPrisma, 4)).toBe(false);
+      expect(mockWaitlistEntry.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("holdCartItem", () => {
+    const heldUntil = new Date("2026-01-01T00:15:00.000Z");
+    const hold = { userId: 1, ticketId: 5, quantity: 2, heldUntil };
+
+    beforeEach(() => {
+      mockCart.findMany.mockResolvedValueOnce([]);
+    });
 
-      mockCart.create.mockResolvedValue(expectedCartItem);
+    test("should take the stock and create a held item", async () => {
+      mockTicket.updateMany.mockResolvedValueOnce({ count: 1 });
+      mockCart.findFirst.mockResolvedValueOnce(null);
+      mockCart.create.mockResolvedValueOnce(createMockCartItem({ id: 7 }));
 
-      const result = await createCartItem(cartData);
+      const result = await holdCartItem(hold);
 
-      expect(mockCart.create).toHaveBeenCalledTimes(1);
+      expect(mockTicket.updateMany).toHaveBeenCalledWith({
+        where: { id: 5, quantity: { gte: 2 } },
+        data: { quantity: { decrement: 2 }, sold: { increment: 2 } },
+      });
       expect(mockCart.create).toHaveBeenCalledWith({
-        data: cartData,
-        include: {
-          ticket: {
-            include: {
-              event: true,
-              category: true,
-            },
-          },
-        },
+        data: { userId: 1, ticketId: 5, quantity: 2, heldUntil },
+        include: cartInclude,
       });
-      expect(result).toEqual(expectedCartItem);
-      expect(result.userId).toBe(cartData.userId);
-      expect(result.ticketId).toBe(cartData.ticketId);
-      expect(result.quantity).toBe(cartData.quantity);
+      expect(result.id).toBe(7);
     });
 
-    test("should create cart item with minimum required data", async () => {
-      const cartData = {
-        userId: 2,
-        ticketId: 1,
+    test("should add to a held item and restart its hold", async () => {
+      mockTicket.updateMany.mockResolvedValueOnce({ count: 1 });
+      mockCart.findFirst.mockResolvedValueOnce({
+        id: 7,
         quantity: 1,
-      };
+        heldUntil: new Date("2026-01-01T00:05:00.000Z"),
+      });
+
+      await holdCartItem(hold);
+
+      expect(mockCart.update).toHaveBeenCalledWith({
+        where: { id: 7 },
+        data: { quantity: { increment: 2 }, heldUntil },
+        include: cartInclude,
+      });
+      expect(mockCart.create).not.toHaveBeenCalled();
+    });
+
+    test("should start a released item over with the new quantity", async () => {
+      mockTicket.updateMany.mockResolvedValueOnce({ count: 1 });
+      mockCart.findFirst.mockResolvedValueOnce({
+        id: 7,
+        quantity: 4,
+        heldUntil: null,
+      });
 
-      const expectedCartItem = createMockCartItem({
+      await holdCartItem(hold);
+
+      expect(mockCart.update).toHaveBeenCalledWith({
+        where: { id: 7 },
+        data: { quantity: 2, heldUntil },
+        include: cartInclude,
+      });
+    });
+
+    test("should fail when the stock is gone", async () => {
+      mockTicket.updateMany.mockResolvedValueOnce({ count: 0 });
+
+      await expect(holdCartItem(hold)).rejects.toThrow(
+        "Not enough tickets available"
+      );
+      expect(mockCart.create).not.toHaveBeenCalled();
+      expect(mockCart.update).not.toHaveBeenCalled();
+    });
+
+    test("should offer freed stock to the waitlist before taking it", async () => {
+      mockWaitlistEntry.findMany.mockResolvedValueOnce([
+        { id: 3, userId: 9, ticketId: 5, quantity: 2 },
+      ]);
+      mockTicket.findUnique.mockResolvedValueOnce({
         id: 5,
-        ...cartData,
+        name: "VIP Ticket",
+        quantity: 2,
+        event: { name: "GiggleFest 2025", status: "published" },
+      });
+      mockTicket.updateMany
+        .mockResolvedValueOnce({ count: 1 })
+        .mockResolvedValueOnce({ count: 0 });
+      mockWaitlistEntry.updateMany.mockResolvedValueOnce({ count: 1 });
+      mockCart.findFirst.mockResolvedValueOnce(null);
+      mockCart.create.mockResolvedValueOnce({ id: 12 });
+
+      await expect(holdCartItem(hold)).rejects.toThrow(
+        "Not enough tickets available"
+      );
+      expect(mockCart.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ userId: 9, ticketId: 5, quantity: 2 }),
       });
+      expect(mockNotification.create).toHaveBeenCalledWith({
+        data: expect.objectContaining({ userId: 9 }),
+      });
+    });
 
-      mockCart.create.mockResolvedValue(expectedCartItem);
+    test("should keep the longer hold of a waitlist offer", async () => {
+      const offerExpiresAt = new Date("2026-01-01T00:30:00.000Z");
+      mockTicket.updateMany.mockResolvedValueOnce({ count: 1 });
+      mockCart.findFirst.mockResolvedValueOnce({
+        id: 7,
+        quantity: 2,
+        heldUntil: offerExpiresAt,
+      });
 
-      const result = await createCartItem(cartData);
+      await holdCartItem(hold);
 
-      expect(mockCart.create).toHaveBeenCalledTimes(1);
-      expect(result).toEqual(expectedCartItem);
+      expect(mockCart.update).toHaveBeenCalledWith({
+        where: { id: 7 },
+        data: { quantity: { increment: 2 }, heldUntil: offerExpiresAt },
+        include: cartInclude,
+      });
     });
   });
 
-  describe("updateCartItem", () => {
-    test("should update cart item quantity successfully", async () => {
-      const id = 1;
-      const userId = 1;
-      const updateData = { quantity: 5 };
+  describe("updateHeldQuantity", () => {
+    const heldUntil = new Date(Date.now() + 15 * 60 * 1000);
+    const runningHold = new Date(Date.now() + 60 * 1000);
 
-      const updatedCartItem = createMockCartItem({
-        id,
-        userId,
-        quantity: 5,
-      });
+    beforeEach(() => {
+      mockCart.findMany.mockResolvedValueOnce([]);
+    });
 
-      mockCart.update.mockResolvedValue(updatedCartItem);
+    test("should take only the extra stock for a bigger quantity", async () => {
+      mockCart.findFirst.mockResolvedValueOnce({
+        id: 7,
+        quantity: 2,
+        heldUntil: runningHold,
+      });
+      mockTicket.updateMany.mockResolvedValueOnce({ count: 1 });
 
-      const result = await updateCartItem(id, userId, updateData);
+      await updateHeldQuantity(7, 1, { ticketId: 5, quantity: 5, heldUntil });
 
-      expect(mockCart.update).toHaveBeenCalledTimes(1);
+      expect(mockTicket.updateMany).toHaveBeenCalledWith({
+        where: { id: 5, quantity: { gte: 3 } },
+        data: { quantity: { decrement: 3 }, sold: { increment: 3 } },
+      });
       expect(mockCart.update).toHaveBeenCalledWith({
-        where: {
-          id,
-          userId,
-        },
-        data: updateData,
-        include: {
-          ticket: {
-            include: {
-              event: true,
-              category: true,
-            },
-          },
-        },
+        where: { id: 7 },
+        data: { quantity: 5, heldUntil },
+        include: cartInclude,
       });
-      expect(result).toEqual(updatedCartItem);
-      expect(result.quantity).toBe(5);
     });
 
-    test("should update multiple fields in cart item", async () => {
-      const id = 2;
-      const userId = 1;
-      const updateData = {
-        quantity: 3,
-        ticketId: 10,
-      };
+    test("should give back the stock of a smaller quantity", async () => {
+      mockCart.findFirst.mockResolvedValueOnce({
+        id: 7,
+        quantity: 4,
+        heldUntil: runningHold,
+      });
 
-      const updatedCartItem = createMockCartItem({
-        id,
-        userId,
-        ...updateData,
+      await updateHeldQuantity(7, 1, { ticketId: 5, quantity: 1, heldUntil });
+
+      expect(mockTicket.update).toHaveBeenCalledWith({
+        where: { id: 5 },
+        data: { quantity: { increment: 3 }, sold: { decrement: 3 } },
+      });
+      expect(mockTicket.updateMany).not.toHaveBeenCalled();
+    });
+
+    test("should take the whole quantity again for a released item", async () => {
+      mockCart.findFirst.mockResolvedValueOnce({
+        id: 7,
+        quantity: 2,
+        heldUntil: null,
       });
+      mockTicket.updateMany.mockResolvedValueOnce({ count: 1 });
 
-      mockCart.update.mockResolvedValue(updatedCartItem);
+      await updateHeldQuantity(7, 1, { ticketId: 5, quantity: 2, heldUntil });
 
-      const result = await updateCartItem(id, userId, updateData);
+      expect(mockTicket.updateMany).toHaveBeenCalledWith({
+        where: { id: 5, quantity: { gte: 2 } },
+        data: { quantity: { decrement: 2 }, sold: { increment: 2 } },
+      });
+    });
+
+    test("should fail when the extra stock is gone", async () => {
+      mockCart.findFirst.mockResolvedValueOnce({
+        id: 7,
+        quantity: 2,
+        heldUntil: runningHold,
+      });
+      mockTicket.updateMany.mockResolvedValueOnce({ count: 0 });
 
-      expect(mockCart.update).toHaveBeenCalledTimes(1);
-      expect(result.quantity).toBe(updateData.quantity);
-      expect(result.ticketId).toBe(updateData.ticketId);
+      await expect(
+        updateHeldQuantity(7, 1, { ticketId: 5, quantity: 9, heldUntil })
+      ).rejects.toThrow("Not enough tickets available");
+      expect(mockCart.update).not.toHaveBeenCalled();
+    });
+
+    test("should throw when the item is gone by the time it is updated", async () => {
+      mockCart.findFirst.mockResolvedValueOnce(null);
+
+      await expect(
+        updateHeldQuantity(7, 1, { ticketId: 5, quantity: 2, heldUntil })
+      ).rejects.toThrow("Cart item not found");
+      expect(mockTicket.updateMany).not.toHaveBeenCalled();
+      expect(mockCart.update).not.toHaveBeenCalled();
     });
   });
 
@@ -340,6 +593,7 @@ describe("Cart Repository", () => {
         quantity: 2,
       };
 
+      mockCart.findFirst.mockResolvedValueOnce(null);
       mockCart.delete.mockResolvedValue(deletedCartItem);
 
       const result = await deleteCartItem(id, userId);
@@ -354,10 +608,57 @@ describe("Cart Repository", () => {
       expect(result).toEqual(deletedCartItem);
     });
 
+    test("should put the item's stock and held seats back on sale", async () => {
+      mockCart.findFirst.mockResolvedValueOnce({
+        id: 4,
+        ticketId: 5,
+        quantity: 2,
+        heldUntil: new Date(),
+      });
+      mockCart.updateMany.mockResolvedValueOnce({ count: 1 });
+      mockCart.delete.mockResolvedValue({ id: 4, userId: 1 });
+
+      await deleteCartItem(4, 1);
+
+      expect(mockCart.updateMany).toHaveBeenCalledWith({
+        where: { id: 4, heldUntil: { not: null } },
+        data: { heldUntil: null },
+      });
+      expect(mockTicket.update).toHaveBeenCalledWith({
+        where: { id: 5 },
+        data: { quantity: { increment: 2 }, sold: { decrement: 2 } },
+      });
+      expect(mockEventSeat.updateMany).toHaveBeenCalledWith({
+        where: { cartId: 4, status: "held" },
+        data: releasedSeat,
+      });
+      expect(mockWaitlistEntry.findMany).toHaveBeenCalledWith({
+        where: { ticketId: 5, status: "waiting" },
+        orderBy: { id: "asc" },
+      });
+    });
+
+    test("should not release a hold twice", async () => {
+      mockCart.findFirst.mockResolvedValueOnce({
+        id: 4,
+        ticketId: 5,
+        quantity: 2,
+        heldUntil: null,
+      });
+      mockCart.updateMany.mockResolvedValueOnce({ count: 0 });
+      mockCart.delete.mockResolvedValue({ id: 4, userId: 1 });
+
+      await deleteCartItem(4, 1);
+
+      expect(mockTicket.update).not.toHaveBeenCalled();
+      expect(mockCart.delete).toHaveBeenCalled();
+    });
+
     test("should verify userId when deleting cart item", async () => {
       const id = 5;
       const userId = 3;
 
+      mockCart.findFirst.mockResolvedValueOnce(null);
       mockCart.delete.mockResolvedValue({
         id,
         userId,
@@ -367,6 +668,9 @@ describe("Cart Repository", () => {
 
       await deleteCartItem(id, userId);
 
+      expect(mockCart.findFirst).toHaveBeenCalledWith({
+        where: { id, userId },
+      });
       expect(mockCart.delete).toHaveBeenCalledWith({
         where: {
           id,
@@ -376,8 +680,123 @@ describe("Cart Repository", () => {
     });
   });
 
+  describe("addSeatsToCart", () => {
+    const heldUntil = new Date("2026-01-01T00:15:00.000Z");
+    const seats = {
+      userId: 1,
+      ticketId: 5,
+      eventSeatIds: [31, 32],
+      heldUntil,
+    };
+
+    beforeEach(() => {
+      mockCart.findMany.mockResolvedValueOnce([]);
+    });
+
+    test("should take the stock, create the item and hold the seats on it", async () => {
+      mockTicket.updateMany.mockResolvedValueOnce({ count: 1 });
+      mockCart.findFirst.mockResolvedValueOnce(null);
+      mockCart.create.mockResolvedValueOnce({ id: 7 });
+      mockEventSeat.updateMany.mockResolvedValueOnce({ count: 2 });
+      mockCart.findUnique.mockResolvedValueOnce(
+        createMockCartItem({ id: 7, quantity: 2 })
+      );
+
+      const result = await addSeatsToCart(seats);
+
+      expect(mockTicket.updateMany).toHaveBeenCalledWith({
+        where: { id: 5, quantity: { gte: 2 } },
+        data: { quantity: { decrement: 2 }, sold: { increment: 2 } },
+      });
+      expect(mockCart.create).toHaveBeenCalledWith({
+        data: { userId: 1, ticketId: 5, quantity: 2, heldUntil },
+      });
+      expect(mockEventSeat.updateMany).toHaveBeenCalledWith({
+        where: {
+          id: { in: [31, 32] },
+          ticketId: 5,
+          OR: [
+            { status: "available" },
+            { status: "held", heldUntil: { lte: expect.any(Date) } },
+          ],
+        },
+        data: { status: "held", heldUntil, cartId: 7 },
+      });
+      expect(mockCart.findUnique).toHaveBeenCalledWith({
+        where: { id: 7 },
+        include: cartInclude,
+      });
+      expect(result.id).toBe(7);
+    });
+
+    test("should add the seats to a held item and keep its seats on the new hold", async () => {
+      mockTicket.updateMany.mockResolvedValueOnce({ count: 1 });
+      mockCart.findFirst.mockResolvedValueOnce({
+        id: 7,
+        quantity: 1,
+        heldUntil: new Date("2026-01-01T00:05:00.000Z"),
+      });
+      mockCart.update.mockResolvedValueOnce({ id: 7, quantity: 3 });
+      mockEventSeat.updateMany
+        .mockResolvedValueOnce({ count: 1 })
+        .mockResolvedValueOnce({ count: 2 });
+
+      await addSeatsToCart(seats);
+
+      expect(mockCart.update).toHaveBeenCalledWith({
+        where: { id: 7 },
+        data: { quantity: { increment: 2 }, heldUntil },
+      });
+      expect(mockEventSeat.updateMany).toHaveBeenCalledWith({
+        where: { cartId: 7, status: "held" },
+        data: { heldUntil },
+      });
+      expect(mockCart.create).not.toHaveBeenCalled();
+    });
+
+    test("should start a released item over with the new seats", async () => {
+      mockTicket.updateMany.mockResolvedValueOnce({ count: 1 });
+      mockCart.findFirst.mockResolvedValueOnce({
+        id: 7,
+        quantity: 4,
+        heldUntil: null,
+      });
+      mockCart.update.mockResolvedValueOnce({ id: 7, quantity: 2 });
+      mockEventSeat.updateMany.mockResolvedValueOnce({ count: 2 });
+
+      await addSeatsToCart(seats);
+
+      expect(mockCart.update).toHaveBeenCalledWith({
+        where: { id: 7 },
+        data: { quantity: 2, heldUntil },
+      });
+      expect(mockEventSeat.updateMany).toHaveBeenCalledTimes(1);
+    });
+
+    test("should fail when another buyer holds one of the seats", async () => {
+      mockTicket.updateMany.mockResolvedValueOnce({ count: 1 });
+      mockCart.findFirst.mockResolvedValueOnce(null);
+      mockCart.create.mockResolvedValueOnce({ id: 7 });
+      mockEventSeat.updateMany.mockResolvedValueOnce({ count: 1 });
+
+      await expect(addSeatsToCart(seats)).rejects.toThrow(
+        "Some of the selected seats are no longer available"
+      );
+      expect(mockCart.findUnique).not.toHaveBeenCalled();
+    });
+
+    test("should fail when the ticket has no stock left", async () => {
+      mockTicket.updateMany.mockResolvedValueOnce({ count: 0 });
+
+      await expect(addSeatsToCart(seats)).rejects.toThrow(
+        "Some of the selected seats are no longer available"
+      );
+      expect(mockCart.create).not.toHaveBeenCalled();
+    });
+  });
+
   describe("clearUserCart", () => {
-    test("should delete all cart items for a user", async () => {
+    test("should delete the user's checked out cart items", async () => {
       const userId = 1;
       const deleteResult = { count: 3 };
 
@@ -387,7 +806,7 @@ describe("Cart Repository", () => {
 
       expect(mockCart.deleteMany).toHaveBeenCalledTimes(1);
       expect(mockCart.deleteMany).toHaveBeenCalledWith({
-        where: { userId },
+        where: { userId, heldUntil: null },
       });
       expect(result).toEqual(deleteResult);
       expect(result.count).toBe(3);
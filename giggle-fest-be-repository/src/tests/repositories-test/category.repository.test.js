@@ -35,6 +35,7 @@ const {
   findCategoryById,
   updateCategory,
   deleteCategory,
+  findCategoriesByIds,
 } = await import("../../repositories/category.repository.js");
 
 // ---------------------------
@@ -323,6 +324,20 @@ describe("Category Repository", () => {
     });
   });
 
+  describe("findCategoriesByIds", () => {
+    test("should only select the ids that exist", async () => {
+      mockCategory.findMany.mockResolvedValue([{ id: 1 }]);
+
+      const result = await findCategoriesByIds([1, 2]);
+
+      expect(mockCategory.findMany).toHaveBeenCalledWith({
+        where: { id: { in: [1, 2] } },
+        select: { id: true },
+      });
+      expect(result).toEqual([{ id: 1 }]);
+    });
+  });
+
   describe("updateCategory", () => {
     test("should update category name successfully", async () => {
       const categoryId = 1;
@@ -11,12 +11,39 @@ const mockEvent = {
   findMany: jest.fn(),
   findUnique: jest.fn(),
   update: jest.fn(),
+  updateMany: jest.fn(),
   delete: jest.fn(),
   count: jest.fn(),
 };
 
+const mockTx = {
+  event: {
+    create: jest.fn(),
+    delete: mockEvent.delete,
+  },
+  cart: {
+    deleteMany: jest.fn(),
+  },
+  review: {
+    deleteMany: jest.fn(),
+  },
+  ticket: {
+    deleteMany: jest.fn(),
+  },
+};
+
 const mockPrisma = {
   event: mockEvent,
+  payment: {
+    count: jest.fn(),
+  },
+  orderItem: {
+    count: jest.fn(),
+  },
+  bundleItem: {
+    count: jest.fn(),
+  },
+  $transaction: jest.fn((callback) => callback(mockTx)),
 };
 
 // ---------------------------
@@ -36,6 +63,10 @@ const {
   findEventById,
   updateEvent,
   deleteEvent,
+  createEventsWithTickets,
+  updateEventStatus,
+  hasEventSales,
+  hasBundledTickets,
 } = await import("../../repositories/event.repository.js");
 
 // ---------------------------
@@ -157,6 +188,51 @@ describe("Event Repository", () => {
     });
   });
 
+  describe("createEventsWithTickets", () => {
+    test("should create every event with its tickets in one transaction", async () => {
+      mockTx.event.create
+        .mockResolvedValueOnce({ id: 1, tickets: [{ id: 10 }] })
+        .mockResolvedValueOnce({ id: 2, tickets: [] });
+
+      const result = await createEventsWithTickets([
+        {
+          name: "Rock Night",
+          location: "Jakarta",
+          tickets: [{ name: "VIP", price: 100, quantity: 5, userId: 1 }],
+        },
+        { name: "Jazz Night", location: "Bandung", tickets: [] },
+      ]);
+
+      expect(mockPrisma.$transaction).toHaveBeenCalledTimes(1);
+      expect(mockTx.event.create).toHaveBeenNthCalledWith(1, {
+        data: {
+          name: "Rock Night",
+          location: "Jakarta",
+          tickets: {
+            create: [{ name: "VIP", price: 100, quantity: 5, userId: 1 }],
+          },
+        },
+        include: {
+          tickets: true,
+        },
+      });
+      expect(result.map((event) => event.id)).toEqual([1, 2]);
+    });
+
+    test("should fail the whole import when one event fails", async () => {
+      mockTx.event.create
+        .mockResolvedValueOnce({ id: 1, tickets: [] })
+        .mockRejectedValueOnce(new Error("Database error"));
+
+      await expect(
+        createEventsWithTickets([
+          { name: "Rock Night", tickets: [] },
+          { name: "Jazz Night", tickets: [] },
+        ])
+      ).rejects.toThrow("Database error");
+    });
+  });
+
   describe("findAllEvents", () => {
     test("should return all events without filters", async () => {
       const skip = 0;
@@ -636,5 +712,94 @@ describe("Event Repository", () => {
         where: { id: 100 },
       });
     });
+
+    test("should remove the event's ticket types, carts and reviews", async () => {
+      mockEvent.delete.mockResolvedValueOnce(createMockEvent());
+
+      await deleteEvent("3");
+
+      expect(mockTx.cart.deleteMany).toHaveBeenCalledWith({
+        where: { ticket: { eventId: 3 } },
+      });
+      expect(mockTx.review.deleteMany).toHaveBeenCalledWith({
+        where: { ticket: { eventId: 3 } },
+      });
+      expect(mockTx.ticket.deleteMany).toHaveBeenCalledWith({
+        where: { eventId: 3 },
+      });
+      expect(mockEvent.delete).toHaveBeenCalledWith({ where: { id: 3 } });
+    });
+  });
+
+  describe("updateEventStatus", () => {
+    test("should only update an event in one of the expected statuses", async () => {
+      const updated = createMockEvent({ status: "cancelled" });
+      mockEvent.updateMany.mockResolvedValueOnce({ count: 1 });
+      mockEvent.findUnique.mockResolvedValueOnce(updated);
+
+      const result = await updateEventStatus("1", ["published"], {
+        status: "cancelled",
+      });
+
+      expect(mockEvent.updateMany).toHaveBeenCalledWith({
+        where: { id: 1, status: { in: ["published"] } },
+        data: { status: "cancelled" },
+      });
+      expect(result).toEqual(updated);
+    });
+
+    test("should return null when the status already changed", async () => {
+      mockEvent.updateMany.mockResolvedValueOnce({ count: 0 });
+
+      const result = await updateEventStatus(1, ["published"], {
+        status: "cancelled",
+      });
+
+      expect(result).toBeNull();
+      expect(mockEvent.findUnique).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("hasEventSales", () => {
+    test("should count payments and order items for the event", async () => {
+      mockPrisma.payment.count.mockResolvedValueOnce(0);
+      mockPrisma.orderItem.count.mockResolvedValueOnce(2);
+
+      const result = await hasEventSales("4");
+
+      expect(mockPrisma.payment.count).toHaveBeenCalledWith({
+        where: { ticket: { eventId: 4 } },
+      });
+      expect(mockPrisma.orderItem.count).toHaveBeenCalledWith({
+        where: { ticket: { eventId: 4 } },
+      });
+      expect(result).toBe(true);
+    });
+
+    test("should return false for an event that never sold", async () => {
+      mockPrisma.payment.count.mockResolvedValueOnce(0);
+      mockPrisma.orderItem.count.mockResolvedValueOnce(0);
+
+      expect(await hasEventSales(4)).toBe(false);
+    });
+  });
+
+  describe("hasBundledTickets", () => {
+    test("should count bundle items that list one of the event's tickets", async () => {
+      mockPrisma.bundleItem.count.mockResolvedValueOnce(1);
+
+      const result = await hasBundledTickets("4");
+
+      expect(mockPrisma.bundleItem.count).toHaveBeenCalledWith({
+        where: { ticket: { eventId: 4 } },
+      });
+      expect(result).toBe(true);
+    });
+
+    test("should return false when no bundle lists the event's tickets", async () => {
+      mockPrisma.bundleItem.count.mockResolvedValueOnce(0);
+
+      expect(await hasBundledTickets(4)).toBe(false);
+    });
   });
 });
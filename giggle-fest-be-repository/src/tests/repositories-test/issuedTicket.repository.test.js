@@ -0,0 +1,273 @@
+/**
+ * @jest-environment node
+ */
+import { jest } from "@jest/globals";
+
+// ---------------------------
+// Create mock functions
+// ---------------------------
+const mockIssuedTicket = {
+  createMany: jest.fn(),
+  findMany: jest.fn(),
+  findFirst: jest.fn(),
+  findUnique: jest.fn(),
+  updateMany: jest.fn(),
+  groupBy: jest.fn(),
+  count: jest.fn(),
+};
+
+const mockPrisma = {
+  issuedTicket: mockIssuedTicket,
+};
+
+// ---------------------------
+// Mock @prisma/client module
+// ---------------------------
+jest.unstable_mockModule("@prisma/client", () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+}));
+
+// ---------------------------
+// Import repository after mock setup
+// ---------------------------
+const {
+  createIssuedTickets,
+  findIssuedTicketsByPayment,
+  findIssuedTicketsByUser,
+  findIssuedTicketById,
+  findIssuedTicketByCode,
+  checkInIssuedTicket,
+  countIssuedTicketsByEvent,
+  findAttendeeExportBatch,
+  findEventHolderIds,
+} = await import("../../repositories/issuedTicket.repository.js");
+
+// ---------------------------
+// Test Suite
+// ---------------------------
+describe("Issued Ticket Repository", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const include = {
+    ticket: {
+      include: {
+        event: true,
+        category: true,
+      },
+    },
+    eventSeat: {
+      include: { seat: true },
+    },
+    bundle: {
+      select: { id: true, name: true },
+    },
+  };
+
+  describe("createIssuedTickets", () => {
+    test("should skip units that were already issued", async () => {
+      const data = [
+        { code: "1.a.s", sequence: 1, paymentId: 1 },
+        { code: "1.b.s", sequence: 2, paymentId: 1 },
+      ];
+      mockIssuedTicket.createMany.mockResolvedValue({ count: 2 });
+
+      const result = await createIssuedTickets(data);
+
+      expect(mockIssuedTicket.createMany).toHaveBeenCalledWith({
+        data,
+        skipDuplicates: true,
+      });
+      expect(result).toEqual({ count: 2 });
+    });
+  });
+
+  describe("findIssuedTicketsByPayment", () => {
+    test("should return the payment's tickets in issue order", async () => {
+      mockIssuedTicket.findMany.mockResolvedValue([]);
+
+      await findIssuedTicketsByPayment(1);
+
+      expect(mockIssuedTicket.findMany).toHaveBeenCalledWith({
+        where: { paymentId: 1 },
+        include,
+        orderBy: { sequence: "asc" },
+      });
+    });
+  });
+
+  describe("findIssuedTicketsByUser", () => {
+    test("should paginate the user's tickets", async () => {
+      const tickets = [{ id: 1 }];
+      mockIssuedTicket.count.mockResolvedValue(11);
+      mockIssuedTicket.findMany.mockResolvedValue(tickets);
+
+      const result = await findIssuedTicketsByUser(2, {
+        page: "2",
+        limit: "10",
+      });
+
+      expect(mockIssuedTicket.count).toHaveBeenCalledWith({
+        where: { userId: 2 },
+      });
+      expect(mockIssuedTicket.findMany).toHaveBeenCalledWith({
+        where: { userId: 2 },
+        skip: 10,
+        take: 10,
+        include,
+        orderBy: { createdAt: "desc" },
+      });
+      expect(result).toEqual({
+        tickets,
+        meta: { page: 2, limit: 10, total: 11, totalPages: 2 },
+      });
+    });
+
+    test("should filter by status", async () => {
+      mockIssuedTicket.count.mockResolvedValue(0);
+      mockIssuedTicket.findMany.mockResolvedValue([]);
+
+      await findIssuedTicketsByUser(2, { status: "used" });
+
+      expect(mockIssuedTicket.count).toHaveBeenCalledWith({
+        where: { userId: 2, status: "used" },
+      });
+    });
+  });
+
+  describe("findAttendeeExportBatch", () => {
+    test("should page an event's tickets with their holders", async () => {
+      mockIssuedTicket.findMany.mockResolvedValue([]);
+
+      await findAttendeeExportBatch(
+        4,
+        { status: "used" },
+        { afterId: 10, take: 500 }
+      );
+
+      expect(mockIssuedTicket.findMany).toHaveBeenCalledWith({
+        where: { eventId: 4, status: "used", id: { gt: 10 } },
+        take: 500,
+        include: {
+          ticket: true,
+          user: {
+            select: {
+              id: true,
+              name: true,
+              email: true,
+            },
+          },
+          payment: {
+            select: {
+              orderId: true,
+            },
+          },
+        },
+        orderBy: {
+          id: "asc",
+        },
+      });
+    });
+  });
+
+  describe("findIssuedTicketById", () => {
+    test("should scope the lookup to the owner", async () => {
+      mockIssuedTicket.findFirst.mockResolvedValue({ id: 1 });
+
+      await findIssuedTicketById(1, 2);
+
+      expect(mockIssuedTicket.findFirst).toHaveBeenCalledWith({
+        where: { id: 1, userId: 2 },
+        include,
+      });
+    });
+  });
+
+  describe("findIssuedTicketByCode", () => {
+    test("should look the ticket up by its code with the holder", async () => {
+      mockIssuedTicket.findUnique.mockResolvedValue({ id: 1 });
+
+      await findIssuedTicketByCode("10.abc.sig");
+
+      expect(mockIssuedTicket.findUnique).toHaveBeenCalledWith({
+        where: { code: "10.abc.sig" },
+        include: {
+          ...include,
+          user: {
+            select: {
+              id: true,
+              name: true,
+              email: true,
+            },
+          },
+        },
+      });
+    });
+  });
+
+  describe("checkInIssuedTicket", () => {
+    test("should only use tickets that are still valid", async () => {
+      mockIssuedTicket.updateMany.mockResolvedValue({ count: 1 });
+
+      const result = await checkInIssuedTicket(1, 7);
+
+      expect(mockIssuedTicket.updateMany).toHaveBeenCalledWith({
+        where: { id: 1, status: "valid" },
+        data: {
+          status: "used",
+          checkedInAt: expect.any(Date),
+          checkedInById: 7,
+        },
+      });
+      expect(result).toEqual({ count: 1 });
+    });
+  });
+
+  describe("countIssuedTicketsByEvent", () => {
+    test("should group counts by ticket type and status", async () => {
+      const lastCheckInAt = new Date();
+      const byTicket = [{ ticketId: 5, status: "used", _count: { _all: 2 } }];
+      mockIssuedTicket.groupBy.mockResolvedValue(byTicket);
+      mockIssuedTicket.findFirst.mockResolvedValue({
+        checkedInAt: lastCheckInAt,
+      });
+
+      const result = await countIssuedTicketsByEvent(10);
+
+      expect(mockIssuedTicket.groupBy).toHaveBeenCalledWith({
+        by: ["ticketId", "status"],
+        where: { eventId: 10 },
+        _count: { _all: true },
+      });
+      expect(result).toEqual({ byTicket, lastCheckInAt });
+    });
+
+    test("should return null when nobody has checked in yet", async () => {
+      mockIssuedTicket.groupBy.mockResolvedValue([]);
+      mockIssuedTicket.findFirst.mockResolvedValue(null);
+
+      const result = await countIssuedTicketsByEvent(10);
+
+      expect(result.lastCheckInAt).toBeNull();
+    });
+  });
+
+  describe("findEventHolderIds", () => {
+    test("should return each holder of a valid ticket once", async () => {
+      mockIssuedTicket.findMany.mockResolvedValueOnce([
+        { userId: 3 },
+        { userId: 4 },
+      ]);
+
+      const result = await findEventHolderIds(1);
+
+      expect(mockIssuedTicket.findMany).toHaveBeenCalledWith({
+        where: { eventId: 1, status: "valid" },
+        distinct: ["userId"],
+        select: { userId: true },
+      });
+      expect(result).toEqual([3, 4]);
+    });
+  });
+});
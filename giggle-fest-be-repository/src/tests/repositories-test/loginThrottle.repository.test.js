@@ -0,0 +1,151 @@
+/**
+ * @jest-environment node
+ */
+import { jest } from "@jest/globals";
+
+// ---------------------------
+// Create mock functions
+// ---------------------------
+const mockLoginThrottle = {
+  findMany: jest.fn(),
+  upsert: jest.fn(),
+  updateMany: jest.fn(),
+  deleteMany: jest.fn(),
+};
+
+const mockPrisma = {
+  loginThrottle: mockLoginThrottle,
+};
+
+// ---------------------------
+// Mock @prisma/client module
+// ---------------------------
+jest.unstable_mockModule("@prisma/client", () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+}));
+
+// ---------------------------
+// Import repository after mock setup
+// ---------------------------
+const {
+  findThrottles,
+  addThrottleFailure,
+  lockThrottle,
+  deleteThrottle,
+  deleteThrottlesByKey,
+} = await import("../../repositories/loginThrottle.repository.js");
+
+// ---------------------------
+// Test Suite
+// ---------------------------
+describe("Login Throttle Repository", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("findThrottles", () => {
+    test("should look up every key in the scope", async () => {
+      mockLoginThrottle.findMany.mockResolvedValue([]);
+
+      await findThrottles("login", ["email:a@example.com", "ip:10.0.0.1"]);
+
+      expect(mockLoginThrottle.findMany).toHaveBeenCalledWith({
+        where: {
+          scope: "login",
+          key: { in: ["email:a@example.com", "ip:10.0.0.1"] },
+        },
+      });
+    });
+  });
+
+  describe("addThrottleFailure", () => {
+    const now = new Date("2026-10-19T10:00:00Z");
+    const windowStart = new Date("2026-10-19T09:00:00Z");
+
+    test("should forget stale failures, then count one more", async () => {
+      mockLoginThrottle.updateMany.mockResolvedValueOnce({ count: 0 });
+      mockLoginThrottle.upsert.mockResolvedValueOnce({ id: 1, failures: 3 });
+
+      const result = await addThrottleFailure(
+        "otp",
+        "ip:10.0.0.1",
+        now,
+        windowStart
+      );
+
+      expect(mockLoginThrottle.updateMany).toHaveBeenCalledWith({
+        where: {
+          scope: "otp",
+          key: "ip:10.0.0.1",
+          lastFailureAt: { lt: windowStart },
+        },
+        data: { failures: 0 },
+      });
+      expect(mockLoginThrottle.upsert).toHaveBeenCalledWith({
+        where: { scope_key: { scope: "otp", key: "ip:10.0.0.1" } },
+        update: { failures: { increment: 1 }, lastFailureAt: now },
+        create: {
+          scope: "otp",
+          key: "ip:10.0.0.1",
+          failures: 1,
+          lastFailureAt: now,
+        },
+      });
+      expect(
+        mockLoginThrottle.updateMany.mock.invocationCallOrder[0]
+      ).toBeLessThan(mockLoginThrottle.upsert.mock.invocationCallOrder[0]);
+      expect(result).toEqual({ id: 1, failures: 3 });
+    });
+  });
+
+  describe("lockThrottle", () => {
+    const lockedUntil = new Date("2026-10-19T10:15:00Z");
+
+    test("should lock while the failures are over the limit", async () => {
+      mockLoginThrottle.updateMany.mockResolvedValueOnce({ count: 1 });
+
+      const result = await lockThrottle(4, 5, lockedUntil);
+
+      expect(mockLoginThrottle.updateMany).toHaveBeenCalledWith({
+        where: { id: 4, failures: { gte: 5 } },
+        data: {
+          failures: 0,
+          lockCount: { increment: 1 },
+          lockedUntil,
+        },
+      });
+      expect(result).toBe(true);
+    });
+
+    test("should return false when another attempt locked it first", async () => {
+      mockLoginThrottle.updateMany.mockResolvedValueOnce({ count: 0 });
+
+      expect(await lockThrottle(4, 5, lockedUntil)).toBe(false);
+    });
+  });
+
+  describe("deleteThrottle", () => {
+    test("should clear a single scope and key", async () => {
+      mockLoginThrottle.deleteMany.mockResolvedValue({ count: 1 });
+
+      await deleteThrottle("login", "email:a@example.com");
+
+      expect(mockLoginThrottle.deleteMany).toHaveBeenCalledWith({
+        where: { scope: "login", key: "email:a@example.com" },
+      });
+    });
+  });
+
+  describe("deleteThrottlesByKey", () => {
+    test("should clear the key across every scope", async () => {
+      mockLoginThrottle.deleteMany.mockResolvedValue({ count: 2 });
+
+      const result = await deleteThrottlesByKey("email:a@example.com");
+
+      expect(mockLoginThrottle.deleteMany).toHaveBeenCalledWith({
+        where: { key: "email:a@example.com" },
+      });
+      expect(result).toEqual({ count: 2 });
+    });
+  });
+});
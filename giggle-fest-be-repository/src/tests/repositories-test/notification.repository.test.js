@@ -43,6 +43,7 @@ const {
   findNotificationById,
   deleteNotification,
   markAllAsRead,
+  createNotifications,
 } = await import("../../repositories/notification.repository.js");
 
 // ---------------------------
@@ -629,4 +630,20 @@ describe("Notification Repository", () => {
       expect(callArgs.where.userId).toBe(5);
     });
   });
+
+  describe("createNotifications", () => {
+    test("should send the same message to every user", async () => {
+      mockNotification.createMany.mockResolvedValueOnce({ count: 2 });
+
+      const result = await createNotifications([3, 4], "Event cancelled");
+
+      expect(mockNotification.createMany).toHaveBeenCalledWith({
+        data: [
+          { userId: 3, message: "Event cancelled" },
+          { userId: 4, message: "Event cancelled" },
+        ],
+      });
+      expect(result).toEqual({ count: 2 });
+    });
+  });
 });
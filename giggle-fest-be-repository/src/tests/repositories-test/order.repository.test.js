@@ -0,0 +1,348 @@
+/**
+ * @jest-environment node
+ */
+import { jest } from "@jest/globals";
+
+// ---------------------------
+// Create mock functions
+// ---------------------------
+const mockOrder = {
+  create: jest.fn(),
+  findMany: jest.fn(),
+  findFirst: jest.fn(),
+  count: jest.fn(),
+};
+
+const mockTicket = {
+  updateMany: jest.fn(),
+};
+
+const mockEventSeat = {
+  updateMany: jest.fn(),
+};
+
+const mockCart = {
+  updateMany: jest.fn(),
+};
+
+const mockWaitlistEntry = {
+  updateMany: jest.fn(),
+};
+
+const mockPromoCode = {
+  update: jest.fn(() =>
+    Promise.resolve({ id: 4, usedCount: 1, usageLimit: null })
+  ),
+};
+
+const mockRedemption = {
+  create: jest.fn(),
+  count: jest.fn(),
+};
+
+// tickets are not bundles unless a test says so
+const mockBundleItem = {
+  findMany: jest.fn(() => Promise.resolve([])),
+};
+
+const mockPrisma = {
+  bundleItem: mockBundleItem,
+  order: mockOrder,
+  ticket: mockTicket,
+  cart: mockCart,
+  eventSeat: mockEventSeat,
+  waitlistEntry: mockWaitlistEntry,
+  promoCode: mockPromoCode,
+  redemption: mockRedemption,
+  $transaction: jest.fn((fn) => fn(mockPrisma)),
+};
+
+// ---------------------------
+// Mock @prisma/client module
+// ---------------------------
+jest.unstable_mockModule("@prisma/client", () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+}));
+
+// ---------------------------
+// Import repository after mock setup
+// ---------------------------
+const { createOrderWithReservation, findOrdersByUser, findOrderById } =
+  await import("../../repositories/order.repository.js");
+
+// ---------------------------
+// Test Suite
+// ---------------------------
+describe("Order Repository", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.$transaction.mockImplementation((fn) => fn(mockPrisma));
+  });
+
+  const orderData = {
+    userId: 1,
+    orderId: "ORDER-CART01",
+    originalAmount: 1600000,
+    discount: 160000,
+    amount: 1440000,
+    promoCodeId: 4,
+    items: [
+      {
+        ticketId: 5,
+        name: "VIP",
+        quantity: 2,
+        price: 500000,
+        subtotal: 1000000,
+        discount: 100000,
+      },
+      {
+        ticketId: 6,
+        name: "Regular",
+        quantity: 3,
+        price: 200000,
+        subtotal: 600000,
+        discount: 60000,
+      },
+    ],
+  };
+
+  describe("createOrderWithReservation", () => {
+    test("should reserve stock for every line item", async () => {
+      mockTicket.updateMany.mockResolvedValue({ count: 1 });
+      mockOrder.create.mockResolvedValue({ id: 1, payments: [{ id: 12 }] });
+
+      await createOrderWithReservation(orderData);
+
+      expect(mockTicket.updateMany).toHaveBeenCalledTimes(2);
+      expect(mockTicket.updateMany).toHaveBeenNthCalledWith(1, {
+        where: { id: 5, quantity: { gte: 2 } },
+        data: { quantity: { decrement: 2 }, sold: { increment: 2 } },
+      });
+      expect(mockTicket.updateMany).toHaveBeenNthCalledWith(2, {
+        where: { id: 6, quantity: { gte: 3 } },
+        data: { quantity: { decrement: 3 }, sold: { increment: 3 } },
+      });
+    });
+
+    test("should create order items and a linked pending payment", async () => {
+      mockTicket.updateMany.mockResolvedValue({ count: 1 });
+      mockOrder.create.mockResolvedValue({ id: 1, payments: [{ id: 12 }] });
+
+      await createOrderWithReservation(orderData);
+
+      const { data } = mockOrder.create.mock.calls[0][0];
+      expect(data.user).toEqual({ connect: { id: 1 } });
+      expect(data.promoCode).toEqual({ connect: { id: 4 } });
+      expect(data.items.create).toEqual([
+        {
+          ticketId: 5,
+          quantity: 2,
+          price: 500000,
+          subtotal: 1000000,
+          discount: 100000,
+        },
+        {
+          ticketId: 6,
+          quantity: 3,
+          price: 200000,
+          subtotal: 600000,
+          discount: 60000,
+        },
+      ]);
+      expect(data.payments.create).toEqual({
+        orderId: "ORDER-CART01",
+        userId: 1,
+        quantity: 5,
+        amount: 1440000,
+        originalAmount: 1600000,
+        discount: 160000,
+        status: "pending",
+      });
+    });
+
+    test("should not connect a promo code when none is applied", async () => {
+      mockTicket.updateMany.mockResolvedValue({ count: 1 });
+      mockOrder.create.mockResolvedValue({ id: 1, payments: [{ id: 12 }] });
+
+      await createOrderWithReservation({ ...orderData, promoCodeId: undefined });
+
+      const { data } = mockOrder.create.mock.calls[0][0];
+      expect(data).not.toHaveProperty("promoCode");
+      expect(mockRedemption.create).not.toHaveBeenCalled();
+    });
+
+    test("should redeem the promo code for the order's payment", async () => {
+      mockTicket.updateMany.mockResolvedValue({ count: 1 });
+      mockOrder.create.mockResolvedValue({ id: 1, payments: [{ id: 12 }] });
+
+      await createOrderWithReservation(orderData);
+
+      expect(mockPromoCode.update).toHaveBeenCalledWith({
+        where: { id: 4 },
+        data: { usedCount: { increment: 1 } },
+      });
+      expect(mockRedemption.create).toHaveBeenCalledWith({
+        data: { promoCodeId: 4, userId: 1, paymentId: 12, discount: 160000 },
+      });
+    });
+
+    test("should abort the order when the promo code is used up", async () => {
+      mockTicket.updateMany.mockResolvedValue({ count: 1 });
+      mockOrder.create.mockResolvedValue({ id: 1, payments: [{ id: 12 }] });
+      mockPromoCode.update.mockResolvedValueOnce({
+        id: 4,
+        usedCount: 101,
+        usageLimit: 100,
+      });
+
+      await expect(createOrderWithReservation(orderData)).rejects.toThrow(
+        "Promo code has reached its usage limit"
+      );
+      expect(mockRedemption.create).not.toHaveBeenCalled();
+    });
+
+    test("should abort the order when any item is out of stock", async () => {
+      mockTicket.updateMany
+        .mockResolvedValueOnce({ count: 1 })
+        .mockResolvedValueOnce({ count: 0 });
+
+      await expect(createOrderWithReservation(orderData)).rejects.toThrow(
+        "Not enough tickets available for Regular"
+      );
+      expect(mockOrder.create).not.toHaveBeenCalled();
+    });
+
+    test("should hand the holds of cart items over to the order", async () => {
+      mockTicket.updateMany.mockResolvedValue({ count: 1 });
+      mockCart.updateMany.mockResolvedValueOnce({ count: 1 });
+      mockOrder.create.mockResolvedValue({ id: 1, payments: [{ id: 12 }] });
+
+      const [vip, regular] = orderData.items;
+      await createOrderWithReservation({
+        ...orderData,
+        items: [{ ...vip, cartId: 8 }, regular],
+      });
+
+      expect(mockCart.updateMany).toHaveBeenCalledWith({
+        where: { id: 8, heldUntil: { gt: expect.any(Date) } },
+        data: { heldUntil: null },
+      });
+      expect(mockWaitlistEntry.updateMany).toHaveBeenCalledWith({
+        where: { cartId: 8, status: "offered" },
+        data: { status: "claimed" },
+      });
+      expect(mockTicket.updateMany).toHaveBeenCalledTimes(1);
+      expect(mockTicket.updateMany).toHaveBeenCalledWith({
+        where: { id: 6, quantity: { gte: 3 } },
+        data: { quantity: { decrement: 3 }, sold: { increment: 3 } },
+      });
+      expect(mockEventSeat.updateMany).not.toHaveBeenCalled();
+    });
+
+    test("should abort the order when a cart hold has run out", async () => {
+      mockCart.updateMany.mockResolvedValueOnce({ count: 0 });
+
+      const [vip, regular] = orderData.items;
+      await expect(
+        createOrderWithReservation({
+          ...orderData,
+          items: [{ ...vip, cartId: 8 }, regular],
+        })
+      ).rejects.toThrow(
+        "Your hold on VIP has expired, please add it to your cart again"
+      );
+      expect(mockOrder.create).not.toHaveBeenCalled();
+    });
+
+    test("should sell the held seats of seated items to the payment", async () => {
+      mockTicket.updateMany.mockResolvedValue({ count: 1 });
+      mockCart.updateMany.mockResolvedValueOnce({ count: 1 });
+      mockOrder.create.mockResolvedValue({ id: 1, payments: [{ id: 12 }] });
+      mockEventSeat.updateMany.mockResolvedValueOnce({ count: 2 });
+
+      const [vip, regular] = orderData.items;
+      await createOrderWithReservation({
+        ...orderData,
+        items: [{ ...vip, cartId: 8, seated: true }, regular],
+      });
+
+      expect(mockEventSeat.updateMany).toHaveBeenCalledTimes(1);
+      expect(mockEventSeat.updateMany).toHaveBeenCalledWith({
+        where: {
+          cartId: 8,
+          status: "held",
+          heldUntil: { gt: expect.any(Date) },
+        },
+        data: {
+          status: "sold",
+          heldUntil: null,
+          cartId: null,
+          paymentId: 12,
+        },
+      });
+    });
+
+    test("should abort the order when a seat hold has run out", async () => {
+      mockTicket.updateMany.mockResolvedValue({ count: 1 });
+      mockCart.updateMany.mockResolvedValueOnce({ count: 1 });
+      mockOrder.create.mockResolvedValue({ id: 1, payments: [{ id: 12 }] });
+      mockEventSeat.updateMany.mockResolvedValueOnce({ count: 1 });
+
+      const [vip, regular] = orderData.items;
+      await expect(
+        createOrderWithReservation({
+          ...orderData,
+          items: [{ ...vip, cartId: 8, seated: true }, regular],
+        })
+      ).rejects.toThrow(
+        "Your seats for VIP are no longer held, please choose them again"
+      );
+    });
+  });
+
+  describe("findOrdersByUser", () => {
+    test("should paginate orders of a user", async () => {
+      mockOrder.count.mockResolvedValue(12);
+      mockOrder.findMany.mockResolvedValue([{ id: 1 }]);
+
+      const result = await findOrdersByUser(1, { page: 2, limit: 5 });
+
+      expect(mockOrder.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { userId: 1 },
+          skip: 5,
+          take: 5,
+          orderBy: { createdAt: "desc" },
+        })
+      );
+      expect(result.meta).toEqual({
+        page: 2,
+        limit: 5,
+        total: 12,
+        totalPages: 3,
+      });
+    });
+  });
+
+  describe("findOrderById", () => {
+    test("should scope lookup to the user when given", async () => {
+      mockOrder.findFirst.mockResolvedValue({ id: 1 });
+
+      await findOrderById(1, 7);
+
+      expect(mockOrder.findFirst).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { id: 1, userId: 7 } })
+      );
+    });
+
+    test("should look up by id only without user", async () => {
+      mockOrder.findFirst.mockResolvedValue({ id: 1 });
+
+      await findOrderById(1);
+
+      expect(mockOrder.findFirst).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { id: 1 } })
+      );
+    });
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * @jest-environment node
+ */
+import { jest } from "@jest/globals";
+
+// ---------------------------
+// Create mock functions
+// ---------------------------
+const mockOrganization = {
+  create: jest.fn(),
+  findUnique: jest.fn(),
+  findMany: jest.fn(),
+};
+
+const mockOrganizationMember = {
+  findUnique: jest.fn(),
+  findMany: jest.fn(),
+  create: jest.fn(),
+  delete: jest.fn(),
+  count: jest.fn(),
+};
+
+const mockPrisma = {
+  organization: mockOrganization,
+  organizationMember: mockOrganizationMember,
+};
+
+// ---------------------------
+// Mock @prisma/client module
+// ---------------------------
+jest.unstable_mockModule("@prisma/client", () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+}));
+
+// ---------------------------
+// Import repository after mock setup
+// ---------------------------
+const {
+  createOrganization,
+  findOrganizationById,
+  findOrganizationsByUser,
+  findMembership,
+  findMembershipsByUser,
+  addMember,
+  removeMember,
+  countMembersByRole,
+} = await import("../../repositories/organization.repository.js");
+
+// ---------------------------
+// Test Suite
+// ---------------------------
+describe("Organization Repository", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const memberInclude = {
+    members: {
+      include: {
+        user: {
+          select: {
+            id: true,
+            name: true,
+            email: true,
+            role: true,
+          },
+        },
+      },
+      orderBy: {
+        createdAt: "asc",
+      },
+    },
+  };
+
+  describe("createOrganization", () => {
+    test("should create the organization with its first owner", async () => {
+      mockOrganization.create.mockResolvedValue({ id: 1 });
+
+      await createOrganization({
+        name: "Giggle Productions",
+        ownerId: 7,
+        ownerRole: "owner",
+      });
+
+      expect(mockOrganization.create).toHaveBeenCalledWith({
+        data: {
+          name: "Giggle Productions",
+          members: {
+            create: {
+              userId: 7,
+              role: "owner",
+            },
+          },
+        },
+        include: memberInclude,
+      });
+    });
+  });
+
+  describe("findOrganizationById", () => {
+    test("should include the members", async () => {
+      mockOrganization.findUnique.mockResolvedValue(null);
+
+      const result = await findOrganizationById(3);
+
+      expect(mockOrganization.findUnique).toHaveBeenCalledWith({
+        where: { id: 3 },
+        include: memberInclude,
+      });
+      expect(result).toBeNull();
+    });
+  });
+
+  describe("findOrganizationsByUser", () => {
+    test("should only return organizations the user belongs to", async () => {
+      mockOrganization.findMany.mockResolvedValue([]);
+
+      await findOrganizationsByUser(7);
+
+      expect(mockOrganization.findMany).toHaveBeenCalledWith({
+        where: {
+          members: {
+            some: { userId: 7 },
+          },
+        },
+        include: memberInclude,
+        orderBy: {
+          createdAt: "asc",
+        },
+      });
+    });
+  });
+
+  describe("memberships", () => {
+    test("should find a membership by organization and user", async () => {
+      mockOrganizationMember.findUnique.mockResolvedValue({ id: 1 });
+
+      await findMembership(3, 7);
+
+      expect(mockOrganizationMember.findUnique).toHaveBeenCalledWith({
+        where: {
+          organizationId_userId: { organizationId: 3, userId: 7 },
+        },
+      });
+    });
+
+    test("should list every membership of a user", async () => {
+      mockOrganizationMember.findMany.mockResolvedValue([]);
+
+      await findMembershipsByUser(7);
+
+      expect(mockOrganizationMember.findMany).toHaveBeenCalledWith({
+        where: { userId: 7 },
+      });
+    });
+
+    test("should add a member with the given role", async () => {
+      mockOrganizationMember.create.mockResolvedValue({ id: 2 });
+
+      await addMember(3, 8, "member");
+
+      expect(mockOrganizationMember.create).toHaveBeenCalledWith({
+        data: { organizationId: 3, userId: 8, role: "member" },
+        include: {
+          user: {
+            select: {
+              id: true,
+              name: true,
+              email: true,
+              role: true,
+            },
+          },
+        },
+      });
+    });
+
+    test("should remove a member", async () => {
+      mockOrganizationMember.delete.mockResolvedValue({ id: 2 });
+
+      await removeMember(3, 8);
+
+      expect(mockOrganizationMember.delete).toHaveBeenCalledWith({
+        where: {
+          organizationId_userId: { organizationId: 3, userId: 8 },
+        },
+      });
+    });
+
+    test("should count members holding a role", async () => {
+      mockOrganizationMember.count.mockResolvedValue(2);
+
+      const result = await countMembersByRole(3, "owner");
+
+      expect(mockOrganizationMember.count).toHaveBeenCalledWith({
+        where: { organizationId: 3, role: "owner" },
+      });
+      expect(result).toBe(2);
+    });
+  });
+});
@@ -11,11 +11,79 @@ const mockPayment = {
   findMany: jest.fn(),
   findFirst: jest.fn(),
   update: jest.fn(),
+  updateMany: jest.fn(),
+  findUnique: jest.fn(),
   count: jest.fn(),
+  groupBy: jest.fn(),
+};
+
+const mockTicket = {
+  findUnique: jest.fn(),
+  update: jest.fn(),
+  updateMany: jest.fn(),
+};
+
+const mockOrderModel = {
+  update: jest.fn(),
+};
+
+const mockOrderItem = {
+  groupBy: jest.fn(),
+};
+
+const mockEventSeat = {
+  updateMany: jest.fn(),
+};
+
+// no cart holds have expired unless a test says otherwise
+const mockCart = {
+  findMany: jest.fn(() => Promise.resolve([])),
+  findFirst: jest.fn(),
+  create: jest.fn(),
+  updateMany: jest.fn(),
+};
+
+// nobody is waiting for a ticket unless a test says so
+const mockWaitlistEntry = {
+  findMany: jest.fn(() => Promise.resolve([])),
+  updateMany: jest.fn(),
+  update: jest.fn(),
+};
+
+const mockNotification = {
+  create: jest.fn(),
+};
+
+const mockPromoCode = {
+  update: jest.fn(),
+};
+
+// no payment has redeemed a promo code unless a test says so
+const mockRedemption = {
+  findUnique: jest.fn(() => Promise.resolve(null)),
+  create: jest.fn(),
+  delete: jest.fn(),
+  count: jest.fn(),
+};
+
+// tickets are not bundles unless a test says so
+const mockBundleItem = {
+  findMany: jest.fn(() => Promise.resolve([])),
 };
 
 const mockPrisma = {
+  bundleItem: mockBundleItem,
   payment: mockPayment,
+  ticket: mockTicket,
+  order: mockOrderModel,
+  orderItem: mockOrderItem,
+  eventSeat: mockEventSeat,
+  cart: mockCart,
+  waitlistEntry: mockWaitlistEntry,
+  notification: mockNotification,
+  promoCode: mockPromoCode,
+  redemption: mockRedemption,
+  $transaction: jest.fn(),
 };
 
 // ---------------------------
@@ -33,7 +101,13 @@ const {
   findAllPayments,
   findPaymentById,
   findPaymentByOrderId,
+  findPaymentWithItems,
   updatePaymentStatus,
+  createPaymentWithReservation,
+  settlePayment,
+  aggregateEventSales,
+  findPaymentExportBatch,
+  findPaymentIdsByEvent,
 } = await import("../../repositories/payment.repository.js");
 
 // ---------------------------
@@ -374,6 +448,20 @@ describe("Payment Repository", () => {
       expect(result.payments[0].userId).toBe(3);
     });
 
+    test("should filter payments by status", async () => {
+      mockPayment.count.mockResolvedValue(0);
+      mockPayment.findMany.mockResolvedValue([]);
+
+      await findAllPayments({ page: 1, limit: 10, status: "success" });
+
+      expect(mockPayment.count).toHaveBeenCalledWith({
+        where: { status: "success" },
+      });
+      expect(mockPayment.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { status: "success" } })
+      );
+    });
+
     test("should handle pagination for page 2", async () => {
       const options = { page: 2, limit: 10 };
 
@@ -479,6 +567,36 @@ describe("Payment Repository", () => {
     });
   });
 
+  describe("findPaymentExportBatch", () => {
+    test("should read the next batch after the last id", async () => {
+      mockPayment.findMany.mockResolvedValue([]);
+
+      await findPaymentExportBatch(
+        { status: "success" },
+        { afterId: 500, take: 500 }
+      );
+
+      const [args] = mockPayment.findMany.mock.calls[0];
+      expect(args.where).toEqual({ status: "success", id: { gt: 500 } });
+      expect(args.take).toBe(500);
+      expect(args.orderBy).toEqual({ id: "asc" });
+      expect(args.include.user).toEqual({
+        select: { id: true, name: true, email: true },
+      });
+      expect(args.include.order.include.items).toBeDefined();
+    });
+
+    test("should start from the first payment without filters", async () => {
+      mockPayment.findMany.mockResolvedValue([]);
+
+      await findPaymentExportBatch({}, { take: 100 });
+
+      expect(mockPayment.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { id: { gt: 0 } }, take: 100 })
+      );
+    });
+  });
+
   describe("findPaymentById", () => {
     test("should return payment by id without userId filter", async () => {
       const paymentId = 5;
@@ -602,6 +720,53 @@ describe("Payment Repository", () => {
     });
   });
 
+  describe("findPaymentWithItems", () => {
+    test("should load the direct ticket and the order items with their events", async () => {
+      const expectedPayment = createMockPayment({ id: 7 });
+      mockPayment.findUnique.mockResolvedValue(expectedPayment);
+
+      const result = await findPaymentWithItems(7);
+
+      const ticketInclude = {
+        include: {
+          event: true,
+          bundleItems: {
+            include: {
+              ticket: { include: { event: true } },
+            },
+          },
+        },
+      };
+      expect(mockPayment.findUnique).toHaveBeenCalledWith({
+        where: { id: 7 },
+        include: {
+          user: {
+            select: {
+              id: true,
+              name: true,
+              email: true,
+            },
+          },
+          ticket: ticketInclude,
+          order: {
+            include: {
+              items: {
+                include: {
+                  ticket: ticketInclude,
+                },
+              },
+            },
+          },
+          seats: {
+            include: { seat: true },
+            orderBy: { id: "asc" },
+          },
+        },
+      });
+      expect(result).toEqual(expectedPayment);
+    });
+  });
+
   describe("findPaymentByOrderId", () => {
     test("should return payment by orderId", async () => {
       const orderId = "ORDER-123456";
@@ -809,4 +974,617 @@ describe("Payment Repository", () => {
       expect(mockPayment.update).toHaveBeenCalledTimes(5);
     });
   });
+
+  describe("createPaymentWithReservation", () => {
+    const paymentData = {
+      userId: 1,
+      ticketId: 1,
+      quantity: 2,
+      amount: 200000,
+      originalAmount: 200000,
+      discount: 0,
+      status: "pending",
+      orderId: "ORDER-RESERVE",
+    };
+
+    beforeEach(() => {
+      mockPrisma.$transaction.mockImplementation((fn) => fn(mockPrisma));
+    });
+
+    test("should decrement stock only when enough quantity is left", async () => {
+      mockTicket.updateMany.mockResolvedValue({ count: 1 });
+      mockPayment.create.mockResolvedValue(createMockPayment());
+
+      await createPaymentWithReservation(paymentData);
+
+      expect(mockTicket.updateMany).toHaveBeenCalledWith({
+        where: { id: 1, quantity: { gte: 2 } },
+        data: { quantity: { decrement: 2 }, sold: { increment: 2 } },
+      });
+      expect(mockPayment.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          data: expect.objectContaining({
+            quantity: 2,
+            orderId: "ORDER-RESERVE",
+            status: "pending",
+          }),
+        })
+      );
+    });
+
+    test("should first free the stock of expired cart holds on the ticket", async () => {
+      mockCart.findMany.mockResolvedValueOnce([
+        { id: 8, ticketId: 1, quantity: 3 },
+      ]);
+      mockCart.updateMany.mockResolvedValueOnce({ count: 1 });
+      mockTicket.updateMany.mockResolvedValueOnce({ count: 1 });
+      mockPayment.create.mockResolvedValueOnce(createMockPayment());
+
+      await createPaymentWithReservation(paymentData);
+
+      expect(mockCart.findMany).toHaveBeenCalledWith({
+        where: { ticketId: 1, heldUntil: { lte: expect.any(Date) } },
+        select: { id: true, ticketId: true, quantity: true },
+      });
+      expect(mockTicket.update).toHaveBeenCalledWith({
+        where: { id: 1 },
+        data: { quantity: { increment: 3 }, sold: { decrement: 3 } },
+      });
+      expect(mockTicket.update.mock.invocationCallOrder[0]).toBeLessThan(
+        mockTicket.updateMany.mock.invocationCallOrder[0]
+      );
+    });
+
+    test("should offer free stock to the waitlist before the buyer", async () => {
+      mockWaitlistEntry.findMany.mockResolvedValueOnce([
+        { id: 3, userId: 9, ticketId: 1, quantity: 2 },
+      ]);
+      mockTicket.findUnique.mockResolvedValueOnce({
+        id: 1,
+        name: "VIP Ticket",
+        quantity: 2,
+        event: { name: "GiggleFest 2025", status: "published" },
+      });
+      mockTicket.updateMany
+        .mockResolvedValueOnce({ count: 1 })
+        .mockResolvedValueOnce({ count: 0 });
+      mockWaitlistEntry.updateMany.mockResolvedValueOnce({ count: 1 });
+      mockCart.findFirst.mockResolvedValueOnce(null);
+      mockCart.create.mockResolvedValueOnce({ id: 12 });
+
+      await expect(createPaymentWithReservation(paymentData)).rejects.toThrow(
+        "Not enough tickets available"
+      );
+      expect(mockWaitlistEntry.updateMany).toHaveBeenCalledWith({
+        where: { id: 3, status: "waiting" },
+        data: expect.objectContaining({
+          status: "offered",
+          offeredQuantity: 2,
+        }),
+      });
+      expect(mockPayment.create).not.toHaveBeenCalled();
+    });
+
+    test("should not create payment when stock cannot be reserved", async () => {
+      mockTicket.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(createPaymentWithReservation(paymentData)).rejects.toThrow(
+        "Not enough tickets available"
+      );
+      expect(mockPayment.create).not.toHaveBeenCalled();
+    });
+
+    test("should sell the chosen seats to the payment", async () => {
+      mockTicket.updateMany.mockResolvedValue({ count: 1 });
+      mockPayment.create.mockResolvedValue(createMockPayment({ id: 12 }));
+      mockEventSeat.updateMany.mockResolvedValueOnce({ count: 2 });
+
+      await createPaymentWithReservation({ ...paymentData, seatIds: [31, 32] });
+
+      expect(mockEventSeat.updateMany).toHaveBeenCalledWith({
+        where: {
+          id: { in: [31, 32] },
+          ticketId: 1,
+          OR: [
+            { status: "available" },
+            { status: "held", heldUntil: { lte: expect.any(Date) } },
+          ],
+        },
+        data: {
+          status: "sold",
+          heldUntil: null,
+          cartId: null,
+          paymentId: 12,
+        },
+      });
+    });
+
+    test("should fail when one of the seats was taken first", async () => {
+      mockTicket.updateMany.mockResolvedValue({ count: 1 });
+      mockPayment.create.mockResolvedValue(createMockPayment({ id: 12 }));
+      mockEventSeat.updateMany.mockResolvedValueOnce({ count: 1 });
+
+      await expect(
+        createPaymentWithReservation({ ...paymentData, seatIds: [31, 32] })
+      ).rejects.toThrow("Some of the selected seats are no longer available");
+    });
+
+    test("should not touch seats for general admission tickets", async () => {
+      mockTicket.updateMany.mockResolvedValue({ count: 1 });
+      mockPayment.create.mockResolvedValue(createMockPayment());
+
+      await createPaymentWithReservation(paymentData);
+
+      expect(mockEventSeat.updateMany).not.toHaveBeenCalled();
+      expect(mockPromoCode.update).not.toHaveBeenCalled();
+    });
+
+    test("should redeem the promo code for the payment", async () => {
+      mockTicket.updateMany.mockResolvedValueOnce({ count: 1 });
+      mockPayment.create.mockResolvedValueOnce(createMockPayment({ id: 12 }));
+      mockPromoCode.update.mockResolvedValueOnce({
+        id: 4,
+        usedCount: 3,
+        usageLimit: 10,
+        perUserLimit: 1,
+      });
+      mockRedemption.count.mockResolvedValueOnce(0);
+
+      await createPaymentWithReservation({
+        ...paymentData,
+        promoCodeId: 4,
+        discount: 20000,
+      });
+
+      expect(mockPromoCode.update).toHaveBeenCalledWith({
+        where: { id: 4 },
+        data: { usedCount: { increment: 1 } },
+      });
+      expect(mockRedemption.count).toHaveBeenCalledWith({
+        where: { promoCodeId: 4, userId: 1 },
+      });
+      expect(mockRedemption.create).toHaveBeenCalledWith({
+        data: { promoCodeId: 4, userId: 1, paymentId: 12, discount: 20000 },
+      });
+    });
+
+    test("should fail when the buyer has used up their promo code", async () => {
+      mockTicket.updateMany.mockResolvedValueOnce({ count: 1 });
+      mockPayment.create.mockResolvedValueOnce(createMockPayment({ id: 12 }));
+      mockPromoCode.update.mockResolvedValueOnce({
+        id: 4,
+        usedCount: 3,
+        usageLimit: null,
+        perUserLimit: 1,
+      });
+      mockRedemption.count.mockResolvedValueOnce(1);
+
+      await expect(
+        createPaymentWithReservation({ ...paymentData, promoCodeId: 4 })
+      ).rejects.toThrow("You have already used this promo code");
+      expect(mockRedemption.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("settlePayment", () => {
+    beforeEach(() => {
+      mockPrisma.$transaction.mockImplementation((fn) => fn(mockPrisma));
+    });
+
+    test("should only settle payments that are still open", async () => {
+      mockPayment.updateMany.mockResolvedValue({ count: 1 });
+      mockPayment.findUnique.mockResolvedValue(
+        createMockPayment({ status: "success", quantity: 2 })
+      );
+
+      await settlePayment("ORDER-1", "success");
+
+      expect(mockPayment.updateMany).toHaveBeenCalledWith({
+        where: {
+          orderId: "ORDER-1",
+          status: { in: ["pending", "challenge"] },
+        },
+        data: { status: "success" },
+      });
+      expect(mockTicket.update).not.toHaveBeenCalled();
+    });
+
+    test("should release reserved stock when payment fails", async () => {
+      mockPayment.updateMany.mockResolvedValue({ count: 1 });
+      mockPayment.findUnique.mockResolvedValue(
+        createMockPayment({ status: "failed", ticketId: 3, quantity: 2 })
+      );
+
+      await settlePayment("ORDER-1", "failed");
+
+      expect(mockTicket.update).toHaveBeenCalledWith({
+        where: { id: 3 },
+        data: { quantity: { increment: 2 }, sold: { decrement: 2 } },
+      });
+    });
+
+    test("should put the seats of a failed payment back on sale", async () => {
+      mockPayment.updateMany.mockResolvedValue({ count: 1 });
+      mockPayment.findUnique.mockResolvedValue(
+        createMockPayment({ id: 12, status: "failed", ticketId: 3 })
+      );
+
+      await settlePayment("ORDER-1", "failed");
+
+      expect(mockEventSeat.updateMany).toHaveBeenCalledWith({
+        where: { paymentId: 12 },
+        data: {
+          status: "available",
+          heldUntil: null,
+          cartId: null,
+          paymentId: null,
+        },
+      });
+    });
+
+    test("should give back the promo code use of a failed payment", async () => {
+      mockPayment.updateMany.mockResolvedValueOnce({ count: 1 });
+      mockPayment.findUnique.mockResolvedValueOnce(
+        createMockPayment({ id: 12, status: "failed", ticketId: 3 })
+      );
+      mockRedemption.findUnique.mockResolvedValueOnce({
+        id: 7,
+        promoCodeId: 4,
+        paymentId: 12,
+      });
+
+      await settlePayment("ORDER-1", "failed");
+
+      expect(mockRedemption.findUnique).toHaveBeenCalledWith({
+        where: { paymentId: 12 },
+      });
+      expect(mockRedemption.delete).toHaveBeenCalledWith({ where: { id: 7 } });
+      expect(mockPromoCode.update).toHaveBeenCalledWith({
+        where: { id: 4 },
+        data: { usedCount: { decrement: 1 } },
+      });
+    });
+
+    test("should release every line item of a failed order payment", async () => {
+      mockPayment.updateMany.mockResolvedValue({ count: 1 });
+      mockPayment.findUnique.mockResolvedValue(
+        createMockPayment({
+          status: "failed",
+          ticketId: null,
+          order: {
+            id: 9,
+            items: [
+              { ticketId: 5, quantity: 2 },
+              { ticketId: 6, quantity: 3 },
+            ],
+          },
+        })
+      );
+
+      await settlePayment("ORDER-1", "failed");
+
+      expect(mockOrderModel.update).toHaveBeenCalledWith({
+        where: { id: 9 },
+        data: { status: "failed" },
+      });
+      expect(mockTicket.update).toHaveBeenCalledWith({
+        where: { id: 5 },
+        data: { quantity: { increment: 2 }, sold: { decrement: 2 } },
+      });
+      expect(mockTicket.update).toHaveBeenCalledWith({
+        where: { id: 6 },
+        data: { quantity: { increment: 3 }, sold: { decrement: 3 } },
+      });
+      expect(mockWaitlistEntry.findMany).toHaveBeenCalledWith({
+        where: { ticketId: 5, status: "waiting" },
+        orderBy: { id: "asc" },
+      });
+      expect(mockWaitlistEntry.findMany).toHaveBeenCalledWith({
+        where: { ticketId: 6, status: "waiting" },
+        orderBy: { id: "asc" },
+      });
+    });
+
+    test("should mark the order paid when its payment succeeds", async () => {
+      mockPayment.updateMany.mockResolvedValue({ count: 1 });
+      mockPayment.findUnique.mockResolvedValue(
+        createMockPayment({
+          status: "success",
+          order: { id: 9, items: [{ ticketId: 5, quantity: 2 }] },
+        })
+      );
+
+      await settlePayment("ORDER-1", "success");
+
+      expect(mockOrderModel.update).toHaveBeenCalledWith({
+        where: { id: 9 },
+        data: { status: "paid" },
+      });
+      expect(mockTicket.update).not.toHaveBeenCalled();
+    });
+
+    test("should return null and leave stock alone if already settled", async () => {
+      mockPayment.updateMany.mockResolvedValue({ count: 0 });
+
+      const result = await settlePayment("ORDER-1", "failed");
+
+      expect(result).toBeNull();
+      expect(mockTicket.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("concurrent purchases", () => {
+    // In-memory stand-in for Postgres: every statement yields to the event
+    // loop first so concurrent transactions interleave, and each conditional
+    // UPDATE is applied atomically like a row-locked UPDATE ... WHERE.
+    const createInMemoryDatabase = (stock) => {
+      const db = { ticket: { id: 1, quantity: stock }, payments: [] };
+      const tick = () =>
+        new Promise((resolve) => setTimeout(resolve, Math.random() * 3));
+
+      const tx = {
+        ticket: {
+          updateMany: async ({ where, data }) => {
+            await tick();
+            if (db.ticket.quantity < where.quantity.gte) {
+              return { count: 0 };
+            }
+            db.ticket.quantity -= data.quantity.decrement;
+            return { count: 1 };
+          },
+          update: async ({ data }) => {
+            await tick();
+            db.ticket.quantity += data.quantity.increment;
+            return db.ticket;
+          },
+        },
+        payment: {
+          create: async ({ data }) => {
+            await tick();
+            const payment = {
+              ...data,
+              ticketId: data.ticket.connect.id,
+              userId: data.user.connect.id,
+            };
+            db.payments.push(payment);
+            return payment;
+          },
+          updateMany: async ({ where, data }) => {
+            await tick();
+            const payment = db.payments.find(
+              (item) =>
+                item.orderId === where.orderId &&
+                where.status.in.includes(item.status)
+            );
+            if (!payment) {
+              return { count: 0 };
+            }
+            payment.status = data.status;
+            return { count: 1 };
+          },
+          findUnique: async ({ where }) => {
+            await tick();
+            return db.payments.find((item) => item.orderId === where.orderId);
+          },
+        },
+        eventSeat: {
+          updateMany: async () => ({ count: 0 }),
+        },
+        cart: {
+          findMany: async () => [],
+        },
+        waitlistEntry: {
+          findMany: async () => [],
+        },
+        redemption: {
+          findUnique: async () => null,
+        },
+        bundleItem: {
+          findMany: async () => [],
+        },
+      };
+
+      mockPrisma.$transaction.mockImplementation((fn) => fn(tx));
+      return db;
+    };
+
+    const buy = (buyer, quantity) =>
+      createPaymentWithReservation({
+        userId: buyer,
+        ticketId: 1,
+        quantity,
+        amount: 100000 * quantity,
+        originalAmount: 100000 * quantity,
+        discount: 0,
+        status: "pending",
+        orderId: `ORDER-${buyer}`,
+      });
+
+    test("should never sell more seats than are in stock", async () => {
+      const db = createInMemoryDatabase(5);
+
+      const results = await Promise.allSettled(
+        Array.from({ length: 20 }, (_, index) => buy(index + 1, 1))
+      );
+
+      const succeeded = results.filter((r) => r.status === "fulfilled");
+      const rejected = results.filter((r) => r.status === "rejected");
+
+      expect(succeeded).toHaveLength(5);
+      expect(rejected).toHaveLength(15);
+      rejected.forEach((r) =>
+        expect(r.reason.message).toBe("Not enough tickets available")
+      );
+      expect(db.ticket.quantity).toBe(0);
+      expect(db.payments).toHaveLength(5);
+    });
+
+    test("should not oversell the last seats to multi-ticket orders", async () => {
+      const db = createInMemoryDatabase(3);
+
+      await Promise.allSettled(
+        Array.from({ length: 10 }, (_, index) => buy(index + 1, 2))
+      );
+
+      const sold = db.payments.reduce((sum, p) => sum + p.quantity, 0);
+      expect(sold).toBe(2);
+      expect(db.ticket.quantity).toBe(1);
+    });
+
+    test("should return released seats exactly once when failures race", async () => {
+      const db = createInMemoryDatabase(2);
+      await buy(1, 2);
+
+      await Promise.all([
+        settlePayment("ORDER-1", "failed"),
+        settlePayment("ORDER-1", "failed"),
+        settlePayment("ORDER-1", "failed"),
+      ]);
+
+      expect(db.ticket.quantity).toBe(2);
+    });
+
+    test("should let a new buyer take seats released by a failed payment", async () => {
+      const db = createInMemoryDatabase(1);
+      await buy(1, 1);
+
+      await expect(buy(2, 1)).rejects.toThrow("Not enough tickets available");
+      await settlePayment("ORDER-1", "failed");
+      await buy(3, 1);
+
+      expect(db.ticket.quantity).toBe(0);
+      expect(db.payments.map((p) => p.orderId)).toEqual([
+        "ORDER-1",
+        "ORDER-3",
+      ]);
+    });
+  });
+
+  describe("aggregateEventSales", () => {
+    test("should group successful payments and paid order items by ticket", async () => {
+      mockPayment.groupBy.mockResolvedValue([
+        {
+          ticketId: 1,
+          _sum: { quantity: 2, originalAmount: 200000, discount: 20000 },
+        },
+      ]);
+      mockOrderItem.groupBy.mockResolvedValue([
+        {
+          ticketId: 1,
+          _sum: { quantity: 3, subtotal: 300000, discount: 0 },
+        },
+        {
+          ticketId: 2,
+          _sum: { quantity: null, subtotal: null, discount: null },
+        },
+      ]);
+
+      mockPayment.findMany.mockResolvedValueOnce([]);
+
+      const result = await aggregateEventSales(5);
+
+      expect(mockPayment.groupBy).toHaveBeenCalledWith({
+        by: ["ticketId"],
+        where: {
+          status: {
+            in: [
+              "success",
+              "refund_requested",
+              "partially_refunded",
+              "refunded",
+            ],
+          },
+          ticket: { eventId: 5 },
+        },
+        _sum: {
+          quantity: true,
+          originalAmount: true,
+          discount: true,
+        },
+      });
+      expect(mockOrderItem.groupBy).toHaveBeenCalledWith({
+        by: ["ticketId"],
+        where: {
+          order: { status: { in: ["paid", "refunded"] } },
+          ticket: { eventId: 5 },
+        },
+        _sum: {
+          quantity: true,
+          subtotal: true,
+          discount: true,
+        },
+      });
+      expect(result).toEqual([
+        {
+          ticketId: 1,
+          quantity: 2,
+          gross: 200000,
+          discount: 20000,
+          refunded: 0,
+        },
+        { ticketId: 1, quantity: 3, gross: 300000, discount: 0, refunded: 0 },
+        { ticketId: 2, quantity: 0, gross: 0, discount: 0, refunded: 0 },
+      ]);
+    });
+
+    test("should take completed refunds back off the ticket types", async () => {
+      mockPayment.groupBy.mockResolvedValueOnce([]);
+      mockOrderItem.groupBy.mockResolvedValueOnce([]);
+      mockPayment.findMany.mockResolvedValueOnce([
+        {
+          ticketId: null,
+          order: {
+            items: [
+              { ticketId: 1, quantity: 2, subtotal: 200000, discount: 20000 },
+              { ticketId: 2, quantity: 1, subtotal: 50000, discount: 0 },
+            ],
+          },
+          refunds: [{ amount: 90000, issuedTicketIds: [21] }],
+          issuedTickets: [
+            { id: 21, ticketId: 1, bundleId: null },
+            { id: 22, ticketId: 1, bundleId: null },
+            { id: 23, ticketId: 2, bundleId: null },
+          ],
+        },
+      ]);
+
+      const result = await aggregateEventSales(5);
+
+      expect(mockPayment.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: {
+            refunds: { some: { status: "refunded" } },
+            OR: [
+              { ticket: { eventId: 5 } },
+              { order: { items: { some: { ticket: { eventId: 5 } } } } },
+            ],
+          },
+        })
+      );
+      expect(result).toEqual([
+        { ticketId: 1, quantity: -1, gross: 0, discount: 0, refunded: 90000 },
+      ]);
+    });
+  });
+
+  describe("findPaymentIdsByEvent", () => {
+    test("should match direct and cart payments for the event", async () => {
+      mockPayment.findMany.mockResolvedValueOnce([{ id: 5 }, { id: 6 }]);
+
+      const result = await findPaymentIdsByEvent(1, ["success"]);
+
+      expect(mockPayment.findMany).toHaveBeenCalledWith({
+        where: {
+          status: { in: ["success"] },
+          OR: [
+            { ticket: { eventId: 1 } },
+            { order: { items: { some: { ticket: { eventId: 1 } } } } },
+          ],
+        },
+        select: { id: true },
+        orderBy: { id: "asc" },
+      });
+      expect(result).toEqual([{ id: 5 }, { id: 6 }]);
+    });
+  });
 });
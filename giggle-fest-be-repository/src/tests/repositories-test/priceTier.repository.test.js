@@ -0,0 +1,105 @@
+/**
+ * @jest-environment node
+ */
+import { jest } from "@jest/globals";
+
+// ---------------------------
+// Create mock functions
+// ---------------------------
+const mockPriceTier = {
+  findMany: jest.fn(),
+  deleteMany: jest.fn(),
+  createMany: jest.fn(),
+};
+
+const mockPrisma = {
+  priceTier: mockPriceTier,
+  $transaction: jest.fn((fn) => fn(mockPrisma)),
+};
+
+// ---------------------------
+// Mock @prisma/client module
+// ---------------------------
+jest.unstable_mockModule("@prisma/client", () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+}));
+
+// ---------------------------
+// Import repository after mock setup
+// ---------------------------
+const { findTiersByTicketIds, replaceTicketTiers } =
+  await import("../../repositories/priceTier.repository.js");
+
+// ---------------------------
+// Test Suite
+// ---------------------------
+describe("Price Tier Repository", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.$transaction.mockImplementation((fn) => fn(mockPrisma));
+  });
+
+  describe("findTiersByTicketIds", () => {
+    test("should list the tiers of the tickets in order", async () => {
+      mockPriceTier.findMany.mockResolvedValueOnce([{ id: 1, ticketId: 5 }]);
+
+      const result = await findTiersByTicketIds([5, 6]);
+
+      expect(mockPriceTier.findMany).toHaveBeenCalledWith({
+        where: { ticketId: { in: [5, 6] } },
+        orderBy: { id: "asc" },
+      });
+      expect(result).toEqual([{ id: 1, ticketId: 5 }]);
+    });
+  });
+
+  describe("replaceTicketTiers", () => {
+    test("should swap the ticket's tiers for the new ones", async () => {
+      mockPriceTier.findMany.mockResolvedValueOnce([{ id: 3 }, { id: 4 }]);
+
+      const result = await replaceTicketTiers(5, [
+        {
+          name: "Early bird",
+          price: 75000,
+          endsAt: "2026-01-10T00:00:00.000Z",
+        },
+        { name: "First 100", price: 80000, maxSold: 100 },
+      ]);
+
+      expect(mockPrisma.$transaction).toHaveBeenCalledTimes(1);
+      expect(mockPriceTier.deleteMany).toHaveBeenCalledWith({
+        where: { ticketId: 5 },
+      });
+      expect(mockPriceTier.createMany).toHaveBeenCalledWith({
+        data: [
+          {
+            ticketId: 5,
+            name: "Early bird",
+            price: 75000,
+            startsAt: null,
+            endsAt: new Date("2026-01-10T00:00:00.000Z"),
+            maxSold: null,
+          },
+          {
+            ticketId: 5,
+            name: "First 100",
+            price: 80000,
+            startsAt: null,
+            endsAt: null,
+            maxSold: 100,
+          },
+        ],
+      });
+      expect(result).toEqual([{ id: 3 }, { id: 4 }]);
+    });
+
+    test("should clear the tiers when given none", async () => {
+      mockPriceTier.findMany.mockResolvedValueOnce([]);
+
+      expect(await replaceTicketTiers(5, [])).toEqual([]);
+      expect(mockPriceTier.deleteMany).toHaveBeenCalledWith({
+        where: { ticketId: 5 },
+      });
+    });
+  });
+});
@@ -13,10 +13,32 @@ const mockPromoCode = {
   update: jest.fn(),
   delete: jest.fn(),
   count: jest.fn(),
+  createMany: jest.fn(),
+};
+
+const mockPromoCampaign = {
+  create: jest.fn(),
+  findUnique: jest.fn(),
+};
+
+const mockRedemption = {
+  count: jest.fn(),
+  create: jest.fn(),
+  findUnique: jest.fn(),
+  delete: jest.fn(),
+  aggregate: jest.fn(),
+};
+
+const mockOrder = {
+  count: jest.fn(),
 };
 
 const mockPrisma = {
   promoCode: mockPromoCode,
+  promoCampaign: mockPromoCampaign,
+  redemption: mockRedemption,
+  order: mockOrder,
+  $transaction: jest.fn((fn) => fn(mockPrisma)),
 };
 
 // ---------------------------
@@ -36,6 +58,14 @@ const {
   findPromoCodeById,
   updatePromoCode,
   deletePromoCode,
+  isPromoCodeUsed,
+  countUserRedemptions,
+  redeemPromoCode,
+  releasePromoRedemption,
+  createPromoCampaign,
+  findPromoCampaignById,
+  getCampaignUsage,
+  findCampaignCodeExportBatch,
 } = await import("../../repositories/promo.repository.js");
 
 // ---------------------------
@@ -44,6 +74,7 @@ const {
 describe("Promo Repository", () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    mockPrisma.$transaction.mockImplementation((fn) => fn(mockPrisma));
   });
 
   // Helper function to create mock promo code
@@ -188,6 +219,68 @@ describe("Promo Repository", () => {
     });
   });
 
+  describe("createPromoCode with an organization", () => {
+    test("should store the owning organization", async () => {
+      mockPromoCode.create.mockResolvedValue(
+        createMockPromoCode({ organizationId: 3 })
+      );
+
+      await createPromoCode({
+        code: "org10",
+        discount: 10,
+        validFrom: "2025-06-01T00:00:00.000Z",
+        validTo: "2025-08-31T23:59:59.000Z",
+        organizationId: 3,
+      });
+
+      expect(mockPromoCode.create).toHaveBeenCalledWith({
+        data: {
+          code: "ORG10",
+          discount: 10,
+          validFrom: new Date("2025-06-01T00:00:00.000Z"),
+          validTo: new Date("2025-08-31T23:59:59.000Z"),
+          organizationId: 3,
+        },
+      });
+    });
+  });
+
+  describe("createPromoCode with rules", () => {
+    test("should store the discount type, limits and scope", async () => {
+      mockPromoCode.create.mockResolvedValue(createMockPromoCode());
+
+      await createPromoCode({
+        code: "vip50",
+        discountType: "fixed",
+        discount: 50000,
+        minOrderAmount: 200000,
+        usageLimit: 100,
+        perUserLimit: 1,
+        eventIds: [2],
+        ticketIds: [5, 6],
+        categoryIds: [],
+        validFrom: "2025-06-01T00:00:00.000Z",
+        validTo: "2025-08-31T23:59:59.000Z",
+      });
+
+      expect(mockPromoCode.create).toHaveBeenCalledWith({
+        data: {
+          code: "VIP50",
+          discountType: "fixed",
+          discount: 50000,
+          minOrderAmount: 200000,
+          usageLimit: 100,
+          perUserLimit: 1,
+          eventIds: [2],
+          ticketIds: [5, 6],
+          categoryIds: [],
+          validFrom: new Date("2025-06-01T00:00:00.000Z"),
+          validTo: new Date("2025-08-31T23:59:59.000Z"),
+        },
+      });
+    });
+  });
+
   describe("findAllPromoCodes", () => {
     test("should return paginated promo codes", async () => {
       const options = { page: 1, limit: 10 };
@@ -204,10 +297,11 @@ describe("Promo Repository", () => {
       const result = await findAllPromoCodes(options);
 
       expect(mockPromoCode.count).toHaveBeenCalledTimes(1);
-      expect(mockPromoCode.count).toHaveBeenCalledWith();
+      expect(mockPromoCode.count).toHaveBeenCalledWith({ where: {} });
 
       expect(mockPromoCode.findMany).toHaveBeenCalledTimes(1);
       expect(mockPromoCode.findMany).toHaveBeenCalledWith({
+        where: {},
         skip: 0,
         take: 10,
         orderBy: {
@@ -237,6 +331,7 @@ describe("Promo Repository", () => {
       const result = await findAllPromoCodes(options);
 
       expect(mockPromoCode.findMany).toHaveBeenCalledWith({
+        where: {},
         skip: 5, // (page 2 - 1) * 5
         take: 5,
         orderBy: {
@@ -261,6 +356,7 @@ describe("Promo Repository", () => {
       const result = await findAllPromoCodes(options);
 
       expect(mockPromoCode.findMany).toHaveBeenCalledWith({
+        where: {},
         skip: 0,
         take: 10,
         orderBy: {
@@ -281,6 +377,7 @@ describe("Promo Repository", () => {
       const result = await findAllPromoCodes(options);
 
       expect(mockPromoCode.findMany).toHaveBeenCalledWith({
+        where: {},
         skip: 30, // (3 - 1) * 15
         take: 15,
         orderBy: {
@@ -335,6 +432,21 @@ describe("Promo Repository", () => {
       // Math.ceil(20 / 7) = 3
       expect(result.meta.totalPages).toBe(3);
     });
+  
+    test("should only count and list promos of the given organizations", async () => {
+      mockPromoCode.count.mockResolvedValue(1);
+      mockPromoCode.findMany.mockResolvedValue([
+        createMockPromoCode({ organizationId: 3 }),
+      ]);
+
+      await findAllPromoCodes({ page: 1, limit: 10, organizationIds: [3] });
+
+      const where = { organizationId: { in: [3] } };
+      expect(mockPromoCode.count).toHaveBeenCalledWith({ where });
+      expect(mockPromoCode.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({ where })
+      );
+    });
   });
 
   describe("findPromoCodeByCode", () => {
@@ -700,4 +812,248 @@ describe("Promo Repository", () => {
       expect(mockPromoCode.delete).toHaveBeenCalledTimes(2);
     });
   });
+
+  describe("isPromoCodeUsed", () => {
+    test("should count the redemptions and orders of the code", async () => {
+      mockRedemption.count.mockResolvedValueOnce(0);
+      mockOrder.count.mockResolvedValueOnce(1);
+
+      expect(await isPromoCodeUsed(4)).toBe(true);
+      expect(mockRedemption.count).toHaveBeenCalledWith({
+        where: { promoCodeId: 4 },
+      });
+      expect(mockOrder.count).toHaveBeenCalledWith({
+        where: { promoCodeId: 4 },
+      });
+    });
+
+    test("should return false for a code nobody used", async () => {
+      mockRedemption.count.mockResolvedValueOnce(0);
+      mockOrder.count.mockResolvedValueOnce(0);
+
+      expect(await isPromoCodeUsed(4)).toBe(false);
+    });
+  });
+
+  describe("countUserRedemptions", () => {
+    test("should count the user's uses of the promo code", async () => {
+      mockRedemption.count.mockResolvedValueOnce(2);
+
+      expect(await countUserRedemptions(1, 7)).toBe(2);
+      expect(mockRedemption.count).toHaveBeenCalledWith({
+        where: { promoCodeId: 1, userId: 7 },
+      });
+    });
+  });
+
+  describe("redeemPromoCode", () => {
+    const redemption = {
+      promoCodeId: 1,
+      userId: 7,
+      paymentId: 12,
+      discount: 50000,
+    };
+
+    test("should count the use and record the redemption", async () => {
+      mockPromoCode.update.mockResolvedValueOnce(
+        createMockPromoCode({ usedCount: 5, usageLimit: 5 })
+      );
+      mockRedemption.create.mockResolvedValueOnce({ id: 3, ...redemption });
+
+      const result = await redeemPromoCode(mockPrisma, redemption);
+
+      expect(mockPromoCode.update).toHaveBeenCalledWith({
+        where: { id: 1 },
+        data: { usedCount: { increment: 1 } },
+      });
+      expect(mockRedemption.count).not.toHaveBeenCalled();
+      expect(mockRedemption.create).toHaveBeenCalledWith({
+        data: redemption,
+      });
+      expect(result.id).toBe(3);
+    });
+
+    test("should refuse a use past the usage limit", async () => {
+      mockPromoCode.update.mockResolvedValueOnce(
+        createMockPromoCode({ usedCount: 6, usageLimit: 5 })
+      );
+
+      await expect(redeemPromoCode(mockPrisma, redemption)).rejects.toThrow(
+        "Promo code has reached its usage limit"
+      );
+      expect(mockRedemption.create).not.toHaveBeenCalled();
+    });
+
+    test("should refuse a user past their own limit", async () => {
+      mockPromoCode.update.mockResolvedValueOnce(
+        createMockPromoCode({ usedCount: 2, perUserLimit: 1 })
+      );
+      mockRedemption.count.mockResolvedValueOnce(1);
+
+      await expect(redeemPromoCode(mockPrisma, redemption)).rejects.toThrow(
+        "You have already used this promo code"
+      );
+      expect(mockRedemption.count).toHaveBeenCalledWith({
+        where: { promoCodeId: 1, userId: 7 },
+      });
+    });
+  });
+
+  describe("releasePromoRedemption", () => {
+    test("should remove the redemption and give the use back", async () => {
+      mockRedemption.findUnique.mockResolvedValueOnce({
+        id: 3,
+        promoCodeId: 1,
+        paymentId: 12,
+      });
+
+      await releasePromoRedemption(mockPrisma, 12);
+
+      expect(mockRedemption.delete).toHaveBeenCalledWith({ where: { id: 3 } });
+      expect(mockPromoCode.update).toHaveBeenCalledWith({
+        where: { id: 1 },
+        data: { usedCount: { decrement: 1 } },
+      });
+    });
+
+    test("should do nothing for a payment without a promo code", async () => {
+      mockRedemption.findUnique.mockResolvedValueOnce(null);
+
+      expect(await releasePromoRedemption(mockPrisma, 12)).toBeNull();
+      expect(mockPromoCode.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("createPromoCampaign", () => {
+    const rules = { discount: 10, usageLimit: 1, organizationId: null };
+    let sequence;
+    const generateCode = () => `CODE${++sequence}`;
+
+    beforeEach(() => {
+      sequence = 0;
+    });
+
+    test("should create the campaign and its codes in batches", async () => {
+      mockPromoCampaign.create.mockResolvedValueOnce({ id: 4 });
+      mockPromoCode.createMany
+        .mockResolvedValueOnce({ count: 1000 })
+        .mockResolvedValueOnce({ count: 500 });
+
+      const result = await createPromoCampaign(
+        { name: "Partner", codeCount: 1500 },
+        rules,
+        generateCode
+      );
+
+      // thousands of codes take longer than Prisma's default timeout
+      expect(mockPrisma.$transaction).toHaveBeenCalledWith(
+        expect.any(Function),
+        { timeout: 60000 }
+      );
+      expect(mockPromoCampaign.create).toHaveBeenCalledWith({
+        data: { name: "Partner", codeCount: 1500 },
+      });
+      expect(mockPromoCode.createMany).toHaveBeenCalledTimes(2);
+      const { data, skipDuplicates } =
+        mockPromoCode.createMany.mock.calls[0][0];
+      expect(skipDuplicates).toBe(true);
+      expect(data).toHaveLength(1000);
+      expect(data[0]).toEqual({ ...rules, code: "CODE1", campaignId: 4 });
+      expect(mockPromoCode.createMany.mock.calls[1][0].data).toHaveLength(500);
+      expect(result).toEqual({ id: 4 });
+    });
+
+    test("should replace codes that already existed", async () => {
+      mockPromoCampaign.create.mockResolvedValueOnce({ id: 4 });
+      mockPromoCode.createMany
+        .mockResolvedValueOnce({ count: 3 })
+        .mockResolvedValueOnce({ count: 2 });
+
+      await createPromoCampaign(
+        { name: "Partner", codeCount: 5 },
+        rules,
+        generateCode
+      );
+
+      // two of the first five codes were taken, so two more are made
+      expect(mockPromoCode.createMany.mock.calls[1][0].data).toEqual([
+        { ...rules, code: "CODE6", campaignId: 4 },
+        { ...rules, code: "CODE7", campaignId: 4 },
+      ]);
+    });
+
+    test("should give up when no new code can be made", async () => {
+      mockPromoCampaign.create.mockResolvedValueOnce({ id: 4 });
+      mockPromoCode.createMany.mockResolvedValueOnce({ count: 0 });
+
+      await expect(
+        createPromoCampaign({ name: "Partner", codeCount: 5 }, rules, () => "X")
+      ).rejects.toThrow("Could not generate unique promo codes");
+    });
+  });
+
+  describe("findPromoCampaignById", () => {
+    test("should find the campaign by id", async () => {
+      mockPromoCampaign.findUnique.mockResolvedValueOnce({ id: 4 });
+
+      expect(await findPromoCampaignById(4)).toEqual({ id: 4 });
+      expect(mockPromoCampaign.findUnique).toHaveBeenCalledWith({
+        where: { id: 4 },
+      });
+    });
+  });
+
+  describe("getCampaignUsage", () => {
+    test("should count redeemed codes and sum their discounts", async () => {
+      mockPromoCode.count.mockResolvedValueOnce(120);
+      mockRedemption.aggregate.mockResolvedValueOnce({
+        _sum: { discount: 3000000 },
+      });
+
+      const result = await getCampaignUsage(4);
+
+      expect(mockPromoCode.count).toHaveBeenCalledWith({
+        where: { campaignId: 4, usedCount: { gt: 0 } },
+      });
+      expect(mockRedemption.aggregate).toHaveBeenCalledWith({
+        where: { promoCode: { campaignId: 4 } },
+        _sum: { discount: true },
+      });
+      expect(result).toEqual({ redeemedCodes: 120, totalDiscount: 3000000 });
+    });
+
+    test("should report no discount before the first redemption", async () => {
+      mockPromoCode.count.mockResolvedValueOnce(0);
+      mockRedemption.aggregate.mockResolvedValueOnce({
+        _sum: { discount: null },
+      });
+
+      expect(await getCampaignUsage(4)).toEqual({
+        redeemedCodes: 0,
+        totalDiscount: 0,
+      });
+    });
+  });
+
+  describe("findCampaignCodeExportBatch", () => {
+    test("should read the campaign's codes after the last id", async () => {
+      mockPromoCode.findMany.mockResolvedValueOnce([{ id: 21 }]);
+
+      await findCampaignCodeExportBatch(4, { afterId: 20, take: 500 });
+
+      expect(mockPromoCode.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: { campaignId: 4, id: { gt: 20 } },
+          take: 500,
+          orderBy: { id: "asc" },
+        })
+      );
+      expect(
+        mockPromoCode.findMany.mock.calls[0][0].include.redemptions.include
+      ).toEqual({
+        user: { select: { id: true, name: true, email: true } },
+        payment: { select: { orderId: true } },
+      });
+    });
+  });
 });
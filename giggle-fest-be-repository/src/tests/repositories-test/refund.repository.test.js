@@ -0,0 +1,459 @@
+/**
+ * @jest-environment node
+ */
+import { jest } from "@jest/globals";
+
+// ---------------------------
+// Create mock functions
+// ---------------------------
+const mockRefund = {
+  create: jest.fn(),
+  findUnique: jest.fn(),
+  findMany: jest.fn(),
+  count: jest.fn(),
+  aggregate: jest.fn(),
+  update: jest.fn(),
+  updateMany: jest.fn(),
+};
+
+const mockPayment = {
+  update: jest.fn(),
+  updateMany: jest.fn(),
+};
+
+const mockIssuedTicket = {
+  findMany: jest.fn(),
+  updateMany: jest.fn(),
+};
+
+const mockOrder = {
+  update: jest.fn(),
+};
+
+const mockTicket = {
+  update: jest.fn(),
+};
+
+const mockEventSeat = {
+  updateMany: jest.fn(),
+};
+
+// nobody is waiting for a ticket unless a test says so
+const mockWaitlistEntry = {
+  findMany: jest.fn(() => Promise.resolve([])),
+};
+
+// tickets are not bundles unless a test says so
+const mockBundleItem = {
+  findMany: jest.fn(() => Promise.resolve([])),
+};
+
+const mockPrisma = {
+  bundleItem: mockBundleItem,
+  refund: mockRefund,
+  payment: mockPayment,
+  issuedTicket: mockIssuedTicket,
+  order: mockOrder,
+  ticket: mockTicket,
+  eventSeat: mockEventSeat,
+  waitlistEntry: mockWaitlistEntry,
+  $transaction: jest.fn((fn) => fn(mockPrisma)),
+};
+
+// ---------------------------
+// Mock @prisma/client module
+// ---------------------------
+jest.unstable_mockModule("@prisma/client", () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+}));
+
+// ---------------------------
+// Import repository after mock setup
+// ---------------------------
+const {
+  createRefundRequest,
+  findRefundById,
+  findRefunds,
+  sumRefundedAmount,
+  transitionRefund,
+  hasOpenRefund,
+  rejectRefund,
+  completeRefund,
+} = await import("../../repositories/refund.repository.js");
+
+// ---------------------------
+// Test Suite
+// ---------------------------
+describe("Refund Repository", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.$transaction.mockImplementation((fn) => fn(mockPrisma));
+  });
+
+  const refund = {
+    id: 9,
+    paymentId: 5,
+    issuedTicketIds: [21, 22],
+    amount: 180000,
+    payment: { id: 5, orderId: "ORDER-ABC", orderRecordId: 3 },
+  };
+
+  const review = {
+    reviewedById: 1,
+    reviewNote: "OK",
+    reviewedAt: new Date("2025-06-01T00:00:00Z"),
+  };
+
+  describe("createRefundRequest", () => {
+    const data = {
+      paymentId: 5,
+      userId: 3,
+      issuedTicketIds: [21, 22],
+      amount: 180000,
+      reason: "Cannot attend",
+      refundKey: "ORDER-ABC-REFUND-1234",
+    };
+
+    test("should flag the payment and create the request", async () => {
+      mockPayment.updateMany.mockResolvedValueOnce({ count: 1 });
+      mockRefund.create.mockResolvedValueOnce({ id: 9, ...data });
+
+      const result = await createRefundRequest(data, ["success"]);
+
+      expect(mockPayment.updateMany).toHaveBeenCalledWith({
+        where: { id: 5, status: { in: ["success"] } },
+        data: { status: "refund_requested" },
+      });
+      expect(mockRefund.create).toHaveBeenCalledWith({
+        data,
+        include: expect.any(Object),
+      });
+      expect(result.id).toBe(9);
+    });
+
+    test("should refuse when the payment was already flagged", async () => {
+      mockPayment.updateMany.mockResolvedValueOnce({ count: 0 });
+
+      await expect(createRefundRequest(data, ["success"])).rejects.toThrow(
+        "A refund is already pending for this payment"
+      );
+      expect(mockRefund.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("findRefundById", () => {
+    test("should find a refund with its payment and user", async () => {
+      mockRefund.findUnique.mockResolvedValueOnce(refund);
+
+      const result = await findRefundById(9);
+
+      expect(mockRefund.findUnique).toHaveBeenCalledWith({
+        where: { id: 9 },
+        include: {
+          payment: expect.any(Object),
+          user: expect.any(Object),
+        },
+      });
+      expect(result).toEqual(refund);
+    });
+  });
+
+  describe("findRefunds", () => {
+    test("should filter by user and status and paginate", async () => {
+      mockRefund.count.mockResolvedValueOnce(11);
+      mockRefund.findMany.mockResolvedValueOnce([refund]);
+
+      const result = await findRefunds({
+        page: "2",
+        limit: "5",
+        status: "requested",
+        userId: 3,
+      });
+
+      expect(mockRefund.findMany).toHaveBeenCalledWith({
+        where: { userId: 3, status: "requested" },
+        skip: 5,
+        take: 5,
+        include: expect.any(Object),
+        orderBy: { createdAt: "desc" },
+      });
+      expect(result.meta).toEqual({
+        page: 2,
+        limit: 5,
+        total: 11,
+        totalPages: 3,
+      });
+    });
+
+    test("should list every refund without filters", async () => {
+      mockRefund.count.mockResolvedValueOnce(0);
+      mockRefund.findMany.mockResolvedValueOnce([]);
+
+      await findRefunds({});
+
+      expect(mockRefund.count).toHaveBeenCalledWith({ where: {} });
+    });
+  });
+
+  describe("sumRefundedAmount", () => {
+    test("should add up completed refunds", async () => {
+      mockRefund.aggregate.mockResolvedValueOnce({ _sum: { amount: 90000 } });
+
+      const result = await sumRefundedAmount(5);
+
+      expect(mockRefund.aggregate).toHaveBeenCalledWith({
+        where: { paymentId: 5, status: "refunded" },
+        _sum: { amount: true },
+      });
+      expect(result).toBe(90000);
+    });
+
+    test("should return 0 when nothing was refunded", async () => {
+      mockRefund.aggregate.mockResolvedValueOnce({ _sum: { amount: null } });
+
+      expect(await sumRefundedAmount(5)).toBe(0);
+    });
+  });
+
+  describe("hasOpenRefund", () => {
+    test("should look for the ticket on requested or processing refunds", async () => {
+      mockRefund.count.mockResolvedValueOnce(1);
+
+      expect(await hasOpenRefund(21)).toBe(true);
+      expect(mockRefund.count).toHaveBeenCalledWith({
+        where: {
+          status: { in: ["requested", "processing"] },
+          issuedTicketIds: { has: 21 },
+        },
+      });
+    });
+
+    test("should return false when no open refund lists the ticket", async () => {
+      mockRefund.count.mockResolvedValueOnce(0);
+
+      expect(await hasOpenRefund(21)).toBe(false);
+    });
+  });
+
+  describe("transitionRefund", () => {
+    test("should only move a refund out of the expected status", async () => {
+      mockRefund.updateMany.mockResolvedValueOnce({ count: 1 });
+
+      const result = await transitionRefund(9, "requested", {
+        status: "processing",
+      });
+
+      expect(mockRefund.updateMany).toHaveBeenCalledWith({
+        where: { id: 9, status: "requested" },
+        data: { status: "processing" },
+      });
+      expect(result).toBe(true);
+    });
+
+    test("should return false when the refund already moved", async () => {
+      mockRefund.updateMany.mockResolvedValueOnce({ count: 0 });
+
+      expect(await transitionRefund(9, "requested", {})).toBe(false);
+    });
+  });
+
+  describe("rejectRefund", () => {
+    test("should reject the refund and restore the payment", async () => {
+      mockRefund.updateMany.mockResolvedValueOnce({ count: 1 });
+      mockRefund.findUnique.mockResolvedValueOnce({
+        ...refund,
+        status: "rejected",
+      });
+
+      const result = await rejectRefund(refund, review, "success");
+
+      expect(mockRefund.updateMany).toHaveBeenCalledWith({
+        where: { id: 9, status: "requested" },
+        data: { status: "rejected", ...review },
+      });
+      expect(mockPayment.update).toHaveBeenCalledWith({
+        where: { id: 5 },
+        data: { status: "success" },
+      });
+      expect(result.status).toBe("rejected");
+    });
+
+    test("should not touch the payment when the refund was already reviewed", async () => {
+      mockRefund.updateMany.mockResolvedValueOnce({ count: 0 });
+
+      await expect(rejectRefund(refund, review, "success")).rejects.toThrow(
+        "Refund request is not pending"
+      );
+      expect(mockPayment.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("completeRefund", () => {
+    test("should void the tickets and put them back on sale", async () => {
+      mockIssuedTicket.findMany.mockResolvedValueOnce([
+        { id: 21, ticketId: 10 },
+        { id: 22, ticketId: 10 },
+      ]);
+      mockRefund.update.mockResolvedValueOnce({
+        ...refund,
+        status: "refunded",
+      });
+
+      const result = await completeRefund(refund, review, "refunded");
+
+      expect(mockIssuedTicket.findMany).toHaveBeenCalledWith({
+        where: { id: { in: [21, 22] }, status: "valid" },
+        select: {
+          id: true,
+          ticketId: true,
+          bundleId: true,
+          eventSeatId: true,
+        },
+      });
+      expect(mockIssuedTicket.updateMany).toHaveBeenCalledWith({
+        where: { id: { in: [21, 22] } },
+        data: { status: "void" },
+      });
+      expect(mockTicket.update).toHaveBeenCalledTimes(1);
+      expect(mockTicket.update).toHaveBeenCalledWith({
+        where: { id: 10 },
+        data: { quantity: { increment: 2 }, sold: { decrement: 2 } },
+      });
+      expect(mockPayment.update).toHaveBeenCalledWith({
+        where: { id: 5 },
+        data: { status: "refunded" },
+      });
+      expect(mockOrder.update).toHaveBeenCalledWith({
+        where: { id: 3 },
+        data: { status: "refunded" },
+      });
+      expect(mockRefund.update).toHaveBeenCalledWith({
+        where: { id: 9 },
+        data: { status: "refunded", ...review },
+        include: expect.any(Object),
+      });
+      expect(result.status).toBe("refunded");
+    });
+
+    test("should leave the order alone on a partial refund", async () => {
+      mockIssuedTicket.findMany.mockResolvedValueOnce([
+        { id: 21, ticketId: 10 },
+      ]);
+      mockRefund.update.mockResolvedValueOnce(refund);
+
+      await completeRefund(refund, review, "partially_refunded");
+
+      expect(mockPayment.update).toHaveBeenCalledWith({
+        where: { id: 5 },
+        data: { status: "partially_refunded" },
+      });
+      expect(mockOrder.update).not.toHaveBeenCalled();
+    });
+
+    test("should not release stock for tickets used in the meantime", async () => {
+      mockIssuedTicket.findMany.mockResolvedValueOnce([]);
+      mockRefund.update.mockResolvedValueOnce(refund);
+
+      await completeRefund(refund, review, "refunded");
+
+      expect(mockTicket.update).not.toHaveBeenCalled();
+      expect(mockWaitlistEntry.findMany).not.toHaveBeenCalled();
+    });
+
+    test("should offer the returned stock to the ticket's waitlist", async () => {
+      mockIssuedTicket.findMany.mockResolvedValueOnce([
+        { id: 21, ticketId: 10 },
+        { id: 22, ticketId: 11 },
+      ]);
+      mockRefund.update.mockResolvedValueOnce(refund);
+
+      await completeRefund(refund, review, "refunded");
+
+      expect(mockWaitlistEntry.findMany).toHaveBeenCalledTimes(2);
+      expect(mockWaitlistEntry.findMany).toHaveBeenCalledWith({
+        where: { ticketId: 10, status: "waiting" },
+        orderBy: { id: "asc" },
+      });
+      expect(mockWaitlistEntry.findMany).toHaveBeenCalledWith({
+        where: { ticketId: 11, status: "waiting" },
+        orderBy: { id: "asc" },
+      });
+    });
+
+    test("should put a refunded bundle back on sale as a bundle", async () => {
+      // a family pack of 2 adult and 1 child ticket, bought twice
+      const stock = {
+        7: { quantity: 8, sold: 2 },
+        10: { quantity: 16, sold: 4 },
+        11: { quantity: 28, sold: 2 },
+      };
+      const returnStock = async ({ where, data }) => {
+        stock[where.id].quantity += data.quantity.increment;
+        stock[where.id].sold -= data.sold.decrement;
+        return stock[where.id];
+      };
+      mockTicket.update
+        .mockImplementationOnce(returnStock)
+        .mockImplementationOnce(returnStock)
+        .mockImplementationOnce(returnStock);
+      const components = [
+        { bundleId: 7, ticketId: 10, quantity: 2 },
+        { bundleId: 7, ticketId: 11, quantity: 1 },
+      ];
+      mockBundleItem.findMany
+        .mockResolvedValueOnce(components)
+        .mockResolvedValueOnce(components);
+      mockIssuedTicket.findMany.mockResolvedValueOnce([
+        { id: 21, ticketId: 10, bundleId: 7 },
+        { id: 22, ticketId: 10, bundleId: 7 },
+        { id: 23, ticketId: 11, bundleId: 7 },
+      ]);
+      mockRefund.update.mockResolvedValueOnce(refund);
+
+      await completeRefund(refund, review, "partially_refunded");
+
+      expect(stock).toEqual({
+        7: { quantity: 9, sold: 1 },
+        10: { quantity: 18, sold: 2 },
+        11: { quantity: 29, sold: 1 },
+      });
+      // the bundle has no waitlist, its components may
+      expect(mockWaitlistEntry.findMany).toHaveBeenCalledTimes(2);
+      expect(mockWaitlistEntry.findMany).toHaveBeenCalledWith({
+        where: { ticketId: 10, status: "waiting" },
+        orderBy: { id: "asc" },
+      });
+    });
+
+    test("should put the seats of refunded seated tickets back on sale", async () => {
+      mockIssuedTicket.findMany.mockResolvedValueOnce([
+        { id: 21, ticketId: 10, eventSeatId: 31 },
+        { id: 22, ticketId: 10, eventSeatId: 32 },
+      ]);
+      mockRefund.update.mockResolvedValueOnce(refund);
+
+      await completeRefund(refund, review, "refunded");
+
+      expect(mockEventSeat.updateMany).toHaveBeenCalledWith({
+        where: { id: { in: [31, 32] } },
+        data: {
+          status: "available",
+          heldUntil: null,
+          cartId: null,
+          paymentId: null,
+        },
+      });
+    });
+
+    test("should leave seats alone for general admission tickets", async () => {
+      mockIssuedTicket.findMany.mockResolvedValueOnce([
+        { id: 21, ticketId: 10, eventSeatId: null },
+      ]);
+      mockRefund.update.mockResolvedValueOnce(refund);
+
+      await completeRefund(refund, review, "refunded");
+
+      expect(mockEventSeat.updateMany).not.toHaveBeenCalled();
+    });
+  });
+});
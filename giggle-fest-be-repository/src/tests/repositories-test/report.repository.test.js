@@ -0,0 +1,117 @@
+/**
+ * @jest-environment node
+ */
+import { jest } from "@jest/globals";
+
+// ---------------------------
+// Create mock functions
+// ---------------------------
+const mockTicket = {
+  findMany: jest.fn(),
+};
+
+const mockPrisma = {
+  ticket: mockTicket,
+  $queryRaw: jest.fn(),
+};
+
+// ---------------------------
+// Mock @prisma/client module
+// ---------------------------
+jest.unstable_mockModule("@prisma/client", () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+  Prisma: {
+    sql: jest.fn((strings, ...values) => ({ sql: strings.join("?"), values })),
+  },
+}));
+
+// ---------------------------
+// Import repository after mock setup
+// ---------------------------
+const { findReportTickets, aggregateReportSales, countReportPayments } =
+  await import("../../repositories/report.repository.js");
+
+// ---------------------------
+// Test Suite
+// ---------------------------
+describe("Report Repository", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("findReportTickets", () => {
+    test("should filter tickets by their event", async () => {
+      mockTicket.findMany.mockResolvedValue([]);
+
+      await findReportTickets({ organizationId: { in: [3] } });
+
+      expect(mockTicket.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({
+          where: {
+            event: { organizationId: { in: [3] } },
+          },
+          orderBy: [{ eventId: "asc" }, { id: "asc" }],
+        })
+      );
+    });
+  });
+
+  // the query and its values, with the shared sale lines fragment first
+  const lastQuery = () => {
+    const [strings, lines, ...values] = mockPrisma.$queryRaw.mock.calls[0];
+    return { sql: strings.join("?"), lines, values };
+  };
+
+  const from = new Date("2025-01-01T00:00:00Z");
+  const to = new Date("2025-01-31T23:59:59Z");
+
+  describe("aggregateReportSales", () => {
+    test("should group sales by ticket, day and status", async () => {
+      const rows = [{ ticketId: 10, day: "2025-01-02", status: "success" }];
+      mockPrisma.$queryRaw.mockResolvedValueOnce(rows);
+
+      const result = await aggregateReportSales({
+        ticketIds: [10, 11],
+        from,
+        to,
+      });
+
+      const { sql, lines, values } = lastQuery();
+      expect(lines.values).toEqual([from, from, to, to, [10, 11], [10, 11]]);
+      expect(lines.sql).toContain('"OrderItem"');
+      expect(sql).toContain('"Refund"');
+      expect(sql).toContain("GROUP BY 1, 2, 3");
+      expect(values).toEqual([[10, 11]]);
+      expect(result).toBe(rows);
+    });
+
+    test("should pass no dates without a range", async () => {
+      mockPrisma.$queryRaw.mockResolvedValueOnce([]);
+
+      await aggregateReportSales({ ticketIds: [10] });
+
+      expect(lastQuery().lines.values).toEqual([
+        null,
+        null,
+        null,
+        null,
+        [10],
+        [10],
+      ]);
+    });
+  });
+
+  describe("countReportPayments", () => {
+    test("should count payments per ticket, event and overall", async () => {
+      mockPrisma.$queryRaw.mockResolvedValueOnce([]);
+
+      await countReportPayments({ ticketIds: [10, 11], from, to });
+
+      const { sql, lines, values } = lastQuery();
+      expect(lines.values).toEqual([from, from, to, to, [10, 11], [10, 11]]);
+      expect(sql).toContain('COUNT(DISTINCT l."paymentId")');
+      expect(sql).toContain("GROUPING SETS");
+      expect(values).toEqual([[10, 11]]);
+    });
+  });
+});
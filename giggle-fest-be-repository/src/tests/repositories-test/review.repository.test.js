@@ -37,6 +37,7 @@ const {
   findReviewsByUser,
   updateReview,
   deleteReview,
+  findReviewExportBatch,
 } = await import("../../repositories/review.repository.js");
 
 // ---------------------------
@@ -728,6 +729,48 @@ describe("Review Repository", () => {
     });
   });
 
+  describe("findReviewExportBatch", () => {
+    test("should page reviews with the reviewer's email", async () => {
+      mockReview.findMany.mockResolvedValue([]);
+
+      await findReviewExportBatch({ ticketId: 2 }, { afterId: 0, take: 500 });
+
+      expect(mockReview.findMany).toHaveBeenCalledWith({
+        where: { ticketId: 2, id: { gt: 0 } },
+        take: 500,
+        include: {
+          user: {
+            select: {
+              id: true,
+              name: true,
+              email: true,
+            },
+          },
+          ticket: {
+            select: {
+              id: true,
+              name: true,
+              event: true,
+            },
+          },
+        },
+        orderBy: {
+          id: "asc",
+        },
+      });
+    });
+
+    test("should filter by reviewer", async () => {
+      mockReview.findMany.mockResolvedValue([]);
+
+      await findReviewExportBatch({ userId: 5 }, { take: 100 });
+
+      expect(mockReview.findMany).toHaveBeenCalledWith(
+        expect.objectContaining({ where: { userId: 5, id: { gt: 0 } } })
+      );
+    });
+  });
+
   describe("updateReview", () => {
     test("should update review with user authorization", async () => {
       const reviewId = 1;
@@ -0,0 +1,415 @@
+/**
+ * @jest-environment node
+ */
+import { jest } from "@jest/globals";
+
+// ---------------------------
+// Create mock functions
+// ---------------------------
+const mockEventSeat = {
+  createMany: jest.fn(),
+  deleteMany: jest.fn(),
+  findMany: jest.fn(),
+  count: jest.fn(),
+  updateMany: jest.fn(),
+};
+
+const mockCart = {
+  deleteMany: jest.fn(),
+};
+
+const mockTicket = {
+  update: jest.fn(),
+};
+
+const mockEvent = {
+  update: jest.fn(),
+};
+
+const mockWaitlistEntry = {
+  updateMany: jest.fn(),
+};
+
+const mockPrisma = {
+  eventSeat: mockEventSeat,
+  cart: mockCart,
+  ticket: mockTicket,
+  event: mockEvent,
+  waitlistEntry: mockWaitlistEntry,
+  $transaction: jest.fn((fn) => fn(mockPrisma)),
+};
+
+// ---------------------------
+// Mock @prisma/client module
+// ---------------------------
+jest.unstable_mockModule("@prisma/client", () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+}));
+
+// ---------------------------
+// Import repository after mock setup
+// ---------------------------
+const {
+  replaceEventSeating,
+  findEventSeats,
+  countTicketSeats,
+  holdSeats,
+  extendCartSeats,
+  sellCartSeats,
+  sellSeats,
+  releaseCartSeats,
+  releasePaymentSeats,
+  releaseSeats,
+} = await import("../../repositories/seat.repository.js");
+
+// ---------------------------
+// Test Suite
+// ---------------------------
+describe("Seat Repository", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.$transaction.mockImplementation((fn) => fn(mockPrisma));
+  });
+
+  const now = new Date("2026-01-01T00:00:00.000Z");
+  const released = {
+    status: "available",
+    heldUntil: null,
+    cartId: null,
+    paymentId: null,
+  };
+
+  describe("replaceEventSeating", () => {
+    test("should swap the layout and size each ticket type to its seats", async () => {
+      mockEvent.update.mockResolvedValueOnce({ id: 4, venueId: 2 });
+
+      const result = await replaceEventSeating(4, {
+        venueId: 2,
+        seatMap: { stage: "north" },
+        assignments: [
+          { ticketId: 10, seatIds: [1, 2] },
+          { ticketId: 11, seatIds: [3] },
+        ],
+      });
+
+      expect(mockCart.deleteMany).toHaveBeenCalledWith({
+        where: {
+          OR: [
+            { seats: { some: { eventId: 4 } } },
+            { ticketId: { in: [10, 11] } },
+          ],
+        },
+      });
+      expect(mockEventSeat.deleteMany).toHaveBeenCalledWith({
+        where: { eventId: 4 },
+      });
+      expect(mockEventSeat.createMany).toHaveBeenCalledWith({
+        data: [
+          { eventId: 4, seatId: 1, ticketId: 10 },
+          { eventId: 4, seatId: 2, ticketId: 10 },
+          { eventId: 4, seatId: 3, ticketId: 11 },
+        ],
+      });
+      expect(mockTicket.update).toHaveBeenCalledWith({
+        where: { id: 10 },
+        data: { quantity: 2 },
+      });
+      expect(mockTicket.update).toHaveBeenCalledWith({
+        where: { id: 11 },
+        data: { quantity: 1 },
+      });
+      expect(mockEvent.update).toHaveBeenCalledWith({
+        where: { id: 4 },
+        data: { venueId: 2, seatMap: { stage: "north" } },
+        include: { venue: true },
+      });
+      expect(result).toEqual({ id: 4, venueId: 2 });
+    });
+
+    test("should drop the holds and waitlists of the ticket types being seated", async () => {
+      mockEvent.update.mockResolvedValueOnce({ id: 4, venueId: 2 });
+
+      await replaceEventSeating(4, {
+        venueId: 2,
+        seatMap: null,
+        assignments: [{ ticketId: 10, seatIds: [1, 2] }],
+      });
+
+      // general admission holds and offers would otherwise check out without
+      // a seat, or push the stock past the seats when they run out
+      expect(mockWaitlistEntry.updateMany).toHaveBeenCalledWith({
+        where: {
+          ticketId: { in: [10] },
+          status: { in: ["waiting", "offered"] },
+        },
+        data: { status: "expired" },
+      });
+      expect(mockCart.deleteMany).toHaveBeenCalledWith({
+        where: {
+          OR: [{ seats: { some: { eventId: 4 } } }, { ticketId: { in: [10] } }],
+        },
+      });
+    });
+  });
+
+  describe("findEventSeats", () => {
+    test("should list the event's seats in section, row and number order", async () => {
+      mockEventSeat.findMany.mockResolvedValueOnce([]);
+
+      await findEventSeats(4);
+
+      expect(mockEventSeat.findMany).toHaveBeenCalledWith({
+        where: { eventId: 4 },
+        include: { seat: true },
+        orderBy: [
+          { seat: { section: "asc" } },
+          { seat: { row: "asc" } },
+          { seat: { number: "asc" } },
+        ],
+      });
+    });
+  });
+
+  describe("countTicketSeats", () => {
+    test("should count the seats of a ticket type", async () => {
+      mockEventSeat.count.mockResolvedValueOnce(120);
+
+      expect(await countTicketSeats(10)).toBe(120);
+      expect(mockEventSeat.count).toHaveBeenCalledWith({
+        where: { ticketId: 10 },
+      });
+    });
+  });
+
+  describe("holdSeats", () => {
+    const hold = {
+      eventSeatIds: [1, 2],
+      ticketId: 10,
+      cartId: 7,
+      heldUntil: new Date("2026-01-01T00:15:00.000Z"),
+      now,
+    };
+
+    test("should only hold seats that are free or whose hold ran out", async () => {
+      mockEventSeat.updateMany.mockResolvedValueOnce({ count: 2 });
+
+      expect(await holdSeats(mockPrisma, hold)).toBe(true);
+      expect(mockEventSeat.updateMany).toHaveBeenCalledWith({
+        where: {
+          id: { in: [1, 2] },
+          ticketId: 10,
+          OR: [
+            { status: "available" },
+            { status: "held", heldUntil: { lte: now } },
+          ],
+        },
+        data: {
+          status: "held",
+          heldUntil: hold.heldUntil,
+          cartId: 7,
+        },
+      });
+    });
+
+    test("should report a partial hold", async () => {
+      mockEventSeat.updateMany.mockResolvedValueOnce({ count: 1 });
+
+      expect(await holdSeats(mockPrisma, hold)).toBe(false);
+    });
+  });
+
+  describe("extendCartSeats", () => {
+    test("should move the item's held seats onto its new hold", async () => {
+      const heldUntil = new Date("2026-01-01T00:15:00.000Z");
+
+      await extendCartSeats(mockPrisma, 7, heldUntil);
+
+      expect(mockEventSeat.updateMany).toHaveBeenCalledWith({
+        where: { cartId: 7, status: "held" },
+        data: { heldUntil },
+      });
+    });
+  });
+
+  describe("sellCartSeats", () => {
+    test("should sell the cart item's seats that are still held", async () => {
+      mockEventSeat.updateMany.mockResolvedValueOnce({ count: 2 });
+
+      expect(await sellCartSeats(mockPrisma, 7, 12, now)).toBe(2);
+      expect(mockEventSeat.updateMany).toHaveBeenCalledWith({
+        where: { cartId: 7, status: "held", heldUntil: { gt: now } },
+        data: {
+          status: "sold",
+          heldUntil: null,
+          cartId: null,
+          paymentId: 12,
+        },
+      });
+    });
+  });
+
+  describe("sellSeats", () => {
+    test("should sell free seats straight to a payment", async () => {
+      mockEventSeat.updateMany.mockResolvedValueOnce({ count: 1 });
+
+      const sold = await sellSeats(mockPrisma, {
+        eventSeatIds: [1],
+        ticketId: 10,
+        paymentId: 12,
+        now,
+      });
+
+      expect(sold).toBe(true);
+      expect(mockEventSeat.updateMany).toHaveBeenCalledWith({
+        where: {
+          id: { in: [1] },
+          ticketId: 10,
+          OR: [
+            { status: "available" },
+            { status: "held", heldUntil: { lte: now } },
+          ],
+        },
+        data: {
+          status: "sold",
+          heldUntil: null,
+          cartId: null,
+          paymentId: 12,
+        },
+      });
+    });
+  });
+
+  describe("releasing seats", () => {
+    test("should release the seats a cart item holds", async () => {
+      await releaseCartSeats(mockPrisma, 7);
+
+      expect(mockEventSeat.updateMany).toHaveBeenCalledWith({
+        where: { cartId: 7, status: "held" },
+        data: released,
+      });
+    });
+
+    test("should release the seats sold to a payment", async () => {
+      await releasePaymentSeats(mockPrisma, 12);
+
+      expect(mockEventSeat.updateMany).toHaveBeenCalledWith({
+        where: { paymentId: 12 },
+        data: released,
+      });
+    });
+
+    test("should release seats by id", async () => {
+      await releaseSeats(mockPrisma, [1, 2]);
+
+      expect(mockEventSeat.updateMany).toHaveBeenCalledWith({
+        where: { id: { in: [1, 2] } },
+        data: released,
+      });
+    });
+  });
+
+  describe("concurrent holds", () => {
+    // In-memory stand-in for Postgres: every statement yields first so the
+    // buyers interleave, and each conditional UPDATE is applied atomically
+    // like a row-locked UPDATE ... WHERE.
+    const createInMemorySeats = (count) => {
+      const seats = Array.from({ length: count }, (_, i) => ({
+        id: i + 1,
+        ticketId: 10,
+        status: "available",
+        heldUntil: null,
+        cartId: null,
+      }));
+      const tick = () =>
+        new Promise((resolve) => setTimeout(resolve, Math.random() * 3));
+
+      const isFree = (seat, where) =>
+        where.OR.some(
+          (condition) =>
+            seat.status === condition.status &&
+            (!condition.heldUntil || seat.heldUntil <= condition.heldUntil.lte)
+        );
+
+      const tx = {
+        eventSeat: {
+          updateMany: async ({ where, data }) => {
+            await tick();
+            const matched = seats.filter(
+              (seat) =>
+                where.id.in.includes(seat.id) &&
+                seat.ticketId === where.ticketId &&
+                isFree(seat, where)
+            );
+            matched.forEach((seat) => Object.assign(seat, data));
+            return { count: matched.length };
+          },
+        },
+      };
+
+      // a hold spanning seats that were partly taken rolls back
+      const hold = async (cartId, eventSeatIds) => {
+        const before = seats.map((seat) => ({ ...seat }));
+        const held = await holdSeats(tx, {
+          eventSeatIds,
+          ticketId: 10,
+          cartId,
+          heldUntil: new Date("2026-01-01T00:15:00.000Z"),
+          now,
+        });
+        if (!held) {
+          before.forEach((seat, i) => {
+            if (seats[i].cartId === cartId) Object.assign(seats[i], seat);
+          });
+        }
+        return held;
+      };
+
+      return { seats, hold };
+    };
+
+    test("should never give one seat to two buyers", async () => {
+      const { seats, hold } = createInMemorySeats(4);
+
+      const results = await Promise.all(
+        Array.from({ length: 12 }, (_, i) => hold(i + 1, [(i % 4) + 1]))
+      );
+
+      expect(results.filter(Boolean)).toHaveLength(4);
+      seats.forEach((seat) => expect(seat.status).toBe("held"));
+      expect(new Set(seats.map((seat) => seat.cartId)).size).toBe(4);
+    });
+
+    test("should hold all or none of a buyer's seats", async () => {
+      const { seats, hold } = createInMemorySeats(4);
+      const pairs = [
+        [1, 2],
+        [2, 3],
+        [3, 4],
+        [4, 1],
+        [1, 3],
+        [2, 4],
+      ];
+
+      const results = await Promise.all(
+        pairs.map((pair, i) => hold(i + 1, pair))
+      );
+
+      results.forEach((held, i) => {
+        const owned = seats.filter((seat) => seat.cartId === i + 1);
+        expect(owned.map((seat) => seat.id)).toEqual(
+          held ? [...pairs[i]].sort() : []
+        );
+      });
+    });
+
+    test("should let a seat go to the next buyer once a hold runs out", async () => {
+      const { seats, hold } = createInMemorySeats(1);
+      seats[0].status = "held";
+      seats[0].cartId = 1;
+      seats[0].heldUntil = new Date("2025-12-31T23:59:00.000Z");
+
+      expect(await hold(2, [1])).toBe(true);
+      expect(seats[0].cartId).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,235 @@
+/**
+ * @jest-environment node
+ */
+import { jest } from "@jest/globals";
+
+// ---------------------------
+// Create mock functions
+// ---------------------------
+const mockSession = {
+  create: jest.fn(),
+  findUnique: jest.fn(),
+  findMany: jest.fn(),
+  update: jest.fn(),
+  updateMany: jest.fn(),
+};
+
+const mockRefreshToken = {
+  findUnique: jest.fn(),
+  updateMany: jest.fn(),
+  create: jest.fn(),
+};
+
+const mockPrisma = {
+  session: mockSession,
+  refreshToken: mockRefreshToken,
+  $transaction: jest.fn((callback) => callback(mockPrisma)),
+};
+
+// ---------------------------
+// Mock @prisma/client module
+// ---------------------------
+jest.unstable_mockModule("@prisma/client", () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+}));
+
+// ---------------------------
+// Import repository after mock setup
+// ---------------------------
+const {
+  createSession,
+  findSessionById,
+  findActiveSessionsByUser,
+  touchSession,
+  findRefreshTokenByHash,
+  rotateRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+} = await import("../../repositories/session.repository.js");
+
+// ---------------------------
+// Test Suite
+// ---------------------------
+describe("Session Repository", () => {
+  const expiresAt = new Date("2026-12-01T00:00:00Z");
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("createSession", () => {
+    test("should create the session with its first refresh token", async () => {
+      mockSession.create.mockResolvedValue({ id: 9 });
+
+      const result = await createSession({
+        userId: 1,
+        userAgent: "Mozilla/5.0",
+        ipAddress: "10.0.0.1",
+        refreshTokenHash: "hash",
+        refreshTokenExpiresAt: expiresAt,
+      });
+
+      expect(mockSession.create).toHaveBeenCalledWith({
+        data: {
+          userAgent: "Mozilla/5.0",
+          ipAddress: "10.0.0.1",
+          mfa: false,
+          user: { connect: { id: 1 } },
+          refreshTokens: {
+            create: { tokenHash: "hash", expiresAt },
+          },
+        },
+      });
+      expect(result).toEqual({ id: 9 });
+    });
+  });
+
+  describe("findSessionById", () => {
+    test("should look the session up by id", async () => {
+      mockSession.findUnique.mockResolvedValue({ id: 9 });
+
+      const result = await findSessionById(9);
+
+      expect(mockSession.findUnique).toHaveBeenCalledWith({
+        where: { id: 9 },
+      });
+      expect(result).toEqual({ id: 9 });
+    });
+  });
+
+  describe("findActiveSessionsByUser", () => {
+    test("should list unrevoked sessions, most recently seen first", async () => {
+      mockSession.findMany.mockResolvedValue([{ id: 9 }]);
+
+      const result = await findActiveSessionsByUser(1);
+
+      expect(mockSession.findMany).toHaveBeenCalledWith({
+        where: { userId: 1, revokedAt: null },
+        select: {
+          id: true,
+          userAgent: true,
+          ipAddress: true,
+          createdAt: true,
+          lastSeenAt: true,
+        },
+        orderBy: { lastSeenAt: "desc" },
+      });
+      expect(result).toEqual([{ id: 9 }]);
+    });
+  });
+
+  describe("touchSession", () => {
+    test("should bump lastSeenAt", async () => {
+      mockSession.update.mockResolvedValue({ id: 9 });
+
+      await touchSession(9);
+
+      expect(mockSession.update).toHaveBeenCalledWith({
+        where: { id: 9 },
+        data: { lastSeenAt: expect.any(Date) },
+      });
+    });
+  });
+
+  describe("findRefreshTokenByHash", () => {
+    test("should include the session and its user", async () => {
+      mockRefreshToken.findUnique.mockResolvedValue(null);
+
+      await findRefreshTokenByHash("hash");
+
+      expect(mockRefreshToken.findUnique).toHaveBeenCalledWith({
+        where: { tokenHash: "hash" },
+        include: {
+          session: {
+            include: {
+              user: {
+                select: { id: true, email: true, role: true },
+              },
+            },
+          },
+        },
+      });
+    });
+  });
+
+  describe("rotateRefreshToken", () => {
+    test("should mark the old token used and create its successor", async () => {
+      mockRefreshToken.updateMany.mockResolvedValue({ count: 1 });
+      mockRefreshToken.create.mockResolvedValue({ id: 4 });
+
+      const result = await rotateRefreshToken(3, {
+        sessionId: 9,
+        tokenHash: "next-hash",
+        expiresAt,
+      });
+
+      expect(mockRefreshToken.updateMany).toHaveBeenCalledWith({
+        where: { id: 3, usedAt: null },
+        data: { usedAt: expect.any(Date) },
+      });
+      expect(mockSession.update).toHaveBeenCalledWith({
+        where: { id: 9 },
+        data: { lastSeenAt: expect.any(Date) },
+      });
+      expect(mockRefreshToken.create).toHaveBeenCalledWith({
+        data: {
+          tokenHash: "next-hash",
+          expiresAt,
+          session: { connect: { id: 9 } },
+        },
+      });
+      expect(result).toEqual({ id: 4 });
+    });
+
+    test("should return null when the token was already used", async () => {
+      mockRefreshToken.updateMany.mockResolvedValue({ count: 0 });
+
+      const result = await rotateRefreshToken(3, {
+        sessionId: 9,
+        tokenHash: "next-hash",
+        expiresAt,
+      });
+
+      expect(result).toBeNull();
+      expect(mockRefreshToken.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("revokeSession", () => {
+    test("should revoke an active session of the given user", async () => {
+      mockSession.updateMany.mockResolvedValue({ count: 1 });
+
+      await revokeSession(9, 1);
+
+      expect(mockSession.updateMany).toHaveBeenCalledWith({
+        where: { id: 9, userId: 1, revokedAt: null },
+        data: { revokedAt: expect.any(Date) },
+      });
+    });
+
+    test("should revoke by id alone when no user is given", async () => {
+      mockSession.updateMany.mockResolvedValue({ count: 1 });
+
+      await revokeSession(9);
+
+      expect(mockSession.updateMany).toHaveBeenCalledWith({
+        where: { id: 9, revokedAt: null },
+        data: { revokedAt: expect.any(Date) },
+      });
+    });
+  });
+
+  describe("revokeUserSessions", () => {
+    test("should revoke every active session of the user", async () => {
+      mockSession.updateMany.mockResolvedValue({ count: 2 });
+
+      const result = await revokeUserSessions(1);
+
+      expect(mockSession.updateMany).toHaveBeenCalledWith({
+        where: { userId: 1, revokedAt: null },
+        data: { revokedAt: expect.any(Date) },
+      });
+      expect(result).toEqual({ count: 2 });
+    });
+  });
+});
@@ -13,10 +13,18 @@ const mockTicket = {
   update: jest.fn(),
   delete: jest.fn(),
   count: jest.fn(),
+  updateMany: jest.fn(),
+};
+
+const mockBundleItem = {
+  findMany: jest.fn(),
+  count: jest.fn(),
 };
 
 const mockPrisma = {
   ticket: mockTicket,
+  bundleItem: mockBundleItem,
+  $executeRaw: jest.fn(),
 };
 
 // ---------------------------
@@ -37,6 +45,11 @@ const {
   deleteTicket,
   findTicketsByCategory,
   findTicketsByEvent,
+  findBundleInfo,
+  countBundlesContaining,
+  reserveTicketStock,
+  releaseTicketStock,
+  backfillTicketSold,
 } = await import("../../repositories/ticket.repository.js");
 
 // ---------------------------
@@ -47,6 +60,16 @@ describe("Ticket Repository", () => {
     jest.clearAllMocks();
   });
 
+  const ticketInclude = {
+    event: true,
+    category: true,
+    bundleItems: {
+      include: {
+        ticket: { select: { id: true, name: true, quantity: true } },
+      },
+    },
+  };
+
   // Helper function to create mock event
   const createMockEvent = (overrides = {}) => ({
     id: 1,
@@ -106,10 +129,7 @@ describe("Ticket Repository", () => {
       expect(mockTicket.create).toHaveBeenCalledTimes(1);
       expect(mockTicket.create).toHaveBeenCalledWith({
         data: ticketData,
-        include: {
-          event: true,
-          category: true,
-        },
+        include: ticketInclude,
       });
 
       expect(result).toEqual(expectedTicket);
@@ -160,6 +180,25 @@ describe("Ticket Repository", () => {
     });
   });
 
+  describe("createTicket with bundle items", () => {
+    test("should create the bundle's items with it", async () => {
+      mockTicket.create.mockResolvedValueOnce(createMockTicket());
+
+      await createTicket({
+        name: "Friends Pass",
+        bundleItems: [{ ticketId: 2, quantity: 4 }],
+      });
+
+      expect(mockTicket.create).toHaveBeenCalledWith({
+        data: {
+          name: "Friends Pass",
+          bundleItems: { create: [{ ticketId: 2, quantity: 4 }] },
+        },
+        include: ticketInclude,
+      });
+    });
+  });
+
   describe("findAllTickets", () => {
     test("should return paginated tickets with basic parameters", async () => {
       const params = { page: 1, limit: 10 };
@@ -186,10 +225,7 @@ describe("Ticket Repository", () => {
         orderBy: {
           createdAt: "desc",
         },
-        include: {
-          event: true,
-          category: true,
-        },
+        include: ticketInclude,
       });
 
       expect(result.tickets).toEqual(mockTickets);
@@ -475,10 +511,7 @@ describe("Ticket Repository", () => {
         orderBy: {
           createdAt: "desc",
         },
-        include: {
-          event: true,
-          category: true,
-        },
+        include: ticketInclude,
       });
     });
 
@@ -553,10 +586,7 @@ describe("Ticket Repository", () => {
 
       expect(mockTicket.findMany).toHaveBeenCalledWith(
         expect.objectContaining({
-          include: {
-            event: true,
-            category: true,
-          },
+          include: ticketInclude,
         })
       );
     });
@@ -574,10 +604,7 @@ describe("Ticket Repository", () => {
       expect(mockTicket.findUnique).toHaveBeenCalledTimes(1);
       expect(mockTicket.findUnique).toHaveBeenCalledWith({
         where: { id: ticketId },
-        include: {
-          event: true,
-          category: true,
-        },
+        include: ticketInclude,
       });
 
       expect(result).toEqual(expectedTicket);
@@ -635,10 +662,7 @@ describe("Ticket Repository", () => {
       expect(mockTicket.update).toHaveBeenCalledWith({
         where: { id: ticketId },
         data: updateData,
-        include: {
-          event: true,
-          category: true,
-        },
+        include: ticketInclude,
       });
 
       expect(result).toEqual(updatedTicket);
@@ -805,10 +829,7 @@ describe("Ticket Repository", () => {
       expect(mockTicket.findMany).toHaveBeenCalledTimes(1);
       expect(mockTicket.findMany).toHaveBeenCalledWith({
         where: { categoryId: 1 },
-        include: {
-          event: true,
-          category: true,
-        },
+        include: ticketInclude,
         orderBy: {
           createdAt: "desc",
         },
@@ -853,10 +874,7 @@ describe("Ticket Repository", () => {
 
       expect(mockTicket.findMany).toHaveBeenCalledWith(
         expect.objectContaining({
-          include: {
-            event: true,
-            category: true,
-          },
+          include: ticketInclude,
         })
       );
     });
@@ -892,10 +910,7 @@ describe("Ticket Repository", () => {
       expect(mockTicket.findMany).toHaveBeenCalledTimes(1);
       expect(mockTicket.findMany).toHaveBeenCalledWith({
         where: { eventId: 1 },
-        include: {
-          event: true,
-          category: true,
-        },
+        include: ticketInclude,
         orderBy: {
           createdAt: "desc",
         },
@@ -940,10 +955,7 @@ describe("Ticket Repository", () => {
 
       expect(mockTicket.findMany).toHaveBeenCalledWith(
         expect.objectContaining({
-          include: {
-            event: true,
-            category: true,
-          },
+          include: ticketInclude,
         })
       );
     });
@@ -962,4 +974,153 @@ describe("Ticket Repository", () => {
       );
     });
   });
+
+  describe("updateTicket with bundle items", () => {
+    test("should replace what the ticket bundles", async () => {
+      mockTicket.update.mockResolvedValueOnce(createMockTicket());
+
+      await updateTicket(5, { bundleItems: [{ ticketId: 2, quantity: 1 }] });
+
+      expect(mockTicket.update).toHaveBeenCalledWith({
+        where: { id: 5 },
+        data: {
+          bundleItems: {
+            deleteMany: {},
+            create: [{ ticketId: 2, quantity: 1 }],
+          },
+        },
+        include: ticketInclude,
+      });
+    });
+  });
+
+  describe("findBundleInfo", () => {
+    test("should count each ticket's bundle items and seats", async () => {
+      mockTicket.findMany.mockResolvedValueOnce([]);
+
+      await findBundleInfo([2, 3]);
+
+      expect(mockTicket.findMany).toHaveBeenCalledWith({
+        where: { id: { in: [2, 3] } },
+        select: {
+          id: true,
+          name: true,
+          eventId: true,
+          _count: {
+            select: { bundleItems: true, bundledIn: true, seats: true },
+          },
+        },
+      });
+    });
+  });
+
+  describe("countBundlesContaining", () => {
+    test("should count the bundles the ticket is part of", async () => {
+      mockBundleItem.count.mockResolvedValueOnce(2);
+
+      expect(await countBundlesContaining(3)).toBe(2);
+      expect(mockBundleItem.count).toHaveBeenCalledWith({
+        where: { ticketId: 3 },
+      });
+    });
+  });
+
+  describe("reserveTicketStock", () => {
+    const festivalAndCamping = [
+      { bundleId: 5, ticketId: 1, quantity: 1 },
+      { bundleId: 5, ticketId: 2, quantity: 2 },
+    ];
+
+    test("should take the stock of a ticket", async () => {
+      mockTicket.updateMany.mockResolvedValueOnce({ count: 1 });
+      mockBundleItem.findMany.mockResolvedValueOnce([]);
+
+      expect(await reserveTicketStock(mockPrisma, 1, 3)).toBe(true);
+      expect(mockTicket.updateMany).toHaveBeenCalledWith({
+        where: { id: 1, quantity: { gte: 3 } },
+        data: { quantity: { decrement: 3 }, sold: { increment: 3 } },
+      });
+    });
+
+    test("should take a bundle's stock from every component", async () => {
+      mockTicket.updateMany
+        .mockResolvedValueOnce({ count: 1 })
+        .mockResolvedValueOnce({ count: 1 })
+        .mockResolvedValueOnce({ count: 1 });
+      mockBundleItem.findMany.mockResolvedValueOnce(festivalAndCamping);
+
+      expect(await reserveTicketStock(mockPrisma, 5, 2)).toBe(true);
+      expect(mockTicket.updateMany).toHaveBeenCalledTimes(3);
+      expect(mockTicket.updateMany).toHaveBeenNthCalledWith(3, {
+        where: { id: 2, quantity: { gte: 4 } },
+        data: { quantity: { decrement: 4 }, sold: { increment: 4 } },
+      });
+      expect(mockTicket.update).not.toHaveBeenCalled();
+    });
+
+    test("should take nothing when a component has run out", async () => {
+      mockTicket.updateMany
+        .mockResolvedValueOnce({ count: 1 })
+        .mockResolvedValueOnce({ count: 1 })
+        .mockResolvedValueOnce({ count: 0 });
+      mockBundleItem.findMany.mockResolvedValueOnce(festivalAndCamping);
+
+      expect(await reserveTicketStock(mockPrisma, 5, 2)).toBe(false);
+      expect(mockTicket.update).toHaveBeenCalledTimes(2);
+      expect(mockTicket.update).toHaveBeenCalledWith({
+        where: { id: 1 },
+        data: { quantity: { increment: 2 }, sold: { decrement: 2 } },
+      });
+      expect(mockTicket.update).toHaveBeenCalledWith({
+        where: { id: 5 },
+        data: { quantity: { increment: 2 }, sold: { decrement: 2 } },
+      });
+    });
+
+    test("should not look at components when the bundle has run out", async () => {
+      mockTicket.updateMany.mockResolvedValueOnce({ count: 0 });
+
+      expect(await reserveTicketStock(mockPrisma, 5, 2)).toBe(false);
+      expect(mockBundleItem.findMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("releaseTicketStock", () => {
+    test("should give a bundle's stock back to it and its components", async () => {
+      mockBundleItem.findMany.mockResolvedValueOnce([
+        { bundleId: 5, ticketId: 2, quantity: 4 },
+      ]);
+
+      await releaseTicketStock(mockPrisma, 5, 1);
+
+      expect(mockTicket.update).toHaveBeenCalledWith({
+        where: { id: 2 },
+        data: { quantity: { increment: 4 }, sold: { decrement: 4 } },
+      });
+      expect(mockTicket.update).toHaveBeenCalledWith({
+        where: { id: 5 },
+        data: { quantity: { increment: 1 }, sold: { decrement: 1 } },
+      });
+    });
+  });
+
+  describe("backfillTicketSold", () => {
+    test("should recount sold from open and sold payments", async () => {
+      mockPrisma.$executeRaw.mockResolvedValueOnce(4);
+
+      expect(await backfillTicketSold()).toBe(4);
+
+      const [query, ...values] = mockPrisma.$executeRaw.mock.calls[0];
+      expect(query.join("")).toContain('UPDATE "Ticket"');
+      const statuses = [
+        "pending",
+        "challenge",
+        "success",
+        "refund_requested",
+        "partially_refunded",
+        "refunded",
+      ];
+      expect(values).toEqual([statuses, statuses]);
+    });
+  });
 });
@@ -0,0 +1,160 @@
+/**
+ * @jest-environment node
+ */
+import { jest } from "@jest/globals";
+
+// ---------------------------
+// Create mock functions
+// ---------------------------
+const mockUser = {
+  findUnique: jest.fn(),
+  update: jest.fn(),
+  updateMany: jest.fn(),
+};
+
+const mockRecoveryCode = {
+  createMany: jest.fn(),
+  deleteMany: jest.fn(),
+  updateMany: jest.fn(),
+};
+
+const mockPrisma = {
+  user: mockUser,
+  recoveryCode: mockRecoveryCode,
+  $transaction: jest.fn((callback) => callback(mockPrisma)),
+};
+
+// ---------------------------
+// Mock @prisma/client module
+// ---------------------------
+jest.unstable_mockModule("@prisma/client", () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+}));
+
+// ---------------------------
+// Import repository after mock setup
+// ---------------------------
+const {
+  findTwoFactorUser,
+  saveTotpSecret,
+  enableTwoFactor,
+  disableTwoFactor,
+  useRecoveryCode,
+  useTotpStep,
+} = await import("../../repositories/twoFactor.repository.js");
+
+// ---------------------------
+// Test Suite
+// ---------------------------
+describe("Two-Factor Repository", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("findTwoFactorUser", () => {
+    test("should select the TOTP fields", async () => {
+      mockUser.findUnique.mockResolvedValue(null);
+
+      await findTwoFactorUser(1);
+
+      expect(mockUser.findUnique).toHaveBeenCalledWith({
+        where: { id: 1 },
+        select: {
+          id: true,
+          email: true,
+          name: true,
+          role: true,
+          totpSecret: true,
+          totpEnabledAt: true,
+          totpLastStep: true,
+        },
+      });
+    });
+  });
+
+  describe("saveTotpSecret", () => {
+    test("should store the secret without enabling 2FA", async () => {
+      await saveTotpSecret(1, "SECRET");
+
+      expect(mockUser.update).toHaveBeenCalledWith({
+        where: { id: 1 },
+        data: { totpSecret: "SECRET", totpEnabledAt: null, totpLastStep: null },
+      });
+    });
+  });
+
+  describe("enableTwoFactor", () => {
+    test("should replace recovery codes and mark 2FA enabled", async () => {
+      await enableTwoFactor(1, ["hash-a", "hash-b"]);
+
+      expect(mockRecoveryCode.deleteMany).toHaveBeenCalledWith({
+        where: { userId: 1 },
+      });
+      expect(mockRecoveryCode.createMany).toHaveBeenCalledWith({
+        data: [
+          { userId: 1, codeHash: "hash-a" },
+          { userId: 1, codeHash: "hash-b" },
+        ],
+      });
+      expect(mockUser.update).toHaveBeenCalledWith({
+        where: { id: 1 },
+        data: { totpEnabledAt: expect.any(Date) },
+      });
+    });
+  });
+
+  describe("disableTwoFactor", () => {
+    test("should clear the secret and recovery codes", async () => {
+      await disableTwoFactor(1);
+
+      expect(mockRecoveryCode.deleteMany).toHaveBeenCalledWith({
+        where: { userId: 1 },
+      });
+      expect(mockUser.update).toHaveBeenCalledWith({
+        where: { id: 1 },
+        data: { totpSecret: null, totpEnabledAt: null, totpLastStep: null },
+      });
+    });
+  });
+
+  describe("useRecoveryCode", () => {
+    test("should consume an unused code", async () => {
+      mockRecoveryCode.updateMany.mockResolvedValue({ count: 1 });
+
+      const result = await useRecoveryCode(1, "hash-a");
+
+      expect(mockRecoveryCode.updateMany).toHaveBeenCalledWith({
+        where: { userId: 1, codeHash: "hash-a", usedAt: null },
+        data: { usedAt: expect.any(Date) },
+      });
+      expect(result).toBe(true);
+    });
+
+    test("should return false for unknown or used codes", async () => {
+      mockRecoveryCode.updateMany.mockResolvedValue({ count: 0 });
+
+      await expect(useRecoveryCode(1, "hash-z")).resolves.toBe(false);
+    });
+  });
+
+  describe("useTotpStep", () => {
+    test("should claim a step later than the last one used", async () => {
+      mockUser.updateMany.mockResolvedValueOnce({ count: 1 });
+
+      await expect(useTotpStep(1, 55)).resolves.toBe(true);
+      expect(mockUser.updateMany).toHaveBeenCalledWith({
+        where: {
+          id: 1,
+          OR: [{ totpLastStep: null }, { totpLastStep: { lt: 55 } }],
+        },
+        data: { totpLastStep: 55 },
+      });
+    });
+
+    test("should return false when the step was already used", async () => {
+      mockUser.updateMany.mockResolvedValueOnce({ count: 0 });
+
+      await expect(useTotpStep(1, 55)).resolves.toBe(false);
+    });
+  });
+});
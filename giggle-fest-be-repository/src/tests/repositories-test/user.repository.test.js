@@ -37,6 +37,47 @@ const mockPayment = {
   deleteMany: jest.fn(),
 };
 
+const mockRoleChangeAudit = {
+  create: jest.fn(),
+  findMany: jest.fn(),
+  deleteMany: jest.fn(),
+  updateMany: jest.fn(),
+};
+
+const mockIssuedTicket = {
+  deleteMany: jest.fn(),
+  updateMany: jest.fn(),
+};
+
+const mockRefreshToken = {
+  deleteMany: jest.fn(),
+};
+
+const mockSession = {
+  deleteMany: jest.fn(),
+};
+
+const mockRecoveryCode = {
+  deleteMany: jest.fn(),
+};
+
+const mockOrganizationMember = {
+  deleteMany: jest.fn(),
+};
+
+const mockRefund = {
+  deleteMany: jest.fn(),
+  updateMany: jest.fn(),
+};
+
+const mockOrderItem = {
+  deleteMany: jest.fn(),
+};
+
+const mockOrder = {
+  deleteMany: jest.fn(),
+};
+
 const mockPrisma = {
   user: mockUser,
   auth: mockAuth,
@@ -44,7 +85,17 @@ const mockPrisma = {
   review: mockReview,
   cart: mockCart,
   payment: mockPayment,
+  issuedTicket: mockIssuedTicket,
+  roleChangeAudit: mockRoleChangeAudit,
+  refreshToken: mockRefreshToken,
+  session: mockSession,
+  recoveryCode: mockRecoveryCode,
+  organizationMember: mockOrganizationMember,
+  refund: mockRefund,
+  orderItem: mockOrderItem,
+  order: mockOrder,
   $transaction: jest.fn(),
+  $executeRaw: jest.fn(),
 };
 
 // ---------------------------
@@ -67,6 +118,9 @@ const {
   findAllUsers,
   findUserByVerificationToken,
   findUserByResetToken,
+  countUsersByRole,
+  updateUserRole,
+  findRoleChangesByUser,
 } = await import("../../repositories/user.repository.js");
 
 // ---------------------------
@@ -164,6 +218,7 @@ describe("User Repository", () => {
           phoneNumber: true,
           role: true,
           isVerified: true,
+          totpEnabledAt: true,
           createdAt: true,
           updatedAt: true,
           authId: true,
@@ -316,9 +371,48 @@ describe("User Repository", () => {
       expect(mockCart.deleteMany).toHaveBeenCalledWith({
         where: { userId: userId },
       });
+      expect(mockIssuedTicket.deleteMany).toHaveBeenCalledWith({
+        where: { userId: userId },
+      });
+      expect(mockIssuedTicket.updateMany).toHaveBeenCalledWith({
+        where: { checkedInById: userId },
+        data: { checkedInById: null },
+      });
+      expect(mockRefreshToken.deleteMany).toHaveBeenCalledWith({
+        where: { session: { userId: userId } },
+      });
+      expect(mockSession.deleteMany).toHaveBeenCalledWith({
+        where: { userId: userId },
+      });
+      expect(mockRecoveryCode.deleteMany).toHaveBeenCalledWith({
+        where: { userId: userId },
+      });
+      expect(mockOrganizationMember.deleteMany).toHaveBeenCalledWith({
+        where: { userId: userId },
+      });
+      expect(mockRoleChangeAudit.deleteMany).toHaveBeenCalledWith({
+        where: { userId: userId },
+      });
+      expect(mockRoleChangeAudit.updateMany).toHaveBeenCalledWith({
+        where: { changedById: userId },
+        data: { changedById: null },
+      });
+      expect(mockRefund.updateMany).toHaveBeenCalledWith({
+        where: { reviewedById: userId },
+        data: { reviewedById: null },
+      });
+      expect(mockRefund.deleteMany).toHaveBeenCalledWith({
+        where: { payment: { userId: userId } },
+      });
       expect(mockPayment.deleteMany).toHaveBeenCalledWith({
         where: { userId: userId },
       });
+      expect(mockOrderItem.deleteMany).toHaveBeenCalledWith({
+        where: { order: { userId: userId } },
+      });
+      expect(mockOrder.deleteMany).toHaveBeenCalledWith({
+        where: { userId: userId },
+      });
       expect(mockUser.delete).toHaveBeenCalledWith({
         where: { id: userId },
       });
@@ -590,4 +684,152 @@ describe("User Repository", () => {
       expect(result).toBeNull();
     });
   });
+
+  describe("countUsersByRole", () => {
+    test("should count users with the given role", async () => {
+      mockUser.count.mockResolvedValue(2);
+
+      const result = await countUsersByRole("admin");
+
+      expect(mockUser.count).toHaveBeenCalledWith({
+        where: { role: "admin" },
+      });
+      expect(result).toBe(2);
+    });
+  });
+
+  describe("updateUserRole", () => {
+    beforeEach(() => {
+      mockPrisma.$transaction.mockImplementation((fn) => fn(mockPrisma));
+    });
+
+    test("should update the role and write an audit entry", async () => {
+      const updatedUser = { id: 2, role: "staff" };
+      mockUser.update.mockResolvedValue(updatedUser);
+
+      const result = await updateUserRole(2, {
+        fromRole: "user",
+        toRole: "staff",
+        changedById: 1,
+        reason: "Gate crew",
+      });
+
+      expect(mockUser.update).toHaveBeenCalledWith({
+        where: { id: 2 },
+        data: { role: "staff" },
+        select: {
+          id: true,
+          email: true,
+          name: true,
+          role: true,
+          updatedAt: true,
+        },
+      });
+      expect(mockRoleChangeAudit.create).toHaveBeenCalledWith({
+        data: {
+          userId: 2,
+          changedById: 1,
+          fromRole: "user",
+          toRole: "staff",
+          reason: "Gate crew",
+          source: "api",
+        },
+      });
+      expect(result).toEqual(updatedUser);
+    });
+
+    test("should record bootstrap changes without an actor", async () => {
+      mockUser.count.mockResolvedValueOnce(0);
+      mockUser.update.mockResolvedValue({ id: 1, role: "admin" });
+
+      await updateUserRole(1, {
+        fromRole: "user",
+        toRole: "admin",
+        source: "bootstrap",
+      });
+
+      expect(mockRoleChangeAudit.create).toHaveBeenCalledWith({
+        data: {
+          userId: 1,
+          changedById: null,
+          fromRole: "user",
+          toRole: "admin",
+          reason: null,
+          source: "bootstrap",
+        },
+      });
+    });
+
+    test("should not touch the admin lock for other roles", async () => {
+      mockUser.update.mockResolvedValue({ id: 2, role: "staff" });
+
+      await updateUserRole(2, { fromRole: "user", toRole: "staff" });
+
+      expect(mockPrisma.$executeRaw).not.toHaveBeenCalled();
+      expect(mockUser.count).not.toHaveBeenCalled();
+    });
+
+    test("should count admins under the lock before demoting one", async () => {
+      mockUser.count.mockResolvedValueOnce(2);
+      mockUser.update.mockResolvedValue({ id: 2, role: "user" });
+
+      await updateUserRole(2, { fromRole: "admin", toRole: "user" });
+
+      expect(mockPrisma.$executeRaw).toHaveBeenCalledTimes(1);
+      expect(mockUser.count).toHaveBeenCalledWith({
+        where: { role: "admin" },
+      });
+      expect(mockPrisma.$executeRaw.mock.invocationCallOrder[0]).toBeLessThan(
+        mockUser.count.mock.invocationCallOrder[0]
+      );
+      expect(mockUser.update).toHaveBeenCalled();
+    });
+
+    test("should not demote the last admin", async () => {
+      mockUser.count.mockResolvedValueOnce(1);
+
+      await expect(
+        updateUserRole(2, { fromRole: "admin", toRole: "user" })
+      ).rejects.toThrow("Cannot demote the last admin");
+      expect(mockUser.update).not.toHaveBeenCalled();
+      expect(mockRoleChangeAudit.create).not.toHaveBeenCalled();
+    });
+
+    test("should not bootstrap a second admin", async () => {
+      mockUser.count.mockResolvedValueOnce(1);
+
+      await expect(
+        updateUserRole(3, {
+          fromRole: "user",
+          toRole: "admin",
+          source: "bootstrap",
+        })
+      ).rejects.toThrow("An admin already exists");
+      expect(mockUser.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("findRoleChangesByUser", () => {
+    test("should return the newest changes first with their actor", async () => {
+      mockRoleChangeAudit.findMany.mockResolvedValue([]);
+
+      await findRoleChangesByUser(2);
+
+      expect(mockRoleChangeAudit.findMany).toHaveBeenCalledWith({
+        where: { userId: 2 },
+        include: {
+          changedBy: {
+            select: {
+              id: true,
+              name: true,
+              email: true,
+            },
+          },
+        },
+        orderBy: {
+          createdAt: "desc",
+        },
+      });
+    });
+  });
 });
@@ -0,0 +1,116 @@
+/**
+ * @jest-environment node
+ */
+import { jest } from "@jest/globals";
+
+// ---------------------------
+// Create mock functions
+// ---------------------------
+const mockVenue = {
+  create: jest.fn(),
+  findMany: jest.fn(),
+  findUnique: jest.fn(),
+  count: jest.fn(),
+};
+
+const mockPrisma = {
+  venue: mockVenue,
+};
+
+// ---------------------------
+// Mock @prisma/client module
+// ---------------------------
+jest.unstable_mockModule("@prisma/client", () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+}));
+
+// ---------------------------
+// Import repository after mock setup
+// ---------------------------
+const { createVenue, findAllVenues, findVenueById } =
+  await import("../../repositories/venue.repository.js");
+
+// ---------------------------
+// Test Suite
+// ---------------------------
+describe("Venue Repository", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const seatOrder = [{ section: "asc" }, { row: "asc" }, { number: "asc" }];
+
+  describe("createVenue", () => {
+    test("should create the venue together with its seats", async () => {
+      const seats = [
+        { section: "Orchestra", row: "A", number: 1 },
+        { section: "Orchestra", row: "A", number: 2 },
+      ];
+      mockVenue.create.mockResolvedValueOnce({ id: 2, seats });
+
+      const result = await createVenue({ name: "City Hall", seats });
+
+      expect(mockVenue.create).toHaveBeenCalledWith({
+        data: {
+          name: "City Hall",
+          seats: { create: seats },
+        },
+        include: {
+          seats: { orderBy: seatOrder },
+        },
+      });
+      expect(result.id).toBe(2);
+    });
+  });
+
+  describe("findAllVenues", () => {
+    test("should paginate venues with their seat counts", async () => {
+      mockVenue.count.mockResolvedValueOnce(11);
+      mockVenue.findMany.mockResolvedValueOnce([{ id: 2 }]);
+
+      const result = await findAllVenues({ page: 2, limit: "10" });
+
+      expect(mockVenue.findMany).toHaveBeenCalledWith({
+        where: {},
+        skip: 10,
+        take: 10,
+        include: {
+          _count: { select: { seats: true } },
+        },
+        orderBy: { name: "asc" },
+      });
+      expect(result.meta).toEqual({
+        page: 2,
+        limit: 10,
+        total: 11,
+        totalPages: 2,
+      });
+    });
+
+    test("should search venues by name", async () => {
+      mockVenue.count.mockResolvedValueOnce(0);
+      mockVenue.findMany.mockResolvedValueOnce([]);
+
+      await findAllVenues({ search: "hall" });
+
+      expect(mockVenue.count).toHaveBeenCalledWith({
+        where: { name: { contains: "hall", mode: "insensitive" } },
+      });
+    });
+  });
+
+  describe("findVenueById", () => {
+    test("should load the venue with its seats in order", async () => {
+      mockVenue.findUnique.mockResolvedValueOnce(null);
+
+      await findVenueById(2);
+
+      expect(mockVenue.findUnique).toHaveBeenCalledWith({
+        where: { id: 2 },
+        include: {
+          seats: { orderBy: seatOrder },
+        },
+      });
+    });
+  });
+});
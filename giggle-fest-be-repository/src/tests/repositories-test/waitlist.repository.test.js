@@ -0,0 +1,301 @@
+/**
+ * @jest-environment node
+ */
+import { jest } from "@jest/globals";
+
+// ---------------------------
+// Create mock functions
+// ---------------------------
+const mockWaitlistEntry = {
+  create: jest.fn(),
+  findFirst: jest.fn(),
+  findMany: jest.fn(),
+  count: jest.fn(),
+  update: jest.fn(),
+  updateMany: jest.fn(),
+};
+
+const mockTicket = {
+  findUnique: jest.fn(),
+  update: jest.fn(),
+  updateMany: jest.fn(),
+};
+
+const mockCart = {
+  findFirst: jest.fn(),
+  create: jest.fn(),
+  update: jest.fn(),
+};
+
+const mockNotification = {
+  create: jest.fn(),
+};
+
+// tickets are not bundles unless a test says so
+const mockBundleItem = {
+  findMany: jest.fn(() => Promise.resolve([])),
+};
+
+const mockPrisma = {
+  bundleItem: mockBundleItem,
+  waitlistEntry: mockWaitlistEntry,
+  ticket: mockTicket,
+  cart: mockCart,
+  notification: mockNotification,
+  $transaction: jest.fn((fn) => fn(mockPrisma)),
+};
+
+// ---------------------------
+// Mock @prisma/client module
+// ---------------------------
+jest.unstable_mockModule("@prisma/client", () => ({
+  PrismaClient: jest.fn(() => mockPrisma),
+}));
+
+// ---------------------------
+// Import repository after mock setup
+// ---------------------------
+const {
+  findOpenEntry,
+  findEntriesByUser,
+  countWaitingAhead,
+  leaveEntry,
+  offerWaitlistStock,
+  closeOffers,
+  findWaitedTicketIds,
+  offerReleasedStock,
+} = await import("../../repositories/waitlist.repository.js");
+
+// ---------------------------
+// Test Suite
+// ---------------------------
+describe("Waitlist Repository", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockPrisma.$transaction.mockImplementation((fn) => fn(mockPrisma));
+  });
+
+  const entryInclude = {
+    ticket: {
+      include: { event: true },
+    },
+  };
+
+  describe("findOpenEntry", () => {
+    test("should look for a waiting or offered entry", async () => {
+      mockWaitlistEntry.findFirst.mockResolvedValueOnce(null);
+
+      await findOpenEntry(3, 5);
+
+      expect(mockWaitlistEntry.findFirst).toHaveBeenCalledWith({
+        where: {
+          userId: 3,
+          ticketId: 5,
+          status: { in: ["waiting", "offered"] },
+        },
+      });
+    });
+  });
+
+  describe("findEntriesByUser", () => {
+    test("should list the user's open entries, newest first", async () => {
+      mockWaitlistEntry.findMany.mockResolvedValueOnce([{ id: 4 }]);
+
+      const result = await findEntriesByUser(3);
+
+      expect(mockWaitlistEntry.findMany).toHaveBeenCalledWith({
+        where: { userId: 3, status: { in: ["waiting", "offered"] } },
+        include: entryInclude,
+        orderBy: { createdAt: "desc" },
+      });
+      expect(result).toEqual([{ id: 4 }]);
+    });
+  });
+
+  describe("countWaitingAhead", () => {
+    test("should count the waiting entries that joined earlier", async () => {
+      mockWaitlistEntry.count.mockResolvedValueOnce(2);
+
+      expect(await countWaitingAhead({ id: 9, ticketId: 5 })).toBe(2);
+      expect(mockWaitlistEntry.count).toHaveBeenCalledWith({
+        where: { ticketId: 5, status: "waiting", id: { lt: 9 } },
+      });
+    });
+  });
+
+  describe("leaveEntry", () => {
+    test("should only leave a waiting entry", async () => {
+      mockWaitlistEntry.updateMany.mockResolvedValueOnce({ count: 1 });
+
+      expect(await leaveEntry(4)).toBe(true);
+      expect(mockWaitlistEntry.updateMany).toHaveBeenCalledWith({
+        where: { id: 4, status: "waiting" },
+        data: { status: "left" },
+      });
+    });
+
+    test("should refuse an entry that has been offered stock", async () => {
+      mockWaitlistEntry.updateMany.mockResolvedValueOnce({ count: 0 });
+
+      expect(await leaveEntry(4)).toBe(false);
+    });
+  });
+
+  describe("offerWaitlistStock", () => {
+    const now = new Date("2026-01-01T00:00:00.000Z");
+    const offerExpiresAt = new Date("2026-01-01T00:30:00.000Z");
+
+    const ticket = {
+      id: 5,
+      name: "VIP",
+      quantity: 3,
+      event: { name: "Rock Fest", status: "published" },
+    };
+
+    test("should do nothing when nobody is waiting", async () => {
+      mockWaitlistEntry.findMany.mockResolvedValueOnce([]);
+
+      expect(await offerWaitlistStock(mockPrisma, 5, now)).toEqual([]);
+      expect(mockTicket.findUnique).not.toHaveBeenCalled();
+    });
+
+    test("should offer the stock first come first served", async () => {
+      mockWaitlistEntry.findMany.mockResolvedValueOnce([
+        { id: 1, userId: 7, ticketId: 5, quantity: 2 },
+        { id: 2, userId: 8, ticketId: 5, quantity: 2 },
+        { id: 3, userId: 9, ticketId: 5, quantity: 1 },
+      ]);
+      mockTicket.findUnique.mockResolvedValueOnce(ticket);
+      mockTicket.updateMany
+        .mockResolvedValueOnce({ count: 1 })
+        .mockResolvedValueOnce({ count: 1 });
+      mockWaitlistEntry.updateMany
+        .mockResolvedValueOnce({ count: 1 })
+        .mockResolvedValueOnce({ count: 1 });
+      mockCart.findFirst
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce(null);
+      mockCart.create
+        .mockResolvedValueOnce({ id: 11 })
+        .mockResolvedValueOnce({ id: 12 });
+      mockWaitlistEntry.update
+        .mockResolvedValueOnce({ id: 1, cartId: 11 })
+        .mockResolvedValueOnce({ id: 2, cartId: 12 });
+
+      const offered = await offerWaitlistStock(mockPrisma, 5, now);
+
+      expect(offered).toEqual([
+        { id: 1, cartId: 11 },
+        { id: 2, cartId: 12 },
+      ]);
+      expect(mockTicket.updateMany).toHaveBeenNthCalledWith(1, {
+        where: { id: 5, quantity: { gte: 2 } },
+        data: { quantity: { decrement: 2 }, sold: { increment: 2 } },
+      });
+      // the second in line gets the one ticket left
+      expect(mockWaitlistEntry.updateMany).toHaveBeenNthCalledWith(2, {
+        where: { id: 2, status: "waiting" },
+        data: { status: "offered", offeredQuantity: 1, offerExpiresAt },
+      });
+      expect(mockCart.create).toHaveBeenCalledWith({
+        data: {
+          userId: 8,
+          ticketId: 5,
+          quantity: 1,
+          heldUntil: offerExpiresAt,
+        },
+      });
+      expect(mockNotification.create).toHaveBeenCalledTimes(2);
+      expect(mockNotification.create).toHaveBeenCalledWith({
+        data: {
+          userId: 7,
+          message: expect.stringContaining("2 VIP ticket(s) for Rock Fest"),
+        },
+      });
+    });
+
+    test("should add the offer to an item that still holds stock", async () => {
+      mockWaitlistEntry.findMany.mockResolvedValueOnce([
+        { id: 1, userId: 7, ticketId: 5, quantity: 2 },
+      ]);
+      mockTicket.findUnique.mockResolvedValueOnce(ticket);
+      mockTicket.updateMany.mockResolvedValueOnce({ count: 1 });
+      mockWaitlistEntry.updateMany.mockResolvedValueOnce({ count: 1 });
+      mockCart.findFirst.mockResolvedValueOnce({ id: 11, heldUntil: now });
+      mockCart.update.mockResolvedValueOnce({ id: 11 });
+
+      await offerWaitlistStock(mockPrisma, 5, now);
+
+      expect(mockCart.update).toHaveBeenCalledWith({
+        where: { id: 11 },
+        data: { quantity: { increment: 2 }, heldUntil: offerExpiresAt },
+      });
+    });
+
+    test("should give the stock back when another offer got there first", async () => {
+      mockWaitlistEntry.findMany.mockResolvedValueOnce([
+        { id: 1, userId: 7, ticketId: 5, quantity: 2 },
+      ]);
+      mockTicket.findUnique.mockResolvedValueOnce(ticket);
+      mockTicket.updateMany.mockResolvedValueOnce({ count: 1 });
+      mockWaitlistEntry.updateMany.mockResolvedValueOnce({ count: 0 });
+
+      expect(await offerWaitlistStock(mockPrisma, 5, now)).toEqual([]);
+      expect(mockTicket.update).toHaveBeenCalledWith({
+        where: { id: 5 },
+        data: { quantity: { increment: 2 }, sold: { decrement: 2 } },
+      });
+      expect(mockCart.create).not.toHaveBeenCalled();
+      expect(mockNotification.create).not.toHaveBeenCalled();
+    });
+
+    test("should not offer tickets that are no longer on sale", async () => {
+      mockWaitlistEntry.findMany.mockResolvedValueOnce([
+        { id: 1, userId: 7, ticketId: 5, quantity: 2 },
+      ]);
+      mockTicket.findUnique.mockResolvedValueOnce({
+        ...ticket,
+        event: { name: "Rock Fest", status: "cancelled" },
+      });
+
+      expect(await offerWaitlistStock(mockPrisma, 5, now)).toEqual([]);
+      expect(mockTicket.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("closeOffers", () => {
+    test("should close the offers held on the cart item", async () => {
+      await closeOffers(mockPrisma, 11, "claimed");
+
+      expect(mockWaitlistEntry.updateMany).toHaveBeenCalledWith({
+        where: { cartId: 11, status: "offered" },
+        data: { status: "claimed" },
+      });
+    });
+  });
+
+  describe("findWaitedTicketIds", () => {
+    test("should list each ticket with people waiting once", async () => {
+      mockWaitlistEntry.findMany.mockResolvedValueOnce([
+        { ticketId: 5 },
+        { ticketId: 8 },
+      ]);
+
+      expect(await findWaitedTicketIds(mockPrisma)).toEqual([5, 8]);
+    });
+  });
+
+  describe("offerReleasedStock", () => {
+    test("should offer the stock in its own transaction", async () => {
+      mockWaitlistEntry.findMany.mockResolvedValueOnce([]);
+
+      await offerReleasedStock(5);
+
+      expect(mockPrisma.$transaction).toHaveBeenCalledTimes(1);
+      expect(mockWaitlistEntry.findMany).toHaveBeenCalledWith({
+        where: { ticketId: 5, status: "waiting" },
+        orderBy: { id: "asc" },
+      });
+    });
+  });
+});
@@ -0,0 +1,100 @@
+import { jest, describe, it, expect } from "@jest/globals";
+import request from "supertest";
+import {
+  stubControllers,
+  buildApp,
+  describeRouteAccess,
+  tokenFor,
+  ALL_ROLES,
+} from "./routeAccess.js";
+
+jest.unstable_mockModule("../../controllers/user.controller.js", () =>
+  stubControllers([
+    "registerUser",
+    "loginUser",
+    "verifyEmail",
+    "resendVerificationEmail",
+  ])
+);
+
+jest.unstable_mockModule("../../controllers/password.controller.js", () =>
+  stubControllers([
+    "generateOTP",
+    "initPasswordReset",
+    "resetPassword",
+    "verifyOTP",
+  ])
+);
+
+jest.unstable_mockModule("../../controllers/session.controller.js", () =>
+  stubControllers(["refreshToken", "logout", "logoutAll"])
+);
+
+jest.unstable_mockModule("../../controllers/twoFactor.controller.js", () =>
+  stubControllers([
+    "setupTwoFactor",
+    "confirmTwoFactor",
+    "disableTwoFactor",
+    "verifyTwoFactorLogin",
+  ])
+);
+
+const { default: authRoutes } = await import("../../routes/auth.routes.js");
+const { findSessionById } = await import(
+  "../../repositories/session.repository.js"
+);
+
+const app = buildApp(authRoutes);
+
+describe("Auth Routes", () => {
+  describeRouteAccess(app, [
+    {
+      method: "post",
+      path: "/login",
+      body: { email: "john@example.com", password: "password123" },
+      allowed: "public",
+    },
+    {
+      method: "post",
+      path: "/refresh",
+      body: { refreshToken: "refresh-token" },
+      allowed: "public",
+    },
+    { method: "post", path: "/logout", allowed: ALL_ROLES },
+    { method: "post", path: "/logout-all", allowed: ALL_ROLES },
+    {
+      method: "post",
+      path: "/2fa/verify",
+      body: { challengeToken: "challenge-token", code: "123456" },
+      allowed: "public",
+    },
+    { method: "post", path: "/2fa/setup", allowed: ALL_ROLES },
+    {
+      method: "post",
+      path: "/2fa/confirm",
+      body: { code: "123456" },
+      allowed: ALL_ROLES,
+    },
+    {
+      method: "post",
+      path: "/2fa/disable",
+      body: { code: "123456" },
+      allowed: ALL_ROLES,
+    },
+  ]);
+
+  it("should reject an access token whose session was revoked", async () => {
+    findSessionById.mockResolvedValueOnce({
+      id: 1,
+      userId: 1,
+      revokedAt: new Date(),
+    });
+
+    const res = await request(app)
+      .post("/logout")
+      .set("Authorization", `Bearer ${tokenFor("user")}`);
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe("Session has been revoked");
+  });
+});
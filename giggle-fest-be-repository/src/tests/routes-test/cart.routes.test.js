@@ -0,0 +1,41 @@
+import { jest, describe } from "@jest/globals";
+import {
+  stubControllers,
+  buildApp,
+  describeRouteAccess,
+  ALL_ROLES,
+} from "./routeAccess.js";
+
+jest.unstable_mockModule("../../controllers/cart.controller.js", () =>
+  stubControllers([
+    "getCartByUser",
+    "addToCart",
+    "updateCartQuantity",
+    "removeFromCart",
+    "checkout",
+  ])
+);
+
+const { default: cartRoutes } = await import("../../routes/cart.routes.js");
+
+const app = buildApp(cartRoutes);
+
+describe("Cart Routes", () => {
+  describeRouteAccess(app, [
+    { method: "get", path: "/", allowed: ALL_ROLES },
+    {
+      method: "post",
+      path: "/",
+      body: { ticketId: 1, quantity: 1 },
+      allowed: ALL_ROLES,
+    },
+    {
+      method: "patch",
+      path: "/1",
+      body: { quantity: 2 },
+      allowed: ALL_ROLES,
+    },
+    { method: "delete", path: "/1", allowed: ALL_ROLES },
+    { method: "post", path: "/checkout", body: {}, allowed: ALL_ROLES },
+  ]);
+});
@@ -0,0 +1,42 @@
+import { jest, describe } from "@jest/globals";
+import {
+  stubControllers,
+  buildApp,
+  describeRouteAccess,
+} from "./routeAccess.js";
+
+jest.unstable_mockModule("../../controllers/category.controller.js", () =>
+  stubControllers([
+    "createCategory",
+    "getAllCategories",
+    "getCategoryById",
+    "updateCategory",
+    "deleteCategory",
+  ])
+);
+
+const { default: categoryRoutes } = await import(
+  "../../routes/category.routes.js"
+);
+
+const app = buildApp(categoryRoutes);
+
+describe("Category Routes", () => {
+  describeRouteAccess(app, [
+    { method: "get", path: "/", allowed: "public" },
+    { method: "get", path: "/1", allowed: "public" },
+    {
+      method: "post",
+      path: "/",
+      body: { name: "Music" },
+      allowed: ["admin"],
+    },
+    {
+      method: "patch",
+      path: "/1",
+      body: { name: "Jazz" },
+      allowed: ["admin"],
+    },
+    { method: "delete", path: "/1", allowed: ["admin"] },
+  ]);
+});
@@ -0,0 +1,35 @@
+import { jest, describe } from "@jest/globals";
+import {
+  stubControllers,
+  buildApp,
+  describeRouteAccess,
+} from "./routeAccess.js";
+
+jest.unstable_mockModule("../../controllers/checkin.controller.js", () =>
+  stubControllers([
+    "checkInTicket",
+    "getCheckInStats",
+  ])
+);
+
+const { default: checkinRoutes } = await import(
+  "../../routes/checkin.routes.js"
+);
+
+const app = buildApp(checkinRoutes);
+
+describe("Check-in Routes", () => {
+  describeRouteAccess(app, [
+    {
+      method: "post",
+      path: "/",
+      body: { code: "1.abc.sig", eventId: 1 },
+      allowed: ["admin", "organizer", "staff"],
+    },
+    {
+      method: "get",
+      path: "/events/1/stats",
+      allowed: ["admin", "organizer", "staff"],
+    },
+  ]);
+});
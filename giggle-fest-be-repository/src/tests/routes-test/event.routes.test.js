@@ -0,0 +1,91 @@
+import { jest, describe } from "@jest/globals";
+import {
+  stubControllers,
+  buildApp,
+  describeRouteAccess,
+} from "./routeAccess.js";
+
+jest.unstable_mockModule("../../controllers/event.controller.js", () =>
+  stubControllers([
+    "createEvent",
+    "getAllEvents",
+    "getEventById",
+    "updateEvent",
+    "deleteEvent",
+    "changeEventStatus",
+    "cancelEvent",
+    "rescheduleEvent",
+    "importEvents",
+  ])
+);
+
+jest.unstable_mockModule("../../controllers/export.controller.js", () =>
+  stubControllers(["exportAttendees"])
+);
+
+jest.unstable_mockModule("../../controllers/venue.controller.js", () =>
+  stubControllers(["getEventSeats", "configureEventSeating"])
+);
+
+const { default: eventRoutes } = await import("../../routes/event.routes.js");
+
+const app = buildApp(eventRoutes);
+
+describe("Event Routes", () => {
+  describeRouteAccess(app, [
+    { method: "get", path: "/", allowed: "public" },
+    { method: "get", path: "/1", allowed: "public" },
+    { method: "get", path: "/1/seats", allowed: "public" },
+    {
+      method: "post",
+      path: "/",
+      body: { name: "Rock Fest", date: "2026-12-01", location: "Jakarta" },
+      allowed: ["admin", "organizer"],
+    },
+    {
+      method: "post",
+      path: "/import?dryRun=true",
+      body: { events: [] },
+      allowed: ["admin"],
+    },
+    {
+      method: "patch",
+      path: "/1",
+      body: { name: "Jazz Fest" },
+      allowed: ["admin", "organizer"],
+    },
+    { method: "delete", path: "/1", allowed: ["admin", "organizer"] },
+    {
+      method: "patch",
+      path: "/1/status",
+      body: { status: "postponed" },
+      allowed: ["admin", "organizer"],
+    },
+    {
+      method: "post",
+      path: "/1/cancel",
+      body: { reason: "Venue closed" },
+      allowed: ["admin", "organizer"],
+    },
+    {
+      method: "post",
+      path: "/1/reschedule",
+      body: { date: "2026-12-08" },
+      allowed: ["admin", "organizer"],
+    },
+    {
+      method: "put",
+      path: "/1/seating",
+      body: {
+        venueId: 1,
+        assignments: [{ ticketId: 1, section: "Orchestra" }],
+      },
+      allowed: ["admin", "organizer"],
+    },
+    {
+      method: "get",
+      path: "/1/attendees/export?format=csv",
+      allowed: ["admin"],
+    },
+  ]);
+});
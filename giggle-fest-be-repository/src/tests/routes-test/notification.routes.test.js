@@ -0,0 +1,40 @@
+import { jest, describe } from "@jest/globals";
+import {
+  stubControllers,
+  buildApp,
+  describeRouteAccess,
+  ALL_ROLES,
+} from "./routeAccess.js";
+
+jest.unstable_mockModule("../../controllers/notification.controller.js", () =>
+  stubControllers([
+    "createNotification",
+    "getUserNotifications",
+    "markAsRead",
+    "markAsUnread",
+    "markAllAsRead",
+    "deleteNotification",
+  ])
+);
+
+const { default: notificationRoutes } = await import(
+  "../../routes/notification.routes.js"
+);
+
+const app = buildApp(notificationRoutes);
+
+describe("Notification Routes", () => {
+  describeRouteAccess(app, [
+    {
+      method: "post",
+      path: "/",
+      body: { message: "Gates open at 6pm", userId: "all" },
+      allowed: ["admin"],
+    },
+    { method: "get", path: "/", allowed: ALL_ROLES },
+    { method: "patch", path: "/1/read", allowed: ALL_ROLES },
+    { method: "patch", path: "/1/unread", allowed: ALL_ROLES },
+    { method: "patch", path: "/mark-all-read", allowed: ALL_ROLES },
+    { method: "delete", path: "/1", allowed: ["admin"] },
+  ]);
+});
@@ -0,0 +1,25 @@
+import { jest, describe } from "@jest/globals";
+import {
+  stubControllers,
+  buildApp,
+  describeRouteAccess,
+  ALL_ROLES,
+} from "./routeAccess.js";
+
+jest.unstable_mockModule("../../controllers/order.controller.js", () =>
+  stubControllers([
+    "getUserOrders",
+    "getOrderById",
+  ])
+);
+
+const { default: orderRoutes } = await import("../../routes/order.routes.js");
+
+const app = buildApp(orderRoutes);
+
+describe("Order Routes", () => {
+  describeRouteAccess(app, [
+    { method: "get", path: "/", allowed: ALL_ROLES },
+    { method: "get", path: "/1", allowed: ALL_ROLES },
+  ]);
+});
@@ -0,0 +1,62 @@
+import { jest, describe } from "@jest/globals";
+import {
+  stubControllers,
+  buildApp,
+  describeRouteAccess,
+} from "./routeAccess.js";
+
+jest.unstable_mockModule("../../controllers/organizer.controller.js", () =>
+  stubControllers([
+    "createOrganization",
+    "getMyOrganizations",
+    "addOrganizationMember",
+    "removeOrganizationMember",
+    "getOrganizerEvents",
+    "getEventSales",
+    "getSalesDashboard",
+  ])
+);
+
+const { default: organizerRoutes } = await import(
+  "../../routes/organizer.routes.js"
+);
+
+const app = buildApp(organizerRoutes);
+
+describe("Organizer Routes", () => {
+  describeRouteAccess(app, [
+    {
+      method: "get",
+      path: "/organizations",
+      allowed: ["admin", "organizer"],
+    },
+    {
+      method: "post",
+      path: "/organizations",
+      body: { name: "Giggle Productions" },
+      allowed: ["admin", "organizer"],
+    },
+    {
+      method: "post",
+      path: "/organizations/1/members",
+      body: { email: "partner@example.com" },
+      allowed: ["admin", "organizer"],
+    },
+    {
+      method: "delete",
+      path: "/organizations/1/members/2",
+      allowed: ["admin", "organizer"],
+    },
+    { method: "get", path: "/events", allowed: ["admin", "organizer"] },
+    {
+      method: "get",
+      path: "/events/1/sales",
+      allowed: ["admin", "organizer"],
+    },
+    {
+      method: "get",
+      path: "/dashboard?from=2025-01-01&to=2025-01-31",
+      allowed: ["admin", "organizer"],
+    },
+  ]);
+});
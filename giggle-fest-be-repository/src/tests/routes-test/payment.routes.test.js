@@ -0,0 +1,54 @@
+import { jest, describe } from "@jest/globals";
+import {
+  stubControllers,
+  buildApp,
+  describeRouteAccess,
+  ALL_ROLES,
+} from "./routeAccess.js";
+
+jest.unstable_mockModule("../../controllers/payment.controller.js", () =>
+  stubControllers([
+    "initializePayment",
+    "getAllPayments",
+    "getPaymentById",
+    "getUserPaymentHistory",
+    "handlePaymentNotification",
+  ])
+);
+
+jest.unstable_mockModule("../../controllers/export.controller.js", () =>
+  stubControllers(["exportPayments"])
+);
+
+const { default: paymentRoutes } = await import(
+  "../../routes/payment.routes.js"
+);
+
+const app = buildApp(paymentRoutes);
+
+describe("Payment Routes", () => {
+  describeRouteAccess(app, [
+    {
+      method: "post",
+      path: "/notification",
+      body: {
+        order_id: "ORDER-1",
+        status_code: "200",
+        gross_amount: "100000.00",
+        signature_key: "signature",
+        transaction_status: "settlement",
+      },
+      allowed: "public",
+    },
+    {
+      method: "post",
+      path: "/initialize",
+      body: { ticketId: 1, quantity: 1 },
+      allowed: ALL_ROLES,
+    },
+    { method: "get", path: "/", allowed: ["admin"] },
+    { method: "get", path: "/export?format=xlsx", allowed: ["admin"] },
+    { method: "get", path: "/history", allowed: ALL_ROLES },
+    { method: "get", path: "/1", allowed: ["admin"] },
+  ]);
+});
@@ -0,0 +1,70 @@
+import { jest, describe } from "@jest/globals";
+import {
+  stubControllers,
+  buildApp,
+  describeRouteAccess,
+} from "./routeAccess.js";
+
+jest.unstable_mockModule("../../controllers/promo.controller.js", () =>
+  stubControllers([
+    "createPromoCode",
+    "getAllPromoCodes",
+    "validatePromoCode",
+    "updatePromoCode",
+    "deletePromoCode",
+    "createPromoCampaign",
+    "getPromoCampaign",
+  ])
+);
+
+jest.unstable_mockModule("../../controllers/export.controller.js", () =>
+  stubControllers(["exportCampaignCodes"])
+);
+
+const { default: promoRoutes } = await import("../../routes/promo.routes.js");
+
+const app = buildApp(promoRoutes);
+
+describe("Promo Routes", () => {
+  describeRouteAccess(app, [
+    { method: "get", path: "/validate/SAVE10", allowed: "public" },
+    {
+      method: "post",
+      path: "/",
+      body: {
+        code: "SAVE10",
+        discount: 10,
+        validFrom: "2026-01-01T00:00:00.000Z",
+        validTo: "2026-12-31T00:00:00.000Z",
+      },
+      allowed: ["admin", "organizer"],
+    },
+    { method: "get", path: "/", allowed: ["admin", "organizer"] },
+    {
+      method: "patch",
+      path: "/1",
+      body: { discount: 20 },
+      allowed: ["admin", "organizer"],
+    },
+    { method: "delete", path: "/1", allowed: ["admin", "organizer"] },
+    {
+      method: "post",
+      path: "/campaigns",
+      body: {
+        name: "Partner launch",
+        prefix: "PTR",
+        count: 5000,
+        discount: 10,
+        validFrom: "2026-01-01T00:00:00.000Z",
+        validTo: "2026-12-31T00:00:00.000Z",
+      },
+      allowed: ["admin", "organizer"],
+    },
+    { method: "get", path: "/campaigns/4", allowed: ["admin", "organizer"] },
+    {
+      method: "get",
+      path: "/campaigns/4/codes/export?format=csv",
+      allowed: ["admin", "organizer"],
+    },
+  ]);
+});
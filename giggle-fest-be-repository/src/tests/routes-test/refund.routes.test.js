@@ -0,0 +1,38 @@
+import { jest, describe } from "@jest/globals";
+import {
+  stubControllers,
+  buildApp,
+  describeRouteAccess,
+  ALL_ROLES,
+} from "./routeAccess.js";
+
+jest.unstable_mockModule("../../controllers/refund.controller.js", () =>
+  stubControllers([
+    "requestRefund",
+    "getMyRefunds",
+    "getAllRefunds",
+    "approveRefund",
+    "rejectRefund",
+  ])
+);
+
+const { default: refundRoutes } = await import(
+  "../../routes/refund.routes.js"
+);
+
+const app = buildApp(refundRoutes);
+
+describe("Refund Routes", () => {
+  describeRouteAccess(app, [
+    {
+      method: "post",
+      path: "/",
+      body: { paymentId: 1 },
+      allowed: ALL_ROLES,
+    },
+    { method: "get", path: "/me", allowed: ALL_ROLES },
+    { method: "get", path: "/", allowed: ["admin"] },
+    { method: "post", path: "/1/approve", body: {}, allowed: ["admin"] },
+    { method: "post", path: "/1/reject", body: {}, allowed: ["admin"] },
+  ]);
+});
@@ -0,0 +1,50 @@
+import { jest, describe } from "@jest/globals";
+import {
+  stubControllers,
+  buildApp,
+  describeRouteAccess,
+  ALL_ROLES,
+} from "./routeAccess.js";
+
+jest.unstable_mockModule("../../controllers/review.controller.js", () =>
+  stubControllers([
+    "createReview",
+    "getAllReviews",
+    "getReviewById",
+    "getReviewsByTicket",
+    "getReviewsByUser",
+    "updateReview",
+    "deleteReview",
+  ])
+);
+
+jest.unstable_mockModule("../../controllers/export.controller.js", () =>
+  stubControllers(["exportReviews"])
+);
+
+const { default: reviewRoutes } = await import("../../routes/review.routes.js");
+
+const app = buildApp(reviewRoutes);
+
+describe("Review Routes", () => {
+  describeRouteAccess(app, [
+    { method: "get", path: "/", allowed: "public" },
+    { method: "get", path: "/export", allowed: ["admin"] },
+    { method: "get", path: "/ticket/1", allowed: "public" },
+    { method: "get", path: "/user/1", allowed: "public" },
+    { method: "get", path: "/1", allowed: "public" },
+    {
+      method: "post",
+      path: "/",
+      body: { rating: 5, comment: "Great show", ticketId: 1 },
+      allowed: ALL_ROLES,
+    },
+    {
+      method: "patch",
+      path: "/1",
+      body: { rating: 4 },
+      allowed: ALL_ROLES,
+    },
+    { method: "delete", path: "/1", allowed: ALL_ROLES },
+  ]);
+});
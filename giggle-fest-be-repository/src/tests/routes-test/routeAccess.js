@@ -0,0 +1,86 @@
+import { jest, describe, it, expect } from "@jest/globals";
+import express from "express";
+import jwt from "jsonwebtoken";
+import request from "supertest";
+import { ROLES } from "../../utils/permissions.js";
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "routes-test-secret";
+
+// every token below belongs to session 1, which stays active
+jest.unstable_mockModule("../../repositories/session.repository.js", () => ({
+  findSessionById: jest.fn(async (id) => ({
+    id,
+    userId: 1,
+    revokedAt: null,
+    lastSeenAt: new Date(),
+  })),
+}));
+
+export const ALL_ROLES = Object.values(ROLES);
+
+// Controller stubs answer 200 so a test can tell the request made it past
+// the auth, permission and validation middleware
+export const stubControllers = (names) => {
+  return Object.fromEntries(
+    names.map((name) => [
+      name,
+      jest.fn((req, res) => res.status(200).json({ handler: name })),
+    ])
+  );
+};
+
+export const buildApp = (router) => {
+  const app = express();
+  app.use(express.json());
+  app.use("/", router);
+  return app;
+};
+
+export const tokenFor = (role) => {
+  return jwt.sign(
+    { id: 1, email: `${role}@example.com`, role, sid: 1 },
+    process.env.JWT_SECRET
+  );
+};
+
+const send = (app, { method, path, body }, role) => {
+  const req = request(app)[method](path);
+  if (role) {
+    req.set("Authorization", `Bearer ${tokenFor(role)}`);
+  }
+  return body ? req.send(body) : req;
+};
+
+// routes: [{ method, path, body?, allowed: [roles] | "public" }]
+export const describeRouteAccess = (app, routes) => {
+  describe.each(routes)("$method $path", (route) => {
+    if (route.allowed === "public") {
+      it("should be reachable without a token", async () => {
+        const res = await send(app, route);
+
+        expect(res.status).toBe(200);
+      });
+      return;
+    }
+
+    it("should reject requests without a token", async () => {
+      const res = await send(app, route);
+
+      expect(res.status).toBe(401);
+    });
+
+    it.each(ALL_ROLES)(
+      "should apply the permission matrix to %s",
+      async (role) => {
+        const res = await send(app, route, role);
+
+        if (route.allowed.includes(role)) {
+          expect(res.status).toBe(200);
+        } else {
+          expect(res.status).toBe(403);
+          expect(res.body.message).toBe("Unauthorized");
+        }
+      }
+    );
+  });
+};
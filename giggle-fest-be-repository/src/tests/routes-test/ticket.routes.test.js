@@ -0,0 +1,50 @@
+import { jest, describe } from "@jest/globals";
+import {
+  stubControllers,
+  buildApp,
+  describeRouteAccess,
+} from "./routeAccess.js";
+
+jest.unstable_mockModule("../../controllers/ticket.controller.js", () =>
+  stubControllers([
+    "createTicket",
+    "getAllTickets",
+    "getTicketById",
+    "getTicketsByCategory",
+    "getTicketsByEvent",
+    "updateTicket",
+    "deleteTicket",
+  ])
+);
+
+const { default: ticketRoutes } = await import("../../routes/ticket.routes.js");
+
+const app = buildApp(ticketRoutes);
+
+describe("Ticket Routes", () => {
+  describeRouteAccess(app, [
+    { method: "get", path: "/", allowed: "public" },
+    { method: "get", path: "/category/1", allowed: "public" },
+    { method: "get", path: "/event/1", allowed: "public" },
+    { method: "get", path: "/1", allowed: "public" },
+    {
+      method: "post",
+      path: "/",
+      body: {
+        name: "VIP",
+        price: 100000,
+        quantity: 50,
+        eventId: 1,
+        categoryId: 1,
+      },
+      allowed: ["admin", "organizer"],
+    },
+    {
+      method: "patch",
+      path: "/1",
+      body: { price: 120000 },
+      allowed: ["admin", "organizer"],
+    },
+    { method: "delete", path: "/1", allowed: ["admin", "organizer"] },
+  ]);
+});
@@ -0,0 +1,67 @@
+import { jest, describe, it, expect } from "@jest/globals";
+import request from "supertest";
+import {
+  stubControllers,
+  buildApp,
+  describeRouteAccess,
+  tokenFor,
+  ALL_ROLES,
+} from "./routeAccess.js";
+
+jest.unstable_mockModule("../../controllers/user.controller.js", () =>
+  stubControllers([
+    "updateUserDetails",
+    "deleteUserDetails",
+    "getAllUserDetails",
+    "getUserDetails",
+    "changeUserRole",
+    "getUserRoleChanges",
+    "unlockUser",
+  ])
+);
+
+jest.unstable_mockModule("../../controllers/issuedTicket.controller.js", () =>
+  stubControllers(["getMyTickets", "getMyTicketQr"])
+);
+
+jest.unstable_mockModule("../../controllers/session.controller.js", () =>
+  stubControllers(["getMySessions", "revokeMySession"])
+);
+
+const { default: userRoutes } = await import("../../routes/user.routes.js");
+
+const app = buildApp(userRoutes);
+
+describe("User Routes", () => {
+  describeRouteAccess(app, [
+    { method: "get", path: "/", allowed: ["admin"] },
+    { method: "get", path: "/me/tickets", allowed: ALL_ROLES },
+    { method: "get", path: "/me/tickets/1/qr", allowed: ALL_ROLES },
+    { method: "get", path: "/me/sessions", allowed: ALL_ROLES },
+    { method: "delete", path: "/me/sessions/1", allowed: ALL_ROLES },
+    { method: "get", path: "/1", allowed: ALL_ROLES },
+    {
+      method: "patch",
+      path: "/1",
+      body: { name: "Jane Doe" },
+      allowed: ALL_ROLES,
+    },
+    {
+      method: "patch",
+      path: "/1/role",
+      body: { role: "staff" },
+      allowed: ["admin"],
+    },
+    { method: "get", path: "/1/role-changes", allowed: ["admin"] },
+    { method: "post", path: "/1/unlock", allowed: ["admin"] },
+    { method: "delete", path: "/1", allowed: ["admin"] },
+  ]);
+
+  it("should reject a session id that is not a number", async () => {
+    const res = await request(app)
+      .delete("/me/sessions/abc")
+      .set("Authorization", `Bearer ${tokenFor("user")}`);
+
+    expect(res.status).toBe(400);
+  });
+});
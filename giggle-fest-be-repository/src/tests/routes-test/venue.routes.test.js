@@ -0,0 +1,36 @@
+import { jest, describe } from "@jest/globals";
+import {
+  stubControllers,
+  buildApp,
+  describeRouteAccess,
+} from "./routeAccess.js";
+
+jest.unstable_mockModule("../../controllers/venue.controller.js", () =>
+  stubControllers([
+    "createVenue",
+    "getAllVenues",
+    "getVenueById",
+    "getEventSeats",
+    "configureEventSeating",
+  ])
+);
+
+const { default: venueRoutes } = await import("../../routes/venue.routes.js");
+
+const app = buildApp(venueRoutes);
+
+describe("Venue Routes", () => {
+  describeRouteAccess(app, [
+    { method: "get", path: "/", allowed: "public" },
+    { method: "get", path: "/1", allowed: "public" },
+    {
+      method: "post",
+      path: "/",
+      body: {
+        name: "City Hall",
+        sections: [{ name: "Orchestra", rows: [{ name: "A", seats: 10 }] }],
+      },
+      allowed: ["admin", "organizer"],
+    },
+  ]);
+});
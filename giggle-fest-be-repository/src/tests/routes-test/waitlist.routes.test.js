@@ -0,0 +1,29 @@
+import { jest, describe } from "@jest/globals";
+import {
+  stubControllers,
+  buildApp,
+  describeRouteAccess,
+  ALL_ROLES,
+} from "./routeAccess.js";
+
+jest.unstable_mockModule("../../controllers/waitlist.controller.js", () =>
+  stubControllers(["joinWaitlist", "getMyWaitlist", "leaveWaitlist"])
+);
+
+const { default: waitlistRoutes } =
+  await import("../../routes/waitlist.routes.js");
+
+const app = buildApp(waitlistRoutes);
+
+describe("Waitlist Routes", () => {
+  describeRouteAccess(app, [
+    {
+      method: "post",
+      path: "/",
+      body: { ticketId: 1, quantity: 2 },
+      allowed: ALL_ROLES,
+    },
+    { method: "get", path: "/me", allowed: ALL_ROLES },
+    { method: "delete", path: "/1", allowed: ALL_ROLES },
+  ]);
+});
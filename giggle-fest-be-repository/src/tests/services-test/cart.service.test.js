@@ -6,12 +6,14 @@ import { jest } from "@jest/globals";
 // ---------------------------
 // Create mock cart repository functions
 // ---------------------------
-const mockFindCartItemByTicket = jest.fn();
-const mockCreateCartItem = jest.fn();
-const mockUpdateCartItem = jest.fn();
+const mockHoldCartItem = jest.fn();
+const mockUpdateHeldQuantity = jest.fn();
+const mockSweepExpiredHolds = jest.fn();
 const mockFindCartByUser = jest.fn();
 const mockFindCartItemById = jest.fn();
 const mockDeleteCartItem = jest.fn();
+const mockClearUserCart = jest.fn();
+const mockAddSeatsToCart = jest.fn();
 
 // ---------------------------
 // Create mock ticket repository functions
@@ -22,12 +24,14 @@ const mockFindTicketById = jest.fn();
 // Mock cart.repository module
 // ---------------------------
 jest.unstable_mockModule("../../repositories/cart.repository.js", () => ({
-  findCartItemByTicket: mockFindCartItemByTicket,
-  createCartItem: mockCreateCartItem,
-  updateCartItem: mockUpdateCartItem,
+  holdCartItem: mockHoldCartItem,
+  updateHeldQuantity: mockUpdateHeldQuantity,
+  sweepExpiredHolds: mockSweepExpiredHolds,
   findCartByUser: mockFindCartByUser,
   findCartItemById: mockFindCartItemById,
   deleteCartItem: mockDeleteCartItem,
+  clearUserCart: mockClearUserCart,
+  addSeatsToCart: mockAddSeatsToCart,
 }));
 
 // ---------------------------
@@ -37,6 +41,72 @@ jest.unstable_mockModule("../../repositories/ticket.repository.js", () => ({
   findTicketById: mockFindTicketById,
 }));
 
+// ---------------------------
+// Mock checkout dependencies
+// ---------------------------
+const mockFindUserById = jest.fn();
+const mockCreateOrderWithReservation = jest.fn();
+const mockSettlePayment = jest.fn();
+const mockValidatePromoCode = jest.fn();
+const mockCreateTransaction = jest.fn();
+
+jest.unstable_mockModule("../../repositories/user.repository.js", () => ({
+  findUserById: mockFindUserById,
+}));
+
+jest.unstable_mockModule("../../repositories/order.repository.js", () => ({
+  createOrderWithReservation: mockCreateOrderWithReservation,
+}));
+
+jest.unstable_mockModule("../../repositories/payment.repository.js", () => ({
+  settlePayment: mockSettlePayment,
+}));
+
+// a plain percentage stand-in for the promo rules, tested in promo.service
+const isPromoApplicable = (promo, item) =>
+  !promo.organizationId || promo.organizationId === item.organizationId;
+
+jest.unstable_mockModule("../../services/promo.service.js", () => ({
+  validatePromoCode: mockValidatePromoCode,
+  isPromoApplicable,
+  calculatePromoDiscount: (promo, lineItems) => {
+    const eligible = lineItems.filter((item) => isPromoApplicable(promo, item));
+    if (eligible.length === 0) {
+      throw new Error("Promo code is not valid for these tickets");
+    }
+    const subtotal = eligible.reduce((sum, item) => sum + item.subtotal, 0);
+    return Math.round((subtotal * promo.discount) / 100);
+  },
+}));
+
+jest.unstable_mockModule("../../services/payment.service.js", () => ({
+  generateOrderId: () => "ORDER-CART000001",
+  buildCustomerDetails: (user) => ({
+    first_name: user.name,
+    email: user.email,
+  }),
+}));
+
+jest.unstable_mockModule("../../libs/midtrans.config.js", () => ({
+  snap: { createTransaction: mockCreateTransaction },
+}));
+
+// general admission unless a test says otherwise
+const mockCheckSeatSelection = jest.fn();
+
+jest.unstable_mockModule("../../services/venue.service.js", () => ({
+  checkSeatSelection: mockCheckSeatSelection,
+}));
+
+// items cost their ticket's base price unless a test sets a tier price
+const mockPriceCartItems = jest.fn((items) =>
+  Promise.resolve(items.map((item) => ({ ...item, price: item.ticket.price })))
+);
+
+jest.unstable_mockModule("../../services/pricing.service.js", () => ({
+  priceCartItems: mockPriceCartItems,
+}));
+
 // ---------------------------
 // Import service after mock setup
 // ---------------------------
@@ -46,6 +116,8 @@ const {
   updateCartQuantity,
   removeFromCart,
   checkout,
+  releaseExpiredHolds,
+  startCartHoldSweeper,
 } = await import("../../services/cart.service.js");
 
 // ---------------------------
@@ -76,11 +148,13 @@ describe("Cart Service", () => {
     createdAt: new Date("2025-12-01T10:00:00.000Z"),
     updatedAt: new Date("2025-12-01T10:00:00.000Z"),
     ticket: createMockTicket(),
+    seats: [],
+    heldUntil: new Date(Date.now() + 10 * 60 * 1000),
     ...overrides,
   });
 
   describe("addToCart", () => {
-    test("should add new item to cart successfully", async () => {
+    test("should hold the stock for the new item for 15 minutes", async () => {
       const userId = 1;
       const cartData = { ticketId: 5, quantity: 3 };
 
@@ -91,34 +165,44 @@ describe("Cart Service", () => {
         quantity: 100,
       });
 
+      const heldUntil = new Date(Date.now() + 15 * 60 * 1000);
       const mockNewCartItem = createMockCartItem({
         id: 10,
         userId: 1,
         ticketId: 5,
         quantity: 3,
         ticket: mockTicket,
+        heldUntil,
       });
 
       mockFindTicketById.mockResolvedValue(mockTicket);
-      mockFindCartItemByTicket.mockResolvedValue(null); // No existing cart item
-      mockCreateCartItem.mockResolvedValue(mockNewCartItem);
+      mockHoldCartItem.mockResolvedValue(mockNewCartItem);
 
       const result = await addToCart(userId, cartData);
 
       expect(mockFindTicketById).toHaveBeenCalledTimes(1);
       expect(mockFindTicketById).toHaveBeenCalledWith(5);
 
-      expect(mockFindCartItemByTicket).toHaveBeenCalledTimes(1);
-      expect(mockFindCartItemByTicket).toHaveBeenCalledWith(1, 5);
-
-      expect(mockCreateCartItem).toHaveBeenCalledTimes(1);
-      expect(mockCreateCartItem).toHaveBeenCalledWith({
+      expect(mockHoldCartItem).toHaveBeenCalledTimes(1);
+      expect(mockHoldCartItem).toHaveBeenCalledWith({
         userId: 1,
         ticketId: 5,
         quantity: 3,
+        heldUntil: expect.any(Date),
       });
+      const { heldUntil: requested } = mockHoldCartItem.mock.calls[0][0];
+      expect(requested - Date.now()).toBeGreaterThan(14 * 60 * 1000);
+      expect(requested - Date.now()).toBeLessThanOrEqual(15 * 60 * 1000);
 
-      expect(result).toEqual(mockNewCartItem);
+      expect(result).toEqual({
+        ...mockNewCartItem,
+        price: 200000,
+        hold: {
+          expiresAt: heldUntil,
+          secondsLeft: expect.any(Number),
+          expired: false,
+        },
+      });
     });
 
     test("should throw error when ticket not found", async () => {
@@ -132,153 +216,90 @@ describe("Cart Service", () => {
       );
 
       expect(mockFindTicketById).toHaveBeenCalledWith(999);
-      expect(mockFindCartItemByTicket).not.toHaveBeenCalled();
-      expect(mockCreateCartItem).not.toHaveBeenCalled();
+      expect(mockHoldCartItem).not.toHaveBeenCalled();
     });
 
-    test("should throw error when not enough tickets available", async () => {
-      const userId = 1;
-      const cartData = { ticketId: 5, quantity: 150 };
-
-      const mockTicket = createMockTicket({
-        id: 5,
-        quantity: 100, // Only 100 available
-      });
-
-      mockFindTicketById.mockResolvedValue(mockTicket);
-
-      await expect(addToCart(userId, cartData)).rejects.toThrow(
-        "Not enough tickets available"
+    test("should not add tickets for an event that is not on sale", async () => {
+      mockFindTicketById.mockResolvedValueOnce(
+        createMockTicket({
+          event: { id: 1, name: "Rock Fest", status: "cancelled" },
+        })
       );
 
-      expect(mockFindTicketById).toHaveBeenCalledWith(5);
-      expect(mockFindCartItemByTicket).not.toHaveBeenCalled();
-      expect(mockCreateCartItem).not.toHaveBeenCalled();
+      await expect(addToCart(1, { ticketId: 1, quantity: 1 })).rejects.toThrow(
+        "Tickets for Rock Fest are not on sale"
+      );
+      expect(mockHoldCartItem).not.toHaveBeenCalled();
     });
 
-    test("should update existing cart item when ticket already in cart", async () => {
-      const userId = 1;
-      const cartData = { ticketId: 5, quantity: 3 };
-
-      const mockTicket = createMockTicket({
-        id: 5,
-        quantity: 100,
-      });
-
-      const existingCartItem = createMockCartItem({
-        id: 20,
-        userId: 1,
-        ticketId: 5,
-        quantity: 5, // Existing quantity
-        ticket: mockTicket,
-      });
-
-      const updatedCartItem = createMockCartItem({
-        id: 20,
-        userId: 1,
-        ticketId: 5,
-        quantity: 8, // 5 + 3
-        ticket: mockTicket,
-      });
-
-      mockFindTicketById.mockResolvedValue(mockTicket);
-      mockFindCartItemByTicket.mockResolvedValue(existingCartItem);
-      mockUpdateCartItem.mockResolvedValue(updatedCartItem);
-
-      const result = await addToCart(userId, cartData);
-
-      expect(mockFindCartItemByTicket).toHaveBeenCalledWith(1, 5);
-
-      expect(mockUpdateCartItem).toHaveBeenCalledTimes(1);
-      expect(mockUpdateCartItem).toHaveBeenCalledWith(20, 1, {
-        quantity: 8,
-      });
+    test("should not add tickets once their sales window has closed", async () => {
+      mockFindTicketById.mockResolvedValueOnce(
+        createMockTicket({
+          name: "Early Bird",
+          salesEnd: new Date(Date.now() - 60000),
+        })
+      );
 
-      expect(mockCreateCartItem).not.toHaveBeenCalled();
-      expect(result).toEqual(updatedCartItem);
-      expect(result.quantity).toBe(8);
+      await expect(addToCart(1, { ticketId: 1, quantity: 1 })).rejects.toThrow(
+        "Sales for Early Bird have closed"
+      );
+      expect(mockHoldCartItem).not.toHaveBeenCalled();
     });
 
-    test("should throw error when adding to existing cart item exceeds available quantity", async () => {
+    test("should throw error when not enough tickets available", async () => {
       const userId = 1;
-      const cartData = { ticketId: 5, quantity: 60 };
-
-      const mockTicket = createMockTicket({
-        id: 5,
-        quantity: 100,
-      });
-
-      const existingCartItem = createMockCartItem({
-        id: 20,
-        userId: 1,
-        ticketId: 5,
-        quantity: 50, // Existing quantity
-        ticket: mockTicket,
-      });
+      const cartData = { ticketId: 5, quantity: 150 };
 
-      // 50 + 60 = 110, but only 100 available
-      mockFindTicketById.mockResolvedValue(mockTicket);
-      mockFindCartItemByTicket.mockResolvedValue(existingCartItem);
+      mockFindTicketById.mockResolvedValue(createMockTicket({ id: 5 }));
+      mockHoldCartItem.mockRejectedValueOnce(
+        new Error("Not enough tickets available")
+      );
 
       await expect(addToCart(userId, cartData)).rejects.toThrow(
         "Not enough tickets available"
       );
 
-      expect(mockUpdateCartItem).not.toHaveBeenCalled();
-      expect(mockCreateCartItem).not.toHaveBeenCalled();
+      expect(mockFindTicketById).toHaveBeenCalledWith(5);
     });
 
-    test("should allow adding to cart when new quantity exactly equals available quantity", async () => {
-      const userId = 1;
-      const cartData = { ticketId: 5, quantity: 50 };
+    test("should hold the chosen seats for a seated ticket", async () => {
+      const mockSeatedItem = createMockCartItem({ id: 10, quantity: 2 });
+      mockFindTicketById.mockResolvedValueOnce(createMockTicket({ id: 5 }));
+      mockCheckSeatSelection.mockResolvedValueOnce(true);
+      mockAddSeatsToCart.mockResolvedValueOnce(mockSeatedItem);
 
-      const mockTicket = createMockTicket({
-        id: 5,
-        quantity: 100,
+      const result = await addToCart(1, {
+        ticketId: 5,
+        quantity: 2,
+        seatIds: [21, 22],
       });
 
-      const existingCartItem = createMockCartItem({
-        id: 20,
+      expect(mockCheckSeatSelection).toHaveBeenCalledWith(5, [21, 22]);
+      expect(mockAddSeatsToCart).toHaveBeenCalledWith({
         userId: 1,
         ticketId: 5,
-        quantity: 50,
-        ticket: mockTicket,
+        eventSeatIds: [21, 22],
+        heldUntil: expect.any(Date),
       });
-
-      const updatedCartItem = createMockCartItem({
-        id: 20,
-        quantity: 100, // 50 + 50 = 100 (exactly matches available)
-      });
-
-      mockFindTicketById.mockResolvedValue(mockTicket);
-      mockFindCartItemByTicket.mockResolvedValue(existingCartItem);
-      mockUpdateCartItem.mockResolvedValue(updatedCartItem);
-
-      const result = await addToCart(userId, cartData);
-
-      expect(mockUpdateCartItem).toHaveBeenCalledWith(20, 1, {
-        quantity: 100,
+      expect(mockHoldCartItem).not.toHaveBeenCalled();
+      expect(result).toEqual({
+        ...mockSeatedItem,
+        price: mockSeatedItem.ticket.price,
+        hold: expect.objectContaining({ expired: false }),
       });
-      expect(result.quantity).toBe(100);
     });
 
-    test("should validate ticket quantity before checking existing cart", async () => {
-      const userId = 1;
-      const cartData = { ticketId: 5, quantity: 200 };
-
-      const mockTicket = createMockTicket({
-        id: 5,
-        quantity: 100,
-      });
-
-      mockFindTicketById.mockResolvedValue(mockTicket);
-
-      await expect(addToCart(userId, cartData)).rejects.toThrow(
-        "Not enough tickets available"
+    test("should require seats for a seated ticket", async () => {
+      mockFindTicketById.mockResolvedValueOnce(createMockTicket({ id: 5 }));
+      mockCheckSeatSelection.mockRejectedValueOnce(
+        new Error("Choose seats for this ticket")
       );
 
-      // Should not check for existing cart item if initial quantity check fails
-      expect(mockFindCartItemByTicket).not.toHaveBeenCalled();
+      await expect(addToCart(1, { ticketId: 5, quantity: 2 })).rejects.toThrow(
+        "Choose seats for this ticket"
+      );
+      expect(mockAddSeatsToCart).not.toHaveBeenCalled();
+      expect(mockHoldCartItem).not.toHaveBeenCalled();
     });
   });
 
@@ -307,12 +328,40 @@ describe("Cart Service", () => {
       expect(mockFindCartByUser).toHaveBeenCalledTimes(1);
       expect(mockFindCartByUser).toHaveBeenCalledWith(1);
 
-      expect(result.items).toEqual(mockCartItems);
+      expect(result.items).toEqual(
+        mockCartItems.map((item) => ({
+          ...item,
+          price: item.ticket.price,
+          hold: expect.any(Object),
+        }))
+      );
       expect(result.totalItems).toBe(2);
       // Total: (2 * 500000) + (3 * 200000) = 1000000 + 600000 = 1600000
       expect(result.total).toBe(1600000);
     });
 
+    test("should total the items at their tier price", async () => {
+      const mockCartItems = [
+        createMockCartItem({
+          quantity: 2,
+          ticket: createMockTicket({ price: 500000 }),
+        }),
+      ];
+      mockFindCartByUser.mockResolvedValueOnce(mockCartItems);
+      mockPriceCartItems.mockResolvedValueOnce([
+        { ...mockCartItems[0], price: 400000 },
+      ]);
+
+      const result = await getCartByUser(1);
+
+      expect(mockPriceCartItems).toHaveBeenCalledWith(
+        mockCartItems,
+        expect.any(Date)
+      );
+      expect(result.items[0].price).toBe(400000);
+      expect(result.total).toBe(800000);
+    });
+
     test("should return empty cart when user has no items", async () => {
       const userId = 5;
 
@@ -323,6 +372,47 @@ describe("Cart Service", () => {
       expect(result.items).toEqual([]);
       expect(result.total).toBe(0);
       expect(result.totalItems).toBe(0);
+      expect(result.holdExpiresAt).toBeNull();
+    });
+
+    test("should count down each item's hold and the cart's first expiry", async () => {
+      const soon = new Date(Date.now() + 90 * 1000);
+      const later = new Date(Date.now() + 10 * 60 * 1000);
+      mockFindCartByUser.mockResolvedValueOnce([
+        createMockCartItem({ id: 1, heldUntil: later }),
+        createMockCartItem({ id: 2, heldUntil: soon }),
+      ]);
+
+      const result = await getCartByUser(1);
+
+      expect(result.holdExpiresAt).toEqual(soon);
+      expect(result.items[1].hold).toEqual({
+        expiresAt: soon,
+        secondsLeft: expect.any(Number),
+        expired: false,
+      });
+      expect(result.items[1].hold.secondsLeft).toBeGreaterThan(85);
+      expect(result.items[1].hold.secondsLeft).toBeLessThanOrEqual(90);
+    });
+
+    test("should mark items whose hold ran out or was released", async () => {
+      mockFindCartByUser.mockResolvedValueOnce([
+        createMockCartItem({ id: 1, heldUntil: new Date(Date.now() - 1000) }),
+        createMockCartItem({ id: 2, heldUntil: null }),
+      ]);
+
+      const result = await getCartByUser(1);
+
+      expect(result.items.map((item) => item.hold.expired)).toEqual([
+        true,
+        true,
+      ]);
+      expect(result.items[1].hold).toEqual({
+        expiresAt: null,
+        secondsLeft: 0,
+        expired: true,
+      });
+      expect(result.holdExpiresAt).toBeNull();
     });
 
     test("should calculate total correctly with single item", async () => {
@@ -392,7 +482,7 @@ describe("Cart Service", () => {
   });
 
   describe("updateCartQuantity", () => {
-    test("should update cart item quantity successfully", async () => {
+    test("should update cart item quantity and restart its hold", async () => {
       const userId = 1;
       const cartId = 10;
       const newQuantity = 5;
@@ -404,34 +494,31 @@ describe("Cart Service", () => {
         quantity: 2,
       });
 
-      const mockTicket = createMockTicket({
-        id: 3,
-        quantity: 50,
-      });
-
       const updatedCartItem = createMockCartItem({
         id: 10,
         quantity: 5,
       });
 
       mockFindCartItemById.mockResolvedValue(mockCartItem);
-      mockFindTicketById.mockResolvedValue(mockTicket);
-      mockUpdateCartItem.mockResolvedValue(updatedCartItem);
+      mockUpdateHeldQuantity.mockResolvedValue(updatedCartItem);
 
       const result = await updateCartQuantity(userId, cartId, newQuantity);
 
       expect(mockFindCartItemById).toHaveBeenCalledTimes(1);
       expect(mockFindCartItemById).toHaveBeenCalledWith(10, 1);
 
-      expect(mockFindTicketById).toHaveBeenCalledTimes(1);
-      expect(mockFindTicketById).toHaveBeenCalledWith(3);
-
-      expect(mockUpdateCartItem).toHaveBeenCalledTimes(1);
-      expect(mockUpdateCartItem).toHaveBeenCalledWith(10, 1, {
+      expect(mockUpdateHeldQuantity).toHaveBeenCalledTimes(1);
+      expect(mockUpdateHeldQuantity).toHaveBeenCalledWith(10, 1, {
+        ticketId: 3,
         quantity: 5,
+        heldUntil: expect.any(Date),
       });
 
-      expect(result).toEqual(updatedCartItem);
+      expect(result).toEqual({
+        ...updatedCartItem,
+        price: updatedCartItem.ticket.price,
+        hold: expect.objectContaining({ expired: false }),
+      });
     });
 
     test("should throw error when cart item not found", async () => {
@@ -446,8 +533,7 @@ describe("Cart Service", () => {
       ).rejects.toThrow("Cart item not found");
 
       expect(mockFindCartItemById).toHaveBeenCalledWith(999, 1);
-      expect(mockFindTicketById).not.toHaveBeenCalled();
-      expect(mockUpdateCartItem).not.toHaveBeenCalled();
+      expect(mockUpdateHeldQuantity).not.toHaveBeenCalled();
     });
 
     test("should throw error when not enough tickets available for new quantity", async () => {
@@ -455,88 +541,16 @@ describe("Cart Service", () => {
       const cartId = 10;
       const newQuantity = 150;
 
-      const mockCartItem = createMockCartItem({
-        id: 10,
-        ticketId: 3,
-        quantity: 2,
-      });
-
-      const mockTicket = createMockTicket({
-        id: 3,
-        quantity: 100, // Only 100 available
-      });
-
-      mockFindCartItemById.mockResolvedValue(mockCartItem);
-      mockFindTicketById.mockResolvedValue(mockTicket);
+      mockFindCartItemById.mockResolvedValue(
+        createMockCartItem({ id: 10, ticketId: 3, quantity: 2 })
+      );
+      mockUpdateHeldQuantity.mockRejectedValueOnce(
+        new Error("Not enough tickets available")
+      );
 
       await expect(
         updateCartQuantity(userId, cartId, newQuantity)
       ).rejects.toThrow("Not enough tickets available");
-
-      expect(mockUpdateCartItem).not.toHaveBeenCalled();
-    });
-
-    test("should allow updating to quantity that equals available tickets", async () => {
-      const userId = 1;
-      const cartId = 10;
-      const newQuantity = 100;
-
-      const mockCartItem = createMockCartItem({
-        id: 10,
-        ticketId: 3,
-        quantity: 50,
-      });
-
-      const mockTicket = createMockTicket({
-        id: 3,
-        quantity: 100,
-      });
-
-      const updatedCartItem = createMockCartItem({
-        id: 10,
-        quantity: 100,
-      });
-
-      mockFindCartItemById.mockResolvedValue(mockCartItem);
-      mockFindTicketById.mockResolvedValue(mockTicket);
-      mockUpdateCartItem.mockResolvedValue(updatedCartItem);
-
-      const result = await updateCartQuantity(userId, cartId, newQuantity);
-
-      expect(mockUpdateCartItem).toHaveBeenCalledWith(10, 1, {
-        quantity: 100,
-      });
-      expect(result.quantity).toBe(100);
-    });
-
-    test("should allow decreasing quantity", async () => {
-      const userId = 1;
-      const cartId = 10;
-      const newQuantity = 1;
-
-      const mockCartItem = createMockCartItem({
-        id: 10,
-        ticketId: 3,
-        quantity: 10,
-      });
-
-      const mockTicket = createMockTicket({
-        id: 3,
-        quantity: 50,
-      });
-
-      const updatedCartItem = createMockCartItem({
-        id: 10,
-        quantity: 1,
-      });
-
-      mockFindCartItemById.mockResolvedValue(mockCartItem);
-      mockFindTicketById.mockResolvedValue(mockTicket);
-      mockUpdateCartItem.mockResolvedValue(updatedCartItem);
-
-      const result = await updateCartQuantity(userId, cartId, newQuantity);
-
-      expect(result.quantity).toBe(1);
     });
 
     test("should validate cart item belongs to user", async () => {
@@ -550,19 +564,29 @@ describe("Cart Service", () => {
         ticketId: 3,
       });
 
-      const mockTicket = createMockTicket({ id: 3 });
-
       mockFindCartItemById.mockResolvedValue(mockCartItem);
-      mockFindTicketById.mockResolvedValue(mockTicket);
-      mockUpdateCartItem.mockResolvedValue(mockCartItem);
+      mockUpdateHeldQuantity.mockResolvedValue(mockCartItem);
 
       await updateCartQuantity(userId, cartId, newQuantity);
 
       expect(mockFindCartItemById).toHaveBeenCalledWith(10, 5);
-      expect(mockUpdateCartItem).toHaveBeenCalledWith(10, 5, {
+      expect(mockUpdateHeldQuantity).toHaveBeenCalledWith(10, 5, {
+        ticketId: 3,
         quantity: 3,
+        heldUntil: expect.any(Date),
       });
     });
+
+    test("should not change the quantity of a seated cart item", async () => {
+      mockFindCartItemById.mockResolvedValueOnce(
+        createMockCartItem({ id: 10, seats: [{ id: 21 }, { id: 22 }] })
+      );
+
+      await expect(updateCartQuantity(1, 10, 3)).rejects.toThrow(
+        "Add or remove seats to change the quantity of a seated ticket"
+      );
+      expect(mockUpdateHeldQuantity).not.toHaveBeenCalled();
+    });
   });
 
   describe("removeFromCart", () => {
@@ -641,276 +665,440 @@ describe("Cart Service", () => {
   });
 
   describe("checkout", () => {
-    test("should checkout successfully with valid cart items", async () => {
-      const userId = 1;
+    const userId = 1;
+    const mockUser = { id: 1, name: "John", email: "john@example.com" };
 
-      const mockCartItems = [
-        createMockCartItem({
-          id: 1,
-          ticketId: 5,
-          quantity: 2,
-          ticket: createMockTicket({
-            id: 5,
-            name: "VIP",
-            price: 500000,
-            quantity: 100,
-          }),
+    const createThreeTypeCart = () => [
+      createMockCartItem({
+        id: 1,
+        ticketId: 5,
+        quantity: 2,
+        ticket: createMockTicket({
+          id: 5,
+          name: "VIP",
+          price: 500000,
+          category: { name: "VIP" },
         }),
-        createMockCartItem({
-          id: 2,
-          ticketId: 6,
-          quantity: 3,
-          ticket: createMockTicket({
-            id: 6,
-            name: "Regular",
-            price: 200000,
-            quantity: 100,
-          }),
+      }),
+      createMockCartItem({
+        id: 2,
+        ticketId: 6,
+        quantity: 3,
+        ticket: createMockTicket({
+          id: 6,
+          name: "Regular",
+          price: 200000,
+          category: { name: "Regular" },
         }),
-      ];
+      }),
+      createMockCartItem({
+        id: 3,
+        ticketId: 7,
+        quantity: 1,
+        ticket: createMockTicket({
+          id: 7,
+          name: "Camping",
+          price: 150000,
+          category: { name: "Addon" },
+        }),
+      }),
+    ];
+
+    const mockOrder = {
+      id: 10,
+      status: "pending",
+      payments: [{ id: 20, orderId: "ORDER-CART000001", status: "pending" }],
+    };
+
+    const setupSuccessfulCheckout = (cartItems = createThreeTypeCart()) => {
+      mockFindCartByUser.mockResolvedValue(cartItems);
+      mockFindTicketById.mockImplementation(async (id) =>
+        createMockTicket({ id, quantity: 100 })
+      );
+      mockFindUserById.mockResolvedValue(mockUser);
+      mockCreateOrderWithReservation.mockResolvedValue(mockOrder);
+      mockCreateTransaction.mockResolvedValue({
+        token: "snap-token",
+        redirect_url: "https://midtrans.com/snap",
+      });
+    };
 
-      mockFindCartByUser.mockResolvedValue(mockCartItems);
-      mockFindTicketById
-        .mockResolvedValueOnce(createMockTicket({ id: 5, quantity: 100 }))
-        .mockResolvedValueOnce(createMockTicket({ id: 6, quantity: 100 }));
+    test("should reject a cart holding tickets for a postponed event", async () => {
+      setupSuccessfulCheckout();
+      mockFindTicketById.mockImplementation(async (id) =>
+        createMockTicket({
+          id,
+          quantity: 100,
+          event: { id: 1, name: "Rock Fest", status: "postponed" },
+        })
+      );
 
-      const result = await checkout(userId);
+      await expect(checkout(userId)).rejects.toThrow(
+        "Tickets for Rock Fest are not on sale"
+      );
+      expect(mockCreateOrderWithReservation).not.toHaveBeenCalled();
+    });
 
-      expect(mockFindCartByUser).toHaveBeenCalledWith(1);
-      expect(mockFindTicketById).toHaveBeenCalledTimes(2);
-      expect(mockFindTicketById).toHaveBeenNthCalledWith(1, 5);
-      expect(mockFindTicketById).toHaveBeenNthCalledWith(2, 6);
+    test("should create one order with a line item per cart row", async () => {
+      setupSuccessfulCheckout();
 
-      expect(result).toEqual({
+      await checkout(userId);
+
+      expect(mockCreateOrderWithReservation).toHaveBeenCalledWith({
         userId: 1,
+        orderId: "ORDER-CART000001",
+        originalAmount: 1750000,
+        discount: 0,
+        amount: 1750000,
+        promoCodeId: undefined,
         items: [
-          {
+          expect.objectContaining({
             ticketId: 5,
             quantity: 2,
             price: 500000,
             subtotal: 1000000,
-          },
-          {
+            discount: 0,
+          }),
+          expect.objectContaining({
             ticketId: 6,
             quantity: 3,
             price: 200000,
             subtotal: 600000,
-          },
+            discount: 0,
+          }),
+          expect.objectContaining({
+            ticketId: 7,
+            quantity: 1,
+            price: 150000,
+            subtotal: 150000,
+            discount: 0,
+          }),
         ],
-        total: 1600000,
-        status: "pending",
       });
     });
 
-    test("should throw error when cart is empty", async () => {
-      const userId = 1;
+    test("should charge each line at its tier price", async () => {
+      const cartItems = createThreeTypeCart();
+      setupSuccessfulCheckout(cartItems);
+      mockPriceCartItems.mockResolvedValueOnce(
+        cartItems.map((item) => ({
+          ...item,
+          price: item.ticketId === 5 ? 450000 : item.ticket.price,
+        }))
+      );
 
-      mockFindCartByUser.mockResolvedValue([]);
+      await checkout(userId);
 
-      await expect(checkout(userId)).rejects.toThrow("Cart is empty");
+      const { originalAmount, items } =
+        mockCreateOrderWithReservation.mock.calls[0][0];
+      expect(originalAmount).toBe(1650000);
+      expect(items[0]).toEqual(
+        expect.objectContaining({ price: 450000, subtotal: 900000 })
+      );
+    });
 
-      expect(mockFindTicketById).not.toHaveBeenCalled();
+    test("should create a single Snap transaction with all item details", async () => {
+      setupSuccessfulCheckout();
+
+      await checkout(userId);
+
+      expect(mockCreateTransaction).toHaveBeenCalledTimes(1);
+      expect(mockCreateTransaction).toHaveBeenCalledWith({
+        transaction_details: {
+          order_id: "ORDER-CART000001",
+          gross_amount: 1750000,
+        },
+        customer_details: { first_name: "John", email: "john@example.com" },
+        item_details: [
+          { id: "5", price: 500000, quantity: 2, name: "VIP", category: "VIP" },
+          {
+            id: "6",
+            price: 200000,
+            quantity: 3,
+            name: "Regular",
+            category: "Regular",
+          },
+          {
+            id: "7",
+            price: 150000,
+            quantity: 1,
+            name: "Camping",
+            category: "Addon",
+          },
+        ],
+      });
     });
 
-    test("should throw error when ticket quantity insufficient during checkout", async () => {
-      const userId = 1;
+    test("should empty the cart and return order with payment link", async () => {
+      setupSuccessfulCheckout();
 
-      const mockCartItems = [
-        createMockCartItem({
-          id: 1,
-          ticketId: 5,
-          quantity: 50,
-          ticket: createMockTicket({
-            id: 5,
-            name: "VIP Ticket",
-            price: 500000,
-          }),
-        }),
-      ];
+      const result = await checkout(userId);
 
-      mockFindCartByUser.mockResolvedValue(mockCartItems);
-      mockFindTicketById.mockResolvedValue(
-        createMockTicket({ id: 5, name: "VIP Ticket", quantity: 30 }) // Only 30 available
-      );
+      expect(mockClearUserCart).toHaveBeenCalledWith(1);
+      expect(result).toEqual({
+        order: mockOrder,
+        payment: mockOrder.payments[0],
+        transactionToken: "snap-token",
+        redirectUrl: "https://midtrans.com/snap",
+      });
+    });
 
-      await expect(checkout(userId)).rejects.toThrow(
-        "Not enough tickets available for VIP Ticket"
+    test("should apply a promo code to the whole order", async () => {
+      setupSuccessfulCheckout();
+      mockValidatePromoCode.mockResolvedValue({
+        id: 3,
+        code: "FEST10",
+        discount: 10,
+      });
+
+      await checkout(userId, { promoCode: "FEST10" });
+
+      expect(mockValidatePromoCode).toHaveBeenCalledWith("FEST10", userId);
+      const orderData = mockCreateOrderWithReservation.mock.calls[0][0];
+      expect(orderData.discount).toBe(175000);
+      expect(orderData.amount).toBe(1575000);
+      expect(orderData.promoCodeId).toBe(3);
+      expect(
+        orderData.items.reduce((sum, item) => sum + item.discount, 0)
+      ).toBe(175000);
+
+      const transaction = mockCreateTransaction.mock.calls[0][0];
+      expect(transaction.transaction_details.gross_amount).toBe(1575000);
+      expect(transaction.item_details).toContainEqual({
+        id: "DISCOUNT",
+        price: -175000,
+        quantity: 1,
+        name: "Promo: FEST10",
+        category: "Discount",
+      });
+    });
+
+    test("should keep item details summing to the gross amount", async () => {
+      setupSuccessfulCheckout();
+      mockValidatePromoCode.mockResolvedValue({ id: 3, discount: 7 });
+
+      await checkout(userId, { promoCode: "ODD7" });
+
+      const transaction = mockCreateTransaction.mock.calls[0][0];
+      const sum = transaction.item_details.reduce(
+        (total, item) => total + item.price * item.quantity,
+        0
       );
+      expect(sum).toBe(transaction.transaction_details.gross_amount);
     });
 
-    test("should validate all ticket quantities before creating checkout data", async () => {
-      const userId = 1;
+    test("should only discount items of the promo's organization", async () => {
+      const cartItems = createThreeTypeCart();
+      cartItems[0].ticket.event = { id: 1, organizationId: 3 };
+      setupSuccessfulCheckout(cartItems);
+      mockValidatePromoCode.mockResolvedValue({
+        id: 4,
+        code: "ORG10",
+        discount: 10,
+        organizationId: 3,
+      });
 
-      const mockCartItems = [
-        createMockCartItem({
-          id: 1,
-          ticketId: 5,
-          quantity: 2,
-          ticket: createMockTicket({ id: 5, name: "Ticket A", price: 100000 }),
-        }),
-        createMockCartItem({
-          id: 2,
-          ticketId: 6,
-          quantity: 3,
-          ticket: createMockTicket({ id: 6, name: "Ticket B", price: 200000 }),
-        }),
-        createMockCartItem({
-          id: 3,
-          ticketId: 7,
-          quantity: 100,
-          ticket: createMockTicket({ id: 7, name: "Ticket C", price: 150000 }),
-        }),
-      ];
+      await checkout(userId, { promoCode: "ORG10" });
 
-      mockFindCartByUser.mockResolvedValue(mockCartItems);
-      mockFindTicketById
-        .mockResolvedValueOnce(
-          createMockTicket({ id: 5, name: "Ticket A", quantity: 100 })
-        )
-        .mockResolvedValueOnce(
-          createMockTicket({ id: 6, name: "Ticket B", quantity: 100 })
-        )
-        .mockResolvedValueOnce(
-          createMockTicket({ id: 7, name: "Ticket C", quantity: 50 })
-        ); // Insufficient
+      const orderData = mockCreateOrderWithReservation.mock.calls[0][0];
+      expect(orderData.discount).toBe(100000);
+      expect(orderData.amount).toBe(1650000);
+      expect(orderData.items.map((item) => item.discount)).toEqual([
+        100000, 0, 0,
+      ]);
+    });
 
-      await expect(checkout(userId)).rejects.toThrow(
-        "Not enough tickets available for Ticket C"
+    test("should reject an organization promo when no item belongs to it", async () => {
+      setupSuccessfulCheckout();
+      mockValidatePromoCode.mockResolvedValue({
+        id: 4,
+        code: "ORG10",
+        discount: 10,
+        organizationId: 3,
+      });
+
+      await expect(checkout(userId, { promoCode: "ORG10" })).rejects.toThrow(
+        "Promo code is not valid for these tickets"
       );
+      expect(mockCreateOrderWithReservation).not.toHaveBeenCalled();
+    });
 
-      expect(mockFindTicketById).toHaveBeenCalledTimes(3);
+    test("should reject an invalid promo code before reserving stock", async () => {
+      setupSuccessfulCheckout();
+      mockValidatePromoCode.mockRejectedValue(new Error("Invalid promo code"));
+
+      await expect(checkout(userId, { promoCode: "NOPE" })).rejects.toThrow(
+        "Invalid promo code"
+      );
+      expect(mockCreateOrderWithReservation).not.toHaveBeenCalled();
     });
 
-    test("should calculate subtotals correctly for each item", async () => {
-      const userId = 1;
+    test("should release the order reservation if Snap fails", async () => {
+      setupSuccessfulCheckout();
+      mockCreateTransaction.mockRejectedValue(new Error("Midtrans down"));
 
-      const mockCartItems = [
-        createMockCartItem({
-          id: 1,
-          ticketId: 5,
-          quantity: 4,
-          ticket: createMockTicket({ id: 5, price: 250000, quantity: 100 }),
-        }),
-      ];
+      await expect(checkout(userId)).rejects.toThrow("Midtrans down");
 
-      mockFindCartByUser.mockResolvedValue(mockCartItems);
-      mockFindTicketById.mockResolvedValue(
-        createMockTicket({ id: 5, quantity: 100 })
+      expect(mockSettlePayment).toHaveBeenCalledWith(
+        "ORDER-CART000001",
+        "failed"
       );
+      expect(mockClearUserCart).not.toHaveBeenCalled();
+    });
 
-      const result = await checkout(userId);
+    test("should keep the cart when stock cannot be reserved", async () => {
+      setupSuccessfulCheckout();
+      mockCreateOrderWithReservation.mockRejectedValue(
+        new Error("Not enough tickets available for VIP")
+      );
 
-      expect(result.items[0].subtotal).toBe(1000000); // 4 * 250000
-      expect(result.total).toBe(1000000);
+      await expect(checkout(userId)).rejects.toThrow(
+        "Not enough tickets available for VIP"
+      );
+      expect(mockCreateTransaction).not.toHaveBeenCalled();
+      expect(mockClearUserCart).not.toHaveBeenCalled();
     });
 
-    test("should set status as pending", async () => {
-      const userId = 1;
+    test("should throw error when cart is empty", async () => {
+      mockFindCartByUser.mockResolvedValue([]);
 
-      const mockCartItems = [
+      await expect(checkout(userId)).rejects.toThrow("Cart is empty");
+
+      expect(mockFindTicketById).not.toHaveBeenCalled();
+    });
+
+    test("should reject an item whose hold has expired", async () => {
+      setupSuccessfulCheckout([
         createMockCartItem({
           id: 1,
           ticketId: 5,
-          quantity: 1,
-          ticket: createMockTicket({ id: 5, price: 100000, quantity: 100 }),
+          quantity: 2,
+          heldUntil: new Date(Date.now() - 60 * 1000),
         }),
-      ];
+      ]);
 
-      mockFindCartByUser.mockResolvedValue(mockCartItems);
-      mockFindTicketById.mockResolvedValue(
-        createMockTicket({ id: 5, quantity: 100 })
+      await expect(checkout(userId)).rejects.toThrow(
+        "Your hold on VIP Ticket has expired, please add it to your cart again"
       );
+      expect(mockCreateOrderWithReservation).not.toHaveBeenCalled();
+    });
 
-      const result = await checkout(userId);
+    test("should reject an item whose hold was released", async () => {
+      setupSuccessfulCheckout([
+        createMockCartItem({ id: 1, ticketId: 5, heldUntil: null }),
+      ]);
 
-      expect(result.status).toBe("pending");
+      await expect(checkout(userId)).rejects.toThrow(
+        "Your hold on VIP Ticket has expired, please add it to your cart again"
+      );
+      expect(mockCreateOrderWithReservation).not.toHaveBeenCalled();
     });
 
-    test("should include userId in checkout data", async () => {
-      const userId = 5;
+    test("should hand each item's hold over to the order", async () => {
+      setupSuccessfulCheckout();
 
-      const mockCartItems = [
-        createMockCartItem({
-          id: 1,
-          ticketId: 5,
-          quantity: 1,
-          ticket: createMockTicket({ id: 5, price: 100000, quantity: 100 }),
-        }),
-      ];
+      await checkout(userId);
 
-      mockFindCartByUser.mockResolvedValue(mockCartItems);
-      mockFindTicketById.mockResolvedValue(
-        createMockTicket({ id: 5, quantity: 100 })
-      );
+      const { items } = mockCreateOrderWithReservation.mock.calls[0][0];
+      expect(items.map((item) => item.cartId)).toEqual([1, 2, 3]);
+      items.forEach((item) => expect(item).not.toHaveProperty("seated"));
+    });
 
-      const result = await checkout(userId);
+    test("should throw error when user does not exist", async () => {
+      setupSuccessfulCheckout();
+      mockFindUserById.mockResolvedValue(null);
 
-      expect(result.userId).toBe(5);
+      await expect(checkout(userId)).rejects.toThrow("User not found");
     });
 
-    test("should map all cart items correctly in checkout data", async () => {
-      const userId = 1;
-
-      const mockCartItems = [
+    describe("seated cart items", () => {
+      const createSeatedCart = (heldUntil) => [
         createMockCartItem({
-          id: 1,
-          ticketId: 10,
+          id: 4,
+          ticketId: 5,
           quantity: 2,
-          ticket: createMockTicket({ id: 10, price: 300000, quantity: 100 }),
-        }),
-        createMockCartItem({
-          id: 2,
-          ticketId: 11,
-          quantity: 5,
-          ticket: createMockTicket({ id: 11, price: 150000, quantity: 100 }),
+          ticket: createMockTicket({ id: 5, name: "Front" }),
+          seats: [
+            { id: 21, status: "held", heldUntil },
+            { id: 22, status: "held", heldUntil },
+          ],
         }),
       ];
 
-      mockFindCartByUser.mockResolvedValue(mockCartItems);
-      mockFindTicketById
-        .mockResolvedValueOnce(createMockTicket({ id: 10, quantity: 100 }))
-        .mockResolvedValueOnce(createMockTicket({ id: 11, quantity: 100 }));
+      test("should sell the held seats with the order", async () => {
+        setupSuccessfulCheckout(
+          createSeatedCart(new Date(Date.now() + 5 * 60 * 1000))
+        );
 
-      const result = await checkout(userId);
+        await checkout(userId);
 
-      expect(result.items).toHaveLength(2);
-      expect(result.items[0]).toEqual({
-        ticketId: 10,
-        quantity: 2,
-        price: 300000,
-        subtotal: 600000,
+        expect(mockCreateOrderWithReservation.mock.calls[0][0].items).toEqual([
+          expect.objectContaining({
+            ticketId: 5,
+            quantity: 2,
+            cartId: 4,
+            seated: true,
+          }),
+        ]);
       });
-      expect(result.items[1]).toEqual({
-        ticketId: 11,
-        quantity: 5,
-        price: 150000,
-        subtotal: 750000,
+
+      test("should reject seats whose hold ran out", async () => {
+        setupSuccessfulCheckout(
+          createSeatedCart(new Date(Date.now() - 60 * 1000))
+        );
+
+        await expect(checkout(userId)).rejects.toThrow(
+          "Your seats for VIP Ticket are no longer held, please choose them again"
+        );
+        expect(mockCreateOrderWithReservation).not.toHaveBeenCalled();
       });
-      expect(result.total).toBe(1350000);
     });
+  });
 
-    test("should use getCartByUser internally for total calculation", async () => {
-      const userId = 1;
+  describe("releaseExpiredHolds", () => {
+    test("should sweep the expired holds of every cart", async () => {
+      mockSweepExpiredHolds.mockResolvedValueOnce(3);
 
-      const mockCartItems = [
-        createMockCartItem({
-          id: 1,
-          ticketId: 5,
-          quantity: 2,
-          ticket: createMockTicket({ id: 5, price: 500000, quantity: 100 }),
-        }),
-      ];
+      expect(await releaseExpiredHolds()).toBe(3);
+      expect(mockSweepExpiredHolds).toHaveBeenCalledTimes(1);
+    });
+  });
 
-      mockFindCartByUser.mockResolvedValue(mockCartItems);
-      mockFindTicketById.mockResolvedValue(
-        createMockTicket({ id: 5, quantity: 100 })
-      );
+  describe("startCartHoldSweeper", () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
 
-      const result = await checkout(userId);
+    test("should sweep on every interval", async () => {
+      jest.useFakeTimers();
+      mockSweepExpiredHolds.mockResolvedValue(0);
 
-      // getCartByUser is called internally
-      expect(mockFindCartByUser).toHaveBeenCalledWith(1);
-      expect(result.total).toBe(1000000); // Calculated by getCartByUser
+      const timer = startCartHoldSweeper(1000);
+      jest.advanceTimersByTime(3000);
+      clearInterval(timer);
+
+      expect(mockSweepExpiredHolds).toHaveBeenCalledTimes(3);
+    });
+
+    test("should keep sweeping after a failed sweep", async () => {
+      jest.useFakeTimers();
+      const consoleSpy = jest
+        .spyOn(console, "error")
+        .mockImplementation(() => {});
+      mockSweepExpiredHolds
+        .mockRejectedValueOnce(new Error("Database error"))
+        .mockResolvedValueOnce(0);
+
+      const timer = startCartHoldSweeper(1000);
+      await jest.advanceTimersByTimeAsync(2000);
+      clearInterval(timer);
+
+      expect(mockSweepExpiredHolds).toHaveBeenCalledTimes(2);
+      expect(consoleSpy).toHaveBeenCalledWith(
+        "Failed to release expired cart holds:",
+        expect.any(Error)
+      );
+      consoleSpy.mockRestore();
     });
   });
 });
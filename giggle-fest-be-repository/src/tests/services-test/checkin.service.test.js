@@ -0,0 +1,270 @@
+/**
+ * @jest-environment node
+ */
+import { jest } from "@jest/globals";
+
+// ---------------------------
+// Create mock functions
+// ---------------------------
+const mockFindIssuedTicketByCode = jest.fn();
+const mockCheckInIssuedTicket = jest.fn();
+const mockCountIssuedTicketsByEvent = jest.fn();
+const mockFindEventById = jest.fn();
+const mockVerifyTicketCode = jest.fn();
+const mockAssertEventAccess = jest.fn();
+const mockHasOpenRefund = jest.fn();
+
+// ---------------------------
+// Mock dependencies
+// ---------------------------
+jest.unstable_mockModule(
+  "../../repositories/issuedTicket.repository.js",
+  () => ({
+    findIssuedTicketByCode: mockFindIssuedTicketByCode,
+    checkInIssuedTicket: mockCheckInIssuedTicket,
+    countIssuedTicketsByEvent: mockCountIssuedTicketsByEvent,
+  })
+);
+
+jest.unstable_mockModule("../../repositories/event.repository.js", () => ({
+  findEventById: mockFindEventById,
+}));
+
+jest.unstable_mockModule("../../repositories/refund.repository.js", () => ({
+  hasOpenRefund: mockHasOpenRefund,
+}));
+
+jest.unstable_mockModule("../../utils/ticketCode.js", () => ({
+  verifyTicketCode: mockVerifyTicketCode,
+}));
+
+jest.unstable_mockModule("../../services/organization.service.js", () => ({
+  assertEventAccess: mockAssertEventAccess,
+}));
+
+// ---------------------------
+// Import service after mock setup
+// ---------------------------
+const { checkInTicket, getCheckInStats } = await import(
+  "../../services/checkin.service.js"
+);
+
+// ---------------------------
+// Test Suite
+// ---------------------------
+describe("Check-in Service", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockHasOpenRefund.mockResolvedValue(false);
+  });
+
+  const staff = { id: 7, role: "staff" };
+  const organizer = { id: 8, role: "organizer" };
+
+  const createMockIssuedTicket = (overrides = {}) => ({
+    id: 1,
+    code: "10.abc.sig",
+    status: "valid",
+    eventId: 10,
+    ticketId: 5,
+    userId: 2,
+    ...overrides,
+  });
+
+  describe("checkInTicket", () => {
+    const scan = { code: "10.abc.sig", eventId: 10 };
+
+    test("should mark a valid ticket as used by the scanning staff", async () => {
+      const usedTicket = createMockIssuedTicket({
+        status: "used",
+        checkedInById: 7,
+      });
+      mockVerifyTicketCode.mockReturnValue({ eventId: 10 });
+      mockFindIssuedTicketByCode
+        .mockResolvedValueOnce(createMockIssuedTicket())
+        .mockResolvedValueOnce(usedTicket);
+      mockCheckInIssuedTicket.mockResolvedValue({ count: 1 });
+
+      const result = await checkInTicket(scan, staff);
+
+      expect(mockCheckInIssuedTicket).toHaveBeenCalledWith(1, 7);
+      expect(result).toEqual(usedTicket);
+    });
+
+    test("should reject a code with an invalid signature", async () => {
+      mockVerifyTicketCode.mockReturnValue(null);
+
+      await expect(checkInTicket(scan, staff)).rejects.toThrow(
+        "Invalid ticket code"
+      );
+      expect(mockFindIssuedTicketByCode).not.toHaveBeenCalled();
+    });
+
+    test("should reject a code for another event", async () => {
+      mockVerifyTicketCode.mockReturnValue({ eventId: 11 });
+
+      await expect(checkInTicket(scan, staff)).rejects.toThrow(
+        "Ticket is for another event"
+      );
+      expect(mockFindIssuedTicketByCode).not.toHaveBeenCalled();
+    });
+
+    test("should throw error if the code was never issued", async () => {
+      mockVerifyTicketCode.mockReturnValue({ eventId: 10 });
+      mockFindIssuedTicketByCode.mockResolvedValue(null);
+
+      await expect(checkInTicket(scan, staff)).rejects.toThrow(
+        "Ticket not found"
+      );
+    });
+
+    test("should reject an already used ticket", async () => {
+      mockVerifyTicketCode.mockReturnValue({ eventId: 10 });
+      mockFindIssuedTicketByCode.mockResolvedValue(
+        createMockIssuedTicket({ status: "used" })
+      );
+
+      await expect(checkInTicket(scan, staff)).rejects.toThrow(
+        "Ticket already checked in"
+      );
+      expect(mockCheckInIssuedTicket).not.toHaveBeenCalled();
+    });
+
+    test("should reject a voided ticket", async () => {
+      mockVerifyTicketCode.mockReturnValue({ eventId: 10 });
+      mockFindIssuedTicketByCode.mockResolvedValue(
+        createMockIssuedTicket({ status: "void" })
+      );
+
+      await expect(checkInTicket(scan, staff)).rejects.toThrow(
+        "Ticket is no longer valid"
+      );
+    });
+
+    test("should reject a ticket on a refund still being decided", async () => {
+      mockVerifyTicketCode.mockReturnValue({ eventId: 10 });
+      mockFindIssuedTicketByCode.mockResolvedValue(createMockIssuedTicket());
+      mockHasOpenRefund.mockResolvedValueOnce(true);
+
+      await expect(checkInTicket(scan, staff)).rejects.toThrow(
+        "Ticket has a refund pending"
+      );
+      expect(mockHasOpenRefund).toHaveBeenCalledWith(1);
+      expect(mockCheckInIssuedTicket).not.toHaveBeenCalled();
+    });
+
+    test("should reject when another gate checked the ticket in first", async () => {
+      mockVerifyTicketCode.mockReturnValue({ eventId: 10 });
+      mockFindIssuedTicketByCode.mockResolvedValue(createMockIssuedTicket());
+      mockCheckInIssuedTicket.mockResolvedValue({ count: 0 });
+
+      await expect(checkInTicket(scan, staff)).rejects.toThrow(
+        "Ticket already checked in"
+      );
+    });
+
+    test("should only let organizers scan tickets for their own events", async () => {
+      mockVerifyTicketCode.mockReturnValue({ eventId: 10 });
+      mockFindIssuedTicketByCode.mockResolvedValueOnce(
+        createMockIssuedTicket()
+      );
+      mockAssertEventAccess.mockRejectedValueOnce(
+        new Error("You do not manage this event")
+      );
+
+      await expect(checkInTicket(scan, organizer)).rejects.toThrow(
+        "You do not manage this event"
+      );
+      expect(mockAssertEventAccess).toHaveBeenCalledWith(organizer, 10);
+      expect(mockCheckInIssuedTicket).not.toHaveBeenCalled();
+    });
+
+    test("should let staff scan tickets for any event", async () => {
+      mockVerifyTicketCode.mockReturnValue({ eventId: 10 });
+      mockFindIssuedTicketByCode.mockResolvedValue(createMockIssuedTicket());
+      mockCheckInIssuedTicket.mockResolvedValue({ count: 1 });
+
+      await checkInTicket(scan, staff);
+
+      expect(mockAssertEventAccess).not.toHaveBeenCalled();
+      expect(mockCheckInIssuedTicket).toHaveBeenCalledWith(1, 7);
+    });
+  });
+
+  describe("getCheckInStats", () => {
+    test("should summarize check-ins per ticket type", async () => {
+      const lastCheckInAt = new Date("2026-12-01T19:00:00Z");
+      mockFindEventById.mockResolvedValue({
+        id: 10,
+        name: "Rock Fest",
+        tickets: [
+          { id: 5, name: "VIP" },
+          { id: 6, name: "Regular" },
+        ],
+      });
+      mockCountIssuedTicketsByEvent.mockResolvedValue({
+        byTicket: [
+          { ticketId: 5, status: "valid", _count: { _all: 3 } },
+          { ticketId: 5, status: "used", _count: { _all: 2 } },
+          { ticketId: 6, status: "used", _count: { _all: 4 } },
+          { ticketId: 6, status: "void", _count: { _all: 1 } },
+        ],
+        lastCheckInAt,
+      });
+
+      const result = await getCheckInStats(10, staff);
+
+      expect(mockCountIssuedTicketsByEvent).toHaveBeenCalledWith(10);
+      expect(result).toEqual({
+        eventId: 10,
+        eventName: "Rock Fest",
+        issued: 9,
+        checkedIn: 6,
+        remaining: 3,
+        lastCheckInAt,
+        tickets: [
+          { ticketId: 5, name: "VIP", issued: 5, checkedIn: 2 },
+          { ticketId: 6, name: "Regular", issued: 4, checkedIn: 4 },
+        ],
+      });
+    });
+
+    test("should throw error if event not found", async () => {
+      mockFindEventById.mockResolvedValue(null);
+
+      await expect(getCheckInStats(99, staff)).rejects.toThrow(
+        "Event not found"
+      );
+      expect(mockCountIssuedTicketsByEvent).not.toHaveBeenCalled();
+    });
+
+    test("should not show organizers another organization's event", async () => {
+      mockAssertEventAccess.mockRejectedValueOnce(
+        new Error("You do not manage this event")
+      );
+
+      await expect(getCheckInStats(10, organizer)).rejects.toThrow(
+        "You do not manage this event"
+      );
+      expect(mockAssertEventAccess).toHaveBeenCalledWith(organizer, 10);
+      expect(mockCountIssuedTicketsByEvent).not.toHaveBeenCalled();
+    });
+
+    test("should use the event the organizer manages", async () => {
+      mockAssertEventAccess.mockResolvedValueOnce({
+        id: 10,
+        name: "Rock Fest",
+        tickets: [],
+      });
+      mockCountIssuedTicketsByEvent.mockResolvedValueOnce({
+        byTicket: [],
+        lastCheckInAt: null,
+      });
+
+      const result = await getCheckInStats(10, organizer);
+
+      expect(mockFindEventById).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ eventId: 10, issued: 0 });
+    });
+  });
+});
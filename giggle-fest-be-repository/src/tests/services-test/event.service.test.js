@@ -12,12 +12,25 @@ const mockCountEvents = jest.fn();
 const mockFindEventById = jest.fn();
 const mockUpdateEvent = jest.fn();
 const mockDeleteEvent = jest.fn();
+const mockUpdateEventStatus = jest.fn();
+const mockHasEventSales = jest.fn();
+const mockHasBundledTickets = jest.fn();
+const mockFindEventHolderIds = jest.fn();
+const mockCreateNotifications = jest.fn();
+const mockRefundCancelledEvent = jest.fn();
 
 // ---------------------------
 // Create mock imagekit function
 // ---------------------------
 const mockUploadImage = jest.fn();
 
+// ---------------------------
+// Create mock organization service functions
+// ---------------------------
+const mockAssertEventAccess = jest.fn();
+const mockAssertOrganizationAccess = jest.fn();
+const mockResolveOrganizationId = jest.fn();
+
 // ---------------------------
 // Mock event.repository module
 // ---------------------------
@@ -28,6 +41,27 @@ jest.unstable_mockModule("../../repositories/event.repository.js", () => ({
   findEventById: mockFindEventById,
   updateEvent: mockUpdateEvent,
   deleteEvent: mockDeleteEvent,
+  updateEventStatus: mockUpdateEventStatus,
+  hasEventSales: mockHasEventSales,
+  hasBundledTickets: mockHasBundledTickets,
+}));
+
+jest.unstable_mockModule(
+  "../../repositories/issuedTicket.repository.js",
+  () => ({
+    findEventHolderIds: mockFindEventHolderIds,
+  })
+);
+
+jest.unstable_mockModule(
+  "../../repositories/notification.repository.js",
+  () => ({
+    createNotifications: mockCreateNotifications,
+  })
+);
+
+jest.unstable_mockModule("../../services/refund.service.js", () => ({
+  refundCancelledEvent: mockRefundCancelledEvent,
 }));
 
 // ---------------------------
@@ -37,6 +71,15 @@ jest.unstable_mockModule("../../libs/imagekit.js", () => ({
   uploadImage: mockUploadImage,
 }));
 
+// ---------------------------
+// Mock organization.service module
+// ---------------------------
+jest.unstable_mockModule("../../services/organization.service.js", () => ({
+  assertEventAccess: mockAssertEventAccess,
+  assertOrganizationAccess: mockAssertOrganizationAccess,
+  resolveOrganizationId: mockResolveOrganizationId,
+}));
+
 // ---------------------------
 // Import service after mock setup
 // ---------------------------
@@ -46,6 +89,9 @@ const {
   getEventByIdService,
   updateEventService,
   deleteEventService,
+  changeEventStatusService,
+  cancelEventService,
+  rescheduleEventService,
 } = await import("../../services/event.service.js");
 
 // ---------------------------
@@ -210,9 +256,49 @@ describe("Event Service", () => {
         "Database error"
       );
     });
+
+    test("should assign the event to the resolved organization", async () => {
+      const user = { id: 7, role: "organizer" };
+      const eventData = { name: "Test Event", organizationId: 3 };
+
+      mockResolveOrganizationId.mockResolvedValueOnce(3);
+      mockCreateEvent.mockResolvedValue(createMockEvent());
+
+      await createEventService(eventData, null, user);
+
+      expect(mockResolveOrganizationId).toHaveBeenCalledWith(user, 3);
+      expect(mockCreateEvent).toHaveBeenCalledWith({
+        name: "Test Event",
+        organizationId: 3,
+      });
+    });
+
+    test("should not create the event when the organization is not managed", async () => {
+      mockResolveOrganizationId.mockRejectedValueOnce(
+        new Error("You do not manage this organization")
+      );
+
+      await expect(
+        createEventService({ name: "Test Event", organizationId: 9 }, null, {
+          id: 7,
+          role: "organizer",
+        })
+      ).rejects.toThrow("You do not manage this organization");
+
+      expect(mockUploadImage).not.toHaveBeenCalled();
+      expect(mockCreateEvent).not.toHaveBeenCalled();
+    });
   });
 
   describe("getAllEventsService", () => {
+    // drafts and events scheduled for later never reach the public listing
+    const publicOnly = {
+      AND: [
+        { status: { not: "draft" } },
+        { OR: [{ publishAt: null }, { publishAt: { lte: expect.any(Date) } }] },
+      ],
+    };
+
     test("should get all events with default pagination", async () => {
       const query = {};
       const mockEvents = [
@@ -227,10 +313,10 @@ describe("Event Service", () => {
       const result = await getAllEventsService(query);
 
       expect(mockFindAllEvents).toHaveBeenCalledTimes(1);
-      expect(mockFindAllEvents).toHaveBeenCalledWith(0, 10, {});
+      expect(mockFindAllEvents).toHaveBeenCalledWith(0, 10, publicOnly);
 
       expect(mockCountEvents).toHaveBeenCalledTimes(1);
-      expect(mockCountEvents).toHaveBeenCalledWith({});
+      expect(mockCountEvents).toHaveBeenCalledWith(publicOnly);
 
       expect(result.events).toEqual(mockEvents);
       expect(result.meta).toEqual({
@@ -250,7 +336,7 @@ describe("Event Service", () => {
       const result = await getAllEventsService(query);
 
       // skip = (2 - 1) * 5 = 5
-      expect(mockFindAllEvents).toHaveBeenCalledWith(5, 5, {});
+      expect(mockFindAllEvents).toHaveBeenCalledWith(5, 5, publicOnly);
 
       expect(result.meta).toEqual({
         page: 2,
@@ -269,6 +355,7 @@ describe("Event Service", () => {
       await getAllEventsService(query);
 
       const expectedWhere = {
+        ...publicOnly,
         OR: [
           { name: { contains: "comedy", mode: "insensitive" } },
           { location: { contains: "comedy", mode: "insensitive" } },
@@ -288,6 +375,7 @@ describe("Event Service", () => {
       await getAllEventsService(query);
 
       const expectedWhere = {
+        ...publicOnly,
         tickets: {
           some: {
             categoryId: 5,
@@ -324,6 +412,7 @@ describe("Event Service", () => {
       await getAllEventsService(query);
 
       const expectedWhere = {
+        ...publicOnly,
         date: {
           gte: new Date("2025-12-01"),
           lte: new Date("2025-12-31"),
@@ -374,6 +463,7 @@ describe("Event Service", () => {
       await getAllEventsService(query);
 
       const expectedWhere = {
+        ...publicOnly,
         OR: [
           { name: { contains: "giggle", mode: "insensitive" } },
           { location: { contains: "giggle", mode: "insensitive" } },
@@ -394,6 +484,20 @@ describe("Event Service", () => {
       expect(mockCountEvents).toHaveBeenCalledWith(expectedWhere);
     });
 
+    test("should keep drafts and scheduled events out of the listing", async () => {
+      mockFindAllEvents.mockResolvedValue([]);
+      mockCountEvents.mockResolvedValue(0);
+
+      await getAllEventsService({});
+
+      const where = mockFindAllEvents.mock.calls[0][2];
+      expect(where.AND[0]).toEqual({ status: { not: "draft" } });
+      expect(where.AND[1].OR[0]).toEqual({ publishAt: null });
+      expect(where.AND[1].OR[1].publishAt.lte.getTime()).toBeLessThanOrEqual(
+        Date.now()
+      );
+    });
+
     test("should parse limit as integer in take parameter", async () => {
       const query = { limit: "15" };
 
@@ -402,7 +506,7 @@ describe("Event Service", () => {
 
       await getAllEventsService(query);
 
-      expect(mockFindAllEvents).toHaveBeenCalledWith(0, 15, {});
+      expect(mockFindAllEvents).toHaveBeenCalledWith(0, 15, publicOnly);
       expect(typeof mockFindAllEvents.mock.calls[0][1]).toBe("number");
     });
 
@@ -460,6 +564,35 @@ describe("Event Service", () => {
   });
 
   describe("getEventByIdService", () => {
+    test("should hide a draft", async () => {
+      mockFindEventById.mockResolvedValueOnce(
+        createMockEvent({ status: "draft" })
+      );
+
+      expect(await getEventByIdService(1)).toBeNull();
+    });
+
+    test("should hide an event until its publishAt", async () => {
+      mockFindEventById.mockResolvedValueOnce(
+        createMockEvent({
+          status: "published",
+          publishAt: new Date(Date.now() + 60 * 60 * 1000),
+        })
+      );
+
+      expect(await getEventByIdService(1)).toBeNull();
+    });
+
+    test("should show a scheduled event once its publishAt has passed", async () => {
+      const event = createMockEvent({
+        status: "published",
+        publishAt: new Date("2025-01-01T00:00:00.000Z"),
+      });
+      mockFindEventById.mockResolvedValueOnce(event);
+
+      expect(await getEventByIdService(1)).toEqual(event);
+    });
+
     test("should get event by id", async () => {
       const eventId = 5;
       const expectedEvent = createMockEvent({ id: eventId });
@@ -644,6 +777,36 @@ describe("Event Service", () => {
         updateEventService(eventId, updateData, null)
       ).rejects.toThrow("Database error");
     });
+
+    test("should check event ownership before updating", async () => {
+      const user = { id: 7, role: "organizer" };
+
+      mockAssertEventAccess.mockRejectedValueOnce(
+        new Error("You do not manage this event")
+      );
+
+      await expect(
+        updateEventService(1, { name: "Updated" }, null, user)
+      ).rejects.toThrow("You do not manage this event");
+
+      expect(mockAssertEventAccess).toHaveBeenCalledWith(user, 1);
+      expect(mockUpdateEvent).not.toHaveBeenCalled();
+    });
+
+    test("should check access to the organization an event moves to", async () => {
+      const user = { id: 7, role: "organizer" };
+
+      mockAssertOrganizationAccess.mockRejectedValueOnce(
+        new Error("You do not manage this organization")
+      );
+
+      await expect(
+        updateEventService(1, { organizationId: 4 }, null, user)
+      ).rejects.toThrow("You do not manage this organization");
+
+      expect(mockAssertOrganizationAccess).toHaveBeenCalledWith(user, 4);
+      expect(mockUpdateEvent).not.toHaveBeenCalled();
+    });
   });
 
   describe("deleteEventService", () => {
@@ -696,5 +859,318 @@ describe("Event Service", () => {
         "Database error"
       );
     });
+
+    test("should not delete an event owned by another organization", async () => {
+      const user = { id: 7, role: "organizer" };
+
+      mockAssertEventAccess.mockRejectedValueOnce(
+        new Error("You do not manage this event")
+      );
+
+      await expect(deleteEventService(1, user)).rejects.toThrow(
+        "You do not manage this event"
+      );
+
+      expect(mockAssertEventAccess).toHaveBeenCalledWith(user, 1);
+      expect(mockDeleteEvent).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("event lifecycle", () => {
+    const user = { id: 7, role: "organizer" };
+
+    const createLifecycleEvent = (overrides = {}) =>
+      createMockEvent({
+        status: "published",
+        date: new Date("2099-06-01T19:00:00.000Z"),
+        ...overrides,
+      });
+
+    describe("updateEventService", () => {
+      test("should refuse to move a published event's date", async () => {
+        mockAssertEventAccess.mockResolvedValueOnce(createLifecycleEvent());
+
+        await expect(
+          updateEventService(1, { date: new Date() }, null, user)
+        ).rejects.toThrow(
+          "Cannot change the date of a published event, reschedule it instead"
+        );
+        expect(mockUpdateEvent).not.toHaveBeenCalled();
+      });
+
+      test("should let a draft change its date", async () => {
+        const date = new Date("2099-07-01T19:00:00.000Z");
+        mockAssertEventAccess.mockResolvedValueOnce(
+          createLifecycleEvent({ status: "draft" })
+        );
+        mockUpdateEvent.mockResolvedValueOnce(createLifecycleEvent({ date }));
+
+        await updateEventService(1, { date }, null, user);
+
+        expect(mockUpdateEvent).toHaveBeenCalledWith(1, { date });
+      });
+    });
+
+    describe("deleteEventService", () => {
+      test("should refuse to delete an event with sales", async () => {
+        mockHasEventSales.mockResolvedValueOnce(true);
+
+        await expect(deleteEventService(1, user)).rejects.toThrow(
+          "Cannot delete an event with sales, cancel it instead"
+        );
+        expect(mockHasEventSales).toHaveBeenCalledWith(1);
+        expect(mockDeleteEvent).not.toHaveBeenCalled();
+      });
+
+      test("should refuse to delete an event whose tickets are bundled", async () => {
+        mockHasEventSales.mockResolvedValueOnce(false);
+        mockHasBundledTickets.mockResolvedValueOnce(true);
+
+        await expect(deleteEventService(1, user)).rejects.toThrow(
+          "Cannot delete an event with bundled tickets, delete its bundles first"
+        );
+        expect(mockHasBundledTickets).toHaveBeenCalledWith(1);
+        expect(mockDeleteEvent).not.toHaveBeenCalled();
+      });
+    });
+
+    describe("changeEventStatusService", () => {
+      test("should postpone the event and tell its ticket holders", async () => {
+        const event = createLifecycleEvent();
+        const postponed = { ...event, status: "postponed" };
+        mockAssertEventAccess.mockResolvedValueOnce(event);
+        mockUpdateEventStatus.mockResolvedValueOnce(postponed);
+        mockFindEventHolderIds.mockResolvedValueOnce([3, 4]);
+
+        const result = await changeEventStatusService(
+          1,
+          { status: "postponed", reason: "Storm warning" },
+          user
+        );
+
+        expect(mockUpdateEventStatus).toHaveBeenCalledWith(1, ["published"], {
+          status: "postponed",
+          statusReason: "Storm warning",
+        });
+        expect(mockCreateNotifications).toHaveBeenCalledWith(
+          [3, 4],
+          expect.stringContaining(
+            "GiggleFest 2025 has been postponed: Storm warning"
+          )
+        );
+        expect(result).toEqual(postponed);
+      });
+
+      test("should publish a draft without notifying anyone", async () => {
+        mockAssertEventAccess.mockResolvedValueOnce(
+          createLifecycleEvent({ status: "draft" })
+        );
+        mockUpdateEventStatus.mockResolvedValueOnce(createLifecycleEvent());
+
+        await changeEventStatusService(1, { status: "published" }, user);
+
+        expect(mockUpdateEventStatus).toHaveBeenCalledWith(1, ["draft"], {
+          status: "published",
+          statusReason: null,
+        });
+        expect(mockFindEventHolderIds).not.toHaveBeenCalled();
+      });
+
+      test.each([
+        ["cancelled", "published"],
+        ["completed", "postponed"],
+        ["draft", "completed"],
+        ["published", "published"],
+      ])("should not move a %s event to %s", async (from, to) => {
+        mockAssertEventAccess.mockResolvedValueOnce(
+          createLifecycleEvent({ status: from })
+        );
+
+        await expect(
+          changeEventStatusService(1, { status: to }, user)
+        ).rejects.toThrow(`Cannot move a ${from} event to ${to}`);
+        expect(mockUpdateEventStatus).not.toHaveBeenCalled();
+      });
+
+      test("should not complete an event before it happens", async () => {
+        mockAssertEventAccess.mockResolvedValueOnce(createLifecycleEvent());
+
+        await expect(
+          changeEventStatusService(1, { status: "completed" }, user)
+        ).rejects.toThrow(
+          "Cannot complete an event that has not taken place yet"
+        );
+      });
+
+      test("should complete an event that already took place", async () => {
+        mockAssertEventAccess.mockResolvedValueOnce(
+          createLifecycleEvent({ date: new Date("2020-01-01T19:00:00.000Z") })
+        );
+        mockUpdateEventStatus.mockResolvedValueOnce(createLifecycleEvent());
+
+        await changeEventStatusService(1, { status: "completed" }, user);
+
+        expect(mockUpdateEventStatus).toHaveBeenCalledWith(1, ["published"], {
+          status: "completed",
+          statusReason: null,
+        });
+      });
+
+      test("should fail when another request changed the status first", async () => {
+        mockAssertEventAccess.mockResolvedValueOnce(createLifecycleEvent());
+        mockUpdateEventStatus.mockResolvedValueOnce(null);
+
+        await expect(
+          changeEventStatusService(1, { status: "postponed" }, user)
+        ).rejects.toThrow("Cannot update an event whose status just changed");
+        expect(mockFindEventHolderIds).not.toHaveBeenCalled();
+      });
+
+      test("should keep the status change when notifying fails", async () => {
+        const postponed = createLifecycleEvent({ status: "postponed" });
+        mockAssertEventAccess.mockResolvedValueOnce(createLifecycleEvent());
+        mockUpdateEventStatus.mockResolvedValueOnce(postponed);
+        mockFindEventHolderIds.mockRejectedValueOnce(
+          new Error("Database error")
+        );
+        const consoleSpy = jest.spyOn(console, "error").mockImplementation();
+
+        const result = await changeEventStatusService(
+          1,
+          { status: "postponed" },
+          user
+        );
+
+        expect(result).toEqual(postponed);
+        expect(consoleSpy).toHaveBeenCalled();
+        consoleSpy.mockRestore();
+      });
+    });
+
+    describe("cancelEventService", () => {
+      test("should cancel, notify holders, then refund every buyer", async () => {
+        const event = createLifecycleEvent();
+        const cancelled = { ...event, status: "cancelled" };
+        const refunds = {
+          refunded: 2,
+          amount: 300000,
+          pending: [],
+          failed: [],
+        };
+        mockAssertEventAccess.mockResolvedValueOnce(event);
+        mockUpdateEventStatus.mockResolvedValueOnce(cancelled);
+        mockFindEventHolderIds.mockResolvedValueOnce([3]);
+        mockRefundCancelledEvent.mockResolvedValueOnce(refunds);
+
+        const result = await cancelEventService(
+          1,
+          { reason: "Venue closed" },
+          user
+        );
+
+        expect(mockUpdateEventStatus).toHaveBeenCalledWith(1, ["published"], {
+          status: "cancelled",
+          statusReason: "Venue closed",
+        });
+        expect(mockCreateNotifications).toHaveBeenCalledWith(
+          [3],
+          "GiggleFest 2025 has been cancelled: Venue closed. " +
+            "Your tickets will be refunded automatically."
+        );
+        expect(mockRefundCancelledEvent).toHaveBeenCalledWith(event, 7);
+        expect(
+          mockCreateNotifications.mock.invocationCallOrder[0]
+        ).toBeLessThan(mockRefundCancelledEvent.mock.invocationCallOrder[0]);
+        expect(result).toEqual({ event: cancelled, refunds });
+      });
+
+      test("should skip notifications when nobody holds a ticket", async () => {
+        mockAssertEventAccess.mockResolvedValueOnce(
+          createLifecycleEvent({ status: "draft" })
+        );
+        mockUpdateEventStatus.mockResolvedValueOnce(createLifecycleEvent());
+        mockFindEventHolderIds.mockResolvedValueOnce([]);
+        mockRefundCancelledEvent.mockResolvedValueOnce({ refunded: 0 });
+
+        await cancelEventService(1, {}, user);
+
+        expect(mockCreateNotifications).not.toHaveBeenCalled();
+      });
+
+      test("should not cancel an event twice", async () => {
+        mockAssertEventAccess.mockResolvedValueOnce(
+          createLifecycleEvent({ status: "cancelled" })
+        );
+
+        await expect(cancelEventService(1, {}, user)).rejects.toThrow(
+          "Cannot move a cancelled event to cancelled"
+        );
+        expect(mockRefundCancelledEvent).not.toHaveBeenCalled();
+      });
+
+      test("should not refund when the cancellation lost a race", async () => {
+        mockAssertEventAccess.mockResolvedValueOnce(createLifecycleEvent());
+        mockUpdateEventStatus.mockResolvedValueOnce(null);
+
+        await expect(cancelEventService(1, {}, user)).rejects.toThrow(
+          "Cannot update an event whose status just changed"
+        );
+        expect(mockRefundCancelledEvent).not.toHaveBeenCalled();
+      });
+    });
+
+    describe("rescheduleEventService", () => {
+      const date = new Date("2099-06-08T19:00:00.000Z");
+
+      test("should move the date and offer holders a refund", async () => {
+        const event = createLifecycleEvent({ status: "postponed" });
+        mockAssertEventAccess.mockResolvedValueOnce(event);
+        mockUpdateEventStatus.mockResolvedValueOnce(
+          createLifecycleEvent({ date })
+        );
+        mockFindEventHolderIds.mockResolvedValueOnce([3, 4]);
+
+        await rescheduleEventService(1, { date }, user);
+
+        expect(mockUpdateEventStatus).toHaveBeenCalledWith(1, ["postponed"], {
+          status: "published",
+          date,
+          previousDate: event.date,
+          statusReason: null,
+        });
+        expect(mockCreateNotifications).toHaveBeenCalledWith(
+          [3, 4],
+          "GiggleFest 2025 has moved from Mon, 01 Jun 2099 19:00:00 GMT to " +
+            "Mon, 08 Jun 2099 19:00:00 GMT. Your tickets are valid for the " +
+            "new date. If you can no longer attend, you can request a refund."
+        );
+      });
+
+      test.each(["draft", "cancelled", "completed"])(
+        "should not reschedule a %s event",
+        async (status) => {
+          mockAssertEventAccess.mockResolvedValueOnce(
+            createLifecycleEvent({ status })
+          );
+
+          await expect(
+            rescheduleEventService(1, { date }, user)
+          ).rejects.toThrow(`Cannot reschedule a ${status} event`);
+        }
+      );
+
+      test("should reject a date in the past", async () => {
+        mockAssertEventAccess.mockResolvedValueOnce(createLifecycleEvent());
+
+        await expect(
+          rescheduleEventService(
+            1,
+            { date: new Date("2020-01-01T00:00:00.000Z") },
+            user
+          )
+        ).rejects.toThrow("New date must be in the future");
+        expect(mockUpdateEventStatus).not.toHaveBeenCalled();
+      });
+    });
   });
 });
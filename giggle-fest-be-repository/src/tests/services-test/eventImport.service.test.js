@@ -0,0 +1,271 @@
+/**
+ * @jest-environment node
+ */
+import { jest } from "@jest/globals";
+
+// ---------------------------
+// Create mock functions
+// ---------------------------
+const mockCreateEventsWithTickets = jest.fn();
+const mockFindCategoriesByIds = jest.fn();
+const mockResolveOrganizationId = jest.fn();
+
+// ---------------------------
+// Mock dependencies
+// ---------------------------
+jest.unstable_mockModule("../../repositories/event.repository.js", () => ({
+  createEventsWithTickets: mockCreateEventsWithTickets,
+}));
+
+jest.unstable_mockModule("../../repositories/category.repository.js", () => ({
+  findCategoriesByIds: mockFindCategoriesByIds,
+}));
+
+jest.unstable_mockModule("../../services/organization.service.js", () => ({
+  resolveOrganizationId: mockResolveOrganizationId,
+}));
+
+// ---------------------------
+// Import service after mock setup
+// ---------------------------
+const { importEvents, MAX_IMPORT_ROWS } = await import(
+  "../../services/eventImport.service.js"
+);
+
+// ---------------------------
+// Test Suite
+// ---------------------------
+describe("Event Import Service", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockResolveOrganizationId.mockImplementation(async (user, id) => id ?? null);
+    mockFindCategoriesByIds.mockImplementation(async (ids) =>
+      ids.filter((id) => id !== 99).map((id) => ({ id }))
+    );
+  });
+
+  const admin = { id: 1, role: "admin" };
+
+  const csvFile = (text) => ({ buffer: Buffer.from(text) });
+
+  const header =
+    "eventName,description,date,location,organizationId," +
+    "ticketName,price,quantity,categoryId,artist";
+
+  describe("reading the input", () => {
+    test("should group CSV lines into events with their tickets", async () => {
+      const file = csvFile(
+        [
+          header,
+          "Rock Night,,2026-12-01,Jakarta,3,Regular,100000,50,1,",
+          "Rock Night,,2026-12-01,Jakarta,3,VIP,250000,10,2,The Band",
+          "Jazz Night,Smooth,2026-12-02,Bandung,,,,,,",
+        ].join("\n")
+      );
+
+      const report = await importEvents({ file }, admin, { dryRun: true });
+
+      expect(report).toEqual({
+        dryRun: true,
+        valid: true,
+        events: 2,
+        tickets: 2,
+        errors: [],
+      });
+      expect(mockResolveOrganizationId).toHaveBeenCalledWith(admin, 3);
+      expect(mockResolveOrganizationId).toHaveBeenCalledWith(admin, undefined);
+      expect(mockFindCategoriesByIds).toHaveBeenCalledWith([1, 2]);
+      expect(mockCreateEventsWithTickets).not.toHaveBeenCalled();
+    });
+
+    test("should read a JSON events array", async () => {
+      const report = await importEvents(
+        {
+          body: {
+            events: [
+              {
+                name: "Rock Night",
+                date: "2026-12-01",
+                location: "Jakarta",
+                tickets: [
+                  { name: "Regular", price: 100, quantity: 5, categoryId: 1 },
+                ],
+              },
+            ],
+          },
+        },
+        admin,
+        { dryRun: true }
+      );
+
+      expect(report.valid).toBe(true);
+      expect(report.tickets).toBe(1);
+    });
+
+    test("should reject a request without a file or events", async () => {
+      await expect(importEvents({ body: {} }, admin)).rejects.toThrow(
+        "Upload a CSV file or send an events array"
+      );
+    });
+
+    test("should reject tickets that are not an array", async () => {
+      await expect(
+        importEvents({ body: { events: [{ tickets: "VIP" }] } }, admin)
+      ).rejects.toThrow("events[0].tickets must be an array");
+    });
+
+    test("should reject an empty import", async () => {
+      await expect(
+        importEvents({ file: csvFile(header) }, admin)
+      ).rejects.toThrow("Nothing to import");
+    });
+
+    test("should cap the number of rows", async () => {
+      const events = Array.from({ length: MAX_IMPORT_ROWS + 1 }, (_, i) => ({
+        name: `Event ${i}`,
+      }));
+
+      await expect(importEvents({ body: { events } }, admin)).rejects.toThrow(
+        `Import is limited to ${MAX_IMPORT_ROWS} rows`
+      );
+    });
+  });
+
+  describe("validation", () => {
+    test("should report every invalid row with its line", async () => {
+      const file = csvFile(
+        [
+          header,
+          "Rock Night,,not-a-date,Jakarta,,Regular,100,5,1,",
+          "Jazz Night,,2026-12-02,Bandung,,VIP,free,5,1,",
+          "Jazz Night,,2026-12-02,Bandung,,VIP,100,5,1,",
+          "Jazz Night,,2026-12-02,Bandung,,VIP,100,5,1,",
+          "Folk Night,,2026-12-03,Bali,,Regular,100,5,99,",
+        ].join("\n")
+      );
+
+      const report = await importEvents({ file }, admin, { dryRun: true });
+
+      expect(report.valid).toBe(false);
+      expect(report.errors).toEqual([
+        { row: "line 2", field: "date", message: "Invalid date" },
+        {
+          row: "line 3",
+          field: "price",
+          message: "Price must be a non-negative number",
+        },
+        {
+          row: "line 5",
+          field: "name",
+          message: "Duplicate ticket name for this event",
+        },
+        { row: "line 6", field: "categoryId", message: "Category not found" },
+      ]);
+    });
+
+    test("should report organizations the importer cannot use", async () => {
+      mockResolveOrganizationId.mockRejectedValueOnce(
+        new Error("Organization not found")
+      );
+
+      const report = await importEvents(
+        {
+          body: {
+            events: [
+              {
+                name: "Rock Night",
+                date: "2026-12-01",
+                location: "Jakarta",
+                organizationId: 42,
+              },
+              {
+                name: "Jazz Night",
+                date: "2026-12-02",
+                location: "Bandung",
+                organizationId: 42,
+              },
+            ],
+          },
+        },
+        admin,
+        { dryRun: true }
+      );
+
+      // the organization is only looked up once
+      expect(mockResolveOrganizationId).toHaveBeenCalledTimes(1);
+      expect(report.errors).toEqual([
+        {
+          row: "events[0]",
+          field: "organizationId",
+          message: "Organization not found",
+        },
+        {
+          row: "events[1]",
+          field: "organizationId",
+          message: "Organization not found",
+        },
+      ]);
+    });
+
+    test("should save nothing when a row is invalid", async () => {
+      const file = csvFile(
+        [header, "Rock Night,,2026-12-01,Jakarta,,Regular,100,-1,1,"].join(
+          "\n"
+        )
+      );
+
+      const report = await importEvents({ file }, admin);
+
+      expect(report.valid).toBe(false);
+      expect(report.errors[0].field).toBe("quantity");
+      expect(mockCreateEventsWithTickets).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("committing", () => {
+    test("should create all events with their tickets at once", async () => {
+      const created = [{ id: 1, tickets: [{ id: 10 }] }];
+      mockCreateEventsWithTickets.mockResolvedValueOnce(created);
+      const file = csvFile(
+        [header, "Rock Night,,2026-12-01,Jakarta,3,VIP,250000,10,2,Band"].join(
+          "\n"
+        )
+      );
+
+      const report = await importEvents({ file }, admin);
+
+      expect(mockCreateEventsWithTickets).toHaveBeenCalledWith([
+        {
+          name: "Rock Night",
+          date: new Date("2026-12-01"),
+          location: "Jakarta",
+          organizationId: 3,
+          tickets: [
+            {
+              name: "VIP",
+              price: 250000,
+              quantity: 10,
+              categoryId: 2,
+              artist: "Band",
+              userId: 1,
+            },
+          ],
+        },
+      ]);
+      expect(report).toMatchObject({ dryRun: false, valid: true, created });
+    });
+
+    test("should pass on a failed transaction", async () => {
+      mockCreateEventsWithTickets.mockRejectedValueOnce(
+        new Error("Database error")
+      );
+      const file = csvFile(
+        [header, "Rock Night,,2026-12-01,Jakarta,,,,,,"].join("\n")
+      );
+
+      await expect(importEvents({ file }, admin)).rejects.toThrow(
+        "Database error"
+      );
+    });
+  });
+});
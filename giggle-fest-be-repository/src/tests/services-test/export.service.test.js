@@ -0,0 +1,306 @@
+/**
+ * @jest-environment node
+ */
+import { jest } from "@jest/globals";
+
+// ---------------------------
+// Create mock functions
+// ---------------------------
+const mockFindPaymentExportBatch = jest.fn();
+const mockFindAttendeeExportBatch = jest.fn();
+const mockFindReviewExportBatch = jest.fn();
+const mockFindEventById = jest.fn();
+const mockFindCampaignCodeExportBatch = jest.fn();
+const mockGetPromoCampaign = jest.fn();
+
+// ---------------------------
+// Mock dependencies
+// ---------------------------
+jest.unstable_mockModule("../../repositories/payment.repository.js", () => ({
+  findPaymentExportBatch: mockFindPaymentExportBatch,
+}));
+
+jest.unstable_mockModule(
+  "../../repositories/issuedTicket.repository.js",
+  () => ({
+    findAttendeeExportBatch: mockFindAttendeeExportBatch,
+  })
+);
+
+jest.unstable_mockModule("../../repositories/review.repository.js", () => ({
+  findReviewExportBatch: mockFindReviewExportBatch,
+}));
+
+jest.unstable_mockModule("../../repositories/event.repository.js", () => ({
+  findEventById: mockFindEventById,
+}));
+
+jest.unstable_mockModule("../../repositories/promo.repository.js", () => ({
+  findCampaignCodeExportBatch: mockFindCampaignCodeExportBatch,
+}));
+
+jest.unstable_mockModule("../../services/promo.service.js", () => ({
+  getPromoCampaign: mockGetPromoCampaign,
+}));
+
+// ---------------------------
+// Import service after mock setup
+// ---------------------------
+const {
+  getPaymentsExport,
+  getAttendeesExport,
+  getReviewsExport,
+  getCampaignCodesExport,
+} = await import("../../services/export.service.js");
+
+const toArray = async (rows) => {
+  const result = [];
+  for await (const row of rows) {
+    result.push(row);
+  }
+  return result;
+};
+
+// ---------------------------
+// Test Suite
+// ---------------------------
+describe("Export Service", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const user = { id: 3, name: "Jane Doe", email: "jane@example.com" };
+  const event = { id: 1, name: "Giggle Fest" };
+
+  describe("getPaymentsExport", () => {
+    test("should not touch the database until the rows are read", () => {
+      const report = getPaymentsExport({ status: "success" });
+
+      expect(report.filename).toBe("payments");
+      expect(report.columns.map((column) => column.key)).toContain(
+        "userEmail"
+      );
+      expect(mockFindPaymentExportBatch).not.toHaveBeenCalled();
+    });
+
+    test("should flatten single and cart payments", async () => {
+      const paymentDate = new Date("2025-01-02T10:00:00Z");
+      mockFindPaymentExportBatch.mockResolvedValueOnce([
+        {
+          id: 1,
+          orderId: "ORDER-1",
+          status: "success",
+          paymentDate,
+          user,
+          ticketId: 10,
+          quantity: 2,
+          originalAmount: 200,
+          discount: 20,
+          amount: 180,
+          ticket: { name: "Regular", event },
+          order: null,
+        },
+        {
+          id: 2,
+          orderId: "CART-1",
+          status: "pending",
+          paymentDate,
+          user,
+          ticketId: null,
+          quantity: 3,
+          originalAmount: 500,
+          discount: 0,
+          amount: 500,
+          ticket: null,
+          order: {
+            items: [
+              { ticketId: 10, quantity: 2, ticket: { name: "Regular", event } },
+              { ticketId: 11, quantity: 1, ticket: { name: "VIP", event } },
+            ],
+          },
+        },
+      ]);
+
+      const rows = await toArray(
+        getPaymentsExport({ status: "success" }).rows
+      );
+
+      expect(mockFindPaymentExportBatch).toHaveBeenCalledWith(
+        { status: "success" },
+        { afterId: 0, take: 500 }
+      );
+      expect(rows).toEqual([
+        {
+          id: 1,
+          orderId: "ORDER-1",
+          status: "success",
+          paymentDate,
+          userName: "Jane Doe",
+          userEmail: "jane@example.com",
+          events: "Giggle Fest",
+          tickets: "Regular x2",
+          quantity: 2,
+          originalAmount: 200,
+          discount: 20,
+          amount: 180,
+        },
+        expect.objectContaining({
+          orderId: "CART-1",
+          events: "Giggle Fest",
+          tickets: "Regular x2; VIP x1",
+        }),
+      ]);
+    });
+  });
+
+  describe("getAttendeesExport", () => {
+    test("should throw when the event does not exist", async () => {
+      mockFindEventById.mockResolvedValueOnce(null);
+
+      await expect(getAttendeesExport(99)).rejects.toThrow("Event not found");
+    });
+
+    test("should list the event's ticket holders", async () => {
+      const issuedAt = new Date("2025-01-02T10:00:00Z");
+      mockFindEventById.mockResolvedValueOnce(event);
+      mockFindAttendeeExportBatch.mockResolvedValueOnce([
+        {
+          id: 1,
+          code: "1.abc.sig",
+          status: "used",
+          ticket: { name: "VIP" },
+          user,
+          payment: { orderId: "ORDER-1" },
+          createdAt: issuedAt,
+          checkedInAt: issuedAt,
+        },
+      ]);
+
+      const report = await getAttendeesExport(1, { status: "used" });
+      const rows = await toArray(report.rows);
+
+      expect(report.filename).toBe("event-1-attendees");
+      expect(mockFindAttendeeExportBatch).toHaveBeenCalledWith(
+        1,
+        { status: "used" },
+        { afterId: 0, take: 500 }
+      );
+      expect(rows).toEqual([
+        {
+          code: "1.abc.sig",
+          status: "used",
+          ticket: "VIP",
+          userName: "Jane Doe",
+          userEmail: "jane@example.com",
+          orderId: "ORDER-1",
+          issuedAt,
+          checkedInAt: issuedAt,
+        },
+      ]);
+    });
+  });
+
+  describe("getReviewsExport", () => {
+    test("should include the reviewer and the event", async () => {
+      const createdAt = new Date("2025-01-02T10:00:00Z");
+      mockFindReviewExportBatch.mockResolvedValueOnce([
+        {
+          id: 7,
+          rating: 5,
+          comment: "Great show",
+          user,
+          ticket: { name: "VIP", event },
+          createdAt,
+        },
+      ]);
+
+      const rows = await toArray(getReviewsExport({ ticketId: 11 }).rows);
+
+      expect(mockFindReviewExportBatch).toHaveBeenCalledWith(
+        { ticketId: 11, userId: undefined },
+        { afterId: 0, take: 500 }
+      );
+      expect(rows).toEqual([
+        {
+          id: 7,
+          rating: 5,
+          comment: "Great show",
+          userName: "Jane Doe",
+          userEmail: "jane@example.com",
+          event: "Giggle Fest",
+          ticket: "VIP",
+          createdAt,
+        },
+      ]);
+    });
+  });
+
+  describe("getCampaignCodesExport", () => {
+    const admin = { id: 1, role: "admin" };
+    const validTo = new Date("2026-03-31T00:00:00Z");
+
+    test("should list every code with its redemption", async () => {
+      const redeemedAt = new Date("2026-02-01T10:00:00Z");
+      mockGetPromoCampaign.mockResolvedValueOnce({ id: 4, name: "Partner" });
+      mockFindCampaignCodeExportBatch.mockResolvedValueOnce([
+        {
+          id: 20,
+          code: "PTR-7KQ2MX9WHD",
+          validTo,
+          redemptions: [
+            {
+              createdAt: redeemedAt,
+              discount: 15000,
+              user,
+              payment: { orderId: "ORDER-ABC" },
+            },
+          ],
+        },
+        { id: 21, code: "PTR-Q8ZC4N2RTA", validTo, redemptions: [] },
+      ]);
+
+      const report = await getCampaignCodesExport(4, admin);
+      const rows = await toArray(report.rows);
+
+      expect(mockGetPromoCampaign).toHaveBeenCalledWith(4, admin);
+      expect(mockFindCampaignCodeExportBatch).toHaveBeenCalledWith(4, {
+        afterId: 0,
+        take: 500,
+      });
+      expect(report.filename).toBe("campaign-4-codes");
+      expect(rows).toEqual([
+        {
+          code: "PTR-7KQ2MX9WHD",
+          status: "redeemed",
+          redeemedAt,
+          userName: "Jane Doe",
+          userEmail: "jane@example.com",
+          orderId: "ORDER-ABC",
+          discount: 15000,
+          validTo,
+        },
+        {
+          code: "PTR-Q8ZC4N2RTA",
+          status: "unused",
+          redeemedAt: undefined,
+          userName: undefined,
+          userEmail: undefined,
+          orderId: undefined,
+          discount: undefined,
+          validTo,
+        },
+      ]);
+    });
+
+    test("should not export a campaign the user cannot see", async () => {
+      mockGetPromoCampaign.mockRejectedValueOnce(
+        new Error("You do not manage this promo campaign")
+      );
+
+      await expect(getCampaignCodesExport(4, admin)).rejects.toThrow(
+        "You do not manage this promo campaign"
+      );
+      expect(mockFindCampaignCodeExportBatch).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,400 @@
+/**
+ * @jest-environment node
+ */
+import { jest } from "@jest/globals";
+
+// ---------------------------
+// Create mock functions
+// ---------------------------
+const mockCreateIssuedTickets = jest.fn();
+const mockFindIssuedTicketsByPayment = jest.fn();
+const mockFindIssuedTicketsByUser = jest.fn();
+const mockFindIssuedTicketById = jest.fn();
+const mockFindPaymentWithItems = jest.fn();
+const mockGenerateTicketCode = jest.fn();
+const mockRenderQrPng = jest.fn();
+const mockRenderQrSvg = jest.fn();
+const mockRenderQrDataUrl = jest.fn();
+const mockSendTicketConfirmationEmail = jest.fn();
+
+// ---------------------------
+// Mock dependencies
+// ---------------------------
+jest.unstable_mockModule(
+  "../../repositories/issuedTicket.repository.js",
+  () => ({
+    createIssuedTickets: mockCreateIssuedTickets,
+    findIssuedTicketsByPayment: mockFindIssuedTicketsByPayment,
+    findIssuedTicketsByUser: mockFindIssuedTicketsByUser,
+    findIssuedTicketById: mockFindIssuedTicketById,
+  })
+);
+
+jest.unstable_mockModule("../../repositories/payment.repository.js", () => ({
+  findPaymentWithItems: mockFindPaymentWithItems,
+}));
+
+jest.unstable_mockModule("../../utils/ticketCode.js", () => ({
+  generateTicketCode: mockGenerateTicketCode,
+}));
+
+jest.unstable_mockModule("../../utils/qrcode.js", () => ({
+  renderQrPng: mockRenderQrPng,
+  renderQrSvg: mockRenderQrSvg,
+  renderQrDataUrl: mockRenderQrDataUrl,
+}));
+
+jest.unstable_mockModule("../../utils/email.service.js", () => ({
+  sendTicketConfirmationEmail: mockSendTicketConfirmationEmail,
+}));
+
+// ---------------------------
+// Import service after mock setup
+// ---------------------------
+const { issueTicketsForPayment, getUserTickets, getUserTicketQr } =
+  await import("../../services/issuedTicket.service.js");
+
+// ---------------------------
+// Test Suite
+// ---------------------------
+describe("Issued Ticket Service", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    let counter = 0;
+    mockGenerateTicketCode.mockImplementation((eventId) => {
+      counter += 1;
+      return `${eventId}.code${counter}.sig`;
+    });
+    mockRenderQrPng.mockResolvedValue(Buffer.from("png"));
+    mockRenderQrSvg.mockResolvedValue("<svg></svg>");
+    mockRenderQrDataUrl.mockResolvedValue("data:image/png;base64,cG5n");
+  });
+
+  const event = {
+    id: 10,
+    name: "Rock Fest",
+    date: new Date("2026-12-01"),
+    location: "Jakarta",
+  };
+
+  const createMockPayment = (overrides = {}) => ({
+    id: 1,
+    orderId: "ORDER-ABC",
+    userId: 2,
+    status: "success",
+    ticketId: 5,
+    quantity: 2,
+    user: { id: 2, name: "John Doe", email: "john@example.com" },
+    ticket: { id: 5, name: "VIP", eventId: 10, event },
+    order: null,
+    seats: [],
+    ...overrides,
+  });
+
+  const createMockIssuedTicket = (overrides = {}) => ({
+    id: 1,
+    code: "10.code1.sig",
+    sequence: 1,
+    status: "valid",
+    userId: 2,
+    ticketId: 5,
+    eventId: 10,
+    paymentId: 1,
+    ticket: { id: 5, name: "VIP", eventId: 10, event },
+    ...overrides,
+  });
+
+  describe("issueTicketsForPayment", () => {
+    test("should issue one ticket per unit of a direct purchase", async () => {
+      const issued = [
+        createMockIssuedTicket(),
+        createMockIssuedTicket({ id: 2, code: "10.code2.sig", sequence: 2 }),
+      ];
+      mockFindPaymentWithItems.mockResolvedValue(createMockPayment());
+      mockCreateIssuedTickets.mockResolvedValue({ count: 2 });
+      mockFindIssuedTicketsByPayment.mockResolvedValue(issued);
+
+      const result = await issueTicketsForPayment(1);
+
+      expect(mockCreateIssuedTickets).toHaveBeenCalledWith([
+        {
+          code: "10.code1.sig",
+          sequence: 1,
+          status: "valid",
+          userId: 2,
+          ticketId: 5,
+          eventId: 10,
+          paymentId: 1,
+        },
+        {
+          code: "10.code2.sig",
+          sequence: 2,
+          status: "valid",
+          userId: 2,
+          ticketId: 5,
+          eventId: 10,
+          paymentId: 1,
+        },
+      ]);
+      expect(result).toEqual(issued);
+    });
+
+    test("should issue tickets for every item of an order", async () => {
+      mockFindPaymentWithItems.mockResolvedValue(
+        createMockPayment({
+          ticketId: null,
+          ticket: null,
+          quantity: 3,
+          order: {
+            id: 4,
+            items: [
+              { ticketId: 5, quantity: 1, ticket: { id: 5, eventId: 10 } },
+              { ticketId: 6, quantity: 2, ticket: { id: 6, eventId: 11 } },
+            ],
+          },
+        })
+      );
+      mockCreateIssuedTickets.mockResolvedValue({ count: 3 });
+      mockFindIssuedTicketsByPayment.mockResolvedValue([]);
+
+      await issueTicketsForPayment(1);
+
+      const data = mockCreateIssuedTickets.mock.calls[0][0];
+      expect(data).toHaveLength(3);
+      expect(data.map((unit) => unit.sequence)).toEqual([1, 2, 3]);
+      expect(data.map((unit) => unit.ticketId)).toEqual([5, 6, 6]);
+      expect(data.map((unit) => unit.eventId)).toEqual([10, 11, 11]);
+      expect(new Set(data.map((unit) => unit.code)).size).toBe(3);
+    });
+
+    test("should issue a ticket for every component of a bundle", async () => {
+      mockFindPaymentWithItems.mockResolvedValueOnce(
+        createMockPayment({
+          ticketId: 7,
+          quantity: 2,
+          ticket: {
+            id: 7,
+            eventId: 10,
+            bundleItems: [
+              { ticketId: 5, quantity: 1, ticket: { id: 5, eventId: 10 } },
+              { ticketId: 6, quantity: 2, ticket: { id: 6, eventId: 10 } },
+            ],
+          },
+        })
+      );
+      mockCreateIssuedTickets.mockResolvedValueOnce({ count: 6 });
+      mockFindIssuedTicketsByPayment.mockResolvedValueOnce([]);
+
+      await issueTicketsForPayment(1);
+
+      const data = mockCreateIssuedTickets.mock.calls[0][0];
+      expect(data.map((unit) => unit.ticketId)).toEqual([5, 5, 6, 6, 6, 6]);
+      expect(data.every((unit) => unit.bundleId === 7)).toBe(true);
+      expect(data.map((unit) => unit.sequence)).toEqual([1, 2, 3, 4, 5, 6]);
+    });
+
+    test("should give every unit of a seated ticket one of its sold seats", async () => {
+      mockFindPaymentWithItems.mockResolvedValue(
+        createMockPayment({
+          ticketId: null,
+          ticket: null,
+          quantity: 3,
+          order: {
+            id: 4,
+            items: [
+              { ticketId: 5, quantity: 2, ticket: { id: 5, eventId: 10 } },
+              { ticketId: 6, quantity: 1, ticket: { id: 6, eventId: 10 } },
+            ],
+          },
+          seats: [
+            { id: 31, ticketId: 6 },
+            { id: 32, ticketId: 5 },
+            { id: 33, ticketId: 5 },
+          ],
+        })
+      );
+      mockCreateIssuedTickets.mockResolvedValue({ count: 3 });
+      mockFindIssuedTicketsByPayment.mockResolvedValue([]);
+
+      await issueTicketsForPayment(1);
+
+      const data = mockCreateIssuedTickets.mock.calls[0][0];
+      expect(data.map((unit) => [unit.ticketId, unit.eventSeatId])).toEqual([
+        [5, 32],
+        [5, 33],
+        [6, 31],
+      ]);
+    });
+
+    test("should print the seat on seated tickets in the email", async () => {
+      mockFindPaymentWithItems.mockResolvedValue(
+        createMockPayment({ quantity: 1 })
+      );
+      mockCreateIssuedTickets.mockResolvedValue({ count: 1 });
+      mockFindIssuedTicketsByPayment.mockResolvedValue([
+        createMockIssuedTicket({
+          eventSeat: {
+            id: 31,
+            seat: { section: "Orchestra", row: "B", number: 12 },
+          },
+        }),
+      ]);
+
+      await issueTicketsForPayment(1);
+
+      const { tickets } = mockSendTicketConfirmationEmail.mock.calls[0][1];
+      expect(tickets[0].seat).toBe("Orchestra, row B, seat 12");
+    });
+
+    test("should email the tickets with QR attachments when newly issued", async () => {
+      mockFindPaymentWithItems.mockResolvedValue(
+        createMockPayment({ quantity: 1 })
+      );
+      mockCreateIssuedTickets.mockResolvedValue({ count: 1 });
+      mockFindIssuedTicketsByPayment.mockResolvedValue([
+        createMockIssuedTicket(),
+      ]);
+
+      await issueTicketsForPayment(1);
+
+      expect(mockRenderQrPng).toHaveBeenCalledWith("10.code1.sig");
+      expect(mockSendTicketConfirmationEmail).toHaveBeenCalledWith(
+        "john@example.com",
+        {
+          name: "John Doe",
+          orderId: "ORDER-ABC",
+          tickets: [
+            {
+              code: "10.code1.sig",
+              ticketName: "VIP",
+              eventName: "Rock Fest",
+              eventDate: event.date,
+              location: "Jakarta",
+              qrPng: Buffer.from("png"),
+            },
+          ],
+        }
+      );
+    });
+
+    test("should not email again when the tickets were already issued", async () => {
+      mockFindPaymentWithItems.mockResolvedValue(createMockPayment());
+      mockCreateIssuedTickets.mockResolvedValue({ count: 0 });
+      mockFindIssuedTicketsByPayment.mockResolvedValue([
+        createMockIssuedTicket(),
+      ]);
+
+      const result = await issueTicketsForPayment(1);
+
+      expect(mockSendTicketConfirmationEmail).not.toHaveBeenCalled();
+      expect(result).toHaveLength(1);
+    });
+
+    test("should keep the issued tickets when the email fails", async () => {
+      const issued = [createMockIssuedTicket()];
+      mockFindPaymentWithItems.mockResolvedValue(
+        createMockPayment({ quantity: 1 })
+      );
+      mockCreateIssuedTickets.mockResolvedValue({ count: 1 });
+      mockFindIssuedTicketsByPayment.mockResolvedValue(issued);
+      mockSendTicketConfirmationEmail.mockRejectedValue(
+        new Error("SMTP error")
+      );
+      const consoleSpy = jest.spyOn(console, "error").mockImplementation();
+
+      const result = await issueTicketsForPayment(1);
+
+      expect(result).toEqual(issued);
+      expect(consoleSpy).toHaveBeenCalled();
+      consoleSpy.mockRestore();
+    });
+
+    test("should throw error if payment not found", async () => {
+      mockFindPaymentWithItems.mockResolvedValue(null);
+
+      await expect(issueTicketsForPayment(99)).rejects.toThrow(
+        "Payment not found"
+      );
+      expect(mockCreateIssuedTickets).not.toHaveBeenCalled();
+    });
+
+    test("should not issue tickets for an unpaid payment", async () => {
+      mockFindPaymentWithItems.mockResolvedValue(
+        createMockPayment({ status: "pending" })
+      );
+
+      await expect(issueTicketsForPayment(1)).rejects.toThrow(
+        "Payment is not successful"
+      );
+      expect(mockCreateIssuedTickets).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("getUserTickets", () => {
+    const meta = { page: 1, limit: 10, total: 1, totalPages: 1 };
+
+    test("should attach a PNG data URL by default", async () => {
+      mockFindIssuedTicketsByUser.mockResolvedValue({
+        tickets: [createMockIssuedTicket()],
+        meta,
+      });
+
+      const result = await getUserTickets(2, { page: "1" });
+
+      expect(mockFindIssuedTicketsByUser).toHaveBeenCalledWith(2, {
+        page: "1",
+      });
+      expect(result.tickets[0].qrCode).toBe("data:image/png;base64,cG5n");
+      expect(result.meta).toEqual(meta);
+    });
+
+    test("should attach SVG markup when requested", async () => {
+      mockFindIssuedTicketsByUser.mockResolvedValue({
+        tickets: [createMockIssuedTicket()],
+        meta,
+      });
+
+      const result = await getUserTickets(2, { format: "svg" });
+
+      expect(mockRenderQrSvg).toHaveBeenCalledWith("10.code1.sig");
+      expect(result.tickets[0].qrCode).toBe("<svg></svg>");
+    });
+
+    test("should reject unknown formats", async () => {
+      await expect(getUserTickets(2, { format: "gif" })).rejects.toThrow(
+        "Invalid QR format"
+      );
+    });
+  });
+
+  describe("getUserTicketQr", () => {
+    test("should return a PNG image by default", async () => {
+      mockFindIssuedTicketById.mockResolvedValue(createMockIssuedTicket());
+
+      const result = await getUserTicketQr(1, 2);
+
+      expect(mockFindIssuedTicketById).toHaveBeenCalledWith(1, 2);
+      expect(result).toEqual({
+        contentType: "image/png",
+        body: Buffer.from("png"),
+      });
+    });
+
+    test("should return an SVG image when requested", async () => {
+      mockFindIssuedTicketById.mockResolvedValue(createMockIssuedTicket());
+
+      const result = await getUserTicketQr(1, 2, "svg");
+
+      expect(result).toEqual({
+        contentType: "image/svg+xml",
+        body: "<svg></svg>",
+      });
+    });
+
+    test("should throw error if the ticket does not belong to the user", async () => {
+      mockFindIssuedTicketById.mockResolvedValue(null);
+
+      await expect(getUserTicketQr(1, 3)).rejects.toThrow("Ticket not found");
+    });
+  });
+});
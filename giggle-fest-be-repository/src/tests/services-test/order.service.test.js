@@ -0,0 +1,86 @@
+/**
+ * @jest-environment node
+ */
+import { jest } from "@jest/globals";
+
+// ---------------------------
+// Create mock order repository functions
+// ---------------------------
+const mockFindOrdersByUser = jest.fn();
+const mockFindOrderById = jest.fn();
+
+// ---------------------------
+// Mock order.repository module
+// ---------------------------
+jest.unstable_mockModule("../../repositories/order.repository.js", () => ({
+  findOrdersByUser: mockFindOrdersByUser,
+  findOrderById: mockFindOrderById,
+}));
+
+// ---------------------------
+// Import service after mock setup
+// ---------------------------
+const { getUserOrders, getOrderById } = await import(
+  "../../services/order.service.js"
+);
+
+// ---------------------------
+// Test Suite
+// ---------------------------
+describe("Order Service", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  // Helper function to create mock order
+  const createMockOrder = (overrides = {}) => ({
+    id: 1,
+    userId: 1,
+    status: "pending",
+    originalAmount: 1600000,
+    discount: 0,
+    amount: 1600000,
+    items: [
+      { id: 1, ticketId: 5, quantity: 2, price: 500000, subtotal: 1000000 },
+      { id: 2, ticketId: 6, quantity: 3, price: 200000, subtotal: 600000 },
+    ],
+    payments: [{ id: 1, orderId: "ORDER-ABC", status: "pending" }],
+    ...overrides,
+  });
+
+  describe("getUserOrders", () => {
+    test("should return paginated orders for the user", async () => {
+      const mockResult = {
+        orders: [createMockOrder()],
+        meta: { page: 1, limit: 10, total: 1, totalPages: 1 },
+      };
+      mockFindOrdersByUser.mockResolvedValue(mockResult);
+
+      const result = await getUserOrders(1, { page: "1", limit: "10" });
+
+      expect(mockFindOrdersByUser).toHaveBeenCalledWith(1, {
+        page: "1",
+        limit: "10",
+      });
+      expect(result).toEqual(mockResult);
+    });
+  });
+
+  describe("getOrderById", () => {
+    test("should return the order owned by the user", async () => {
+      const mockOrder = createMockOrder();
+      mockFindOrderById.mockResolvedValue(mockOrder);
+
+      const result = await getOrderById(1, 1);
+
+      expect(mockFindOrderById).toHaveBeenCalledWith(1, 1);
+      expect(result).toEqual(mockOrder);
+    });
+
+    test("should throw error when order does not exist for the user", async () => {
+      mockFindOrderById.mockResolvedValue(null);
+
+      await expect(getOrderById(99, 1)).rejects.toThrow("Order not found");
+    });
+  });
+});
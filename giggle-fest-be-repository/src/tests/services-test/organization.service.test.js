@@ -0,0 +1,464 @@
+/**
+ * @jest-environment node
+ */
+import { jest } from "@jest/globals";
+
+// ---------------------------
+// Create mock functions
+// ---------------------------
+const mockCreateOrganization = jest.fn();
+const mockFindOrganizationById = jest.fn();
+const mockFindOrganizationsByUser = jest.fn();
+const mockFindMembership = jest.fn();
+const mockFindMembershipsByUser = jest.fn();
+const mockAddMember = jest.fn();
+const mockRemoveMember = jest.fn();
+const mockCountMembersByRole = jest.fn();
+const mockFindEventById = jest.fn();
+const mockFindAllEvents = jest.fn();
+const mockCountEvents = jest.fn();
+const mockFindUserByEmail = jest.fn();
+const mockAggregateEventSales = jest.fn();
+
+// ---------------------------
+// Mock dependencies
+// ---------------------------
+jest.unstable_mockModule(
+  "../../repositories/organization.repository.js",
+  () => ({
+    createOrganization: mockCreateOrganization,
+    findOrganizationById: mockFindOrganizationById,
+    findOrganizationsByUser: mockFindOrganizationsByUser,
+    findMembership: mockFindMembership,
+    findMembershipsByUser: mockFindMembershipsByUser,
+    addMember: mockAddMember,
+    removeMember: mockRemoveMember,
+    countMembersByRole: mockCountMembersByRole,
+  })
+);
+
+jest.unstable_mockModule("../../repositories/event.repository.js", () => ({
+  findEventById: mockFindEventById,
+  findAllEvents: mockFindAllEvents,
+  countEvents: mockCountEvents,
+}));
+
+jest.unstable_mockModule("../../repositories/user.repository.js", () => ({
+  findUserByEmail: mockFindUserByEmail,
+}));
+
+jest.unstable_mockModule("../../repositories/payment.repository.js", () => ({
+  aggregateEventSales: mockAggregateEventSales,
+}));
+
+// ---------------------------
+// Import service after mock setup
+// ---------------------------
+const {
+  canManageOrganization,
+  getManagedOrganizationIds,
+  assertOrganizationAccess,
+  assertEventAccess,
+  resolveOrganizationId,
+  createOrganization,
+  addOrganizationMember,
+  removeOrganizationMember,
+  getOrganizerEvents,
+  getEventSales,
+} = await import("../../services/organization.service.js");
+
+// ---------------------------
+// Test Suite
+// ---------------------------
+describe("Organization Service", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const admin = { id: 1, role: "admin" };
+  const organizer = { id: 7, role: "organizer" };
+
+  const createMockOrganization = (overrides = {}) => ({
+    id: 3,
+    name: "Giggle Productions",
+    members: [
+      { organizationId: 3, userId: 7, role: "owner" },
+      { organizationId: 3, userId: 8, role: "member" },
+    ],
+    ...overrides,
+  });
+
+  describe("canManageOrganization", () => {
+    test("should let admins manage any organization", async () => {
+      await expect(canManageOrganization(admin, 9)).resolves.toBe(true);
+      await expect(canManageOrganization(admin, null)).resolves.toBe(true);
+      expect(mockFindMembership).not.toHaveBeenCalled();
+    });
+
+    test("should let members manage their organization", async () => {
+      mockFindMembership.mockResolvedValue({ userId: 7, role: "member" });
+
+      await expect(canManageOrganization(organizer, 3)).resolves.toBe(true);
+      expect(mockFindMembership).toHaveBeenCalledWith(3, 7);
+    });
+
+    test("should refuse organizations the user is not a member of", async () => {
+      mockFindMembership.mockResolvedValue(null);
+
+      await expect(canManageOrganization(organizer, 9)).resolves.toBe(false);
+    });
+
+    test("should keep unowned inventory to admins", async () => {
+      await expect(canManageOrganization(organizer, null)).resolves.toBe(
+        false
+      );
+      expect(mockFindMembership).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("getManagedOrganizationIds", () => {
+    test("should not restrict admins", async () => {
+      await expect(getManagedOrganizationIds(admin)).resolves.toBeNull();
+    });
+
+    test("should return the organizer's memberships", async () => {
+      mockFindMembershipsByUser.mockResolvedValue([
+        { organizationId: 3 },
+        { organizationId: 5 },
+      ]);
+
+      await expect(getManagedOrganizationIds(organizer)).resolves.toEqual([
+        3, 5,
+      ]);
+    });
+  });
+
+  describe("assertOrganizationAccess", () => {
+    test("should throw when the organization does not exist", async () => {
+      mockFindOrganizationById.mockResolvedValue(null);
+
+      await expect(assertOrganizationAccess(organizer, 3)).rejects.toThrow(
+        "Organization not found"
+      );
+    });
+
+    test("should refuse non-members", async () => {
+      mockFindOrganizationById.mockResolvedValue(createMockOrganization());
+
+      await expect(
+        assertOrganizationAccess({ id: 20, role: "organizer" }, 3)
+      ).rejects.toThrow("You do not manage this organization");
+    });
+
+    test("should require the owner role when asked to", async () => {
+      mockFindOrganizationById.mockResolvedValue(createMockOrganization());
+
+      await expect(
+        assertOrganizationAccess({ id: 8, role: "organizer" }, 3, {
+          ownerOnly: true,
+        })
+      ).rejects.toThrow("You do not manage this organization");
+      await expect(
+        assertOrganizationAccess(organizer, 3, { ownerOnly: true })
+      ).resolves.toEqual(createMockOrganization());
+    });
+
+    test("should let admins through without a membership", async () => {
+      mockFindOrganizationById.mockResolvedValue(createMockOrganization());
+
+      await expect(
+        assertOrganizationAccess(admin, 3, { ownerOnly: true })
+      ).resolves.toEqual(createMockOrganization());
+    });
+  });
+
+  describe("assertEventAccess", () => {
+    test("should throw when the event does not exist", async () => {
+      mockFindEventById.mockResolvedValue(null);
+
+      await expect(assertEventAccess(organizer, 1)).rejects.toThrow(
+        "Event not found"
+      );
+    });
+
+    test("should refuse events of another organization", async () => {
+      mockFindEventById.mockResolvedValue({ id: 1, organizationId: 9 });
+      mockFindMembership.mockResolvedValue(null);
+
+      await expect(assertEventAccess(organizer, 1)).rejects.toThrow(
+        "You do not manage this event"
+      );
+      expect(mockFindMembership).toHaveBeenCalledWith(9, 7);
+    });
+
+    test("should return the event for members of its organization", async () => {
+      const event = { id: 1, organizationId: 3 };
+      mockFindEventById.mockResolvedValue(event);
+      mockFindMembership.mockResolvedValue({ userId: 7 });
+
+      await expect(assertEventAccess(organizer, 1)).resolves.toBe(event);
+    });
+  });
+
+  describe("resolveOrganizationId", () => {
+    test("should check access to an explicit organization", async () => {
+      mockFindOrganizationById.mockResolvedValue(createMockOrganization());
+
+      await expect(resolveOrganizationId(organizer, 3)).resolves.toBe(3);
+      expect(mockFindOrganizationById).toHaveBeenCalledWith(3);
+    });
+
+    test("should let admins create unowned inventory", async () => {
+      await expect(resolveOrganizationId(admin, undefined)).resolves.toBe(
+        null
+      );
+    });
+
+    test("should default to the organizer's only organization", async () => {
+      mockFindMembershipsByUser.mockResolvedValue([{ organizationId: 3 }]);
+
+      await expect(resolveOrganizationId(organizer, undefined)).resolves.toBe(
+        3
+      );
+    });
+
+    test("should require a choice when the organizer has several", async () => {
+      mockFindMembershipsByUser.mockResolvedValue([
+        { organizationId: 3 },
+        { organizationId: 5 },
+      ]);
+
+      await expect(resolveOrganizationId(organizer, undefined)).rejects.toThrow(
+        "organizationId is required"
+      );
+    });
+
+    test("should refuse organizers without an organization", async () => {
+      mockFindMembershipsByUser.mockResolvedValue([]);
+
+      await expect(resolveOrganizationId(organizer, undefined)).rejects.toThrow(
+        "You are not a member of any organization"
+      );
+    });
+  });
+
+  describe("createOrganization", () => {
+    test("should make the creator its owner", async () => {
+      mockCreateOrganization.mockResolvedValue(createMockOrganization());
+
+      await createOrganization(organizer, { name: "Giggle Productions" });
+
+      expect(mockCreateOrganization).toHaveBeenCalledWith({
+        name: "Giggle Productions",
+        ownerId: 7,
+        ownerRole: "owner",
+      });
+    });
+  });
+
+  describe("addOrganizationMember", () => {
+    beforeEach(() => {
+      mockFindOrganizationById.mockResolvedValue(createMockOrganization());
+    });
+
+    test("should add an organizer as a member", async () => {
+      mockFindUserByEmail.mockResolvedValue({ id: 12, role: "organizer" });
+      mockFindMembership.mockResolvedValue(null);
+      mockAddMember.mockResolvedValue({ userId: 12, role: "member" });
+
+      await addOrganizationMember(organizer, 3, {
+        email: "partner@example.com",
+      });
+
+      expect(mockFindUserByEmail).toHaveBeenCalledWith("partner@example.com");
+      expect(mockAddMember).toHaveBeenCalledWith(3, 12, "member");
+    });
+
+    test("should only let owners add members", async () => {
+      await expect(
+        addOrganizationMember({ id: 8, role: "organizer" }, 3, {
+          email: "partner@example.com",
+        })
+      ).rejects.toThrow("You do not manage this organization");
+      expect(mockAddMember).not.toHaveBeenCalled();
+    });
+
+    test("should throw when the user does not exist", async () => {
+      mockFindUserByEmail.mockResolvedValue(null);
+
+      await expect(
+        addOrganizationMember(organizer, 3, { email: "nobody@example.com" })
+      ).rejects.toThrow("User not found");
+    });
+
+    test("should refuse users without the organizer role", async () => {
+      mockFindUserByEmail.mockResolvedValue({ id: 12, role: "user" });
+
+      await expect(
+        addOrganizationMember(organizer, 3, { email: "fan@example.com" })
+      ).rejects.toThrow("User must have the organizer role");
+      expect(mockAddMember).not.toHaveBeenCalled();
+    });
+
+    test("should refuse existing members", async () => {
+      mockFindUserByEmail.mockResolvedValue({ id: 8, role: "organizer" });
+      mockFindMembership.mockResolvedValue({ userId: 8 });
+
+      await expect(
+        addOrganizationMember(organizer, 3, { email: "member@example.com" })
+      ).rejects.toThrow("User is already a member of this organization");
+    });
+  });
+
+  describe("removeOrganizationMember", () => {
+    beforeEach(() => {
+      mockFindOrganizationById.mockResolvedValue(createMockOrganization());
+    });
+
+    test("should remove a member", async () => {
+      mockFindMembership.mockResolvedValue({ userId: 8, role: "member" });
+
+      await removeOrganizationMember(organizer, 3, 8);
+
+      expect(mockRemoveMember).toHaveBeenCalledWith(3, 8);
+    });
+
+    test("should throw when the user is not a member", async () => {
+      mockFindMembership.mockResolvedValue(null);
+
+      await expect(removeOrganizationMember(organizer, 3, 20)).rejects.toThrow(
+        "Member not found"
+      );
+    });
+
+    test("should keep the last owner", async () => {
+      mockFindMembership.mockResolvedValue({ userId: 7, role: "owner" });
+      mockCountMembersByRole.mockResolvedValue(1);
+
+      await expect(removeOrganizationMember(organizer, 3, 7)).rejects.toThrow(
+        "An organization must keep at least one owner"
+      );
+      expect(mockCountMembersByRole).toHaveBeenCalledWith(3, "owner");
+      expect(mockRemoveMember).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("getOrganizerEvents", () => {
+    beforeEach(() => {
+      mockFindAllEvents.mockResolvedValue([]);
+      mockCountEvents.mockResolvedValue(0);
+    });
+
+    test("should list events of the organizer's organizations", async () => {
+      mockFindMembershipsByUser.mockResolvedValue([
+        { organizationId: 3 },
+        { organizationId: 5 },
+      ]);
+
+      const result = await getOrganizerEvents(organizer, {
+        page: "2",
+        limit: "5",
+      });
+
+      const where = { organizationId: { in: [3, 5] } };
+      expect(mockFindAllEvents).toHaveBeenCalledWith(5, 5, where);
+      expect(mockCountEvents).toHaveBeenCalledWith(where);
+      expect(result.meta).toEqual({
+        page: 2,
+        limit: 5,
+        total: 0,
+        totalPages: 0,
+      });
+    });
+
+    test("should filter by one organization after checking access", async () => {
+      mockFindOrganizationById.mockResolvedValue(createMockOrganization());
+
+      await getOrganizerEvents(organizer, { organizationId: 3 });
+
+      expect(mockFindAllEvents).toHaveBeenCalledWith(0, 10, {
+        organizationId: 3,
+      });
+    });
+
+    test("should list every event for admins", async () => {
+      await getOrganizerEvents(admin);
+
+      expect(mockFindAllEvents).toHaveBeenCalledWith(0, 10, {});
+    });
+  });
+
+  describe("getEventSales", () => {
+    test("should summarise sales per ticket type", async () => {
+      mockFindEventById.mockResolvedValue({
+        id: 1,
+        name: "GiggleFest",
+        date: new Date("2026-08-01"),
+        organizationId: 3,
+        tickets: [
+          { id: 10, name: "VIP", price: 100000, quantity: 5 },
+          { id: 11, name: "Regular", price: 50000, quantity: 40 },
+        ],
+      });
+      mockFindMembership.mockResolvedValue({ userId: 7 });
+      mockAggregateEventSales.mockResolvedValue([
+        {
+          ticketId: 10,
+          quantity: 2,
+          gross: 200000,
+          discount: 20000,
+          refunded: 0,
+        },
+        { ticketId: 10, quantity: 3, gross: 300000, discount: 0, refunded: 0 },
+        // one VIP ticket refunded
+        { ticketId: 10, quantity: -1, gross: 0, discount: 0, refunded: 90000 },
+      ]);
+
+      const result = await getEventSales(organizer, 1);
+
+      expect(mockAggregateEventSales).toHaveBeenCalledWith(1);
+      expect(result.tickets).toEqual([
+        {
+          ticketId: 10,
+          name: "VIP",
+          price: 100000,
+          sold: 4,
+          remaining: 5,
+          grossRevenue: 500000,
+          discount: 20000,
+          refunded: 90000,
+          netRevenue: 390000,
+        },
+        {
+          ticketId: 11,
+          name: "Regular",
+          price: 50000,
+          sold: 0,
+          remaining: 40,
+          grossRevenue: 0,
+          discount: 0,
+          refunded: 0,
+          netRevenue: 0,
+        },
+      ]);
+      expect(result.totals).toEqual({
+        sold: 4,
+        remaining: 45,
+        grossRevenue: 500000,
+        discount: 20000,
+        refunded: 90000,
+        netRevenue: 390000,
+      });
+    });
+
+    test("should not show sales of another organization's event", async () => {
+      mockFindEventById.mockResolvedValue({ id: 1, organizationId: 9 });
+      mockFindMembership.mockResolvedValue(null);
+
+      await expect(getEventSales(organizer, 1)).rejects.toThrow(
+        "You do not manage this event"
+      );
+      expect(mockAggregateEventSales).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -27,6 +27,18 @@ const mockBcryptCompare = jest.fn();
 // ---------------------------
 const mockSendResetOTPEmail = jest.fn();
 
+// ---------------------------
+// Create mock session service function
+// ---------------------------
+const mockRevokeAllSessions = jest.fn();
+
+// ---------------------------
+// Create mock throttle service functions
+// ---------------------------
+const mockAssertNotLocked = jest.fn();
+const mockRecordFailure = jest.fn();
+const mockUnlockAccount = jest.fn();
+
 // ---------------------------
 // Mock user.repository module
 // ---------------------------
@@ -63,6 +75,23 @@ jest.unstable_mockModule("../../utils/email.service.js", () => ({
   sendResetOTPEmail: mockSendResetOTPEmail,
 }));
 
+// ---------------------------
+// Mock session.service module
+// ---------------------------
+jest.unstable_mockModule("../../services/session.service.js", () => ({
+  revokeAllSessions: mockRevokeAllSessions,
+}));
+
+// ---------------------------
+// Mock throttle.service module
+// ---------------------------
+jest.unstable_mockModule("../../services/throttle.service.js", () => ({
+  THROTTLE_SCOPES: { LOGIN: "login", OTP: "otp" },
+  assertNotLocked: mockAssertNotLocked,
+  recordFailure: mockRecordFailure,
+  unlockAccount: mockUnlockAccount,
+}));
+
 // ---------------------------
 // Import service after mock setup
 // ---------------------------
@@ -449,6 +478,44 @@ describe("Password Service", () => {
       await expect(verifyOTP(token, otp)).rejects.toThrow("Invalid OTP");
     });
 
+    test("should count an invalid OTP against the account and IP", async () => {
+      mockFindUserByResetToken.mockResolvedValue(
+        createMockUser({
+          resetOTP: "$2b$10$hashedOTP",
+          resetOTPExpires: new Date(Date.now() + 10 * 60 * 1000),
+        })
+      );
+      mockBcryptCompare.mockResolvedValue(false);
+
+      await expect(
+        verifyOTP("valid-token", "000000", { ipAddress: "10.0.0.1" })
+      ).rejects.toThrow("Invalid OTP");
+
+      expect(mockRecordFailure).toHaveBeenCalledWith(
+        "otp",
+        { email: "user@example.com", ipAddress: "10.0.0.1" },
+        { notify: true }
+      );
+    });
+
+    test("should not compare the OTP while locked out", async () => {
+      mockFindUserByResetToken.mockResolvedValue(
+        createMockUser({
+          resetOTP: "$2b$10$hashedOTP",
+          resetOTPExpires: new Date(Date.now() + 10 * 60 * 1000),
+        })
+      );
+      mockAssertNotLocked.mockRejectedValueOnce(
+        new Error("Too many failed attempts. Try again in 15 minute(s).")
+      );
+
+      await expect(verifyOTP("valid-token", "123456")).rejects.toThrow(
+        "Too many failed attempts"
+      );
+
+      expect(mockBcryptCompare).not.toHaveBeenCalled();
+    });
+
     test("should handle JsonWebTokenError", async () => {
       const token = "invalid-jwt";
       const otp = "123456";
@@ -527,6 +594,8 @@ describe("Password Service", () => {
         resetOTP: null,
         resetOTPExpires: null,
       });
+      expect(mockRevokeAllSessions).toHaveBeenCalledWith(5);
+      expect(mockUnlockAccount).toHaveBeenCalledWith("user@example.com");
     });
 
     test("should throw error when user not found by reset token", async () => {
@@ -543,6 +612,7 @@ describe("Password Service", () => {
       expect(mockBcryptCompare).not.toHaveBeenCalled();
       expect(mockBcryptHash).not.toHaveBeenCalled();
       expect(mockUpdateUser).not.toHaveBeenCalled();
+      expect(mockRevokeAllSessions).not.toHaveBeenCalled();
     });
 
     test("should throw error when OTP not generated", async () => {
@@ -9,6 +9,8 @@ jest.unstable_mockModule(
   "../../../src/repositories/payment.repository.js",
   () => ({
     createPayment: jest.fn(),
+    createPaymentWithReservation: jest.fn(),
+    settlePayment: jest.fn(),
     findPaymentByOrderId: jest.fn(),
     findPaymentById: jest.fn(),
     updatePaymentStatus: jest.fn(),
@@ -30,13 +32,6 @@ jest.unstable_mockModule(
   })
 );
 
-jest.unstable_mockModule(
-  "../../../src/repositories/promo.repository.js",
-  () => ({
-    findPromoCodeByCode: jest.fn(),
-  })
-);
-
 jest.unstable_mockModule("../../../src/libs/midtrans.config.js", () => ({
   snap: {
     createTransaction: jest.fn(),
@@ -48,6 +43,45 @@ jest.unstable_mockModule("../../../src/libs/midtrans.config.js", () => ({
   },
 }));
 
+jest.unstable_mockModule("../../../src/utils/midtrans.signature.js", () => ({
+  verifySignatureKey: jest.fn(),
+}));
+
+jest.unstable_mockModule(
+  "../../../src/services/issuedTicket.service.js",
+  () => ({
+    issueTicketsForPayment: jest.fn(),
+  })
+);
+
+jest.unstable_mockModule("../../../src/services/refund.service.js", () => ({
+  refundCancelledEventTickets: jest.fn(),
+}));
+
+jest.unstable_mockModule("../../../src/services/venue.service.js", () => ({
+  checkSeatSelection: jest.fn(),
+}));
+
+const mockValidatePromoCode = jest.fn();
+
+// a plain percentage stand-in for the promo rules, tested in promo.service
+jest.unstable_mockModule("../../../src/services/promo.service.js", () => ({
+  validatePromoCode: mockValidatePromoCode,
+  calculatePromoDiscount: (promo, [item]) => {
+    if (promo.organizationId && promo.organizationId !== item.organizationId) {
+      throw new Error("Promo code is not valid for these tickets");
+    }
+    return Math.round((item.subtotal * promo.discount) / 100);
+  },
+}));
+
+// tickets cost their base price unless a test sets a tier price
+const mockGetTicketPrice = jest.fn((ticket) => Promise.resolve(ticket.price));
+
+jest.unstable_mockModule("../../../src/services/pricing.service.js", () => ({
+  getTicketPrice: mockGetTicketPrice,
+}));
+
 // Import mocked modules
 const { randomBytes } = await import("crypto");
 const paymentRepository = await import(
@@ -59,16 +93,27 @@ const ticketRepository = await import(
 const userRepository = await import(
   "../../../src/repositories/user.repository.js"
 );
-const promoRepository = await import(
-  "../../../src/repositories/promo.repository.js"
-);
 const { snap, core } = await import("../../../src/libs/midtrans.config.js");
+const { verifySignatureKey } = await import(
+  "../../../src/utils/midtrans.signature.js"
+);
+const { issueTicketsForPayment } = await import(
+  "../../../src/services/issuedTicket.service.js"
+);
+const { refundCancelledEventTickets } = await import(
+  "../../../src/services/refund.service.js"
+);
+const { checkSeatSelection } = await import(
+  "../../../src/services/venue.service.js"
+);
 
 // Import service to test
 const {
   generateOrderId,
   initializePayment,
   checkAndUpdatePaymentStatus,
+  resolvePaymentStatus,
+  handlePaymentNotification,
   getAllPayments,
   getPaymentById,
   getUserPaymentHistory,
@@ -162,7 +207,7 @@ describe("Payment Service", () => {
       userRepository.findUserById.mockResolvedValue(mockUser);
       randomBytes.mockReturnValue(Buffer.from([0xab, 0xcd, 0xef, 0x12, 0x34]));
       snap.createTransaction.mockResolvedValue(mockTransactionToken);
-      paymentRepository.createPayment.mockResolvedValue(mockPayment);
+      paymentRepository.createPaymentWithReservation.mockResolvedValue(mockPayment);
 
       const result = await initializePayment(userId, paymentData);
 
@@ -189,9 +234,10 @@ describe("Payment Service", () => {
           },
         ],
       });
-      expect(paymentRepository.createPayment).toHaveBeenCalledWith({
+      expect(paymentRepository.createPaymentWithReservation).toHaveBeenCalledWith({
         ticketId: 1,
         userId: 1,
+        quantity: 2,
         amount: 200000,
         originalAmount: 200000,
         discount: 0,
@@ -205,6 +251,61 @@ describe("Payment Service", () => {
       });
     });
 
+    test("should charge the ticket's current tier price", async () => {
+      const mockTicket = createMockTicket();
+      ticketRepository.findTicketById.mockResolvedValueOnce(mockTicket);
+      userRepository.findUserById.mockResolvedValueOnce(createMockUser());
+      mockGetTicketPrice.mockResolvedValueOnce(75000);
+      randomBytes.mockReturnValueOnce(Buffer.from([0xab, 0xcd, 0xef, 0x12, 0x34]));
+      snap.createTransaction.mockResolvedValueOnce({ token: "mock-token" });
+      paymentRepository.createPaymentWithReservation.mockResolvedValueOnce(
+        createMockPayment()
+      );
+
+      await initializePayment(userId, paymentData);
+
+      expect(mockGetTicketPrice).toHaveBeenCalledWith(mockTicket, 2);
+      expect(
+        paymentRepository.createPaymentWithReservation
+      ).toHaveBeenCalledWith(
+        expect.objectContaining({ amount: 150000, originalAmount: 150000 })
+      );
+      const [{ item_details }] = snap.createTransaction.mock.calls[0];
+      expect(item_details[0].price).toBe(75000);
+    });
+
+    test("should sell the chosen seats with a seated ticket", async () => {
+      ticketRepository.findTicketById.mockResolvedValueOnce(createMockTicket());
+      userRepository.findUserById.mockResolvedValueOnce(createMockUser());
+      checkSeatSelection.mockResolvedValueOnce(true);
+      randomBytes.mockReturnValueOnce(Buffer.from([0xab, 0xcd, 0xef, 0x12, 0x34]));
+      snap.createTransaction.mockResolvedValueOnce({ token: "mock-token" });
+      paymentRepository.createPaymentWithReservation.mockResolvedValueOnce(
+        createMockPayment()
+      );
+
+      await initializePayment(userId, { ...paymentData, seatIds: [21, 22] });
+
+      expect(checkSeatSelection).toHaveBeenCalledWith(1, [21, 22]);
+      expect(
+        paymentRepository.createPaymentWithReservation
+      ).toHaveBeenCalledWith(expect.objectContaining({ seatIds: [21, 22] }));
+    });
+
+    test("should require seats for a seated ticket", async () => {
+      ticketRepository.findTicketById.mockResolvedValueOnce(createMockTicket());
+      checkSeatSelection.mockRejectedValueOnce(
+        new Error("Choose seats for this ticket")
+      );
+
+      await expect(initializePayment(userId, paymentData)).rejects.toThrow(
+        "Choose seats for this ticket"
+      );
+      expect(
+        paymentRepository.createPaymentWithReservation
+      ).not.toHaveBeenCalled();
+    });
+
     test("should initialize payment successfully with promo code", async () => {
       const mockTicket = createMockTicket();
       const mockUser = createMockUser();
@@ -217,19 +318,17 @@ describe("Payment Service", () => {
 
       ticketRepository.findTicketById.mockResolvedValue(mockTicket);
       userRepository.findUserById.mockResolvedValue(mockUser);
-      promoRepository.findPromoCodeByCode.mockResolvedValue(mockPromo);
+      mockValidatePromoCode.mockResolvedValueOnce(mockPromo);
       randomBytes.mockReturnValue(Buffer.from([0x11, 0x22, 0x33, 0x44, 0x55]));
       snap.createTransaction.mockResolvedValue(mockTransactionToken);
-      paymentRepository.createPayment.mockResolvedValue(mockPayment);
+      paymentRepository.createPaymentWithReservation.mockResolvedValue(mockPayment);
 
       const result = await initializePayment(userId, {
         ...paymentData,
         promoCode: "PROMO20",
       });
 
-      expect(promoRepository.findPromoCodeByCode).toHaveBeenCalledWith(
-        "PROMO20"
-      );
+      expect(mockValidatePromoCode).toHaveBeenCalledWith("PROMO20", 1);
       expect(snap.createTransaction).toHaveBeenCalledWith({
         transaction_details: {
           order_id: "ORDER-1122334455",
@@ -258,14 +357,16 @@ describe("Payment Service", () => {
           },
         ],
       });
-      expect(paymentRepository.createPayment).toHaveBeenCalledWith({
+      expect(paymentRepository.createPaymentWithReservation).toHaveBeenCalledWith({
         ticketId: 1,
         userId: 1,
+        quantity: 2,
         amount: 160000,
         originalAmount: 200000,
         discount: 40000,
         status: "pending",
         orderId: "ORDER-1122334455",
+        promoCodeId: 1,
       });
     });
 
@@ -285,7 +386,7 @@ describe("Payment Service", () => {
       userRepository.findUserById.mockResolvedValue(mockUser);
       randomBytes.mockReturnValue(Buffer.from([0xaa, 0xbb, 0xcc, 0xdd, 0xee]));
       snap.createTransaction.mockResolvedValue(mockTransactionToken);
-      paymentRepository.createPayment.mockResolvedValue(mockPayment);
+      paymentRepository.createPaymentWithReservation.mockResolvedValue(mockPayment);
 
       await initializePayment(userId, paymentData);
 
@@ -340,7 +441,9 @@ describe("Payment Service", () => {
 
       ticketRepository.findTicketById.mockResolvedValue(mockTicket);
       userRepository.findUserById.mockResolvedValue(mockUser);
-      promoRepository.findPromoCodeByCode.mockResolvedValue(null);
+      mockValidatePromoCode.mockRejectedValueOnce(
+        new Error("Invalid promo code")
+      );
 
       await expect(
         initializePayment(userId, { ...paymentData, promoCode: "INVALID" })
@@ -348,6 +451,125 @@ describe("Payment Service", () => {
       expect(snap.createTransaction).not.toHaveBeenCalled();
     });
 
+    test("should check the promo code's validity window and limits", async () => {
+      ticketRepository.findTicketById.mockResolvedValue(createMockTicket());
+      userRepository.findUserById.mockResolvedValue(createMockUser());
+      mockValidatePromoCode.mockRejectedValueOnce(
+        new Error("Promo code has expired or not yet valid")
+      );
+
+      await expect(
+        initializePayment(userId, { ...paymentData, promoCode: "OLD10" })
+      ).rejects.toThrow("Promo code has expired or not yet valid");
+      expect(mockValidatePromoCode).toHaveBeenCalledWith("OLD10", userId);
+      expect(
+        paymentRepository.createPaymentWithReservation
+      ).not.toHaveBeenCalled();
+    });
+
+    test("should not sell tickets for a cancelled event", async () => {
+      ticketRepository.findTicketById.mockResolvedValue(
+        createMockTicket({
+          event: { id: 1, name: "Rock Fest", status: "cancelled" },
+        })
+      );
+      userRepository.findUserById.mockResolvedValue(createMockUser());
+
+      await expect(initializePayment(userId, paymentData)).rejects.toThrow(
+        "Tickets for Rock Fest are not on sale"
+      );
+      expect(paymentRepository.createPaymentWithReservation).not.toHaveBeenCalled();
+    });
+
+    test("should not sell tickets before their sales window opens", async () => {
+      const salesStart = new Date(Date.now() + 86400000);
+      ticketRepository.findTicketById.mockResolvedValue(
+        createMockTicket({ name: "Presale", salesStart })
+      );
+      userRepository.findUserById.mockResolvedValue(createMockUser());
+
+      await expect(initializePayment(userId, paymentData)).rejects.toThrow(
+        `Sales for Presale open on ${salesStart.toUTCString()}`
+      );
+      expect(paymentRepository.createPaymentWithReservation).not.toHaveBeenCalled();
+    });
+
+    test("should reject an organization promo for another organization's ticket", async () => {
+      ticketRepository.findTicketById.mockResolvedValue(
+        createMockTicket({
+          event: { id: 1, organizationId: 4, status: "published" },
+        })
+      );
+      userRepository.findUserById.mockResolvedValue(createMockUser());
+      mockValidatePromoCode.mockResolvedValueOnce(
+        createMockPromo({ organizationId: 3 })
+      );
+
+      await expect(
+        initializePayment(userId, { ...paymentData, promoCode: "PROMO10" })
+      ).rejects.toThrow("Promo code is not valid for these tickets");
+      expect(
+        paymentRepository.createPaymentWithReservation
+      ).not.toHaveBeenCalled();
+    });
+
+    test("should reserve stock together with the pending payment", async () => {
+      ticketRepository.findTicketById.mockResolvedValue(createMockTicket());
+      userRepository.findUserById.mockResolvedValue(createMockUser());
+      randomBytes.mockReturnValue(Buffer.from([0xab, 0xcd, 0xef, 0x12, 0x34]));
+      paymentRepository.createPaymentWithReservation.mockResolvedValue(
+        createMockPayment()
+      );
+      snap.createTransaction.mockResolvedValue({
+        token: "mock-token",
+        redirect_url: "https://midtrans.com/payment",
+      });
+
+      await initializePayment(userId, paymentData);
+
+      expect(
+        paymentRepository.createPaymentWithReservation
+      ).toHaveBeenCalledWith(
+        expect.objectContaining({ ticketId: 1, quantity: 2, status: "pending" })
+      );
+      expect(
+        paymentRepository.createPaymentWithReservation.mock
+          .invocationCallOrder[0]
+      ).toBeLessThan(snap.createTransaction.mock.invocationCallOrder[0]);
+    });
+
+    test("should fail when the reservation loses the race for stock", async () => {
+      ticketRepository.findTicketById.mockResolvedValue(createMockTicket());
+      userRepository.findUserById.mockResolvedValue(createMockUser());
+      randomBytes.mockReturnValue(Buffer.from([0xab, 0xcd, 0xef, 0x12, 0x34]));
+      paymentRepository.createPaymentWithReservation.mockRejectedValue(
+        new Error("Not enough tickets available")
+      );
+
+      await expect(initializePayment(userId, paymentData)).rejects.toThrow(
+        "Not enough tickets available"
+      );
+      expect(snap.createTransaction).not.toHaveBeenCalled();
+    });
+
+    test("should release the reservation if Midtrans transaction fails", async () => {
+      ticketRepository.findTicketById.mockResolvedValue(createMockTicket());
+      userRepository.findUserById.mockResolvedValue(createMockUser());
+      randomBytes.mockReturnValue(Buffer.from([0xab, 0xcd, 0xef, 0x12, 0x34]));
+      paymentRepository.createPaymentWithReservation.mockResolvedValue(
+        createMockPayment()
+      );
+      snap.createTransaction.mockRejectedValue(new Error("Midtrans down"));
+
+      await expect(initializePayment(userId, paymentData)).rejects.toThrow(
+        "Midtrans down"
+      );
+      expect(paymentRepository.settlePayment).toHaveBeenCalledWith(
+        "ORDER-ABCDEF1234",
+        "failed"
+      );
+    });
+
     test("should round amounts correctly", async () => {
       const mockTicket = createMockTicket({ price: 100333.33 });
       const mockUser = createMockUser();
@@ -360,10 +582,10 @@ describe("Payment Service", () => {
 
       ticketRepository.findTicketById.mockResolvedValue(mockTicket);
       userRepository.findUserById.mockResolvedValue(mockUser);
-      promoRepository.findPromoCodeByCode.mockResolvedValue(mockPromo);
+      mockValidatePromoCode.mockResolvedValueOnce(mockPromo);
       randomBytes.mockReturnValue(Buffer.from([0x11, 0x22, 0x33, 0x44, 0x55]));
       snap.createTransaction.mockResolvedValue(mockTransactionToken);
-      paymentRepository.createPayment.mockResolvedValue(mockPayment);
+      paymentRepository.createPaymentWithReservation.mockResolvedValue(mockPayment);
 
       await initializePayment(userId, {
         ticketId: 1,
@@ -383,7 +605,7 @@ describe("Payment Service", () => {
           },
         })
       );
-      expect(paymentRepository.createPayment).toHaveBeenCalledWith(
+      expect(paymentRepository.createPaymentWithReservation).toHaveBeenCalledWith(
         expect.objectContaining({
           amount: Math.round(amount),
           originalAmount: Math.round(originalAmount),
@@ -437,14 +659,14 @@ describe("Payment Service", () => {
 
       paymentRepository.findPaymentByOrderId.mockResolvedValue(mockPayment);
       core.transaction.status.mockResolvedValue(mockMidtransStatus);
-      paymentRepository.updatePaymentStatus.mockResolvedValue(
+      paymentRepository.settlePayment.mockResolvedValue(
         mockUpdatedPayment
       );
 
       const result = await checkAndUpdatePaymentStatus(orderId);
 
       expect(core.transaction.status).toHaveBeenCalledWith(orderId);
-      expect(paymentRepository.updatePaymentStatus).toHaveBeenCalledWith(
+      expect(paymentRepository.settlePayment).toHaveBeenCalledWith(
         orderId,
         "success"
       );
@@ -483,13 +705,13 @@ describe("Payment Service", () => {
 
       paymentRepository.findPaymentByOrderId.mockResolvedValue(mockPayment);
       core.transaction.status.mockResolvedValue(mockMidtransStatus);
-      paymentRepository.updatePaymentStatus.mockResolvedValue(
+      paymentRepository.settlePayment.mockResolvedValue(
         mockUpdatedPayment
       );
 
       const result = await checkAndUpdatePaymentStatus(orderId);
 
-      expect(paymentRepository.updatePaymentStatus).toHaveBeenCalledWith(
+      expect(paymentRepository.settlePayment).toHaveBeenCalledWith(
         orderId,
         "success"
       );
@@ -505,13 +727,13 @@ describe("Payment Service", () => {
 
       paymentRepository.findPaymentByOrderId.mockResolvedValue(mockPayment);
       core.transaction.status.mockResolvedValue(mockMidtransStatus);
-      paymentRepository.updatePaymentStatus.mockResolvedValue(
+      paymentRepository.settlePayment.mockResolvedValue(
         mockUpdatedPayment
       );
 
       const result = await checkAndUpdatePaymentStatus(orderId);
 
-      expect(paymentRepository.updatePaymentStatus).toHaveBeenCalledWith(
+      expect(paymentRepository.settlePayment).toHaveBeenCalledWith(
         orderId,
         "failed"
       );
@@ -527,13 +749,13 @@ describe("Payment Service", () => {
 
       paymentRepository.findPaymentByOrderId.mockResolvedValue(mockPayment);
       core.transaction.status.mockResolvedValue(mockMidtransStatus);
-      paymentRepository.updatePaymentStatus.mockResolvedValue(
+      paymentRepository.settlePayment.mockResolvedValue(
         mockUpdatedPayment
       );
 
       const result = await checkAndUpdatePaymentStatus(orderId);
 
-      expect(paymentRepository.updatePaymentStatus).toHaveBeenCalledWith(
+      expect(paymentRepository.settlePayment).toHaveBeenCalledWith(
         orderId,
         "failed"
       );
@@ -549,13 +771,13 @@ describe("Payment Service", () => {
 
       paymentRepository.findPaymentByOrderId.mockResolvedValue(mockPayment);
       core.transaction.status.mockResolvedValue(mockMidtransStatus);
-      paymentRepository.updatePaymentStatus.mockResolvedValue(
+      paymentRepository.settlePayment.mockResolvedValue(
         mockUpdatedPayment
       );
 
       const result = await checkAndUpdatePaymentStatus(orderId);
 
-      expect(paymentRepository.updatePaymentStatus).toHaveBeenCalledWith(
+      expect(paymentRepository.settlePayment).toHaveBeenCalledWith(
         orderId,
         "failed"
       );
@@ -594,13 +816,13 @@ describe("Payment Service", () => {
 
       paymentRepository.findPaymentByOrderId.mockResolvedValue(mockPayment);
       core.transaction.status.mockRejectedValue(new Error("Midtrans error"));
-      paymentRepository.updatePaymentStatus.mockResolvedValue(
+      paymentRepository.settlePayment.mockResolvedValue(
         mockUpdatedPayment
       );
 
       const result = await checkAndUpdatePaymentStatus(orderId);
 
-      expect(paymentRepository.updatePaymentStatus).toHaveBeenCalledWith(
+      expect(paymentRepository.settlePayment).toHaveBeenCalledWith(
         orderId,
         "failed"
       );
@@ -620,9 +842,31 @@ describe("Payment Service", () => {
       const result = await checkAndUpdatePaymentStatus(orderId);
 
       expect(paymentRepository.updatePaymentStatus).not.toHaveBeenCalled();
+      expect(paymentRepository.settlePayment).not.toHaveBeenCalled();
       expect(result).toEqual(mockPayment);
     });
 
+    test("should return current payment when it was settled concurrently", async () => {
+      const pendingPayment = createMockPayment({ status: "pending" });
+      const settledElsewhere = createMockPayment({ status: "success" });
+
+      paymentRepository.findPaymentByOrderId
+        .mockResolvedValueOnce(pendingPayment)
+        .mockResolvedValueOnce(settledElsewhere);
+      core.transaction.status.mockResolvedValue({
+        transaction_status: "settlement",
+      });
+      paymentRepository.settlePayment.mockResolvedValue(null);
+
+      const result = await checkAndUpdatePaymentStatus(orderId);
+
+      expect(paymentRepository.settlePayment).toHaveBeenCalledWith(
+        orderId,
+        "success"
+      );
+      expect(result).toEqual(settledElsewhere);
+    });
+
     test("should throw error with message when other errors occur", async () => {
       paymentRepository.findPaymentByOrderId.mockRejectedValue(
         new Error("Database connection failed")
@@ -634,6 +878,208 @@ describe("Payment Service", () => {
     });
   });
 
+  describe("resolvePaymentStatus", () => {
+    test.each([
+      ["capture", "accept", "success"],
+      ["capture", "challenge", "challenge"],
+      ["settlement", undefined, "success"],
+      ["cancel", undefined, "failed"],
+      ["deny", undefined, "failed"],
+      ["expire", undefined, "failed"],
+      ["failure", undefined, "failed"],
+      ["pending", undefined, "pending"],
+    ])(
+      "should map %s/%s to %s",
+      (transactionStatus, fraudStatus, expected) => {
+        expect(resolvePaymentStatus(transactionStatus, fraudStatus)).toBe(
+          expected
+        );
+      }
+    );
+  });
+
+  describe("handlePaymentNotification", () => {
+    const createNotification = (overrides = {}) => ({
+      order_id: "ORDER-ABCDEF1234",
+      status_code: "200",
+      gross_amount: "90000.00",
+      signature_key: "valid-signature",
+      transaction_status: "settlement",
+      fraud_status: "accept",
+      ...overrides,
+    });
+
+    test("should reject notification with invalid signature", async () => {
+      verifySignatureKey.mockReturnValue(false);
+
+      await expect(
+        handlePaymentNotification(createNotification())
+      ).rejects.toThrow("Invalid signature key");
+      expect(paymentRepository.findPaymentByOrderId).not.toHaveBeenCalled();
+    });
+
+    test("should throw error if payment not found", async () => {
+      verifySignatureKey.mockReturnValue(true);
+      paymentRepository.findPaymentByOrderId.mockResolvedValue(null);
+
+      await expect(
+        handlePaymentNotification(createNotification())
+      ).rejects.toThrow("Payment not found");
+    });
+
+    test("should reject notification with mismatched gross amount", async () => {
+      verifySignatureKey.mockReturnValue(true);
+      paymentRepository.findPaymentByOrderId.mockResolvedValue(
+        createMockPayment()
+      );
+
+      await expect(
+        handlePaymentNotification(
+          createNotification({ gross_amount: "1000.00" })
+        )
+      ).rejects.toThrow("Gross amount does not match payment amount");
+      expect(paymentRepository.updatePaymentStatus).not.toHaveBeenCalled();
+      expect(paymentRepository.settlePayment).not.toHaveBeenCalled();
+    });
+
+    test("should update pending payment to success on settlement", async () => {
+      const updatedPayment = createMockPayment({ status: "success" });
+      verifySignatureKey.mockReturnValue(true);
+      paymentRepository.findPaymentByOrderId.mockResolvedValue(
+        createMockPayment()
+      );
+      paymentRepository.settlePayment.mockResolvedValue(updatedPayment);
+
+      const result = await handlePaymentNotification(createNotification());
+
+      expect(paymentRepository.settlePayment).toHaveBeenCalledWith(
+        "ORDER-ABCDEF1234",
+        "success"
+      );
+      expect(issueTicketsForPayment).toHaveBeenCalledWith(1);
+      expect(refundCancelledEventTickets).toHaveBeenCalledWith(1);
+      expect(result).toEqual(updatedPayment);
+    });
+
+    test("should still settle the payment when the cancelled event refund fails", async () => {
+      const updatedPayment = createMockPayment({ status: "success" });
+      verifySignatureKey.mockReturnValue(true);
+      paymentRepository.findPaymentByOrderId.mockResolvedValue(
+        createMockPayment()
+      );
+      paymentRepository.settlePayment.mockResolvedValue(updatedPayment);
+      refundCancelledEventTickets.mockRejectedValueOnce(
+        new Error("Midtrans refund failed: Gateway down")
+      );
+      const consoleSpy = jest.spyOn(console, "error").mockImplementation();
+
+      const result = await handlePaymentNotification(createNotification());
+
+      expect(result).toEqual(updatedPayment);
+      expect(consoleSpy).toHaveBeenCalled();
+      consoleSpy.mockRestore();
+    });
+
+    test("should still settle the payment when ticket issuance fails", async () => {
+      const updatedPayment = createMockPayment({ status: "success" });
+      verifySignatureKey.mockReturnValue(true);
+      paymentRepository.findPaymentByOrderId.mockResolvedValue(
+        createMockPayment()
+      );
+      paymentRepository.settlePayment.mockResolvedValue(updatedPayment);
+      issueTicketsForPayment.mockRejectedValue(new Error("Database error"));
+      const consoleSpy = jest.spyOn(console, "error").mockImplementation();
+
+      const result = await handlePaymentNotification(createNotification());
+
+      expect(result).toEqual(updatedPayment);
+      expect(consoleSpy).toHaveBeenCalled();
+      expect(refundCancelledEventTickets).not.toHaveBeenCalled();
+      consoleSpy.mockRestore();
+    });
+
+    test("should update pending payment to failed on expire", async () => {
+      verifySignatureKey.mockReturnValue(true);
+      paymentRepository.findPaymentByOrderId.mockResolvedValue(
+        createMockPayment()
+      );
+      paymentRepository.settlePayment.mockResolvedValue(
+        createMockPayment({ status: "failed" })
+      );
+
+      await handlePaymentNotification(
+        createNotification({ transaction_status: "expire", status_code: "202" })
+      );
+
+      expect(paymentRepository.settlePayment).toHaveBeenCalledWith(
+        "ORDER-ABCDEF1234",
+        "failed"
+      );
+      expect(issueTicketsForPayment).not.toHaveBeenCalled();
+    });
+
+    test("should be idempotent for repeated notifications", async () => {
+      const settledPayment = createMockPayment({ status: "success" });
+      verifySignatureKey.mockReturnValue(true);
+      paymentRepository.findPaymentByOrderId.mockResolvedValue(settledPayment);
+
+      const result = await handlePaymentNotification(createNotification());
+
+      expect(paymentRepository.updatePaymentStatus).not.toHaveBeenCalled();
+      expect(paymentRepository.settlePayment).not.toHaveBeenCalled();
+      // retried deliveries re-run the idempotent issuance
+      expect(issueTicketsForPayment).toHaveBeenCalledWith(1);
+      expect(result).toEqual(settledPayment);
+    });
+
+    test("should not reopen a settled payment on a late notification", async () => {
+      const settledPayment = createMockPayment({ status: "success" });
+      verifySignatureKey.mockReturnValue(true);
+      paymentRepository.findPaymentByOrderId.mockResolvedValue(settledPayment);
+
+      const result = await handlePaymentNotification(
+        createNotification({ transaction_status: "pending", status_code: "201" })
+      );
+
+      expect(paymentRepository.updatePaymentStatus).not.toHaveBeenCalled();
+      expect(paymentRepository.settlePayment).not.toHaveBeenCalled();
+      expect(result).toEqual(settledPayment);
+    });
+
+    test.each(["refund_requested", "partially_refunded", "refunded"])(
+      "should leave a %s payment alone",
+      async (status) => {
+        const refundedPayment = createMockPayment({ status });
+        verifySignatureKey.mockReturnValue(true);
+        paymentRepository.findPaymentByOrderId.mockResolvedValue(
+          refundedPayment
+        );
+
+        const result = await handlePaymentNotification(
+          createNotification({ transaction_status: "refund" })
+        );
+
+        expect(paymentRepository.updatePaymentStatus).not.toHaveBeenCalled();
+        expect(paymentRepository.settlePayment).not.toHaveBeenCalled();
+        expect(issueTicketsForPayment).not.toHaveBeenCalled();
+        expect(result).toEqual(refundedPayment);
+      }
+    );
+
+    test("should skip update when status is unchanged", async () => {
+      const pendingPayment = createMockPayment({ status: "pending" });
+      verifySignatureKey.mockReturnValue(true);
+      paymentRepository.findPaymentByOrderId.mockResolvedValue(pendingPayment);
+
+      await handlePaymentNotification(
+        createNotification({ transaction_status: "pending", status_code: "201" })
+      );
+
+      expect(paymentRepository.updatePaymentStatus).not.toHaveBeenCalled();
+      expect(paymentRepository.settlePayment).not.toHaveBeenCalled();
+    });
+  });
+
   describe("getAllPayments", () => {
     test("should get all payments without updating pending ones", async () => {
       const mockPayments = {
@@ -674,7 +1120,7 @@ describe("Payment Service", () => {
       core.transaction.status.mockResolvedValue({
         transaction_status: "settlement",
       });
-      paymentRepository.updatePaymentStatus.mockResolvedValue(
+      paymentRepository.settlePayment.mockResolvedValue(
         createMockPayment({ status: "success" })
       );
 
@@ -748,7 +1194,7 @@ describe("Payment Service", () => {
       core.transaction.status
         .mockResolvedValueOnce({ transaction_status: "settlement" })
         .mockResolvedValueOnce({ transaction_status: "cancel" });
-      paymentRepository.updatePaymentStatus
+      paymentRepository.settlePayment
         .mockResolvedValueOnce(createMockPayment({ status: "success" }))
         .mockResolvedValueOnce(createMockPayment({ status: "failed" }));
 
@@ -809,7 +1255,7 @@ describe("Payment Service", () => {
       core.transaction.status.mockResolvedValue({
         transaction_status: "settlement",
       });
-      paymentRepository.updatePaymentStatus.mockResolvedValue(updatedPayment);
+      paymentRepository.settlePayment.mockResolvedValue(updatedPayment);
 
       const result = await getPaymentById(paymentId);
 
@@ -902,7 +1348,7 @@ describe("Payment Service", () => {
       core.transaction.status.mockResolvedValue({
         transaction_status: "settlement",
       });
-      paymentRepository.updatePaymentStatus.mockResolvedValue(
+      paymentRepository.settlePayment.mockResolvedValue(
         createMockPayment({ status: "success" })
       );
 
@@ -990,7 +1436,7 @@ describe("Payment Service", () => {
       core.transaction.status
         .mockResolvedValueOnce({ transaction_status: "settlement" })
         .mockResolvedValueOnce({ transaction_status: "deny" });
-      paymentRepository.updatePaymentStatus
+      paymentRepository.settlePayment
         .mockResolvedValueOnce(createMockPayment({ status: "success" }))
         .mockResolvedValueOnce(createMockPayment({ status: "failed" }));
 
@@ -0,0 +1,130 @@
+import { jest, describe, it, expect, beforeEach } from "@jest/globals";
+
+const mockFindTiersByTicketIds = jest.fn();
+
+jest.unstable_mockModule("../../repositories/priceTier.repository.js", () => ({
+  findTiersByTicketIds: mockFindTiersByTicketIds,
+}));
+
+const { withTicketPricing, getTicketPrice, priceCartItems } =
+  await import("../../services/pricing.service.js");
+
+describe("Pricing Service", () => {
+  const now = new Date("2026-01-01T00:00:00.000Z");
+
+  const earlyBird = {
+    id: 1,
+    ticketId: 5,
+    name: "Early bird",
+    price: 75000,
+    startsAt: null,
+    endsAt: new Date("2026-01-10T00:00:00.000Z"),
+    maxSold: null,
+  };
+  const firstTen = {
+    id: 2,
+    ticketId: 6,
+    name: "First 10",
+    price: 40000,
+    startsAt: null,
+    endsAt: null,
+    maxSold: 10,
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("withTicketPricing", () => {
+    it("should add the current price and tiers to each ticket", async () => {
+      mockFindTiersByTicketIds.mockResolvedValueOnce([earlyBird, firstTen]);
+
+      const result = await withTicketPricing(
+        [
+          { id: 5, price: 100000, sold: 0 },
+          { id: 6, price: 50000, sold: 10 },
+          { id: 7, price: 20000, sold: 0 },
+        ],
+        now
+      );
+
+      expect(mockFindTiersByTicketIds).toHaveBeenCalledWith([5, 6, 7]);
+      expect(result).toEqual([
+        {
+          id: 5,
+          price: 100000,
+          sold: 0,
+          effectivePrice: 75000,
+          priceTier: "Early bird",
+          priceTiers: [earlyBird],
+        },
+        {
+          id: 6,
+          price: 50000,
+          sold: 10,
+          effectivePrice: 50000,
+          priceTier: null,
+          priceTiers: [firstTen],
+        },
+        {
+          id: 7,
+          price: 20000,
+          sold: 0,
+          effectivePrice: 20000,
+          priceTier: null,
+          priceTiers: [],
+        },
+      ]);
+    });
+
+    it("should not look up tiers for an empty list", async () => {
+      expect(await withTicketPricing([], now)).toEqual([]);
+      expect(mockFindTiersByTicketIds).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("getTicketPrice", () => {
+    it("should price the whole quantity", async () => {
+      mockFindTiersByTicketIds.mockResolvedValue([firstTen]);
+      const ticket = { id: 6, price: 50000, sold: 8 };
+
+      expect(await getTicketPrice(ticket, 2, now)).toBe(40000);
+      expect(await getTicketPrice(ticket, 3, now)).toBe(50000);
+      expect(mockFindTiersByTicketIds).toHaveBeenCalledWith([6]);
+    });
+  });
+
+  describe("priceCartItems", () => {
+    const ticket = { id: 6, price: 50000, sold: 10 };
+
+    it("should keep the tier price for stock the item holds", async () => {
+      mockFindTiersByTicketIds.mockResolvedValueOnce([firstTen]);
+
+      const [item] = await priceCartItems(
+        [
+          {
+            id: 1,
+            ticketId: 6,
+            quantity: 2,
+            heldUntil: new Date("2026-01-01T00:10:00.000Z"),
+            ticket,
+          },
+        ],
+        now
+      );
+
+      expect(item.price).toBe(40000);
+    });
+
+    it("should price an item whose hold ran out as a new purchase", async () => {
+      mockFindTiersByTicketIds.mockResolvedValueOnce([firstTen]);
+
+      const [item] = await priceCartItems(
+        [{ id: 1, ticketId: 6, quantity: 2, heldUntil: null, ticket }],
+        now
+      );
+
+      expect(item.price).toBe(50000);
+    });
+  });
+});
@@ -10,6 +10,11 @@ jest.unstable_mockModule(
     findAllPromoCodes: jest.fn(),
     updatePromoCode: jest.fn(),
     deletePromoCode: jest.fn(),
+    isPromoCodeUsed: jest.fn(),
+    countUserRedemptions: jest.fn(),
+    createPromoCampaign: jest.fn(),
+    findPromoCampaignById: jest.fn(),
+    getCampaignUsage: jest.fn(),
   })
 );
 
@@ -20,6 +25,19 @@ jest.unstable_mockModule(
   })
 );
 
+const mockCanManageOrganization = jest.fn();
+const mockGetManagedOrganizationIds = jest.fn();
+const mockResolveOrganizationId = jest.fn();
+
+jest.unstable_mockModule(
+  "../../../src/services/organization.service.js",
+  () => ({
+    canManageOrganization: mockCanManageOrganization,
+    getManagedOrganizationIds: mockGetManagedOrganizationIds,
+    resolveOrganizationId: mockResolveOrganizationId,
+  })
+);
+
 // Import mocked modules
 const promoRepository = await import(
   "../../../src/repositories/promo.repository.js"
@@ -35,11 +53,18 @@ const {
   validatePromoCode,
   updatePromoCode,
   deletePromoCode,
+  isPromoApplicable,
+  calculatePromoDiscount,
+  createPromoCampaign,
+  getPromoCampaign,
 } = await import("../../../src/services/promo.service.js");
 
 describe("Promo Service", () => {
+  const organizer = { id: 7, role: "organizer" };
+
   beforeEach(() => {
     jest.clearAllMocks();
+    mockCanManageOrganization.mockResolvedValue(true);
   });
 
   // Helper functions
@@ -144,7 +169,58 @@ describe("Promo Service", () => {
     });
   });
 
+  describe("createPromoCode organization scoping", () => {
+    test("should attach the promo to the organizer's organization", async () => {
+      const promoData = {
+        code: "ORG10",
+        discount: 10,
+        validFrom: new Date("2025-01-01"),
+        validTo: new Date("2025-12-31"),
+      };
+
+      mockResolveOrganizationId.mockResolvedValueOnce(3);
+      promoRepository.findPromoCodeByCode.mockResolvedValue(null);
+      promoRepository.createPromoCode.mockResolvedValue(
+        createMockPromo({ code: "ORG10", organizationId: 3 })
+      );
+
+      await createPromoCode(promoData, organizer);
+
+      expect(mockResolveOrganizationId).toHaveBeenCalledWith(
+        organizer,
+        undefined
+      );
+      expect(promoRepository.createPromoCode).toHaveBeenCalledWith(
+        expect.objectContaining({ code: "ORG10", organizationId: 3 })
+      );
+    });
+
+    test("should reject promos for an organization the user does not manage", async () => {
+      mockResolveOrganizationId.mockRejectedValueOnce(
+        new Error("You do not manage this organization")
+      );
+
+      await expect(
+        createPromoCode({ code: "ORG10", organizationId: 9 }, organizer)
+      ).rejects.toThrow("You do not manage this organization");
+      expect(promoRepository.createPromoCode).not.toHaveBeenCalled();
+    });
+  });
+
   describe("getAllPromoCodes", () => {
+    test("should only list promos of the organizations the user manages", async () => {
+      mockGetManagedOrganizationIds.mockResolvedValueOnce([3, 4]);
+      promoRepository.findAllPromoCodes.mockResolvedValue({ promoCodes: [] });
+
+      await getAllPromoCodes({ page: 1 }, organizer);
+
+      expect(mockGetManagedOrganizationIds).toHaveBeenCalledWith(organizer);
+      expect(promoRepository.findAllPromoCodes).toHaveBeenCalledWith({
+        page: 1,
+        organizationIds: [3, 4],
+      });
+    });
+
     test("should get all promo codes with default query", async () => {
       const mockPromoCodes = {
         promoCodes: [
@@ -292,9 +368,100 @@ describe("Promo Service", () => {
     });
   });
 
+  describe("validatePromoCode limits", () => {
+    const now = new Date();
+    const livePromo = (overrides) =>
+      createMockPromo({
+        validFrom: new Date(now.getTime() - 86400000),
+        validTo: new Date(now.getTime() + 86400000),
+        usedCount: 0,
+        ...overrides,
+      });
+
+    test("should reject a promo code that has been used up", async () => {
+      promoRepository.findPromoCodeByCode.mockResolvedValueOnce(
+        livePromo({ usageLimit: 50, usedCount: 50 })
+      );
+
+      await expect(validatePromoCode("PROMO10", 7)).rejects.toThrow(
+        "Promo code has reached its usage limit"
+      );
+    });
+
+    test("should reject a user who has used up their own limit", async () => {
+      promoRepository.findPromoCodeByCode.mockResolvedValueOnce(
+        livePromo({ perUserLimit: 2 })
+      );
+      promoRepository.countUserRedemptions.mockResolvedValueOnce(2);
+
+      await expect(validatePromoCode("PROMO10", 7)).rejects.toThrow(
+        "You have already used this promo code"
+      );
+      expect(promoRepository.countUserRedemptions).toHaveBeenCalledWith(1, 7);
+    });
+
+    test("should accept a user still under their limit", async () => {
+      const promo = livePromo({ perUserLimit: 2, usageLimit: 50 });
+      promoRepository.findPromoCodeByCode.mockResolvedValueOnce(promo);
+      promoRepository.countUserRedemptions.mockResolvedValueOnce(1);
+
+      expect(await validatePromoCode("PROMO10", 7)).toEqual(promo);
+    });
+
+    test("should skip the per-user limit without a user", async () => {
+      promoRepository.findPromoCodeByCode.mockResolvedValueOnce(
+        livePromo({ perUserLimit: 1 })
+      );
+
+      await validatePromoCode("PROMO10");
+
+      expect(promoRepository.countUserRedemptions).not.toHaveBeenCalled();
+    });
+  });
+
   describe("updatePromoCode", () => {
     const promoId = 1;
 
+    beforeEach(() => {
+      promoRepository.findPromoCodeById.mockResolvedValue(createMockPromo());
+    });
+
+    test("should throw error if promo code not found", async () => {
+      promoRepository.findPromoCodeById.mockResolvedValue(null);
+
+      await expect(
+        updatePromoCode(promoId, { discount: 5 }, organizer)
+      ).rejects.toThrow("Promo code not found");
+      expect(promoRepository.updatePromoCode).not.toHaveBeenCalled();
+    });
+
+    test("should not update another organization's promo code", async () => {
+      promoRepository.findPromoCodeById.mockResolvedValue(
+        createMockPromo({ organizationId: 9 })
+      );
+      mockCanManageOrganization.mockResolvedValueOnce(false);
+
+      await expect(
+        updatePromoCode(promoId, { discount: 5 }, organizer)
+      ).rejects.toThrow("You do not manage this promo code");
+      expect(mockCanManageOrganization).toHaveBeenCalledWith(organizer, 9);
+      expect(promoRepository.updatePromoCode).not.toHaveBeenCalled();
+    });
+
+    test.each([["usageLimit"], ["perUserLimit"]])(
+      "should not change the %s of a campaign code",
+      async (field) => {
+        promoRepository.findPromoCodeById.mockResolvedValue(
+          createMockPromo({ campaignId: 4, usageLimit: 1 })
+        );
+
+        await expect(
+          updatePromoCode(promoId, { [field]: 5 }, organizer)
+        ).rejects.toThrow("Campaign codes are single-use");
+        expect(promoRepository.updatePromoCode).not.toHaveBeenCalled();
+      }
+    );
+
     test("should update promo code and send notification when code is changed", async () => {
       const promoData = { code: "UPDATED" };
       const mockUpdatedPromo = createMockPromo({
@@ -448,6 +615,68 @@ describe("Promo Service", () => {
     });
   });
 
+  describe("updatePromoCode discount rules", () => {
+    test("should check a new discount against the promo's type", async () => {
+      promoRepository.findPromoCodeById.mockResolvedValueOnce(
+        createMockPromo({ discountType: "percentage" })
+      );
+
+      await expect(updatePromoCode(1, { discount: 150 })).rejects.toThrow(
+        "Discount must be between 0 and 100"
+      );
+      expect(promoRepository.updatePromoCode).not.toHaveBeenCalled();
+    });
+
+    test("should allow large discounts once the promo is fixed", async () => {
+      promoRepository.findPromoCodeById.mockResolvedValueOnce(
+        createMockPromo({ discountType: "percentage" })
+      );
+      promoRepository.updatePromoCode.mockResolvedValueOnce(
+        createMockPromo({ discountType: "fixed", discount: 50000 })
+      );
+
+      await updatePromoCode(1, { discountType: "fixed", discount: 50000 });
+
+      expect(notificationRepository.createNotification).toHaveBeenCalledWith(
+        expect.objectContaining({
+          message: expect.stringContaining("Now offering 50000 discount."),
+        })
+      );
+    });
+
+    test("should refuse a validTo before the promo's validFrom", async () => {
+      promoRepository.findPromoCodeById.mockResolvedValueOnce(
+        createMockPromo()
+      );
+
+      await expect(
+        updatePromoCode(1, { validTo: "2024-12-31T00:00:00.000Z" })
+      ).rejects.toThrow("validFrom must be before validTo");
+      expect(promoRepository.updatePromoCode).not.toHaveBeenCalled();
+    });
+
+    test("should refuse a validFrom after the promo's validTo", async () => {
+      promoRepository.findPromoCodeById.mockResolvedValueOnce(
+        createMockPromo()
+      );
+
+      await expect(
+        updatePromoCode(1, { validFrom: "2026-01-01T00:00:00.000Z" })
+      ).rejects.toThrow("validFrom must be before validTo");
+      expect(promoRepository.updatePromoCode).not.toHaveBeenCalled();
+    });
+
+    test("should not cap a fixed discount", async () => {
+      promoRepository.findPromoCodeById.mockResolvedValueOnce(
+        createMockPromo({ discountType: "fixed", discount: 50000 })
+      );
+
+      await expect(updatePromoCode(1, { maxDiscount: 20000 })).rejects.toThrow(
+        "Only percentage discounts can be capped"
+      );
+    });
+  });
+
   describe("deletePromoCode", () => {
     const promoId = 1;
 
@@ -482,7 +711,20 @@ describe("Promo Service", () => {
       expect(notificationRepository.createNotification).not.toHaveBeenCalled();
     });
 
-    test("should send notification before deleting", async () => {
+    test("should not delete another organization's promo code", async () => {
+      promoRepository.findPromoCodeById.mockResolvedValue(
+        createMockPromo({ organizationId: 9 })
+      );
+      mockCanManageOrganization.mockResolvedValueOnce(false);
+
+      await expect(deletePromoCode(promoId, organizer)).rejects.toThrow(
+        "You do not manage this promo code"
+      );
+      expect(promoRepository.deletePromoCode).not.toHaveBeenCalled();
+      expect(notificationRepository.createNotification).not.toHaveBeenCalled();
+    });
+
+    test("should only send the notification once the code is deleted", async () => {
       const mockPromo = createMockPromo();
       const callOrder = [];
 
@@ -498,7 +740,19 @@ describe("Promo Service", () => {
 
       await deletePromoCode(promoId);
 
-      expect(callOrder).toEqual(["notification", "delete"]);
+      expect(callOrder).toEqual(["delete", "notification"]);
+    });
+
+    test("should refuse to delete a promo code that has been used", async () => {
+      promoRepository.findPromoCodeById.mockResolvedValue(createMockPromo());
+      promoRepository.isPromoCodeUsed.mockResolvedValueOnce(true);
+
+      await expect(deletePromoCode(promoId)).rejects.toThrow(
+        "Cannot delete a promo code that has been used, end its validity instead"
+      );
+      expect(promoRepository.isPromoCodeUsed).toHaveBeenCalledWith(promoId);
+      expect(promoRepository.deletePromoCode).not.toHaveBeenCalled();
+      expect(notificationRepository.createNotification).not.toHaveBeenCalled();
     });
 
     test("should broadcast notification to all users when deleting", async () => {
@@ -536,4 +790,214 @@ describe("Promo Service", () => {
       });
     });
   });
+
+  describe("isPromoApplicable", () => {
+    const item = { organizationId: 3, eventId: 2, ticketId: 5, categoryId: 1 };
+
+    test("should apply promos without an organization to every event", () => {
+      expect(isPromoApplicable(createMockPromo(), item)).toBe(true);
+      expect(
+        isPromoApplicable(createMockPromo(), { ...item, organizationId: null })
+      ).toBe(true);
+    });
+
+    test("should limit organization promos to that organization's events", () => {
+      const promo = createMockPromo({ organizationId: 3 });
+
+      expect(isPromoApplicable(promo, item)).toBe(true);
+      expect(isPromoApplicable(promo, { ...item, organizationId: 4 })).toBe(
+        false
+      );
+      expect(isPromoApplicable(promo, { ...item, organizationId: null })).toBe(
+        false
+      );
+    });
+
+    test("should only apply scoped promos to matching items", () => {
+      expect(isPromoApplicable(createMockPromo({ eventIds: [2] }), item)).toBe(
+        true
+      );
+      expect(isPromoApplicable(createMockPromo({ eventIds: [9] }), item)).toBe(
+        false
+      );
+      expect(
+        isPromoApplicable(createMockPromo({ ticketIds: [6, 7] }), item)
+      ).toBe(false);
+      expect(
+        isPromoApplicable(createMockPromo({ categoryIds: [1] }), item)
+      ).toBe(true);
+    });
+
+    test("should treat empty scopes as no restriction", () => {
+      const promo = createMockPromo({ eventIds: [], ticketIds: [] });
+
+      expect(isPromoApplicable(promo, item)).toBe(true);
+    });
+  });
+
+  describe("calculatePromoDiscount", () => {
+    const lineItems = [
+      { ticketId: 5, eventId: 2, categoryId: 1, subtotal: 300000 },
+      { ticketId: 6, eventId: 2, categoryId: 2, subtotal: 100000 },
+    ];
+
+    test("should take a percentage off every eligible item", () => {
+      expect(calculatePromoDiscount(createMockPromo(), lineItems)).toBe(40000);
+    });
+
+    test("should only discount the items in scope", () => {
+      const promo = createMockPromo({ ticketIds: [6] });
+
+      expect(calculatePromoDiscount(promo, lineItems)).toBe(10000);
+    });
+
+    test("should cap a percentage discount", () => {
+      const promo = createMockPromo({ maxDiscount: 25000 });
+
+      expect(calculatePromoDiscount(promo, lineItems)).toBe(25000);
+    });
+
+    test("should take a fixed amount off, never more than the subtotal", () => {
+      const fixed = createMockPromo({ discountType: "fixed", discount: 50000 });
+
+      expect(calculatePromoDiscount(fixed, lineItems)).toBe(50000);
+      expect(
+        calculatePromoDiscount({ ...fixed, discount: 500000 }, lineItems)
+      ).toBe(400000);
+    });
+
+    test("should require the minimum spend on eligible items", () => {
+      const promo = createMockPromo({
+        minOrderAmount: 200000,
+        categoryIds: [2],
+      });
+
+      expect(() => calculatePromoDiscount(promo, lineItems)).toThrow(
+        "Spend at least 200000 on eligible tickets to use this promo code"
+      );
+      expect(
+        calculatePromoDiscount({ ...promo, categoryIds: [] }, lineItems)
+      ).toBe(40000);
+    });
+
+    test("should reject a promo that covers none of the items", () => {
+      const promo = createMockPromo({ eventIds: [9] });
+
+      expect(() => calculatePromoDiscount(promo, lineItems)).toThrow(
+        "Promo code is not valid for these tickets"
+      );
+    });
+  });
+
+  describe("createPromoCampaign", () => {
+    const campaignData = {
+      name: "Partner launch",
+      prefix: "ptr",
+      count: 5000,
+      discountType: "fixed",
+      discount: 25000,
+      eventIds: [2],
+      validFrom: "2026-01-01T00:00:00.000Z",
+      validTo: "2026-03-31T00:00:00.000Z",
+    };
+
+    test("should create single-use codes sharing the campaign's rules", async () => {
+      mockResolveOrganizationId.mockResolvedValueOnce(3);
+      promoRepository.createPromoCampaign.mockResolvedValueOnce({
+        id: 4,
+        name: "Partner launch",
+        codeCount: 5000,
+      });
+
+      const result = await createPromoCampaign(campaignData, organizer);
+
+      const [campaign, rules, generateCode] =
+        promoRepository.createPromoCampaign.mock.calls[0];
+      expect(mockResolveOrganizationId).toHaveBeenCalledWith(
+        organizer,
+        undefined
+      );
+      expect(campaign).toEqual({
+        name: "Partner launch",
+        prefix: "PTR",
+        codeCount: 5000,
+        organizationId: 3,
+      });
+      expect(rules).toEqual({
+        discountType: "fixed",
+        discount: 25000,
+        eventIds: [2],
+        validFrom: new Date("2026-01-01T00:00:00.000Z"),
+        validTo: new Date("2026-03-31T00:00:00.000Z"),
+        organizationId: 3,
+        usageLimit: 1,
+      });
+      expect(generateCode()).toMatch(/^PTR-[A-HJ-NP-Z2-9]{10}$/);
+      expect(result).toEqual({
+        id: 4,
+        name: "Partner launch",
+        codeCount: 5000,
+        redeemedCodes: 0,
+        totalDiscount: 0,
+      });
+    });
+
+    test("should not announce campaign codes to everyone", async () => {
+      mockResolveOrganizationId.mockResolvedValueOnce(null);
+      promoRepository.createPromoCampaign.mockResolvedValueOnce({ id: 4 });
+
+      await createPromoCampaign({ ...campaignData, prefix: undefined });
+
+      const [campaign, , generateCode] =
+        promoRepository.createPromoCampaign.mock.calls[0];
+      expect(campaign.prefix).toBeNull();
+      expect(generateCode()).toMatch(/^[A-HJ-NP-Z2-9]{10}$/);
+      expect(notificationRepository.createNotification).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("getPromoCampaign", () => {
+    test("should add the campaign's usage", async () => {
+      promoRepository.findPromoCampaignById.mockResolvedValueOnce({
+        id: 4,
+        organizationId: 3,
+      });
+      promoRepository.getCampaignUsage.mockResolvedValueOnce({
+        redeemedCodes: 120,
+        totalDiscount: 3000000,
+      });
+
+      const result = await getPromoCampaign(4, organizer);
+
+      expect(mockCanManageOrganization).toHaveBeenCalledWith(organizer, 3);
+      expect(promoRepository.getCampaignUsage).toHaveBeenCalledWith(4);
+      expect(result).toEqual({
+        id: 4,
+        organizationId: 3,
+        redeemedCodes: 120,
+        totalDiscount: 3000000,
+      });
+    });
+
+    test("should throw for an unknown campaign", async () => {
+      promoRepository.findPromoCampaignById.mockResolvedValueOnce(null);
+
+      await expect(getPromoCampaign(4, organizer)).rejects.toThrow(
+        "Promo campaign not found"
+      );
+    });
+
+    test("should hide another organization's campaign", async () => {
+      promoRepository.findPromoCampaignById.mockResolvedValueOnce({
+        id: 4,
+        organizationId: 9,
+      });
+      mockCanManageOrganization.mockResolvedValueOnce(false);
+
+      await expect(getPromoCampaign(4, organizer)).rejects.toThrow(
+        "You do not manage this promo campaign"
+      );
+      expect(promoRepository.getCampaignUsage).not.toHaveBeenCalled();
+    });
+  });
 });
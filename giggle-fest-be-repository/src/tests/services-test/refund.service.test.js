@@ -0,0 +1,771 @@
+/**
+ * @jest-environment node
+ */
+import { jest } from "@jest/globals";
+
+// ---------------------------
+// Create mock functions
+// ---------------------------
+const mockCreateRefundRequest = jest.fn();
+const mockFindRefundById = jest.fn();
+const mockFindRefunds = jest.fn();
+const mockSumRefundedAmount = jest.fn();
+const mockTransitionRefund = jest.fn();
+const mockRejectRefund = jest.fn();
+const mockCompleteRefund = jest.fn();
+const mockFindPaymentWithItems = jest.fn();
+const mockFindPaymentIdsByEvent = jest.fn();
+const mockFindIssuedTicketsByPayment = jest.fn();
+const mockCreateNotification = jest.fn();
+const mockRefundTransaction = jest.fn();
+
+// ---------------------------
+// Mock dependencies
+// ---------------------------
+jest.unstable_mockModule("../../repositories/refund.repository.js", () => ({
+  createRefundRequest: mockCreateRefundRequest,
+  findRefundById: mockFindRefundById,
+  findRefunds: mockFindRefunds,
+  sumRefundedAmount: mockSumRefundedAmount,
+  transitionRefund: mockTransitionRefund,
+  rejectRefund: mockRejectRefund,
+  completeRefund: mockCompleteRefund,
+}));
+
+jest.unstable_mockModule("../../repositories/payment.repository.js", () => ({
+  findPaymentWithItems: mockFindPaymentWithItems,
+  findPaymentIdsByEvent: mockFindPaymentIdsByEvent,
+}));
+
+jest.unstable_mockModule(
+  "../../repositories/issuedTicket.repository.js",
+  () => ({
+    findIssuedTicketsByPayment: mockFindIssuedTicketsByPayment,
+  })
+);
+
+jest.unstable_mockModule(
+  "../../repositories/notification.repository.js",
+  () => ({
+    createNotification: mockCreateNotification,
+  })
+);
+
+jest.unstable_mockModule("../../libs/midtrans.config.js", () => ({
+  refundTransaction: mockRefundTransaction,
+}));
+
+// ---------------------------
+// Import service after mock setup
+// ---------------------------
+const {
+  requestRefund,
+  getMyRefunds,
+  getAllRefunds,
+  approveRefund,
+  rejectRefund,
+  refundCancelledEvent,
+  refundCancelledEventTickets,
+  generateRefundKey,
+  REFUNDABLE_PAYMENT_STATUSES,
+} = await import("../../services/refund.service.js");
+
+// ---------------------------
+// Test Suite
+// ---------------------------
+describe("Refund Service", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  // two Regular tickets at 100000 with a 20000 discount on the payment
+  const createPayment = (overrides = {}) => ({
+    id: 5,
+    orderId: "ORDER-ABC",
+    userId: 3,
+    status: "success",
+    ticketId: 10,
+    quantity: 2,
+    originalAmount: 200000,
+    discount: 20000,
+    amount: 180000,
+    order: null,
+    ...overrides,
+  });
+
+  const issuedTickets = [
+    { id: 21, ticketId: 10, status: "valid" },
+    { id: 22, ticketId: 10, status: "valid" },
+  ];
+
+  const createRefund = (overrides = {}) => ({
+    id: 9,
+    paymentId: 5,
+    userId: 3,
+    issuedTicketIds: [21, 22],
+    amount: 180000,
+    reason: "Cannot attend",
+    status: "requested",
+    refundKey: "ORDER-ABC-REFUND-1234",
+    payment: { id: 5, orderId: "ORDER-ABC", amount: 180000 },
+    ...overrides,
+  });
+
+  describe("generateRefundKey", () => {
+    test("should derive a unique key from the order", () => {
+      const first = generateRefundKey("ORDER-ABC");
+      const second = generateRefundKey("ORDER-ABC");
+
+      expect(first).toMatch(/^ORDER-ABC-REFUND-[0-9A-F]{8}$/);
+      expect(first).not.toBe(second);
+    });
+  });
+
+  describe("requestRefund", () => {
+    test("should refund every valid ticket for the remaining amount", async () => {
+      mockFindPaymentWithItems.mockResolvedValueOnce(createPayment());
+      mockFindIssuedTicketsByPayment.mockResolvedValueOnce([
+        ...issuedTickets,
+        { id: 23, ticketId: 10, status: "used" },
+      ]);
+      mockSumRefundedAmount.mockResolvedValueOnce(0);
+      mockCreateRefundRequest.mockResolvedValueOnce(createRefund());
+
+      const result = await requestRefund(3, {
+        paymentId: 5,
+        reason: "Cannot attend",
+      });
+
+      expect(mockCreateRefundRequest).toHaveBeenCalledWith(
+        {
+          paymentId: 5,
+          userId: 3,
+          issuedTicketIds: [21, 22],
+          amount: 180000,
+          reason: "Cannot attend",
+          refundKey: expect.stringMatching(/^ORDER-ABC-REFUND-/),
+        },
+        REFUNDABLE_PAYMENT_STATUSES
+      );
+      expect(mockCreateNotification).toHaveBeenCalledWith({
+        userId: 3,
+        message: expect.stringContaining("ORDER-ABC"),
+      });
+      expect(result).toEqual(createRefund());
+    });
+
+    test("should price a partial refund at the discounted unit price", async () => {
+      mockFindPaymentWithItems.mockResolvedValueOnce(createPayment());
+      mockFindIssuedTicketsByPayment.mockResolvedValueOnce(issuedTickets);
+      mockCreateRefundRequest.mockResolvedValueOnce(createRefund());
+
+      await requestRefund(3, { paymentId: 5, issuedTicketIds: [22] });
+
+      expect(mockSumRefundedAmount).not.toHaveBeenCalled();
+      expect(mockCreateRefundRequest).toHaveBeenCalledWith(
+        expect.objectContaining({ issuedTicketIds: [22], amount: 90000 }),
+        REFUNDABLE_PAYMENT_STATUSES
+      );
+    });
+
+    test("should price cart tickets from their order item", async () => {
+      mockFindPaymentWithItems.mockResolvedValueOnce(
+        createPayment({
+          ticketId: null,
+          order: {
+            items: [
+              { ticketId: 10, quantity: 1, subtotal: 100000, discount: 0 },
+              { ticketId: 11, quantity: 2, subtotal: 500000, discount: 50000 },
+            ],
+          },
+        })
+      );
+      mockFindIssuedTicketsByPayment.mockResolvedValueOnce([
+        { id: 21, ticketId: 10, status: "valid" },
+        { id: 22, ticketId: 11, status: "valid" },
+        { id: 23, ticketId: 11, status: "valid" },
+      ]);
+      mockCreateRefundRequest.mockResolvedValueOnce(createRefund());
+
+      await requestRefund(3, { paymentId: 5, issuedTicketIds: [21, 23] });
+
+      expect(mockCreateRefundRequest).toHaveBeenCalledWith(
+        expect.objectContaining({ amount: 325000 }),
+        REFUNDABLE_PAYMENT_STATUSES
+      );
+    });
+
+    test("should spread a bundle's price over the tickets issued for it", async () => {
+      mockFindPaymentWithItems.mockResolvedValueOnce(
+        createPayment({
+          ticketId: null,
+          order: {
+            items: [
+              { ticketId: 10, quantity: 2, subtotal: 300000, discount: 0 },
+              {
+                ticketId: 12,
+                quantity: 1,
+                subtotal: 400000,
+                discount: 0,
+                ticket: { bundleItems: [{ ticketId: 10, quantity: 4 }] },
+              },
+            ],
+          },
+        })
+      );
+      mockFindIssuedTicketsByPayment.mockResolvedValueOnce([
+        { id: 20, ticketId: 10, status: "valid" },
+        { id: 21, ticketId: 10, status: "valid" },
+        ...[22, 23, 24, 25].map((id) => ({
+          id,
+          ticketId: 10,
+          bundleId: 12,
+          status: "valid",
+        })),
+      ]);
+      mockCreateRefundRequest.mockResolvedValueOnce(createRefund());
+
+      await requestRefund(3, {
+        paymentId: 5,
+        issuedTicketIds: [21, 22, 23, 24, 25],
+      });
+
+      expect(mockCreateRefundRequest).toHaveBeenCalledWith(
+        expect.objectContaining({ amount: 550000 }),
+        REFUNDABLE_PAYMENT_STATUSES
+      );
+    });
+
+    test("should only refund a bundle as a whole", async () => {
+      mockFindPaymentWithItems.mockResolvedValueOnce(
+        createPayment({
+          ticketId: 12,
+          quantity: 1,
+          ticket: { bundleItems: [{ ticketId: 10, quantity: 4 }] },
+        })
+      );
+      mockFindIssuedTicketsByPayment.mockResolvedValueOnce(
+        [22, 23, 24, 25].map((id) => ({
+          id,
+          ticketId: 10,
+          bundleId: 12,
+          status: "valid",
+        }))
+      );
+
+      await expect(
+        requestRefund(3, { paymentId: 5, issuedTicketIds: [22, 23] })
+      ).rejects.toThrow("A bundle can only be refunded as a whole");
+      expect(mockCreateRefundRequest).not.toHaveBeenCalled();
+    });
+
+    test("should take earlier refunds off the remaining amount", async () => {
+      mockFindPaymentWithItems.mockResolvedValueOnce(
+        createPayment({ status: "partially_refunded" })
+      );
+      mockFindIssuedTicketsByPayment.mockResolvedValueOnce([
+        { id: 21, ticketId: 10, status: "void" },
+        { id: 22, ticketId: 10, status: "valid" },
+      ]);
+      mockSumRefundedAmount.mockResolvedValueOnce(90000);
+      mockCreateRefundRequest.mockResolvedValueOnce(createRefund());
+
+      await requestRefund(3, { paymentId: 5 });
+
+      expect(mockCreateRefundRequest).toHaveBeenCalledWith(
+        expect.objectContaining({ issuedTicketIds: [22], amount: 90000 }),
+        REFUNDABLE_PAYMENT_STATUSES
+      );
+    });
+
+    test("should hide other users' payments", async () => {
+      mockFindPaymentWithItems.mockResolvedValueOnce(
+        createPayment({ userId: 4 })
+      );
+
+      await expect(requestRefund(3, { paymentId: 5 })).rejects.toThrow(
+        "Payment not found"
+      );
+    });
+
+    test("should reject a second request while one is pending", async () => {
+      mockFindPaymentWithItems.mockResolvedValueOnce(
+        createPayment({ status: "refund_requested" })
+      );
+
+      await expect(requestRefund(3, { paymentId: 5 })).rejects.toThrow(
+        "A refund is already pending for this payment"
+      );
+    });
+
+    test.each(["pending", "failed", "refunded"])(
+      "should reject a %s payment",
+      async (status) => {
+        mockFindPaymentWithItems.mockResolvedValueOnce(
+          createPayment({ status })
+        );
+
+        await expect(requestRefund(3, { paymentId: 5 })).rejects.toThrow(
+          "Only successful payments can be refunded"
+        );
+      }
+    );
+
+    test("should reject tickets that are used or from another payment", async () => {
+      mockFindPaymentWithItems.mockResolvedValueOnce(createPayment());
+      mockFindIssuedTicketsByPayment.mockResolvedValueOnce(issuedTickets);
+
+      await expect(
+        requestRefund(3, { paymentId: 5, issuedTicketIds: [21, 99] })
+      ).rejects.toThrow(
+        "Only unused tickets from this payment can be refunded"
+      );
+      expect(mockCreateRefundRequest).not.toHaveBeenCalled();
+    });
+
+    test("should reject a payment whose tickets were all used", async () => {
+      mockFindPaymentWithItems.mockResolvedValueOnce(createPayment());
+      mockFindIssuedTicketsByPayment.mockResolvedValueOnce([
+        { id: 21, ticketId: 10, status: "used" },
+      ]);
+
+      await expect(requestRefund(3, { paymentId: 5 })).rejects.toThrow(
+        "There are no refundable tickets on this payment"
+      );
+    });
+
+    test("should keep the request when the notification fails", async () => {
+      mockFindPaymentWithItems.mockResolvedValueOnce(createPayment());
+      mockFindIssuedTicketsByPayment.mockResolvedValueOnce(issuedTickets);
+      mockSumRefundedAmount.mockResolvedValueOnce(0);
+      mockCreateRefundRequest.mockResolvedValueOnce(createRefund());
+      mockCreateNotification.mockRejectedValueOnce(new Error("Database error"));
+      const consoleSpy = jest.spyOn(console, "error").mockImplementation();
+
+      const result = await requestRefund(3, { paymentId: 5 });
+
+      expect(result).toEqual(createRefund());
+      expect(consoleSpy).toHaveBeenCalled();
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe("listing", () => {
+    test("should only list the user's own refunds", async () => {
+      mockFindRefunds.mockResolvedValueOnce({ refunds: [] });
+
+      await getMyRefunds(3, { page: "1" });
+
+      expect(mockFindRefunds).toHaveBeenCalledWith({ page: "1", userId: 3 });
+    });
+
+    test("should list every refund for admins", async () => {
+      mockFindRefunds.mockResolvedValueOnce({ refunds: [] });
+
+      await getAllRefunds({ status: "requested" });
+
+      expect(mockFindRefunds).toHaveBeenCalledWith({ status: "requested" });
+    });
+  });
+
+  describe("approveRefund", () => {
+    test("should refund through Midtrans and complete the refund", async () => {
+      const refund = createRefund();
+      mockFindRefundById.mockResolvedValueOnce(refund);
+      mockTransitionRefund.mockResolvedValueOnce(true);
+      mockFindIssuedTicketsByPayment.mockResolvedValueOnce(issuedTickets);
+      mockRefundTransaction.mockResolvedValueOnce({ status_code: "200" });
+      mockSumRefundedAmount.mockResolvedValueOnce(0);
+      mockCompleteRefund.mockResolvedValueOnce({
+        ...refund,
+        status: "refunded",
+      });
+
+      const result = await approveRefund(1, 9, { note: "OK" });
+
+      expect(mockTransitionRefund).toHaveBeenCalledWith(9, "requested", {
+        status: "processing",
+      });
+      expect(mockRefundTransaction).toHaveBeenCalledWith("ORDER-ABC", {
+        refund_key: "ORDER-ABC-REFUND-1234",
+        amount: 180000,
+        reason: "Cannot attend",
+      });
+      expect(mockCompleteRefund).toHaveBeenCalledWith(
+        refund,
+        { reviewedById: 1, reviewNote: "OK", reviewedAt: expect.any(Date) },
+        "refunded"
+      );
+      expect(mockCreateNotification).toHaveBeenCalledWith({
+        userId: 3,
+        message: expect.stringContaining("approved"),
+      });
+      expect(result.status).toBe("refunded");
+    });
+
+    test("should mark the payment partially refunded", async () => {
+      const refund = createRefund({ amount: 90000, issuedTicketIds: [21] });
+      mockFindRefundById.mockResolvedValueOnce(refund);
+      mockTransitionRefund.mockResolvedValueOnce(true);
+      mockFindIssuedTicketsByPayment.mockResolvedValueOnce(issuedTickets);
+      mockRefundTransaction.mockResolvedValueOnce({ status_code: "200" });
+      mockSumRefundedAmount.mockResolvedValueOnce(0);
+      mockCompleteRefund.mockResolvedValueOnce(refund);
+
+      await approveRefund(1, 9);
+
+      expect(mockCompleteRefund).toHaveBeenCalledWith(
+        refund,
+        expect.any(Object),
+        "partially_refunded"
+      );
+    });
+
+    test("should reopen the request when Midtrans fails", async () => {
+      mockFindRefundById.mockResolvedValueOnce(createRefund());
+      mockTransitionRefund.mockResolvedValue(true);
+      mockFindIssuedTicketsByPayment.mockResolvedValueOnce(issuedTickets);
+      mockRefundTransaction.mockRejectedValueOnce(
+        new Error("Transaction cannot be refunded")
+      );
+
+      await expect(approveRefund(1, 9)).rejects.toThrow(
+        "Midtrans refund failed: Transaction cannot be refunded"
+      );
+      expect(mockTransitionRefund).toHaveBeenLastCalledWith(9, "processing", {
+        status: "requested",
+      });
+      expect(mockCompleteRefund).not.toHaveBeenCalled();
+      expect(mockCreateNotification).not.toHaveBeenCalled();
+    });
+
+    test("should not pay back a ticket that was already used", async () => {
+      mockFindRefundById.mockResolvedValueOnce(createRefund());
+      mockTransitionRefund.mockResolvedValue(true);
+      mockFindIssuedTicketsByPayment.mockResolvedValueOnce([
+        issuedTickets[0],
+        { ...issuedTickets[1], status: "used" },
+      ]);
+
+      await expect(approveRefund(1, 9)).rejects.toThrow(
+        "Some tickets on this refund have already been used"
+      );
+      expect(mockFindIssuedTicketsByPayment).toHaveBeenCalledWith(5);
+      expect(mockTransitionRefund).toHaveBeenLastCalledWith(9, "processing", {
+        status: "requested",
+      });
+      expect(mockRefundTransaction).not.toHaveBeenCalled();
+      expect(mockCompleteRefund).not.toHaveBeenCalled();
+    });
+
+    test("should not refund twice when another admin got there first", async () => {
+      mockFindRefundById.mockResolvedValueOnce(createRefund());
+      mockTransitionRefund.mockResolvedValueOnce(false);
+
+      await expect(approveRefund(1, 9)).rejects.toThrow(
+        "Refund request is not pending"
+      );
+      expect(mockRefundTransaction).not.toHaveBeenCalled();
+    });
+
+    test("should throw when the refund does not exist", async () => {
+      mockFindRefundById.mockResolvedValueOnce(null);
+
+      await expect(approveRefund(1, 99)).rejects.toThrow("Refund not found");
+    });
+
+    test("should reject a refund that was already reviewed", async () => {
+      mockFindRefundById.mockResolvedValueOnce(
+        createRefund({ status: "rejected" })
+      );
+
+      await expect(approveRefund(1, 9)).rejects.toThrow(
+        "Refund request is not pending"
+      );
+      expect(mockTransitionRefund).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("rejectRefund", () => {
+    test("should restore the payment and tell the user why", async () => {
+      const refund = createRefund();
+      mockFindRefundById.mockResolvedValueOnce(refund);
+      mockSumRefundedAmount.mockResolvedValueOnce(0);
+      mockRejectRefund.mockResolvedValueOnce({
+        ...refund,
+        status: "rejected",
+      });
+
+      await rejectRefund(1, 9, { note: "Event already started" });
+
+      expect(mockRejectRefund).toHaveBeenCalledWith(
+        refund,
+        {
+          reviewedById: 1,
+          reviewNote: "Event already started",
+          reviewedAt: expect.any(Date),
+        },
+        "success"
+      );
+      expect(mockCreateNotification).toHaveBeenCalledWith({
+        userId: 3,
+        message:
+          "Your refund request for order ORDER-ABC was rejected: Event already started",
+      });
+      expect(mockRefundTransaction).not.toHaveBeenCalled();
+    });
+
+    test("should keep an earlier partial refund on the payment", async () => {
+      mockFindRefundById.mockResolvedValueOnce(createRefund());
+      mockSumRefundedAmount.mockResolvedValueOnce(90000);
+      mockRejectRefund.mockResolvedValueOnce(createRefund());
+
+      await rejectRefund(1, 9);
+
+      expect(mockRejectRefund).toHaveBeenCalledWith(
+        expect.any(Object),
+        expect.any(Object),
+        "partially_refunded"
+      );
+    });
+  });
+
+  describe("refundCancelledEvent", () => {
+    const event = { id: 1, name: "GiggleFest 2025" };
+
+    // approveRefund runs for real on top of the mocked repositories, and
+    // looks the refund's tickets up again
+    const mockApproval = (refund, tickets) => {
+      mockCreateRefundRequest.mockResolvedValueOnce(refund);
+      mockFindRefundById.mockResolvedValueOnce(refund);
+      mockTransitionRefund.mockResolvedValueOnce(true);
+      mockFindIssuedTicketsByPayment.mockResolvedValueOnce(tickets);
+      mockRefundTransaction.mockResolvedValueOnce({ status_code: "200" });
+      mockCompleteRefund.mockResolvedValueOnce(refund);
+    };
+
+    test("should refund and approve every paid payment of the event", async () => {
+      const refund = createRefund();
+      mockFindPaymentIdsByEvent.mockResolvedValueOnce([{ id: 5 }]);
+      mockFindPaymentWithItems.mockResolvedValueOnce(createPayment());
+      const tickets = issuedTickets.map((ticket) => ({
+        ...ticket,
+        eventId: 1,
+      }));
+      mockFindIssuedTicketsByPayment.mockResolvedValueOnce(tickets);
+      mockSumRefundedAmount.mockResolvedValue(0);
+      mockApproval(refund, tickets);
+
+      const result = await refundCancelledEvent(event, 7);
+
+      expect(mockFindPaymentIdsByEvent).toHaveBeenCalledWith(1, [
+        "success",
+        "partially_refunded",
+        "refund_requested",
+      ]);
+      expect(mockCreateRefundRequest).toHaveBeenCalledWith(
+        expect.objectContaining({
+          userId: 3,
+          issuedTicketIds: [21, 22],
+          amount: 180000,
+          reason: "Event cancelled: GiggleFest 2025",
+        }),
+        REFUNDABLE_PAYMENT_STATUSES
+      );
+      expect(mockCompleteRefund).toHaveBeenCalledWith(
+        refund,
+        expect.objectContaining({
+          reviewedById: 7,
+          reviewNote: "Event cancelled",
+        }),
+        "refunded"
+      );
+      expect(result).toEqual({
+        refunded: 1,
+        amount: 180000,
+        pending: [],
+        failed: [],
+      });
+    });
+
+    test("should only refund the cancelled event's tickets from a cart", async () => {
+      mockFindPaymentIdsByEvent.mockResolvedValueOnce([{ id: 5 }]);
+      mockFindPaymentWithItems.mockResolvedValueOnce(
+        createPayment({
+          ticketId: null,
+          order: {
+            items: [
+              { ticketId: 10, quantity: 1, subtotal: 100000, discount: 0 },
+              { ticketId: 11, quantity: 1, subtotal: 250000, discount: 0 },
+            ],
+          },
+        })
+      );
+      const tickets = [
+        { id: 21, ticketId: 10, eventId: 1, status: "valid" },
+        { id: 22, ticketId: 11, eventId: 2, status: "valid" },
+      ];
+      mockFindIssuedTicketsByPayment.mockResolvedValueOnce(tickets);
+      mockSumRefundedAmount.mockResolvedValue(0);
+      mockApproval(
+        createRefund({ amount: 100000, issuedTicketIds: [21] }),
+        tickets
+      );
+
+      await refundCancelledEvent(event, 7);
+
+      expect(mockCreateRefundRequest).toHaveBeenCalledWith(
+        expect.objectContaining({ issuedTicketIds: [21], amount: 100000 }),
+        REFUNDABLE_PAYMENT_STATUSES
+      );
+      expect(mockCompleteRefund).toHaveBeenCalledWith(
+        expect.any(Object),
+        expect.any(Object),
+        "partially_refunded"
+      );
+    });
+
+    test("should leave payments with a request waiting to the review", async () => {
+      mockFindPaymentIdsByEvent.mockResolvedValueOnce([{ id: 5 }]);
+      mockFindPaymentWithItems.mockResolvedValueOnce(
+        createPayment({ status: "refund_requested" })
+      );
+
+      const result = await refundCancelledEvent(event, 7);
+
+      expect(mockCreateRefundRequest).not.toHaveBeenCalled();
+      expect(result.pending).toEqual(["ORDER-ABC"]);
+    });
+
+    test("should skip payments whose tickets were all used", async () => {
+      mockFindPaymentIdsByEvent.mockResolvedValueOnce([{ id: 5 }]);
+      mockFindPaymentWithItems.mockResolvedValueOnce(createPayment());
+      mockFindIssuedTicketsByPayment.mockResolvedValueOnce([
+        { id: 21, ticketId: 10, eventId: 1, status: "used" },
+      ]);
+
+      const result = await refundCancelledEvent(event, 7);
+
+      expect(mockCreateRefundRequest).not.toHaveBeenCalled();
+      expect(result.refunded).toBe(0);
+    });
+
+    test("should carry on after a payment fails to refund", async () => {
+      mockFindPaymentIdsByEvent.mockResolvedValueOnce([{ id: 5 }, { id: 6 }]);
+      mockFindPaymentWithItems
+        .mockResolvedValueOnce(createPayment())
+        .mockResolvedValueOnce(createPayment({ id: 6, orderId: "ORDER-DEF" }));
+      const first = [{ id: 21, ticketId: 10, eventId: 1, status: "valid" }];
+      const second = [{ id: 31, ticketId: 10, eventId: 1, status: "valid" }];
+      mockFindIssuedTicketsByPayment
+        .mockResolvedValueOnce(first)
+        .mockResolvedValueOnce(first);
+      mockSumRefundedAmount.mockResolvedValue(0);
+      mockCreateRefundRequest.mockResolvedValueOnce(
+        createRefund({ issuedTicketIds: [21] })
+      );
+      mockFindRefundById.mockResolvedValueOnce(
+        createRefund({ issuedTicketIds: [21] })
+      );
+      mockTransitionRefund.mockResolvedValue(true);
+      mockRefundTransaction.mockRejectedValueOnce(new Error("Gateway down"));
+      mockFindIssuedTicketsByPayment.mockResolvedValueOnce(second);
+      mockApproval(
+        createRefund({ id: 10, paymentId: 6, issuedTicketIds: [31] }),
+        second
+      );
+
+      const result = await refundCancelledEvent(event, 7);
+
+      expect(result.failed).toEqual([
+        {
+          orderId: "ORDER-ABC",
+          error: "Midtrans refund failed: Gateway down",
+        },
+      ]);
+      expect(result.refunded).toBe(1);
+    });
+  });
+
+  describe("refundCancelledEventTickets", () => {
+    const cancelled = { id: 1, name: "GiggleFest 2025", status: "cancelled" };
+    const published = { id: 2, name: "Laugh Night", status: "published" };
+
+    test("should refund tickets of an event cancelled before the payment settled", async () => {
+      const refund = createRefund({ amount: 100000, issuedTicketIds: [21] });
+      mockFindPaymentWithItems.mockResolvedValueOnce(
+        createPayment({
+          ticketId: null,
+          order: {
+            items: [
+              {
+                ticketId: 10,
+                quantity: 1,
+                subtotal: 100000,
+                discount: 0,
+                ticket: { event: cancelled },
+              },
+              {
+                ticketId: 11,
+                quantity: 1,
+                subtotal: 250000,
+                discount: 0,
+                ticket: { event: published },
+              },
+            ],
+          },
+        })
+      );
+      const tickets = [
+        { id: 21, ticketId: 10, eventId: 1, status: "valid" },
+        { id: 22, ticketId: 11, eventId: 2, status: "valid" },
+      ];
+      mockFindIssuedTicketsByPayment.mockResolvedValueOnce(tickets);
+      mockSumRefundedAmount.mockResolvedValue(0);
+      mockCreateRefundRequest.mockResolvedValueOnce(refund);
+      mockFindRefundById.mockResolvedValueOnce(refund);
+      mockTransitionRefund.mockResolvedValueOnce(true);
+      mockFindIssuedTicketsByPayment.mockResolvedValueOnce(tickets);
+      mockRefundTransaction.mockResolvedValueOnce({ status_code: "200" });
+      mockCompleteRefund.mockResolvedValueOnce(refund);
+
+      await refundCancelledEventTickets(5);
+
+      expect(mockFindPaymentWithItems).toHaveBeenCalledWith(5);
+      expect(mockCreateRefundRequest).toHaveBeenCalledWith(
+        expect.objectContaining({
+          issuedTicketIds: [21],
+          amount: 100000,
+          reason: "Event cancelled: GiggleFest 2025",
+        }),
+        REFUNDABLE_PAYMENT_STATUSES
+      );
+      expect(mockCompleteRefund).toHaveBeenCalledWith(
+        refund,
+        expect.objectContaining({ reviewedById: null }),
+        "partially_refunded"
+      );
+    });
+
+    test("should leave payments for events that go ahead alone", async () => {
+      mockFindPaymentWithItems.mockResolvedValueOnce(
+        createPayment({ ticket: { event: published } })
+      );
+
+      await refundCancelledEventTickets(5);
+
+      expect(mockFindIssuedTicketsByPayment).not.toHaveBeenCalled();
+      expect(mockCreateRefundRequest).not.toHaveBeenCalled();
+    });
+
+    test("should leave a payment that is no longer refundable alone", async () => {
+      mockFindPaymentWithItems.mockResolvedValueOnce(
+        createPayment({ status: "refunded", ticket: { event: cancelled } })
+      );
+
+      await refundCancelledEventTickets(5);
+
+      expect(mockCreateRefundRequest).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,362 @@
+/**
+ * @jest-environment node
+ */
+import { jest } from "@jest/globals";
+
+// ---------------------------
+// Create mock functions
+// ---------------------------
+const mockFindReportTickets = jest.fn();
+const mockAggregateReportSales = jest.fn();
+const mockCountReportPayments = jest.fn();
+const mockAssertEventAccess = jest.fn();
+const mockAssertOrganizationAccess = jest.fn();
+const mockGetManagedOrganizationIds = jest.fn();
+
+// ---------------------------
+// Mock dependencies
+// ---------------------------
+jest.unstable_mockModule("../../repositories/report.repository.js", () => ({
+  findReportTickets: mockFindReportTickets,
+  aggregateReportSales: mockAggregateReportSales,
+  countReportPayments: mockCountReportPayments,
+}));
+
+jest.unstable_mockModule("../../services/organization.service.js", () => ({
+  assertEventAccess: mockAssertEventAccess,
+  assertOrganizationAccess: mockAssertOrganizationAccess,
+  getManagedOrganizationIds: mockGetManagedOrganizationIds,
+}));
+
+// ---------------------------
+// Import service after mock setup
+// ---------------------------
+const { getSalesDashboard } = await import(
+  "../../services/report.service.js"
+);
+
+// ---------------------------
+// Test Suite
+// ---------------------------
+describe("Report Service", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  const admin = { id: 1, role: "admin" };
+  const organizer = { id: 7, role: "organizer" };
+
+  const event = {
+    id: 1,
+    name: "Giggle Fest",
+    date: new Date("2025-03-01T00:00:00Z"),
+    organizationId: 3,
+  };
+
+  const tickets = [
+    { id: 10, name: "Regular", price: 100, quantity: 6, event },
+    { id: 11, name: "VIP", price: 300, quantity: 1, event },
+  ];
+
+  // a discounted single purchase and a pending one for Regular on the 2nd, a
+  // cart order for two Regular and a VIP (plus a ticket from another
+  // organization's event) on the 1st, and a failed VIP purchase on the 2nd
+  const sales = [
+    {
+      ticketId: 10,
+      day: "2025-01-01",
+      status: "success",
+      quantity: 2,
+      gross: 200,
+      discount: 0,
+      refunded: 0,
+    },
+    {
+      ticketId: 11,
+      day: "2025-01-01",
+      status: "success",
+      quantity: 1,
+      gross: 300,
+      discount: 0,
+      refunded: 0,
+    },
+    {
+      ticketId: 10,
+      day: "2025-01-02",
+      status: "pending",
+      quantity: 1,
+      gross: 100,
+      discount: 0,
+      refunded: 0,
+    },
+    {
+      ticketId: 10,
+      day: "2025-01-02",
+      status: "success",
+      quantity: 2,
+      gross: 200,
+      discount: 20,
+      refunded: 0,
+    },
+    {
+      ticketId: 11,
+      day: "2025-01-02",
+      status: "failed",
+      quantity: 1,
+      gross: 300,
+      discount: 0,
+      refunded: 0,
+    },
+  ];
+
+  const count = (eventId, ticketId, status, payments) => ({
+    eventId,
+    ticketId,
+    status,
+    payments,
+  });
+
+  const paymentCounts = [
+    count(1, 10, "success", 2),
+    count(1, 10, "pending", 1),
+    count(1, 11, "success", 1),
+    count(1, 11, "failed", 1),
+    count(1, null, "success", 2),
+    count(1, null, "pending", 1),
+    count(1, null, "failed", 1),
+    count(null, null, "success", 2),
+    count(null, null, "pending", 1),
+    count(null, null, "failed", 1),
+  ];
+
+  describe("scope", () => {
+    test("should limit an organizer to their organizations", async () => {
+      mockGetManagedOrganizationIds.mockResolvedValueOnce([3, 4]);
+      mockFindReportTickets.mockResolvedValueOnce([]);
+
+      const result = await getSalesDashboard(organizer, {});
+
+      expect(mockFindReportTickets).toHaveBeenCalledWith({
+        organizationId: { in: [3, 4] },
+      });
+      expect(mockAggregateReportSales).not.toHaveBeenCalled();
+      expect(mockCountReportPayments).not.toHaveBeenCalled();
+      expect(result.summary.sold).toBe(0);
+      expect(result.events).toEqual([]);
+    });
+
+    test("should not restrict admins", async () => {
+      mockGetManagedOrganizationIds.mockResolvedValueOnce(null);
+      mockFindReportTickets.mockResolvedValueOnce([]);
+
+      await getSalesDashboard(admin, {});
+
+      expect(mockFindReportTickets).toHaveBeenCalledWith({});
+    });
+
+    test("should check access to a single event", async () => {
+      mockAssertEventAccess.mockResolvedValueOnce(event);
+      mockFindReportTickets.mockResolvedValueOnce([]);
+
+      await getSalesDashboard(organizer, { eventId: 1 });
+
+      expect(mockAssertEventAccess).toHaveBeenCalledWith(organizer, 1);
+      expect(mockGetManagedOrganizationIds).not.toHaveBeenCalled();
+      expect(mockFindReportTickets).toHaveBeenCalledWith({ id: 1 });
+    });
+
+    test("should check access to an organization", async () => {
+      mockAssertOrganizationAccess.mockResolvedValueOnce({ id: 3 });
+      mockFindReportTickets.mockResolvedValueOnce([]);
+
+      await getSalesDashboard(organizer, { organizationId: 3 });
+
+      expect(mockAssertOrganizationAccess).toHaveBeenCalledWith(organizer, 3);
+      expect(mockFindReportTickets).toHaveBeenCalledWith({
+        organizationId: 3,
+      });
+    });
+
+    test("should propagate access errors", async () => {
+      mockAssertEventAccess.mockRejectedValueOnce(
+        new Error("You do not manage this event")
+      );
+
+      await expect(
+        getSalesDashboard(organizer, { eventId: 1 })
+      ).rejects.toThrow("You do not manage this event");
+      expect(mockFindReportTickets).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("date range", () => {
+    test("should extend a bare end date to the end of the day", async () => {
+      mockGetManagedOrganizationIds.mockResolvedValueOnce(null);
+      mockFindReportTickets.mockResolvedValueOnce(tickets);
+      mockAggregateReportSales.mockResolvedValueOnce([]);
+      mockCountReportPayments.mockResolvedValueOnce([]);
+
+      await getSalesDashboard(admin, {
+        from: "2025-01-01",
+        to: "2025-01-31",
+      });
+
+      const range = {
+        ticketIds: [10, 11],
+        from: new Date("2025-01-01T00:00:00.000Z"),
+        to: new Date("2025-01-31T23:59:59.999Z"),
+      };
+      expect(mockAggregateReportSales).toHaveBeenCalledWith(range);
+      expect(mockCountReportPayments).toHaveBeenCalledWith(range);
+    });
+
+    test("should reject a range that ends before it starts", async () => {
+      await expect(
+        getSalesDashboard(admin, { from: "2025-02-01", to: "2025-01-01" })
+      ).rejects.toThrow("from must be before to");
+      expect(mockFindReportTickets).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("metrics", () => {
+    beforeEach(() => {
+      mockGetManagedOrganizationIds.mockResolvedValueOnce([3]);
+      mockFindReportTickets.mockResolvedValueOnce(tickets);
+      mockAggregateReportSales.mockResolvedValueOnce(sales);
+      mockCountReportPayments.mockResolvedValueOnce(paymentCounts);
+    });
+
+    test("should total revenue from successful payments only", async () => {
+      const { summary } = await getSalesDashboard(organizer, {});
+
+      expect(summary).toMatchObject({
+        sold: 5,
+        grossRevenue: 700,
+        discount: 20,
+        netRevenue: 680,
+        remaining: 7,
+        sellThrough: 0.4167,
+      });
+    });
+
+    test("should take completed refunds off sold and revenue", async () => {
+      // two Regular bought on the 3rd, one of them refunded
+      mockAggregateReportSales.mockReset();
+      mockAggregateReportSales.mockResolvedValueOnce([
+        ...sales,
+        {
+          ticketId: 10,
+          day: "2025-01-03",
+          status: "partially_refunded",
+          quantity: 1,
+          gross: 200,
+          discount: 0,
+          refunded: 100,
+        },
+      ]);
+      mockCountReportPayments.mockReset();
+      mockCountReportPayments.mockResolvedValueOnce([
+        ...paymentCounts,
+        count(null, null, "partially_refunded", 1),
+      ]);
+
+      const { summary } = await getSalesDashboard(organizer, {});
+
+      expect(summary).toMatchObject({
+        sold: 6,
+        grossRevenue: 900,
+        discount: 20,
+        refunded: 100,
+        netRevenue: 780,
+      });
+      expect(summary.conversion).toMatchObject({
+        partially_refunded: 1,
+        total: 5,
+        rate: 0.6,
+      });
+      expect(summary.daily[2]).toEqual({
+        date: "2025-01-03",
+        sold: 1,
+        grossRevenue: 200,
+        discount: 0,
+        refunded: 100,
+        netRevenue: 100,
+      });
+    });
+
+    test("should report pending to success conversion", async () => {
+      const { summary } = await getSalesDashboard(organizer, {});
+
+      expect(summary.conversion).toEqual({
+        pending: 1,
+        success: 2,
+        challenge: 0,
+        failed: 1,
+        refund_requested: 0,
+        partially_refunded: 0,
+        refunded: 0,
+        total: 4,
+        rate: 0.5,
+      });
+    });
+
+    test("should build a sorted daily series", async () => {
+      const { summary } = await getSalesDashboard(organizer, {});
+
+      expect(summary.daily).toEqual([
+        {
+          date: "2025-01-01",
+          sold: 3,
+          grossRevenue: 500,
+          discount: 0,
+          refunded: 0,
+          netRevenue: 500,
+        },
+        {
+          date: "2025-01-02",
+          sold: 2,
+          grossRevenue: 200,
+          discount: 20,
+          refunded: 0,
+          netRevenue: 180,
+        },
+      ]);
+    });
+
+    test("should break figures down per event and ticket type", async () => {
+      const { events } = await getSalesDashboard(organizer, {});
+
+      expect(events).toHaveLength(1);
+      expect(events[0].event).toEqual(event);
+      expect(events[0].sold).toBe(5);
+
+      const [regular, vip] = events[0].tickets;
+      expect(regular).toMatchObject({
+        ticketId: 10,
+        name: "Regular",
+        sold: 4,
+        grossRevenue: 400,
+        netRevenue: 380,
+        remaining: 6,
+        sellThrough: 0.4,
+      });
+      expect(regular.conversion).toMatchObject({
+        success: 2,
+        pending: 1,
+        total: 3,
+      });
+      expect(vip).toMatchObject({ ticketId: 11, sold: 1, remaining: 1 });
+      expect(vip.conversion).toMatchObject({ success: 1, failed: 1 });
+      expect(vip.daily).toEqual([
+        {
+          date: "2025-01-01",
+          sold: 1,
+          grossRevenue: 300,
+          discount: 0,
+          refunded: 0,
+          netRevenue: 300,
+        },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,341 @@
+/**
+ * @jest-environment node
+ */
+import { jest } from "@jest/globals";
+
+// ---------------------------
+// Create mock functions
+// ---------------------------
+const mockCreateSession = jest.fn();
+const mockFindSessionById = jest.fn();
+const mockFindActiveSessionsByUser = jest.fn();
+const mockTouchSession = jest.fn();
+const mockFindRefreshTokenByHash = jest.fn();
+const mockRotateRefreshToken = jest.fn();
+const mockRevokeSession = jest.fn();
+const mockRevokeUserSessions = jest.fn();
+const mockGenerateToken = jest.fn();
+const mockGenerateRefreshToken = jest.fn();
+const mockHashToken = jest.fn((token) => `hash:${token}`);
+const mockGetRefreshTokenExpiry = jest.fn();
+
+// ---------------------------
+// Mock dependencies
+// ---------------------------
+jest.unstable_mockModule("../../repositories/session.repository.js", () => ({
+  createSession: mockCreateSession,
+  findSessionById: mockFindSessionById,
+  findActiveSessionsByUser: mockFindActiveSessionsByUser,
+  touchSession: mockTouchSession,
+  findRefreshTokenByHash: mockFindRefreshTokenByHash,
+  rotateRefreshToken: mockRotateRefreshToken,
+  revokeSession: mockRevokeSession,
+  revokeUserSessions: mockRevokeUserSessions,
+}));
+
+jest.unstable_mockModule("../../utils/token.js", () => ({
+  generateToken: mockGenerateToken,
+  generateRefreshToken: mockGenerateRefreshToken,
+  hashToken: mockHashToken,
+  getRefreshTokenExpiry: mockGetRefreshTokenExpiry,
+}));
+
+// ---------------------------
+// Import service after mock setup
+// ---------------------------
+const {
+  createSession,
+  refreshSession,
+  isSessionActive,
+  getUserSessions,
+  revokeSession,
+  revokeUserSession,
+  revokeAllSessions,
+} = await import("../../services/session.service.js");
+
+// ---------------------------
+// Test Suite
+// ---------------------------
+describe("Session Service", () => {
+  const expiresAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
+  const user = { id: 1, email: "john@example.com", role: "user" };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockGetRefreshTokenExpiry.mockReturnValue(expiresAt);
+  });
+
+  const createMockRefreshToken = (overrides = {}) => ({
+    id: 3,
+    tokenHash: "hash:old-refresh",
+    sessionId: 9,
+    usedAt: null,
+    expiresAt,
+    session: {
+      id: 9,
+      userId: 1,
+      revokedAt: null,
+      mfa: true,
+      user: { ...user, role: "organizer" },
+    },
+    ...overrides,
+  });
+
+  describe("createSession", () => {
+    test("should store the hashed refresh token and sign a session token", async () => {
+      mockGenerateRefreshToken.mockReturnValue("new-refresh");
+      mockCreateSession.mockResolvedValue({ id: 9 });
+      mockGenerateToken.mockReturnValue("access-token");
+
+      const result = await createSession(user, {
+        userAgent: "Mozilla/5.0",
+        ipAddress: "10.0.0.1",
+      });
+
+      expect(mockCreateSession).toHaveBeenCalledWith({
+        userId: 1,
+        userAgent: "Mozilla/5.0",
+        ipAddress: "10.0.0.1",
+        mfa: false,
+        refreshTokenHash: "hash:new-refresh",
+        refreshTokenExpiresAt: expiresAt,
+      });
+      expect(mockGenerateToken).toHaveBeenCalledWith(user, 9, { mfa: false });
+      expect(result).toEqual({
+        token: "access-token",
+        refreshToken: "new-refresh",
+        refreshTokenExpiresAt: expiresAt,
+      });
+    });
+
+    test("should flag sessions opened after a two-factor check", async () => {
+      mockGenerateRefreshToken.mockReturnValue("new-refresh");
+      mockCreateSession.mockResolvedValue({ id: 9 });
+
+      await createSession(user, {}, { mfa: true });
+
+      expect(mockCreateSession).toHaveBeenCalledWith(
+        expect.objectContaining({ mfa: true })
+      );
+      expect(mockGenerateToken).toHaveBeenCalledWith(user, 9, { mfa: true });
+    });
+
+    test("should work without client context", async () => {
+      mockGenerateRefreshToken.mockReturnValue("new-refresh");
+      mockCreateSession.mockResolvedValue({ id: 9 });
+
+      await createSession(user);
+
+      expect(mockCreateSession).toHaveBeenCalledWith(
+        expect.objectContaining({ userAgent: undefined, ipAddress: undefined })
+      );
+    });
+  });
+
+  describe("refreshSession", () => {
+    test("should rotate the refresh token and sign with the current role", async () => {
+      const stored = createMockRefreshToken();
+      mockFindRefreshTokenByHash.mockResolvedValue(stored);
+      mockGenerateRefreshToken.mockReturnValue("next-refresh");
+      mockRotateRefreshToken.mockResolvedValue({ id: 4 });
+      mockGenerateToken.mockReturnValue("access-token");
+
+      const result = await refreshSession("old-refresh");
+
+      expect(mockFindRefreshTokenByHash).toHaveBeenCalledWith(
+        "hash:old-refresh"
+      );
+      expect(mockRotateRefreshToken).toHaveBeenCalledWith(3, {
+        sessionId: 9,
+        tokenHash: "hash:next-refresh",
+        expiresAt,
+      });
+      expect(mockGenerateToken).toHaveBeenCalledWith(stored.session.user, 9, {
+        mfa: true,
+      });
+      expect(result).toEqual({
+        token: "access-token",
+        refreshToken: "next-refresh",
+        refreshTokenExpiresAt: expiresAt,
+      });
+    });
+
+    test("should require a refresh token", async () => {
+      await expect(refreshSession(undefined)).rejects.toThrow(
+        "Refresh token is required"
+      );
+      expect(mockFindRefreshTokenByHash).not.toHaveBeenCalled();
+    });
+
+    test("should reject an unknown refresh token", async () => {
+      mockFindRefreshTokenByHash.mockResolvedValue(null);
+
+      await expect(refreshSession("unknown")).rejects.toThrow(
+        "Invalid refresh token"
+      );
+    });
+
+    test("should reject a token from a revoked session", async () => {
+      mockFindRefreshTokenByHash.mockResolvedValue(
+        createMockRefreshToken({
+          session: { id: 9, userId: 1, revokedAt: new Date(), user },
+        })
+      );
+
+      await expect(refreshSession("old-refresh")).rejects.toThrow(
+        "Session has been revoked"
+      );
+      expect(mockRotateRefreshToken).not.toHaveBeenCalled();
+    });
+
+    test("should revoke the whole session when a used token is replayed", async () => {
+      mockFindRefreshTokenByHash.mockResolvedValue(
+        createMockRefreshToken({ usedAt: new Date() })
+      );
+
+      await expect(refreshSession("old-refresh")).rejects.toThrow(
+        "Refresh token reuse detected"
+      );
+      expect(mockRevokeSession).toHaveBeenCalledWith(9);
+      expect(mockRotateRefreshToken).not.toHaveBeenCalled();
+      expect(mockGenerateToken).not.toHaveBeenCalled();
+    });
+
+    test("should reject an expired refresh token", async () => {
+      mockFindRefreshTokenByHash.mockResolvedValue(
+        createMockRefreshToken({ expiresAt: new Date(Date.now() - 1000) })
+      );
+
+      await expect(refreshSession("old-refresh")).rejects.toThrow(
+        "Refresh token has expired"
+      );
+      expect(mockRotateRefreshToken).not.toHaveBeenCalled();
+    });
+
+    test("should revoke the session when a concurrent refresh won the rotation", async () => {
+      mockFindRefreshTokenByHash.mockResolvedValue(createMockRefreshToken());
+      mockGenerateRefreshToken.mockReturnValue("next-refresh");
+      mockRotateRefreshToken.mockResolvedValue(null);
+
+      await expect(refreshSession("old-refresh")).rejects.toThrow(
+        "Refresh token reuse detected"
+      );
+      expect(mockRevokeSession).toHaveBeenCalledWith(9);
+      expect(mockGenerateToken).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("isSessionActive", () => {
+    test("should accept an active session owned by the user", async () => {
+      mockFindSessionById.mockResolvedValue({
+        id: 9,
+        userId: 1,
+        revokedAt: null,
+        lastSeenAt: new Date(),
+      });
+
+      await expect(isSessionActive(9, 1)).resolves.toBe(true);
+      expect(mockTouchSession).not.toHaveBeenCalled();
+    });
+
+    test("should refresh lastSeenAt once it is stale", async () => {
+      mockFindSessionById.mockResolvedValue({
+        id: 9,
+        userId: 1,
+        revokedAt: null,
+        lastSeenAt: new Date(Date.now() - 10 * 60 * 1000),
+      });
+
+      await expect(isSessionActive(9, 1)).resolves.toBe(true);
+      expect(mockTouchSession).toHaveBeenCalledWith(9);
+    });
+
+    test("should reject a revoked session", async () => {
+      mockFindSessionById.mockResolvedValue({
+        id: 9,
+        userId: 1,
+        revokedAt: new Date(),
+      });
+
+      await expect(isSessionActive(9, 1)).resolves.toBe(false);
+    });
+
+    test("should reject a session owned by someone else", async () => {
+      mockFindSessionById.mockResolvedValue({
+        id: 9,
+        userId: 2,
+        revokedAt: null,
+      });
+
+      await expect(isSessionActive(9, 1)).resolves.toBe(false);
+    });
+
+    test("should reject a missing session", async () => {
+      mockFindSessionById.mockResolvedValue(null);
+
+      await expect(isSessionActive(9, 1)).resolves.toBe(false);
+    });
+
+    test("should reject tokens without a session id", async () => {
+      await expect(isSessionActive(undefined, 1)).resolves.toBe(false);
+      expect(mockFindSessionById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("revokeSession", () => {
+    test("should revoke the session for its owner", async () => {
+      mockRevokeSession.mockResolvedValue({ count: 1 });
+
+      const result = await revokeSession(9, 1);
+
+      expect(mockRevokeSession).toHaveBeenCalledWith(9, 1);
+      expect(result).toEqual({ revoked: 1 });
+    });
+  });
+
+  describe("getUserSessions", () => {
+    test("should flag the session making the request", async () => {
+      mockFindActiveSessionsByUser.mockResolvedValue([
+        { id: 9, userAgent: "Mozilla/5.0" },
+        { id: 12, userAgent: "curl/8.0" },
+      ]);
+
+      const result = await getUserSessions(1, 12);
+
+      expect(mockFindActiveSessionsByUser).toHaveBeenCalledWith(1);
+      expect(result).toEqual([
+        { id: 9, userAgent: "Mozilla/5.0", current: false },
+        { id: 12, userAgent: "curl/8.0", current: true },
+      ]);
+    });
+  });
+
+  describe("revokeUserSession", () => {
+    test("should revoke a session owned by the user", async () => {
+      mockRevokeSession.mockResolvedValue({ count: 1 });
+
+      await revokeUserSession(12, 1);
+
+      expect(mockRevokeSession).toHaveBeenCalledWith(12, 1);
+    });
+
+    test("should throw when the session is not the user's or already revoked", async () => {
+      mockRevokeSession.mockResolvedValue({ count: 0 });
+
+      await expect(revokeUserSession(12, 1)).rejects.toThrow(
+        "Session not found"
+      );
+    });
+  });
+
+  describe("revokeAllSessions", () => {
+    test("should revoke every active session of the user", async () => {
+      mockRevokeUserSessions.mockResolvedValue({ count: 3 });
+
+      const result = await revokeAllSessions(1);
+
+      expect(mockRevokeUserSessions).toHaveBeenCalledWith(1);
+      expect(result).toEqual({ revoked: 3 });
+    });
+  });
+});
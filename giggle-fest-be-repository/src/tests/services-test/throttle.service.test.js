@@ -0,0 +1,271 @@
+/**
+ * @jest-environment node
+ */
+import { jest } from "@jest/globals";
+
+// ---------------------------
+// Create mock functions
+// ---------------------------
+const mockFindThrottles = jest.fn();
+const mockAddThrottleFailure = jest.fn();
+const mockLockThrottle = jest.fn();
+const mockDeleteThrottle = jest.fn();
+const mockDeleteThrottlesByKey = jest.fn();
+const mockSendAccountLockedEmail = jest.fn();
+
+// ---------------------------
+// Mock dependencies
+// ---------------------------
+jest.unstable_mockModule(
+  "../../repositories/loginThrottle.repository.js",
+  () => ({
+    findThrottles: mockFindThrottles,
+    addThrottleFailure: mockAddThrottleFailure,
+    lockThrottle: mockLockThrottle,
+    deleteThrottle: mockDeleteThrottle,
+    deleteThrottlesByKey: mockDeleteThrottlesByKey,
+  })
+);
+
+jest.unstable_mockModule("../../utils/email.service.js", () => ({
+  sendAccountLockedEmail: mockSendAccountLockedEmail,
+}));
+
+// ---------------------------
+// Import service after mock setup
+// ---------------------------
+const {
+  THROTTLE_SCOPES,
+  assertNotLocked,
+  recordFailure,
+  recordSuccess,
+  unlockAccount,
+} = await import("../../services/throttle.service.js");
+
+// ---------------------------
+// Test Suite
+// ---------------------------
+describe("Throttle Service", () => {
+  const MINUTE = 60 * 1000;
+  const attempt = { email: "John@Example.com", ipAddress: "10.0.0.1" };
+  const emailKey = "email:john@example.com";
+  const ipKey = "ip:10.0.0.1";
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockFindThrottles.mockResolvedValue([]);
+    mockAddThrottleFailure.mockImplementation(async (scope, key) =>
+      createMockThrottle({ scope, key, failures: 1 })
+    );
+    mockLockThrottle.mockResolvedValue(true);
+  });
+
+  const createMockThrottle = (overrides = {}) => ({
+    id: 1,
+    scope: "login",
+    key: emailKey,
+    failures: 0,
+    lockCount: 0,
+    lastFailureAt: new Date(),
+    lockedUntil: null,
+    ...overrides,
+  });
+
+  describe("assertNotLocked", () => {
+    test("should look up the lowercased email and the IP", async () => {
+      await assertNotLocked(THROTTLE_SCOPES.LOGIN, attempt);
+
+      expect(mockFindThrottles).toHaveBeenCalledWith("login", [
+        emailKey,
+        ipKey,
+      ]);
+    });
+
+    test("should pass when no lock is active", async () => {
+      mockFindThrottles.mockResolvedValue([
+        createMockThrottle({ lockedUntil: new Date(Date.now() - MINUTE) }),
+      ]);
+
+      await expect(
+        assertNotLocked(THROTTLE_SCOPES.LOGIN, attempt)
+      ).resolves.toBeUndefined();
+    });
+
+    test("should reject with the longest remaining lock", async () => {
+      mockFindThrottles.mockResolvedValue([
+        createMockThrottle({
+          lockedUntil: new Date(Date.now() + 5 * MINUTE),
+        }),
+        createMockThrottle({
+          key: ipKey,
+          lockedUntil: new Date(Date.now() + 29.5 * MINUTE),
+        }),
+      ]);
+
+      await expect(
+        assertNotLocked(THROTTLE_SCOPES.LOGIN, attempt)
+      ).rejects.toThrow("Too many failed attempts. Try again in 30 minute(s).");
+    });
+
+    test("should only check the IP when no email is known", async () => {
+      await assertNotLocked(THROTTLE_SCOPES.OTP, { ipAddress: "10.0.0.1" });
+
+      expect(mockFindThrottles).toHaveBeenCalledWith("otp", [ipKey]);
+    });
+  });
+
+  describe("recordFailure", () => {
+    // the email key reaches the limit with this failure
+    const failOnEmail = (overrides = {}) => {
+      mockAddThrottleFailure.mockImplementation(async (scope, key) =>
+        key === emailKey
+          ? createMockThrottle({ id: 7, failures: 5, ...overrides })
+          : createMockThrottle({ id: 8, key, failures: 1 })
+      );
+    };
+
+    const lockedUntilFor = (id) => {
+      return mockLockThrottle.mock.calls.find(
+        ([throttleId]) => throttleId === id
+      )[2];
+    };
+
+    test("should count a failure for the email and the IP", async () => {
+      const result = await recordFailure(THROTTLE_SCOPES.LOGIN, attempt);
+
+      expect(mockAddThrottleFailure).toHaveBeenCalledWith(
+        "login",
+        emailKey,
+        expect.any(Date),
+        expect.any(Date)
+      );
+      expect(mockAddThrottleFailure).toHaveBeenCalledWith(
+        "login",
+        ipKey,
+        expect.any(Date),
+        expect.any(Date)
+      );
+      expect(mockLockThrottle).not.toHaveBeenCalled();
+      expect(result).toEqual({ locked: false });
+    });
+
+    test("should only count failures from the last hour", async () => {
+      await recordFailure(THROTTLE_SCOPES.LOGIN, attempt);
+
+      const [, , now, windowStart] = mockAddThrottleFailure.mock.calls[0];
+      expect(now - windowStart).toBe(60 * MINUTE);
+    });
+
+    test("should lock the account on the fifth failure and notify", async () => {
+      failOnEmail();
+      const before = Date.now();
+
+      const result = await recordFailure(THROTTLE_SCOPES.LOGIN, attempt, {
+        notify: true,
+      });
+
+      const lockedUntil = lockedUntilFor(7);
+      expect(mockLockThrottle).toHaveBeenCalledWith(7, 5, lockedUntil);
+      expect(lockedUntil.getTime()).toBeGreaterThanOrEqual(
+        before + 15 * MINUTE
+      );
+      expect(mockSendAccountLockedEmail).toHaveBeenCalledWith(
+        "John@Example.com",
+        lockedUntil
+      );
+      expect(result).toEqual({ locked: true });
+    });
+
+    test("should double the lock for every repeated lockout", async () => {
+      failOnEmail({ lockCount: 2 });
+      const before = Date.now();
+
+      await recordFailure(THROTTLE_SCOPES.LOGIN, attempt);
+
+      const minutes = Math.round((lockedUntilFor(7) - before) / MINUTE);
+      expect(minutes).toBe(60);
+    });
+
+    test("should cap the lock at one day", async () => {
+      failOnEmail({ lockCount: 10 });
+      const before = Date.now();
+
+      await recordFailure(THROTTLE_SCOPES.LOGIN, attempt);
+
+      const minutes = Math.round((lockedUntilFor(7) - before) / MINUTE);
+      expect(minutes).toBe(24 * 60);
+    });
+
+    test("should not email when a concurrent attempt took the lock", async () => {
+      failOnEmail({ failures: 6 });
+      mockLockThrottle.mockResolvedValue(false);
+
+      const result = await recordFailure(THROTTLE_SCOPES.LOGIN, attempt, {
+        notify: true,
+      });
+
+      expect(result).toEqual({ locked: true });
+      expect(mockSendAccountLockedEmail).not.toHaveBeenCalled();
+    });
+
+    test("should not email addresses that are not known accounts", async () => {
+      failOnEmail();
+
+      const result = await recordFailure(THROTTLE_SCOPES.LOGIN, attempt);
+
+      expect(result).toEqual({ locked: true });
+      expect(mockSendAccountLockedEmail).not.toHaveBeenCalled();
+    });
+
+    test("should lock the IP without reporting an account lock", async () => {
+      mockAddThrottleFailure.mockImplementation(async (scope, key) =>
+        key === ipKey
+          ? createMockThrottle({ id: 8, key, failures: 5 })
+          : createMockThrottle({ id: 7, failures: 1 })
+      );
+
+      const result = await recordFailure(THROTTLE_SCOPES.LOGIN, attempt, {
+        notify: true,
+      });
+
+      expect(mockLockThrottle).toHaveBeenCalledWith(8, 5, expect.any(Date));
+      expect(result).toEqual({ locked: false });
+      expect(mockSendAccountLockedEmail).not.toHaveBeenCalled();
+    });
+
+    test("should not fail when the lockout email cannot be sent", async () => {
+      const consoleSpy = jest
+        .spyOn(console, "error")
+        .mockImplementation(() => {});
+      failOnEmail();
+      mockSendAccountLockedEmail.mockRejectedValue(new Error("SMTP down"));
+
+      const result = await recordFailure(THROTTLE_SCOPES.LOGIN, attempt, {
+        notify: true,
+      });
+
+      expect(result).toEqual({ locked: true });
+      consoleSpy.mockRestore();
+    });
+  });
+
+  describe("recordSuccess", () => {
+    test("should clear only the account counter", async () => {
+      await recordSuccess(THROTTLE_SCOPES.LOGIN, attempt);
+
+      expect(mockDeleteThrottle).toHaveBeenCalledTimes(1);
+      expect(mockDeleteThrottle).toHaveBeenCalledWith("login", emailKey);
+    });
+  });
+
+  describe("unlockAccount", () => {
+    test("should clear the account in every scope", async () => {
+      mockDeleteThrottlesByKey.mockResolvedValue({ count: 2 });
+
+      const result = await unlockAccount("John@Example.com");
+
+      expect(mockDeleteThrottlesByKey).toHaveBeenCalledWith(emailKey);
+      expect(result).toEqual({ cleared: 2 });
+    });
+  });
+});
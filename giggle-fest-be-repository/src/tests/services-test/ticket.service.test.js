@@ -28,6 +28,52 @@ jest.unstable_mockModule(
     deleteTicket: jest.fn(),
     findTicketsByCategory: jest.fn(),
     findTicketsByEvent: jest.fn(),
+    findBundleInfo: jest.fn(),
+    countBundlesContaining: jest.fn(),
+  })
+);
+
+// Mock seat repository
+const mockCountTicketSeats = jest.fn();
+
+jest.unstable_mockModule(
+  "../../../src/repositories/seat.repository.js",
+  () => ({
+    countTicketSeats: mockCountTicketSeats,
+  })
+);
+
+// Mock organization service
+const mockAssertEventAccess = jest.fn();
+
+jest.unstable_mockModule(
+  "../../../src/services/organization.service.js",
+  () => ({
+    assertEventAccess: mockAssertEventAccess,
+  })
+);
+
+// Mock waitlist service
+const mockOfferReleasedStock = jest.fn(() => Promise.resolve([]));
+
+jest.unstable_mockModule("../../../src/services/waitlist.service.js", () => ({
+  offerReleasedStock: mockOfferReleasedStock,
+}));
+
+// Mock pricing service, tickets come back as they are
+const mockWithTicketPricing = jest.fn((tickets) => Promise.resolve(tickets));
+
+jest.unstable_mockModule("../../../src/services/pricing.service.js", () => ({
+  withTicketPricing: mockWithTicketPricing,
+}));
+
+// Mock price tier repository
+const mockReplaceTicketTiers = jest.fn();
+
+jest.unstable_mockModule(
+  "../../../src/repositories/priceTier.repository.js",
+  () => ({
+    replaceTicketTiers: mockReplaceTicketTiers,
   })
 );
 
@@ -99,6 +145,7 @@ describe("Ticket Service", () => {
       categoryId: 1,
       userId: 1,
     };
+    const organizer = createMockUser();
 
     test("should create ticket successfully", async () => {
       const mockEvent = createMockEvent();
@@ -106,16 +153,16 @@ describe("Ticket Service", () => {
       const mockUser = createMockUser();
       const mockTicket = createMockTicket();
 
-      mockPrisma.event.findUnique.mockResolvedValue(mockEvent);
+      mockAssertEventAccess.mockResolvedValue(mockEvent);
       mockPrisma.category.findUnique.mockResolvedValue(mockCategory);
       mockPrisma.user.findUnique.mockResolvedValue(mockUser);
       ticketRepository.createTicket.mockResolvedValue(mockTicket);
 
-      const result = await createTicketService(ticketData);
+      mockAssertEventAccess.mockResolvedValue(mockEvent);
 
-      expect(mockPrisma.event.findUnique).toHaveBeenCalledWith({
-        where: { id: 1 },
-      });
+      const result = await createTicketService(ticketData, organizer);
+
+      expect(mockAssertEventAccess).toHaveBeenCalledWith(organizer, 1);
       expect(mockPrisma.category.findUnique).toHaveBeenCalledWith({
         where: { id: 1 },
       });
@@ -126,10 +173,27 @@ describe("Ticket Service", () => {
       expect(result).toEqual(mockTicket);
     });
 
+    test("should save the ticket's price tiers", async () => {
+      const priceTiers = [{ name: "First 100", price: 80000, maxSold: 100 }];
+      mockAssertEventAccess.mockResolvedValueOnce(createMockEvent());
+      mockPrisma.category.findUnique.mockResolvedValueOnce(
+        createMockCategory()
+      );
+      mockPrisma.user.findUnique.mockResolvedValueOnce(createMockUser());
+      ticketRepository.createTicket.mockResolvedValueOnce(
+        createMockTicket({ id: 7 })
+      );
+
+      await createTicketService({ ...ticketData, priceTiers }, organizer);
+
+      expect(ticketRepository.createTicket).toHaveBeenCalledWith(ticketData);
+      expect(mockReplaceTicketTiers).toHaveBeenCalledWith(7, priceTiers);
+    });
+
     test("should throw error if event not found", async () => {
-      mockPrisma.event.findUnique.mockResolvedValue(null);
+      mockAssertEventAccess.mockRejectedValueOnce(new Error("Event not found"));
 
-      await expect(createTicketService(ticketData)).rejects.toThrow(
+      await expect(createTicketService(ticketData, organizer)).rejects.toThrow(
         "Event not found"
       );
       expect(mockPrisma.category.findUnique).not.toHaveBeenCalled();
@@ -140,7 +204,7 @@ describe("Ticket Service", () => {
     test("should throw error if category not found", async () => {
       const mockEvent = createMockEvent();
 
-      mockPrisma.event.findUnique.mockResolvedValue(mockEvent);
+      mockAssertEventAccess.mockResolvedValue(mockEvent);
       mockPrisma.category.findUnique.mockResolvedValue(null);
 
       await expect(createTicketService(ticketData)).rejects.toThrow(
@@ -154,7 +218,7 @@ describe("Ticket Service", () => {
       const mockEvent = createMockEvent();
       const mockCategory = createMockCategory();
 
-      mockPrisma.event.findUnique.mockResolvedValue(mockEvent);
+      mockAssertEventAccess.mockResolvedValue(mockEvent);
       mockPrisma.category.findUnique.mockResolvedValue(mockCategory);
       mockPrisma.user.findUnique.mockResolvedValue(null);
 
@@ -164,21 +228,32 @@ describe("Ticket Service", () => {
       expect(ticketRepository.createTicket).not.toHaveBeenCalled();
     });
 
+    test("should not create tickets for another organization's event", async () => {
+      mockAssertEventAccess.mockRejectedValueOnce(
+        new Error("You do not manage this event")
+      );
+
+      await expect(createTicketService(ticketData, organizer)).rejects.toThrow(
+        "You do not manage this event"
+      );
+      expect(mockPrisma.category.findUnique).not.toHaveBeenCalled();
+      expect(ticketRepository.createTicket).not.toHaveBeenCalled();
+    });
+
     test("should validate in order: event, category, then user", async () => {
       const mockEvent = createMockEvent();
       const mockCategory = createMockCategory();
       const mockUser = createMockUser();
       const mockTicket = createMockTicket();
 
-      mockPrisma.event.findUnique.mockResolvedValue(mockEvent);
+      mockAssertEventAccess.mockResolvedValue(mockEvent);
       mockPrisma.category.findUnique.mockResolvedValue(mockCategory);
       mockPrisma.user.findUnique.mockResolvedValue(mockUser);
       ticketRepository.createTicket.mockResolvedValue(mockTicket);
 
       await createTicketService(ticketData);
 
-      const eventCallOrder =
-        mockPrisma.event.findUnique.mock.invocationCallOrder[0];
+      const eventCallOrder = mockAssertEventAccess.mock.invocationCallOrder[0];
       const categoryCallOrder =
         mockPrisma.category.findUnique.mock.invocationCallOrder[0];
       const userCallOrder =
@@ -373,6 +448,16 @@ describe("Ticket Service", () => {
       expect(result).toEqual(mockTicket);
     });
 
+    test("should add the ticket's current price", async () => {
+      const mockTicket = createMockTicket();
+      const priced = { ...mockTicket, effectivePrice: 80000 };
+      ticketRepository.findTicketById.mockResolvedValueOnce(mockTicket);
+      mockWithTicketPricing.mockResolvedValueOnce([priced]);
+
+      expect(await getTicketByIdService(1)).toBe(priced);
+      expect(mockWithTicketPricing).toHaveBeenCalledWith([mockTicket]);
+    });
+
     test("should throw error if ticket not found", async () => {
       ticketRepository.findTicketById.mockResolvedValue(null);
 
@@ -416,6 +501,82 @@ describe("Ticket Service", () => {
       expect(result).toEqual(mockUpdatedTicket);
     });
 
+    test("should replace the price tiers when given", async () => {
+      ticketRepository.findTicketById.mockResolvedValueOnce(createMockTicket());
+      ticketRepository.updateTicket.mockResolvedValueOnce(createMockTicket());
+
+      await updateTicketService(ticketId, { priceTiers: [] });
+
+      expect(ticketRepository.updateTicket).toHaveBeenCalledWith(ticketId, {});
+      expect(mockReplaceTicketTiers).toHaveBeenCalledWith(ticketId, []);
+    });
+
+    test("should leave the price tiers alone otherwise", async () => {
+      ticketRepository.findTicketById.mockResolvedValueOnce(createMockTicket());
+      ticketRepository.updateTicket.mockResolvedValueOnce(createMockTicket());
+
+      await updateTicketService(ticketId, { name: "VIP" });
+
+      expect(mockReplaceTicketTiers).not.toHaveBeenCalled();
+    });
+
+    test("should not move the sales start past the existing end", async () => {
+      ticketRepository.findTicketById.mockResolvedValueOnce(
+        createMockTicket({
+          salesStart: new Date("2026-01-01T00:00:00.000Z"),
+          salesEnd: new Date("2026-02-01T00:00:00.000Z"),
+        })
+      );
+
+      await expect(
+        updateTicketService(ticketId, {
+          salesStart: new Date("2026-03-01T00:00:00.000Z"),
+        })
+      ).rejects.toThrow("Sales must start before they end");
+      expect(ticketRepository.updateTicket).not.toHaveBeenCalled();
+    });
+
+    test("should not change the quantity of a seated ticket", async () => {
+      ticketRepository.findTicketById.mockResolvedValueOnce(createMockTicket());
+      mockCountTicketSeats.mockResolvedValueOnce(120);
+
+      await expect(
+        updateTicketService(ticketId, { quantity: 200 })
+      ).rejects.toThrow("The quantity of a seated ticket is set by its seats");
+      expect(ticketRepository.updateTicket).not.toHaveBeenCalled();
+    });
+
+    test("should offer added stock to the waitlist", async () => {
+      const offeredTicket = createMockTicket({ quantity: 3 });
+      ticketRepository.findTicketById
+        .mockResolvedValueOnce(createMockTicket({ quantity: 0 }))
+        .mockResolvedValueOnce(offeredTicket);
+      mockCountTicketSeats.mockResolvedValueOnce(0);
+      ticketRepository.updateTicket.mockResolvedValueOnce(
+        createMockTicket({ quantity: 5 })
+      );
+      mockOfferReleasedStock.mockResolvedValueOnce([{ id: 4 }]);
+
+      const result = await updateTicketService(ticketId, { quantity: 5 });
+
+      expect(mockOfferReleasedStock).toHaveBeenCalledWith(ticketId);
+      expect(result).toBe(offeredTicket);
+    });
+
+    test("should not offer anything when the stock goes down", async () => {
+      ticketRepository.findTicketById.mockResolvedValueOnce(
+        createMockTicket({ quantity: 10 })
+      );
+      mockCountTicketSeats.mockResolvedValueOnce(0);
+      ticketRepository.updateTicket.mockResolvedValueOnce(
+        createMockTicket({ quantity: 5 })
+      );
+
+      await updateTicketService(ticketId, { quantity: 5 });
+
+      expect(mockOfferReleasedStock).not.toHaveBeenCalled();
+    });
+
     test("should throw error if ticket not found", async () => {
       const updateData = { name: "Updated Ticket" };
 
@@ -444,6 +605,21 @@ describe("Ticket Service", () => {
       expect(result).toEqual(mockUpdatedTicket);
     });
 
+    test("should check ownership of the ticket's event before updating", async () => {
+      const organizer = createMockUser({ id: 7 });
+
+      ticketRepository.findTicketById.mockResolvedValue(createMockTicket());
+      mockAssertEventAccess.mockRejectedValueOnce(
+        new Error("You do not manage this event")
+      );
+
+      await expect(
+        updateTicketService(ticketId, { price: 1 }, organizer)
+      ).rejects.toThrow("You do not manage this event");
+      expect(mockAssertEventAccess).toHaveBeenCalledWith(organizer, 1);
+      expect(ticketRepository.updateTicket).not.toHaveBeenCalled();
+    });
+
     test("should verify ticket exists before updating", async () => {
       const updateData = { price: 90000 };
       const mockTicket = createMockTicket();
@@ -488,6 +664,34 @@ describe("Ticket Service", () => {
       expect(ticketRepository.deleteTicket).not.toHaveBeenCalled();
     });
 
+    test("should check ownership of the ticket's event before deleting", async () => {
+      const organizer = createMockUser({ id: 7 });
+
+      ticketRepository.findTicketById.mockResolvedValue(createMockTicket());
+      mockAssertEventAccess.mockRejectedValueOnce(
+        new Error("You do not manage this event")
+      );
+
+      await expect(deleteTicketService(ticketId, organizer)).rejects.toThrow(
+        "You do not manage this event"
+      );
+      expect(mockAssertEventAccess).toHaveBeenCalledWith(organizer, 1);
+      expect(ticketRepository.deleteTicket).not.toHaveBeenCalled();
+    });
+
+    test("should not delete a ticket that is part of a bundle", async () => {
+      ticketRepository.findTicketById.mockResolvedValueOnce(createMockTicket());
+      ticketRepository.countBundlesContaining.mockResolvedValueOnce(1);
+
+      await expect(deleteTicketService(ticketId)).rejects.toThrow(
+        "Ticket is part of a bundle"
+      );
+      expect(ticketRepository.countBundlesContaining).toHaveBeenCalledWith(
+        ticketId
+      );
+      expect(ticketRepository.deleteTicket).not.toHaveBeenCalled();
+    });
+
     test("should verify ticket exists before deleting", async () => {
       const mockTicket = createMockTicket();
 
@@ -653,4 +857,174 @@ describe("Ticket Service", () => {
       expect(ticketRepository.findTicketsByEvent).toHaveBeenCalledWith(42);
     });
   });
+
+  describe("bundles", () => {
+    const organizer = createMockUser();
+    const bundleData = {
+      name: "Festival + Camping",
+      price: 1500000,
+      quantity: 100,
+      eventId: 1,
+      categoryId: 1,
+      userId: 1,
+      bundleItems: [
+        { ticketId: 2, quantity: 1 },
+        { ticketId: 3, quantity: 1 },
+      ],
+    };
+    const component = (overrides = {}) => ({
+      id: 2,
+      name: "Festival Pass",
+      eventId: 1,
+      _count: { bundleItems: 0, bundledIn: 0, seats: 0 },
+      ...overrides,
+    });
+
+    const setupCreate = () => {
+      mockAssertEventAccess.mockResolvedValueOnce(createMockEvent());
+      mockPrisma.category.findUnique.mockResolvedValueOnce(
+        createMockCategory()
+      );
+      mockPrisma.user.findUnique.mockResolvedValueOnce(createMockUser());
+    };
+
+    test("should create a bundle of tickets of its event", async () => {
+      setupCreate();
+      ticketRepository.findBundleInfo.mockResolvedValueOnce([
+        component(),
+        component({ id: 3, name: "Camping" }),
+      ]);
+      ticketRepository.createTicket.mockResolvedValueOnce(
+        createMockTicket({ id: 9 })
+      );
+
+      await createTicketService(bundleData, organizer);
+
+      expect(ticketRepository.findBundleInfo).toHaveBeenCalledWith([2, 3]);
+      expect(ticketRepository.createTicket).toHaveBeenCalledWith(bundleData);
+    });
+
+    test.each([
+      [
+        "a ticket of another event",
+        [component(), component({ id: 3, eventId: 2 })],
+        "Ticket 3 does not belong to this event",
+      ],
+      [
+        "a ticket that does not exist",
+        [component()],
+        "Ticket 3 does not belong to this event",
+      ],
+      [
+        "another bundle",
+        [
+          component(),
+          component({
+            id: 3,
+            _count: { bundleItems: 2, bundledIn: 0, seats: 0 },
+          }),
+        ],
+        "A bundle cannot contain another bundle",
+      ],
+      [
+        "a seated ticket",
+        [
+          component({
+            name: "Front Row",
+            _count: { bundleItems: 0, bundledIn: 0, seats: 40 },
+          }),
+          component({ id: 3 }),
+        ],
+        "Front Row has reserved seats and cannot be bundled",
+      ],
+    ])("should not bundle %s", async (_, components, message) => {
+      setupCreate();
+      ticketRepository.findBundleInfo.mockResolvedValueOnce(components);
+
+      await expect(createTicketService(bundleData, organizer)).rejects.toThrow(
+        message
+      );
+      expect(ticketRepository.createTicket).not.toHaveBeenCalled();
+    });
+
+    test("should change what an unsold bundle packs", async () => {
+      const bundle = createMockTicket({
+        id: 9,
+        sold: 0,
+        bundleItems: [{ ticketId: 2, quantity: 4 }],
+      });
+      ticketRepository.findTicketById.mockResolvedValueOnce(bundle);
+      ticketRepository.countBundlesContaining.mockResolvedValueOnce(0);
+      mockCountTicketSeats.mockResolvedValueOnce(0);
+      ticketRepository.findBundleInfo.mockResolvedValueOnce([component()]);
+      ticketRepository.updateTicket.mockResolvedValueOnce(bundle);
+
+      await updateTicketService(9, {
+        bundleItems: [{ ticketId: 2, quantity: 2 }],
+      });
+
+      expect(ticketRepository.updateTicket).toHaveBeenCalledWith(9, {
+        bundleItems: [{ ticketId: 2, quantity: 2 }],
+      });
+    });
+
+    test("should keep a bundle's contents once it has sold", async () => {
+      ticketRepository.findTicketById.mockResolvedValueOnce(
+        createMockTicket({
+          id: 9,
+          sold: 3,
+          bundleItems: [{ ticketId: 2, quantity: 4 }],
+        })
+      );
+
+      await expect(updateTicketService(9, { bundleItems: [] })).rejects.toThrow(
+        "Cannot change the contents of a bundle once it has sold"
+      );
+      expect(ticketRepository.updateTicket).not.toHaveBeenCalled();
+    });
+
+    test("should not turn a bundled ticket into a bundle", async () => {
+      ticketRepository.findTicketById.mockResolvedValueOnce(
+        createMockTicket({ id: 2, sold: 0, bundleItems: [] })
+      );
+      ticketRepository.countBundlesContaining.mockResolvedValueOnce(1);
+
+      await expect(
+        updateTicketService(2, {
+          bundleItems: [{ ticketId: 3, quantity: 1 }],
+        })
+      ).rejects.toThrow("A ticket that is part of a bundle cannot be a bundle");
+    });
+
+    test("should not turn a seated ticket into a bundle", async () => {
+      ticketRepository.findTicketById.mockResolvedValueOnce(
+        createMockTicket({ id: 2, sold: 0, bundleItems: [] })
+      );
+      ticketRepository.countBundlesContaining.mockResolvedValueOnce(0);
+      mockCountTicketSeats.mockResolvedValueOnce(40);
+
+      await expect(
+        updateTicketService(2, {
+          bundleItems: [{ ticketId: 3, quantity: 1 }],
+        })
+      ).rejects.toThrow("A seated ticket cannot be a bundle");
+    });
+
+    test("should not let a bundle contain itself", async () => {
+      ticketRepository.findTicketById.mockResolvedValueOnce(
+        createMockTicket({ id: 9, sold: 0, bundleItems: [] })
+      );
+      ticketRepository.countBundlesContaining.mockResolvedValueOnce(0);
+      mockCountTicketSeats.mockResolvedValueOnce(0);
+      ticketRepository.findBundleInfo.mockResolvedValueOnce([
+        component({ id: 9 }),
+      ]);
+
+      await expect(
+        updateTicketService(9, {
+          bundleItems: [{ ticketId: 9, quantity: 2 }],
+        })
+      ).rejects.toThrow("A bundle cannot contain itself");
+    });
+  });
 });
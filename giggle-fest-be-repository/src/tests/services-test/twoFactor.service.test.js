@@ -0,0 +1,323 @@
+/**
+ * @jest-environment node
+ */
+import { jest } from "@jest/globals";
+
+// ---------------------------
+// Create mock functions
+// ---------------------------
+const mockFindTwoFactorUser = jest.fn();
+const mockSaveTotpSecret = jest.fn();
+const mockEnableTwoFactor = jest.fn();
+const mockDisableTwoFactor = jest.fn();
+const mockUseRecoveryCode = jest.fn();
+// the code's time step is still unused unless a test says so
+const mockUseTotpStep = jest.fn(() => Promise.resolve(true));
+const mockAssertNotLocked = jest.fn();
+const mockRecordFailure = jest.fn();
+const mockRecordSuccess = jest.fn();
+const mockCreateSession = jest.fn();
+const mockGenerateTotpSecret = jest.fn();
+const mockFindTotpStep = jest.fn();
+const mockBuildOtpauthUri = jest.fn();
+const mockRenderQrDataUrl = jest.fn();
+const mockVerifyChallengeToken = jest.fn();
+
+// ---------------------------
+// Mock dependencies
+// ---------------------------
+jest.unstable_mockModule("../../repositories/twoFactor.repository.js", () => ({
+  findTwoFactorUser: mockFindTwoFactorUser,
+  saveTotpSecret: mockSaveTotpSecret,
+  enableTwoFactor: mockEnableTwoFactor,
+  disableTwoFactor: mockDisableTwoFactor,
+  useRecoveryCode: mockUseRecoveryCode,
+  useTotpStep: mockUseTotpStep,
+}));
+
+jest.unstable_mockModule("../../services/throttle.service.js", () => ({
+  THROTTLE_SCOPES: { LOGIN: "login", OTP: "otp", TWO_FACTOR: "2fa" },
+  assertNotLocked: mockAssertNotLocked,
+  recordFailure: mockRecordFailure,
+  recordSuccess: mockRecordSuccess,
+}));
+
+jest.unstable_mockModule("../../services/session.service.js", () => ({
+  createSession: mockCreateSession,
+}));
+
+jest.unstable_mockModule("../../utils/totp.js", () => ({
+  generateTotpSecret: mockGenerateTotpSecret,
+  findTotpStep: mockFindTotpStep,
+  buildOtpauthUri: mockBuildOtpauthUri,
+}));
+
+jest.unstable_mockModule("../../utils/qrcode.js", () => ({
+  renderQrDataUrl: mockRenderQrDataUrl,
+}));
+
+jest.unstable_mockModule("../../utils/token.js", () => ({
+  hashToken: (token) => `hash:${token}`,
+  verifyChallengeToken: mockVerifyChallengeToken,
+}));
+
+// ---------------------------
+// Import service after mock setup
+// ---------------------------
+const {
+  setupTwoFactor,
+  confirmTwoFactor,
+  disableTwoFactor,
+  verifyTwoFactorLogin,
+} = await import("../../services/twoFactor.service.js");
+
+// ---------------------------
+// Test Suite
+// ---------------------------
+describe("Two-Factor Service", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.REQUIRE_2FA_ROLES;
+  });
+
+  const createMockUser = (overrides = {}) => ({
+    id: 1,
+    email: "admin@example.com",
+    name: "Site Admin",
+    role: "admin",
+    totpSecret: "SECRET",
+    totpEnabledAt: new Date(),
+    ...overrides,
+  });
+
+  describe("setupTwoFactor", () => {
+    test("should store a new secret and return the otpauth URI and QR", async () => {
+      mockFindTwoFactorUser.mockResolvedValue(
+        createMockUser({ totpSecret: null, totpEnabledAt: null })
+      );
+      mockGenerateTotpSecret.mockReturnValue("NEWSECRET");
+      mockBuildOtpauthUri.mockReturnValue("otpauth://totp/x");
+      mockRenderQrDataUrl.mockResolvedValue("data:image/png;base64,qr");
+
+      const result = await setupTwoFactor(1);
+
+      expect(mockSaveTotpSecret).toHaveBeenCalledWith(1, "NEWSECRET");
+      expect(mockBuildOtpauthUri).toHaveBeenCalledWith({
+        secret: "NEWSECRET",
+        accountName: "admin@example.com",
+        issuer: "GiggleFest",
+      });
+      expect(result).toEqual({
+        secret: "NEWSECRET",
+        otpauthUri: "otpauth://totp/x",
+        qrCode: "data:image/png;base64,qr",
+      });
+    });
+
+    test("should refuse when 2FA is already enabled", async () => {
+      mockFindTwoFactorUser.mockResolvedValue(createMockUser());
+
+      await expect(setupTwoFactor(1)).rejects.toThrow(
+        "Two-factor authentication is already enabled"
+      );
+      expect(mockSaveTotpSecret).not.toHaveBeenCalled();
+    });
+
+    test("should throw when the user does not exist", async () => {
+      mockFindTwoFactorUser.mockResolvedValue(null);
+
+      await expect(setupTwoFactor(99)).rejects.toThrow("User not found");
+    });
+  });
+
+  describe("confirmTwoFactor", () => {
+    test("should enable 2FA and return ten recovery codes stored hashed", async () => {
+      mockFindTwoFactorUser.mockResolvedValue(
+        createMockUser({ totpEnabledAt: null })
+      );
+      mockFindTotpStep.mockReturnValue(55);
+
+      const { recoveryCodes } = await confirmTwoFactor(1, "123456");
+
+      expect(mockFindTotpStep).toHaveBeenCalledWith("SECRET", "123456", {
+        lastStep: null,
+      });
+      expect(mockUseTotpStep).toHaveBeenCalledWith(1, 55);
+      expect(recoveryCodes).toHaveLength(10);
+      recoveryCodes.forEach((code) => {
+        expect(code).toMatch(/^[a-f0-9]{5}-[a-f0-9]{5}$/);
+      });
+      expect(mockEnableTwoFactor).toHaveBeenCalledWith(
+        1,
+        recoveryCodes.map((code) => `hash:${code}`)
+      );
+    });
+
+    test("should reject a wrong code", async () => {
+      mockFindTwoFactorUser.mockResolvedValue(
+        createMockUser({ totpEnabledAt: null })
+      );
+      mockFindTotpStep.mockReturnValue(null);
+
+      await expect(confirmTwoFactor(1, "000000")).rejects.toThrow(
+        "Invalid authentication code"
+      );
+      expect(mockEnableTwoFactor).not.toHaveBeenCalled();
+    });
+
+    test("should require setup first", async () => {
+      mockFindTwoFactorUser.mockResolvedValue(
+        createMockUser({ totpSecret: null, totpEnabledAt: null })
+      );
+
+      await expect(confirmTwoFactor(1, "123456")).rejects.toThrow(
+        "Two-factor setup has not been started"
+      );
+    });
+
+    test("should refuse when 2FA is already enabled", async () => {
+      mockFindTwoFactorUser.mockResolvedValue(createMockUser());
+
+      await expect(confirmTwoFactor(1, "123456")).rejects.toThrow(
+        "Two-factor authentication is already enabled"
+      );
+    });
+  });
+
+  describe("disableTwoFactor", () => {
+    test("should disable 2FA after a valid authenticator code", async () => {
+      mockFindTwoFactorUser.mockResolvedValue(createMockUser());
+      mockFindTotpStep.mockReturnValue(55);
+
+      await disableTwoFactor(1, "123456");
+
+      expect(mockDisableTwoFactor).toHaveBeenCalledWith(1);
+      expect(mockUseRecoveryCode).not.toHaveBeenCalled();
+    });
+
+    test("should accept a recovery code instead", async () => {
+      mockFindTwoFactorUser.mockResolvedValue(createMockUser());
+      mockFindTotpStep.mockReturnValue(null);
+      mockUseRecoveryCode.mockResolvedValue(true);
+
+      await disableTwoFactor(1, " ABCDE-12345 ");
+
+      expect(mockUseRecoveryCode).toHaveBeenCalledWith(1, "hash:abcde-12345");
+      expect(mockDisableTwoFactor).toHaveBeenCalledWith(1);
+    });
+
+    test("should reject an invalid code", async () => {
+      mockFindTwoFactorUser.mockResolvedValue(createMockUser());
+      mockFindTotpStep.mockReturnValue(null);
+      mockUseRecoveryCode.mockResolvedValue(false);
+
+      await expect(disableTwoFactor(1, "000000")).rejects.toThrow(
+        "Invalid authentication code"
+      );
+      expect(mockDisableTwoFactor).not.toHaveBeenCalled();
+    });
+
+    test("should refuse for roles that must use 2FA", async () => {
+      process.env.REQUIRE_2FA_ROLES = "admin";
+      mockFindTwoFactorUser.mockResolvedValue(createMockUser());
+
+      await expect(disableTwoFactor(1, "123456")).rejects.toThrow(
+        "Two-factor authentication is required for your role"
+      );
+      expect(mockDisableTwoFactor).not.toHaveBeenCalled();
+    });
+
+    test("should refuse when 2FA is not enabled", async () => {
+      mockFindTwoFactorUser.mockResolvedValue(
+        createMockUser({ totpEnabledAt: null })
+      );
+
+      await expect(disableTwoFactor(1, "123456")).rejects.toThrow(
+        "Two-factor authentication is not enabled"
+      );
+    });
+  });
+
+  describe("verifyTwoFactorLogin", () => {
+    const context = { userAgent: "Mozilla/5.0", ipAddress: "10.0.0.1" };
+    const attempt = { email: "admin@example.com", ipAddress: "10.0.0.1" };
+
+    test("should open an mfa session for a valid code", async () => {
+      const user = createMockUser();
+      mockVerifyChallengeToken.mockReturnValue({ id: 1, purpose: "2fa" });
+      mockFindTwoFactorUser.mockResolvedValue(user);
+      mockFindTotpStep.mockReturnValue(55);
+      mockCreateSession.mockResolvedValue({
+        token: "access-token",
+        refreshToken: "refresh-token",
+      });
+
+      const result = await verifyTwoFactorLogin("challenge", "123456", context);
+
+      expect(mockAssertNotLocked).toHaveBeenCalledWith("2fa", attempt);
+      expect(mockRecordSuccess).toHaveBeenCalledWith("2fa", attempt);
+      expect(mockCreateSession).toHaveBeenCalledWith(user, context, {
+        mfa: true,
+      });
+      expect(result.user).not.toHaveProperty("totpSecret");
+      expect(result.token).toBe("access-token");
+    });
+
+    test("should refuse a code that was already used", async () => {
+      mockVerifyChallengeToken.mockReturnValue({ id: 1, purpose: "2fa" });
+      mockFindTwoFactorUser.mockResolvedValue(
+        createMockUser({ totpLastStep: 54 })
+      );
+      mockFindTotpStep.mockReturnValue(55);
+      mockUseTotpStep.mockResolvedValueOnce(false);
+      mockUseRecoveryCode.mockResolvedValue(false);
+
+      await expect(
+        verifyTwoFactorLogin("challenge", "123456", context)
+      ).rejects.toThrow("Invalid authentication code");
+      expect(mockFindTotpStep).toHaveBeenCalledWith("SECRET", "123456", {
+        lastStep: 54,
+      });
+      expect(mockCreateSession).not.toHaveBeenCalled();
+    });
+
+    test("should reject an invalid or expired challenge token", async () => {
+      mockVerifyChallengeToken.mockImplementation(() => {
+        throw new Error("jwt expired");
+      });
+
+      await expect(
+        verifyTwoFactorLogin("expired", "123456", context)
+      ).rejects.toThrow("Invalid or expired challenge token");
+      expect(mockFindTwoFactorUser).not.toHaveBeenCalled();
+    });
+
+    test("should record a failure for a wrong code", async () => {
+      mockVerifyChallengeToken.mockReturnValue({ id: 1, purpose: "2fa" });
+      mockFindTwoFactorUser.mockResolvedValue(createMockUser());
+      mockFindTotpStep.mockReturnValue(null);
+      mockUseRecoveryCode.mockResolvedValue(false);
+
+      await expect(
+        verifyTwoFactorLogin("challenge", "000000", context)
+      ).rejects.toThrow("Invalid authentication code");
+      expect(mockRecordFailure).toHaveBeenCalledWith("2fa", attempt, {
+        notify: true,
+      });
+      expect(mockCreateSession).not.toHaveBeenCalled();
+    });
+
+    test("should stop while the account is locked", async () => {
+      mockVerifyChallengeToken.mockReturnValue({ id: 1, purpose: "2fa" });
+      mockFindTwoFactorUser.mockResolvedValue(createMockUser());
+      mockAssertNotLocked.mockRejectedValueOnce(
+        new Error("Too many failed attempts. Try again in 15 minute(s).")
+      );
+
+      await expect(
+        verifyTwoFactorLogin("challenge", "123456", context)
+      ).rejects.toThrow("Too many failed attempts");
+      expect(mockFindTotpStep).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -25,11 +25,27 @@ jest.unstable_mockModule(
     updateUser: jest.fn(),
     deleteUser: jest.fn(),
     findAllUsers: jest.fn(),
+    countUsersByRole: jest.fn(),
+    updateUserRole: jest.fn(),
+    findRoleChangesByUser: jest.fn(),
   })
 );
 
+jest.unstable_mockModule("../../../src/services/session.service.js", () => ({
+  createSession: jest.fn(),
+  revokeAllSessions: jest.fn(),
+}));
+
 jest.unstable_mockModule("../../../src/utils/token.js", () => ({
-  generateToken: jest.fn(),
+  generateChallengeToken: jest.fn(),
+}));
+
+jest.unstable_mockModule("../../../src/services/throttle.service.js", () => ({
+  THROTTLE_SCOPES: { LOGIN: "login", OTP: "otp" },
+  assertNotLocked: jest.fn(),
+  recordFailure: jest.fn(),
+  recordSuccess: jest.fn(),
+  unlockAccount: jest.fn(),
 }));
 
 jest.unstable_mockModule("../../../src/utils/email.service.js", () => ({
@@ -42,7 +58,15 @@ const crypto = (await import("crypto")).default;
 const userRepository = await import(
   "../../../src/repositories/user.repository.js"
 );
-const { generateToken } = await import("../../../src/utils/token.js");
+const { createSession, revokeAllSessions } = await import(
+  "../../../src/services/session.service.js"
+);
+const { generateChallengeToken } = await import(
+  "../../../src/utils/token.js"
+);
+const throttleService = await import(
+  "../../../src/services/throttle.service.js"
+);
 const { sendVerificationEmail } = await import(
   "../../../src/utils/email.service.js"
 );
@@ -57,6 +81,10 @@ const {
   deleteUserById,
   getAllUsers,
   getUserById,
+  changeUserRole,
+  getUserRoleChanges,
+  unlockUser,
+  bootstrapAdmin,
 } = await import("../../../src/services/user.service.js");
 
 describe("User Service", () => {
@@ -114,7 +142,10 @@ describe("User Service", () => {
       userRepository.createAuth.mockResolvedValue(mockAuth);
       userRepository.createUser.mockResolvedValue(mockUser);
       sendVerificationEmail.mockResolvedValue(undefined);
-      generateToken.mockReturnValue(mockToken);
+      createSession.mockResolvedValue({
+        token: mockToken,
+        refreshToken: "refresh-token",
+      });
 
       const result = await register(userData);
 
@@ -131,6 +162,7 @@ describe("User Service", () => {
       expect(userRepository.createUser).toHaveBeenCalledWith({
         ...userData,
         password: "hashedPassword123",
+        role: "user",
         authId: 1,
         verificationToken: "verification-token-123",
         isVerified: false,
@@ -139,11 +171,27 @@ describe("User Service", () => {
         "john@example.com",
         "verification-token-123"
       );
-      expect(generateToken).toHaveBeenCalledWith(mockUser);
+      expect(createSession).toHaveBeenCalledWith(mockUser, {});
       expect(result.user).not.toHaveProperty("password");
       expect(result.token).toBe(mockToken);
     });
 
+    test("should ignore a role supplied at registration", async () => {
+      userRepository.findUserByEmail.mockResolvedValue(null);
+      bcrypt.hash.mockResolvedValue("hashedPassword123");
+      crypto.randomBytes.mockReturnValue({
+        toString: jest.fn().mockReturnValue("verification-token-123"),
+      });
+      userRepository.createAuth.mockResolvedValue(createMockAuth());
+      userRepository.createUser.mockResolvedValue(createMockUser());
+
+      await register({ ...userData, role: "admin", isVerified: true });
+
+      const createdUser = userRepository.createUser.mock.calls[0][0];
+      expect(createdUser.role).toBe("user");
+      expect(createdUser.isVerified).toBe(false);
+    });
+
     test("should throw error if email already exists", async () => {
       const existingUser = createMockUser();
 
@@ -172,7 +220,10 @@ describe("User Service", () => {
       userRepository.createAuth.mockResolvedValue(mockAuth);
       userRepository.createUser.mockResolvedValue(mockUser);
       sendVerificationEmail.mockResolvedValue(undefined);
-      generateToken.mockReturnValue(mockToken);
+      createSession.mockResolvedValue({
+        token: mockToken,
+        refreshToken: "refresh-token",
+      });
 
       const result = await register(userData);
 
@@ -196,7 +247,10 @@ describe("User Service", () => {
       userRepository.createAuth.mockResolvedValue(mockAuth);
       userRepository.createUser.mockResolvedValue(mockUser);
       sendVerificationEmail.mockResolvedValue(undefined);
-      generateToken.mockReturnValue("token");
+      createSession.mockResolvedValue({
+        token: "token",
+        refreshToken: "refresh-token",
+      });
 
       await register(userData);
 
@@ -218,7 +272,10 @@ describe("User Service", () => {
       userRepository.createAuth.mockResolvedValue(mockAuth);
       userRepository.createUser.mockResolvedValue(mockUser);
       sendVerificationEmail.mockResolvedValue(undefined);
-      generateToken.mockReturnValue("token");
+      createSession.mockResolvedValue({
+        token: "token",
+        refreshToken: "refresh-token",
+      });
 
       await register(userData);
 
@@ -241,7 +298,10 @@ describe("User Service", () => {
       userRepository.createAuth.mockResolvedValue(mockAuth);
       userRepository.createUser.mockResolvedValue(mockUser);
       sendVerificationEmail.mockResolvedValue(undefined);
-      generateToken.mockReturnValue("token");
+      createSession.mockResolvedValue({
+        token: "token",
+        refreshToken: "refresh-token",
+      });
 
       await register(userData);
 
@@ -450,7 +510,10 @@ describe("User Service", () => {
 
       userRepository.findUserByEmail.mockResolvedValue(mockUser);
       bcrypt.compare.mockResolvedValue(true);
-      generateToken.mockReturnValue(mockToken);
+      createSession.mockResolvedValue({
+        token: mockToken,
+        refreshToken: "refresh-token",
+      });
 
       const result = await login(email, password);
 
@@ -459,7 +522,7 @@ describe("User Service", () => {
         password,
         "hashedPassword123"
       );
-      expect(generateToken).toHaveBeenCalledWith(mockUser);
+      expect(createSession).toHaveBeenCalledWith(mockUser, {});
       expect(result.user).not.toHaveProperty("password");
       expect(result.token).toBe(mockToken);
     });
@@ -484,7 +547,7 @@ describe("User Service", () => {
       await expect(login(email, password)).rejects.toThrow(
         "Invalid email or password"
       );
-      expect(generateToken).not.toHaveBeenCalled();
+      expect(createSession).not.toHaveBeenCalled();
     });
 
     test("should throw error if user is not verified", async () => {
@@ -499,7 +562,7 @@ describe("User Service", () => {
       await expect(login(email, password)).rejects.toThrow(
         "Please verify your email before logging in. Check your email for verification link."
       );
-      expect(generateToken).not.toHaveBeenCalled();
+      expect(createSession).not.toHaveBeenCalled();
     });
 
     test("should remove password from returned user", async () => {
@@ -511,7 +574,10 @@ describe("User Service", () => {
 
       userRepository.findUserByEmail.mockResolvedValue(mockUser);
       bcrypt.compare.mockResolvedValue(true);
-      generateToken.mockReturnValue(mockToken);
+      createSession.mockResolvedValue({
+        token: mockToken,
+        refreshToken: "refresh-token",
+      });
 
       const result = await login(email, password);
 
@@ -519,6 +585,106 @@ describe("User Service", () => {
       expect(result.user.email).toBe(email);
     });
 
+    test("should open a session with the client context", async () => {
+      const mockUser = createMockUser({
+        password: "hashedPassword123",
+        isVerified: true,
+      });
+      const context = { userAgent: "Mozilla/5.0", ipAddress: "10.0.0.1" };
+
+      userRepository.findUserByEmail.mockResolvedValue(mockUser);
+      bcrypt.compare.mockResolvedValue(true);
+      createSession.mockResolvedValue({
+        token: "jwt-token",
+        refreshToken: "refresh-token",
+      });
+
+      const result = await login(email, password, context);
+
+      expect(createSession).toHaveBeenCalledWith(mockUser, context);
+      expect(result.refreshToken).toBe("refresh-token");
+    });
+
+    test("should refuse to check credentials while locked out", async () => {
+      throttleService.assertNotLocked.mockRejectedValueOnce(
+        new Error("Too many failed attempts. Try again in 15 minute(s).")
+      );
+
+      await expect(
+        login(email, password, { ipAddress: "10.0.0.1" })
+      ).rejects.toThrow("Too many failed attempts");
+      expect(throttleService.assertNotLocked).toHaveBeenCalledWith("login", {
+        email,
+        ipAddress: "10.0.0.1",
+      });
+      expect(userRepository.findUserByEmail).not.toHaveBeenCalled();
+    });
+
+    test("should record a failure without notifying unknown emails", async () => {
+      userRepository.findUserByEmail.mockResolvedValue(null);
+
+      await expect(
+        login(email, password, { ipAddress: "10.0.0.1" })
+      ).rejects.toThrow("Invalid email or password");
+      expect(throttleService.recordFailure).toHaveBeenCalledWith("login", {
+        email,
+        ipAddress: "10.0.0.1",
+      });
+    });
+
+    test("should record a failure and allow notifying on a wrong password", async () => {
+      userRepository.findUserByEmail.mockResolvedValue(
+        createMockUser({ password: "hashedPassword123" })
+      );
+      bcrypt.compare.mockResolvedValue(false);
+
+      await expect(
+        login(email, "wrongpassword", { ipAddress: "10.0.0.1" })
+      ).rejects.toThrow("Invalid email or password");
+      expect(throttleService.recordFailure).toHaveBeenCalledWith(
+        "login",
+        { email, ipAddress: "10.0.0.1" },
+        { notify: true }
+      );
+      expect(throttleService.recordSuccess).not.toHaveBeenCalled();
+    });
+
+    test("should clear the account counter after a correct password", async () => {
+      userRepository.findUserByEmail.mockResolvedValue(
+        createMockUser({ password: "hashedPassword123", isVerified: true })
+      );
+      bcrypt.compare.mockResolvedValue(true);
+      createSession.mockResolvedValue({ token: "jwt-token" });
+
+      await login(email, password, { ipAddress: "10.0.0.1" });
+
+      expect(throttleService.recordSuccess).toHaveBeenCalledWith("login", {
+        email,
+        ipAddress: "10.0.0.1",
+      });
+      expect(throttleService.recordFailure).not.toHaveBeenCalled();
+    });
+
+    test("should return a challenge instead of a session when 2FA is on", async () => {
+      userRepository.findUserByEmail.mockResolvedValue(
+        createMockUser({
+          password: "hashedPassword123",
+          isVerified: true,
+          totpEnabledAt: new Date(),
+        })
+      );
+      bcrypt.compare.mockResolvedValue(true);
+      generateChallengeToken.mockReturnValue("challenge-token");
+
+      const result = await login(email, password);
+
+      expect(result).toEqual({
+        twoFactorRequired: true,
+        challengeToken: "challenge-token",
+      });
+      expect(createSession).not.toHaveBeenCalled();
+    });
+
     test("should validate password before checking verification", async () => {
       const mockUser = createMockUser({
         password: "hashedPassword123",
@@ -795,4 +961,236 @@ describe("User Service", () => {
       expect(userRepository.findUserById).toHaveBeenCalledWith(42);
     });
   });
+
+  describe("changeUserRole", () => {
+    test("should change the role and record who changed it", async () => {
+      const updatedUser = { id: 2, role: "organizer" };
+      userRepository.findUserById.mockResolvedValue(
+        createMockUser({ id: 2, role: "user" })
+      );
+      userRepository.updateUserRole.mockResolvedValue(updatedUser);
+
+      const result = await changeUserRole(2, "organizer", 1, "Runs Rock Fest");
+
+      expect(userRepository.updateUserRole).toHaveBeenCalledWith(2, {
+        fromRole: "user",
+        toRole: "organizer",
+        changedById: 1,
+        reason: "Runs Rock Fest",
+      });
+      expect(result).toEqual(updatedUser);
+    });
+
+    test("should sign the user out so the old role stops working", async () => {
+      userRepository.findUserById.mockResolvedValue(
+        createMockUser({ id: 2, role: "admin" })
+      );
+      userRepository.updateUserRole.mockResolvedValue({ id: 2, role: "user" });
+
+      await changeUserRole(2, "user", 1);
+
+      expect(revokeAllSessions).toHaveBeenCalledWith(2);
+      expect(
+        userRepository.updateUserRole.mock.invocationCallOrder[0]
+      ).toBeLessThan(revokeAllSessions.mock.invocationCallOrder[0]);
+    });
+
+    test("should keep the sessions when the role was not changed", async () => {
+      userRepository.findUserById.mockResolvedValue(null);
+
+      await expect(changeUserRole(2, "user", 1)).rejects.toThrow(
+        "User not found"
+      );
+      expect(revokeAllSessions).not.toHaveBeenCalled();
+    });
+
+    test("should reject unknown roles", async () => {
+      await expect(changeUserRole(2, "superuser", 1)).rejects.toThrow(
+        "Invalid role"
+      );
+      expect(userRepository.updateUserRole).not.toHaveBeenCalled();
+    });
+
+    test("should not let admins change their own role", async () => {
+      await expect(changeUserRole(1, "user", 1)).rejects.toThrow(
+        "You cannot change your own role"
+      );
+      expect(userRepository.updateUserRole).not.toHaveBeenCalled();
+    });
+
+    test("should throw error if user not found", async () => {
+      userRepository.findUserById.mockResolvedValue(null);
+
+      await expect(changeUserRole(99, "staff", 1)).rejects.toThrow(
+        "User not found"
+      );
+    });
+
+    test("should reject a change to the current role", async () => {
+      userRepository.findUserById.mockResolvedValue(
+        createMockUser({ id: 2, role: "staff" })
+      );
+
+      await expect(changeUserRole(2, "staff", 1)).rejects.toThrow(
+        "User already has the staff role"
+      );
+    });
+
+    test("should not demote the last admin", async () => {
+      userRepository.findUserById.mockResolvedValue(
+        createMockUser({ id: 2, role: "admin" })
+      );
+      userRepository.updateUserRole.mockRejectedValueOnce(
+        new Error("Cannot demote the last admin")
+      );
+
+      await expect(changeUserRole(2, "user", 1)).rejects.toThrow(
+        "Cannot demote the last admin"
+      );
+      expect(userRepository.updateUserRole).toHaveBeenCalledWith(2, {
+        fromRole: "admin",
+        toRole: "user",
+        changedById: 1,
+        reason: undefined,
+      });
+      expect(revokeAllSessions).not.toHaveBeenCalled();
+    });
+
+    test("should demote an admin when other admins remain", async () => {
+      userRepository.findUserById.mockResolvedValue(
+        createMockUser({ id: 2, role: "admin" })
+      );
+      userRepository.updateUserRole.mockResolvedValue({ id: 2, role: "user" });
+
+      await changeUserRole(2, "user", 1);
+
+      expect(userRepository.updateUserRole).toHaveBeenCalled();
+    });
+  });
+
+  describe("getUserRoleChanges", () => {
+    test("should return the user's role changes", async () => {
+      const changes = [{ id: 1, fromRole: "user", toRole: "staff" }];
+      userRepository.findUserById.mockResolvedValue(createMockUser());
+      userRepository.findRoleChangesByUser.mockResolvedValue(changes);
+
+      const result = await getUserRoleChanges(1);
+
+      expect(userRepository.findRoleChangesByUser).toHaveBeenCalledWith(1);
+      expect(result).toEqual(changes);
+    });
+
+    test("should throw error if user not found", async () => {
+      userRepository.findUserById.mockResolvedValue(null);
+
+      await expect(getUserRoleChanges(99)).rejects.toThrow("User not found");
+    });
+  });
+
+  describe("unlockUser", () => {
+    test("should clear the lockout for the user's email", async () => {
+      userRepository.findUserById.mockResolvedValue(createMockUser());
+      throttleService.unlockAccount.mockResolvedValue({ cleared: 2 });
+
+      const result = await unlockUser(1);
+
+      expect(throttleService.unlockAccount).toHaveBeenCalledWith(
+        "john@example.com"
+      );
+      expect(result).toEqual({ cleared: 2 });
+    });
+
+    test("should throw error if user not found", async () => {
+      userRepository.findUserById.mockResolvedValue(null);
+
+      await expect(unlockUser(99)).rejects.toThrow("User not found");
+      expect(throttleService.unlockAccount).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("bootstrapAdmin", () => {
+    const adminData = {
+      email: "admin@example.com",
+      password: "secret123",
+      name: "Site Admin",
+      phoneNumber: "081234567890",
+      age: "30",
+    };
+
+    test("should create a verified account and promote it to admin", async () => {
+      const admin = { id: 5, email: "admin@example.com", role: "admin" };
+      userRepository.countUsersByRole.mockResolvedValue(0);
+      userRepository.findUserByEmail.mockResolvedValue(null);
+      bcrypt.hash.mockResolvedValue("hashedSecret");
+      userRepository.createAuth.mockResolvedValue(createMockAuth({ id: 9 }));
+      userRepository.createUser.mockResolvedValue(
+        createMockUser({ id: 5, role: "user" })
+      );
+      userRepository.updateUserRole.mockResolvedValue(admin);
+
+      const result = await bootstrapAdmin(adminData);
+
+      expect(userRepository.createUser).toHaveBeenCalledWith({
+        email: "admin@example.com",
+        name: "Site Admin",
+        age: 30,
+        phoneNumber: "081234567890",
+        password: "hashedSecret",
+        role: "user",
+        authId: 9,
+        isVerified: true,
+      });
+      expect(userRepository.updateUserRole).toHaveBeenCalledWith(5, {
+        fromRole: "user",
+        toRole: "admin",
+        reason: "Initial admin bootstrap",
+        source: "bootstrap",
+      });
+      expect(result).toEqual({ user: admin, created: true });
+    });
+
+    test("should promote an existing user without creating an account", async () => {
+      userRepository.countUsersByRole.mockResolvedValue(0);
+      userRepository.findUserByEmail.mockResolvedValue(
+        createMockUser({ id: 3, role: "user" })
+      );
+      userRepository.updateUserRole.mockResolvedValue({ id: 3, role: "admin" });
+
+      const result = await bootstrapAdmin({ email: "john@example.com" });
+
+      expect(userRepository.createUser).not.toHaveBeenCalled();
+      expect(userRepository.updateUserRole).toHaveBeenCalledWith(
+        3,
+        expect.objectContaining({ fromRole: "user", toRole: "admin" })
+      );
+      expect(result.created).toBe(false);
+    });
+
+    test("should refuse to run once an admin exists", async () => {
+      userRepository.countUsersByRole.mockResolvedValue(1);
+
+      await expect(bootstrapAdmin(adminData)).rejects.toThrow(
+        "An admin already exists"
+      );
+      expect(userRepository.updateUserRole).not.toHaveBeenCalled();
+    });
+
+    test("should require an email", async () => {
+      await expect(bootstrapAdmin({})).rejects.toThrow(
+        "Admin email is required"
+      );
+    });
+
+    test("should require account details for a new admin", async () => {
+      userRepository.countUsersByRole.mockResolvedValue(0);
+      userRepository.findUserByEmail.mockResolvedValue(null);
+
+      await expect(
+        bootstrapAdmin({ email: "admin@example.com", password: "123" })
+      ).rejects.toThrow(
+        "Name, phone number and a password of at least 6 characters are required to create the admin"
+      );
+      expect(userRepository.createAuth).not.toHaveBeenCalled();
+    });
+  });
 });
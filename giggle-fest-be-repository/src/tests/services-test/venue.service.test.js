@@ -0,0 +1,391 @@
+import { jest, describe, it, expect, beforeEach } from "@jest/globals";
+
+const mockCreateVenue = jest.fn();
+const mockFindAllVenues = jest.fn();
+const mockFindVenueById = jest.fn();
+
+jest.unstable_mockModule("../../repositories/venue.repository.js", () => ({
+  createVenue: mockCreateVenue,
+  findAllVenues: mockFindAllVenues,
+  findVenueById: mockFindVenueById,
+}));
+
+const mockReplaceEventSeating = jest.fn();
+const mockFindEventSeats = jest.fn();
+const mockCountTicketSeats = jest.fn();
+
+jest.unstable_mockModule("../../repositories/seat.repository.js", () => ({
+  replaceEventSeating: mockReplaceEventSeating,
+  findEventSeats: mockFindEventSeats,
+  countTicketSeats: mockCountTicketSeats,
+}));
+
+const mockFindEventById = jest.fn();
+const mockHasEventSales = jest.fn();
+
+jest.unstable_mockModule("../../repositories/event.repository.js", () => ({
+  findEventById: mockFindEventById,
+  hasEventSales: mockHasEventSales,
+}));
+
+// none of the tickets are bundled unless a test says so
+const mockFindBundleInfo = jest.fn(() => Promise.resolve([]));
+
+jest.unstable_mockModule("../../repositories/ticket.repository.js", () => ({
+  findBundleInfo: mockFindBundleInfo,
+}));
+
+const mockAssertEventAccess = jest.fn();
+
+jest.unstable_mockModule("../../services/organization.service.js", () => ({
+  assertEventAccess: mockAssertEventAccess,
+}));
+
+// tickets cost their base price unless a test sets a tier price
+const mockWithTicketPricing = jest.fn((tickets) =>
+  Promise.resolve(
+    tickets.map((ticket) => ({ ...ticket, effectivePrice: ticket.price }))
+  )
+);
+
+jest.unstable_mockModule("../../services/pricing.service.js", () => ({
+  withTicketPricing: mockWithTicketPricing,
+}));
+
+const {
+  createVenue,
+  getAllVenues,
+  getVenueById,
+  checkSeatSelection,
+  configureEventSeating,
+  getSeatAvailability,
+} = await import("../../services/venue.service.js");
+
+describe("Venue Service", () => {
+  const organizer = { id: 3, role: "organizer" };
+
+  const venue = {
+    id: 2,
+    name: "City Hall",
+    seats: [
+      { id: 1, section: "Orchestra", row: "A", number: 1 },
+      { id: 2, section: "Orchestra", row: "A", number: 2 },
+      { id: 3, section: "Orchestra", row: "B", number: 1 },
+      { id: 4, section: "Balcony", row: "A", number: 1 },
+    ],
+  };
+
+  const event = {
+    id: 4,
+    name: "Rock Fest",
+    status: "published",
+    publishAt: null,
+    venueId: 2,
+    seatMap: { stage: "north" },
+    tickets: [
+      { id: 10, name: "Front", price: 500000 },
+      { id: 11, name: "Back", price: 300000 },
+      { id: 12, name: "Standing", price: 150000 },
+    ],
+  };
+
+  const eventSeat = (id, seat, ticketId, overrides = {}) => ({
+    id,
+    seatId: seat.id,
+    ticketId,
+    status: "available",
+    heldUntil: null,
+    seat,
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("createVenue", () => {
+    it("should number the seats of every row from 1", async () => {
+      mockCreateVenue.mockResolvedValueOnce({ id: 2 });
+
+      await createVenue({
+        name: "City Hall",
+        sections: [
+          {
+            name: "Orchestra",
+            rows: [
+              { name: "A", seats: 2 },
+              { name: "B", seats: 1 },
+            ],
+          },
+          { name: "Balcony", rows: [{ name: "A", seats: 1 }] },
+        ],
+      });
+
+      expect(mockCreateVenue).toHaveBeenCalledWith({
+        name: "City Hall",
+        address: undefined,
+        seats: [
+          { section: "Orchestra", row: "A", number: 1 },
+          { section: "Orchestra", row: "A", number: 2 },
+          { section: "Orchestra", row: "B", number: 1 },
+          { section: "Balcony", row: "A", number: 1 },
+        ],
+      });
+    });
+  });
+
+  describe("getAllVenues", () => {
+    it("should pass the query to the repository", async () => {
+      mockFindAllVenues.mockResolvedValueOnce({ venues: [] });
+
+      await getAllVenues({ page: 1, search: "hall" });
+
+      expect(mockFindAllVenues).toHaveBeenCalledWith({
+        page: 1,
+        search: "hall",
+      });
+    });
+  });
+
+  describe("getVenueById", () => {
+    it("should throw when the venue does not exist", async () => {
+      mockFindVenueById.mockResolvedValueOnce(null);
+
+      await expect(getVenueById(99)).rejects.toThrow("Venue not found");
+    });
+  });
+
+  describe("checkSeatSelection", () => {
+    it("should require seats for a seated ticket", async () => {
+      mockCountTicketSeats.mockResolvedValueOnce(120);
+
+      await expect(checkSeatSelection(10)).rejects.toThrow(
+        "Choose seats for this ticket"
+      );
+    });
+
+    it("should refuse seats for a general admission ticket", async () => {
+      mockCountTicketSeats.mockResolvedValueOnce(0);
+
+      await expect(checkSeatSelection(12, [1])).rejects.toThrow(
+        "This ticket does not have reserved seating"
+      );
+    });
+
+    it("should tell whether the ticket is seated", async () => {
+      mockCountTicketSeats.mockResolvedValueOnce(120).mockResolvedValueOnce(0);
+
+      expect(await checkSeatSelection(10, [1])).toBe(true);
+      expect(await checkSeatSelection(12)).toBe(false);
+    });
+  });
+
+  describe("configureEventSeating", () => {
+    const assignments = [
+      { ticketId: 10, section: "Orchestra", rows: ["A"] },
+      { ticketId: 11, section: "Orchestra", rows: ["B"] },
+      { ticketId: 11, section: "Balcony" },
+    ];
+
+    beforeEach(() => {
+      mockAssertEventAccess.mockResolvedValue(event);
+      mockHasEventSales.mockResolvedValue(false);
+      mockFindVenueById.mockResolvedValue(venue);
+    });
+
+    it("should assign the listed rows and sections to ticket types", async () => {
+      mockReplaceEventSeating.mockResolvedValueOnce(event);
+      mockFindEventSeats.mockResolvedValueOnce([
+        eventSeat(21, venue.seats[0], 10),
+        eventSeat(22, venue.seats[1], 10),
+        eventSeat(23, venue.seats[2], 11),
+        eventSeat(24, venue.seats[3], 11),
+      ]);
+
+      const result = await configureEventSeating(organizer, 4, {
+        venueId: 2,
+        seatMap: { stage: "north" },
+        assignments,
+      });
+
+      expect(mockAssertEventAccess).toHaveBeenCalledWith(organizer, 4);
+      expect(mockReplaceEventSeating).toHaveBeenCalledWith(4, {
+        venueId: 2,
+        seatMap: { stage: "north" },
+        assignments: [
+          { ticketId: 10, seatIds: [1, 2] },
+          { ticketId: 11, seatIds: [3, 4] },
+        ],
+      });
+      expect(result.tickets).toEqual([
+        {
+          ticketId: 10,
+          name: "Front",
+          price: 500000,
+          available: 2,
+          held: 0,
+          sold: 0,
+        },
+        {
+          ticketId: 11,
+          name: "Back",
+          price: 300000,
+          available: 2,
+          held: 0,
+          sold: 0,
+        },
+      ]);
+    });
+
+    it("should not move seats once tickets have been sold", async () => {
+      mockHasEventSales.mockResolvedValueOnce(true);
+
+      await expect(
+        configureEventSeating(organizer, 4, { venueId: 2, assignments })
+      ).rejects.toThrow("Cannot change the seating of an event with sales");
+      expect(mockReplaceEventSeating).not.toHaveBeenCalled();
+    });
+
+    it("should not seat tickets that are sold in a bundle", async () => {
+      mockFindBundleInfo.mockResolvedValueOnce([
+        { id: 10, name: "Front", _count: { bundleItems: 0, bundledIn: 1 } },
+        { id: 11, name: "Back", _count: { bundleItems: 0, bundledIn: 0 } },
+      ]);
+
+      await expect(
+        configureEventSeating(organizer, 4, { venueId: 2, assignments })
+      ).rejects.toThrow("Front is sold in a bundle and cannot be seated");
+      expect(mockFindBundleInfo).toHaveBeenCalledWith([10, 11]);
+      expect(mockReplaceEventSeating).not.toHaveBeenCalled();
+    });
+
+    it("should reject ticket types of another event", async () => {
+      await expect(
+        configureEventSeating(organizer, 4, {
+          venueId: 2,
+          assignments: [{ ticketId: 99, section: "Orchestra" }],
+        })
+      ).rejects.toThrow("Ticket 99 does not belong to this event");
+    });
+
+    it("should reject a section the venue does not have", async () => {
+      await expect(
+        configureEventSeating(organizer, 4, {
+          venueId: 2,
+          assignments: [{ ticketId: 10, section: "Gallery" }],
+        })
+      ).rejects.toThrow("Venue has no seats in Gallery");
+    });
+
+    it("should not give one seat to two ticket types", async () => {
+      await expect(
+        configureEventSeating(organizer, 4, {
+          venueId: 2,
+          assignments: [
+            { ticketId: 10, section: "Orchestra" },
+            { ticketId: 11, section: "Orchestra", rows: ["B"] },
+          ],
+        })
+      ).rejects.toThrow(
+        "Orchestra, row B, seat 1 is assigned to more than one ticket type"
+      );
+      expect(mockReplaceEventSeating).not.toHaveBeenCalled();
+    });
+
+    it("should throw when the venue does not exist", async () => {
+      mockFindVenueById.mockResolvedValueOnce(null);
+
+      await expect(
+        configureEventSeating(organizer, 4, { venueId: 9, assignments })
+      ).rejects.toThrow("Venue not found");
+    });
+  });
+
+  describe("getSeatAvailability", () => {
+    it("should report every seat's status with a summary per ticket type", async () => {
+      mockFindEventById.mockResolvedValueOnce(event);
+      mockFindEventSeats.mockResolvedValueOnce([
+        eventSeat(21, venue.seats[0], 10, { status: "sold" }),
+        eventSeat(22, venue.seats[1], 10, {
+          status: "held",
+          heldUntil: new Date(Date.now() + 60000),
+        }),
+        eventSeat(23, venue.seats[2], 11, {
+          status: "held",
+          heldUntil: new Date(Date.now() - 60000),
+        }),
+      ]);
+
+      const result = await getSeatAvailability("4");
+
+      expect(result.eventId).toBe(4);
+      expect(result.venueId).toBe(2);
+      expect(result.seatMap).toEqual({ stage: "north" });
+      expect(result.seats).toEqual([
+        {
+          id: 21,
+          section: "Orchestra",
+          row: "A",
+          number: 1,
+          ticketId: 10,
+          status: "sold",
+        },
+        {
+          id: 22,
+          section: "Orchestra",
+          row: "A",
+          number: 2,
+          ticketId: 10,
+          status: "held",
+        },
+        {
+          id: 23,
+          section: "Orchestra",
+          row: "B",
+          number: 1,
+          ticketId: 11,
+          status: "available",
+        },
+      ]);
+      expect(result.tickets.map((ticket) => ticket.ticketId)).toEqual([10, 11]);
+      expect(result.tickets[0]).toMatchObject({
+        available: 0,
+        held: 1,
+        sold: 1,
+      });
+    });
+
+    it("should show each ticket type at its current tier price", async () => {
+      mockFindEventById.mockResolvedValueOnce(event);
+      mockFindEventSeats.mockResolvedValueOnce([
+        eventSeat(21, venue.seats[0], 10),
+      ]);
+      mockWithTicketPricing.mockResolvedValueOnce([
+        { ...event.tickets[0], effectivePrice: 400000 },
+      ]);
+
+      const result = await getSeatAvailability("4");
+
+      expect(mockWithTicketPricing).toHaveBeenCalledWith(
+        [event.tickets[0]],
+        expect.any(Date)
+      );
+      expect(result.tickets[0].price).toBe(400000);
+    });
+
+    it("should hide events that are not public", async () => {
+      mockFindEventById.mockResolvedValueOnce({ ...event, status: "draft" });
+
+      await expect(getSeatAvailability("4")).rejects.toThrow("Event not found");
+    });
+
+    it("should refuse events without reserved seating", async () => {
+      mockFindEventById.mockResolvedValueOnce({ ...event, venueId: null });
+
+      await expect(getSeatAvailability("4")).rejects.toThrow(
+        "This event does not have reserved seating"
+      );
+      expect(mockFindEventSeats).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,199 @@
+import { jest, describe, it, expect, beforeEach } from "@jest/globals";
+
+const mockFindOpenEntry = jest.fn();
+const mockCreateEntry = jest.fn();
+const mockFindEntryById = jest.fn();
+const mockFindEntriesByUser = jest.fn();
+const mockCountWaitingAhead = jest.fn();
+const mockLeaveEntry = jest.fn();
+const mockOfferReleasedStock = jest.fn();
+
+jest.unstable_mockModule("../../repositories/waitlist.repository.js", () => ({
+  findOpenEntry: mockFindOpenEntry,
+  createEntry: mockCreateEntry,
+  findEntryById: mockFindEntryById,
+  findEntriesByUser: mockFindEntriesByUser,
+  countWaitingAhead: mockCountWaitingAhead,
+  leaveEntry: mockLeaveEntry,
+  offerReleasedStock: mockOfferReleasedStock,
+}));
+
+const mockFindTicketById = jest.fn();
+
+jest.unstable_mockModule("../../repositories/ticket.repository.js", () => ({
+  findTicketById: mockFindTicketById,
+}));
+
+const mockCountTicketSeats = jest.fn();
+
+jest.unstable_mockModule("../../repositories/seat.repository.js", () => ({
+  countTicketSeats: mockCountTicketSeats,
+}));
+
+const { joinWaitlist, getMyWaitlist, leaveWaitlist, offerReleasedStock } =
+  await import("../../services/waitlist.service.js");
+
+describe("Waitlist Service", () => {
+  const soldOut = {
+    id: 5,
+    name: "VIP",
+    quantity: 0,
+    event: { name: "Rock Fest", status: "published" },
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("joinWaitlist", () => {
+    it("should put the user at the back of the line", async () => {
+      mockFindTicketById.mockResolvedValueOnce(soldOut);
+      mockCountTicketSeats.mockResolvedValueOnce(0);
+      mockFindOpenEntry.mockResolvedValueOnce(null);
+      mockCreateEntry.mockResolvedValueOnce({
+        id: 9,
+        ticketId: 5,
+        status: "waiting",
+      });
+      mockCountWaitingAhead.mockResolvedValueOnce(3);
+
+      const result = await joinWaitlist(1, { ticketId: 5, quantity: 2 });
+
+      expect(mockCreateEntry).toHaveBeenCalledWith({
+        userId: 1,
+        ticketId: 5,
+        quantity: 2,
+      });
+      expect(result.position).toBe(4);
+    });
+
+    it("should throw for an unknown ticket", async () => {
+      mockFindTicketById.mockResolvedValueOnce(null);
+
+      await expect(
+        joinWaitlist(1, { ticketId: 5, quantity: 2 })
+      ).rejects.toThrow("Ticket not found");
+    });
+
+    it("should refuse tickets that are not on sale", async () => {
+      mockFindTicketById.mockResolvedValueOnce({
+        ...soldOut,
+        event: { name: "Rock Fest", status: "cancelled" },
+      });
+
+      await expect(
+        joinWaitlist(1, { ticketId: 5, quantity: 2 })
+      ).rejects.toThrow("Tickets for Rock Fest are not on sale");
+      expect(mockCreateEntry).not.toHaveBeenCalled();
+    });
+
+    it("should refuse seated tickets", async () => {
+      mockFindTicketById.mockResolvedValueOnce(soldOut);
+      mockCountTicketSeats.mockResolvedValueOnce(120);
+
+      await expect(
+        joinWaitlist(1, { ticketId: 5, quantity: 2 })
+      ).rejects.toThrow(
+        "Waitlists are only open for general admission tickets"
+      );
+    });
+
+    it("should refuse bundles", async () => {
+      mockFindTicketById.mockResolvedValueOnce({
+        ...soldOut,
+        bundleItems: [{ ticketId: 2, quantity: 4 }],
+      });
+      mockCountTicketSeats.mockResolvedValueOnce(0);
+
+      await expect(
+        joinWaitlist(1, { ticketId: 5, quantity: 2 })
+      ).rejects.toThrow("Waitlists are not open for bundles");
+      expect(mockCreateEntry).not.toHaveBeenCalled();
+    });
+
+    it("should send buyers to the cart while enough stock is left", async () => {
+      mockFindTicketById.mockResolvedValueOnce({ ...soldOut, quantity: 2 });
+      mockCountTicketSeats.mockResolvedValueOnce(0);
+
+      await expect(
+        joinWaitlist(1, { ticketId: 5, quantity: 2 })
+      ).rejects.toThrow("Tickets are still available, add them to your cart");
+    });
+
+    it("should let a user wait for more than what is left", async () => {
+      mockFindTicketById.mockResolvedValueOnce({ ...soldOut, quantity: 1 });
+      mockCountTicketSeats.mockResolvedValueOnce(0);
+      mockFindOpenEntry.mockResolvedValueOnce(null);
+      mockCreateEntry.mockResolvedValueOnce({ id: 9, status: "waiting" });
+      mockCountWaitingAhead.mockResolvedValueOnce(0);
+
+      const result = await joinWaitlist(1, { ticketId: 5, quantity: 2 });
+
+      expect(result.position).toBe(1);
+    });
+
+    it("should not add the user twice", async () => {
+      mockFindTicketById.mockResolvedValueOnce(soldOut);
+      mockCountTicketSeats.mockResolvedValueOnce(0);
+      mockFindOpenEntry.mockResolvedValueOnce({ id: 9 });
+
+      await expect(
+        joinWaitlist(1, { ticketId: 5, quantity: 2 })
+      ).rejects.toThrow("You are already on the waitlist for this ticket");
+      expect(mockCreateEntry).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("getMyWaitlist", () => {
+    it("should give waiting entries their position", async () => {
+      mockFindEntriesByUser.mockResolvedValueOnce([
+        { id: 9, ticketId: 5, status: "waiting" },
+        { id: 4, ticketId: 6, status: "offered" },
+      ]);
+      mockCountWaitingAhead.mockResolvedValueOnce(1);
+
+      const result = await getMyWaitlist(1);
+
+      expect(result.map((entry) => entry.position)).toEqual([2, null]);
+      expect(mockCountWaitingAhead).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("leaveWaitlist", () => {
+    it("should take the user out of the line", async () => {
+      mockFindEntryById.mockResolvedValueOnce({ id: 9, status: "waiting" });
+      mockLeaveEntry.mockResolvedValueOnce(true);
+
+      const result = await leaveWaitlist(1, 9);
+
+      expect(mockFindEntryById).toHaveBeenCalledWith(9, 1);
+      expect(result.status).toBe("left");
+    });
+
+    it("should throw for an unknown entry", async () => {
+      mockFindEntryById.mockResolvedValueOnce(null);
+
+      await expect(leaveWaitlist(1, 9)).rejects.toThrow(
+        "Waitlist entry not found"
+      );
+    });
+
+    it("should refuse an entry that has been offered tickets", async () => {
+      mockFindEntryById.mockResolvedValueOnce({ id: 9, status: "offered" });
+      mockLeaveEntry.mockResolvedValueOnce(false);
+
+      await expect(leaveWaitlist(1, 9)).rejects.toThrow(
+        "Cannot leave the waitlist once tickets have been offered"
+      );
+    });
+  });
+
+  describe("offerReleasedStock", () => {
+    it("should offer the ticket's stock to the waitlist", async () => {
+      mockOfferReleasedStock.mockResolvedValueOnce([{ id: 9 }]);
+
+      expect(await offerReleasedStock(5)).toEqual([{ id: 9 }]);
+      expect(mockOfferReleasedStock).toHaveBeenCalledWith(5);
+    });
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it, expect } from "@jest/globals";
+import {
+  CART_HOLD_MINUTES,
+  getCartHoldExpiry,
+  isHoldActive,
+  getHoldStatus,
+} from "../../utils/cartHold.js";
+
+describe("Cart Hold", () => {
+  const now = new Date("2026-01-01T00:00:00.000Z");
+
+  describe("getCartHoldExpiry", () => {
+    it("should hold cart items for the configured minutes", () => {
+      expect(CART_HOLD_MINUTES).toBe(15);
+      expect(getCartHoldExpiry(now)).toEqual(
+        new Date("2026-01-01T00:15:00.000Z")
+      );
+    });
+  });
+
+  describe("isHoldActive", () => {
+    it.each([
+      ["running", new Date("2026-01-01T00:00:01.000Z"), true],
+      ["ending now", now, false],
+      ["expired", new Date("2025-12-31T23:59:00.000Z"), false],
+      ["released", null, false],
+    ])("should treat a %s hold correctly", (_, heldUntil, active) => {
+      expect(isHoldActive({ heldUntil }, now)).toBe(active);
+    });
+  });
+
+  describe("getHoldStatus", () => {
+    it("should count down the seconds left, rounding up", () => {
+      const heldUntil = new Date("2026-01-01T00:01:30.500Z");
+
+      expect(getHoldStatus({ heldUntil }, now)).toEqual({
+        expiresAt: heldUntil,
+        secondsLeft: 91,
+        expired: false,
+      });
+    });
+
+    it("should report an expired hold with no time left", () => {
+      const heldUntil = new Date("2025-12-31T23:59:00.000Z");
+
+      expect(getHoldStatus({ heldUntil }, now)).toEqual({
+        expiresAt: heldUntil,
+        secondsLeft: 0,
+        expired: true,
+      });
+    });
+  });
+});
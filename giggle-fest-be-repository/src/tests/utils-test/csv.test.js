@@ -0,0 +1,46 @@
+import { describe, it, expect } from "@jest/globals";
+import { parseCsv } from "../../utils/csv.js";
+
+describe("CSV", () => {
+  describe("parseCsv", () => {
+    it("should key every line by the header", () => {
+      const records = parseCsv("eventName,price\nRock Night,100\nJazz,200\n");
+
+      expect(records).toEqual([
+        { line: 2, values: { eventName: "Rock Night", price: "100" } },
+        { line: 3, values: { eventName: "Jazz", price: "200" } },
+      ]);
+    });
+
+    it("should handle quotes, commas and line breaks in fields", () => {
+      const records = parseCsv(
+        'name,description\r\n"Rock, Live","Say ""hi""\nthen rock"\r\nJazz,Chill'
+      );
+
+      expect(records).toEqual([
+        {
+          line: 2,
+          values: { name: "Rock, Live", description: 'Say "hi"\nthen rock' },
+        },
+        { line: 4, values: { name: "Jazz", description: "Chill" } },
+      ]);
+    });
+
+    it("should skip blank lines, a BOM and missing trailing cells", () => {
+      const records = parseCsv("\uFEFFa,b\n\n1\n,\n");
+
+      expect(records).toEqual([{ line: 3, values: { a: "1", b: "" } }]);
+    });
+
+    it("should return nothing for an empty file", () => {
+      expect(parseCsv("")).toEqual([]);
+      expect(parseCsv("a,b\n")).toEqual([]);
+    });
+
+    it("should reject an unterminated quote", () => {
+      expect(() => parseCsv('a\n"open')).toThrow(
+        "Invalid CSV: unterminated quoted field"
+      );
+    });
+  });
+});
@@ -0,0 +1,170 @@
+import { describe, it, expect } from "@jest/globals";
+import {
+  EVENT_STATUSES,
+  canTransitionEvent,
+  assertTicketOnSale,
+  isTicketOnSale,
+  publicEventWhere,
+  isEventPublic,
+} from "../../utils/eventStatus.js";
+
+describe("Event Status", () => {
+  describe("canTransitionEvent", () => {
+    it.each([
+      ["draft", "published"],
+      ["draft", "cancelled"],
+      ["published", "postponed"],
+      ["published", "cancelled"],
+      ["published", "completed"],
+      ["postponed", "published"],
+      ["postponed", "cancelled"],
+    ])("should allow %s -> %s", (from, to) => {
+      expect(canTransitionEvent(from, to)).toBe(true);
+    });
+
+    it.each([
+      ["draft", "completed"],
+      ["postponed", "completed"],
+      ["cancelled", "published"],
+      ["completed", "cancelled"],
+      ["published", "published"],
+      ["unknown", "published"],
+    ])("should refuse %s -> %s", (from, to) => {
+      expect(canTransitionEvent(from, to)).toBe(false);
+    });
+  });
+
+  describe("publicEventWhere", () => {
+    it("should leave out drafts and events scheduled after now", () => {
+      const now = new Date("2026-01-01T00:00:00.000Z");
+
+      expect(publicEventWhere(now)).toEqual({
+        AND: [
+          { status: { not: "draft" } },
+          { OR: [{ publishAt: null }, { publishAt: { lte: now } }] },
+        ],
+      });
+    });
+  });
+
+  describe("isEventPublic", () => {
+    const now = new Date("2026-01-01T00:00:00.000Z");
+
+    it("should show published events without a publishAt", () => {
+      expect(isEventPublic({ status: "published", publishAt: null }, now)).toBe(
+        true
+      );
+    });
+
+    it("should show cancelled events so buyers can see what happened", () => {
+      expect(isEventPublic({ status: "cancelled" }, now)).toBe(true);
+    });
+
+    it("should hide drafts", () => {
+      expect(isEventPublic({ status: "draft" }, now)).toBe(false);
+    });
+
+    it("should hide an event until its publishAt", () => {
+      const event = {
+        status: "published",
+        publishAt: new Date("2026-01-02T00:00:00.000Z"),
+      };
+
+      expect(isEventPublic(event, now)).toBe(false);
+      expect(isEventPublic(event, new Date("2026-01-02T00:00:00.000Z"))).toBe(
+        true
+      );
+    });
+  });
+
+  describe("assertTicketOnSale", () => {
+    it("should allow tickets of a published event", () => {
+      expect(() =>
+        assertTicketOnSale({
+          event: { name: "Rock Fest", status: EVENT_STATUSES.PUBLISHED },
+        })
+      ).not.toThrow();
+    });
+
+    it.each(["draft", "postponed", "cancelled", "completed"])(
+      "should refuse tickets of a %s event",
+      (status) => {
+        expect(() =>
+          assertTicketOnSale({ event: { name: "Rock Fest", status } })
+        ).toThrow("Tickets for Rock Fest are not on sale");
+      }
+    );
+
+    it("should leave tickets loaded without their event alone", () => {
+      expect(() => assertTicketOnSale({ id: 1 })).not.toThrow();
+    });
+
+    it("should not sell before a scheduled event goes live", () => {
+      const ticket = {
+        event: {
+          name: "Rock Fest",
+          status: "published",
+          publishAt: new Date("2026-01-02T00:00:00.000Z"),
+        },
+      };
+
+      expect(() =>
+        assertTicketOnSale(ticket, new Date("2026-01-01T00:00:00.000Z"))
+      ).toThrow("Tickets for Rock Fest are not on sale");
+    });
+
+    describe("sales window", () => {
+      const ticket = {
+        name: "Early Bird",
+        salesStart: new Date("2026-01-01T00:00:00.000Z"),
+        salesEnd: new Date("2026-02-01T00:00:00.000Z"),
+      };
+
+      it("should refuse sales before the window opens", () => {
+        expect(() =>
+          assertTicketOnSale(ticket, new Date("2025-12-31T00:00:00.000Z"))
+        ).toThrow(
+          "Sales for Early Bird open on Thu, 01 Jan 2026 00:00:00 GMT"
+        );
+      });
+
+      it("should sell inside the window", () => {
+        expect(() =>
+          assertTicketOnSale(ticket, new Date("2026-01-15T00:00:00.000Z"))
+        ).not.toThrow();
+      });
+
+      it("should refuse sales once the window has closed", () => {
+        expect(() =>
+          assertTicketOnSale(ticket, new Date("2026-02-01T00:00:00.000Z"))
+        ).toThrow("Sales for Early Bird have closed");
+      });
+    });
+  });
+
+  describe("isTicketOnSale", () => {
+    const now = new Date("2026-01-15T00:00:00.000Z");
+
+    it("should report tickets inside their sales window as on sale", () => {
+      const ticket = {
+        salesEnd: new Date("2026-02-01T00:00:00.000Z"),
+        event: { name: "Rock Fest", status: "published" },
+      };
+
+      expect(isTicketOnSale(ticket, now)).toBe(true);
+    });
+
+    it.each([
+      [
+        "a cancelled event",
+        { event: { name: "Rock Fest", status: "cancelled" } },
+      ],
+      [
+        "a closed sales window",
+        { salesEnd: new Date("2026-01-01T00:00:00.000Z") },
+      ],
+    ])("should report tickets of %s as not on sale", (_, ticket) => {
+      expect(isTicketOnSale(ticket, now)).toBe(false);
+    });
+  });
+});
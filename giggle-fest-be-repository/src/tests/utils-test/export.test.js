@@ -0,0 +1,140 @@
+import { describe, it, expect } from "@jest/globals";
+import { PassThrough } from "stream";
+import {
+  toCsvField,
+  readInBatches,
+  streamExport,
+} from "../../utils/export.js";
+
+const createResponse = () => {
+  const res = new PassThrough();
+  const chunks = [];
+  res.on("data", (chunk) => chunks.push(chunk));
+  res.headers = {};
+  res.statusCode = null;
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.setHeader = (name, value) => {
+    res.headers[name] = value;
+  };
+  res.body = () => Buffer.concat(chunks);
+  return res;
+};
+
+const toArray = async (rows) => {
+  const result = [];
+  for await (const row of rows) {
+    result.push(row);
+  }
+  return result;
+};
+
+describe("Export", () => {
+  describe("toCsvField", () => {
+    it("should leave plain values untouched", () => {
+      expect(toCsvField("Giggle Fest")).toBe("Giggle Fest");
+      expect(toCsvField(150000)).toBe("150000");
+      expect(toCsvField(-5)).toBe("-5");
+    });
+
+    it("should quote separators, quotes and line breaks", () => {
+      expect(toCsvField('Loud, "fun"')).toBe('"Loud, ""fun"""');
+      expect(toCsvField("line\nbreak")).toBe('"line\nbreak"');
+    });
+
+    it("should render empty values and dates", () => {
+      expect(toCsvField(null)).toBe("");
+      expect(toCsvField(undefined)).toBe("");
+      expect(toCsvField(new Date("2025-01-02T03:04:05Z"))).toBe(
+        "2025-01-02T03:04:05.000Z"
+      );
+    });
+
+    it("should defuse spreadsheet formulas", () => {
+      expect(toCsvField("=SUM(A1:A9)")).toBe("'=SUM(A1:A9)");
+      expect(toCsvField("+1")).toBe("'+1");
+      expect(toCsvField("@cmd")).toBe("'@cmd");
+    });
+  });
+
+  describe("readInBatches", () => {
+    it("should read after the last id until a short batch", async () => {
+      const calls = [];
+      const fetchBatch = async ({ afterId, take }) => {
+        calls.push({ afterId, take });
+        const ids = [1, 2, 3, 4, 5].filter((id) => id > afterId);
+        return ids.slice(0, take).map((id) => ({ id }));
+      };
+
+      const rows = await toArray(readInBatches(fetchBatch, 2));
+
+      expect(rows.map((row) => row.id)).toEqual([1, 2, 3, 4, 5]);
+      expect(calls).toEqual([
+        { afterId: 0, take: 2 },
+        { afterId: 2, take: 2 },
+        { afterId: 4, take: 2 },
+      ]);
+    });
+
+    it("should stop after an empty first batch", async () => {
+      const rows = await toArray(readInBatches(async () => [], 2));
+
+      expect(rows).toEqual([]);
+    });
+  });
+
+  describe("streamExport", () => {
+    const columns = [
+      { header: "ID", key: "id" },
+      { header: "Name", key: "name" },
+    ];
+
+    async function* rows() {
+      yield { id: 1, name: "Alice" };
+      yield { id: 2, name: "Bob, Jr." };
+    }
+
+    it("should stream a CSV download", async () => {
+      const res = createResponse();
+
+      await streamExport(res, {
+        format: "csv",
+        filename: "payments",
+        columns,
+        rows: rows(),
+      });
+
+      expect(res.statusCode).toBe(200);
+      expect(res.headers["Content-Type"]).toBe("text/csv; charset=utf-8");
+      expect(res.headers["Content-Disposition"]).toBe(
+        'attachment; filename="payments.csv"'
+      );
+      expect(res.body().toString()).toBe(
+        'ID,Name\r\n1,Alice\r\n2,"Bob, Jr."\r\n'
+      );
+    });
+
+    it("should stream an XLSX workbook", async () => {
+      const res = createResponse();
+
+      await streamExport(res, {
+        format: "xlsx",
+        filename: "payments",
+        columns,
+        rows: rows(),
+      });
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(res.headers["Content-Type"]).toBe(
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+      );
+      expect(res.headers["Content-Disposition"]).toBe(
+        'attachment; filename="payments.xlsx"'
+      );
+      // xlsx files are zip archives
+      expect(res.body().subarray(0, 2).toString()).toBe("PK");
+    });
+  });
+});
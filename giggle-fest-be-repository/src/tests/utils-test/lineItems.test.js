@@ -0,0 +1,75 @@
+import { describe, it, expect } from "@jest/globals";
+import { expandBundleLines, getRefundedLines } from "../../utils/lineItems.js";
+
+describe("Line items", () => {
+  describe("expandBundleLines", () => {
+    const vip = { id: 10, name: "VIP" };
+    const parking = { id: 11, name: "Parking" };
+
+    it("should keep lines for plain ticket types", () => {
+      const line = { ticketId: 10, quantity: 2, ticket: vip };
+
+      expect(expandBundleLines([line])).toEqual([line]);
+    });
+
+    it("should turn a bundle into its components", () => {
+      const bundle = {
+        id: 12,
+        name: "Family pack",
+        bundleItems: [
+          { ticketId: 10, quantity: 4, ticket: vip },
+          { ticketId: 11, quantity: 1, ticket: parking },
+        ],
+      };
+
+      expect(
+        expandBundleLines([{ ticketId: 12, quantity: 2, ticket: bundle }])
+      ).toEqual([
+        { ticketId: 10, quantity: 8, ticket: vip, bundleId: 12 },
+        { ticketId: 11, quantity: 2, ticket: parking, bundleId: 12 },
+      ]);
+    });
+  });
+
+  describe("getRefundedLines", () => {
+    const payment = {
+      ticketId: null,
+      order: {
+        items: [
+          { ticketId: 10, quantity: 2, subtotal: 200, discount: 0 },
+          { ticketId: 12, quantity: 1, subtotal: 300, discount: 100 },
+        ],
+      },
+      issuedTickets: [
+        { id: 1, ticketId: 10, bundleId: null },
+        { id: 2, ticketId: 10, bundleId: null },
+        // a bundle of two tickets
+        { id: 3, ticketId: 10, bundleId: 12 },
+        { id: 4, ticketId: 11, bundleId: 12 },
+      ],
+    };
+
+    it("should spread a refund over its ticket types by their value", () => {
+      const refunded = getRefundedLines({
+        ...payment,
+        refunds: [{ amount: 300, issuedTicketIds: [1, 3, 4] }],
+      });
+
+      expect(refunded).toEqual(
+        new Map([
+          [10, { quantity: 1, amount: 100 }],
+          [12, { quantity: 1, amount: 200 }],
+        ])
+      );
+    });
+
+    it("should report nothing for a payment without refunds", () => {
+      expect(getRefundedLines(payment)).toEqual(
+        new Map([
+          [10, { quantity: 0, amount: 0 }],
+          [12, { quantity: 0, amount: 0 }],
+        ])
+      );
+    });
+  });
+});
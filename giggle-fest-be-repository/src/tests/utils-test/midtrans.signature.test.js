@@ -0,0 +1,110 @@
+import { describe, it, expect } from "@jest/globals";
+import { createHash } from "crypto";
+import {
+  createSignatureKey,
+  verifySignatureKey,
+  buildNotificationPayload,
+} from "../../utils/midtrans.signature.js";
+
+describe("Midtrans Signature", () => {
+  const serverKey = "SB-Mid-server-test-key";
+
+  describe("createSignatureKey", () => {
+    it("should hash order_id, status_code, gross_amount and server key with SHA512", () => {
+      const expected = createHash("sha512")
+        .update(`ORDER-1200200000.00${serverKey}`)
+        .digest("hex");
+
+      const signature = createSignatureKey(
+        {
+          order_id: "ORDER-1",
+          status_code: "200",
+          gross_amount: "200000.00",
+        },
+        serverKey
+      );
+
+      expect(signature).toBe(expected);
+    });
+  });
+
+  describe("verifySignatureKey", () => {
+    it("should accept a payload signed with the server key", () => {
+      const payload = buildNotificationPayload(
+        { orderId: "ORDER-1", grossAmount: 200000 },
+        serverKey
+      );
+
+      expect(verifySignatureKey(payload, serverKey)).toBe(true);
+    });
+
+    it("should reject a payload signed with another key", () => {
+      const payload = buildNotificationPayload(
+        { orderId: "ORDER-1", grossAmount: 200000 },
+        "another-key"
+      );
+
+      expect(verifySignatureKey(payload, serverKey)).toBe(false);
+    });
+
+    it("should reject a payload whose amount was tampered with", () => {
+      const payload = buildNotificationPayload(
+        { orderId: "ORDER-1", grossAmount: 200000 },
+        serverKey
+      );
+
+      expect(
+        verifySignatureKey({ ...payload, gross_amount: "1.00" }, serverKey)
+      ).toBe(false);
+    });
+
+    it("should reject a payload without signature_key", () => {
+      expect(
+        verifySignatureKey(
+          { order_id: "ORDER-1", status_code: "200", gross_amount: "1.00" },
+          serverKey
+        )
+      ).toBe(false);
+    });
+
+    it("should reject when no server key is configured", () => {
+      const payload = buildNotificationPayload(
+        { orderId: "ORDER-1", grossAmount: 200000 },
+        serverKey
+      );
+
+      expect(verifySignatureKey(payload, "")).toBe(false);
+    });
+  });
+
+  describe("buildNotificationPayload", () => {
+    it("should format gross_amount with two decimals", () => {
+      const payload = buildNotificationPayload(
+        { orderId: "ORDER-1", grossAmount: 150000 },
+        serverKey
+      );
+
+      expect(payload.gross_amount).toBe("150000.00");
+      expect(payload.order_id).toBe("ORDER-1");
+    });
+
+    it("should derive status_code from transaction status", () => {
+      const settlement = buildNotificationPayload(
+        { orderId: "ORDER-1", grossAmount: 1, transactionStatus: "settlement" },
+        serverKey
+      );
+      const pending = buildNotificationPayload(
+        { orderId: "ORDER-1", grossAmount: 1, transactionStatus: "pending" },
+        serverKey
+      );
+      const expired = buildNotificationPayload(
+        { orderId: "ORDER-1", grossAmount: 1, transactionStatus: "expire" },
+        serverKey
+      );
+
+      expect(settlement.status_code).toBe("200");
+      expect(pending.status_code).toBe("201");
+      expect(expired.status_code).toBe("202");
+    });
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, it, expect } from "@jest/globals";
+import {
+  ROLES,
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  hasPermission,
+  requiresTwoFactor,
+} from "../../utils/permissions.js";
+
+describe("Permissions", () => {
+  it("should declare permissions for every role", () => {
+    expect(Object.keys(ROLE_PERMISSIONS).sort()).toEqual(
+      Object.values(ROLES).sort()
+    );
+  });
+
+  it("should grant every permission to admin", () => {
+    Object.values(PERMISSIONS).forEach((permission) => {
+      expect(hasPermission(ROLES.ADMIN, permission)).toBe(true);
+    });
+  });
+
+  it("should let every role manage its own account and buy tickets", () => {
+    Object.values(ROLES).forEach((role) => {
+      expect(hasPermission(role, PERMISSIONS.ACCOUNT_MANAGE)).toBe(true);
+      expect(hasPermission(role, PERMISSIONS.TICKETS_PURCHASE)).toBe(true);
+    });
+  });
+
+  it("should let organizers manage events, tickets and promos but not users", () => {
+    expect(hasPermission(ROLES.ORGANIZER, PERMISSIONS.EVENTS_MANAGE)).toBe(
+      true
+    );
+    expect(hasPermission(ROLES.ORGANIZER, PERMISSIONS.TICKETS_MANAGE)).toBe(
+      true
+    );
+    expect(hasPermission(ROLES.ORGANIZER, PERMISSIONS.PROMOS_MANAGE)).toBe(
+      true
+    );
+    expect(hasPermission(ROLES.ORGANIZER, PERMISSIONS.USERS_MANAGE)).toBe(
+      false
+    );
+  });
+
+  it("should keep every organization's inventory to admins", () => {
+    expect(
+      hasPermission(ROLES.ORGANIZER, PERMISSIONS.ORGANIZATIONS_MANAGE)
+    ).toBe(false);
+    expect(hasPermission(ROLES.ADMIN, PERMISSIONS.ORGANIZATIONS_MANAGE)).toBe(
+      true
+    );
+  });
+
+  it("should keep report exports to admins", () => {
+    expect(hasPermission(ROLES.ADMIN, PERMISSIONS.REPORTS_EXPORT)).toBe(true);
+    expect(hasPermission(ROLES.ORGANIZER, PERMISSIONS.REPORTS_EXPORT)).toBe(
+      false
+    );
+  });
+
+  it("should keep refund reviews to admins", () => {
+    expect(hasPermission(ROLES.ADMIN, PERMISSIONS.REFUNDS_MANAGE)).toBe(true);
+    expect(hasPermission(ROLES.ORGANIZER, PERMISSIONS.REFUNDS_MANAGE)).toBe(
+      false
+    );
+  });
+
+  it("should limit staff to check-in on top of the base permissions", () => {
+    expect(hasPermission(ROLES.STAFF, PERMISSIONS.CHECKIN_SCAN)).toBe(true);
+    expect(hasPermission(ROLES.STAFF, PERMISSIONS.EVENTS_MANAGE)).toBe(false);
+  });
+
+  it("should not grant admin permissions to users", () => {
+    expect(hasPermission(ROLES.USER, PERMISSIONS.PROMOS_MANAGE)).toBe(false);
+    expect(hasPermission(ROLES.USER, PERMISSIONS.CHECKIN_SCAN)).toBe(false);
+  });
+
+  it("should deny unknown roles", () => {
+    expect(hasPermission("superuser", PERMISSIONS.ACCOUNT_MANAGE)).toBe(false);
+    expect(hasPermission(undefined, PERMISSIONS.ACCOUNT_MANAGE)).toBe(false);
+  });
+
+  it("should require 2FA only for roles listed in REQUIRE_2FA_ROLES", () => {
+    const previous = process.env.REQUIRE_2FA_ROLES;
+    process.env.REQUIRE_2FA_ROLES = " admin ,organizer";
+
+    expect(requiresTwoFactor(ROLES.ADMIN)).toBe(true);
+    expect(requiresTwoFactor(ROLES.ORGANIZER)).toBe(true);
+    expect(requiresTwoFactor(ROLES.STAFF)).toBe(false);
+
+    delete process.env.REQUIRE_2FA_ROLES;
+    expect(requiresTwoFactor(ROLES.ADMIN)).toBe(false);
+
+    if (previous !== undefined) process.env.REQUIRE_2FA_ROLES = previous;
+  });
+});
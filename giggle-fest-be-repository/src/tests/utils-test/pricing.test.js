@@ -0,0 +1,86 @@
+import { describe, it, expect } from "@jest/globals";
+import { isTierActive, getEffectivePrice } from "../../utils/pricing.js";
+
+describe("Pricing", () => {
+  const now = new Date("2026-01-01T00:00:00.000Z");
+
+  const earlyBird = {
+    name: "Early bird",
+    price: 75000,
+    startsAt: null,
+    endsAt: new Date("2026-01-10T00:00:00.000Z"),
+    maxSold: null,
+  };
+  const firstHundred = {
+    name: "First 100",
+    price: 80000,
+    startsAt: null,
+    endsAt: null,
+    maxSold: 100,
+  };
+  const door = {
+    name: "Door",
+    price: 150000,
+    startsAt: new Date("2026-02-01T00:00:00.000Z"),
+    endsAt: null,
+    maxSold: null,
+  };
+
+  describe("isTierActive", () => {
+    it.each([
+      ["before it starts", door, false],
+      ["while it runs", earlyBird, true],
+    ])("should check a date tier %s", (_, tier, active) => {
+      expect(isTierActive(tier, { sold: 0 }, { now })).toBe(active);
+    });
+
+    it("should end a date tier at its end date", () => {
+      expect(
+        isTierActive(earlyBird, { sold: 0 }, { now: earlyBird.endsAt })
+      ).toBe(false);
+    });
+
+    it.each([
+      [98, 2, true],
+      [98, 3, false],
+      [100, 1, false],
+    ])(
+      "should check %i sold plus %i more against max sold",
+      (sold, quantity, active) => {
+        expect(isTierActive(firstHundred, { sold }, { quantity, now })).toBe(
+          active
+        );
+      }
+    );
+
+    it("should leave out the stock the buyer already holds", () => {
+      expect(
+        isTierActive(firstHundred, { sold: 100 }, { quantity: 3, held: 3, now })
+      ).toBe(true);
+    });
+  });
+
+  describe("getEffectivePrice", () => {
+    it("should use the first current tier", () => {
+      const ticket = { price: 100000, sold: 0 };
+
+      expect(
+        getEffectivePrice(ticket, [earlyBird, firstHundred], { now })
+      ).toEqual({ price: 75000, tier: earlyBird });
+    });
+
+    it("should move on once a tier sells out", () => {
+      const ticket = { price: 100000, sold: 100 };
+
+      expect(
+        getEffectivePrice(ticket, [firstHundred, earlyBird], { now })
+      ).toEqual({ price: 75000, tier: earlyBird });
+    });
+
+    it("should fall back to the ticket's price", () => {
+      expect(
+        getEffectivePrice({ price: 100000, sold: 0 }, [door], { now })
+      ).toEqual({ price: 100000, tier: null });
+    });
+  });
+});
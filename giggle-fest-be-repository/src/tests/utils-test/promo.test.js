@@ -0,0 +1,49 @@
+import { describe, it, expect } from "@jest/globals";
+import {
+  formatPromoDiscount,
+  generateCampaignCode,
+  CAMPAIGN_CODE_LENGTH,
+} from "../../utils/promo.js";
+
+describe("Promo", () => {
+  describe("formatPromoDiscount", () => {
+    it("should describe a percentage discount", () => {
+      expect(formatPromoDiscount({ discount: 20 })).toBe("20% discount");
+      expect(
+        formatPromoDiscount({ discountType: "percentage", discount: 20 })
+      ).toBe("20% discount");
+    });
+
+    it("should mention the cap of a percentage discount", () => {
+      expect(
+        formatPromoDiscount({
+          discountType: "percentage",
+          discount: 20,
+          maxDiscount: 50000,
+        })
+      ).toBe("20% discount (up to 50000)");
+    });
+
+    it("should describe a fixed discount", () => {
+      expect(
+        formatPromoDiscount({ discountType: "fixed", discount: 50000 })
+      ).toBe("50000 discount");
+    });
+  });
+
+  describe("generateCampaignCode", () => {
+    it("should put the prefix in front of the random part", () => {
+      expect(CAMPAIGN_CODE_LENGTH).toBe(10);
+      expect(generateCampaignCode("ptr")).toMatch(/^PTR-[A-Z2-9]{10}$/);
+    });
+
+    it("should leave out characters that are easily confused", () => {
+      const codes = Array.from({ length: 200 }, () => generateCampaignCode());
+
+      for (const code of codes) {
+        expect(code).toMatch(/^[A-HJ-NP-Z2-9]{10}$/);
+      }
+      expect(new Set(codes).size).toBe(200);
+    });
+  });
+});
@@ -0,0 +1,53 @@
+import { describe, it, expect } from "@jest/globals";
+import {
+  freeSeatWhere,
+  getSeatStatus,
+  formatSeat,
+} from "../../utils/seating.js";
+
+describe("Seating", () => {
+  const now = new Date("2026-01-01T00:00:00.000Z");
+
+  describe("freeSeatWhere", () => {
+    it("should match available seats and holds that ran out", () => {
+      expect(freeSeatWhere(now)).toEqual({
+        OR: [
+          { status: "available" },
+          { status: "held", heldUntil: { lte: now } },
+        ],
+      });
+    });
+  });
+
+  describe("getSeatStatus", () => {
+    it("should report a running hold as held", () => {
+      const seat = {
+        status: "held",
+        heldUntil: new Date("2026-01-01T00:05:00.000Z"),
+      };
+
+      expect(getSeatStatus(seat, now)).toBe("held");
+    });
+
+    it("should report an expired hold as available", () => {
+      const seat = {
+        status: "held",
+        heldUntil: new Date("2025-12-31T23:55:00.000Z"),
+      };
+
+      expect(getSeatStatus(seat, now)).toBe("available");
+    });
+
+    it.each(["available", "sold"])("should report %s seats as is", (status) => {
+      expect(getSeatStatus({ status, heldUntil: null }, now)).toBe(status);
+    });
+  });
+
+  describe("formatSeat", () => {
+    it("should name the section, row and seat number", () => {
+      expect(formatSeat({ section: "Balcony", row: "C", number: 12 })).toBe(
+        "Balcony, row C, seat 12"
+      );
+    });
+  });
+});
@@ -0,0 +1,57 @@
+import { describe, it, expect } from "@jest/globals";
+import {
+  generateTicketCode,
+  verifyTicketCode,
+} from "../../utils/ticketCode.js";
+
+describe("Ticket Code", () => {
+  const secret = "ticket-signing-secret";
+
+  describe("generateTicketCode", () => {
+    it("should embed the event id and a signature", () => {
+      const code = generateTicketCode(12, secret);
+
+      expect(code.split(".")).toHaveLength(3);
+      expect(code.startsWith("12.")).toBe(true);
+    });
+
+    it("should generate a different code every time", () => {
+      const codes = new Set(
+        Array.from({ length: 50 }, () => generateTicketCode(12, secret))
+      );
+
+      expect(codes.size).toBe(50);
+    });
+
+    it("should throw when no secret is configured", () => {
+      expect(() => generateTicketCode(12, "")).toThrow(
+        "Ticket signing secret is not configured"
+      );
+    });
+  });
+
+  describe("verifyTicketCode", () => {
+    it("should accept a code it signed", () => {
+      const code = generateTicketCode(12, secret);
+
+      expect(verifyTicketCode(code, secret)).toEqual({ eventId: 12 });
+    });
+
+    it("should reject a code signed with another secret", () => {
+      const code = generateTicketCode(12, "another-secret");
+
+      expect(verifyTicketCode(code, secret)).toBeNull();
+    });
+
+    it("should reject a code moved to another event", () => {
+      const [, nonce, signature] = generateTicketCode(12, secret).split(".");
+
+      expect(verifyTicketCode(`13.${nonce}.${signature}`, secret)).toBeNull();
+    });
+
+    it("should reject malformed codes", () => {
+      expect(verifyTicketCode("not-a-code", secret)).toBeNull();
+      expect(verifyTicketCode(undefined, secret)).toBeNull();
+    });
+  });
+});
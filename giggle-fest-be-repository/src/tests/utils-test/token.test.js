@@ -0,0 +1,97 @@
+import { describe, it, expect, afterEach } from "@jest/globals";
+import jwt from "jsonwebtoken";
+import {
+  generateToken,
+  generateRefreshToken,
+  hashToken,
+  getRefreshTokenExpiry,
+  generateChallengeToken,
+  verifyChallengeToken,
+} from "../../utils/token.js";
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || "token-test-secret";
+
+describe("Token utils", () => {
+  afterEach(() => {
+    delete process.env.ACCESS_TOKEN_EXPIRES_IN;
+    delete process.env.REFRESH_TOKEN_EXPIRES_DAYS;
+  });
+
+  describe("generateToken", () => {
+    it("should embed the session id and expire after 15 minutes", () => {
+      const token = generateToken(
+        { id: 1, email: "john@example.com", role: "user" },
+        9
+      );
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+      expect(decoded).toMatchObject({
+        id: 1,
+        role: "user",
+        sid: 9,
+        mfa: false,
+      });
+      expect(decoded.exp - decoded.iat).toBe(15 * 60);
+    });
+
+    it("should honour ACCESS_TOKEN_EXPIRES_IN", () => {
+      process.env.ACCESS_TOKEN_EXPIRES_IN = "5m";
+
+      const decoded = jwt.decode(generateToken({ id: 1 }, 9));
+
+      expect(decoded.exp - decoded.iat).toBe(5 * 60);
+    });
+  });
+
+  describe("generateRefreshToken", () => {
+    it("should return a different url-safe token each time", () => {
+      const first = generateRefreshToken();
+      const second = generateRefreshToken();
+
+      expect(first).toMatch(/^[A-Za-z0-9_-]{64}$/);
+      expect(first).not.toBe(second);
+    });
+  });
+
+  describe("hashToken", () => {
+    it("should hash deterministically without echoing the token", () => {
+      expect(hashToken("refresh")).toBe(hashToken("refresh"));
+      expect(hashToken("refresh")).toMatch(/^[a-f0-9]{64}$/);
+      expect(hashToken("refresh")).not.toBe(hashToken("other"));
+    });
+  });
+
+  describe("getRefreshTokenExpiry", () => {
+    it("should default to 30 days", () => {
+      const days = (getRefreshTokenExpiry() - Date.now()) / 86400000;
+
+      expect(Math.round(days)).toBe(30);
+    });
+
+    it("should honour REFRESH_TOKEN_EXPIRES_DAYS", () => {
+      process.env.REFRESH_TOKEN_EXPIRES_DAYS = "7";
+
+      const days = (getRefreshTokenExpiry() - Date.now()) / 86400000;
+
+      expect(Math.round(days)).toBe(7);
+    });
+  });
+
+  describe("challenge tokens", () => {
+    it("should round-trip a 2FA challenge that expires in 5 minutes", () => {
+      const token = generateChallengeToken({ id: 4 });
+      const decoded = verifyChallengeToken(token);
+
+      expect(decoded).toMatchObject({ id: 4, purpose: "2fa" });
+      expect(decoded.exp - decoded.iat).toBe(5 * 60);
+    });
+
+    it("should not accept an access token as a challenge", () => {
+      const token = generateToken({ id: 4, role: "admin" }, 9);
+
+      expect(() => verifyChallengeToken(token)).toThrow(
+        "Invalid challenge token"
+      );
+    });
+  });
+});
@@ -0,0 +1,129 @@
+import { describe, it, expect } from "@jest/globals";
+import {
+  base32Encode,
+  base32Decode,
+  generateTotpSecret,
+  generateTotp,
+  verifyTotp,
+  findTotpStep,
+  buildOtpauthUri,
+} from "../../utils/totp.js";
+
+// RFC 6238 appendix B uses the ASCII secret "12345678901234567890"
+const RFC_SECRET = base32Encode(Buffer.from("12345678901234567890"));
+
+describe("TOTP", () => {
+  describe("base32", () => {
+    it("should encode the RFC secret", () => {
+      expect(RFC_SECRET).toBe("GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ");
+    });
+
+    it("should round-trip arbitrary bytes", () => {
+      const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253]);
+
+      expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+    });
+
+    it("should ignore case, spaces and padding when decoding", () => {
+      expect(base32Decode("gezd gnbv gy3t qojq====")).toEqual(
+        base32Decode("GEZDGNBVGY3TQOJQ")
+      );
+    });
+
+    it("should reject characters outside the alphabet", () => {
+      expect(() => base32Decode("GEZD1")).toThrow("Invalid base32 secret");
+    });
+  });
+
+  describe("generateTotpSecret", () => {
+    it("should return a 160-bit base32 secret", () => {
+      const secret = generateTotpSecret();
+
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(base32Decode(secret)).toHaveLength(20);
+      expect(generateTotpSecret()).not.toBe(secret);
+    });
+  });
+
+  describe("generateTotp", () => {
+    it.each([
+      [59, "287082"],
+      [1111111109, "081804"],
+      [1234567890, "005924"],
+      [2000000000, "279037"],
+    ])("should match the RFC 6238 vector at %i", (seconds, expected) => {
+      expect(generateTotp(RFC_SECRET, seconds * 1000)).toBe(expected);
+    });
+  });
+
+  describe("verifyTotp", () => {
+    const time = 1111111109 * 1000;
+
+    it("should accept the current code", () => {
+      expect(verifyTotp(RFC_SECRET, "081804", { time })).toBe(true);
+    });
+
+    it("should accept a code from the previous step", () => {
+      const previous = generateTotp(RFC_SECRET, time - 30 * 1000);
+
+      expect(verifyTotp(RFC_SECRET, previous, { time })).toBe(true);
+    });
+
+    it("should reject a code outside the drift window", () => {
+      const old = generateTotp(RFC_SECRET, time - 90 * 1000);
+
+      expect(verifyTotp(RFC_SECRET, old, { time })).toBe(false);
+    });
+
+    it("should reject malformed codes and missing secrets", () => {
+      expect(verifyTotp(RFC_SECRET, "12345", { time })).toBe(false);
+      expect(verifyTotp(RFC_SECRET, "abcdef", { time })).toBe(false);
+      expect(verifyTotp(null, "081804", { time })).toBe(false);
+    });
+  });
+
+  describe("findTotpStep", () => {
+    const time = 1111111109 * 1000;
+    const step = 37037036;
+
+    it("should return the step the code was generated for", () => {
+      const previous = generateTotp(RFC_SECRET, time - 30 * 1000);
+
+      expect(findTotpStep(RFC_SECRET, "081804", { time })).toBe(step);
+      expect(findTotpStep(RFC_SECRET, previous, { time })).toBe(step - 1);
+    });
+
+    it("should refuse the last used step and any earlier one", () => {
+      const previous = generateTotp(RFC_SECRET, time - 30 * 1000);
+
+      expect(
+        findTotpStep(RFC_SECRET, "081804", { time, lastStep: step })
+      ).toBeNull();
+      expect(
+        findTotpStep(RFC_SECRET, previous, { time, lastStep: step - 1 })
+      ).toBeNull();
+    });
+
+    it("should accept a later code after one was used", () => {
+      const next = generateTotp(RFC_SECRET, time + 30 * 1000);
+
+      expect(findTotpStep(RFC_SECRET, next, { time, lastStep: step })).toBe(
+        step + 1
+      );
+    });
+  });
+
+  describe("buildOtpauthUri", () => {
+    it("should build a URI authenticator apps can scan", () => {
+      const uri = buildOtpauthUri({
+        secret: RFC_SECRET,
+        accountName: "admin@example.com",
+        issuer: "GiggleFest",
+      });
+
+      expect(uri).toBe(
+        "otpauth://totp/GiggleFest%3Aadmin%40example.com?secret=GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ&issuer=GiggleFest&algorithm=SHA1&digits=6&period=30"
+      );
+    });
+  });
+});
@@ -0,0 +1,31 @@
+import { describe, it, expect } from "@jest/globals";
+import {
+  WAITLIST_OFFER_MINUTES,
+  getWaitlistOfferExpiry,
+  formatWaitlistOffer,
+} from "../../utils/waitlist.js";
+
+describe("Waitlist", () => {
+  const now = new Date("2026-01-01T00:00:00.000Z");
+
+  describe("getWaitlistOfferExpiry", () => {
+    it("should keep offers open for the configured minutes", () => {
+      expect(WAITLIST_OFFER_MINUTES).toBe(30);
+      expect(getWaitlistOfferExpiry(now)).toEqual(
+        new Date("2026-01-01T00:30:00.000Z")
+      );
+    });
+  });
+
+  describe("formatWaitlistOffer", () => {
+    it("should name the tickets, the event and the deadline", () => {
+      const ticket = { name: "VIP", event: { name: "Rock Fest" } };
+
+      expect(
+        formatWaitlistOffer(ticket, 2, new Date("2026-01-01T00:30:00.000Z"))
+      ).toBe(
+        "2 VIP ticket(s) for Rock Fest are reserved in your cart until Thu, 01 Jan 2026 00:30:00 GMT. Check out before then or they go to the next person in line."
+      );
+    });
+  });
+});
@@ -2,6 +2,7 @@ import { describe, it, expect } from "@jest/globals";
 import {
   addToCartSchema,
   updateCartSchema,
+  checkoutSchema,
 } from "../../validators/cart.validator.js";
 
 describe("Cart Validator", () => {
@@ -209,6 +210,32 @@ describe("Cart Validator", () => {
         expect(result.quantity).toBe(5.5);
       });
     });
+
+    describe("seatIds field", () => {
+      it("should accept one seat per ticket", () => {
+        const result = addToCartSchema.parse({
+          ticketId: 1,
+          quantity: 2,
+          seatIds: ["21", 22],
+        });
+
+        expect(result.seatIds).toEqual([21, 22]);
+      });
+
+      it("should reject a seat count that differs from the quantity", () => {
+        const result = addToCartSchema.safeParse({
+          ticketId: 1,
+          quantity: 3,
+          seatIds: [21, 22],
+        });
+
+        expect(result.success).toBe(false);
+        expect(result.error.issues[0].message).toBe(
+          "Quantity must match the number of selected seats"
+        );
+        expect(result.error.issues[0].path).toEqual(["seatIds"]);
+      });
+    });
   });
 
   describe("updateCartSchema", () => {
@@ -442,4 +469,24 @@ describe("Cart Validator", () => {
       ).toThrow();
     });
   });
+
+  describe("checkoutSchema", () => {
+    it("should accept an empty body", () => {
+      expect(checkoutSchema.parse({})).toEqual({});
+    });
+
+    it("should accept a promo code", () => {
+      expect(checkoutSchema.parse({ promoCode: "FEST10" })).toEqual({
+        promoCode: "FEST10",
+      });
+    });
+
+    it("should reject an empty promo code", () => {
+      expect(checkoutSchema.safeParse({ promoCode: "" }).success).toBe(false);
+    });
+
+    it("should reject a non-string promo code", () => {
+      expect(checkoutSchema.safeParse({ promoCode: 10 }).success).toBe(false);
+    });
+  });
 });
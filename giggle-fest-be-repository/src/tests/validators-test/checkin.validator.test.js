@@ -0,0 +1,43 @@
+import { describe, it, expect } from "@jest/globals";
+import { checkInSchema } from "../../validators/checkin.validator.js";
+
+describe("Check-in Validator", () => {
+  describe("checkInSchema", () => {
+    it("should accept a code with a string eventId and transform it", () => {
+      const result = checkInSchema.parse({ code: " 1.abc.sig ", eventId: "1" });
+
+      expect(result).toEqual({ code: "1.abc.sig", eventId: 1 });
+    });
+
+    it("should accept a numeric eventId", () => {
+      const result = checkInSchema.parse({ code: "1.abc.sig", eventId: 1 });
+
+      expect(result.eventId).toBe(1);
+    });
+
+    it("should reject an empty code", () => {
+      const result = checkInSchema.safeParse({ code: "  ", eventId: 1 });
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].message).toBe("Ticket code is required");
+    });
+
+    it("should reject a missing eventId", () => {
+      const result = checkInSchema.safeParse({ code: "1.abc.sig" });
+
+      expect(result.success).toBe(false);
+    });
+
+    it("should reject a non-numeric eventId", () => {
+      const result = checkInSchema.safeParse({
+        code: "1.abc.sig",
+        eventId: "abc",
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].message).toBe(
+        "Event ID must be a positive integer"
+      );
+    });
+  });
+});
@@ -0,0 +1,179 @@
+import { describe, it, expect } from "@jest/globals";
+import {
+  createEventSchema,
+  updateEventSchema,
+  importEventSchema,
+  importEventsQuerySchema,
+  eventStatusSchema,
+  cancelEventSchema,
+  rescheduleEventSchema,
+} from "../../validators/event.validator.js";
+
+describe("Event Validator", () => {
+  describe("importEventSchema", () => {
+    const event = {
+      name: "Rock Night",
+      date: "2026-12-01T19:00:00Z",
+      location: "Jakarta",
+    };
+
+    it("should parse a valid event row", () => {
+      const result = importEventSchema.parse({ ...event, organizationId: "3" });
+
+      expect(result.date).toEqual(new Date("2026-12-01T19:00:00Z"));
+      expect(result.organizationId).toBe(3);
+    });
+
+    it("should reject a date that cannot be parsed", () => {
+      const result = importEventSchema.safeParse({ ...event, date: "soon" });
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0]).toMatchObject({
+        path: ["date"],
+        message: "Invalid date",
+      });
+    });
+
+    it("should reject a non-numeric organization id", () => {
+      const result = importEventSchema.safeParse({
+        ...event,
+        organizationId: "acme",
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].path).toEqual(["organizationId"]);
+    });
+
+    it("should require the location", () => {
+      const { location, ...withoutLocation } = event;
+      const result = importEventSchema.safeParse(withoutLocation);
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].path).toEqual(["location"]);
+    });
+  });
+
+  describe("importEventsQuerySchema", () => {
+    it("should turn dryRun into a boolean", () => {
+      expect(importEventsQuerySchema.parse({ dryRun: "true" })).toEqual({
+        dryRun: true,
+      });
+      expect(importEventsQuerySchema.parse({ dryRun: "false" })).toEqual({
+        dryRun: false,
+      });
+    });
+
+    it("should reject other dryRun values", () => {
+      expect(importEventsQuerySchema.safeParse({ dryRun: "yes" }).success).toBe(
+        false
+      );
+    });
+  });
+
+  describe("createEventSchema", () => {
+    const event = {
+      name: "Rock Fest",
+      date: "2026-12-01T19:00:00.000Z",
+      location: "Jakarta",
+    };
+
+    it("should accept a draft with a publishAt", () => {
+      const result = createEventSchema.parse({
+        ...event,
+        status: "draft",
+        publishAt: "2026-10-01T00:00:00.000Z",
+      });
+
+      expect(result.status).toBe("draft");
+      expect(result.publishAt).toEqual(new Date("2026-10-01T00:00:00.000Z"));
+    });
+
+    it("should not create an event in a later status", () => {
+      const result = createEventSchema.safeParse({
+        ...event,
+        status: "cancelled",
+      });
+
+      expect(result.success).toBe(false);
+    });
+
+    it("should reject an invalid publishAt", () => {
+      const result = createEventSchema.safeParse({
+        ...event,
+        publishAt: "tomorrow",
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].message).toBe("Invalid date");
+    });
+  });
+
+  describe("updateEventSchema", () => {
+    it("should drop the status", () => {
+      const result = updateEventSchema.parse({
+        name: "Jazz Fest",
+        status: "published",
+      });
+
+      expect(result).toEqual({ name: "Jazz Fest" });
+    });
+
+    it("should let publishAt be cleared", () => {
+      expect(updateEventSchema.parse({ publishAt: null })).toEqual({
+        publishAt: null,
+      });
+    });
+  });
+
+  describe("eventStatusSchema", () => {
+    it("should accept a status with a trimmed reason", () => {
+      const result = eventStatusSchema.parse({
+        status: "postponed",
+        reason: " Storm warning ",
+      });
+
+      expect(result).toEqual({ status: "postponed", reason: "Storm warning" });
+    });
+
+    it("should leave cancelling to its own endpoint", () => {
+      const result = eventStatusSchema.safeParse({ status: "cancelled" });
+
+      expect(result.success).toBe(false);
+    });
+  });
+
+  describe("cancelEventSchema", () => {
+    it("should make the reason optional", () => {
+      expect(cancelEventSchema.parse({})).toEqual({});
+    });
+
+    it("should reject a reason longer than 500 characters", () => {
+      const result = cancelEventSchema.safeParse({ reason: "a".repeat(501) });
+
+      expect(result.success).toBe(false);
+    });
+  });
+
+  describe("rescheduleEventSchema", () => {
+    it("should turn the date into a Date", () => {
+      const result = rescheduleEventSchema.parse({
+        date: "2026-12-08T19:00:00.000Z",
+      });
+
+      expect(result.date).toEqual(new Date("2026-12-08T19:00:00.000Z"));
+    });
+
+    it("should reject an invalid date", () => {
+      const result = rescheduleEventSchema.safeParse({ date: "next week" });
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].message).toBe("Invalid date");
+    });
+
+    it("should require a date", () => {
+      const result = rescheduleEventSchema.safeParse({ reason: "Moved" });
+
+      expect(result.success).toBe(false);
+    });
+  });
+});
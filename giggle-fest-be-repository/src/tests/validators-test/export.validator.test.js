@@ -0,0 +1,71 @@
+import { describe, it, expect } from "@jest/globals";
+import {
+  exportPaymentsQuerySchema,
+  exportAttendeesParamsSchema,
+  exportAttendeesQuerySchema,
+  exportReviewsQuerySchema,
+  exportCampaignCodesQuerySchema,
+} from "../../validators/export.validator.js";
+
+describe("Export Validator", () => {
+  describe("exportPaymentsQuerySchema", () => {
+    it("should default to CSV", () => {
+      expect(exportPaymentsQuerySchema.parse({})).toEqual({ format: "csv" });
+    });
+
+    it("should accept xlsx and a status filter", () => {
+      expect(
+        exportPaymentsQuerySchema.parse({ format: "xlsx", status: "success" })
+      ).toEqual({ format: "xlsx", status: "success" });
+    });
+
+    it("should reject an unknown format", () => {
+      const result = exportPaymentsQuerySchema.safeParse({ format: "pdf" });
+
+      expect(result.success).toBe(false);
+    });
+  });
+
+  describe("exportAttendeesParamsSchema", () => {
+    it("should turn the event id into a number", () => {
+      expect(exportAttendeesParamsSchema.parse({ id: "4" })).toEqual({
+        id: 4,
+      });
+    });
+
+    it("should reject a non-numeric event id", () => {
+      const result = exportAttendeesParamsSchema.safeParse({ id: "abc" });
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].message).toBe(
+        "Event ID must be a positive integer"
+      );
+    });
+  });
+
+  describe("exportAttendeesQuerySchema", () => {
+    it("should only accept issued ticket statuses", () => {
+      expect(exportAttendeesQuerySchema.safeParse({ status: "used" }).success)
+        .toBe(true);
+      expect(
+        exportAttendeesQuerySchema.safeParse({ status: "pending" }).success
+      ).toBe(false);
+    });
+  });
+
+  describe("exportReviewsQuerySchema", () => {
+    it("should parse the ticket and user filters", () => {
+      expect(
+        exportReviewsQuerySchema.parse({ ticketId: "2", userId: "5" })
+      ).toEqual({ format: "csv", ticketId: 2, userId: 5 });
+    });
+  });
+
+  describe("exportCampaignCodesQuerySchema", () => {
+    it("should default to CSV", () => {
+      expect(exportCampaignCodesQuerySchema.parse({})).toEqual({
+        format: "csv",
+      });
+    });
+  });
+});
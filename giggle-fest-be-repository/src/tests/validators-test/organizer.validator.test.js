@@ -0,0 +1,121 @@
+import { describe, it, expect } from "@jest/globals";
+import {
+  createOrganizationSchema,
+  addMemberSchema,
+  getOrganizerEventsQuerySchema,
+  memberParamsSchema,
+  salesDashboardQuerySchema,
+} from "../../validators/organizer.validator.js";
+
+describe("Organizer Validator", () => {
+  describe("createOrganizationSchema", () => {
+    it("should trim the name", () => {
+      const result = createOrganizationSchema.parse({
+        name: "  Giggle Productions ",
+      });
+
+      expect(result).toEqual({ name: "Giggle Productions" });
+    });
+
+    it("should reject an empty name", () => {
+      const result = createOrganizationSchema.safeParse({ name: "   " });
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].message).toBe(
+        "Organization name is required"
+      );
+    });
+  });
+
+  describe("addMemberSchema", () => {
+    it("should accept an email with an optional role", () => {
+      expect(
+        addMemberSchema.parse({ email: "partner@example.com", role: "owner" })
+      ).toEqual({ email: "partner@example.com", role: "owner" });
+      expect(addMemberSchema.parse({ email: "partner@example.com" })).toEqual({
+        email: "partner@example.com",
+      });
+    });
+
+    it("should reject an invalid email", () => {
+      const result = addMemberSchema.safeParse({ email: "partner" });
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].message).toBe("Invalid email address");
+    });
+
+    it("should reject unknown member roles", () => {
+      const result = addMemberSchema.safeParse({
+        email: "partner@example.com",
+        role: "admin",
+      });
+
+      expect(result.success).toBe(false);
+    });
+  });
+
+  describe("getOrganizerEventsQuerySchema", () => {
+    it("should turn organizationId into a number", () => {
+      const result = getOrganizerEventsQuerySchema.parse({
+        page: "1",
+        organizationId: "3",
+      });
+
+      expect(result).toEqual({ page: "1", organizationId: 3 });
+    });
+
+    it("should reject a non-numeric organizationId", () => {
+      const result = getOrganizerEventsQuerySchema.safeParse({
+        organizationId: "abc",
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].message).toBe(
+        "Organization ID must be a positive integer"
+      );
+    });
+  });
+
+  describe("memberParamsSchema", () => {
+    it("should parse both ids", () => {
+      expect(memberParamsSchema.parse({ id: "3", userId: "8" })).toEqual({
+        id: 3,
+        userId: 8,
+      });
+    });
+
+    it("should reject a zero user id", () => {
+      const result = memberParamsSchema.safeParse({ id: "3", userId: "0" });
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].message).toBe(
+        "User ID must be a positive integer"
+      );
+    });
+  });
+
+  describe("salesDashboardQuerySchema", () => {
+    it("should accept a date range and numeric filters", () => {
+      const result = salesDashboardQuerySchema.parse({
+        from: "2025-01-01",
+        to: "2025-01-31T12:00:00Z",
+        eventId: "4",
+      });
+
+      expect(result).toEqual({
+        from: "2025-01-01",
+        to: "2025-01-31T12:00:00Z",
+        eventId: 4,
+      });
+    });
+
+    it("should reject an invalid date", () => {
+      const result = salesDashboardQuerySchema.safeParse({ from: "yesterday" });
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].message).toBe(
+        "from must be a valid date"
+      );
+    });
+  });
+});
@@ -2,6 +2,7 @@ import { describe, it, expect } from "@jest/globals";
 import {
   initializePaymentSchema,
   getPaymentsQuerySchema,
+  paymentNotificationSchema,
 } from "../../validators/payment.validator.js";
 
 describe("Payment Validator", () => {
@@ -358,6 +359,32 @@ describe("Payment Validator", () => {
       });
     });
 
+    describe("seatIds field", () => {
+      it("should accept one seat per ticket", () => {
+        const result = initializePaymentSchema.parse({
+          ticketId: 1,
+          quantity: 2,
+          seatIds: ["21", 22],
+        });
+
+        expect(result.seatIds).toEqual([21, 22]);
+      });
+
+      it("should reject a seat count that differs from the quantity", () => {
+        const result = initializePaymentSchema.safeParse({
+          ticketId: 1,
+          quantity: 3,
+          seatIds: [21, 22],
+        });
+
+        expect(result.success).toBe(false);
+        expect(result.error.issues[0].message).toBe(
+          "Quantity must match the number of selected seats"
+        );
+        expect(result.error.issues[0].path).toEqual(["seatIds"]);
+      });
+    });
+
     describe("numberParser transformation", () => {
       it("should transform both ticketId and quantity from strings to numbers", () => {
         const result = initializePaymentSchema.parse({
@@ -708,4 +735,54 @@ describe("Payment Validator", () => {
       expect(withoutPromo.promoCode).toBeUndefined();
     });
   });
+
+  describe("paymentNotificationSchema", () => {
+    const validNotification = {
+      order_id: "ORDER-ABCDEF1234",
+      status_code: "200",
+      gross_amount: "200000.00",
+      signature_key: "abc123",
+      transaction_status: "settlement",
+    };
+
+    it("should accept a valid Midtrans notification", () => {
+      const result = paymentNotificationSchema.safeParse(validNotification);
+
+      expect(result.success).toBe(true);
+    });
+
+    it("should keep extra Midtrans fields", () => {
+      const result = paymentNotificationSchema.parse({
+        ...validNotification,
+        payment_type: "bank_transfer",
+        transaction_id: "trx-1",
+      });
+
+      expect(result.payment_type).toBe("bank_transfer");
+      expect(result.transaction_id).toBe("trx-1");
+    });
+
+    it("should accept optional fraud_status", () => {
+      const result = paymentNotificationSchema.parse({
+        ...validNotification,
+        fraud_status: "accept",
+      });
+
+      expect(result.fraud_status).toBe("accept");
+    });
+
+    it.each([
+      "order_id",
+      "status_code",
+      "gross_amount",
+      "signature_key",
+      "transaction_status",
+    ])("should reject notification without %s", (field) => {
+      const { [field]: _removed, ...notification } = validNotification;
+
+      const result = paymentNotificationSchema.safeParse(notification);
+
+      expect(result.success).toBe(false);
+    });
+  });
 });
@@ -3,6 +3,8 @@ import {
   createPromoSchema,
   updatePromoSchema,
   getPromoQuerySchema,
+  createCampaignSchema,
+  campaignParamsSchema,
 } from "../../validators/promo.validator.js";
 
 describe("Promo Validator", () => {
@@ -462,6 +464,21 @@ describe("Promo Validator", () => {
           })
         ).toThrow();
       });
+
+      it("should reject a promo that ends before it starts", () => {
+        const result = createPromoSchema.safeParse({
+          code: "TEST",
+          discount: 20,
+          validFrom: "2024-12-31T00:00:00.000Z",
+          validTo: "2024-01-01T00:00:00.000Z",
+        });
+
+        expect(result.success).toBe(false);
+        expect(result.error.issues[0]).toMatchObject({
+          message: "validFrom must be before validTo",
+          path: ["validTo"],
+        });
+      });
     });
   });
 
@@ -983,6 +1000,103 @@ describe("Promo Validator", () => {
     });
   });
 
+  describe("discount rules", () => {
+    const basePromo = {
+      code: "RULES",
+      discount: 20,
+      validFrom: "2024-01-01T00:00:00.000Z",
+      validTo: "2024-12-31T23:59:59.000Z",
+    };
+
+    it("should accept limits, a minimum spend and scopes", () => {
+      const result = createPromoSchema.parse({
+        ...basePromo,
+        maxDiscount: "50000",
+        minOrderAmount: 200000,
+        usageLimit: "100",
+        perUserLimit: 1,
+        eventIds: ["2", 3],
+        ticketIds: [5],
+        categoryIds: [],
+      });
+
+      expect(result).toEqual({
+        ...basePromo,
+        maxDiscount: 50000,
+        minOrderAmount: 200000,
+        usageLimit: 100,
+        perUserLimit: 1,
+        eventIds: [2, 3],
+        ticketIds: [5],
+        categoryIds: [],
+      });
+    });
+
+    it("should accept fixed discounts above 100", () => {
+      const result = createPromoSchema.parse({
+        ...basePromo,
+        discountType: "fixed",
+        discount: 50000,
+      });
+
+      expect(result.discount).toBe(50000);
+    });
+
+    it("should reject a fixed discount of zero", () => {
+      const result = createPromoSchema.safeParse({
+        ...basePromo,
+        discountType: "fixed",
+        discount: 0,
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].message).toBe(
+        "Discount must be greater than 0"
+      );
+    });
+
+    it("should reject a cap on a fixed discount", () => {
+      const result = updatePromoSchema.safeParse({
+        discountType: "fixed",
+        discount: 50000,
+        maxDiscount: 20000,
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].message).toBe(
+        "Only percentage discounts can be capped"
+      );
+    });
+
+    it("should reject an unknown discount type", () => {
+      expect(
+        createPromoSchema.safeParse({ ...basePromo, discountType: "bogo" })
+          .success
+      ).toBe(false);
+    });
+
+    it.each([
+      ["usageLimit", 0, "Usage limit must be a positive integer"],
+      ["perUserLimit", 1.5, "Per-user limit must be a positive integer"],
+      ["minOrderAmount", -1, "Minimum order amount must be greater than 0"],
+      ["eventIds", ["x"], "Event ID must be a positive integer"],
+    ])("should reject an invalid %s", (field, value, message) => {
+      const result = createPromoSchema.safeParse({
+        ...basePromo,
+        [field]: value,
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].message).toBe(message);
+    });
+
+    it("should let an update clear a limit or a cap", () => {
+      expect(
+        updatePromoSchema.parse({ usageLimit: null, maxDiscount: null })
+      ).toEqual({ usageLimit: null, maxDiscount: null });
+    });
+  });
+
   describe("schema relationships", () => {
     it("should have updatePromoSchema with same validation rules as createPromoSchema", () => {
       // Both should reject code less than 3 characters when provided
@@ -1033,4 +1147,72 @@ describe("Promo Validator", () => {
       ).toThrow("Discount must be between 0 and 100");
     });
   });
+
+  describe("createCampaignSchema", () => {
+    const campaign = {
+      name: "Partner launch",
+      prefix: "ptr",
+      count: "5000",
+      discount: 10,
+      validFrom: "2026-01-01T00:00:00.000Z",
+      validTo: "2026-03-31T00:00:00.000Z",
+    };
+
+    it("should accept a campaign with shared rules", () => {
+      expect(
+        createCampaignSchema.parse({ ...campaign, eventIds: [2] })
+      ).toEqual({ ...campaign, count: 5000, eventIds: [2] });
+    });
+
+    it("should leave the usage limits to the codes being single-use", () => {
+      const result = createCampaignSchema.parse({
+        ...campaign,
+        usageLimit: 10,
+        perUserLimit: 2,
+      });
+
+      expect(result).not.toHaveProperty("usageLimit");
+      expect(result).not.toHaveProperty("perUserLimit");
+    });
+
+    it.each([
+      ["count", 0, "Count must be a positive integer"],
+      ["count", 10001, "Count cannot be more than 10000"],
+      ["prefix", "PARTNER2026", "Prefix must be 1 to 8 letters or digits"],
+      ["prefix", "PT-R", "Prefix must be 1 to 8 letters or digits"],
+      ["discount", 150, "Discount must be between 0 and 100"],
+    ])("should reject an invalid %s of %s", (field, value, message) => {
+      const result = createCampaignSchema.safeParse({
+        ...campaign,
+        [field]: value,
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].message).toBe(message);
+    });
+
+    it("should require a name", () => {
+      expect(
+        createCampaignSchema.safeParse({ ...campaign, name: undefined }).success
+      ).toBe(false);
+    });
+
+    it("should reject a campaign that ends before it starts", () => {
+      const result = createCampaignSchema.safeParse({
+        ...campaign,
+        validTo: campaign.validFrom,
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].message).toBe(
+        "validFrom must be before validTo"
+      );
+    });
+  });
+
+  describe("campaignParamsSchema", () => {
+    it("should transform the campaign id", () => {
+      expect(campaignParamsSchema.parse({ id: "4" })).toEqual({ id: 4 });
+    });
+  });
 });
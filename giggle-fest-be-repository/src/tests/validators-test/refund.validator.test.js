@@ -0,0 +1,114 @@
+import { describe, it, expect } from "@jest/globals";
+import {
+  requestRefundSchema,
+  reviewRefundSchema,
+  refundParamsSchema,
+  getRefundsQuerySchema,
+} from "../../validators/refund.validator.js";
+
+describe("Refund Validator", () => {
+  describe("requestRefundSchema", () => {
+    it("should transform ids and trim the reason", () => {
+      const result = requestRefundSchema.parse({
+        paymentId: "5",
+        issuedTicketIds: ["21", 22],
+        reason: "  Cannot attend ",
+      });
+
+      expect(result).toEqual({
+        paymentId: 5,
+        issuedTicketIds: [21, 22],
+        reason: "Cannot attend",
+      });
+    });
+
+    it("should allow refunding the whole payment", () => {
+      const result = requestRefundSchema.parse({ paymentId: 5 });
+
+      expect(result).toEqual({ paymentId: 5 });
+    });
+
+    it("should reject an empty ticket selection", () => {
+      const result = requestRefundSchema.safeParse({
+        paymentId: 5,
+        issuedTicketIds: [],
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].message).toBe(
+        "Select at least one ticket"
+      );
+    });
+
+    it("should reject an invalid ticket id", () => {
+      const result = requestRefundSchema.safeParse({
+        paymentId: 5,
+        issuedTicketIds: ["abc"],
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].message).toBe(
+        "Ticket ID must be a positive integer"
+      );
+    });
+
+    it("should reject a missing paymentId", () => {
+      const result = requestRefundSchema.safeParse({ reason: "Sick" });
+
+      expect(result.success).toBe(false);
+    });
+
+    it("should reject a reason longer than 500 characters", () => {
+      const result = requestRefundSchema.safeParse({
+        paymentId: 5,
+        reason: "a".repeat(501),
+      });
+
+      expect(result.success).toBe(false);
+    });
+  });
+
+  describe("reviewRefundSchema", () => {
+    it("should accept an optional note", () => {
+      expect(reviewRefundSchema.parse({})).toEqual({});
+      expect(reviewRefundSchema.parse({ note: " Approved " })).toEqual({
+        note: "Approved",
+      });
+    });
+
+    it("should reject a blank note", () => {
+      const result = reviewRefundSchema.safeParse({ note: "   " });
+
+      expect(result.success).toBe(false);
+    });
+  });
+
+  describe("refundParamsSchema", () => {
+    it("should transform the id", () => {
+      expect(refundParamsSchema.parse({ id: "9" })).toEqual({ id: 9 });
+    });
+
+    it("should reject a non-numeric id", () => {
+      const result = refundParamsSchema.safeParse({ id: "abc" });
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].message).toBe(
+        "Refund ID must be a positive integer"
+      );
+    });
+  });
+
+  describe("getRefundsQuerySchema", () => {
+    it("should accept a refund status", () => {
+      const result = getRefundsQuerySchema.parse({ status: "requested" });
+
+      expect(result.status).toBe("requested");
+    });
+
+    it("should reject a payment status", () => {
+      const result = getRefundsQuerySchema.safeParse({ status: "success" });
+
+      expect(result.success).toBe(false);
+    });
+  });
+});
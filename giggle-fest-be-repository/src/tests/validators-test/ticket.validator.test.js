@@ -3,6 +3,7 @@ import {
   createTicketSchema,
   updateTicketSchema,
   getTicketsQuerySchema,
+  importTicketSchema,
 } from "../../validators/ticket.validator.js";
 
 describe("Ticket Validator", () => {
@@ -706,6 +707,255 @@ describe("Ticket Validator", () => {
     });
   });
 
+  describe("importTicketSchema", () => {
+    const ticket = {
+      name: "VIP",
+      price: "150000",
+      quantity: "20",
+      categoryId: "2",
+    };
+
+    it("should parse a ticket row without an eventId", () => {
+      expect(importTicketSchema.parse(ticket)).toEqual({
+        name: "VIP",
+        price: 150000,
+        quantity: 20,
+        categoryId: 2,
+      });
+    });
+
+    it("should reject values that are not numbers", () => {
+      const result = importTicketSchema.safeParse({
+        ...ticket,
+        price: "free",
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0]).toMatchObject({
+        path: ["price"],
+        message: "Price must be a non-negative number",
+      });
+    });
+
+    it("should reject a fractional quantity", () => {
+      const result = importTicketSchema.safeParse({
+        ...ticket,
+        quantity: "2.5",
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].path).toEqual(["quantity"]);
+    });
+  });
+
+  describe("sales window", () => {
+    const ticket = {
+      name: "Early Bird",
+      price: 100000,
+      quantity: 50,
+      eventId: 1,
+      categoryId: 1,
+    };
+
+    it("should turn salesStart and salesEnd into dates", () => {
+      const result = createTicketSchema.parse({
+        ...ticket,
+        salesStart: "2026-01-01T00:00:00.000Z",
+        salesEnd: "2026-02-01T00:00:00.000Z",
+      });
+
+      expect(result.salesStart).toEqual(new Date("2026-01-01T00:00:00.000Z"));
+      expect(result.salesEnd).toEqual(new Date("2026-02-01T00:00:00.000Z"));
+    });
+
+    it("should allow an open-ended window", () => {
+      const result = createTicketSchema.parse({
+        ...ticket,
+        salesEnd: "2026-02-01T00:00:00.000Z",
+      });
+
+      expect(result.salesStart).toBeUndefined();
+    });
+
+    it("should reject a window that ends before it starts", () => {
+      const result = createTicketSchema.safeParse({
+        ...ticket,
+        salesStart: "2026-02-01T00:00:00.000Z",
+        salesEnd: "2026-01-01T00:00:00.000Z",
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0]).toMatchObject({
+        path: ["salesEnd"],
+        message: "Sales must start before they end",
+      });
+    });
+
+    it("should check the window on imported tickets as well", () => {
+      const { eventId, ...row } = ticket;
+      const result = importTicketSchema.safeParse({
+        ...row,
+        salesStart: "2026-02-01",
+        salesEnd: "2026-02-01",
+      });
+
+      expect(result.success).toBe(false);
+    });
+
+    it("should reject an invalid date", () => {
+      const result = createTicketSchema.safeParse({
+        ...ticket,
+        salesStart: "soon",
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].message).toBe("Invalid date");
+    });
+
+    it("should let an update clear one end of the window", () => {
+      const result = updateTicketSchema.parse({ salesEnd: null });
+
+      expect(result).toEqual({ salesEnd: null });
+    });
+  });
+
+  describe("price tiers", () => {
+    const ticket = {
+      name: "General Admission",
+      price: 100000,
+      quantity: 500,
+      eventId: 1,
+      categoryId: 1,
+    };
+
+    it("should accept date and quantity tiers", () => {
+      const result = createTicketSchema.parse({
+        ...ticket,
+        priceTiers: [
+          {
+            name: "Early bird",
+            price: "75000",
+            endsAt: "2026-01-10T00:00:00.000Z",
+          },
+          { name: "First 100", price: 80000, maxSold: "100" },
+        ],
+      });
+
+      expect(result.priceTiers).toEqual([
+        {
+          name: "Early bird",
+          price: 75000,
+          endsAt: new Date("2026-01-10T00:00:00.000Z"),
+        },
+        { name: "First 100", price: 80000, maxSold: 100 },
+      ]);
+    });
+
+    it("should require dates or a max sold count", () => {
+      const result = createTicketSchema.safeParse({
+        ...ticket,
+        priceTiers: [{ name: "Regular", price: 90000 }],
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].message).toBe(
+        "A price tier needs dates or a max sold count"
+      );
+    });
+
+    it("should reject a tier that ends before it starts", () => {
+      const result = createTicketSchema.safeParse({
+        ...ticket,
+        priceTiers: [
+          {
+            name: "Door",
+            price: 150000,
+            startsAt: "2026-02-01T00:00:00.000Z",
+            endsAt: "2026-01-01T00:00:00.000Z",
+          },
+        ],
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0]).toMatchObject({
+        path: ["priceTiers", 0, "endsAt"],
+        message: "A price tier must start before it ends",
+      });
+    });
+
+    it.each([
+      [{ price: -1, maxSold: 100 }, "Price must be a non-negative number"],
+      [{ price: 80000, maxSold: 0 }, "Max sold must be a positive integer"],
+    ])("should reject the tier %o", (tier, message) => {
+      const result = createTicketSchema.safeParse({
+        ...ticket,
+        priceTiers: [{ name: "Promo", ...tier }],
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].message).toBe(message);
+    });
+
+    it("should let an update remove every tier", () => {
+      expect(updateTicketSchema.parse({ priceTiers: [] })).toEqual({
+        priceTiers: [],
+      });
+    });
+  });
+
+  describe("bundle items", () => {
+    const bundle = {
+      name: "Friends Pass",
+      price: 1200000,
+      quantity: 50,
+      eventId: 1,
+      categoryId: 1,
+    };
+
+    it("should transform the bundled ticket ids and quantities", () => {
+      const result = createTicketSchema.parse({
+        ...bundle,
+        bundleItems: [{ ticketId: "2", quantity: "4" }],
+      });
+
+      expect(result.bundleItems).toEqual([{ ticketId: 2, quantity: 4 }]);
+    });
+
+    it("should reject a ticket listed twice", () => {
+      const result = createTicketSchema.safeParse({
+        ...bundle,
+        bundleItems: [
+          { ticketId: 2, quantity: 2 },
+          { ticketId: 2, quantity: 2 },
+        ],
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].message).toBe(
+        "A bundle can only list each ticket once"
+      );
+    });
+
+    it.each([
+      [{ ticketId: 2, quantity: 0 }, "Quantity must be a positive integer"],
+      [{ ticketId: "x", quantity: 1 }, "Ticket ID must be a positive integer"],
+    ])("should reject the bundle item %o", (item, message) => {
+      const result = createTicketSchema.safeParse({
+        ...bundle,
+        bundleItems: [item],
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].message).toBe(message);
+    });
+
+    it("should let an update unbundle a ticket", () => {
+      expect(updateTicketSchema.parse({ bundleItems: [] })).toEqual({
+        bundleItems: [],
+      });
+    });
+  });
+
   describe("updateTicketSchema", () => {
     describe("optional fields behavior", () => {
       it("should accept empty object (all fields optional)", () => {
@@ -0,0 +1,45 @@
+import { describe, it, expect } from "@jest/globals";
+import {
+  twoFactorCodeSchema,
+  twoFactorVerifySchema,
+} from "../../validators/twoFactor.validator.js";
+
+describe("Two-Factor Validator", () => {
+  describe("twoFactorCodeSchema", () => {
+    it("should accept and trim an authenticator code", () => {
+      expect(twoFactorCodeSchema.parse({ code: " 123456 " })).toEqual({
+        code: "123456",
+      });
+    });
+
+    it("should accept a recovery code", () => {
+      const result = twoFactorCodeSchema.safeParse({ code: "abcde-12345" });
+
+      expect(result.success).toBe(true);
+    });
+
+    it("should reject a missing code", () => {
+      const result = twoFactorCodeSchema.safeParse({ code: "" });
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].message).toBe("Code is required");
+    });
+  });
+
+  describe("twoFactorVerifySchema", () => {
+    it("should require the challenge token", () => {
+      const result = twoFactorVerifySchema.safeParse({ code: "123456" });
+
+      expect(result.success).toBe(false);
+    });
+
+    it("should accept a challenge token with a code", () => {
+      const result = twoFactorVerifySchema.safeParse({
+        challengeToken: "challenge",
+        code: "123456",
+      });
+
+      expect(result.success).toBe(true);
+    });
+  });
+});
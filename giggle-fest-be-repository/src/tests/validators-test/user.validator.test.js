@@ -0,0 +1,83 @@
+import { describe, it, expect } from "@jest/globals";
+import {
+  registerSchema,
+  changeRoleSchema,
+  sessionParamsSchema,
+} from "../../validators/user.validator.js";
+
+describe("User Validator", () => {
+  describe("registerSchema", () => {
+    const validUser = {
+      email: "john@example.com",
+      password: "password123",
+      name: "John Doe",
+      age: 25,
+      phoneNumber: "081234567890",
+    };
+
+    it("should accept a valid registration", () => {
+      const { error } = registerSchema.validate(validUser);
+
+      expect(error).toBeUndefined();
+    });
+
+    it("should reject a self-assigned role", () => {
+      const { error } = registerSchema.validate({
+        ...validUser,
+        role: "admin",
+      });
+
+      expect(error).toBeDefined();
+      expect(error.details[0].message).toBe('"role" is not allowed');
+    });
+  });
+
+  describe("changeRoleSchema", () => {
+    it("should accept every declared role", () => {
+      ["admin", "organizer", "staff", "user"].forEach((role) => {
+        expect(changeRoleSchema.parse({ role })).toEqual({ role });
+      });
+    });
+
+    it("should trim the optional reason", () => {
+      const result = changeRoleSchema.parse({
+        role: "staff",
+        reason: "  Gate crew  ",
+      });
+
+      expect(result.reason).toBe("Gate crew");
+    });
+
+    it("should reject unknown roles", () => {
+      const result = changeRoleSchema.safeParse({ role: "superuser" });
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].message).toBe(
+        "Role must be one of: admin, organizer, staff, user"
+      );
+    });
+
+    it("should require a role", () => {
+      const result = changeRoleSchema.safeParse({});
+
+      expect(result.success).toBe(false);
+    });
+  });
+
+  describe("sessionParamsSchema", () => {
+    it("should turn the id into a number", () => {
+      expect(sessionParamsSchema.parse({ id: "12" })).toEqual({ id: 12 });
+    });
+
+    it("should reject ids that are not positive integers", () => {
+      ["abc", "0", "1.5"].forEach((id) => {
+        const result = sessionParamsSchema.safeParse({ id });
+
+        expect(result.success).toBe(false);
+        expect(result.error.issues[0].message).toBe(
+          "Session ID must be a positive integer"
+        );
+      });
+    });
+  });
+});
@@ -0,0 +1,127 @@
+import { describe, it, expect } from "@jest/globals";
+import {
+  createVenueSchema,
+  eventSeatingSchema,
+  seatIdsSchema,
+} from "../../validators/venue.validator.js";
+
+describe("Venue Validator", () => {
+  describe("createVenueSchema", () => {
+    const sections = [
+      {
+        name: "Orchestra",
+        rows: [
+          { name: "A", seats: 20 },
+          { name: "B", seats: 22 },
+        ],
+      },
+    ];
+
+    it("should accept a venue layout", () => {
+      const result = createVenueSchema.parse({
+        name: " City Hall ",
+        sections,
+      });
+
+      expect(result).toEqual({ name: "City Hall", sections });
+    });
+
+    it("should reject duplicate section names", () => {
+      const result = createVenueSchema.safeParse({
+        name: "City Hall",
+        sections: [...sections, ...sections],
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].message).toBe(
+        "Section names must be unique"
+      );
+    });
+
+    it("should reject duplicate row names within a section", () => {
+      const result = createVenueSchema.safeParse({
+        name: "City Hall",
+        sections: [
+          {
+            name: "Orchestra",
+            rows: [
+              { name: "A", seats: 20 },
+              { name: "A", seats: 10 },
+            ],
+          },
+        ],
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].message).toBe("Row names must be unique");
+    });
+
+    it("should cap the number of seats in a venue", () => {
+      const rows = Array.from({ length: 50 }, (_, i) => ({
+        name: `R${i}`,
+        seats: 500,
+      }));
+
+      const result = createVenueSchema.safeParse({
+        name: "Stadium",
+        sections: [{ name: "Floor", rows }],
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].message).toBe(
+        "A venue is limited to 20000 seats"
+      );
+    });
+  });
+
+  describe("eventSeatingSchema", () => {
+    it("should transform ids and keep the seat map", () => {
+      const result = eventSeatingSchema.parse({
+        venueId: "2",
+        seatMap: { stage: "north" },
+        assignments: [
+          { ticketId: "10", section: "Orchestra", rows: ["A"] },
+          { ticketId: 11, section: "Balcony" },
+        ],
+      });
+
+      expect(result).toEqual({
+        venueId: 2,
+        seatMap: { stage: "north" },
+        assignments: [
+          { ticketId: 10, section: "Orchestra", rows: ["A"] },
+          { ticketId: 11, section: "Balcony" },
+        ],
+      });
+    });
+
+    it("should require at least one assignment", () => {
+      const result = eventSeatingSchema.safeParse({
+        venueId: 2,
+        assignments: [],
+      });
+
+      expect(result.success).toBe(false);
+    });
+  });
+
+  describe("seatIdsSchema", () => {
+    it("should transform seat ids", () => {
+      expect(seatIdsSchema.parse(["3", 4])).toEqual([3, 4]);
+    });
+
+    it("should reject repeated seats", () => {
+      const result = seatIdsSchema.safeParse([3, 3]);
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].message).toBe("Seats must not repeat");
+    });
+
+    it("should reject an empty selection", () => {
+      const result = seatIdsSchema.safeParse([]);
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].message).toBe("Select at least one seat");
+    });
+  });
+});
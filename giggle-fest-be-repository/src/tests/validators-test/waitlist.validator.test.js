@@ -0,0 +1,42 @@
+import { describe, it, expect } from "@jest/globals";
+import {
+  joinWaitlistSchema,
+  waitlistParamsSchema,
+} from "../../validators/waitlist.validator.js";
+
+describe("Waitlist Validator", () => {
+  describe("joinWaitlistSchema", () => {
+    it("should transform the ticket id and quantity", () => {
+      expect(
+        joinWaitlistSchema.parse({ ticketId: "5", quantity: "2" })
+      ).toEqual({ ticketId: 5, quantity: 2 });
+    });
+
+    it.each([0, 1.5])("should reject a quantity of %s", (quantity) => {
+      const result = joinWaitlistSchema.safeParse({ ticketId: 5, quantity });
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].message).toBe(
+        "Quantity must be at least 1"
+      );
+    });
+
+    it("should reject an invalid ticket id", () => {
+      const result = joinWaitlistSchema.safeParse({
+        ticketId: "x",
+        quantity: 1,
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.error.issues[0].message).toBe(
+        "Ticket ID must be a positive integer"
+      );
+    });
+  });
+
+  describe("waitlistParamsSchema", () => {
+    it("should transform the entry id", () => {
+      expect(waitlistParamsSchema.parse({ id: "9" })).toEqual({ id: 9 });
+    });
+  });
+});
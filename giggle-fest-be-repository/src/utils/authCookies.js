@@ -0,0 +1,32 @@
+const baseCookieOptions = () => ({
+  httpOnly: true,
+  secure: process.env.NODE_ENV === "production",
+  sameSite: process.env.NODE_ENV === "production" ? "none" : "lax",
+});
+
+// the refresh token cookie is only sent to the auth endpoints that use it
+export const REFRESH_COOKIE_PATH = "/api/v1/auth";
+
+export const setAuthCookies = (
+  res,
+  { token, refreshToken, refreshTokenExpiresAt }
+) => {
+  res.cookie("token", token, {
+    ...baseCookieOptions(),
+    path: "/",
+  });
+
+  res.cookie("refreshToken", refreshToken, {
+    ...baseCookieOptions(),
+    path: REFRESH_COOKIE_PATH,
+    expires: refreshTokenExpiresAt,
+  });
+};
+
+export const clearAuthCookies = (res) => {
+  res.clearCookie("token", { ...baseCookieOptions(), path: "/" });
+  res.clearCookie("refreshToken", {
+    ...baseCookieOptions(),
+    path: REFRESH_COOKIE_PATH,
+  });
+};
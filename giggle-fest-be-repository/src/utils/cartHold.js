@@ -0,0 +1,20 @@
+// how long a cart item keeps its stock, and seats, before others may buy them
+export const CART_HOLD_MINUTES = 15;
+
+export const getCartHoldExpiry = (now = new Date()) => {
+  return new Date(now.getTime() + CART_HOLD_MINUTES * 60 * 1000);
+};
+
+export const isHoldActive = (cartItem, now = new Date()) => {
+  return Boolean(cartItem.heldUntil) && cartItem.heldUntil > now;
+};
+
+// countdown data for the cart; a released hold has no expiry left
+export const getHoldStatus = (cartItem, now = new Date()) => {
+  const active = isHoldActive(cartItem, now);
+  return {
+    expiresAt: cartItem.heldUntil,
+    secondsLeft: active ? Math.ceil((cartItem.heldUntil - now) / 1000) : 0,
+    expired: !active,
+  };
+};
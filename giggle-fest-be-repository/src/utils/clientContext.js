@@ -0,0 +1,5 @@
+// what we record about the device behind a session
+export const getClientContext = (req) => ({
+  userAgent: req.headers?.["user-agent"] || null,
+  ipAddress: req.ip || null,
+});
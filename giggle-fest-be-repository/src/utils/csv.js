@@ -0,0 +1,75 @@
+// Splits RFC 4180 CSV text into rows of fields. Quoted fields may contain
+// commas, doubled quotes and line breaks.
+const parseRows = (text) => {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let rowLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push({ line: rowLine, fields: row });
+      row = [];
+      field = "";
+      line++;
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error("Invalid CSV: unterminated quoted field");
+  }
+
+  if (field || row.length) {
+    row.push(field);
+    rows.push({ line: rowLine, fields: row });
+  }
+
+  return rows;
+};
+
+const isBlank = (row) => row.every((field) => field.trim() === "");
+
+// Parses CSV with a header line into one object per line, keyed by header.
+// Each record carries the line it came from so errors can point back to it.
+export const parseCsv = (text) => {
+  const rows = parseRows(text.replace(/^\uFEFF/, ""));
+  const [header, ...lines] = rows;
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.fields.map((column) => column.trim());
+
+  return lines
+    .filter(({ fields }) => !isBlank(fields))
+    .map(({ line, fields }) => ({
+      line,
+      values: Object.fromEntries(
+        columns.map((column, i) => [column, (fields[i] ?? "").trim()])
+      ),
+    }));
+};
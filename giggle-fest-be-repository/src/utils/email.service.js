@@ -173,3 +173,112 @@ export const sendResetOTPEmail = async (email, otp) => {
 
   return transporter.sendMail(mailOptions);
 };
+
+export const sendTicketConfirmationEmail = async (
+  email,
+  { name, orderId, tickets }
+) => {
+  const ticketRows = tickets
+    .map(
+      (ticket, index) => `
+            <div class="ticket">
+              <h3>${ticket.eventName} - ${ticket.ticketName}</h3>
+              <p>${new Date(ticket.eventDate).toDateString()} at ${ticket.location}</p>
+              ${ticket.seat ? `<p>${ticket.seat}</p>` : ""}
+              <img src="cid:ticket-${index}" alt="Ticket QR code" width="200" height="200" />
+              <p class="code">${ticket.code}</p>
+            </div>`
+    )
+    .join("");
+
+  const mailOptions = {
+    from: {
+      name: process.env.EMAIL_FROM_NAME || "Your Company Name",
+      address: process.env.EMAIL_USER,
+    },
+    to: email,
+    subject: `Your Tickets for Order ${orderId}`,
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; margin: 0; padding: 0; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f9f9f9; }
+          .header { text-align: center; padding: 20px; background-color: #4a90e2; color: white; }
+          .content { padding: 30px; background-color: white; border-radius: 5px; margin: 20px 0; }
+          .ticket { text-align: center; border-top: 1px dashed #ccc; padding: 20px 0; }
+          .code { font-family: monospace; font-size: 12px; color: #666; word-break: break-all; }
+          .footer { text-align: center; padding: 20px; color: #666; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Your Tickets</h1>
+          </div>
+          <div class="content">
+            <h2>Hello ${name}!</h2>
+            <p>Thank you for your purchase. Show one QR code per person at the entrance.</p>
+            ${ticketRows}
+          </div>
+          <div class="footer">
+            <p>© ${new Date().getFullYear()} Your Company Name. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+    attachments: tickets.map((ticket, index) => ({
+      filename: `ticket-${index + 1}.png`,
+      content: ticket.qrPng,
+      contentType: "image/png",
+      cid: `ticket-${index}`,
+    })),
+  };
+
+  return transporter.sendMail(mailOptions);
+};
+
+export const sendAccountLockedEmail = async (email, lockedUntil) => {
+  const mailOptions = {
+    from: {
+      name: process.env.EMAIL_FROM_NAME || "Your Company Name",
+      address: process.env.EMAIL_USER,
+    },
+    to: email,
+    subject: "Your Account Has Been Temporarily Locked",
+    html: `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; margin: 0; padding: 0; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; background-color: #f9f9f9; }
+          .header { text-align: center; padding: 20px; background-color: #e24a4a; color: white; }
+          .content { padding: 30px; background-color: white; border-radius: 5px; margin: 20px 0; }
+          .footer { text-align: center; padding: 20px; color: #666; font-size: 14px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Account Locked</h1>
+          </div>
+          <div class="content">
+            <h2>Hello!</h2>
+            <p>We noticed several failed attempts to sign in to your account or verify a password reset code.</p>
+            <p>To protect your account, these attempts are blocked until ${new Date(lockedUntil).toUTCString()}.</p>
+            <p>If this wasn't you, consider resetting your password once the lock expires, or contact support to unlock your account sooner.</p>
+          </div>
+          <div class="footer">
+            <p>© ${new Date().getFullYear()} Your Company Name. All rights reserved.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `,
+  };
+
+  return transporter.sendMail(mailOptions);
+};
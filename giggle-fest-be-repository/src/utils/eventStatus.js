@@ -0,0 +1,77 @@
+export const EVENT_STATUSES = Object.freeze({
+  DRAFT: "draft",
+  PUBLISHED: "published",
+  POSTPONED: "postponed",
+  CANCELLED: "cancelled",
+  COMPLETED: "completed",
+});
+
+// the statuses each status may move to; cancelled and completed are final
+const EVENT_TRANSITIONS = {
+  [EVENT_STATUSES.DRAFT]: [EVENT_STATUSES.PUBLISHED, EVENT_STATUSES.CANCELLED],
+  [EVENT_STATUSES.PUBLISHED]: [
+    EVENT_STATUSES.POSTPONED,
+    EVENT_STATUSES.CANCELLED,
+    EVENT_STATUSES.COMPLETED,
+  ],
+  [EVENT_STATUSES.POSTPONED]: [
+    EVENT_STATUSES.PUBLISHED,
+    EVENT_STATUSES.CANCELLED,
+  ],
+  [EVENT_STATUSES.CANCELLED]: [],
+  [EVENT_STATUSES.COMPLETED]: [],
+};
+
+export const canTransitionEvent = (from, to) => {
+  return EVENT_TRANSITIONS[from]?.includes(to) ?? false;
+};
+
+// Drafts and events whose publishAt is still ahead are kept out of public
+// view. Meant to be spread into a Prisma event filter. A NOT on publishAt
+// would also drop events without one, since SQL compares NULL as unknown,
+// and AND leaves callers free to add their own OR.
+export const publicEventWhere = (now = new Date()) => ({
+  AND: [
+    { status: { not: EVENT_STATUSES.DRAFT } },
+    { OR: [{ publishAt: null }, { publishAt: { lte: now } }] },
+  ],
+});
+
+export const isEventPublic = (event, now = new Date()) => {
+  return (
+    event.status !== EVENT_STATUSES.DRAFT &&
+    !(event.publishAt && event.publishAt > now)
+  );
+};
+
+// Only published events that have gone live sell tickets, and only inside
+// the ticket type's sales window. Tickets loaded without their event skip
+// the event check. Returns why the ticket is not on sale, or null.
+const getSaleClosedReason = (ticket, now) => {
+  const event = ticket.event;
+  if (
+    event &&
+    (event.status !== EVENT_STATUSES.PUBLISHED || !isEventPublic(event, now))
+  ) {
+    return `Tickets for ${event.name} are not on sale`;
+  }
+
+  if (ticket.salesStart && ticket.salesStart > now) {
+    return `Sales for ${ticket.name} open on ${ticket.salesStart.toUTCString()}`;
+  }
+  if (ticket.salesEnd && ticket.salesEnd <= now) {
+    return `Sales for ${ticket.name} have closed`;
+  }
+  return null;
+};
+
+export const isTicketOnSale = (ticket, now = new Date()) => {
+  return getSaleClosedReason(ticket, now) === null;
+};
+
+export const assertTicketOnSale = (ticket, now = new Date()) => {
+  const reason = getSaleClosedReason(ticket, now);
+  if (reason) {
+    throw new Error(reason);
+  }
+};
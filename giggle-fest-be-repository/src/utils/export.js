@@ -0,0 +1,108 @@
+import { once } from "events";
+import ExcelJS from "exceljs";
+
+export const EXPORT_FORMATS = ["csv", "xlsx"];
+
+const CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+};
+
+export const EXPORT_BATCH_SIZE = 500;
+
+// Pages through a table by id so an export never holds more than one batch
+// in memory. fetchBatch receives the last id seen and the batch size.
+export async function* readInBatches(
+  fetchBatch,
+  batchSize = EXPORT_BATCH_SIZE
+) {
+  let afterId = 0;
+
+  while (true) {
+    const rows = await fetchBatch({ afterId, take: batchSize });
+    yield* rows;
+
+    if (rows.length < batchSize) return;
+    afterId = rows[rows.length - 1].id;
+  }
+}
+
+const formatValue = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+  return value;
+};
+
+// Quotes fields that need it and defuses values a spreadsheet would run as a
+// formula
+export const toCsvField = (value) => {
+  let field = String(formatValue(value));
+
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(field)) {
+    field = `'${field}`;
+  }
+
+  if (/[",\r\n]/.test(field)) {
+    return `"${field.replace(/"/g, '""')}"`;
+  }
+  return field;
+};
+
+const write = async (stream, chunk) => {
+  if (!stream.write(chunk)) {
+    await once(stream, "drain");
+  }
+};
+
+const writeCsv = async (res, columns, rows) => {
+  await write(
+    res,
+    columns.map((column) => toCsvField(column.header)).join(",") + "\r\n"
+  );
+
+  for await (const row of rows) {
+    await write(
+      res,
+      columns.map((column) => toCsvField(row[column.key])).join(",") + "\r\n"
+    );
+  }
+
+  res.end();
+};
+
+const writeXlsx = async (res, sheetName, columns, rows) => {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream: res,
+    useStyles: false,
+    useSharedStrings: false,
+  });
+  const worksheet = workbook.addWorksheet(sheetName);
+  worksheet.columns = columns.map(({ header, key }) => ({ header, key }));
+
+  for await (const row of rows) {
+    worksheet.addRow(row).commit();
+  }
+
+  worksheet.commit();
+  await workbook.commit();
+};
+
+// Streams rows (any async iterable of plain objects keyed by column key) to
+// the response as a CSV or XLSX download
+export const streamExport = async (
+  res,
+  { format, filename, sheetName = "Export", columns, rows }
+) => {
+  res.status(200);
+  res.setHeader("Content-Type", CONTENT_TYPES[format]);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${filename}.${format}"`
+  );
+
+  if (format === "xlsx") {
+    await writeXlsx(res, sheetName, columns, rows);
+  } else {
+    await writeCsv(res, columns, rows);
+  }
+};
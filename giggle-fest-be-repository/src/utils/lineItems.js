@@ -0,0 +1,108 @@
+// A payment either buys one ticket type directly or pays for an order with
+// several items; callers that work per ticket type go through this
+export const getPaymentLineItems = (payment) => {
+  if (payment.order) {
+    return payment.order.items.map((item) => ({
+      ticketId: item.ticketId,
+      quantity: item.quantity,
+      ticket: item.ticket,
+    }));
+  }
+
+  return [
+    {
+      ticketId: payment.ticketId,
+      quantity: payment.quantity,
+      ticket: payment.ticket,
+    },
+  ];
+};
+
+// The ticket types actually handed out for the lines: a bundle stands for
+// its components, quantity of each for every bundle bought, and each of
+// them remembers the bundle it came with
+export const expandBundleLines = (lines) => {
+  return lines.flatMap((line) => {
+    if (!line.ticket.bundleItems?.length) {
+      return [line];
+    }
+
+    return line.ticket.bundleItems.map((item) => ({
+      ticketId: item.ticketId,
+      quantity: item.quantity * line.quantity,
+      ticket: item.ticket,
+      bundleId: line.ticketId,
+    }));
+  });
+};
+
+// statuses that still hold a stock reservation which has not been settled
+export const OPEN_PAYMENT_STATUSES = ["pending", "challenge"];
+
+// payment statuses whose tickets were sold, whatever refunds followed
+export const SOLD_PAYMENT_STATUSES = [
+  "success",
+  "refund_requested",
+  "partially_refunded",
+  "refunded",
+];
+
+// What the payment's completed refunds took back from each ticket type it
+// bought, by ticket id. A refund is spread over the ticket types by what its
+// tickets cost, and tickets issued for a bundle count towards the bundle.
+export const getRefundedLines = (payment) => {
+  const lines = payment.order
+    ? payment.order.items.map((item) => ({
+        ticketId: item.ticketId,
+        quantity: item.quantity,
+        net: item.subtotal - item.discount,
+      }))
+    : [
+        {
+          ticketId: payment.ticketId,
+          quantity: payment.quantity,
+          net: payment.originalAmount - payment.discount,
+        },
+      ];
+  const issuedTickets = payment.issuedTickets ?? [];
+  const countByLine = (tickets) => {
+    const counts = new Map();
+    for (const ticket of tickets) {
+      const key = ticket.bundleId ?? ticket.ticketId;
+      counts.set(key, (counts.get(key) || 0) + 1);
+    }
+    return counts;
+  };
+  const issued = countByLine(issuedTickets);
+
+  const refunded = new Map(
+    lines.map((line) => [line.ticketId, { quantity: 0, amount: 0 }])
+  );
+  for (const refund of payment.refunds ?? []) {
+    const counts = countByLine(
+      issuedTickets.filter((ticket) =>
+        refund.issuedTicketIds.includes(ticket.id)
+      )
+    );
+    // the share of each line's units the refund covered
+    const shares = lines.map(
+      (line) =>
+        (counts.get(line.ticketId) || 0) /
+        (issued.get(line.ticketId) || line.quantity)
+    );
+    const value = lines.reduce(
+      (sum, line, index) => sum + line.net * shares[index],
+      0
+    );
+
+    lines.forEach((line, index) => {
+      const totals = refunded.get(line.ticketId);
+      totals.quantity += line.quantity * shares[index];
+      if (value > 0) {
+        totals.amount += (refund.amount * line.net * shares[index]) / value;
+      }
+    });
+  }
+
+  return refunded;
+};
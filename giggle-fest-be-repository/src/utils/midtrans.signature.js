@@ -0,0 +1,64 @@
+import { createHash, timingSafeEqual } from "crypto";
+
+// Midtrans signs notifications with SHA512(order_id + status_code + gross_amount + server key)
+export const createSignatureKey = (
+  { order_id, status_code, gross_amount },
+  serverKey = process.env.MIDTRANS_SERVER_KEY
+) => {
+  return createHash("sha512")
+    .update(`${order_id}${status_code}${gross_amount}${serverKey}`)
+    .digest("hex");
+};
+
+export const verifySignatureKey = (
+  payload,
+  serverKey = process.env.MIDTRANS_SERVER_KEY
+) => {
+  if (!payload?.signature_key || !serverKey) {
+    return false;
+  }
+
+  const expected = Buffer.from(createSignatureKey(payload, serverKey));
+  const received = Buffer.from(String(payload.signature_key));
+
+  return (
+    expected.length === received.length && timingSafeEqual(expected, received)
+  );
+};
+
+// Builds a signed payload shaped like a Midtrans HTTP notification, for local testing
+export const buildNotificationPayload = (
+  {
+    orderId,
+    transactionStatus = "settlement",
+    grossAmount,
+    fraudStatus = "accept",
+    statusCode,
+    paymentType = "bank_transfer",
+  },
+  serverKey = process.env.MIDTRANS_SERVER_KEY
+) => {
+  const payload = {
+    transaction_time: new Date().toISOString().replace("T", " ").slice(0, 19),
+    transaction_status: transactionStatus,
+    transaction_id: `fake-${Date.now()}`,
+    status_message: "midtrans payment notification",
+    status_code:
+      statusCode ||
+      (["capture", "settlement"].includes(transactionStatus)
+        ? "200"
+        : transactionStatus === "pending"
+        ? "201"
+        : "202"),
+    payment_type: paymentType,
+    order_id: orderId,
+    gross_amount: Number(grossAmount).toFixed(2),
+    fraud_status: fraudStatus,
+    currency: "IDR",
+  };
+
+  return {
+    ...payload,
+    signature_key: createSignatureKey(payload, serverKey),
+  };
+};
@@ -0,0 +1,65 @@
+export const ROLES = Object.freeze({
+  ADMIN: "admin",
+  ORGANIZER: "organizer",
+  STAFF: "staff",
+  USER: "user",
+});
+
+export const PERMISSIONS = Object.freeze({
+  // own account: profile, notifications, orders, payment history, e-tickets
+  ACCOUNT_MANAGE: "account:manage",
+  TICKETS_PURCHASE: "tickets:purchase",
+  REVIEWS_WRITE: "reviews:write",
+  EVENTS_MANAGE: "events:manage",
+  TICKETS_MANAGE: "tickets:manage",
+  CATEGORIES_MANAGE: "categories:manage",
+  PROMOS_MANAGE: "promos:manage",
+  // every organization's events, tickets and promos, not just your own
+  ORGANIZATIONS_MANAGE: "organizations:manage",
+  PAYMENTS_VIEW_ALL: "payments:view_all",
+  REFUNDS_MANAGE: "refunds:manage",
+  // CSV/XLSX downloads of payments, attendee lists and reviews
+  REPORTS_EXPORT: "reports:export",
+  USERS_MANAGE: "users:manage",
+  NOTIFICATIONS_MANAGE: "notifications:manage",
+  CHECKIN_SCAN: "checkin:scan",
+  CHECKIN_STATS: "checkin:stats",
+});
+
+const BASE_PERMISSIONS = [
+  PERMISSIONS.ACCOUNT_MANAGE,
+  PERMISSIONS.TICKETS_PURCHASE,
+  PERMISSIONS.REVIEWS_WRITE,
+];
+
+export const ROLE_PERMISSIONS = Object.freeze({
+  [ROLES.ADMIN]: Object.values(PERMISSIONS),
+  [ROLES.ORGANIZER]: [
+    ...BASE_PERMISSIONS,
+    PERMISSIONS.EVENTS_MANAGE,
+    PERMISSIONS.TICKETS_MANAGE,
+    PERMISSIONS.PROMOS_MANAGE,
+    PERMISSIONS.CHECKIN_SCAN,
+    PERMISSIONS.CHECKIN_STATS,
+  ],
+  [ROLES.STAFF]: [
+    ...BASE_PERMISSIONS,
+    PERMISSIONS.CHECKIN_SCAN,
+    PERMISSIONS.CHECKIN_STATS,
+  ],
+  [ROLES.USER]: BASE_PERMISSIONS,
+});
+
+export const hasPermission = (role, permission) => {
+  return (ROLE_PERMISSIONS[role] || []).includes(permission);
+};
+
+// roles listed in REQUIRE_2FA_ROLES (comma separated, e.g. "admin,organizer")
+// must pass a two-factor check before using anything beyond their own account
+export const requiresTwoFactor = (role) => {
+  return (process.env.REQUIRE_2FA_ROLES || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean)
+    .includes(role);
+};
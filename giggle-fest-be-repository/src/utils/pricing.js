@@ -0,0 +1,24 @@
+// A tier is current while now is inside its dates and, for tiers that only
+// last for the first maxSold tickets, while the whole purchase still fits
+// under that count. held is stock the buyer has already taken themselves,
+// so their own cart hold does not push them out of the tier.
+export const isTierActive = (
+  tier,
+  ticket,
+  { quantity = 1, held = 0, now = new Date() } = {}
+) => {
+  if (tier.startsAt && now < tier.startsAt) return false;
+  if (tier.endsAt && now >= tier.endsAt) return false;
+  if (tier.maxSold === null || tier.maxSold === undefined) return true;
+
+  return (ticket.sold ?? 0) - held + quantity <= tier.maxSold;
+};
+
+// the first current tier sets the price, otherwise the ticket's own price
+export const getEffectivePrice = (ticket, tiers, options) => {
+  const tier = tiers.find((item) => isTierActive(item, ticket, options));
+  return {
+    price: tier ? tier.price : ticket.price,
+    tier: tier ?? null,
+  };
+};
@@ -0,0 +1,32 @@
+import { randomBytes } from "crypto";
+
+export const PROMO_DISCOUNT_TYPES = Object.freeze({
+  PERCENTAGE: "percentage",
+  FIXED: "fixed",
+});
+
+// how the discount reads in notifications, e.g. "10% discount (up to 50000)"
+export const formatPromoDiscount = (promo) => {
+  if (promo.discountType === PROMO_DISCOUNT_TYPES.FIXED) {
+    return `${promo.discount} discount`;
+  }
+  return promo.maxDiscount
+    ? `${promo.discount}% discount (up to ${promo.maxDiscount})`
+    : `${promo.discount}% discount`;
+};
+
+// 32 characters without 0/O and 1/I, so a byte maps onto it without bias and
+// codes read back from paper or a screen are not mistyped
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+export const CAMPAIGN_CODE_LENGTH = 10;
+
+// A random campaign code such as "PARTNER-7KQ2MX9WHD". 32^10 possible codes
+// make guessing one impractical; the caller still skips duplicates.
+export const generateCampaignCode = (prefix) => {
+  const random = Array.from(
+    randomBytes(CAMPAIGN_CODE_LENGTH),
+    (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]
+  ).join("");
+
+  return prefix ? `${prefix.toUpperCase()}-${random}` : random;
+};
@@ -0,0 +1,18 @@
+import QRCode from "qrcode";
+
+const QR_OPTIONS = {
+  errorCorrectionLevel: "M",
+  margin: 2,
+};
+
+export const renderQrPng = (text) => {
+  return QRCode.toBuffer(text, { ...QR_OPTIONS, type: "png", width: 300 });
+};
+
+export const renderQrSvg = (text) => {
+  return QRCode.toString(text, { ...QR_OPTIONS, type: "svg" });
+};
+
+export const renderQrDataUrl = (text) => {
+  return QRCode.toDataURL(text, { ...QR_OPTIONS, width: 300 });
+};
@@ -11,9 +11,15 @@ export const successResponse = (
   });
 };
 
-export const errorResponse = (res, message = "Error", status = 500) => {
+export const errorResponse = (
+  res,
+  message = "Error",
+  status = 500,
+  errors = undefined
+) => {
   return res.status(status).json({
     status: "error",
     message,
+    ...(errors && { errors }),
   });
 };
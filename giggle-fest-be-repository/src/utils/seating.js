@@ -0,0 +1,24 @@
+export const SEAT_STATUSES = Object.freeze({
+  AVAILABLE: "available",
+  HELD: "held",
+  SOLD: "sold",
+});
+
+// Prisma filter for seats nobody holds, including holds that ran out
+export const freeSeatWhere = (now = new Date()) => ({
+  OR: [
+    { status: SEAT_STATUSES.AVAILABLE },
+    { status: SEAT_STATUSES.HELD, heldUntil: { lte: now } },
+  ],
+});
+
+export const getSeatStatus = (eventSeat, now = new Date()) => {
+  if (eventSeat.status === SEAT_STATUSES.HELD && !(eventSeat.heldUntil > now)) {
+    return SEAT_STATUSES.AVAILABLE;
+  }
+  return eventSeat.status;
+};
+
+export const formatSeat = (seat) => {
+  return `${seat.section}, row ${seat.row}, seat ${seat.number}`;
+};
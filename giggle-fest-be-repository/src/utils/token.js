@@ -1,15 +1,23 @@
 import jwt from "jsonwebtoken";
+import { createHash, randomBytes } from "crypto";
 
-export const generateToken = (user) => {
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+// access tokens are short-lived and tied to a session (sid) so they can be
+// revoked; the refresh token is what keeps a user logged in. mfa records
+// whether the session passed a two-factor check.
+export const generateToken = (user, sessionId, { mfa = false } = {}) => {
   return jwt.sign(
     {
       id: user.id,
       email: user.email,
       role: user.role,
+      sid: sessionId,
+      mfa,
     },
     process.env.JWT_SECRET,
     {
-      expiresIn: process.env.JWT_EXPIRES_IN,
+      expiresIn: process.env.ACCESS_TOKEN_EXPIRES_IN || "15m",
     }
   );
 };
@@ -17,3 +25,36 @@ export const generateToken = (user) => {
 export const verifyToken = (token) => {
   return jwt.verify(token, process.env.JWT_SECRET);
 };
+
+export const generateRefreshToken = () => {
+  return randomBytes(48).toString("base64url");
+};
+
+// refresh tokens are only stored as a hash, so a database leak does not
+// hand out live sessions
+export const hashToken = (token) => {
+  return createHash("sha256").update(token).digest("hex");
+};
+
+export const getRefreshTokenExpiry = () => {
+  const days = Number(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+  return new Date(Date.now() + days * DAY_IN_MS);
+};
+
+// proves the password step of a two-factor login; it is not an access token
+// and authMiddleware rejects it because it has no session
+export const generateChallengeToken = (user) => {
+  return jwt.sign(
+    { id: user.id, purpose: "2fa" },
+    process.env.JWT_SECRET,
+    { expiresIn: "5m" }
+  );
+};
+
+export const verifyChallengeToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose !== "2fa") {
+    throw new Error("Invalid challenge token");
+  }
+  return decoded;
+};
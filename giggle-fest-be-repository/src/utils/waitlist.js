@@ -0,0 +1,18 @@
+export const WAITLIST_STATUSES = Object.freeze({
+  WAITING: "waiting",
+  OFFERED: "offered",
+  CLAIMED: "claimed",
+  EXPIRED: "expired",
+  LEFT: "left",
+});
+
+// how long stock offered to someone in line stays reserved for them alone
+export const WAITLIST_OFFER_MINUTES = 30;
+
+export const getWaitlistOfferExpiry = (now = new Date()) => {
+  return new Date(now.getTime() + WAITLIST_OFFER_MINUTES * 60 * 1000);
+};
+
+export const formatWaitlistOffer = (ticket, quantity, expiresAt) => {
+  return `${quantity} ${ticket.name} ticket(s) for ${ticket.event.name} are reserved in your cart until ${expiresAt.toUTCString()}. Check out before then or they go to the next person in line.`;
+};
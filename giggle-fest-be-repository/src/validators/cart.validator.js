@@ -1,4 +1,9 @@
 import { z } from "zod";
+import {
+  seatIdsSchema,
+  matchesSeats,
+  seatCountIssue,
+} from "./venue.validator.js";
 
 const numberParser = (val) => {
   if (typeof val === "string") return Number(val);
@@ -6,16 +11,19 @@ const numberParser = (val) => {
   return undefined;
 };
 
-export const addToCartSchema = z.object({
-  ticketId: z.string().or(z.number()).transform(numberParser),
-  quantity: z
-    .string()
-    .or(z.number())
-    .transform(numberParser)
-    .refine((val) => val >= 1, {
-      message: "Quantity must be at least 1",
-    }),
-});
+export const addToCartSchema = z
+  .object({
+    ticketId: z.string().or(z.number()).transform(numberParser),
+    quantity: z
+      .string()
+      .or(z.number())
+      .transform(numberParser)
+      .refine((val) => val >= 1, {
+        message: "Quantity must be at least 1",
+      }),
+    seatIds: seatIdsSchema.optional(),
+  })
+  .refine(matchesSeats, seatCountIssue);
 
 export const updateCartSchema = z.object({
   quantity: z
@@ -26,3 +34,7 @@ export const updateCartSchema = z.object({
       message: "Quantity must be at least 1",
     }),
 });
+
+export const checkoutSchema = z.object({
+  promoCode: z.string().min(1).optional(),
+});
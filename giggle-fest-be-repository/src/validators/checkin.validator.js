@@ -0,0 +1,12 @@
+import { z } from "zod";
+
+export const checkInSchema = z.object({
+  code: z.string().trim().min(1, "Ticket code is required"),
+  eventId: z
+    .string()
+    .or(z.number())
+    .transform((val) => Number(val))
+    .refine((val) => Number.isInteger(val) && val > 0, {
+      message: "Event ID must be a positive integer",
+    }),
+});
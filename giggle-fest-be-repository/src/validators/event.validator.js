@@ -1,13 +1,68 @@
 import { z } from "zod";
 
+const dateString = z
+  .string()
+  .transform((str) => new Date(str))
+  .refine((date) => !isNaN(date.getTime()), { message: "Invalid date" });
+
 export const createEventSchema = z.object({
   name: z.string().min(1),
   description: z.string().optional(),
   date: z.string().transform((str) => new Date(str)),
   location: z.string().min(1),
+  organizationId: z.string().or(z.number()).transform(Number).optional(),
+  // new events are published unless saved as a draft
+  status: z.enum(["draft", "published"]).optional(),
+  publishAt: dateString.optional(),
+});
+
+// the status only changes through the status endpoints; a null publishAt
+// puts a scheduled event live straight away
+export const updateEventSchema = createEventSchema
+  .omit({ status: true })
+  .partial()
+  .extend({ publishAt: dateString.nullable().optional() });
+
+// bulk imports have no form to catch bad input, so reject what the form
+// schema lets through as NaN or Invalid Date
+export const importEventSchema = createEventSchema
+  .refine((event) => !isNaN(event.date.getTime()), {
+    message: "Invalid date",
+    path: ["date"],
+  })
+  .refine(
+    (event) =>
+      event.organizationId === undefined ||
+      Number.isInteger(event.organizationId),
+    {
+      message: "Organization ID must be a number",
+      path: ["organizationId"],
+    }
+  );
+
+const statusReason = z.string().trim().min(1).max(500).optional();
+
+// cancelling and rescheduling have their own schemas
+export const eventStatusSchema = z.object({
+  status: z.enum(["published", "postponed", "completed"]),
+  reason: statusReason,
 });
 
-export const updateEventSchema = createEventSchema.partial();
+export const cancelEventSchema = z.object({
+  reason: statusReason,
+});
+
+export const rescheduleEventSchema = z.object({
+  date: dateString,
+  reason: statusReason,
+});
+
+export const importEventsQuerySchema = z.object({
+  dryRun: z
+    .enum(["true", "false"])
+    .transform((val) => val === "true")
+    .optional(),
+});
 
 export const getEventsQuerySchema = z.object({
   page: z.string().optional(),
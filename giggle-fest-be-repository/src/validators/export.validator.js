@@ -0,0 +1,38 @@
+import { z } from "zod";
+import { EXPORT_FORMATS } from "../utils/export.js";
+import { PAYMENT_STATUSES } from "./payment.validator.js";
+
+const positiveId = (label) =>
+  z
+    .string()
+    .or(z.number())
+    .transform((val) => Number(val))
+    .refine((val) => Number.isInteger(val) && val > 0, {
+      message: `${label} must be a positive integer`,
+    });
+
+const format = z.enum(EXPORT_FORMATS).default("csv");
+
+export const exportPaymentsQuerySchema = z.object({
+  format,
+  status: z.enum(PAYMENT_STATUSES).optional(),
+});
+
+export const exportAttendeesParamsSchema = z.object({
+  id: positiveId("Event ID"),
+});
+
+export const exportAttendeesQuerySchema = z.object({
+  format,
+  status: z.enum(["valid", "used", "void"]).optional(),
+});
+
+export const exportCampaignCodesQuerySchema = z.object({
+  format,
+});
+
+export const exportReviewsQuerySchema = z.object({
+  format,
+  ticketId: positiveId("Ticket ID").optional(),
+  userId: positiveId("User ID").optional(),
+});
@@ -0,0 +1,12 @@
+import { z } from "zod";
+
+export const getIssuedTicketsQuerySchema = z.object({
+  page: z.string().optional(),
+  limit: z.string().optional(),
+  status: z.enum(["valid", "used", "void"]).optional(),
+  format: z.enum(["png", "svg"]).optional(),
+});
+
+export const getIssuedTicketQrQuerySchema = z.object({
+  format: z.enum(["png", "svg"]).optional(),
+});
@@ -0,0 +1,6 @@
+import { z } from "zod";
+
+export const getOrdersQuerySchema = z.object({
+  page: z.string().optional(),
+  limit: z.string().optional(),
+});
@@ -0,0 +1,50 @@
+import { z } from "zod";
+
+const positiveId = (label) =>
+  z
+    .string()
+    .or(z.number())
+    .transform((val) => Number(val))
+    .refine((val) => Number.isInteger(val) && val > 0, {
+      message: `${label} must be a positive integer`,
+    });
+
+export const createOrganizationSchema = z.object({
+  name: z.string().trim().min(1, "Organization name is required").max(100),
+});
+
+export const addMemberSchema = z.object({
+  email: z.string().email("Invalid email address"),
+  role: z.enum(["owner", "member"]).optional(),
+});
+
+export const getOrganizerEventsQuerySchema = z.object({
+  page: z.string().optional(),
+  limit: z.string().optional(),
+  organizationId: positiveId("Organization ID").optional(),
+});
+
+const dateParam = (label) =>
+  z.string().refine((val) => !isNaN(Date.parse(val)), {
+    message: `${label} must be a valid date`,
+  });
+
+export const salesDashboardQuerySchema = z.object({
+  from: dateParam("from").optional(),
+  to: dateParam("to").optional(),
+  eventId: positiveId("Event ID").optional(),
+  organizationId: positiveId("Organization ID").optional(),
+});
+
+export const organizationParamsSchema = z.object({
+  id: positiveId("Organization ID"),
+});
+
+export const memberParamsSchema = z.object({
+  id: positiveId("Organization ID"),
+  userId: positiveId("User ID"),
+});
+
+export const eventParamsSchema = z.object({
+  id: positiveId("Event ID"),
+});
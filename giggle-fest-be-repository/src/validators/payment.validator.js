@@ -1,4 +1,9 @@
 import { z } from "zod";
+import {
+  seatIdsSchema,
+  matchesSeats,
+  seatCountIssue,
+} from "./venue.validator.js";
 
 const numberParser = (val) => {
   if (typeof val === "string") return Number(val);
@@ -6,19 +11,44 @@ const numberParser = (val) => {
   return undefined;
 };
 
-export const initializePaymentSchema = z.object({
-  ticketId: z.string().or(z.number()).transform(numberParser),
-  quantity: z
-    .string()
-    .or(z.number())
-    .transform(numberParser)
-    .refine((val) => val >= 1, {
-      message: "Quantity must be at least 1",
-    }),
-  promoCode: z.string().optional(),
-});
+export const initializePaymentSchema = z
+  .object({
+    ticketId: z.string().or(z.number()).transform(numberParser),
+    quantity: z
+      .string()
+      .or(z.number())
+      .transform(numberParser)
+      .refine((val) => val >= 1, {
+        message: "Quantity must be at least 1",
+      }),
+    promoCode: z.string().optional(),
+    seatIds: seatIdsSchema.optional(),
+  })
+  .refine(matchesSeats, seatCountIssue);
+
+export const PAYMENT_STATUSES = [
+  "pending",
+  "success",
+  "challenge",
+  "failed",
+  "refund_requested",
+  "partially_refunded",
+  "refunded",
+];
 
 export const getPaymentsQuerySchema = z.object({
   page: z.string().optional(),
   limit: z.string().optional(),
+  status: z.enum(PAYMENT_STATUSES).optional(),
 });
+
+export const paymentNotificationSchema = z
+  .object({
+    order_id: z.string().min(1, "order_id is required"),
+    status_code: z.string().min(1, "status_code is required"),
+    gross_amount: z.string().min(1, "gross_amount is required"),
+    signature_key: z.string().min(1, "signature_key is required"),
+    transaction_status: z.string().min(1, "transaction_status is required"),
+    fraud_status: z.string().optional(),
+  })
+  .passthrough();
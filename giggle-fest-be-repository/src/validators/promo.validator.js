@@ -1,4 +1,5 @@
 import { z } from "zod";
+import { PROMO_DISCOUNT_TYPES } from "../utils/promo.js";
 
 const numberParser = (val) => {
   if (typeof val === "string") return Number(val);
@@ -6,29 +7,149 @@ const numberParser = (val) => {
   return undefined;
 };
 
-export const createPromoSchema = z.object({
-  code: z.string().min(3).max(20),
-  discount: z
+const amount = (label) =>
+  z
     .number()
     .or(z.string().transform(Number))
-    .refine((val) => val > 0 && val <= 100, {
-      message: "Discount must be between 0 and 100",
-    }),
-  validFrom: z.string().datetime(),
-  validTo: z.string().datetime(),
-});
+    .refine((val) => val > 0, {
+      message: `${label} must be greater than 0`,
+    });
 
-export const updatePromoSchema = z.object({
-  code: z.string().min(3).max(20).optional(),
-  discount: z
-    .number()
-    .or(z.string().transform(Number))
-    .refine((val) => val > 0 && val <= 100, {
-      message: "Discount must be between 0 and 100",
-    })
+const positiveInt = (label) =>
+  z
+    .string()
+    .or(z.number())
+    .transform(numberParser)
+    .refine((val) => Number.isInteger(val) && val > 0, {
+      message: `${label} must be a positive integer`,
+    });
+
+const idList = (label) => z.array(positiveInt(label)).max(100);
+
+// null clears a limit or a cap on update
+const promoRuleFields = {
+  discountType: z
+    .enum([PROMO_DISCOUNT_TYPES.PERCENTAGE, PROMO_DISCOUNT_TYPES.FIXED])
     .optional(),
-  validFrom: z.string().datetime().optional(),
-  validTo: z.string().datetime().optional(),
+  maxDiscount: amount("Max discount").nullable().optional(),
+  minOrderAmount: amount("Minimum order amount").nullable().optional(),
+  eventIds: idList("Event ID").optional(),
+  ticketIds: idList("Ticket ID").optional(),
+  categoryIds: idList("Category ID").optional(),
+};
+
+// campaign codes are single-use, so only hand-made promos take limits; the
+// service turns them away on updates to a campaign's codes
+const promoLimitFields = {
+  usageLimit: positiveInt("Usage limit").nullable().optional(),
+  perUserLimit: positiveInt("Per-user limit").nullable().optional(),
+};
+
+// A discount sent without its type is taken as a percentage. The service
+// checks updates again against the type the promo already has.
+export const isValidPercentage = ({ discountType, discount }) => {
+  return (
+    discountType === PROMO_DISCOUNT_TYPES.FIXED ||
+    discount === undefined ||
+    (discount > 0 && discount <= 100)
+  );
+};
+
+export const isValidCap = ({ discountType, maxDiscount }) => {
+  return discountType !== PROMO_DISCOUNT_TYPES.FIXED || !maxDiscount;
+};
+
+const isValidFixedAmount = ({ discountType, discount }) => {
+  return (
+    discountType !== PROMO_DISCOUNT_TYPES.FIXED ||
+    discount === undefined ||
+    discount > 0
+  );
+};
+
+export const isValidPeriod = ({ validFrom, validTo }) => {
+  return new Date(validFrom) < new Date(validTo);
+};
+
+export const periodIssue = {
+  message: "validFrom must be before validTo",
+  path: ["validTo"],
+};
+
+export const percentageIssue = {
+  message: "Discount must be between 0 and 100",
+  path: ["discount"],
+};
+
+export const capIssue = {
+  message: "Only percentage discounts can be capped",
+  path: ["maxDiscount"],
+};
+
+const withDiscountRules = (schema) =>
+  schema
+    .refine(isValidPercentage, percentageIssue)
+    .refine(isValidFixedAmount, {
+      message: "Discount must be greater than 0",
+      path: ["discount"],
+    })
+    .refine(isValidCap, capIssue);
+
+export const createPromoSchema = withDiscountRules(
+  z.object({
+    code: z.string().min(3).max(20),
+    discount: z.number().or(z.string().transform(Number)),
+    validFrom: z.string().datetime(),
+    validTo: z.string().datetime(),
+    organizationId: z
+      .string()
+      .or(z.number())
+      .transform(numberParser)
+      .optional(),
+    ...promoRuleFields,
+    ...promoLimitFields,
+  })
+).refine(isValidPeriod, periodIssue);
+
+export const updatePromoSchema = withDiscountRules(
+  z.object({
+    code: z.string().min(3).max(20).optional(),
+    discount: z.number().or(z.string().transform(Number)).optional(),
+    validFrom: z.string().datetime().optional(),
+    validTo: z.string().datetime().optional(),
+    ...promoRuleFields,
+    ...promoLimitFields,
+  })
+);
+
+export const MAX_CAMPAIGN_CODES = 10000;
+
+export const createCampaignSchema = withDiscountRules(
+  z.object({
+    name: z.string().min(3).max(100),
+    prefix: z
+      .string()
+      .regex(/^[A-Za-z0-9]{1,8}$/, {
+        message: "Prefix must be 1 to 8 letters or digits",
+      })
+      .optional(),
+    count: positiveInt("Count").refine((val) => val <= MAX_CAMPAIGN_CODES, {
+      message: `Count cannot be more than ${MAX_CAMPAIGN_CODES}`,
+    }),
+    discount: z.number().or(z.string().transform(Number)),
+    validFrom: z.string().datetime(),
+    validTo: z.string().datetime(),
+    organizationId: z
+      .string()
+      .or(z.number())
+      .transform(numberParser)
+      .optional(),
+    ...promoRuleFields,
+  })
+).refine(isValidPeriod, periodIssue);
+
+export const campaignParamsSchema = z.object({
+  id: positiveInt("Campaign ID"),
 });
 
 export const getPromoQuerySchema = z.object({
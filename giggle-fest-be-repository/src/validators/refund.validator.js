@@ -0,0 +1,35 @@
+import { z } from "zod";
+
+const positiveId = (label) =>
+  z
+    .string()
+    .or(z.number())
+    .transform((val) => Number(val))
+    .refine((val) => Number.isInteger(val) && val > 0, {
+      message: `${label} must be a positive integer`,
+    });
+
+export const requestRefundSchema = z.object({
+  paymentId: positiveId("Payment ID"),
+  issuedTicketIds: z
+    .array(positiveId("Ticket ID"))
+    .min(1, "Select at least one ticket")
+    .optional(),
+  reason: z.string().trim().min(1).max(500).optional(),
+});
+
+export const reviewRefundSchema = z.object({
+  note: z.string().trim().min(1).max(500).optional(),
+});
+
+export const refundParamsSchema = z.object({
+  id: positiveId("Refund ID"),
+});
+
+export const getRefundsQuerySchema = z.object({
+  page: z.string().optional(),
+  limit: z.string().optional(),
+  status: z
+    .enum(["requested", "processing", "refunded", "rejected"])
+    .optional(),
+});
@@ -6,20 +6,116 @@ const numberParser = (val) => {
   return undefined;
 };
 
-export const createTicketSchema = z.object({
+const dateString = z
+  .string()
+  .transform((str) => new Date(str))
+  .refine((date) => !isNaN(date.getTime()), { message: "Invalid date" });
+
+const ticketFields = z.object({
   name: z.string().min(1),
   price: z.string().or(z.number()).transform(numberParser),
   quantity: z.string().or(z.number()).transform(numberParser),
   eventId: z.string().or(z.number()).transform(numberParser),
   categoryId: z.string().or(z.number()).transform(numberParser),
   artist: z.string().optional(),
+  salesStart: dateString.optional(),
+  salesEnd: dateString.optional(),
 });
 
+const positiveInt = (message) =>
+  z
+    .string()
+    .or(z.number())
+    .transform(numberParser)
+    .refine((val) => Number.isInteger(val) && val > 0, { message });
+
+const priceTierSchema = z
+  .object({
+    name: z.string().min(1).max(50),
+    price: z
+      .string()
+      .or(z.number())
+      .transform(numberParser)
+      .refine((val) => Number.isFinite(val) && val >= 0, {
+        message: "Price must be a non-negative number",
+      }),
+    startsAt: dateString.optional(),
+    endsAt: dateString.optional(),
+    maxSold: positiveInt("Max sold must be a positive integer").optional(),
+  })
+  .refine((tier) => tier.startsAt || tier.endsAt || tier.maxSold, {
+    message: "A price tier needs dates or a max sold count",
+  })
+  .refine(({ startsAt, endsAt }) => !startsAt || !endsAt || startsAt < endsAt, {
+    message: "A price tier must start before it ends",
+    path: ["endsAt"],
+  });
+
+// the tiers replace any the ticket had before, an empty list removes them
+const priceTiers = z.array(priceTierSchema).max(10).optional();
+
+// a ticket with bundle items is sold as a package of them, an empty list
+// makes it an ordinary ticket again
+const bundleItems = z
+  .array(
+    z.object({
+      ticketId: positiveInt("Ticket ID must be a positive integer"),
+      quantity: positiveInt("Quantity must be a positive integer"),
+    })
+  )
+  .max(10)
+  .refine(
+    (items) =>
+      new Set(items.map((item) => item.ticketId)).size === items.length,
+    { message: "A bundle can only list each ticket once" }
+  )
+  .optional();
+
+export const hasValidSalesWindow = ({ salesStart, salesEnd }) => {
+  return !salesStart || !salesEnd || salesStart < salesEnd;
+};
+
+const salesWindowIssue = {
+  message: "Sales must start before they end",
+  path: ["salesEnd"],
+};
+
+export const createTicketSchema = ticketFields
+  .extend({ priceTiers, bundleItems })
+  .refine(hasValidSalesWindow, salesWindowIssue);
+
+// the event is created by the import itself, so only its own fields are
+// checked here
+export const importTicketSchema = ticketFields
+  .omit({ eventId: true })
+  .refine((ticket) => Number.isFinite(ticket.price) && ticket.price >= 0, {
+    message: "Price must be a non-negative number",
+    path: ["price"],
+  })
+  .refine(
+    (ticket) => Number.isInteger(ticket.quantity) && ticket.quantity >= 0,
+    {
+      message: "Quantity must be a non-negative integer",
+      path: ["quantity"],
+    }
+  )
+  .refine((ticket) => Number.isInteger(ticket.categoryId), {
+    message: "Category ID must be a number",
+    path: ["categoryId"],
+  })
+  .refine(hasValidSalesWindow, salesWindowIssue);
+
+// null removes that end of the sales window; the service checks the result
+// against whatever the ticket already has
 export const updateTicketSchema = z.object({
   name: z.string().min(1).optional(),
   price: z.string().or(z.number()).transform(numberParser).optional(),
   quantity: z.string().or(z.number()).transform(numberParser).optional(),
   artist: z.string().optional(),
+  salesStart: dateString.nullable().optional(),
+  salesEnd: dateString.nullable().optional(),
+  priceTiers,
+  bundleItems,
 });
 
 export const getTicketsQuerySchema = z.object({
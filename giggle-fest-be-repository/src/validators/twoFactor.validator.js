@@ -0,0 +1,17 @@
+import { z } from "zod";
+
+// a 6-digit authenticator code or a recovery code such as "a1b2c-3d4e5"
+const codeSchema = z
+  .string()
+  .trim()
+  .min(6, "Code is required")
+  .max(20, "Code is too long");
+
+export const twoFactorCodeSchema = z.object({
+  code: codeSchema,
+});
+
+export const twoFactorVerifySchema = z.object({
+  challengeToken: z.string().min(1, "Challenge token is required"),
+  code: codeSchema,
+});
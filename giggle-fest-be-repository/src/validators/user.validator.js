@@ -1,5 +1,6 @@
 import Joi from "joi";
 import { z } from "zod";
+import { ROLES } from "../utils/permissions.js";
 
 export const registerSchema = Joi.object({
   email: Joi.string().email().required(),
@@ -7,7 +8,6 @@ export const registerSchema = Joi.object({
   name: Joi.string().required(),
   age: Joi.number().required(),
   phoneNumber: Joi.string().required(),
-  role: Joi.string().valid("user", "admin").default("user"),
 });
 
 export const loginSchema = Joi.object({
@@ -29,6 +29,15 @@ export const updateUserSchema = z
     message: "At least one field must be provided for update",
   });
 
+export const changeRoleSchema = z.object({
+  role: z.enum([ROLES.ADMIN, ROLES.ORGANIZER, ROLES.STAFF, ROLES.USER], {
+    errorMap: () => ({
+      message: `Role must be one of: ${Object.values(ROLES).join(", ")}`,
+    }),
+  }),
+  reason: z.string().trim().min(1).max(255).optional(),
+});
+
 // zod
 export const getUsersQuerySchema = z
   .object({
@@ -83,3 +92,23 @@ export const resetPasswordSchema = z
     message: "Passwords do not match",
     path: ["confirmPassword"],
   });
+
+const positiveId = (label) =>
+  z
+    .string()
+    .or(z.number())
+    .transform((val) => Number(val))
+    .refine((val) => Number.isInteger(val) && val > 0, {
+      message: `${label} must be a positive integer`,
+    });
+
+export const sessionParamsSchema = z.object({
+  id: positiveId("Session ID"),
+});
+
+// refresh token zod; browsers send it as a cookie instead
+export const refreshTokenSchema = z
+  .object({
+    refreshToken: z.string().min(1, "Refresh token is required").optional(),
+  })
+  .default({});
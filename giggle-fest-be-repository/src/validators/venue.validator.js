@@ -0,0 +1,96 @@
+import { z } from "zod";
+
+const positiveId = (label) =>
+  z
+    .string()
+    .or(z.number())
+    .transform((val) => Number(val))
+    .refine((val) => Number.isInteger(val) && val > 0, {
+      message: `${label} must be a positive integer`,
+    });
+
+const hasUniqueNames = (items) => {
+  return new Set(items.map((item) => item.name)).size === items.length;
+};
+
+const rowSchema = z.object({
+  name: z.string().trim().min(1),
+  seats: z.number().int().min(1).max(500),
+});
+
+const sectionSchema = z.object({
+  name: z.string().trim().min(1),
+  rows: z
+    .array(rowSchema)
+    .min(1)
+    .refine(hasUniqueNames, { message: "Row names must be unique" }),
+});
+
+export const MAX_VENUE_SEATS = 20000;
+
+const countSeats = (sections) => {
+  return sections.reduce(
+    (sum, section) =>
+      sum + section.rows.reduce((rows, row) => rows + row.seats, 0),
+    0
+  );
+};
+
+export const createVenueSchema = z.object({
+  name: z.string().trim().min(1),
+  address: z.string().trim().min(1).optional(),
+  sections: z
+    .array(sectionSchema)
+    .min(1)
+    .refine(hasUniqueNames, { message: "Section names must be unique" })
+    .refine((sections) => countSeats(sections) <= MAX_VENUE_SEATS, {
+      message: `A venue is limited to ${MAX_VENUE_SEATS} seats`,
+    }),
+});
+
+export const venueParamsSchema = z.object({
+  id: positiveId("Venue ID"),
+});
+
+export const eventSeatsParamsSchema = z.object({
+  id: positiveId("Event ID"),
+});
+
+export const getVenuesQuerySchema = z.object({
+  page: z.string().optional(),
+  limit: z.string().optional(),
+  search: z.string().optional(),
+});
+
+// rows may be left out to sell a whole section as one ticket type
+export const eventSeatingSchema = z.object({
+  venueId: positiveId("Venue ID"),
+  seatMap: z.record(z.unknown()).optional(),
+  assignments: z
+    .array(
+      z.object({
+        ticketId: positiveId("Ticket ID"),
+        section: z.string().trim().min(1),
+        rows: z.array(z.string().trim().min(1)).min(1).optional(),
+      })
+    )
+    .min(1),
+});
+
+// seat ids are the ids returned by the availability endpoint
+export const seatIdsSchema = z
+  .array(positiveId("Seat ID"))
+  .min(1, "Select at least one seat")
+  .refine((ids) => new Set(ids).size === ids.length, {
+    message: "Seats must not repeat",
+  });
+
+// seated tickets name their seats, one per unit
+export const matchesSeats = (item) => {
+  return !item.seatIds || item.seatIds.length === item.quantity;
+};
+
+export const seatCountIssue = {
+  message: "Quantity must match the number of selected seats",
+  path: ["seatIds"],
+};
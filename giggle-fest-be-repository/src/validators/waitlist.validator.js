@@ -0,0 +1,25 @@
+import { z } from "zod";
+
+const positiveId = (label) =>
+  z
+    .string()
+    .or(z.number())
+    .transform((val) => Number(val))
+    .refine((val) => Number.isInteger(val) && val > 0, {
+      message: `${label} must be a positive integer`,
+    });
+
+export const joinWaitlistSchema = z.object({
+  ticketId: positiveId("Ticket ID"),
+  quantity: z
+    .string()
+    .or(z.number())
+    .transform((val) => Number(val))
+    .refine((val) => Number.isInteger(val) && val >= 1, {
+      message: "Quantity must be at least 1",
+    }),
+});
+
+export const waitlistParamsSchema = z.object({
+  id: positiveId("Waitlist entry ID"),
+});